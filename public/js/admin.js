@@ -3,6 +3,63 @@ let selectedUserData = null;
 let selectedPermissionUserId = null;
 let selectedPermissionUserData = null;
 let allUsers = [];
+let adminAccess = null;
+
+// Permission each tab needs (see src/middleware/adminAccess.js)
+const TAB_PERMISSIONS = {
+  users: 'users:read',
+  aircraft: 'aircraft:read',
+  airports: 'airports:read',
+  worlds: 'worlds:read',
+  airlines: 'airlines:read',
+  settings: 'settings:read',
+  audit: 'audit:read'
+};
+
+// Whether the signed-in user holds a permission (in at least one world for moderators)
+function hasAdminPermission(permission) {
+  if (!adminAccess) return false;
+  return adminAccess.permissions.includes('*') || adminAccess.permissions.includes(permission);
+}
+
+// Load the signed-in user's roles and hide the tabs they can't use
+async function loadAdminAccess() {
+  try {
+    const response = await fetch('/api/admin/me');
+    if (!response.ok) {
+      adminAccess = { roles: [], permissions: [] };
+    } else {
+      adminAccess = await response.json();
+    }
+  } catch (error) {
+    console.error('Error loading admin access:', error);
+    adminAccess = { roles: [], permissions: [] };
+  }
+
+  Object.entries(TAB_PERMISSIONS).forEach(([tab, permission]) => {
+    const button = document.getElementById(`${tab}Tab`);
+    if (button) {
+      button.style.display = hasAdminPermission(permission) ? '' : 'none';
+    }
+  });
+
+  return Object.keys(TAB_PERMISSIONS).find(tab => hasAdminPermission(TAB_PERMISSIONS[tab])) || null;
+}
+
+// Permission badge for the users table
+function formatPermissionStatus(user) {
+  const roles = [];
+  if (user.isAdmin) roles.push('ADMIN');
+  if (user.isContributor) roles.push('CONTRIBUTOR');
+  if (user.moderatorWorldId) roles.push('MODERATOR');
+
+  if (roles.length === 0) {
+    return '<span style="color: var(--text-secondary);">STANDARD</span>';
+  }
+
+  const color = user.isAdmin ? 'var(--success-color)' : 'var(--accent-color)';
+  return `<span style="color: ${color}; font-weight: bold;">${roles.join(' & ')}</span>`;
+}
 
 
 // Load all users
@@ -31,16 +88,7 @@ async function loadUsers() {
       const creditDisplay = user.unlimitedCredits ? '∞' : user.credits;
 
       // Format permissions display
-      let permissionStatus = '';
-      if (user.isAdmin && user.isContributor) {
-        permissionStatus = '<span style="color: var(--success-color); font-weight: bold;">ADMIN & CONTRIBUTOR</span>';
-      } else if (user.isAdmin) {
-        permissionStatus = '<span style="color: var(--success-color); font-weight: bold;">ADMIN</span>';
-      } else if (user.isContributor) {
-        permissionStatus = '<span style="color: var(--accent-color); font-weight: bold;">CONTRIBUTOR</span>';
-      } else {
-        permissionStatus = '<span style="color: var(--text-secondary);">STANDARD</span>';
-      }
+      const permissionStatus = formatPermissionStatus(user);
 
       return `
         <tr style="border-bottom: 1px solid var(--border-color);">
@@ -104,16 +152,7 @@ function searchUsers() {
     const creditDisplay = user.unlimitedCredits ? '∞' : user.credits;
 
     // Format permissions display
-    let permissionStatus = '';
-    if (user.isAdmin && user.isContributor) {
-      permissionStatus = '<span style="color: var(--success-color); font-weight: bold;">ADMIN & CONTRIBUTOR</span>';
-    } else if (user.isAdmin) {
-      permissionStatus = '<span style="color: var(--success-color); font-weight: bold;">ADMIN</span>';
-    } else if (user.isContributor) {
-      permissionStatus = '<span style="color: var(--accent-color); font-weight: bold;">CONTRIBUTOR</span>';
-    } else {
-      permissionStatus = '<span style="color: var(--text-secondary);">STANDARD</span>';
-    }
+    const permissionStatus = formatPermissionStatus(user);
 
     return `
       <tr style="border-bottom: 1px solid var(--border-color);">
@@ -163,6 +202,29 @@ function openPermissionModal(user) {
   document.getElementById('isContributorSelect').value = user.isContributor.toString();
   document.getElementById('permissionError').style.display = 'none';
   document.getElementById('permissionModal').style.display = 'flex';
+  loadModeratorWorldOptions(user.moderatorWorldId);
+}
+
+// Fill the world moderator dropdown and select the user's current world
+async function loadModeratorWorldOptions(selectedWorldId) {
+  const select = document.getElementById('moderatorWorldSelect');
+  select.innerHTML = '<option value="">Not a moderator</option>';
+
+  try {
+    const response = await fetch('/api/admin/worlds');
+    const worlds = await response.json();
+
+    worlds.forEach(world => {
+      const option = document.createElement('option');
+      option.value = world.id;
+      option.textContent = `${world.name} (${world.era})`;
+      select.appendChild(option);
+    });
+  } catch (error) {
+    console.error('Error loading worlds for moderator dropdown:', error);
+  }
+
+  select.value = selectedWorldId || '';
 }
 
 // Close permission modal
@@ -213,6 +275,7 @@ async function confirmEdit() {
 async function confirmPermissionUpdate() {
   const isAdmin = document.getElementById('isAdminSelect').value === 'true';
   const isContributor = document.getElementById('isContributorSelect').value === 'true';
+  const moderatorWorldId = document.getElementById('moderatorWorldSelect').value || null;
   const errorDiv = document.getElementById('permissionError');
 
   try {
@@ -223,7 +286,8 @@ async function confirmPermissionUpdate() {
       },
       body: JSON.stringify({
         isAdmin: isAdmin,
-        isContributor: isContributor
+        isContributor: isContributor,
+        moderatorWorldId: moderatorWorldId
       })
     });
 
@@ -258,9 +322,10 @@ function switchTab(tab) {
   const worldsTab = document.getElementById('worldsTab');
   const airlinesTab = document.getElementById('airlinesTab');
   const settingsTab = document.getElementById('settingsTab');
+  const auditTab = document.getElementById('auditTab');
 
   // Remove active state from all tabs
-  [usersTab, aircraftTab, airportsTab, worldsTab, airlinesTab, settingsTab].forEach(t => {
+  [usersTab, aircraftTab, airportsTab, worldsTab, airlinesTab, settingsTab, auditTab].forEach(t => {
     if (t) {
       t.classList.remove('active');
       t.style.borderBottom = '3px solid transparent';
@@ -275,6 +340,7 @@ function switchTab(tab) {
   document.getElementById('worldsSection').style.display = 'none';
   document.getElementById('airlinesSection').style.display = 'none';
   document.getElementById('settingsSection').style.display = 'none';
+  document.getElementById('auditSection').style.display = 'none';
 
   if (tab === 'users') {
     usersTab.classList.add('active');
@@ -327,6 +393,14 @@ function switchTab(tab) {
 
     // Load current sidebar setting
     loadSidebarSetting();
+  } else if (tab === 'audit') {
+    auditTab.classList.add('active');
+    auditTab.style.borderBottom = '3px solid var(--primary-color)';
+    auditTab.style.color = 'var(--primary-color)';
+    document.getElementById('auditSection').style.display = 'block';
+
+    loadAuditWorldDropdown();
+    loadAuditLog(1);
   }
 }
 
@@ -650,7 +724,7 @@ function renderWorldsTable(worlds) {
         <td style="padding: 0.5rem; font-weight: 600;">${world.name}</td>
         <td style="padding: 0.5rem; text-align: center;">${world.era}</td>
         <td style="padding: 0.5rem; text-align: center;">${formattedTime}</td>
-        <td style="padding: 0.5rem; text-align: center;">${world.memberCount || 0}/${world.maxPlayers || 100}</td>
+        <td style="padding: 0.5rem; text-align: center;">${world.memberCount || 0}/${world.maxPlayers || 100}${world.activeNpcAirlines ? ` <span style="color: var(--text-muted); font-size: 0.8rem;">+${world.activeNpcAirlines} AI</span>` : ''}</td>
         <td style="padding: 0.5rem; text-align: center; color: ${statusColor}; font-weight: 600;">${statusText}</td>
         <td style="padding: 0.5rem; text-align: center; font-family: 'Courier New', monospace;">${world.timeAcceleration || 60}x</td>
         <td style="padding: 0.5rem; text-align: center;">
@@ -713,6 +787,8 @@ function openEditWorldModal(world) {
   document.getElementById('worldJoinCost').value = world.joinCost !== undefined ? world.joinCost : 10;
   document.getElementById('worldWeeklyCost').value = world.weeklyCost !== undefined ? world.weeklyCost : 1;
   document.getElementById('worldFreeWeeks').value = world.freeWeeks !== undefined ? world.freeWeeks : 0;
+  document.getElementById('worldNpcAirlineCount').value = world.npcAirlineCount || 0;
+  document.getElementById('worldNpcAggressiveness').value = world.npcAggressiveness || 'balanced';
   document.getElementById('worldEndDate').value = world.endDate ? new Date(world.endDate).toISOString().split('T')[0] : '';
   document.getElementById('worldStatus').value = world.status || 'setup';
   document.getElementById('worldDescription').value = world.description || '';
@@ -737,6 +813,8 @@ function clearWorldForm() {
   document.getElementById('worldJoinCost').value = '10';
   document.getElementById('worldWeeklyCost').value = '1';
   document.getElementById('worldFreeWeeks').value = '0';
+  document.getElementById('worldNpcAirlineCount').value = '0';
+  document.getElementById('worldNpcAggressiveness').value = 'balanced';
   document.getElementById('worldEndDate').value = '';
   document.getElementById('worldStatus').value = 'setup';
   document.getElementById('worldDescription').value = '';
@@ -775,6 +853,8 @@ async function saveWorld() {
     joinCost: parseInt(document.getElementById('worldJoinCost').value) || 10,
     weeklyCost: parseInt(document.getElementById('worldWeeklyCost').value) || 1,
     freeWeeks: parseInt(document.getElementById('worldFreeWeeks').value) || 0,
+    npcAirlineCount: parseInt(document.getElementById('worldNpcAirlineCount').value) || 0,
+    npcAggressiveness: document.getElementById('worldNpcAggressiveness').value,
     endDate: document.getElementById('worldEndDate').value || null,
     status: statusElement ? statusElement.value : '',
     description: document.getElementById('worldDescription').value.trim() || null
@@ -1159,8 +1239,13 @@ async function confirmDeleteAirport() {
 }
 
 // Initialize
-document.addEventListener('DOMContentLoaded', () => {
-  loadUsers();
+document.addEventListener('DOMContentLoaded', async () => {
+  const firstTab = await loadAdminAccess();
+  if (firstTab === 'users') {
+    loadUsers();
+  } else if (firstTab) {
+    switchTab(firstTab);
+  }
 
   // Update world times regularly to keep them ticking
   setInterval(() => {
@@ -1721,3 +1806,135 @@ async function confirmDeleteFleetAircraft() {
     alert('Network error. Please try again.');
   }
 }
+
+// ==================== AUDIT LOG ====================
+
+let auditPage = 1;
+let auditWorldsLoaded = false;
+let auditSearchTimeout = null;
+
+// Load worlds dropdown for the audit log filter
+async function loadAuditWorldDropdown() {
+  if (auditWorldsLoaded) return;
+
+  try {
+    const response = await fetch('/api/admin/worlds');
+    const worlds = await response.json();
+
+    const select = document.getElementById('auditWorldSelect');
+    select.innerHTML = '<option value="">All worlds</option>';
+
+    worlds.forEach(world => {
+      const option = document.createElement('option');
+      option.value = world.id;
+      option.textContent = world.name;
+      select.appendChild(option);
+    });
+
+    auditWorldsLoaded = true;
+  } catch (error) {
+    console.error('Error loading worlds for audit dropdown:', error);
+  }
+}
+
+// Debounce typing in the audit search box
+function searchAuditLog() {
+  clearTimeout(auditSearchTimeout);
+  auditSearchTimeout = setTimeout(() => loadAuditLog(1), 300);
+}
+
+// Escape text from audit entries before putting it in the table
+function escapeAuditText(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+// Render the before/after values of an entry as "field: old → new" lines
+function formatAuditChanges(entry) {
+  const before = entry.beforeValues || {};
+  const after = entry.afterValues || {};
+  const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+  if (keys.length === 0) {
+    return '<span style="color: var(--text-muted);">-</span>';
+  }
+
+  const format = (value) => value === undefined ? '—' : escapeAuditText(JSON.stringify(value));
+
+  return keys.map(key => {
+    if (!entry.beforeValues) {
+      return `<div><strong>${escapeAuditText(key)}</strong>: ${format(after[key])}</div>`;
+    }
+    if (!entry.afterValues) {
+      return `<div><strong>${escapeAuditText(key)}</strong>: <span style="text-decoration: line-through;">${format(before[key])}</span></div>`;
+    }
+    return `<div><strong>${escapeAuditText(key)}</strong>: ${format(before[key])} → ${format(after[key])}</div>`;
+  }).join('');
+}
+
+// Load a page of the audit log with the current filters
+async function loadAuditLog(page = auditPage) {
+  auditPage = page;
+  const tbody = document.getElementById('auditTableBody');
+
+  const params = new URLSearchParams({ page: auditPage });
+  const filters = {
+    action: document.getElementById('auditActionSelect').value,
+    worldId: document.getElementById('auditWorldSelect').value,
+    from: document.getElementById('auditFromInput').value,
+    to: document.getElementById('auditToInput').value,
+    search: document.getElementById('auditSearchInput').value.trim()
+  };
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value) params.set(key, value);
+  });
+
+  try {
+    const response = await fetch(`/api/admin/audit?${params}`);
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to load audit log');
+    }
+
+    if (data.entries.length === 0) {
+      tbody.innerHTML = `
+        <tr>
+          <td colspan="6" style="padding: 1rem; text-align: center; color: var(--text-muted);">No admin actions match these filters</td>
+        </tr>
+      `;
+    } else {
+      tbody.innerHTML = data.entries.map(entry => `
+        <tr style="border-bottom: 1px solid var(--border-color); vertical-align: top;">
+          <td style="padding: 0.5rem; font-family: 'Courier New', monospace; white-space: nowrap;">${new Date(entry.createdAt).toLocaleString()}</td>
+          <td style="padding: 0.5rem;">
+            ${escapeAuditText(entry.actorName)}
+            <div style="font-size: 0.75rem; color: var(--text-muted);">${escapeAuditText(entry.actorRoles.replace(/,/g, ', ').toUpperCase())}</div>
+          </td>
+          <td style="padding: 0.5rem; font-family: 'Courier New', monospace;">${escapeAuditText(entry.action)}</td>
+          <td style="padding: 0.5rem;">${escapeAuditText(entry.targetLabel || entry.targetId || entry.targetType)}</td>
+          <td style="padding: 0.5rem; color: var(--text-secondary);">${entry.world ? escapeAuditText(entry.world.name) : '-'}</td>
+          <td style="padding: 0.5rem; font-size: 0.8rem; font-family: 'Courier New', monospace; word-break: break-word;">${formatAuditChanges(entry)}</td>
+        </tr>
+      `).join('');
+    }
+
+    const pagination = document.getElementById('auditPagination');
+    pagination.innerHTML = `
+      <span>${data.total} entr${data.total === 1 ? 'y' : 'ies'} · page ${data.page} of ${data.pages}</span>
+      <div style="display: flex; gap: 0.5rem;">
+        <button class="btn btn-secondary" style="padding: 0.35rem 0.75rem; font-size: 0.8rem;" onclick="loadAuditLog(${data.page - 1})" ${data.page <= 1 ? 'disabled' : ''}>Previous</button>
+        <button class="btn btn-secondary" style="padding: 0.35rem 0.75rem; font-size: 0.8rem;" onclick="loadAuditLog(${data.page + 1})" ${data.page >= data.pages ? 'disabled' : ''}>Next</button>
+      </div>
+    `;
+  } catch (error) {
+    console.error('Error loading audit log:', error);
+    tbody.innerHTML = `
+      <tr>
+        <td colspan="6" style="padding: 1rem; text-align: center; color: var(--warning-color);">Error loading audit log</td>
+      </tr>
+    `;
+  }
+}
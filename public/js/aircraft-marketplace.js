@@ -373,7 +373,7 @@ function displayAircraft(aircraftArray) {
 
     // Aircraft rows
     typeData.variants.forEach(aircraft => {
-      const ageDisplay = aircraft.age !== undefined ? `${aircraft.age}y` : 'New';
+      const ageDisplay = aircraft.age !== undefined ? `${aircraft.age}y` : aircraft.isUpcoming ? `EIS ${aircraft.availableFrom}` : 'New';
       const conditionPercent = aircraft.conditionPercentage || conditionToPercentage(aircraft.condition || 'New');
       const variantName = aircraft.variant || 'Base';
       const icaoCode = aircraft.icaoCode || '';
@@ -391,8 +391,14 @@ function displayAircraft(aircraftArray) {
         sellerLabel = `<div style="font-size: 0.55rem; color: var(--accent-color); margin-top: 0.1rem;">Lease: ${lessorName}</div>`;
       }
 
+      // New aircraft: next delivery slot on the production line
+      const quote = aircraft.orderQuote;
+      if (quote) {
+        sellerLabel = `<div style="font-size: 0.55rem; color: var(--accent-color); margin-top: 0.1rem;">Delivery ${new Date(quote.deliveryDate).toLocaleDateString('en-GB', { month: 'short', year: 'numeric' })}${quote.launchDiscount > 0 ? ` · <span style="color: #10b981;">Launch -${Math.round(quote.launchDiscount * 100)}%</span>` : ''}</div>`;
+      }
+
       // Price display: player listings only show their listing type
-      const purchaseDisplay = aircraft.purchasePrice ? `$${formatCurrencyShort(aircraft.purchasePrice)}` : '—';
+      const purchaseDisplay = aircraft.purchasePrice ? `$${formatCurrencyShort(quote ? quote.price : aircraft.purchasePrice)}` : '—';
       const leaseDisplay = aircraft.leasePrice ? `$${formatCurrencyShort(aircraft.leasePrice)}` : '—';
       const purchaseColor = aircraft.purchasePrice ? 'var(--success-color)' : 'var(--text-muted)';
       const leaseColor = aircraft.leasePrice ? 'var(--accent-color)' : 'var(--text-muted)';
@@ -513,6 +519,7 @@ function showAircraftDetails(aircraftId) {
   const conditionPercent = aircraft.conditionPercentage || (aircraft.condition === 'New' ? 100 : 70);
   const ageYears = aircraft.age !== undefined ? aircraft.age : 0;
   const isNew = currentCategory === 'new';
+  const quote = isNew ? aircraft.orderQuote : null;
 
   const detailContent = document.getElementById('aircraftDetailContent');
   detailContent.innerHTML = `
@@ -583,6 +590,29 @@ function showAircraftDetails(aircraftId) {
           </div>
         </div>
         ` : ''}
+
+        <!-- Production Line (for new aircraft) -->
+        ${quote ? `
+        <div style="background: var(--surface-elevated); border: 1px solid var(--border-color); border-radius: 6px; padding: 0.6rem; margin-top: 0.75rem;">
+          <h4 style="margin: 0 0 0.4rem 0; color: var(--text-muted); font-size: 0.6rem; text-transform: uppercase; letter-spacing: 0.5px;">Production Line</h4>
+          <div style="display: flex; gap: 0.5rem; margin-bottom: 0.5rem;">
+            <div style="flex: 1; text-align: center; padding: 0.4rem; background: var(--surface); border-radius: 3px;">
+              <div style="color: var(--text-muted); font-size: 0.55rem; text-transform: uppercase;">Next Slot</div>
+              <div style="color: var(--text-primary); font-weight: 700; font-size: 0.85rem;">${new Date(quote.deliveryDate).toLocaleDateString('en-GB')}</div>
+            </div>
+            <div style="flex: 1; text-align: center; padding: 0.4rem; background: var(--surface); border-radius: 3px;">
+              <div style="color: var(--text-muted); font-size: 0.55rem; text-transform: uppercase;">On Order</div>
+              <div style="color: var(--text-primary); font-weight: 700; font-size: 0.85rem;">${quote.backlog}<span style="font-size: 0.6rem; font-weight: 400;"> · ${quote.productionRate}/mo</span></div>
+            </div>
+          </div>
+          ${quote.paymentSchedule.map((p, i) => `
+            <div style="display: flex; justify-content: space-between; font-size: 0.65rem; padding: 0.15rem 0;">
+              <span style="color: var(--text-muted);">${p.label}${i > 0 && i < quote.paymentSchedule.length - 1 ? ` (${new Date(p.dueAt).toLocaleDateString('en-GB')})` : ''}</span>
+              <span style="color: var(--text-primary); font-weight: 600;">$${formatCurrencyShort(p.amount)}</span>
+            </div>
+          `).join('')}
+        </div>
+        ` : ''}
       </div>
 
       <!-- Right Column: Acquisition Options -->
@@ -593,8 +623,41 @@ function showAircraftDetails(aircraftId) {
         </div>
         ` : ''}
 
+        <!-- Order and Option (new aircraft) -->
+        ${quote ? `
+        <div style="background: linear-gradient(135deg, rgba(16, 185, 129, 0.1) 0%, rgba(16, 185, 129, 0.05) 100%); border: 2px solid rgba(16, 185, 129, 0.3); border-radius: 6px; padding: 0.75rem; margin-bottom: 0.6rem; cursor: pointer; transition: all 0.2s;" onmouseover="this.style.borderColor='#10b981'; this.style.transform='translateY(-1px)'" onmouseout="this.style.borderColor='rgba(16, 185, 129, 0.3)'; this.style.transform='none'" onclick="closeAircraftDetailModal(); processPurchase()">
+          <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 0.4rem;">
+            <div>
+              <div style="color: #10b981; font-weight: 700; font-size: 0.85rem;">ORDER</div>
+              <div style="color: var(--text-muted); font-size: 0.65rem;">Delivery ${new Date(quote.deliveryDate).toLocaleDateString('en-GB')}</div>
+            </div>
+            <div style="text-align: right;">
+              ${quote.launchDiscount > 0 ? `<div style="color: var(--text-muted); font-size: 0.65rem; text-decoration: line-through;">$${formatCurrencyShort(quote.listPrice)}</div>` : ''}
+              <div style="color: #10b981; font-weight: 700; font-size: 1.1rem;">$${formatCurrencyShort(quote.price)}</div>
+            </div>
+          </div>
+          <div style="font-size: 0.65rem; color: var(--text-secondary);">
+            ${quote.launchDiscount > 0 ? `✓ Launch customer -${Math.round(quote.launchDiscount * 100)}% &nbsp; ` : ''}✓ $${formatCurrencyShort(quote.dueAtSigning)} on signing &nbsp; ✓ Rest in stages
+          </div>
+        </div>
+        <div style="background: linear-gradient(135deg, rgba(245, 158, 11, 0.1) 0%, rgba(245, 158, 11, 0.05) 100%); border: 2px solid rgba(245, 158, 11, 0.3); border-radius: 6px; padding: 0.75rem; margin-bottom: 0.6rem; cursor: pointer; transition: all 0.2s;" onmouseover="this.style.borderColor='#f59e0b'; this.style.transform='translateY(-1px)'" onmouseout="this.style.borderColor='rgba(245, 158, 11, 0.3)'; this.style.transform='none'" onclick="closeAircraftDetailModal(); processOption()">
+          <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 0.4rem;">
+            <div>
+              <div style="color: #f59e0b; font-weight: 700; font-size: 0.85rem;">OPTION</div>
+              <div style="color: var(--text-muted); font-size: 0.65rem;">Hold this slot until ${new Date(quote.optionExpiresAt).toLocaleDateString('en-GB')}</div>
+            </div>
+            <div style="text-align: right;">
+              <div style="color: #f59e0b; font-weight: 700; font-size: 1.1rem;">$${formatCurrencyShort(quote.optionFee)}</div>
+            </div>
+          </div>
+          <div style="font-size: 0.65rem; color: var(--text-secondary);">
+            ✓ Fee counts towards the price &nbsp; ✓ Convert from My Fleet &nbsp; ✗ Forfeit if it lapses
+          </div>
+        </div>
+        ` : ''}
+
         <!-- Purchase Option -->
-        ${aircraft.purchasePrice ? `
+        ${aircraft.purchasePrice && !quote ? `
         <div style="background: linear-gradient(135deg, rgba(16, 185, 129, 0.1) 0%, rgba(16, 185, 129, 0.05) 100%); border: 2px solid rgba(16, 185, 129, 0.3); border-radius: 6px; padding: 0.75rem; margin-bottom: 0.6rem; cursor: pointer; transition: all 0.2s;" onmouseover="this.style.borderColor='#10b981'; this.style.transform='translateY(-1px)'" onmouseout="this.style.borderColor='rgba(16, 185, 129, 0.3)'; this.style.transform='none'" onclick="closeAircraftDetailModal(); processPurchase()">
           <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 0.4rem;">
             <div>
@@ -790,18 +853,100 @@ function processPurchase() {
     : `${selectedAircraft.manufacturer} ${selectedAircraft.model}`;
 
   const condition = selectedAircraft.condition || 'New';
-  const price = selectedAircraft.purchasePrice;
+  const quote = currentCategory === 'new' ? selectedAircraft.orderQuote : null;
+  const price = quote ? quote.price : selectedAircraft.purchasePrice;
 
   showConfirmationDialog(
-    'CONFIRM PURCHASE',
+    quote ? 'CONFIRM ORDER' : 'CONFIRM PURCHASE',
     fullName,
-    condition,
+    quote ? `New - delivery ${new Date(quote.deliveryDate).toLocaleDateString('en-GB')}` : condition,
     `$${formatCurrency(price)}`,
-    'Purchase',
+    quote ? 'Order' : 'Purchase',
     confirmPurchase
   );
 }
 
+// Take an option on the next delivery slot (the registration is given when it's converted)
+function processOption() {
+  const quote = selectedAircraft?.orderQuote;
+  if (!quote) return;
+
+  const fullName = selectedAircraft.variant
+    ? `${selectedAircraft.manufacturer} ${selectedAircraft.model}${selectedAircraft.variant.startsWith('-') ? selectedAircraft.variant : '-' + selectedAircraft.variant}`
+    : `${selectedAircraft.manufacturer} ${selectedAircraft.model}`;
+
+  const overlay = document.createElement('div');
+  overlay.style.cssText = `
+    position: fixed;
+    top: 0;
+    left: 0;
+    width: 100%;
+    height: 100%;
+    background: rgba(0, 0, 0, 0.8);
+    z-index: 2000;
+    display: flex;
+    justify-content: center;
+    align-items: center;
+  `;
+
+  overlay.innerHTML = `
+    <div style="background: var(--surface); border: 1px solid var(--border-color); border-radius: 8px; padding: 2rem; width: 90%; max-width: 500px;">
+      <h2 style="margin-bottom: 1.5rem; color: var(--text-primary); text-align: center;">CONFIRM OPTION</h2>
+      <div style="margin-bottom: 1.5rem; padding: 1rem; background: var(--surface-elevated); border-radius: 4px; font-size: 0.9rem;">
+        <h3 style="margin: 0 0 0.75rem 0; color: var(--accent-color); font-size: 1.1rem;">${fullName}</h3>
+        <div style="display: flex; justify-content: space-between; margin-bottom: 0.5rem;"><span style="color: var(--text-secondary);">Delivery slot:</span><strong>${new Date(quote.deliveryDate).toLocaleDateString('en-GB')}</strong></div>
+        <div style="display: flex; justify-content: space-between; margin-bottom: 0.5rem;"><span style="color: var(--text-secondary);">Convert by:</span><strong>${new Date(quote.optionExpiresAt).toLocaleDateString('en-GB')}</strong></div>
+        <div style="display: flex; justify-content: space-between; margin-bottom: 0.5rem;"><span style="color: var(--text-secondary);">Price if converted:</span><strong>$${formatCurrency(quote.price)}</strong></div>
+        <div style="display: flex; justify-content: space-between;"><span style="color: var(--text-secondary);">Option fee (non-refundable):</span><strong style="color: var(--success-color);">$${formatCurrency(quote.optionFee)}</strong></div>
+      </div>
+      <div style="display: flex; gap: 1rem;">
+        <button id="confirmOptionBtn" class="btn btn-primary" style="flex: 1; padding: 0.75rem;">Take Option</button>
+        <button id="cancelOptionBtn" class="btn btn-secondary" style="flex: 1; padding: 0.75rem;">Cancel</button>
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(overlay);
+
+  document.getElementById('cancelOptionBtn').addEventListener('click', () => {
+    document.body.removeChild(overlay);
+  });
+
+  document.getElementById('confirmOptionBtn').addEventListener('click', async () => {
+    document.body.removeChild(overlay);
+    showProcessingOverlay('purchase');
+
+    try {
+      const response = await fetch('/api/fleet/purchase', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          aircraftId: selectedAircraft.id,
+          category: 'new',
+          orderType: 'option'
+        })
+      });
+
+      const data = await response.json();
+      hideProcessingOverlay();
+
+      if (response.ok) {
+        showSuccessMessage(`Option taken on the ${new Date(data.order.deliveryDate).toLocaleDateString('en-GB')} delivery slot. Convert it to a firm order from your fleet page before ${new Date(data.order.optionExpiresAt).toLocaleDateString('en-GB')}.`, data.newBalance);
+        loadMarketplaceInfo();
+        loadAircraft();
+      } else {
+        showErrorMessage(`Option failed: ${data.error}`);
+      }
+    } catch (error) {
+      console.error('Error taking aircraft option:', error);
+      hideProcessingOverlay();
+      showErrorMessage('Failed to take option. Please try again.');
+    }
+  });
+}
+
 // Show processing/ordering overlay
 function showProcessingOverlay(actionType = 'order') {
   // Remove any existing processing overlay
@@ -860,7 +1005,8 @@ async function confirmPurchase(registration, autoSchedulePrefs = {}) {
   const aircraftName = selectedAircraft.variant
     ? `${selectedAircraft.manufacturer} ${selectedAircraft.model}${selectedAircraft.model.endsWith('-') || selectedAircraft.variant.startsWith('-') ? selectedAircraft.variant : '-' + selectedAircraft.variant}`
     : `${selectedAircraft.manufacturer} ${selectedAircraft.model}`;
-  await showContractSigningAnimation('purchase', aircraftName, registration, selectedAircraft.purchasePrice);
+  const quote = currentCategory === 'new' ? selectedAircraft.orderQuote : null;
+  await showContractSigningAnimation('purchase', aircraftName, registration, quote ? quote.price : selectedAircraft.purchasePrice);
 
   // Show processing overlay
   showProcessingOverlay('purchase');
@@ -896,6 +1042,8 @@ async function confirmPurchase(registration, autoSchedulePrefs = {}) {
         autoScheduleA: autoSchedulePrefs.autoScheduleA || false,
         autoScheduleC: autoSchedulePrefs.autoScheduleC || false,
         autoScheduleD: autoSchedulePrefs.autoScheduleD || false,
+        // Used market listing (priced and checked server-side)
+        usedListingId: selectedAircraft.usedListingId || null,
         // Player-to-player listing
         playerListingId: selectedAircraft.playerListingId || null
       })
@@ -906,9 +1054,16 @@ async function confirmPurchase(registration, autoSchedulePrefs = {}) {
     // Hide processing overlay
     hideProcessingOverlay();
 
-    if (response.ok) {
+    if (response.ok && data.order) {
+      // New aircraft arrive when their delivery slot comes up
+      showSuccessMessage(`Aircraft ordered! ${data.order.registration} will be delivered on ${new Date(data.order.deliveryDate).toLocaleDateString('en-GB')} - $${formatCurrency(data.paid)} paid on signing${crewReadinessNote(data.crewStatus)}`, data.newBalance);
+
+      // Delivery slots have moved along the production line
+      loadMarketplaceInfo();
+      loadAircraft();
+    } else if (response.ok) {
       // Show success message
-      showSuccessMessage(`Aircraft purchased successfully! Registration: ${data.aircraft.registration}`, data.newBalance);
+      showSuccessMessage(`Aircraft purchased successfully! Registration: ${data.aircraft.registration}${crewReadinessNote(data.crewStatus)}`, data.newBalance);
 
       // Reload marketplace info to update balance
       loadMarketplaceInfo();
@@ -916,6 +1071,11 @@ async function confirmPurchase(registration, autoSchedulePrefs = {}) {
       // Show error message
       const errorMsg = data.details ? `${data.error}: ${data.details}` : data.error;
       showErrorMessage(`Purchase failed: ${errorMsg}`);
+
+      // Listing was sold or withdrawn meanwhile - refresh what's on offer
+      if (response.status === 409) {
+        loadAircraft();
+      }
     }
   } catch (error) {
     console.error('Error purchasing aircraft:', error);
@@ -924,6 +1084,12 @@ async function confirmPurchase(registration, autoSchedulePrefs = {}) {
   }
 }
 
+// Explain that a new type needs qualified crew before it can be scheduled
+function crewReadinessNote(crewStatus) {
+  if (!crewStatus || crewStatus.ready) return '';
+  return `. Your airline needs ${crewStatus.pilots.required} pilots and ${crewStatus.cabinCrew.required} cabin crew qualified on the ${crewStatus.typeRating} before it can be scheduled - book type-rating training for them.`;
+}
+
 // Show confirmation dialog with registration input
 function showConfirmationDialog(title, aircraftName, condition, price, actionType, confirmCallback) {
   const overlay = document.createElement('div');
@@ -1635,6 +1801,8 @@ async function confirmLease(registration, autoSchedulePrefs = {}, leaseDurationM
         autoScheduleA: autoSchedulePrefs.autoScheduleA || false,
         autoScheduleC: autoSchedulePrefs.autoScheduleC || false,
         autoScheduleD: autoSchedulePrefs.autoScheduleD || false,
+        // Used market listing (priced and checked server-side)
+        usedListingId: selectedAircraft.usedListingId || null,
         // Player-to-player listing
         playerListingId: selectedAircraft.playerListingId || null
       })
@@ -1647,7 +1815,7 @@ async function confirmLease(registration, autoSchedulePrefs = {}, leaseDurationM
 
     if (response.ok) {
       // Show success message
-      showSuccessMessage(`Aircraft leased successfully! Registration: ${data.aircraft.registration}`, data.newBalance);
+      showSuccessMessage(`Aircraft leased successfully! Registration: ${data.aircraft.registration}${crewReadinessNote(data.crewStatus)}`, data.newBalance);
 
       // Reload marketplace info to update balance
       loadMarketplaceInfo();
@@ -1655,6 +1823,11 @@ async function confirmLease(registration, autoSchedulePrefs = {}, leaseDurationM
       // Show error message
       const errorMsg = data.details ? `${data.error}: ${data.details}` : data.error;
       showErrorMessage(`Lease failed: ${errorMsg}`);
+
+      // Listing was sold or withdrawn meanwhile - refresh what's on offer
+      if (response.status === 409) {
+        loadAircraft();
+      }
     }
   } catch (error) {
     console.error('Error leasing aircraft:', error);
@@ -17,7 +17,25 @@ const TYPE_COLORS = {
   info: 'var(--text-secondary)',
   aircraft_sold: 'var(--success-color)',
   aircraft_leased_out: 'var(--accent-color)',
-  lease_expired: 'var(--warning-color)'
+  lease_expired: 'var(--warning-color)',
+  administration_entered: 'var(--warning-color)',
+  administration_exited: 'var(--success-color)',
+  overdraft: '#f59e0b',
+  insolvency: 'var(--warning-color)',
+  insolvency_cleared: 'var(--success-color)',
+  loan_repaid: 'var(--success-color)',
+  flight_missed: 'var(--warning-color)',
+  reputation: 'var(--accent-color)',
+  vatsim_flight: 'var(--success-color)'
+};
+
+const REPUTATION_COMPONENTS = {
+  completion: 'Flights operated',
+  cancellation: 'Cancellations',
+  fleet: 'Fleet age & condition',
+  maintenance: 'Maintenance',
+  pricing: 'Fair fares',
+  vatsim: 'VATSIM punctuality'
 };
 
 function formatBalance(amount) {
@@ -145,6 +163,74 @@ async function loadPerformanceStats() {
   }
 }
 
+function reputationColor(score) {
+  if (score >= 70) return 'var(--success-color)';
+  if (score >= 40) return 'var(--accent-color)';
+  return 'var(--warning-color)';
+}
+
+async function loadReputation() {
+  const chartEl = document.getElementById('reputationChart');
+  const componentsEl = document.getElementById('reputationComponents');
+  const trendEl = document.getElementById('reputationTrend');
+  if (!chartEl) return;
+
+  try {
+    const res = await fetch('/api/world/reputation');
+    if (!res.ok) throw new Error('Failed to load');
+    const data = await res.json();
+
+    if (trendEl && data.history.length > 0) {
+      const sign = data.trend > 0 ? '+' : '';
+      trendEl.textContent = `${sign}${data.trend} over ${data.history.length} wk`;
+      trendEl.style.color = data.trend > 0 ? 'var(--success-color)' : data.trend < 0 ? '#f85149' : 'var(--text-muted)';
+    }
+
+    if (data.history.length < 2) {
+      chartEl.innerHTML = '<div class="panel-empty">Reputation is reviewed weekly. History will appear here after a few weeks of operations.</div>';
+    } else {
+      // Reputation line over the measured score (dashed) on a 0-100 scale
+      const width = 600;
+      const height = 120;
+      const step = width / (data.history.length - 1);
+      const y = (value) => (height - 4) - (value / 100) * (height - 8);
+      const points = (key) => data.history.map((h, i) => `${(i * step).toFixed(1)},${y(h[key]).toFixed(1)}`).join(' ');
+      const tooltips = data.history.map((h, i) => {
+        const date = new Date(h.gameTime).toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' });
+        return `<circle cx="${(i * step).toFixed(1)}" cy="${y(h.reputation).toFixed(1)}" r="3" fill="var(--accent-color)"><title>${date}: ${h.reputation}/100 (${h.flightsCompleted} flown, ${h.flightsMissed} missed, ${h.flightsCancelled} cancelled)</title></circle>`;
+      }).join('');
+
+      chartEl.innerHTML = `
+        <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+          <line x1="0" y1="${y(50)}" x2="${width}" y2="${y(50)}" stroke="var(--border-color)" stroke-dasharray="2 4"></line>
+          <polyline points="${points('target')}" fill="none" stroke="var(--text-muted)" stroke-width="1" stroke-dasharray="4 3"></polyline>
+          <polyline points="${points('reputation')}" fill="none" stroke="var(--accent-color)" stroke-width="2"></polyline>
+          ${tooltips}
+        </svg>`;
+    }
+
+    if (componentsEl) {
+      if (!data.components) {
+        componentsEl.innerHTML = '';
+        return;
+      }
+      componentsEl.innerHTML = Object.entries(REPUTATION_COMPONENTS).map(([key, label]) => {
+        const score = data.components[key];
+        if (score === null || score === undefined) return '';
+        return `
+          <div class="reputation-component">
+            <span>${label}</span>
+            <div class="reputation-component-bar"><div style="width: ${score}%; background: ${reputationColor(score)};"></div></div>
+            <span class="reputation-component-value">${score}</span>
+          </div>`;
+      }).join('');
+    }
+  } catch (error) {
+    console.error('Error loading reputation:', error);
+    chartEl.innerHTML = '<div class="panel-empty">Unable to load reputation.</div>';
+  }
+}
+
 async function loadNotifications() {
   const body = document.getElementById('notificationsBody');
   const countEl = document.getElementById('notificationCount');
@@ -209,6 +295,7 @@ async function dismissNotification(id, btnEl) {
 document.addEventListener('DOMContentLoaded', () => {
   loadDashboardStats();
   loadPerformanceStats();
+  loadReputation();
   loadNotifications();
 
   // Measure and set navbar height for fixed sidebar positioning
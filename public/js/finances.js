@@ -27,6 +27,7 @@ function displayFinancialData(data) {
   // Operating Revenues Section
   rows += createSectionHeader('OPERATING REVENUES');
   rows += createDataRow('Sold tickets (economy)', data.weeks.map(w => w.revenues.economy));
+  rows += createDataRow('Sold tickets (economy plus)', data.weeks.map(w => w.revenues.economyPlus));
   rows += createDataRow('Sold tickets (business)', data.weeks.map(w => w.revenues.business));
   rows += createDataRow('Sold tickets (first)', data.weeks.map(w => w.revenues.first));
   rows += createDataRow('Transported cargo (light)', data.weeks.map(w => w.revenues.cargoLight));
@@ -70,6 +71,7 @@ function displayFinancialData(data) {
   rows += createDataRow('Profit on sold aircraft', data.weeks.map(w => w.other.profitOnSales));
   rows += createDataRow('Loss on sold aircraft', data.weeks.map(w => w.other.lossOnSales), true);
   rows += createDataRow('Airport slot fees', data.weeks.map(w => w.other.slotFees), true);
+  rows += createDataRow('Airport slot income', data.weeks.map(w => w.other.slotIncome));
   rows += createDataRow('Bank fees', data.weeks.map(w => w.other.bankFees), true);
   rows += createDataRow('Interest', data.weeks.map(w => w.other.interest), true);
   rows += createTotalRow('Total other revenues / expenses', data.weeks.map(w => w.other.total), false);
@@ -147,6 +149,67 @@ function createSpacer() {
   return `<tr style="height: 1rem;"><td colspan="5"></td></tr>`;
 }
 
+// Load the world's fuel price history and the airline's fuel contracts
+async function loadFuelPrices() {
+  const chartEl = document.getElementById('fuelChart');
+  const spotEl = document.getElementById('fuelSpot');
+  const contractsEl = document.getElementById('fuelContracts');
+  if (!chartEl) return;
+
+  try {
+    const response = await fetch('/api/fuel?days=365');
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to load fuel prices');
+    }
+
+    if (spotEl) {
+      spotEl.textContent = `Spot $${data.spotPrice.toFixed(3)}/L`;
+    }
+
+    if (data.history.length < 2) {
+      chartEl.innerHTML = '<div class="panel-empty">Fuel is priced daily. History will appear here after a few game days.</div>';
+    } else {
+      // Spot price over the historical curve (dashed), scaled to the range shown
+      const width = 600;
+      const height = 120;
+      const step = width / (data.history.length - 1);
+      const values = data.history.flatMap(h => [h.price, h.historical]);
+      const min = Math.min(...values);
+      const range = (Math.max(...values) - min) || 1;
+      const y = (value) => (height - 4) - ((value - min) / range) * (height - 8);
+      const points = (key) => data.history.map((h, i) => `${(i * step).toFixed(1)},${y(h[key]).toFixed(1)}`).join(' ');
+      const markers = data.history.map((h, i) => {
+        if (!h.event) return '';
+        const date = new Date(`${h.date}T12:00:00`).toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' });
+        return `<circle cx="${(i * step).toFixed(1)}" cy="${y(h.price).toFixed(1)}" r="3" fill="var(--warning-color)"><title>${date}: ${h.event} ($${h.price.toFixed(3)}/L)</title></circle>`;
+      }).join('');
+
+      chartEl.innerHTML = `
+        <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+          <polyline points="${points('historical')}" fill="none" stroke="var(--text-muted)" stroke-width="1" stroke-dasharray="4 3"></polyline>
+          <polyline points="${points('price')}" fill="none" stroke="var(--accent-color)" stroke-width="2"></polyline>
+          ${markers}
+        </svg>`;
+    }
+
+    if (contractsEl) {
+      const active = data.contracts.filter(c => c.status === 'active');
+      contractsEl.innerHTML = active.length === 0
+        ? 'No active hedges or bulk contracts. All fuel is bought at spot.'
+        : active.map(c => {
+          const expires = new Date(c.expiresAt).toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' });
+          const label = c.contractType === 'hedge' ? 'Hedge' : 'Bulk';
+          return `<div>${label}: ${formatCurrency(c.remainingLiters)} of ${formatCurrency(c.volumeLiters)} L left at $${Number(c.pricePerLiter).toFixed(3)}/L, expires ${expires}</div>`;
+        }).join('');
+    }
+  } catch (error) {
+    console.error('Error loading fuel prices:', error);
+    chartEl.innerHTML = '<div class="panel-empty">Unable to load fuel prices.</div>';
+  }
+}
+
 // Format currency
 function formatCurrency(amount) {
   const numAmount = Number(amount) || 0;
@@ -156,4 +219,5 @@ function formatCurrency(amount) {
 // Initialize when page loads
 document.addEventListener('DOMContentLoaded', () => {
   loadFinancialData();
+  loadFuelPrices();
 });
@@ -70,6 +70,7 @@ function filterFleet() {
       if (statusFilter === 'leased' && isOwned) return false;
       if (statusFilter === 'listed' && !['listed_sale', 'listed_lease'].includes(userAircraft.status)) return false;
       if (statusFilter === 'leased_out' && userAircraft.status !== 'leased_out') return false;
+      if (statusFilter === 'storage' && userAircraft.status !== 'storage') return false;
     }
 
     return true;
@@ -156,7 +157,7 @@ function displayFleet() {
     // Aircraft rows
     aircraftList.forEach(userAircraft => {
       const isOwned = userAircraft.acquisitionType === 'purchase';
-      const conditionPercent = userAircraft.conditionPercentage || 100;
+      const conditionPercent = Math.round(userAircraft.conditionPercentage || 100);
       const profit = userAircraft.profit || 0;
       const profitDisplay = profit !== 0 ? (profit > 0 ? '+' : '') + '$' + formatCurrency(Math.abs(profit)) : '$0';
       const profitColor = profit >= 0 ? 'var(--success-color)' : 'var(--warning-color)';
@@ -166,6 +167,7 @@ function displayFleet() {
       if (userAircraft.status === 'listed_sale') { badgeText = 'Sale'; badgeClass = 'status-listed-sale'; }
       else if (userAircraft.status === 'listed_lease') { badgeText = 'List'; badgeClass = 'status-listed-lease'; }
       else if (userAircraft.status === 'leased_out') { badgeText = 'L-Out'; badgeClass = 'status-leased-out'; }
+      else if (userAircraft.status === 'storage') { badgeText = 'Stor'; badgeClass = 'status-stored'; }
       else { badgeText = isOwned ? 'Own' : 'Lse'; badgeClass = isOwned ? 'status-owned' : 'status-leased'; }
 
       html += `
@@ -178,7 +180,7 @@ function displayFleet() {
           <div class="fleet-cell">
             <span class="status-badge ${getConditionClass(conditionPercent)}">${conditionPercent}%</span>
           </div>
-          <div class="fleet-cell" style="color: var(--text-primary);">${userAircraft.currentAirport || 'N/A'}</div>
+          <div class="fleet-cell" style="color: var(--text-primary);">${userAircraft.currentAirport || 'In flight'}</div>
           <div class="fleet-cell">
             <button class="btn btn-primary" style="padding: 0.2rem 0.4rem; font-size: 0.65rem;" onclick="event.stopPropagation(); showAircraftDetails('${userAircraft.id}')">VIEW</button>
           </div>
@@ -194,6 +196,105 @@ function displayFleet() {
   grid.innerHTML = html;
 }
 
+// Load new aircraft on order and options held
+async function loadOrders() {
+  try {
+    const response = await fetch('/api/fleet/orders');
+    const orders = await response.json();
+
+    if (!response.ok) {
+      throw new Error(orders.error || 'Failed to load orders');
+    }
+
+    displayOrders(orders);
+  } catch (error) {
+    console.error('Error loading orders:', error);
+  }
+}
+
+// Display upcoming deliveries, soonest first
+function displayOrders(orders) {
+  const panel = document.getElementById('ordersPanel');
+  panel.style.display = orders.length > 0 ? '' : 'none';
+  document.getElementById('orderCount').textContent = orders.length;
+  if (orders.length === 0) return;
+
+  let html = `
+    <div class="fleet-header">
+      <span>REG</span>
+      <span>TYPE</span>
+      <span>STATUS</span>
+      <span>DELIVERY</span>
+      <span>PAID</span>
+      <span></span>
+    </div>
+  `;
+
+  orders.forEach(order => {
+    const isOption = order.status === 'option';
+    const price = parseFloat(order.price);
+    const paid = parseFloat(order.depositsPaid) || 0;
+
+    // Next thing the airline has to do or pay for this order
+    const note = isOption
+      ? `Convert by ${new Date(order.optionExpiresAt).toLocaleDateString('en-GB')} - $${formatCurrency(order.dueOnConversion)} due on conversion`
+      : order.nextPayment
+        ? `${order.nextPayment.label}: $${formatCurrency(order.nextPayment.amount)} on ${new Date(order.nextPayment.dueAt).toLocaleDateString('en-GB')}`
+        : '';
+
+    html += `
+      <div class="fleet-row" style="cursor: default;">
+        <div class="fleet-cell fleet-reg">${order.registration || '—'}</div>
+        <div class="fleet-cell" style="color: var(--text-primary);">${order.typeName}</div>
+        <div class="fleet-cell">
+          <span class="status-badge ${isOption ? 'status-option' : 'status-on-order'}">${isOption ? 'Opt' : 'Firm'}</span>
+        </div>
+        <div class="fleet-cell" style="color: var(--text-primary);">${new Date(order.deliveryDate).toLocaleDateString('en-GB')}</div>
+        <div class="fleet-cell" style="color: var(--text-muted);">${Math.round(paid / price * 100)}% of $${formatCurrency(price)}</div>
+        <div class="fleet-cell">
+          ${isOption ? `<button class="btn btn-primary" style="padding: 0.2rem 0.4rem; font-size: 0.65rem;" onclick="showConvertOptionDialog('${order.id}', '${order.typeName}', ${order.dueOnConversion}, '${order.deliveryDate}')">CONVERT</button>` : ''}
+        </div>
+      </div>
+      ${note ? `<div style="padding: 0 0.75rem 0.3rem; font-size: 0.65rem; color: var(--text-muted); border-bottom: 1px solid var(--border-color);">${note}</div>` : ''}
+    `;
+  });
+
+  document.getElementById('ordersGrid').innerHTML = html;
+}
+
+// Convert a purchase option into a firm order
+function showConvertOptionDialog(orderId, typeName, dueOnConversion, deliveryDate) {
+  showFleetModal({
+    icon: '&#9992;',
+    iconClass: 'primary',
+    title: 'Convert Option',
+    registration: typeName,
+    bodyHtml: `
+      <p>Firm up this delivery slot for <strong>${new Date(deliveryDate).toLocaleDateString('en-GB')}</strong>. Pre-delivery payments already due, less the option fee, are charged now: <strong>$${formatCurrency(dueOnConversion)}</strong>.</p>
+      <div class="fleet-modal-input-group">
+        <label>Registration</label>
+        <div class="fleet-modal-input-wrap"><input type="text" id="convertRegistration" maxlength="10" placeholder="e.g. G-ABCD" style="text-transform: uppercase;"></div>
+      </div>
+    `,
+    confirmLabel: 'Place Firm Order',
+    confirmClass: 'btn-confirm-primary',
+    onConfirm: async () => {
+      try {
+        const res = await fetch(`/api/fleet/orders/${orderId}/convert`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ registration: document.getElementById('convertRegistration').value.trim() })
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error);
+        loadOrders();
+      } catch (err) {
+        showFleetModal({ icon: '&#10060;', iconClass: 'danger', title: 'Error', bodyHtml: `<p>${err.message}</p>`, confirmLabel: 'OK', confirmClass: 'btn-confirm-primary', onConfirm: () => {} });
+      }
+    }
+  });
+}
+
 // Show aircraft details
 async function showAircraftDetails(userAircraftId) {
   const userAircraft = fleetData.find(a => a.id === userAircraftId);
@@ -201,7 +302,7 @@ async function showAircraftDetails(userAircraftId) {
 
   const aircraft = userAircraft.aircraft;
   const isLeased = userAircraft.acquisitionType === 'lease';
-  const conditionPercent = userAircraft.conditionPercentage || 100;
+  const conditionPercent = Math.round(userAircraft.conditionPercentage || 100);
 
   // Calculate costs
   const fuelBurnPerHour = parseFloat(userAircraft.fuelBurnPerHour) || 0;
@@ -253,11 +354,12 @@ async function showAircraftDetails(userAircraftId) {
           </div>
           <div style="background: var(--surface-elevated); padding: 0.75rem; border-radius: 6px; text-align: center;">
             <div style="font-size: 0.75rem; color: var(--text-muted); text-transform: uppercase; margin-bottom: 0.25rem;">Location</div>
-            <div style="font-size: 1.4rem; font-weight: 700; color: var(--accent-color);">${userAircraft.currentAirport || 'N/A'}</div>
+            <div style="font-size: 1.4rem; font-weight: 700; color: var(--accent-color);">${userAircraft.currentAirport || 'In flight'}</div>
           </div>
           <div style="background: var(--surface-elevated); padding: 0.75rem; border-radius: 6px; text-align: center;">
             <div style="font-size: 0.75rem; color: var(--text-muted); text-transform: uppercase; margin-bottom: 0.25rem;">Flight Hours</div>
             <div style="font-size: 1.4rem; font-weight: 700; color: var(--text-primary);">${formatCurrency(parseFloat(userAircraft.totalFlightHours) || 0)}</div>
+            <div style="font-size: 0.75rem; color: var(--text-muted);">${formatCurrency(userAircraft.totalCycles || 0)} cycles</div>
           </div>
           <div style="background: var(--surface-elevated); padding: 0.75rem; border-radius: 6px; text-align: center;">
             <div style="font-size: 0.75rem; color: var(--text-muted); text-transform: uppercase; margin-bottom: 0.25rem;">Routes</div>
@@ -300,7 +402,15 @@ async function showAircraftDetails(userAircraftId) {
 
         <!-- Bottom Row: Ownership / Listing Info -->
         <div style="margin-top: 0.75rem; background: var(--surface-elevated); border-radius: 6px; padding: 0.6rem 1rem; font-size: 0.95rem; display: flex; justify-content: space-between; align-items: center;">
-          ${userAircraft.status === 'listed_sale' ? `
+          ${userAircraft.status === 'storage' ? `
+            <span><span style="color: #8b949e; font-weight: 600;">In Storage</span> since <strong>${new Date(userAircraft.storedAt).toLocaleDateString('en-GB')}</strong></span>
+            ${userAircraft.reactivationReadyAt ? `
+              <span><span style="color: var(--text-muted);">Back in service:</span> <strong>${new Date(userAircraft.reactivationReadyAt).toLocaleDateString('en-GB')}</strong></span>
+            ` : `
+              <span><span style="color: var(--text-muted);">Reactivation:</span> <strong>$${formatCurrency(userAircraft.reactivationQuote?.cost || 0)}</strong>, ${userAircraft.reactivationQuote?.days || 0} days</span>
+            `}
+            <span><span style="color: var(--text-muted);">Insurance + upkeep:</span> <strong>$${formatCurrency((userAircraft.weeklyCosts?.insurance || 0) + (userAircraft.weeklyCosts?.maintenance || 0))}/wk</strong></span>
+          ` : userAircraft.status === 'listed_sale' ? `
             <span><span style="color: var(--warning-color); font-weight: 600;">Listed for Sale</span> @ <strong>$${formatCurrency(userAircraft.listingPrice || 0)}</strong></span>
             <span><span style="color: var(--text-muted);">Listed:</span> <strong>${userAircraft.listedAt ? new Date(userAircraft.listedAt).toLocaleDateString('en-GB') : 'N/A'}</strong></span>
           ` : userAircraft.status === 'listed_lease' ? `
@@ -314,6 +424,7 @@ async function showAircraftDetails(userAircraftId) {
             <span><span style="color: var(--text-muted);">Ends:</span> <strong>${new Date(userAircraft.leaseEndDate).toLocaleDateString('en-GB')}</strong></span>
           ` : `
             <span><span style="color: var(--text-muted);">Purchased for:</span> <span style="color: var(--success-color); font-weight: 600;">$${formatCurrency(userAircraft.purchasePrice || 0)}</span></span>
+            <span><span style="color: var(--text-muted);">Market value:</span> <strong>$${formatCurrency(userAircraft.marketValue || 0)}</strong></span>
             <span><span style="color: var(--text-muted);">Acquired:</span> <strong>${new Date(userAircraft.acquiredAt).toLocaleDateString('en-GB')}</strong></span>
           `}
         </div>
@@ -407,9 +518,18 @@ function buildActionButtons(ua) {
     html += `<button class="btn btn-danger" onclick="event.stopPropagation(); confirmCancelLease('${ua.id}', '${ua.registration}', ${isPlayerLease}, ${monthlyRate})" style="flex:1; padding: 0.5rem; font-size: 0.9rem;">CANCEL LEASE</button>`;
   }
   if (isOwned && ['active', 'storage'].includes(status)) {
-    html += `<button class="btn" onclick="event.stopPropagation(); showSellDialog('${ua.id}', '${ua.registration}', ${ua.purchasePrice || 0})" style="flex:1; padding: 0.5rem; font-size: 0.9rem; background: #d29922; border-color: #d29922; color: #fff;">SELL</button>`;
+    html += `<button class="btn" onclick="event.stopPropagation(); showSellDialog('${ua.id}', '${ua.registration}', ${ua.purchasePrice || 0}, ${ua.marketValue || 0})" style="flex:1; padding: 0.5rem; font-size: 0.9rem; background: #d29922; border-color: #d29922; color: #fff;">SELL</button>`;
     html += `<button class="btn btn-primary" onclick="event.stopPropagation(); showLeaseOutDialog('${ua.id}', '${ua.registration}')" style="flex:1; padding: 0.5rem; font-size: 0.9rem;">LEASE OUT</button>`;
   }
+  if (status === 'active') {
+    html += `<button class="btn btn-secondary" onclick="event.stopPropagation(); showStoreDialog('${ua.id}', '${ua.registration}', ${ua.weeklyCosts ? ua.weeklyCosts.insurance + ua.weeklyCosts.maintenance : 0})" style="flex:1; padding: 0.5rem; font-size: 0.9rem;">STORE</button>`;
+  }
+  if (status === 'storage' && !ua.reactivationReadyAt) {
+    html += `<button class="btn btn-primary" onclick="event.stopPropagation(); confirmReactivate('${ua.id}', '${ua.registration}', ${ua.reactivationQuote?.cost || 0}, ${ua.reactivationQuote?.days || 0})" style="flex:1; padding: 0.5rem; font-size: 0.9rem;">REACTIVATE</button>`;
+  }
+  if (['active', 'maintenance'].includes(status)) {
+    html += `<button class="btn btn-primary" onclick="event.stopPropagation(); showFerryDialog('${ua.id}', '${ua.registration}')" style="flex:1; padding: 0.5rem; font-size: 0.9rem;">FERRY</button>`;
+  }
   if (['listed_sale', 'listed_lease'].includes(status)) {
     html += `<button class="btn" onclick="event.stopPropagation(); withdrawListing('${ua.id}')" style="flex:1; padding: 0.5rem; font-size: 0.9rem; background: #d29922; border-color: #d29922; color: #fff;">WITHDRAW LISTING</button>`;
   }
@@ -543,8 +663,8 @@ function confirmCancelLease(aircraftId, registration, isPlayerLease, monthlyRate
 }
 
 // Sell dialog with price input
-function showSellDialog(aircraftId, registration, purchasePrice) {
-  const suggestedPrice = Math.round((purchasePrice || 0) * 0.8);
+function showSellDialog(aircraftId, registration, purchasePrice, marketValue) {
+  const suggestedPrice = Math.round(marketValue || (purchasePrice || 0) * 0.8);
   showFleetModal({
     icon: '&#128181;',
     iconClass: 'warning',
@@ -553,6 +673,7 @@ function showSellDialog(aircraftId, registration, purchasePrice) {
     bodyHtml: `
       <p>Set an asking price to list this aircraft on the used market. Scheduled flights and maintenance will be removed.</p>
       <p style="font-size: 0.8rem; color: var(--text-muted);">Original purchase price: <strong style="color: var(--text-primary);">$${formatCurrency(purchasePrice || 0)}</strong></p>
+      ${marketValue ? `<p style="font-size: 0.8rem; color: var(--text-muted);">Market value for its age and condition: <strong style="color: var(--text-primary);">$${formatCurrency(marketValue)}</strong>. Buyers are slower to bite the further you ask above it.</p>` : ''}
     `,
     confirmLabel: 'List for Sale',
     confirmClass: 'btn-confirm-warning',
@@ -617,6 +738,133 @@ function showLeaseOutDialog(aircraftId, registration) {
   });
 }
 
+// Ferry (positioning) flight dialog
+function showFerryDialog(aircraftId, registration) {
+  showFleetModal({
+    icon: '&#9992;',
+    iconClass: 'primary',
+    title: 'Ferry Flight',
+    registration,
+    bodyHtml: `
+      <p>Fly the aircraft empty to another airport, from wherever it will be at the departure time. Ferry flights pay fuel, maintenance and airport charges but carry no revenue.</p>
+      <div class="fleet-modal-input-group">
+        <label>Destination (ICAO)</label>
+        <div class="fleet-modal-input-wrap"><input type="text" id="ferryIcao" maxlength="4" placeholder="e.g. EGLL" style="text-transform: uppercase;"></div>
+      </div>
+      <div class="fleet-modal-input-group">
+        <label>Departure</label>
+        <div class="fleet-modal-input-wrap">
+          <input type="date" id="ferryDate">
+          <input type="time" id="ferryTime" step="300">
+        </div>
+      </div>
+    `,
+    confirmLabel: 'Schedule Ferry',
+    confirmClass: 'btn-confirm-primary',
+    onConfirm: async () => {
+      try {
+        const res = await fetch('/api/schedule/ferry', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            aircraftId,
+            arrivalIcao: document.getElementById('ferryIcao').value.trim(),
+            scheduledDate: document.getElementById('ferryDate').value,
+            departureTime: document.getElementById('ferryTime').value
+          })
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.conflict?.message || data.error);
+        const ferry = data.ferry;
+        showFleetModal({
+          icon: '&#9992;',
+          iconClass: 'primary',
+          title: 'Ferry Scheduled',
+          registration,
+          bodyHtml: `<p>${ferry.departureAirport.icaoCode} → ${ferry.arrivalAirport.icaoCode}, arriving ${ferry.arrivalDate} ${ferry.arrivalTime.substring(0, 5)}. Estimated cost $${formatCurrency(data.estimatedCost)}.</p>`,
+          confirmLabel: 'OK',
+          confirmClass: 'btn-confirm-primary',
+          onConfirm: () => {}
+        });
+      } catch (err) {
+        showFleetModal({ icon: '&#10060;', iconClass: 'danger', title: 'Error', bodyHtml: `<p>${err.message}</p>`, confirmLabel: 'OK', confirmClass: 'btn-confirm-primary', onConfirm: () => {} });
+      }
+    }
+  });
+}
+
+// Storage dialog with preservation programme choice
+async function showStoreDialog(aircraftId, registration, weeklyCost) {
+  let programmes = [];
+  try {
+    const res = await fetch('/api/fleet/storage-programmes');
+    programmes = await res.json();
+  } catch (err) {
+    console.error('Error loading storage programmes:', err);
+  }
+
+  showFleetModal({
+    icon: '&#128230;',
+    iconClass: 'warning',
+    title: 'Put Into Storage',
+    registration,
+    bodyHtml: `
+      <p>Scheduled flights and maintenance will be removed. Stored aircraft pay much less insurance and upkeep (now $${formatCurrency(weeklyCost)}/wk) and their paused checks stop ageing, but bringing them back takes time and money - more the longer they sit.</p>
+      ${programmes.map((p, i) => `
+        <label style="display: block; margin-top: 0.5rem; padding: 0.6rem; border: 1px solid var(--border-color); border-radius: 6px; cursor: pointer;">
+          <input type="radio" name="storageProgramme" value="${p.key}" ${i === 0 ? 'checked' : ''}>
+          <strong>${p.name}</strong>
+          <div style="font-size: 0.8rem; color: var(--text-muted); margin-top: 0.25rem;">${p.description} Insurance ${Math.round(p.insuranceRate * 100)}% of normal; ${p.pausedChecks.join(' and ')} check clock${p.pausedChecks.length > 1 ? 's' : ''} paused.</div>
+        </label>
+      `).join('')}
+    `,
+    confirmLabel: 'Store Aircraft',
+    confirmClass: 'btn-confirm-warning',
+    onConfirm: async () => {
+      try {
+        const programme = document.querySelector('input[name="storageProgramme"]:checked')?.value;
+        const res = await fetch(`/api/fleet/${aircraftId}/store`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ programme })
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error);
+        document.getElementById('aircraftDetailOverlay')?.remove();
+        loadFleet();
+      } catch (err) {
+        showFleetModal({ icon: '&#10060;', iconClass: 'danger', title: 'Error', bodyHtml: `<p>${err.message}</p>`, confirmLabel: 'OK', confirmClass: 'btn-confirm-primary', onConfirm: () => {} });
+      }
+    }
+  });
+}
+
+// Reactivate a stored aircraft
+function confirmReactivate(aircraftId, registration, cost, days) {
+  showFleetModal({
+    icon: '&#9992;',
+    iconClass: 'primary',
+    title: 'Reactivate Aircraft',
+    registration,
+    bodyHtml: `
+      <p>Return this aircraft to service. The work costs <strong>$${formatCurrency(cost)}</strong>, charged now, and takes <strong>${days} day${days === 1 ? '' : 's'}</strong> of game time.</p>
+    `,
+    confirmLabel: `Pay $${formatCurrency(cost)} & Reactivate`,
+    confirmClass: 'btn-confirm-primary',
+    onConfirm: async () => {
+      try {
+        const res = await fetch(`/api/fleet/${aircraftId}/reactivate`, { method: 'POST' });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error);
+        document.getElementById('aircraftDetailOverlay')?.remove();
+        loadFleet();
+      } catch (err) {
+        showFleetModal({ icon: '&#10060;', iconClass: 'danger', title: 'Error', bodyHtml: `<p>${err.message}</p>`, confirmLabel: 'OK', confirmClass: 'btn-confirm-primary', onConfirm: () => {} });
+      }
+    }
+  });
+}
+
 // Withdraw listing
 function withdrawListing(aircraftId) {
   showFleetModal({
@@ -688,4 +936,5 @@ function formatCurrency(amount) {
 // Initialize when page loads
 document.addEventListener('DOMContentLoaded', () => {
   loadFleet();
+  loadOrders();
 });
@@ -180,9 +180,9 @@ async function loadUserInfo() {
         }
       }
 
-      // Show admin link in sidebar if user is admin
+      // Show admin link in sidebar if user has an admin role
       const sidebarAdminLink = document.getElementById('sidebarAdminLink');
-      if (sidebarAdminLink && data.user.isAdmin) {
+      if (sidebarAdminLink && data.user.hasAdminAccess) {
         sidebarAdminLink.style.display = 'flex';
         sidebarAdminLink.style.alignItems = 'center';
         sidebarAdminLink.style.justifyContent = 'space-between';
@@ -563,7 +563,7 @@ function ensureAdminLinkVisibility() {
   fetch('/auth/status')
     .then(response => response.json())
     .then(data => {
-      if (data.authenticated && data.user.isAdmin) {
+      if (data.authenticated && data.user.hasAdminAccess) {
         const sidebarAdminLink = document.getElementById('sidebarAdminLink');
         if (sidebarAdminLink) {
           sidebarAdminLink.style.display = 'flex';
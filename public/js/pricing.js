@@ -5,6 +5,16 @@ let aircraftTypePricing = {};
 let routes = [];
 let userFleet = [];
 let filteredRoutes = [];
+let routeRevenueManagement = {}; // Pricing strategy and fare buckets by route ID, loaded when a route is opened
+
+// Pricing strategies a route can use
+const PRICING_STRATEGIES = {
+  manual: 'Manual',
+  target_load_factor: 'Target load factor',
+  maximise_revenue: 'Maximise revenue',
+  maximise_load_factor: 'Maximise load factor',
+  match_competitor: 'Match competitors'
+};
 
 // Fetch global pricing defaults
 async function fetchGlobalPricing() {
@@ -447,7 +457,18 @@ function displayRoutes() {
               </div>
             </div>
           </div>
+          <div class="pricing-row-label" style="margin-top: 0.5rem;">Revenue Management</div>
+          <div style="display: flex; gap: 0.3rem; align-items: center;" onclick="event.stopPropagation()">
+            <select id="route-${route.id}-strategy" onchange="toggleTargetLoadFactor('${route.id}')" style="flex: 1; padding: 0.25rem; font-size: 0.7rem; background: var(--surface-elevated); border: 1px solid var(--border-color); border-radius: 3px; color: var(--text-primary);">
+              ${Object.entries(PRICING_STRATEGIES).map(([value, label]) => `<option value="${value}" ${route.pricingStrategy === value ? 'selected' : ''}>${label}</option>`).join('')}
+            </select>
+            <input type="number" id="route-${route.id}-target" value="${route.targetLoadFactor || 80}" min="40" max="100" step="1" title="Target load factor %" style="width: 3.5rem; padding: 0.25rem; font-size: 0.7rem; display: ${route.pricingStrategy === 'target_load_factor' ? 'block' : 'none'};" />
+            <button onclick="saveRouteStrategy('${route.id}')" class="btn btn-secondary save-btn-small">SET</button>
+          </div>
+          <div id="route-${route.id}-buckets" style="margin-top: 0.35rem; font-size: 0.7rem; color: var(--text-muted);"></div>
+          <div id="route-${route.id}-preview" style="margin-top: 0.5rem; font-size: 0.7rem; color: var(--text-muted);"></div>
           <div style="display: flex; gap: 0.5rem; justify-content: flex-end; margin-top: 0.5rem;">
+            <button onclick="event.stopPropagation(); previewRouteLoad('${route.id}')" class="btn btn-secondary save-btn-small">PREVIEW LOAD</button>
             <button onclick="event.stopPropagation(); clearRoutePricing('${route.id}')" class="btn btn-secondary save-btn-small">CLEAR</button>
             <button onclick="event.stopPropagation(); saveRoutePricing('${route.id}')" class="btn btn-primary save-btn-small">SAVE</button>
           </div>
@@ -463,6 +484,118 @@ function displayRoutes() {
 function toggleRoutePricing(routeId) {
   const editor = document.getElementById(`route-pricing-${routeId}`);
   editor.classList.toggle('open');
+  if (editor.classList.contains('open')) {
+    loadRouteFareBuckets(routeId);
+  }
+}
+
+// Show the target input only for the target load factor strategy
+function toggleTargetLoadFactor(routeId) {
+  const strategy = document.getElementById(`route-${routeId}-strategy`).value;
+  document.getElementById(`route-${routeId}-target`).style.display = strategy === 'target_load_factor' ? 'block' : 'none';
+}
+
+// Save how a route's fares are set
+async function saveRouteStrategy(routeId) {
+  const pricingStrategy = document.getElementById(`route-${routeId}-strategy`).value;
+  const targetLoadFactor = parseInt(document.getElementById(`route-${routeId}-target`).value) || null;
+
+  try {
+    const response = await fetch(`/api/pricing/routes/${routeId}/strategy`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ pricingStrategy, targetLoadFactor })
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      alert('Error saving pricing strategy: ' + data.error);
+      return;
+    }
+
+    const route = routes.find(r => r.id === routeId);
+    if (route) {
+      route.pricingStrategy = data.pricingStrategy;
+      route.targetLoadFactor = data.targetLoadFactor;
+    }
+    alert(pricingStrategy === 'manual'
+      ? 'Route fares will only change when you edit them'
+      : `Route will be repriced every game week (${PRICING_STRATEGIES[pricingStrategy]})`);
+  } catch (error) {
+    console.error('Error saving pricing strategy:', error);
+    alert('Error saving pricing strategy');
+  }
+}
+
+// Load and show a route's fare buckets
+async function loadRouteFareBuckets(routeId) {
+  const container = document.getElementById(`route-${routeId}-buckets`);
+  if (!container) return;
+
+  try {
+    const response = await fetch(`/api/pricing/routes/${routeId}`);
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error);
+
+    routeRevenueManagement[routeId] = data;
+    renderRouteFareBuckets(routeId);
+  } catch (error) {
+    console.error('Error loading fare buckets:', error);
+    container.textContent = 'Unable to load fare buckets';
+  }
+}
+
+// Fare buckets per cabin, with buttons to split or merge the cabins
+function renderRouteFareBuckets(routeId) {
+  const container = document.getElementById(`route-${routeId}-buckets`);
+  const data = routeRevenueManagement[routeId];
+  const cabinLabels = { economy: 'Econ', economyPlus: 'Econ+', business: 'Biz', first: 'First' };
+  const split = Object.values(data.fareBuckets).some(list => list.length > 0);
+
+  const lines = Object.entries(cabinLabels).map(([cabin, label]) => {
+    const fare = data.fares[cabin];
+    const buckets = data.fareBuckets[cabin];
+    if (!(fare > 0)) return '';
+    if (buckets.length === 0) return `<div>${label}: single fare $${Math.round(fare)}</div>`;
+    return `<div>${label}: ${buckets.map(b => `${b.bucketCode} $${Math.round(fare * b.fareMultiplier)} (${Math.round(b.seatShare * 100)}%)`).join(' · ')}</div>`;
+  }).join('');
+
+  container.innerHTML = `
+    ${lines}
+    <div style="display: flex; justify-content: flex-end; margin-top: 0.25rem;">
+      <button onclick="event.stopPropagation(); saveRouteFareBuckets('${routeId}', ${split ? 'false' : 'true'})" class="btn btn-secondary save-btn-small">
+        ${split ? 'SINGLE FARES' : 'SPLIT INTO FARE BUCKETS'}
+      </button>
+    </div>
+  `;
+}
+
+// Split every cabin into the default fare buckets, or go back to single fares
+async function saveRouteFareBuckets(routeId, useBuckets) {
+  const data = routeRevenueManagement[routeId];
+  const fareBuckets = {};
+  for (const cabin of Object.keys(data.fareBuckets)) {
+    fareBuckets[cabin] = useBuckets && data.fares[cabin] > 0 ? data.defaultFareBuckets[cabin] : [];
+  }
+
+  try {
+    const response = await fetch(`/api/pricing/routes/${routeId}/fare-buckets`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ fareBuckets })
+    });
+    const result = await response.json();
+
+    if (!response.ok) {
+      alert('Error saving fare buckets: ' + result.error);
+      return;
+    }
+
+    await loadRouteFareBuckets(routeId);
+  } catch (error) {
+    console.error('Error saving fare buckets:', error);
+    alert('Error saving fare buckets');
+  }
 }
 
 // Save route pricing
@@ -502,6 +635,52 @@ async function saveRoutePricing(routeId) {
   }
 }
 
+// Preview the load factor a route would fly at the fares entered (blank fields keep the saved fares)
+async function previewRouteLoad(routeId) {
+  const container = document.getElementById(`route-${routeId}-preview`);
+  const body = { routeId };
+  const fields = { economy: 'economyPrice', economyPlus: 'economyPlusPrice', business: 'businessPrice', first: 'firstPrice' };
+  for (const [cabin, field] of Object.entries(fields)) {
+    const value = parseFloat(document.getElementById(`route-${routeId}-${cabin}`).value);
+    if (value > 0) body[field] = value;
+  }
+
+  container.textContent = 'Estimating...';
+
+  try {
+    const response = await fetch('/api/routes/load-preview', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      container.textContent = data.error || 'Unable to preview loads';
+      return;
+    }
+
+    if (data.loadFactor === null) {
+      container.textContent = 'No passenger seats on this route.';
+      return;
+    }
+
+    const [outbound, inbound] = data.legs;
+    const peak = data.byMonth.reduce((best, m) => (m.loadFactor > best.loadFactor ? m : best), data.byMonth[0]);
+    const low = data.byMonth.reduce((worst, m) => (m.loadFactor < worst.loadFactor ? m : worst), data.byMonth[0]);
+    container.innerHTML = `
+      Expected load <strong style="color: var(--text-primary);">${data.loadFactor}%</strong>
+      (out ${outbound.loadFactor}%, back ${inbound.loadFactor}%) ·
+      $${Math.round(data.revenuePerRotation).toLocaleString('en-US')} per round trip ·
+      market economy $${data.marketPrices.economy} ·
+      peak ${peak.month} ${Math.round(peak.loadFactor)}%, low ${low.month} ${Math.round(low.loadFactor)}%
+    `;
+  } catch (error) {
+    console.error('Error previewing route load:', error);
+    container.textContent = 'Unable to preview loads';
+  }
+}
+
 // Clear route pricing overrides
 async function clearRoutePricing(routeId) {
   if (!confirm('Are you sure you want to clear all pricing overrides for this route?')) {
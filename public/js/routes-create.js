@@ -10,6 +10,7 @@ let globalPricing = null;
 let aircraftTypePricing = {};
 let aircraftDataById = {}; // Store aircraft data by ID for lookup
 let demandDataCache = {}; // Cache demand data for airport pairs
+let slotProfileCache = {}; // Cache hourly slot profiles by airport ID
 
 // Route preview map variables
 let routePreviewMap = null;
@@ -18,6 +19,7 @@ let routePreviewMarkers = [];
 
 // Debounced search for performance
 let searchDebounceTimer = null;
+let loadPreviewTimer = null;
 function debouncedApplyFilters() {
   clearTimeout(searchDebounceTimer);
   searchDebounceTimer = setTimeout(() => {
@@ -690,7 +692,8 @@ async function loadDemandForAirports(airports) {
             demandDataCache[dest.airport.id] = {
               demand: dest.demand,
               demandCategory: dest.demandCategory,
-              routeType: dest.routeType
+              routeType: dest.routeType,
+              competition: dest.competition
             };
           }
         });
@@ -1032,10 +1035,29 @@ function generateDemandIndicator(airport) {
         "></div>
         <span style="font-size: 0.7rem; color: ${color}; font-weight: 600; white-space: nowrap;">${label}</span>
       </div>
+      ${generateCompetitionBadge(demandData.competition)}
     </div>
   `;
 }
 
+// Generate badge showing other airlines already flying a destination
+function generateCompetitionBadge(competition) {
+  const rivals = (competition?.carriers || []).filter(c => !c.isOwn);
+  if (rivals.length === 0) return '';
+
+  const names = [...new Set(rivals.map(c => c.airlineName))];
+  const tooltip = rivals
+    .map(c => `${c.airlineName} ${c.routeNumber}: ${c.weeklyDepartures}/wk, ${Math.round(c.marketShare * 100)}% share`)
+    .join('\n')
+    .replace(/"/g, '&quot;');
+
+  return `
+    <span title="${tooltip}" style="font-size: 0.7rem; color: var(--text-secondary); white-space: nowrap;">
+      ${names.length} competitor${names.length === 1 ? '' : 's'}
+    </span>
+  `;
+}
+
 // Virtual scrolling state
 let currentFilteredAirports = [];
 let displayedAirportCount = 0;
@@ -1335,6 +1357,7 @@ function proceedToStep3() {
 
   // Populate route summary
   updateStep3Summary();
+  scheduleLoadPreview();
 
   // Scroll to top
   window.scrollTo({ top: 0, behavior: 'smooth' });
@@ -1541,6 +1564,7 @@ function calculateFlightTiming() {
     }
     if (minInfo) minInfo.style.display = 'none';
     document.getElementById('calculatedReturnTime').value = '--:--';
+    hideSlotCongestion();
     return;
   }
 
@@ -1551,6 +1575,7 @@ function calculateFlightTiming() {
     }
     if (minInfo) minInfo.style.display = 'none';
     document.getElementById('calculatedReturnTime').value = '--:--';
+    hideSlotCongestion();
     return;
   }
 
@@ -1564,6 +1589,7 @@ function calculateFlightTiming() {
     }
     if (minInfo) minInfo.style.display = 'none';
     document.getElementById('calculatedReturnTime').value = '--:--';
+    hideSlotCongestion();
     return;
   }
 
@@ -1576,6 +1602,7 @@ function calculateFlightTiming() {
     }
     if (minInfo) minInfo.style.display = 'none';
     document.getElementById('calculatedReturnTime').value = '--:--';
+    hideSlotCongestion();
     return;
   }
 
@@ -1800,6 +1827,115 @@ function calculateFlightTiming() {
     // Initial sync of map height
     setTimeout(syncMapHeight, 100);
   }
+
+  // Slot congestion in the hours this rotation uses each airport
+  const movements = [
+    { airport: baseAirport, type: 'Off blocks', time: offBlocksOutbound },
+    { airport: selectedDestinationAirport, type: 'On blocks', time: onBlocksDestination },
+    { airport: selectedDestinationAirport, type: 'Off blocks', time: actualOffBlocksReturn },
+    { airport: baseAirport, type: 'On blocks', time: actualOnBlocksBase }
+  ];
+  if (selectedTechStopAirport) {
+    const legOneShare = selectedTechStopAirport.distanceFromDeparture / effectiveDistance || 0.4;
+    movements.push(
+      { airport: selectedTechStopAirport, type: 'Outbound stop', time: offBlocksOutbound + Math.round(outboundFlightMinutes * legOneShare) },
+      { airport: selectedTechStopAirport, type: 'Return stop', time: actualOffBlocksReturn + Math.round(returnFlightMinutes * (1 - legOneShare)) }
+    );
+  }
+  updateSlotCongestion(movements);
+}
+
+// Hide the slot congestion profile
+function hideSlotCongestion() {
+  const display = document.getElementById('slotCongestionDisplay');
+  if (display) display.style.display = 'none';
+}
+
+// Fetch an airport's hourly slot profile over the next week (cached per airport)
+async function fetchSlotProfile(airportId) {
+  if (!slotProfileCache[airportId]) {
+    slotProfileCache[airportId] = fetch(`/api/world/airports/${airportId}/slots?days=7`)
+      .then(response => (response.ok ? response.json() : null))
+      .catch(() => null);
+  }
+  const data = await slotProfileCache[airportId];
+  if (!data) delete slotProfileCache[airportId];
+  return data;
+}
+
+// Show per-hour slot congestion at each airport on the route, marking the hours this rotation uses
+async function updateSlotCongestion(movements) {
+  const display = document.getElementById('slotCongestionDisplay');
+  if (!display) return;
+
+  // Group movement hours by airport, keeping route order
+  const airports = [];
+  for (const movement of movements) {
+    let entry = airports.find(a => a.airport.id === movement.airport.id);
+    if (!entry) {
+      entry = { airport: movement.airport, hours: {} };
+      airports.push(entry);
+    }
+    const hour = Math.floor((((movement.time % 1440) + 1440) % 1440) / 60);
+    entry.hours[hour] = entry.hours[hour] ? `${entry.hours[hour]}, ${movement.type}` : movement.type;
+  }
+
+  const profiles = await Promise.all(airports.map(a => fetchSlotProfile(a.airport.id)));
+  if (profiles.every(p => !p || !p.hourly)) {
+    hideSlotCongestion();
+    return;
+  }
+
+  const barColor = (utilisation) => {
+    if (utilisation >= 100) return '#ef4444';
+    if (utilisation >= 80) return '#f59e0b';
+    return 'var(--success-color)';
+  };
+
+  const rows = airports.map((entry, i) => {
+    const profile = profiles[i]?.hourly;
+    if (!profile) return '';
+    const code = entry.airport.iataCode || entry.airport.icaoCode;
+
+    const bars = profile.hours.map(h => {
+      const used = entry.hours[h.hour];
+      const title = `${String(h.hour).padStart(2, '0')}:00 - ${h.used}/${h.capacity} slots at peak (avg ${h.average})${used ? ' • ' + used : ''}`;
+      return `
+        <div title="${title}" style="flex: 1; display: flex; flex-direction: column; justify-content: flex-end; height: 32px; background: var(--surface); border-radius: 2px; ${used ? 'outline: 1px solid var(--accent-color);' : ''}">
+          <div style="height: ${Math.max(2, h.utilisation)}%; background: ${barColor(h.utilisation)}; border-radius: 2px; opacity: ${used ? 1 : 0.6};"></div>
+        </div>
+      `;
+    }).join('');
+
+    const full = Object.keys(entry.hours).filter(hour => profile.hours[hour].available === 0);
+    const warning = full.length > 0
+      ? `<span style="color: #ef4444; font-size: 0.65rem; font-weight: 600;">FULL AT ${full.map(h => String(h).padStart(2, '0') + ':00').join(', ')}</span>`
+      : `<span style="color: var(--text-muted); font-size: 0.65rem;">${profile.hourlyCapacity} slots/hour</span>`;
+
+    return `
+      <div style="margin-bottom: 0.5rem;">
+        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 0.2rem;">
+          <span style="font-weight: 600; color: var(--text-primary); font-size: 0.7rem;">${code}</span>
+          ${warning}
+        </div>
+        <div style="display: flex; gap: 2px;">${bars}</div>
+      </div>
+    `;
+  }).join('');
+
+  display.style.display = 'block';
+  display.innerHTML = `
+    <div style="background: var(--surface-elevated); border: 1px solid var(--border-color); border-radius: 4px; padding: 0.75rem;">
+      <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 0.5rem;">
+        <span style="font-weight: 600; color: var(--text-primary); font-size: 0.8rem;">SLOT CONGESTION</span>
+        <span style="color: var(--text-muted); font-size: 0.65rem;">Busiest day of the next 7 • outlined hours are used by this rotation</span>
+      </div>
+      ${rows}
+      <div style="display: flex; justify-content: space-between; color: var(--text-muted); font-size: 0.6rem;">
+        <span>00:00</span><span>06:00</span><span>12:00</span><span>18:00</span><span>23:59</span>
+      </div>
+    </div>
+  `;
 }
 
 // Sync map container height with flight timing panel
@@ -1896,6 +2032,7 @@ function updatePricingVisibility() {
 
   passengerSection.style.display = (transportType === 'cargo_only') ? 'none' : 'block';
   cargoSection.style.display = (transportType === 'passengers_only') ? 'none' : 'block';
+  document.getElementById('loadPreviewSection').style.display = (transportType === 'cargo_only') ? 'none' : 'block';
 }
 
 // Auto-calculate business and first class prices from economy
@@ -1913,6 +2050,7 @@ function autoCalculateBusinessFirst() {
       firstField.value = Math.round(economyPrice * 4.6);
     }
   }
+  scheduleLoadPreview();
 }
 
 // Adjust individual price field by percentage
@@ -1924,6 +2062,7 @@ function adjustPrice(fieldId, percentage) {
   const currentValue = parseFloat(field.value) || 0;
   const newValue = Math.round(currentValue * (1 + percentage / 100));
   field.value = newValue;
+  scheduleLoadPreview();
 }
 
 // Bulk adjust all ticket prices
@@ -1941,6 +2080,89 @@ function adjustAllCargoRates(percentage) {
   adjustPrice('cargoHeavyRate', percentage);
 }
 
+// Refresh the load preview once the fares stop changing
+function scheduleLoadPreview() {
+  clearTimeout(loadPreviewTimer);
+  loadPreviewTimer = setTimeout(updateLoadPreview, 400);
+}
+
+// Preview the expected load factor at the fares entered
+async function updateLoadPreview() {
+  const container = document.getElementById('loadPreview');
+  const assignedAircraftId = document.getElementById('assignedAircraft').value;
+  const economyPrice = parseFloat(document.getElementById('economyPrice').value) || 0;
+  if (!container || !selectedDestinationAirport || !assignedAircraftId) return;
+
+  if (economyPrice <= 0) {
+    container.innerHTML = 'Enter fares to preview the expected load factor.';
+    return;
+  }
+
+  try {
+    const response = await fetch('/api/routes/load-preview', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        departureAirportId: baseAirport.id,
+        arrivalAirportId: selectedDestinationAirport.id,
+        assignedAircraftId,
+        distance: selectedTechStopAirport && selectedDestinationAirport.routingDistance
+          ? selectedDestinationAirport.routingDistance
+          : selectedDestinationAirport.distance,
+        scheduledDepartureTime: document.getElementById('departureTime').value,
+        turnaroundTime: parseInt(document.getElementById('turnaroundTime').value) || 45,
+        daysOfWeek: selectedDaysOfWeek,
+        transportType: document.getElementById('transportType').value,
+        economyPrice,
+        economyPlusPrice: parseFloat(document.getElementById('economyPlusPrice').value) || 0,
+        businessPrice: parseFloat(document.getElementById('businessPrice').value) || 0,
+        firstPrice: parseFloat(document.getElementById('firstPrice').value) || 0
+      })
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      container.innerHTML = `<span style="color: var(--warning-color);">${data.error || 'Unable to preview loads'}</span>`;
+      return;
+    }
+
+    container.innerHTML = renderLoadPreview(data);
+  } catch (error) {
+    console.error('Error previewing loads:', error);
+    container.innerHTML = '<span style="color: var(--warning-color);">Unable to preview loads</span>';
+  }
+}
+
+// Render a load preview: the rotation, each leg and the months ahead
+function renderLoadPreview(data) {
+  if (data.loadFactor === null) {
+    return 'This aircraft has no passenger seats.';
+  }
+
+  const color = (lf) => lf >= 75 ? 'var(--success-color)' : lf >= 50 ? 'var(--warning-color)' : '#f85149';
+  const legs = data.legs.map((leg, i) => {
+    const factors = leg.factors
+      ? `season ×${leg.factors.season}, day ×${leg.factors.weekday}, ${leg.departureTime.substring(0, 5)} ×${leg.factors.departureTime}`
+      : 'no demand data';
+    return `<div>${i === 0 ? 'Outbound' : 'Return'} (${leg.routeType}): <strong style="color: ${color(leg.loadFactor)};">${leg.loadFactor}%</strong> <span style="color: var(--text-muted);">${factors}${leg.competitors > 0 ? `, ${leg.competitors} competitor${leg.competitors === 1 ? '' : 's'}` : ''}</span></div>`;
+  }).join('');
+  const months = data.byMonth.map(m => {
+    const label = new Date(`${m.month}-15T12:00:00`).toLocaleDateString('en-GB', { month: 'short' });
+    return `<span title="${m.month}" style="color: ${color(m.loadFactor)};">${label} ${Math.round(m.loadFactor)}%</span>`;
+  }).join(' · ');
+
+  return `
+    <div style="display: flex; gap: 1.5rem; align-items: baseline; margin-bottom: 0.5rem;">
+      <span style="font-size: 1.4rem; font-weight: 700; color: ${color(data.loadFactor)};">${data.loadFactor}%</span>
+      <span>${data.passengersPerRotation} of ${data.seatsPerRotation} seats per round trip</span>
+      <span>$${Math.round(data.revenuePerRotation).toLocaleString('en-US')} ticket revenue</span>
+      <span>Market economy fare $${data.marketPrices.economy}</span>
+    </div>
+    <div style="color: var(--text-secondary); margin-bottom: 0.5rem;">${legs}</div>
+    <div style="font-size: 0.75rem;">${months}</div>
+  `;
+}
+
 // Submit new route
 async function submitNewRoute() {
   const prefix = worldInfo?.iataCode || '';
@@ -2529,8 +2751,14 @@ document.addEventListener('DOMContentLoaded', async () => {
   const transportTypeEl = document.getElementById('transportType');
   if (transportTypeEl) {
     transportTypeEl.addEventListener('change', updatePricingVisibility);
+    transportTypeEl.addEventListener('change', scheduleLoadPreview);
   }
 
+  ['economyPrice', 'economyPlusPrice', 'businessPrice', 'firstPrice'].forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.addEventListener('input', scheduleLoadPreview);
+  });
+
   const economyPriceEl = document.getElementById('economyPrice');
   if (economyPriceEl) {
     economyPriceEl.addEventListener('change', autoCalculateBusinessFirst);
@@ -1,6 +1,7 @@
 let allRoutes = [];
 let filteredRoutes = [];
 let selectedRouteIds = new Set();
+let expandedConnectionRouteIds = new Set();
 
 // Format days of week for display
 function formatDaysOfWeek(daysArray) {
@@ -110,6 +111,7 @@ function displayAllRoutes(routes) {
           <th style="padding: 0.5rem; text-align: center; color: var(--text-secondary); font-weight: 600; font-size: 0.75rem;">OPERATING DAYS</th>
           <th style="padding: 0.5rem; text-align: center; color: var(--text-secondary); font-weight: 600; font-size: 0.75rem;">PROFIT</th>
           <th style="padding: 0.5rem; text-align: center; color: var(--text-secondary); font-weight: 600; font-size: 0.75rem;">LOAD %</th>
+          <th style="padding: 0.5rem; text-align: center; color: var(--text-secondary); font-weight: 600; font-size: 0.75rem;" title="Passengers changing planes at your hub over the last 30 game days (outbound / return)">CONNECTING</th>
           <th style="padding: 0.5rem; text-align: center; color: var(--text-secondary); font-weight: 600; font-size: 0.75rem;">STATUS</th>
           <th style="padding: 0.5rem; text-align: center; color: var(--text-secondary); font-weight: 600; font-size: 0.75rem;">ACTIONS</th>
         </tr>
@@ -147,6 +149,9 @@ function displayAllRoutes(routes) {
               <td style="padding: 0.4rem 0.5rem; text-align: center; color: var(--text-primary); white-space: nowrap;">
                 ${route.averageLoadFactor.toFixed(1)}%
               </td>
+              <td style="padding: 0.4rem 0.5rem; text-align: center; white-space: nowrap;">
+                ${renderConnectionsCell(route)}
+              </td>
               <td style="padding: 0.4rem 0.5rem; text-align: center; white-space: nowrap;">
                 <span style="color: ${statusColor}; font-weight: 600; font-size: 0.8rem;">
                   ${statusText}
@@ -163,6 +168,7 @@ function displayAllRoutes(routes) {
                 </div>
               </td>
             </tr>
+            ${expandedConnectionRouteIds.has(route.id) ? renderConnectionsRow(route) : ''}
           `;
         }).join('')}
       </tbody>
@@ -172,6 +178,68 @@ function displayAllRoutes(routes) {
   container.innerHTML = tableHtml;
 }
 
+// Connecting passengers per leg, clickable to show the markets they came from
+function renderConnectionsCell(route) {
+  const connections = route.connections;
+  if (!connections || (connections.outbound.passengers === 0 && connections.return.passengers === 0)) {
+    return '<span style="color: var(--text-muted);">—</span>';
+  }
+
+  return `
+    <button onclick="toggleRouteConnections('${route.id}')" title="Show connecting markets" style="background: transparent; border: none; color: var(--accent-color); cursor: pointer; font-weight: 600; font-size: 0.85rem; padding: 0;">
+      ${connections.outbound.passengers.toLocaleString('en-US')} / ${connections.return.passengers.toLocaleString('en-US')}
+    </button>
+  `;
+}
+
+// Detail row listing each leg's connecting markets
+function renderConnectionsRow(route) {
+  const connections = route.connections;
+  if (!connections) return '';
+
+  const airportLabel = (airport) => airport ? (airport.iataCode || airport.icaoCode) : '???';
+  const legHtml = (title, leg) => `
+    <div style="flex: 1; min-width: 220px;">
+      <div style="color: var(--text-secondary); font-weight: 600; font-size: 0.75rem; margin-bottom: 0.35rem;">
+        ${title} · ${leg.passengers.toLocaleString('en-US')} PAX · $${Math.round(leg.revenue).toLocaleString('en-US')}
+      </div>
+      ${leg.markets.length === 0
+        ? '<div style="color: var(--text-muted);">No connecting passengers</div>'
+        : leg.markets.map(market => `
+          <div style="display: flex; justify-content: space-between; gap: 1rem; color: var(--text-primary);">
+            <span>${airportLabel(market.origin)} → ${airportLabel(market.destination)}</span>
+            <span>${market.passengers.toLocaleString('en-US')} pax</span>
+          </div>
+        `).join('')}
+    </div>
+  `;
+
+  return `
+    <tr style="border-bottom: 1px solid var(--border-color); background: var(--surface-elevated);">
+      <td></td>
+      <td colspan="8" style="padding: 0.6rem 0.5rem;">
+        <div style="color: var(--text-muted); font-size: 0.75rem; margin-bottom: 0.5rem;">
+          CONNECTING PASSENGERS AT YOUR HUB · LAST ${connections.days} DAYS
+        </div>
+        <div style="display: flex; gap: 2rem; flex-wrap: wrap;">
+          ${legHtml(`${route.routeNumber} ${airportLabel(route.departureAirport)} → ${airportLabel(route.arrivalAirport)}`, connections.outbound)}
+          ${legHtml(`${route.returnRouteNumber} ${airportLabel(route.arrivalAirport)} → ${airportLabel(route.departureAirport)}`, connections.return)}
+        </div>
+      </td>
+    </tr>
+  `;
+}
+
+// Show or hide a route's connecting markets
+function toggleRouteConnections(routeId) {
+  if (expandedConnectionRouteIds.has(routeId)) {
+    expandedConnectionRouteIds.delete(routeId);
+  } else {
+    expandedConnectionRouteIds.add(routeId);
+  }
+  displayAllRoutes(filteredRoutes);
+}
+
 // Toggle select all routes
 function toggleSelectAll(checked) {
   if (checked) {
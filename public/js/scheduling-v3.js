@@ -7204,6 +7204,93 @@ async function showConflictModal(conflict) {
         ${checkDesc ? `<div style="margin-top: 0.75rem; padding-top: 0.75rem; border-top: 1px solid #30363d; color: #8b949e; font-size: 0.8rem; font-style: italic;">${checkDesc}</div>` : ''}
       </div>
     `;
+  } else if (conflict.type === 'stand') {
+    conflictDetails = `
+      <div style="background: #21262d; border-radius: 6px; padding: 1rem; margin-bottom: 1rem;">
+        <div style="display: flex; align-items: center; gap: 0.5rem; margin-bottom: 0.75rem;">
+          <span style="color: #d29922; font-size: 1.2rem;">🅿</span>
+          <span style="color: #f0f6fc; font-weight: 600; font-size: 1rem;">No Stand Available</span>
+        </div>
+        <div style="display: grid; grid-template-columns: auto 1fr; gap: 0.4rem 1rem; font-size: 0.9rem;">
+          <span style="color: #8b949e;">Airport:</span>
+          <span style="color: #58a6ff; font-weight: 600;">${conflict.airport}${conflict.airportName ? ' - ' + conflict.airportName : ''}</span>
+          <span style="color: #8b949e;">Hour:</span>
+          <span style="color: #f0f6fc;">${conflict.date} ${conflict.hour}</span>
+          <span style="color: #8b949e;">Stands:</span>
+          <span style="color: #f0f6fc;">All ${conflict.stands} occupied</span>
+        </div>
+        <div style="margin-top: 0.75rem; padding-top: 0.75rem; border-top: 1px solid #30363d; color: #8b949e; font-size: 0.8rem; font-style: italic;">Try a departure that turns round outside the busiest hours, or a shorter turnaround.</div>
+      </div>
+    `;
+  } else if (conflict.type === 'crew') {
+    const limitText = {
+      crew: `${conflict.headcount} based, ${conflict.crewNeeded} needed`,
+      daily: 'Daily duty limit reached',
+      weekly: '7-day duty limit reached',
+      unrated: `${conflict.headcount} qualified, ${conflict.crewNeeded} needed${conflict.inTraining ? ` (${conflict.inTraining} in training)` : ''}`
+    };
+
+    conflictDetails = `
+      <div style="background: #21262d; border-radius: 6px; padding: 1rem; margin-bottom: 1rem;">
+        <div style="display: flex; align-items: center; gap: 0.5rem; margin-bottom: 0.75rem;">
+          <span style="color: #d29922; font-size: 1.2rem;">👨‍✈️</span>
+          <span style="color: #f0f6fc; font-weight: 600; font-size: 1rem;">Not Enough Crew</span>
+        </div>
+        <div style="display: grid; grid-template-columns: auto 1fr; gap: 0.4rem 1rem; font-size: 0.9rem;">
+          <span style="color: #8b949e;">Base:</span>
+          <span style="color: #58a6ff; font-weight: 600;">${conflict.base}</span>
+          <span style="color: #8b949e;">Crew:</span>
+          <span style="color: #f0f6fc;">${conflict.role === 'pilot' ? 'Pilots' : 'Cabin crew'} (${conflict.typeRating})</span>
+          <span style="color: #8b949e;">Date:</span>
+          <span style="color: #f0f6fc;">${conflict.date}</span>
+          <span style="color: #8b949e;">Shortfall:</span>
+          <span style="color: #f0f6fc;">${limitText[conflict.reason]}</span>
+        </div>
+        <div style="margin-top: 0.75rem; padding-top: 0.75rem; border-top: 1px solid #30363d; color: #8b949e; font-size: 0.8rem; font-style: italic;">${conflict.reason === 'unrated' ? conflict.message : `Hire crew at ${conflict.base} or transfer them from another base.`}</div>
+      </div>
+    `;
+  } else if (conflict.type === 'position') {
+    conflictDetails = `
+      <div style="background: #21262d; border-radius: 6px; padding: 1rem; margin-bottom: 1rem;">
+        <div style="display: flex; align-items: center; gap: 0.5rem; margin-bottom: 0.75rem;">
+          <span style="color: #d29922; font-size: 1.2rem;">📍</span>
+          <span style="color: #f0f6fc; font-weight: 600; font-size: 1rem;">Aircraft Out of Position</span>
+        </div>
+        <div style="display: grid; grid-template-columns: auto 1fr; gap: 0.4rem 1rem; font-size: 0.9rem;">
+          ${conflict.expected ? `<span style="color: #8b949e;">Aircraft at:</span>
+          <span style="color: #58a6ff; font-weight: 600;">${conflict.expected}</span>` : ''}
+          ${conflict.required ? `<span style="color: #8b949e;">Needed at:</span>
+          <span style="color: #f0f6fc;">${conflict.required}</span>` : ''}
+        </div>
+        <div style="margin-top: 0.75rem; padding-top: 0.75rem; border-top: 1px solid #30363d; color: #8b949e; font-size: 0.8rem; font-style: italic;">${conflict.message}</div>
+      </div>
+    `;
+  } else if (conflict.type === 'slot') {
+    const suggestions = conflict.suggestions || [];
+
+    conflictDetails = `
+      <div style="background: #21262d; border-radius: 6px; padding: 1rem; margin-bottom: 1rem;">
+        <div style="display: flex; align-items: center; gap: 0.5rem; margin-bottom: 0.75rem;">
+          <span style="color: #d29922; font-size: 1.2rem;">🛬</span>
+          <span style="color: #f0f6fc; font-weight: 600; font-size: 1rem;">Airport Slots Full</span>
+        </div>
+        <div style="display: grid; grid-template-columns: auto 1fr; gap: 0.4rem 1rem; font-size: 0.9rem;">
+          <span style="color: #8b949e;">Airport:</span>
+          <span style="color: #58a6ff; font-weight: 600;">${conflict.airport}${conflict.airportName ? ' - ' + conflict.airportName : ''}</span>
+          <span style="color: #8b949e;">Movement:</span>
+          <span style="color: #f0f6fc; text-transform: capitalize;">${conflict.movement}</span>
+          <span style="color: #8b949e;">Hour:</span>
+          <span style="color: #f0f6fc;">${conflict.date} ${conflict.hour}</span>
+          <span style="color: #8b949e;">Capacity:</span>
+          <span style="color: #f0f6fc;">${conflict.capacity} movements per hour</span>
+        </div>
+        <div style="margin-top: 0.75rem; padding-top: 0.75rem; border-top: 1px solid #30363d; font-size: 0.85rem;">
+          ${suggestions.length > 0
+            ? `<span style="color: #8b949e;">Departures with free slots:</span> <span style="color: #3fb950; font-weight: 600;">${suggestions.join(', ')}</span>`
+            : '<span style="color: #8b949e; font-style: italic;">No free slots within 3 hours of this departure.</span>'}
+        </div>
+      </div>
+    `;
   }
 
   const modalHtml = `
@@ -7237,7 +7324,17 @@ async function showConflictModal(conflict) {
           <p style="color: #f0f6fc; margin: 0 0 1rem 0; font-size: 0.95rem;">
             ${conflict.type === 'maintenance'
               ? 'This flight cannot be scheduled because a mandatory maintenance check would expire before it can be performed.'
-              : 'This aircraft already has a scheduled duty that overlaps with the requested time slot.'}
+              : conflict.type === 'slot'
+                ? 'This flight cannot be scheduled because an airport on the route has no free slot in the hour it would use.'
+                : conflict.type === 'stand'
+                  ? 'This flight cannot be scheduled because every stand is taken where the aircraft would be on the ground.'
+                  : conflict.type === 'crew'
+                    ? (conflict.reason === 'unrated'
+                      ? 'This aircraft cannot be scheduled until enough of your crew are qualified on its type.'
+                      : 'This flight cannot be scheduled because the departure base has no rested crew to fly it.')
+                    : conflict.type === 'position'
+                      ? 'This flight cannot be scheduled because the aircraft will not be at its departure airport.'
+                      : 'This aircraft already has a scheduled duty that overlaps with the requested time slot.'}
           </p>
           ${conflictDetails}
         </div>
@@ -9222,6 +9319,13 @@ async function handleDrop(event, aircraftId, timeValue) {
 
       if (!response.ok) {
         const error = await response.json();
+        // Only airport or crew shortages left nothing to schedule - show the first one (with any alternatives)
+        const airportConflicts = [...(error.slotConflicts || []), ...(error.standConflicts || []), ...(error.crewConflicts || []), ...(error.positionConflicts || [])];
+        if (response.status === 409 && airportConflicts.length > 0 && (!error.conflicts || error.conflicts.length === 0)) {
+          await showConflictModal(airportConflicts[0]);
+          draggedRoute = null;
+          return;
+        }
         throw new Error(error.error || 'Failed to schedule flights');
       }
 
@@ -9233,10 +9337,38 @@ async function handleDrop(event, aircraftId, timeValue) {
       }
 
       // Show warning if some flights had conflicts
+      const skippedMessages = [];
       if (result.conflicts && result.conflicts.length > 0) {
+        skippedMessages.push(`${result.conflicts.length} day(s) skipped due to conflicts.`);
+      }
+      if (result.slotConflicts && result.slotConflicts.length > 0) {
+        skippedMessages.push(`${result.slotConflicts.length} day(s) skipped - no airport slot:`);
+        result.slotConflicts.forEach(c => {
+          const alternatives = c.suggestions.length > 0 ? ` (try ${c.suggestions.join(', ')})` : '';
+          skippedMessages.push(`• ${c.date}: ${c.airport} full at ${c.hour}${alternatives}`);
+        });
+      }
+      if (result.standConflicts && result.standConflicts.length > 0) {
+        skippedMessages.push(`${result.standConflicts.length} day(s) skipped - no stand free:`);
+        result.standConflicts.forEach(c => skippedMessages.push(`• ${c.date}: ${c.airport} stands full at ${c.hour}`));
+      }
+      if (result.crewConflicts && result.crewConflicts.length > 0) {
+        skippedMessages.push(`${result.crewConflicts.length} day(s) skipped - not enough crew:`);
+        result.crewConflicts.forEach(c => skippedMessages.push(`• ${c.date}: ${c.message}`));
+      }
+      if (result.positionConflicts && result.positionConflicts.length > 0) {
+        skippedMessages.push(`${result.positionConflicts.length} day(s) skipped - aircraft out of position:`);
+        result.positionConflicts.forEach(c => skippedMessages.push(`• ${c.scheduledDate.split('-').reverse().join('/')}: ${c.message}`));
+      }
+      if (result.standWarnings && result.standWarnings.length > 0) {
+        skippedMessages.push('Congested stands:');
+        result.standWarnings.forEach(w => skippedMessages.push(`• ${w.message}`));
+      }
+      if (skippedMessages.length > 0) {
+        const skipped = result.conflicts || result.slotConflicts || result.standConflicts || result.crewConflicts || result.positionConflicts;
         await showAlertModal(
-          'Partial Success',
-          `${result.created.length} flights scheduled. ${result.conflicts.length} day(s) skipped due to conflicts.`
+          skipped ? 'Partial Success' : 'Flights Scheduled',
+          `${result.created.length} flights scheduled. ${skippedMessages.join('\n')}`
         );
       }
     } else {
@@ -9272,6 +9404,10 @@ async function handleDrop(event, aircraftId, timeValue) {
       const scheduledFlight = await response.json();
       // Add the new flight to the array immediately to avoid full reload
       scheduledFlights.push(scheduledFlight);
+
+      if (scheduledFlight.standWarnings) {
+        await showAlertModal('Congested Stands', scheduledFlight.standWarnings.map(w => w.message).join('\n'));
+      }
     }
 
     closeAddRouteModal();
@@ -9695,7 +9831,7 @@ async function showAircraftDetails(userAircraftId) {
 
   const aircraft = userAircraft.aircraft;
   const isLeased = userAircraft.acquisitionType === 'lease';
-  const conditionPercent = userAircraft.conditionPercentage || 100;
+  const conditionPercent = Math.round(userAircraft.conditionPercentage || 100);
 
   // Calculate costs
   const fuelBurnPerHour = parseFloat(userAircraft.fuelBurnPerHour) || 0;
@@ -9747,7 +9883,7 @@ async function showAircraftDetails(userAircraftId) {
           </div>
           <div style="background: var(--surface-elevated); padding: 0.75rem; border-radius: 6px; text-align: center;">
             <div style="font-size: 0.75rem; color: var(--text-muted); text-transform: uppercase; margin-bottom: 0.25rem;">Location</div>
-            <div style="font-size: 1.4rem; font-weight: 700; color: var(--accent-color);">${userAircraft.currentAirport || 'N/A'}</div>
+            <div style="font-size: 1.4rem; font-weight: 700; color: var(--accent-color);">${userAircraft.currentAirport || 'In flight'}</div>
           </div>
           <div style="background: var(--surface-elevated); padding: 0.75rem; border-radius: 6px; text-align: center;">
             <div style="font-size: 0.75rem; color: var(--text-muted); text-transform: uppercase; margin-bottom: 0.25rem;">Flight Hours</div>
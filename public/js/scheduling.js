@@ -904,7 +904,7 @@ async function showAircraftDetails(userAircraftId) {
 
   const aircraft = userAircraft.aircraft;
   const isLeased = userAircraft.acquisitionType === 'lease';
-  const conditionPercent = userAircraft.conditionPercentage || 100;
+  const conditionPercent = Math.round(userAircraft.conditionPercentage || 100);
 
   // Calculate costs
   const fuelBurnPerHour = parseFloat(userAircraft.fuelBurnPerHour) || 0;
@@ -956,7 +956,7 @@ async function showAircraftDetails(userAircraftId) {
           </div>
           <div style="background: var(--surface-elevated); padding: 0.75rem; border-radius: 6px; text-align: center;">
             <div style="font-size: 0.75rem; color: var(--text-muted); text-transform: uppercase; margin-bottom: 0.25rem;">Location</div>
-            <div style="font-size: 1.4rem; font-weight: 700; color: var(--accent-color);">${userAircraft.currentAirport || 'N/A'}</div>
+            <div style="font-size: 1.4rem; font-weight: 700; color: var(--accent-color);">${userAircraft.currentAirport || 'In flight'}</div>
           </div>
           <div style="background: var(--surface-elevated); padding: 0.75rem; border-radius: 6px; text-align: center;">
             <div style="font-size: 0.75rem; color: var(--text-muted); text-transform: uppercase; margin-bottom: 0.25rem;">Flight Hours</div>
@@ -0,0 +1,48 @@
+/**
+ * NPC Airlines
+ * Name parts for computer-run airlines and aircraft market counterparties
+ */
+
+const namePrefixes = ['Pacific', 'Northern', 'Southern', 'Eastern', 'Western', 'Trans-Continental', 'Global', 'National', 'Royal', 'Air', 'Continental', 'Atlantic', 'Skyline', 'Horizon', 'Meridian', 'Polar', 'Coastal', 'Central', 'Imperial', 'United'];
+
+const nameSuffixes = ['Airways', 'Airlines', 'Air', 'Aviation', 'Express', 'Jet', 'Connect', 'Wings', 'Flights', 'Aero'];
+
+const LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+/**
+ * Generate a random NPC airline name
+ */
+function generateNpcAirlineName() {
+  return namePrefixes[Math.floor(Math.random() * namePrefixes.length)] + ' ' + nameSuffixes[Math.floor(Math.random() * nameSuffixes.length)];
+}
+
+/**
+ * Generate ICAO (3-letter) and IATA (2-letter) style codes for an airline name
+ * Starts from the name's initials and falls back to random letters until unused
+ *
+ * @param {string} name - Airline name
+ * @param {Set<string>} takenCodes - Codes already used in the world (both lengths)
+ * @returns {{airlineCode: string, iataCode: string}}
+ */
+function generateAirlineCodes(name, takenCodes = new Set()) {
+  const initials = name.replace(/[^A-Za-z ]/g, ' ').split(/\s+/).filter(Boolean).map(w => w[0].toUpperCase()).join('');
+  const randomLetter = () => LETTERS[Math.floor(Math.random() * LETTERS.length)];
+
+  const pick = (length) => {
+    let code = (initials + name.replace(/[^A-Za-z]/g, '').toUpperCase().slice(1)).slice(0, length);
+    for (let attempt = 0; takenCodes.has(code) && attempt < 50; attempt++) {
+      code = initials.slice(0, 1) + Array.from({ length: length - 1 }, randomLetter).join('');
+    }
+    takenCodes.add(code);
+    return code;
+  };
+
+  return { airlineCode: pick(3), iataCode: pick(2) };
+}
+
+module.exports = {
+  namePrefixes,
+  nameSuffixes,
+  generateNpcAirlineName,
+  generateAirlineCodes
+};
@@ -0,0 +1,143 @@
+const { User, WorldMembership, UserAircraft } = require('../models');
+
+// Permissions granted by each role. World moderators only hold theirs for the world they moderate.
+const ROLES = {
+  admin: {
+    scope: 'global',
+    permissions: ['*']
+  },
+  contributor: {
+    scope: 'global',
+    permissions: ['aircraft:read', 'aircraft:write', 'airports:read', 'airports:write', 'worlds:read']
+  },
+  world_moderator: {
+    scope: 'world',
+    permissions: ['aircraft:read', 'worlds:read', 'worlds:update', 'airlines:read', 'airlines:balance', 'airlines:fleet', 'audit:read']
+  }
+};
+
+/**
+ * Roles held by a user
+ * @param {Object} user - User instance
+ * @returns {string[]}
+ */
+function getRoles(user) {
+  const roles = [];
+  if (user.isAdmin) roles.push('admin');
+  if (user.isContributor) roles.push('contributor');
+  if (user.moderatorWorldId) roles.push('world_moderator');
+  return roles;
+}
+
+/**
+ * Build the access object for a user
+ * worldScope(permission) is null when the permission applies everywhere, the moderated
+ * world's id when it only applies there, and undefined when the user lacks it
+ */
+function buildAccess(user) {
+  const roles = getRoles(user);
+
+  const grants = (role, permission) =>
+    ROLES[role].permissions.includes('*') || ROLES[role].permissions.includes(permission);
+
+  const worldScope = (permission) => {
+    if (roles.some(role => ROLES[role].scope === 'global' && grants(role, permission))) return null;
+    if (roles.includes('world_moderator') && grants('world_moderator', permission)) return user.moderatorWorldId;
+    return undefined;
+  };
+
+  return {
+    user,
+    roles,
+    worldScope,
+    can: (permission, worldId = null) => {
+      const scope = worldScope(permission);
+      if (scope === undefined) return false;
+      return scope === null || !worldId || scope === worldId;
+    },
+    permissions: () => {
+      const all = new Set();
+      for (const role of roles) ROLES[role].permissions.forEach(p => all.add(p));
+      return [...all];
+    }
+  };
+}
+
+// Middleware to load the signed-in user's admin roles; users with none are turned away
+const loadAdminAccess = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const user = await User.findOne({ where: { vatsimId: req.user.vatsimId } });
+    if (!user) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+
+    const access = buildAccess(user);
+    if (access.roles.length === 0) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    req.adminAccess = access;
+    next();
+  } catch (error) {
+    console.error('Error loading admin access:', error);
+    res.status(500).json({ error: 'Failed to check admin access' });
+  }
+};
+
+/**
+ * Middleware factory requiring a permission
+ * For world-scoped roles, resolveWorldId finds the world the request touches; when it
+ * returns a world, a moderator must moderate that world. Handlers without a resolver
+ * filter their results with req.adminAccess.worldScope(permission).
+ *
+ * @param {string} permission - e.g. 'airlines:balance'
+ * @param {Function} [resolveWorldId] - async (req) => worldId|null
+ */
+const requirePermission = (permission, resolveWorldId = null) => async (req, res, next) => {
+  try {
+    const access = req.adminAccess;
+    if (!access || access.worldScope(permission) === undefined) {
+      return res.status(403).json({ error: 'You do not have permission to do this' });
+    }
+
+    if (resolveWorldId && access.worldScope(permission) !== null) {
+      const worldId = await resolveWorldId(req);
+      if (!worldId || !access.can(permission, worldId)) {
+        return res.status(403).json({ error: 'You can only manage the world you moderate' });
+      }
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error checking admin permission:', error);
+    res.status(500).json({ error: 'Failed to check admin permission' });
+  }
+};
+
+// World resolvers for requirePermission
+const worldFromParam = async (req) => req.params.worldId;
+const worldFromQuery = async (req) => req.query.worldId;
+const worldFromAirline = async (req) =>
+  (await WorldMembership.findByPk(req.params.airlineId, { attributes: ['worldId'] }))?.worldId;
+const worldFromFleetAircraft = async (req) => {
+  const aircraft = await UserAircraft.findByPk(req.params.aircraftId, {
+    attributes: ['id'],
+    include: [{ model: WorldMembership, as: 'membership', attributes: ['worldId'] }]
+  });
+  return aircraft?.membership?.worldId;
+};
+
+module.exports = {
+  ROLES,
+  getRoles,
+  loadAdminAccess,
+  requirePermission,
+  worldFromParam,
+  worldFromQuery,
+  worldFromAirline,
+  worldFromFleetAircraft
+};
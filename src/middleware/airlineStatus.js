@@ -0,0 +1,71 @@
+const { User, WorldMembership } = require('../models');
+const administrationService = require('../services/administrationService');
+const overdraftService = require('../services/overdraftService');
+
+/**
+ * Load the active airline for the request, or null if there isn't one
+ */
+async function findActiveMembership(req) {
+  const activeWorldId = req.session?.activeWorldId;
+  if (!req.user || !activeWorldId) {
+    return null;
+  }
+
+  const user = await User.findOne({ where: { vatsimId: req.user.vatsimId } });
+  if (!user) {
+    return null;
+  }
+
+  return WorldMembership.findOne({
+    where: { userId: user.id, worldId: activeWorldId }
+  });
+}
+
+function rejectAdministration(res, membership) {
+  return res.status(403).json({
+    error: 'Your airline is in administration. Purchases, routes and schedules are frozen until your credits are restored.',
+    administrationDeadline: membership.administrationDeadline
+  });
+}
+
+// Middleware to reject changes while the active airline is in administration
+// (administrators control the fleet listings, so selling is blocked too)
+const blockIfInAdministration = async (req, res, next) => {
+  try {
+    const membership = await findActiveMembership(req);
+    if (administrationService.isInAdministration(membership)) {
+      return rejectAdministration(res, membership);
+    }
+    next();
+  } catch (error) {
+    console.error('Error checking airline status:', error);
+    res.status(500).json({ error: 'Failed to check airline status' });
+  }
+};
+
+// Middleware to reject spending and expansion while the active airline is in administration or insolvent
+const blockIfRestricted = async (req, res, next) => {
+  try {
+    const membership = await findActiveMembership(req);
+    if (administrationService.isInAdministration(membership)) {
+      return rejectAdministration(res, membership);
+    }
+
+    if (overdraftService.isInsolvent(membership)) {
+      return res.status(403).json({
+        error: 'Your airline is insolvent. Purchases, routes and schedules are restricted until your balance is back within the overdraft limit.',
+        insolventSince: membership.insolventSince
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error checking airline status:', error);
+    res.status(500).json({ error: 'Failed to check airline status' });
+  }
+};
+
+module.exports = {
+  blockIfInAdministration,
+  blockIfRestricted
+};
@@ -0,0 +1,98 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * AdminAuditLog Model
+ * One row per change made through the admin API: who did it, to what, and the values before and after
+ */
+const AdminAuditLog = sequelize.define('AdminAuditLog', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  actorUserId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'actor_user_id',
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  actorName: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'actor_name',
+    comment: 'Name and VATSIM ID at the time, kept if the user is later removed'
+  },
+  actorRoles: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'actor_roles',
+    comment: 'Comma-separated roles the actor held'
+  },
+  action: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    comment: 'What was done: user.credits, world.delete, airline.balance, etc. (see admin routes)'
+  },
+  targetType: {
+    type: DataTypes.STRING(30),
+    allowNull: false,
+    field: 'target_type',
+    comment: 'user, aircraft_type, world, airport, setting, airline, user_aircraft'
+  },
+  targetId: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'target_id',
+    comment: 'Primary key of the target (or setting key)'
+  },
+  targetLabel: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'target_label',
+    comment: 'Readable name of the target at the time'
+  },
+  worldId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'world_id',
+    references: {
+      model: 'worlds',
+      key: 'id'
+    },
+    comment: 'World the target belongs to, for world-scoped changes'
+  },
+  beforeValues: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'before_values',
+    comment: 'JSON of the changed fields before the action'
+  },
+  afterValues: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'after_values',
+    comment: 'JSON of the changed fields after the action'
+  },
+  ipAddress: {
+    type: DataTypes.STRING(45),
+    allowNull: true,
+    field: 'ip_address'
+  }
+}, {
+  tableName: 'admin_audit_logs',
+  timestamps: true,
+  updatedAt: false,
+  underscored: true,
+  indexes: [
+    { fields: ['created_at'] },
+    { fields: ['actor_user_id'] },
+    { fields: ['target_type', 'target_id'] },
+    { fields: ['world_id'] }
+  ]
+});
+
+module.exports = AdminAuditLog;
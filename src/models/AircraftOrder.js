@@ -0,0 +1,124 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * AircraftOrder Model
+ * A new aircraft ordered from the manufacturer: a firm order or a purchase option
+ * holding a delivery slot on the type's production line in the world
+ */
+const AircraftOrder = sequelize.define('AircraftOrder', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  worldId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'world_id',
+    references: {
+      model: 'worlds',
+      key: 'id'
+    },
+    comment: 'Production queues are per world'
+  },
+  worldMembershipId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'world_membership_id',
+    references: {
+      model: 'world_memberships',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  aircraftId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'aircraft_id',
+    references: {
+      model: 'aircraft',
+      key: 'id'
+    },
+    comment: 'Aircraft type on order'
+  },
+  status: {
+    type: DataTypes.ENUM('option', 'firm', 'delivered', 'lapsed'),
+    allowNull: false,
+    defaultValue: 'firm'
+  },
+  registration: {
+    type: DataTypes.STRING(10),
+    allowNull: true,
+    comment: 'Registration reserved for the airframe (set when an option is converted)'
+  },
+  price: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    comment: 'Agreed price after any launch customer discount'
+  },
+  launchDiscount: {
+    type: DataTypes.DECIMAL(5, 4),
+    allowNull: false,
+    defaultValue: 0,
+    field: 'launch_discount',
+    comment: 'Share of list price taken off for ordering before entry into service'
+  },
+  depositsPaid: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    defaultValue: 0,
+    field: 'deposits_paid',
+    comment: 'Pre-delivery payments and option fee paid so far'
+  },
+  orderedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'ordered_at',
+    comment: 'Game time the order or option was signed'
+  },
+  deliveryDate: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'delivery_date',
+    comment: 'Game time the delivery slot falls due'
+  },
+  optionExpiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'option_expires_at',
+    comment: 'Last game time an option can be converted before it lapses'
+  },
+  financeTermWeeks: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'finance_term_weeks',
+    comment: 'Mortgage the balance due on delivery over this many weeks'
+  },
+  autoSchedule: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    field: 'auto_schedule',
+    comment: 'Maintenance check types to auto-schedule on delivery'
+  },
+  userAircraftId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'user_aircraft_id',
+    comment: 'Aircraft delivered against the order'
+  }
+}, {
+  tableName: 'aircraft_orders',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      fields: ['world_id', 'aircraft_id', 'status']
+    },
+    {
+      fields: ['world_membership_id']
+    }
+  ]
+});
+
+module.exports = AircraftOrder;
@@ -0,0 +1,98 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * AirportSlot Model
+ * A slot series held by an airline: the right to one movement a day in a given hour at an airport.
+ * Held slots are reserved for their airline when the hour is otherwise full.
+ */
+const AirportSlot = sequelize.define('AirportSlot', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  worldId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'world_id',
+    references: {
+      model: 'worlds',
+      key: 'id'
+    }
+  },
+  airportId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'airport_id',
+    references: {
+      model: 'airports',
+      key: 'id'
+    }
+  },
+  hour: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: { min: 0, max: 23 },
+    comment: 'Hour of the day (game clock) the slot allows a movement in'
+  },
+  worldMembershipId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'world_membership_id',
+    references: {
+      model: 'world_memberships',
+      key: 'id'
+    },
+    comment: 'Airline holding the slot (null while released or up for auction)'
+  },
+  lesseeMembershipId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'lessee_membership_id',
+    references: {
+      model: 'world_memberships',
+      key: 'id'
+    },
+    comment: 'Airline leasing the slot from its holder, which uses it instead'
+  },
+  leaseWeeklyRate: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: true,
+    field: 'lease_weekly_rate'
+  },
+  leaseEndsAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'lease_ends_at',
+    comment: 'Game time the lease ends and the slot returns to its holder'
+  },
+  validFrom: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'valid_from',
+    comment: 'Game time the slot can first be used (auctioned capacity arrives with its milestone)'
+  },
+  acquisitionPrice: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: true,
+    field: 'acquisition_price'
+  },
+  acquiredAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'acquired_at',
+    comment: 'Game time the current holder acquired the slot'
+  }
+}, {
+  tableName: 'airport_slots',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['world_id', 'airport_id', 'hour'] },
+    { fields: ['world_membership_id'] },
+    { fields: ['lessee_membership_id'] }
+  ]
+});
+
+module.exports = AirportSlot;
@@ -0,0 +1,102 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * ConnectingTraffic Model
+ * Passengers one leg of a settled flight carried between two airports it doesn't
+ * connect itself, changing planes at the airline's hub, with the leg's prorated
+ * share of their through fare
+ */
+const ConnectingTraffic = sequelize.define('ConnectingTraffic', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  scheduledFlightId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'scheduled_flight_id',
+    references: {
+      model: 'scheduled_flights',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  routeId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'route_id',
+    references: {
+      model: 'routes',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  legDirection: {
+    type: DataTypes.ENUM('outbound', 'return'),
+    allowNull: false,
+    field: 'leg_direction',
+    comment: 'Which leg of the round trip carried the passengers'
+  },
+  connectingRouteId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'connecting_route_id',
+    comment: 'Route flying the other leg of the itinerary',
+    references: {
+      model: 'routes',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  originAirportId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'origin_airport_id',
+    references: {
+      model: 'airports',
+      key: 'id'
+    }
+  },
+  destinationAirportId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'destination_airport_id',
+    references: {
+      model: 'airports',
+      key: 'id'
+    }
+  },
+  passengers: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  revenue: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'This leg\'s share of the through fares, prorated by distance'
+  },
+  gameDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    field: 'game_date',
+    comment: 'Date the round trip departed'
+  }
+}, {
+  tableName: 'connecting_traffic',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      fields: ['route_id', 'game_date']
+    },
+    {
+      fields: ['scheduled_flight_id']
+    }
+  ]
+});
+
+module.exports = ConnectingTraffic;
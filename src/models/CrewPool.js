@@ -0,0 +1,60 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * CrewPool Model
+ * Pilots or cabin crew an airline employs at one of its bases, qualified on one
+ * aircraft family. Crew move onto another family through CrewTraining.
+ */
+const CrewPool = sequelize.define('CrewPool', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  worldMembershipId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'world_membership_id',
+    references: {
+      model: 'world_memberships',
+      key: 'id'
+    }
+  },
+  baseAirportId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'base_airport_id',
+    references: {
+      model: 'airports',
+      key: 'id'
+    },
+    comment: 'Airport the crew are based at (rotations departing here draw on them)'
+  },
+  role: {
+    type: DataTypes.ENUM('pilot', 'cabin_crew'),
+    allowNull: false
+  },
+  typeRating: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    field: 'type_rating',
+    comment: 'Aircraft family the crew are qualified on, e.g. "Boeing 737"'
+  },
+  headcount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: { min: 0 }
+  }
+}, {
+  tableName: 'crew_pools',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['world_membership_id'] },
+    { unique: true, fields: ['world_membership_id', 'base_airport_id', 'role', 'type_rating'] }
+  ]
+});
+
+module.exports = CrewPool;
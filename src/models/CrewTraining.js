@@ -0,0 +1,95 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * CrewTraining Model
+ * A course qualifying pilots or cabin crew on an aircraft family. Trainees are
+ * either existing crew converting from another family or new hires, and join
+ * the crew pool at their base once the course completes.
+ */
+const CrewTraining = sequelize.define('CrewTraining', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  worldMembershipId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'world_membership_id',
+    references: {
+      model: 'world_memberships',
+      key: 'id'
+    }
+  },
+  baseAirportId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'base_airport_id',
+    references: {
+      model: 'airports',
+      key: 'id'
+    },
+    comment: 'Base the trainees come from and join once qualified'
+  },
+  role: {
+    type: DataTypes.ENUM('pilot', 'cabin_crew'),
+    allowNull: false
+  },
+  fromTypeRating: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    field: 'from_type_rating',
+    comment: 'Family the trainees converted from (null for new hires)'
+  },
+  typeRating: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    field: 'type_rating',
+    comment: 'Family the course qualifies the trainees on'
+  },
+  headcount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: { min: 1 }
+  },
+  cost: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Training and recruitment cost charged on enrolment'
+  },
+  status: {
+    type: DataTypes.ENUM('queued', 'training', 'completed'),
+    allowNull: false,
+    defaultValue: 'queued',
+    comment: 'Pilot courses queue while the simulators are fully booked'
+  },
+  enrolledAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'enrolled_at',
+    comment: 'Game time the course was booked'
+  },
+  startedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'started_at'
+  },
+  completesAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'completes_at',
+    comment: 'Game time the trainees qualify (set when the course starts)'
+  }
+}, {
+  tableName: 'crew_trainings',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['world_membership_id'] },
+    { fields: ['status', 'completes_at'] }
+  ]
+});
+
+module.exports = CrewTraining;
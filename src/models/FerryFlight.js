@@ -0,0 +1,107 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * FerryFlight Model
+ * A one-way positioning flight that moves an empty aircraft to where its next
+ * rotation starts. Pays fuel, maintenance and airport charges but carries no revenue
+ */
+const FerryFlight = sequelize.define('FerryFlight', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  worldMembershipId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'world_membership_id',
+    references: {
+      model: 'world_memberships',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  aircraftId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'aircraft_id',
+    references: {
+      model: 'user_aircraft',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  departureAirportId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'departure_airport_id',
+    references: {
+      model: 'airports',
+      key: 'id'
+    }
+  },
+  arrivalAirportId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'arrival_airport_id',
+    references: {
+      model: 'airports',
+      key: 'id'
+    }
+  },
+  distance: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    comment: 'Distance in nautical miles'
+  },
+  scheduledDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    field: 'scheduled_date',
+    comment: 'Date of departure (YYYY-MM-DD)'
+  },
+  departureTime: {
+    type: DataTypes.TIME,
+    allowNull: false,
+    field: 'departure_time'
+  },
+  arrivalDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    field: 'arrival_date'
+  },
+  arrivalTime: {
+    type: DataTypes.TIME,
+    allowNull: false,
+    field: 'arrival_time'
+  },
+  status: {
+    type: DataTypes.ENUM('scheduled', 'in_progress', 'completed', 'cancelled'),
+    defaultValue: 'scheduled',
+    allowNull: false
+  },
+  operatingCost: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: true,
+    field: 'operating_cost',
+    comment: 'Fuel, maintenance and airport/navigation charges, set on arrival'
+  }
+}, {
+  tableName: 'ferry_flights',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      fields: ['aircraft_id', 'scheduled_date']
+    },
+    {
+      fields: ['world_membership_id']
+    },
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+module.exports = FerryFlight;
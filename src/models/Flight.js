@@ -67,7 +67,23 @@ const Flight = sequelize.define('Flight', {
   },
   airlineId: {
     type: DataTypes.UUID,
-    field: 'airline_id'
+    field: 'airline_id',
+    comment: 'World membership of the operating airline'
+  },
+  scheduledFlightId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'scheduled_flight_id',
+    references: {
+      model: 'scheduled_flights',
+      key: 'id'
+    },
+    comment: 'Scheduled round trip this flight operated one leg of'
+  },
+  leg: {
+    type: DataTypes.ENUM('outbound', 'return'),
+    allowNull: true,
+    comment: 'Leg of the scheduled round trip that was flown'
   },
   pilotId: {
     type: DataTypes.UUID,
@@ -79,7 +95,26 @@ const Flight = sequelize.define('Flight', {
   },
   vatsimFlightId: {
     type: DataTypes.STRING,
-    field: 'vatsim_flight_id'
+    field: 'vatsim_flight_id',
+    comment: 'VATSIM connection the flight was flown on (CID and logon time)'
+  },
+  departureDelayMinutes: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'departure_delay_minutes',
+    comment: 'Minutes late off the ground (negative = early)'
+  },
+  arrivalDelayMinutes: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'arrival_delay_minutes',
+    comment: 'Minutes late on arrival (negative = early)'
+  },
+  lastSeenAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'last_seen_at',
+    comment: 'Real time the pilot was last seen on the network'
   },
   revenue: {
     type: DataTypes.DECIMAL(10, 2),
@@ -92,12 +127,18 @@ const Flight = sequelize.define('Flight', {
   },
   score: {
     type: DataTypes.INTEGER,
-    defaultValue: 0
+    defaultValue: 0,
+    comment: 'Punctuality score (0-100) for human-flown flights'
   }
 }, {
   tableName: 'flights',
   timestamps: true,
-  underscored: true
+  underscored: true,
+  indexes: [
+    { fields: ['state', 'execution_type'] },
+    { fields: ['scheduled_flight_id'] },
+    { fields: ['vatsim_flight_id'] }
+  ]
 });
 
 module.exports = Flight;
\ No newline at end of file
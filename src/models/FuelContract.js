@@ -0,0 +1,83 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * FuelContract Model
+ * Fuel an airline has locked in at a set price for a period. Hedges are forward
+ * purchases whose unused volume is cash-settled against spot at expiry; bulk
+ * contracts are cheaper supply deals that charge for volume left undrawn.
+ */
+const FuelContract = sequelize.define('FuelContract', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  worldMembershipId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'world_membership_id',
+    references: {
+      model: 'world_memberships',
+      key: 'id'
+    }
+  },
+  contractType: {
+    type: DataTypes.ENUM('hedge', 'bulk'),
+    allowNull: false,
+    field: 'contract_type'
+  },
+  pricePerLiter: {
+    type: DataTypes.DECIMAL(10, 4),
+    allowNull: false,
+    field: 'price_per_liter',
+    comment: 'Price the contracted fuel settles at'
+  },
+  volumeLiters: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    field: 'volume_liters'
+  },
+  remainingLiters: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    field: 'remaining_liters'
+  },
+  fee: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Arrangement fee charged up front'
+  },
+  startsAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'starts_at'
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'expires_at'
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'expired'),
+    allowNull: false,
+    defaultValue: 'active'
+  },
+  settlementAmount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: true,
+    field: 'settlement_amount',
+    comment: 'Paid (negative) or received at expiry for volume left undrawn'
+  }
+}, {
+  tableName: 'fuel_contracts',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['world_membership_id', 'status'] },
+    { fields: ['status', 'expires_at'] }
+  ]
+});
+
+module.exports = FuelContract;
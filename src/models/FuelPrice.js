@@ -0,0 +1,56 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * FuelPrice Model
+ * Daily spot price of jet fuel in a world: the historical price curve for the
+ * date plus the world's own market noise and shocks
+ */
+const FuelPrice = sequelize.define('FuelPrice', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  worldId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'world_id',
+    references: {
+      model: 'worlds',
+      key: 'id'
+    }
+  },
+  priceDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    field: 'price_date',
+    comment: 'Game date the price applies to'
+  },
+  pricePerLiter: {
+    type: DataTypes.DECIMAL(10, 4),
+    allowNull: false,
+    field: 'price_per_liter',
+    comment: 'Spot price in era USD per liter'
+  },
+  deviation: {
+    type: DataTypes.FLOAT,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Log deviation from the historical curve, carried into the next day'
+  },
+  event: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'Historical event or market shock that moved the price on this day'
+  }
+}, {
+  tableName: 'fuel_prices',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { unique: true, fields: ['world_id', 'price_date'] }
+  ]
+});
+
+module.exports = FuelPrice;
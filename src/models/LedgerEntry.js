@@ -0,0 +1,70 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * LedgerEntry Model
+ * One row per change to an airline's balance, used to build the financial statements
+ */
+const LedgerEntry = sequelize.define('LedgerEntry', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  worldMembershipId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'world_membership_id',
+    references: {
+      model: 'world_memberships',
+      key: 'id'
+    }
+  },
+  category: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    comment: 'Statement line: economy, fuel, leaseIncome, aircraftPurchase, etc. (see ledgerService)'
+  },
+  amount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    comment: 'Signed amount: positive credits the balance, negative debits it'
+  },
+  description: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  referenceType: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    field: 'reference_type',
+    comment: 'What caused the entry: scheduled_flight, user_aircraft, etc.'
+  },
+  referenceId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'reference_id'
+  },
+  bookValue: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: true,
+    field: 'book_value',
+    comment: 'Value of the asset disposed of (aircraft sales), for profit/loss on sale'
+  },
+  gameTime: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'game_time',
+    comment: 'Game time when the balance changed'
+  }
+}, {
+  tableName: 'ledger_entries',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['world_membership_id', 'game_time'] },
+    { fields: ['world_membership_id', 'category'] }
+  ]
+});
+
+module.exports = LedgerEntry;
@@ -0,0 +1,116 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * Loan Model
+ * Bank borrowing by an airline: unsecured term loans and mortgages secured on an owned aircraft
+ */
+const Loan = sequelize.define('Loan', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  worldMembershipId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'world_membership_id',
+    references: {
+      model: 'world_memberships',
+      key: 'id'
+    }
+  },
+  loanType: {
+    type: DataTypes.ENUM('term', 'mortgage'),
+    allowNull: false,
+    field: 'loan_type'
+  },
+  aircraftId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'aircraft_id',
+    references: {
+      model: 'user_aircraft',
+      key: 'id'
+    },
+    comment: 'Aircraft securing a mortgage (null for term loans, or once the aircraft is gone)'
+  },
+  aircraftRegistration: {
+    type: DataTypes.STRING(10),
+    allowNull: true,
+    field: 'aircraft_registration',
+    comment: 'Registration of the secured aircraft, kept for display after it is sold'
+  },
+  principal: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    comment: 'Amount borrowed'
+  },
+  outstandingBalance: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    field: 'outstanding_balance',
+    comment: 'Principal still owed'
+  },
+  annualRate: {
+    type: DataTypes.DECIMAL(6, 4),
+    allowNull: false,
+    field: 'annual_rate',
+    comment: 'Fixed annual interest rate (e.g. 0.0650 = 6.5%)'
+  },
+  creditRating: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    field: 'credit_rating',
+    comment: 'Credit rating the rate was priced on'
+  },
+  termWeeks: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'term_weeks'
+  },
+  weeklyPayment: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    field: 'weekly_payment',
+    comment: 'Fixed weekly instalment covering interest and principal'
+  },
+  paymentsMade: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    field: 'payments_made'
+  },
+  nextPaymentDue: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'next_payment_due',
+    comment: 'Game time of the next instalment (null once repaid)'
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'repaid'),
+    allowNull: false,
+    defaultValue: 'active'
+  },
+  startedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'started_at',
+    comment: 'Game time the loan was drawn down'
+  },
+  repaidAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'repaid_at'
+  }
+}, {
+  tableName: 'loans',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['world_membership_id', 'status'] },
+    { fields: ['status', 'next_payment_due'] },
+    { fields: ['aircraft_id'] }
+  ]
+});
+
+module.exports = Loan;
@@ -0,0 +1,96 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * NpcAirline Model
+ * A computer-run airline competing with players in a world
+ */
+const NpcAirline = sequelize.define('NpcAirline', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  worldId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'world_id',
+    references: {
+      model: 'worlds',
+      key: 'id'
+    }
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  airlineCode: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    field: 'airline_code',
+    comment: 'ICAO-style airline code'
+  },
+  iataCode: {
+    type: DataTypes.STRING(2),
+    allowNull: false,
+    field: 'iata_code',
+    comment: 'IATA-style code used for route numbers'
+  },
+  baseAirportId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'base_airport_id',
+    references: {
+      model: 'airports',
+      key: 'id'
+    }
+  },
+  reputation: {
+    type: DataTypes.INTEGER,
+    defaultValue: 50,
+    comment: 'Brand reputation (0-100), drifts with profitability'
+  },
+  weeklyProfit: {
+    type: DataTypes.DECIMAL(15, 2),
+    defaultValue: 0,
+    field: 'weekly_profit',
+    comment: 'Estimated profit of the network at the last weekly review'
+  },
+  cumulativeProfit: {
+    type: DataTypes.DECIMAL(15, 2),
+    defaultValue: 0,
+    field: 'cumulative_profit'
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+    field: 'is_active'
+  },
+  foundedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'founded_at',
+    comment: 'Game time the airline started operating'
+  },
+  ceasedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'ceased_at',
+    comment: 'Game time the airline stopped operating (retired or failed)'
+  },
+  lastReviewedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'last_reviewed_at',
+    comment: 'Game time of the last weekly network review'
+  }
+}, {
+  tableName: 'npc_airlines',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['world_id', 'is_active'] }
+  ]
+});
+
+module.exports = NpcAirline;
@@ -0,0 +1,136 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * NpcRoute Model
+ * A route flown by a computer-run airline, with the fleet assigned to it
+ */
+const NpcRoute = sequelize.define('NpcRoute', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  npcAirlineId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'npc_airline_id',
+    references: {
+      model: 'npc_airlines',
+      key: 'id'
+    }
+  },
+  routeNumber: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'route_number'
+  },
+  returnRouteNumber: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'return_route_number'
+  },
+  departureAirportId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'departure_airport_id',
+    references: {
+      model: 'airports',
+      key: 'id'
+    }
+  },
+  arrivalAirportId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'arrival_airport_id',
+    references: {
+      model: 'airports',
+      key: 'id'
+    }
+  },
+  aircraftId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'aircraft_id',
+    references: {
+      model: 'aircraft',
+      key: 'id'
+    },
+    comment: 'Aircraft type flown on the route'
+  },
+  aircraftCount: {
+    type: DataTypes.INTEGER,
+    defaultValue: 1,
+    field: 'aircraft_count',
+    comment: 'Aircraft needed to fly the weekly departures'
+  },
+  aircraftAgeYears: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    field: 'aircraft_age_years',
+    comment: 'Average age of the aircraft on the route'
+  },
+  distance: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    comment: 'Distance in nautical miles'
+  },
+  departureTime: {
+    type: DataTypes.TIME,
+    allowNull: false,
+    field: 'departure_time',
+    comment: 'First outbound departure of the day'
+  },
+  weeklyDepartures: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 7,
+    field: 'weekly_departures',
+    comment: 'Round trips flown per week'
+  },
+  economyPrice: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    field: 'economy_price'
+  },
+  businessPrice: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    field: 'business_price'
+  },
+  lastWeekProfit: {
+    type: DataTypes.DECIMAL(15, 2),
+    defaultValue: 0,
+    field: 'last_week_profit',
+    comment: 'Estimated profit at the last weekly review'
+  },
+  lastLoadFactor: {
+    type: DataTypes.DECIMAL(5, 2),
+    defaultValue: 0,
+    field: 'last_load_factor',
+    comment: 'Estimated load factor (%) at the last weekly review'
+  },
+  weeksUnprofitable: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    field: 'weeks_unprofitable',
+    comment: 'Consecutive weekly reviews showing a loss'
+  },
+  startedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'started_at',
+    comment: 'Game time the route opened'
+  }
+}, {
+  tableName: 'npc_routes',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['npc_airline_id'] },
+    { fields: ['departure_airport_id'] },
+    { fields: ['arrival_airport_id'] }
+  ]
+});
+
+module.exports = NpcRoute;
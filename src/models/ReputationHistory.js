@@ -0,0 +1,110 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * ReputationHistory Model
+ * One row per weekly reputation review, with the operational scores behind it
+ * Component scores are 0-100, or null when the airline had nothing to measure
+ */
+const ReputationHistory = sequelize.define('ReputationHistory', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  worldMembershipId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'world_membership_id',
+    references: {
+      model: 'world_memberships',
+      key: 'id'
+    }
+  },
+  reputation: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Reputation after the review (0-100)'
+  },
+  previousReputation: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'previous_reputation'
+  },
+  targetReputation: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'target_reputation',
+    comment: 'Weighted score of the components, which reputation moves towards'
+  },
+  completionScore: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'completion_score',
+    comment: 'Flights operated vs missed'
+  },
+  cancellationScore: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'cancellation_score'
+  },
+  fleetScore: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'fleet_score',
+    comment: 'Fleet age and condition'
+  },
+  maintenanceScore: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'maintenance_score',
+    comment: 'Share of the fleet with no overdue checks'
+  },
+  pricingScore: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'pricing_score',
+    comment: 'Economy fares relative to the market fare'
+  },
+  vatsimScore: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'vatsim_score',
+    comment: 'Average punctuality score of legs flown on VATSIM'
+  },
+  flightsCompleted: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    field: 'flights_completed'
+  },
+  flightsMissed: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    field: 'flights_missed'
+  },
+  flightsCancelled: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    field: 'flights_cancelled'
+  },
+  vatsimFlights: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    field: 'vatsim_flights'
+  },
+  gameTime: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'game_time',
+    comment: 'Game time of the review'
+  }
+}, {
+  tableName: 'reputation_history',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['world_membership_id', 'game_time'] }
+  ]
+});
+
+module.exports = ReputationHistory;
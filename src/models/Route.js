@@ -150,6 +150,20 @@ const Route = sequelize.define('Route', {
     field: 'cargo_heavy_rate',
     comment: 'Heavy cargo rate per ton'
   },
+  // Revenue management
+  pricingStrategy: {
+    type: DataTypes.ENUM('manual', 'target_load_factor', 'maximise_revenue', 'maximise_load_factor', 'match_competitor'),
+    allowNull: false,
+    defaultValue: 'manual',
+    field: 'pricing_strategy',
+    comment: 'How fares are set: by hand, or repriced every game week by the chosen strategy'
+  },
+  targetLoadFactor: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'target_load_factor',
+    comment: 'Load factor percentage the target_load_factor strategy prices toward'
+  },
   // Transport type
   transportType: {
     type: DataTypes.ENUM('both', 'passengers_only', 'cargo_only'),
@@ -0,0 +1,59 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * RouteFareBucket Model
+ * One fare level in a cabin on a route. A cabin's buckets split its seats between
+ * fares set relative to the cabin fare; travellers book the cheapest open bucket first,
+ * so dearer buckets only sell once the cheaper ones are full.
+ */
+const RouteFareBucket = sequelize.define('RouteFareBucket', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  routeId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'route_id',
+    references: {
+      model: 'routes',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  cabin: {
+    type: DataTypes.ENUM('economy', 'economyPlus', 'business', 'first'),
+    allowNull: false
+  },
+  bucketCode: {
+    type: DataTypes.STRING(2),
+    allowNull: false,
+    field: 'bucket_code',
+    comment: 'Booking class letter shown to the airline (e.g. Q, M, Y)'
+  },
+  fareMultiplier: {
+    type: DataTypes.DECIMAL(4, 2),
+    allowNull: false,
+    field: 'fare_multiplier',
+    comment: 'Fare as a multiple of the route cabin fare'
+  },
+  seatShare: {
+    type: DataTypes.DECIMAL(4, 3),
+    allowNull: false,
+    field: 'seat_share',
+    comment: 'Share of the cabin seats allocated to this bucket'
+  }
+}, {
+  tableName: 'route_fare_buckets',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      fields: ['route_id', 'cabin']
+    }
+  ]
+});
+
+module.exports = RouteFareBucket;
@@ -54,10 +54,46 @@ const ScheduledFlight = sequelize.define('ScheduledFlight', {
     comment: 'Scheduled arrival time'
   },
   status: {
-    type: DataTypes.ENUM('scheduled', 'in_progress', 'completed', 'cancelled'),
+    type: DataTypes.ENUM('scheduled', 'in_progress', 'completed', 'cancelled', 'missed'),
     defaultValue: 'scheduled',
     allowNull: false,
-    comment: 'Current status of the flight'
+    comment: 'Current status of the flight (missed: never departed before its date passed)'
+  },
+  divertedTo: {
+    type: DataTypes.STRING(4),
+    allowNull: true,
+    field: 'diverted_to',
+    comment: 'ICAO code the final landing diverted to (null if it landed back at its origin)'
+  },
+  // Settlement results (set when the round trip completes)
+  revenue: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: true,
+    comment: 'Passenger and cargo revenue for the round trip'
+  },
+  passengersCarried: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'passengers_carried',
+    comment: 'Passengers carried across both legs'
+  },
+  cargoCarriedKg: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'cargo_carried_kg',
+    comment: 'Cargo carried across both legs (kg)'
+  },
+  loadFactor: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: true,
+    field: 'load_factor',
+    comment: 'Load factor percentage for the round trip'
+  },
+  operatingCost: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: true,
+    field: 'operating_cost',
+    comment: 'Fuel, crew, maintenance and airport/navigation charges for the round trip'
   }
 }, {
   tableName: 'scheduled_flights',
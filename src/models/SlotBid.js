@@ -0,0 +1,57 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * SlotBid Model
+ * An airline's bid for a released or auctioned slot (one per airline per listing, raised in place)
+ */
+const SlotBid = sequelize.define('SlotBid', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  slotListingId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'slot_listing_id',
+    references: {
+      model: 'slot_listings',
+      key: 'id'
+    }
+  },
+  worldMembershipId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'world_membership_id',
+    references: {
+      model: 'world_memberships',
+      key: 'id'
+    }
+  },
+  amount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'won', 'lost'),
+    allowNull: false,
+    defaultValue: 'active'
+  },
+  placedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'placed_at',
+    comment: 'Game time of the latest raise'
+  }
+}, {
+  tableName: 'slot_bids',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['slot_listing_id', 'amount'] },
+    { unique: true, fields: ['slot_listing_id', 'world_membership_id'] }
+  ]
+});
+
+module.exports = SlotBid;
@@ -0,0 +1,125 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * SlotListing Model
+ * A slot on the market: offered for sale or lease by its holder, released by an airline that
+ * dropped it (bid for), or new capacity from an infrastructure milestone (auctioned)
+ */
+const SlotListing = sequelize.define('SlotListing', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  worldId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'world_id',
+    references: {
+      model: 'worlds',
+      key: 'id'
+    }
+  },
+  airportSlotId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'airport_slot_id',
+    references: {
+      model: 'airport_slots',
+      key: 'id'
+    },
+    comment: 'Slot on offer (null once an unsold released or auctioned slot is withdrawn)'
+  },
+  airportId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'airport_id',
+    references: {
+      model: 'airports',
+      key: 'id'
+    }
+  },
+  hour: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  listingType: {
+    type: DataTypes.ENUM('sale', 'lease', 'release', 'auction'),
+    allowNull: false,
+    field: 'listing_type'
+  },
+  sellerMembershipId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'seller_membership_id',
+    references: {
+      model: 'world_memberships',
+      key: 'id'
+    },
+    comment: 'Airline offering the slot (null for released and auctioned slots)'
+  },
+  price: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    comment: 'Sale price, weekly lease rate, or reserve price for bidding'
+  },
+  leaseWeeks: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'lease_weeks'
+  },
+  milestoneYear: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'milestone_year',
+    comment: 'Infrastructure milestone that added the auctioned capacity'
+  },
+  status: {
+    type: DataTypes.ENUM('open', 'completed', 'cancelled', 'expired'),
+    allowNull: false,
+    defaultValue: 'open'
+  },
+  listedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'listed_at'
+  },
+  closesAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'closes_at',
+    comment: 'Game time bidding closes (released and auctioned slots only)'
+  },
+  buyerMembershipId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'buyer_membership_id',
+    references: {
+      model: 'world_memberships',
+      key: 'id'
+    }
+  },
+  finalPrice: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: true,
+    field: 'final_price'
+  },
+  completedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'completed_at'
+  }
+}, {
+  tableName: 'slot_listings',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['world_id', 'status'] },
+    { fields: ['airport_id', 'status'] },
+    { fields: ['status', 'closes_at'] },
+    { fields: ['seller_membership_id'] }
+  ]
+});
+
+module.exports = SlotListing;
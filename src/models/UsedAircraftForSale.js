@@ -51,6 +51,19 @@ const UsedAircraftForSale = sequelize.define('UsedAircraftForSale', {
     field: 'seller_reason',
     comment: 'Reason for sale (Fleet Renewal, Restructuring, etc.)'
   },
+  // Leasing company offering the airframe for lease, picked when it is listed
+  lessorName: {
+    type: DataTypes.STRING,
+    field: 'lessor_name'
+  },
+  lessorShortName: {
+    type: DataTypes.STRING,
+    field: 'lessor_short_name'
+  },
+  lessorCountry: {
+    type: DataTypes.STRING,
+    field: 'lessor_country'
+  },
   // Aircraft condition
   condition: {
     type: DataTypes.STRING,
@@ -83,6 +96,12 @@ const UsedAircraftForSale = sequelize.define('UsedAircraftForSale', {
     type: DataTypes.DECIMAL(15, 2),
     field: 'lease_price'
   },
+  askingPremium: {
+    type: DataTypes.DECIMAL(4, 3),
+    defaultValue: 1,
+    field: 'asking_premium',
+    comment: 'Asking price over the aircraft\'s market value; the seller cuts it while it sits unsold'
+  },
   // Maintenance check validity (days remaining)
   cCheckRemainingDays: {
     type: DataTypes.INTEGER,
@@ -100,7 +119,14 @@ const UsedAircraftForSale = sequelize.define('UsedAircraftForSale', {
   listedAt: {
     type: DataTypes.DATE,
     defaultValue: DataTypes.NOW,
-    field: 'listed_at'
+    field: 'listed_at',
+    comment: 'Game time the aircraft went on the market'
+  },
+  agedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'aged_at',
+    comment: 'Game time age, check validity and price were last brought up to date'
   },
   soldAt: {
     type: DataTypes.DATE,
@@ -119,6 +145,9 @@ const UsedAircraftForSale = sequelize.define('UsedAircraftForSale', {
     },
     {
       fields: ['status']
+    },
+    {
+      fields: ['world_id', 'status']
     }
   ]
 });
@@ -78,6 +78,16 @@ const User = sequelize.define('User', {
     allowNull: false,
     field: 'unlimited_credits',
     comment: 'Whether user has unlimited credits (no deductions)'
+  },
+  moderatorWorldId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'moderator_world_id',
+    references: {
+      model: 'worlds',
+      key: 'id'
+    },
+    comment: 'World this user moderates (world moderator role), if any'
   }
 }, {
   tableName: 'users',
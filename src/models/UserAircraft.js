@@ -42,16 +42,23 @@ const UserAircraft = sequelize.define('UserAircraft', {
     defaultValue: 'New'
   },
   conditionPercentage: {
-    type: DataTypes.INTEGER,
+    type: DataTypes.FLOAT,
     defaultValue: 100,
-    field: 'condition_percentage'
+    field: 'condition_percentage',
+    comment: 'Worn down by flying, time and overdue checks; restored by C and D checks'
   },
-  // Age at acquisition
+  // Airframe age, advanced on each anniversary of joining the fleet
   ageYears: {
     type: DataTypes.INTEGER,
     defaultValue: 0,
     field: 'age_years'
   },
+  agedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'aged_at',
+    comment: 'Game time the daily wear run last aged this aircraft up to'
+  },
   // Financial details
   purchasePrice: {
     type: DataTypes.DECIMAL(15, 2),
@@ -145,17 +152,43 @@ const UserAircraft = sequelize.define('UserAircraft', {
     type: DataTypes.ENUM('active', 'maintenance', 'storage', 'sold', 'listed_sale', 'listed_lease', 'leased_out'),
     defaultValue: 'active'
   },
+  // Storage
+  storedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'stored_at',
+    comment: 'Game time the aircraft went into storage (null when not stored)'
+  },
+  storageProgramme: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    field: 'storage_programme',
+    comment: 'Preservation programme while stored (see aircraftStorageService)'
+  },
+  reactivationReadyAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'reactivation_ready_at',
+    comment: 'Game time a stored aircraft being reactivated returns to service'
+  },
   // Location
   currentAirport: {
     type: DataTypes.STRING,
     field: 'current_airport'
   },
-  // Total flight hours (tracked over time)
+  // Total flight hours (block hours added by each completed flight)
   totalFlightHours: {
     type: DataTypes.DECIMAL(10, 2),
     defaultValue: 0,
     field: 'total_flight_hours'
   },
+  totalCycles: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'total_cycles',
+    comment: 'Take-offs and landings flown'
+  },
   // Acquisition date
   acquiredAt: {
     type: DataTypes.DATE,
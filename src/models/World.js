@@ -99,6 +99,19 @@ const World = sequelize.define('World', {
     defaultValue: 0,
     field: 'free_weeks',
     comment: 'Number of free game weeks for new airlines before weekly credit deductions start'
+  },
+  // Computer-run competition
+  npcAirlineCount: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    field: 'npc_airline_count',
+    comment: 'Number of computer-run airlines operating in this world'
+  },
+  npcAggressiveness: {
+    type: DataTypes.ENUM('passive', 'balanced', 'aggressive'),
+    defaultValue: 'balanced',
+    field: 'npc_aggressiveness',
+    comment: 'How quickly computer-run airlines expand and how hard they compete on fares'
   }
 }, {
   tableName: 'worlds',
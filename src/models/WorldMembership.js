@@ -96,6 +96,42 @@ const WorldMembership = sequelize.define('WorldMembership', {
     allowNull: true,
     comment: 'Last time user entered this world',
     field: 'last_visited'
+  },
+  administrationStartedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Game time the airline entered administration (null when not in administration)',
+    field: 'administration_started_at'
+  },
+  administrationDeadline: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Game time the airline is liquidated unless credits are restored',
+    field: 'administration_deadline'
+  },
+  overdraftBreachWeeks: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    comment: 'Consecutive game weeks the balance has been below the overdraft limit',
+    field: 'overdraft_breach_weeks'
+  },
+  overdraftWarningLevel: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    comment: 'Highest overdraft warning sent: 0 none, 1 overdrawn, 2 near limit, 3 over limit',
+    field: 'overdraft_warning_level'
+  },
+  lastOverdraftCheck: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Game time of the last weekly overdraft interest run',
+    field: 'last_overdraft_check'
+  },
+  insolventSince: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Game time the airline was declared insolvent (null when solvent)',
+    field: 'insolvent_since'
   }
 }, {
   tableName: 'world_memberships',
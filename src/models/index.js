@@ -13,6 +13,23 @@ const AirportRouteDemand = require('./AirportRouteDemand');
 const SystemSettings = require('./SystemSettings');
 const UsedAircraftForSale = require('./UsedAircraftForSale');
 const Notification = require('./Notification');
+const LedgerEntry = require('./LedgerEntry');
+const Loan = require('./Loan');
+const NpcAirline = require('./NpcAirline');
+const NpcRoute = require('./NpcRoute');
+const ReputationHistory = require('./ReputationHistory');
+const AdminAuditLog = require('./AdminAuditLog');
+const AirportSlot = require('./AirportSlot');
+const SlotListing = require('./SlotListing');
+const SlotBid = require('./SlotBid');
+const CrewPool = require('./CrewPool');
+const CrewTraining = require('./CrewTraining');
+const FuelPrice = require('./FuelPrice');
+const FuelContract = require('./FuelContract');
+const RouteFareBucket = require('./RouteFareBucket');
+const ConnectingTraffic = require('./ConnectingTraffic');
+const FerryFlight = require('./FerryFlight');
+const AircraftOrder = require('./AircraftOrder');
 
 // Define associations
 User.belongsToMany(World, {
@@ -60,6 +77,10 @@ ScheduledFlight.belongsTo(Route, { foreignKey: 'route_id', as: 'route' });
 UserAircraft.hasMany(ScheduledFlight, { foreignKey: 'aircraft_id', as: 'scheduledFlights' });
 ScheduledFlight.belongsTo(UserAircraft, { foreignKey: 'aircraft_id', as: 'aircraft' });
 
+// Flight associations (legs of a scheduled round trip flown by a human on VATSIM)
+ScheduledFlight.hasMany(Flight, { foreignKey: 'scheduled_flight_id', as: 'humanFlights', onDelete: 'SET NULL' });
+Flight.belongsTo(ScheduledFlight, { foreignKey: 'scheduled_flight_id', as: 'scheduledFlight', onDelete: 'SET NULL' });
+
 // RecurringMaintenance associations
 UserAircraft.hasMany(RecurringMaintenance, { foreignKey: 'aircraft_id', as: 'recurringMaintenance' });
 RecurringMaintenance.belongsTo(UserAircraft, { foreignKey: 'aircraft_id', as: 'aircraft' });
@@ -84,6 +105,93 @@ UsedAircraftForSale.belongsTo(Aircraft, { foreignKey: 'aircraft_id', as: 'aircra
 WorldMembership.hasMany(Notification, { foreignKey: 'world_membership_id', as: 'notifications' });
 Notification.belongsTo(WorldMembership, { foreignKey: 'world_membership_id', as: 'membership' });
 
+// LedgerEntry associations
+WorldMembership.hasMany(LedgerEntry, { foreignKey: 'world_membership_id', as: 'ledgerEntries' });
+LedgerEntry.belongsTo(WorldMembership, { foreignKey: 'world_membership_id', as: 'membership' });
+
+// Loan associations
+WorldMembership.hasMany(Loan, { foreignKey: 'world_membership_id', as: 'loans' });
+Loan.belongsTo(WorldMembership, { foreignKey: 'world_membership_id', as: 'membership' });
+UserAircraft.hasMany(Loan, { foreignKey: 'aircraft_id', as: 'loans', onDelete: 'SET NULL' });
+Loan.belongsTo(UserAircraft, { foreignKey: 'aircraft_id', as: 'aircraft', onDelete: 'SET NULL' });
+
+// NPC airline associations
+World.hasMany(NpcAirline, { foreignKey: 'world_id', as: 'npcAirlines' });
+NpcAirline.belongsTo(World, { foreignKey: 'world_id', as: 'world' });
+NpcAirline.belongsTo(Airport, { foreignKey: 'base_airport_id', as: 'baseAirport' });
+NpcAirline.hasMany(NpcRoute, { foreignKey: 'npc_airline_id', as: 'routes' });
+NpcRoute.belongsTo(NpcAirline, { foreignKey: 'npc_airline_id', as: 'airline' });
+NpcRoute.belongsTo(Airport, { foreignKey: 'departure_airport_id', as: 'departureAirport' });
+NpcRoute.belongsTo(Airport, { foreignKey: 'arrival_airport_id', as: 'arrivalAirport' });
+NpcRoute.belongsTo(Aircraft, { foreignKey: 'aircraft_id', as: 'aircraft' });
+
+// ReputationHistory associations
+WorldMembership.hasMany(ReputationHistory, { foreignKey: 'world_membership_id', as: 'reputationHistory' });
+ReputationHistory.belongsTo(WorldMembership, { foreignKey: 'world_membership_id', as: 'membership' });
+
+// Admin roles and audit trail
+User.belongsTo(World, { foreignKey: 'moderator_world_id', as: 'moderatedWorld', onDelete: 'SET NULL' });
+User.hasMany(AdminAuditLog, { foreignKey: 'actor_user_id', as: 'adminActions' });
+AdminAuditLog.belongsTo(User, { foreignKey: 'actor_user_id', as: 'actor' });
+AdminAuditLog.belongsTo(World, { foreignKey: 'world_id', as: 'world', onDelete: 'SET NULL' });
+
+// Airport slot holdings and the slot market
+WorldMembership.hasMany(AirportSlot, { foreignKey: 'world_membership_id', as: 'airportSlots' });
+AirportSlot.belongsTo(WorldMembership, { foreignKey: 'world_membership_id', as: 'holder' });
+AirportSlot.belongsTo(WorldMembership, { foreignKey: 'lessee_membership_id', as: 'lessee' });
+AirportSlot.belongsTo(Airport, { foreignKey: 'airport_id', as: 'airport' });
+AirportSlot.hasMany(SlotListing, { foreignKey: 'airport_slot_id', as: 'listings' });
+SlotListing.belongsTo(AirportSlot, { foreignKey: 'airport_slot_id', as: 'slot' });
+SlotListing.belongsTo(Airport, { foreignKey: 'airport_id', as: 'airport' });
+SlotListing.belongsTo(WorldMembership, { foreignKey: 'seller_membership_id', as: 'seller' });
+SlotListing.belongsTo(WorldMembership, { foreignKey: 'buyer_membership_id', as: 'buyer' });
+SlotListing.hasMany(SlotBid, { foreignKey: 'slot_listing_id', as: 'bids' });
+SlotBid.belongsTo(SlotListing, { foreignKey: 'slot_listing_id', as: 'listing' });
+SlotBid.belongsTo(WorldMembership, { foreignKey: 'world_membership_id', as: 'bidder' });
+
+// Crew employed at airline bases
+WorldMembership.hasMany(CrewPool, { foreignKey: 'world_membership_id', as: 'crewPools' });
+CrewPool.belongsTo(WorldMembership, { foreignKey: 'world_membership_id', as: 'membership' });
+CrewPool.belongsTo(Airport, { foreignKey: 'base_airport_id', as: 'baseAirport' });
+WorldMembership.hasMany(CrewTraining, { foreignKey: 'world_membership_id', as: 'crewTrainings' });
+CrewTraining.belongsTo(WorldMembership, { foreignKey: 'world_membership_id', as: 'membership' });
+CrewTraining.belongsTo(Airport, { foreignKey: 'base_airport_id', as: 'baseAirport' });
+
+// Fuel market
+World.hasMany(FuelPrice, { foreignKey: 'world_id', as: 'fuelPrices' });
+FuelPrice.belongsTo(World, { foreignKey: 'world_id', as: 'world' });
+WorldMembership.hasMany(FuelContract, { foreignKey: 'world_membership_id', as: 'fuelContracts' });
+FuelContract.belongsTo(WorldMembership, { foreignKey: 'world_membership_id', as: 'membership' });
+
+// Revenue management
+Route.hasMany(RouteFareBucket, { foreignKey: 'route_id', as: 'fareBuckets' });
+RouteFareBucket.belongsTo(Route, { foreignKey: 'route_id', as: 'route' });
+
+// Passengers connecting at a hub
+ScheduledFlight.hasMany(ConnectingTraffic, { foreignKey: 'scheduled_flight_id', as: 'connectingTraffic' });
+ConnectingTraffic.belongsTo(ScheduledFlight, { foreignKey: 'scheduled_flight_id', as: 'flight' });
+Route.hasMany(ConnectingTraffic, { foreignKey: 'route_id', as: 'connectingTraffic' });
+ConnectingTraffic.belongsTo(Route, { foreignKey: 'route_id', as: 'route' });
+ConnectingTraffic.belongsTo(Route, { foreignKey: 'connecting_route_id', as: 'connectingRoute' });
+ConnectingTraffic.belongsTo(Airport, { foreignKey: 'origin_airport_id', as: 'originAirport' });
+ConnectingTraffic.belongsTo(Airport, { foreignKey: 'destination_airport_id', as: 'destinationAirport' });
+
+// Ferry (positioning) flights
+WorldMembership.hasMany(FerryFlight, { foreignKey: 'world_membership_id', as: 'ferryFlights' });
+FerryFlight.belongsTo(WorldMembership, { foreignKey: 'world_membership_id', as: 'membership' });
+UserAircraft.hasMany(FerryFlight, { foreignKey: 'aircraft_id', as: 'ferryFlights' });
+FerryFlight.belongsTo(UserAircraft, { foreignKey: 'aircraft_id', as: 'aircraft' });
+FerryFlight.belongsTo(Airport, { foreignKey: 'departure_airport_id', as: 'departureAirport' });
+FerryFlight.belongsTo(Airport, { foreignKey: 'arrival_airport_id', as: 'arrivalAirport' });
+
+// New aircraft orders and options
+World.hasMany(AircraftOrder, { foreignKey: 'world_id', as: 'aircraftOrders' });
+AircraftOrder.belongsTo(World, { foreignKey: 'world_id', as: 'world' });
+WorldMembership.hasMany(AircraftOrder, { foreignKey: 'world_membership_id', as: 'aircraftOrders' });
+AircraftOrder.belongsTo(WorldMembership, { foreignKey: 'world_membership_id', as: 'membership' });
+Aircraft.hasMany(AircraftOrder, { foreignKey: 'aircraft_id', as: 'orders' });
+AircraftOrder.belongsTo(Aircraft, { foreignKey: 'aircraft_id', as: 'aircraft' });
+
 module.exports = {
   User,
   World,
@@ -99,5 +207,22 @@ module.exports = {
   AirportRouteDemand,
   SystemSettings,
   UsedAircraftForSale,
-  Notification
+  Notification,
+  LedgerEntry,
+  Loan,
+  NpcAirline,
+  NpcRoute,
+  ReputationHistory,
+  AdminAuditLog,
+  AirportSlot,
+  SlotListing,
+  SlotBid,
+  CrewPool,
+  CrewTraining,
+  FuelPrice,
+  FuelContract,
+  RouteFareBucket,
+  ConnectingTraffic,
+  FerryFlight,
+  AircraftOrder
 };
@@ -1,20 +1,42 @@
 const express = require('express');
 const router = express.Router();
-const { User, WorldMembership, World, Aircraft, Airport, SystemSettings, UserAircraft, UsedAircraftForSale } = require('../models');
+const { User, WorldMembership, World, Aircraft, Airport, SystemSettings, UserAircraft, NpcAirline, NpcRoute } = require('../models');
 const airportCacheService = require('../services/airportCacheService');
-const { sellingAirlines, leasingCompanies, aircraftBrokers } = require('../data/aircraftSellers');
+const worldTimeService = require('../services/worldTimeService');
+const ledgerService = require('../services/ledgerService');
+const npcAirlineService = require('../services/npcAirlineService');
+const auditService = require('../services/auditService');
+const usedAircraftMarketService = require('../services/usedAircraftMarketService');
+const { ROLES, loadAdminAccess, requirePermission, worldFromParam, worldFromQuery, worldFromAirline, worldFromFleetAircraft } = require('../middleware/adminAccess');
+
+// Every admin route needs at least one admin role
+router.use(loadAdminAccess);
+
+/**
+ * Get the signed-in user's admin roles and permissions
+ */
+router.get('/me', async (req, res) => {
+  const { user, roles } = req.adminAccess;
+
+  res.json({
+    roles,
+    permissions: req.adminAccess.permissions(),
+    moderatorWorldId: user.moderatorWorldId || null,
+    availableRoles: Object.keys(ROLES)
+  });
+});
 
 /**
  * Get all users with their credit information
  */
-router.get('/users', async (req, res) => {
+router.get('/users', requirePermission('users:read'), async (req, res) => {
   try {
     if (!req.user) {
       return res.status(401).json({ error: 'Not authenticated' });
     }
 
     const users = await User.findAll({
-      attributes: ['id', 'vatsimId', 'firstName', 'lastName', 'email', 'credits', 'isAdmin', 'isContributor', 'unlimitedCredits', 'lastLogin'],
+      attributes: ['id', 'vatsimId', 'firstName', 'lastName', 'email', 'credits', 'isAdmin', 'isContributor', 'moderatorWorldId', 'unlimitedCredits', 'lastLogin'],
       order: [['lastName', 'ASC'], ['firstName', 'ASC']]
     });
 
@@ -42,7 +64,7 @@ router.get('/users', async (req, res) => {
 /**
  * Update user credits
  */
-router.post('/users/:userId/credits', async (req, res) => {
+router.post('/users/:userId/credits', requirePermission('users:credits'), async (req, res) => {
   try {
     if (!req.user) {
       return res.status(401).json({ error: 'Not authenticated' });
@@ -61,12 +83,23 @@ router.post('/users/:userId/credits', async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
+    const before = auditService.snapshot(user, ['credits', 'unlimitedCredits']);
+
     user.credits = credits;
     if (unlimitedCredits !== undefined) {
       user.unlimitedCredits = !!unlimitedCredits;
     }
     await user.save();
 
+    await auditService.record(req, {
+      action: 'user.credits',
+      targetType: 'user',
+      targetId: user.id,
+      targetLabel: `${user.firstName} ${user.lastName} (${user.vatsimId})`,
+      before,
+      after: auditService.snapshot(user, ['credits', 'unlimitedCredits'])
+    });
+
     res.json({
       message: 'Credits updated successfully',
       user: {
@@ -87,7 +120,7 @@ router.post('/users/:userId/credits', async (req, res) => {
 /**
  * Adjust user credits (add/subtract)
  */
-router.post('/users/:userId/adjust-credits', async (req, res) => {
+router.post('/users/:userId/adjust-credits', requirePermission('users:credits'), async (req, res) => {
   try {
     if (!req.user) {
       return res.status(401).json({ error: 'Not authenticated' });
@@ -106,9 +139,20 @@ router.post('/users/:userId/adjust-credits', async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
+    const before = auditService.snapshot(user, ['credits']);
+
     user.credits += amount;
     await user.save();
 
+    await auditService.record(req, {
+      action: 'user.credits',
+      targetType: 'user',
+      targetId: user.id,
+      targetLabel: `${user.firstName} ${user.lastName} (${user.vatsimId})`,
+      before,
+      after: auditService.snapshot(user, ['credits'])
+    });
+
     res.json({
       message: 'Credits adjusted successfully',
       user: {
@@ -126,16 +170,17 @@ router.post('/users/:userId/adjust-credits', async (req, res) => {
 });
 
 /**
- * Update user permissions (admin/contributor status)
+ * Update user permissions (admin/contributor status, moderated world)
+ * moderatorWorldId: world to moderate, or null to remove the moderator role
  */
-router.post('/users/:userId/permissions', async (req, res) => {
+router.post('/users/:userId/permissions', requirePermission('users:roles'), async (req, res) => {
   try {
     if (!req.user) {
       return res.status(401).json({ error: 'Not authenticated' });
     }
 
     const { userId } = req.params;
-    const { isAdmin, isContributor } = req.body;
+    const { isAdmin, isContributor, moderatorWorldId } = req.body;
 
     // Validate input
     if (isAdmin !== undefined && typeof isAdmin !== 'boolean') {
@@ -146,12 +191,26 @@ router.post('/users/:userId/permissions', async (req, res) => {
       return res.status(400).json({ error: 'isContributor must be a boolean' });
     }
 
+    if (moderatorWorldId !== undefined && moderatorWorldId !== null) {
+      const world = await World.findByPk(moderatorWorldId, { attributes: ['id'] });
+      if (!world) {
+        return res.status(400).json({ error: 'moderatorWorldId must be an existing world' });
+      }
+    }
+
     const user = await User.findByPk(userId);
 
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
 
+    // Admins can't remove their own admin role and lock everyone out
+    if (user.id === req.adminAccess.user.id && isAdmin === false) {
+      return res.status(400).json({ error: 'You cannot remove your own admin role' });
+    }
+
+    const before = auditService.snapshot(user, ['isAdmin', 'isContributor', 'moderatorWorldId']);
+
     // Update permissions if provided
     if (isAdmin !== undefined) {
       user.isAdmin = isAdmin;
@@ -161,8 +220,21 @@ router.post('/users/:userId/permissions', async (req, res) => {
       user.isContributor = isContributor;
     }
 
+    if (moderatorWorldId !== undefined) {
+      user.moderatorWorldId = moderatorWorldId;
+    }
+
     await user.save();
 
+    await auditService.record(req, {
+      action: 'user.permissions',
+      targetType: 'user',
+      targetId: user.id,
+      targetLabel: `${user.firstName} ${user.lastName} (${user.vatsimId})`,
+      before,
+      after: auditService.snapshot(user, ['isAdmin', 'isContributor', 'moderatorWorldId'])
+    });
+
     res.json({
       message: 'Permissions updated successfully',
       user: {
@@ -170,7 +242,8 @@ router.post('/users/:userId/permissions', async (req, res) => {
         vatsimId: user.vatsimId,
         name: `${user.firstName} ${user.lastName}`,
         isAdmin: user.isAdmin,
-        isContributor: user.isContributor
+        isContributor: user.isContributor,
+        moderatorWorldId: user.moderatorWorldId
       }
     });
   } catch (error) {
@@ -184,7 +257,7 @@ router.post('/users/:userId/permissions', async (req, res) => {
 /**
  * Get all aircraft
  */
-router.get('/aircraft', async (req, res) => {
+router.get('/aircraft', requirePermission('aircraft:read'), async (req, res) => {
   try {
     if (!req.user) {
       return res.status(401).json({ error: 'Not authenticated' });
@@ -206,7 +279,7 @@ router.get('/aircraft', async (req, res) => {
 /**
  * Create new aircraft
  */
-router.post('/aircraft', async (req, res) => {
+router.post('/aircraft', requirePermission('aircraft:write'), async (req, res) => {
   try {
     if (!req.user) {
       return res.status(401).json({ error: 'Not authenticated' });
@@ -267,6 +340,14 @@ router.post('/aircraft', async (req, res) => {
       description
     });
 
+    await auditService.record(req, {
+      action: 'aircraft_type.create',
+      targetType: 'aircraft_type',
+      targetId: aircraft.id,
+      targetLabel: `${aircraft.manufacturer} ${aircraft.model}${aircraft.variant ? '-' + aircraft.variant : ''}`,
+      after: aircraft.toJSON()
+    });
+
     res.json({
       message: 'Aircraft created successfully',
       aircraft
@@ -282,7 +363,7 @@ router.post('/aircraft', async (req, res) => {
 /**
  * Update aircraft
  */
-router.put('/aircraft/:aircraftId', async (req, res) => {
+router.put('/aircraft/:aircraftId', requirePermission('aircraft:write'), async (req, res) => {
   try {
     if (!req.user) {
       return res.status(401).json({ error: 'Not authenticated' });
@@ -295,9 +376,20 @@ router.put('/aircraft/:aircraftId', async (req, res) => {
       return res.status(404).json({ error: 'Aircraft not found' });
     }
 
+    const before = aircraft.toJSON();
+
     // Update fields
     await aircraft.update(req.body);
 
+    await auditService.record(req, {
+      action: 'aircraft_type.update',
+      targetType: 'aircraft_type',
+      targetId: aircraft.id,
+      targetLabel: `${aircraft.manufacturer} ${aircraft.model}${aircraft.variant ? '-' + aircraft.variant : ''}`,
+      before,
+      after: aircraft.toJSON()
+    });
+
     res.json({
       message: 'Aircraft updated successfully',
       aircraft
@@ -313,7 +405,7 @@ router.put('/aircraft/:aircraftId', async (req, res) => {
 /**
  * Delete aircraft
  */
-router.delete('/aircraft/:aircraftId', async (req, res) => {
+router.delete('/aircraft/:aircraftId', requirePermission('aircraft:write'), async (req, res) => {
   try {
     if (!req.user) {
       return res.status(401).json({ error: 'Not authenticated' });
@@ -326,8 +418,17 @@ router.delete('/aircraft/:aircraftId', async (req, res) => {
       return res.status(404).json({ error: 'Aircraft not found' });
     }
 
+    const before = aircraft.toJSON();
     await aircraft.destroy();
 
+    await auditService.record(req, {
+      action: 'aircraft_type.delete',
+      targetType: 'aircraft_type',
+      targetId: before.id,
+      targetLabel: `${before.manufacturer} ${before.model}${before.variant ? '-' + before.variant : ''}`,
+      before
+    });
+
     res.json({ message: 'Aircraft deleted successfully' });
   } catch (error) {
     if (process.env.NODE_ENV === 'development') {
@@ -338,15 +439,17 @@ router.delete('/aircraft/:aircraftId', async (req, res) => {
 });
 
 /**
- * Get all worlds
+ * Get all worlds (world moderators only see their own)
  */
-router.get('/worlds', async (req, res) => {
+router.get('/worlds', requirePermission('worlds:read'), async (req, res) => {
   try {
     if (!req.user) {
       return res.status(401).json({ error: 'Not authenticated' });
     }
 
+    const scopeWorldId = req.adminAccess.worldScope('worlds:read');
     const worlds = await World.findAll({
+      where: scopeWorldId ? { id: scopeWorldId } : {},
       order: [['createdAt', 'ASC']]
     });
 
@@ -355,10 +458,14 @@ router.get('/worlds', async (req, res) => {
       const memberCount = await WorldMembership.count({
         where: { worldId: world.id, isActive: true }
       });
+      const activeNpcAirlines = await NpcAirline.count({
+        where: { worldId: world.id, isActive: true }
+      });
 
       return {
         ...world.toJSON(),
-        memberCount
+        memberCount,
+        activeNpcAirlines
       };
     }));
 
@@ -374,7 +481,7 @@ router.get('/worlds', async (req, res) => {
 /**
  * Create new world
  */
-router.post('/worlds', async (req, res) => {
+router.post('/worlds', requirePermission('worlds:create'), async (req, res) => {
   try {
     if (!req.user) {
       return res.status(401).json({ error: 'Not authenticated' });
@@ -391,7 +498,9 @@ router.post('/worlds', async (req, res) => {
       joinCost,
       weeklyCost,
       freeWeeks,
-      endDate
+      endDate,
+      npcAirlineCount,
+      npcAggressiveness
     } = req.body;
 
     // Debug: Log received data
@@ -426,7 +535,9 @@ router.post('/worlds', async (req, res) => {
       joinCost: joinCost !== undefined ? joinCost : 10,
       weeklyCost: weeklyCost !== undefined ? weeklyCost : 1,
       freeWeeks: freeWeeks !== undefined ? freeWeeks : 0,
-      endDate: endDate ? new Date(endDate) : null
+      endDate: endDate ? new Date(endDate) : null,
+      npcAirlineCount: npcAirlineCount !== undefined ? npcAirlineCount : 0,
+      npcAggressiveness: npcAggressiveness || 'balanced'
     });
 
     console.log('Created world:', {
@@ -437,6 +548,15 @@ router.post('/worlds', async (req, res) => {
       era: world.era
     });
 
+    await auditService.record(req, {
+      action: 'world.create',
+      targetType: 'world',
+      targetId: world.id,
+      targetLabel: world.name,
+      worldId: world.id,
+      after: world.toJSON()
+    });
+
     res.json({
       message: 'World created successfully',
       world
@@ -452,7 +572,7 @@ router.post('/worlds', async (req, res) => {
 /**
  * Update world
  */
-router.put('/worlds/:worldId', async (req, res) => {
+router.put('/worlds/:worldId', requirePermission('worlds:update', worldFromParam), async (req, res) => {
   try {
     if (!req.user) {
       return res.status(401).json({ error: 'Not authenticated' });
@@ -465,9 +585,28 @@ router.put('/worlds/:worldId', async (req, res) => {
       return res.status(404).json({ error: 'World not found' });
     }
 
+    const before = world.toJSON();
+    const previousNpcAirlineCount = world.npcAirlineCount;
+
     // Update fields
     await world.update(req.body);
 
+    await auditService.record(req, {
+      action: 'world.update',
+      targetType: 'world',
+      targetId: world.id,
+      targetLabel: world.name,
+      worldId: world.id,
+      before,
+      after: world.toJSON()
+    });
+
+    // Found or retire NPC airlines straight away rather than at the next weekly review
+    if (world.npcAirlineCount !== previousNpcAirlineCount) {
+      const gameTime = worldTimeService.getCurrentTime(worldId) || new Date(world.currentTime);
+      await npcAirlineService.syncAirlines(world, gameTime);
+    }
+
     res.json({
       message: 'World updated successfully',
       world
@@ -480,10 +619,45 @@ router.put('/worlds/:worldId', async (req, res) => {
   }
 });
 
+/**
+ * Get the NPC airlines operating in a world
+ */
+router.get('/worlds/:worldId/npc-airlines', requirePermission('worlds:read', worldFromParam), async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const airlines = await NpcAirline.findAll({
+      where: { worldId: req.params.worldId },
+      include: [
+        { model: Airport, as: 'baseAirport', attributes: ['id', 'icaoCode', 'name'] },
+        { model: NpcRoute, as: 'routes', attributes: ['id', 'weeklyDepartures', 'aircraftCount'] }
+      ],
+      order: [['isActive', 'DESC'], ['foundedAt', 'ASC']]
+    });
+
+    res.json(airlines.map(airline => {
+      const { routes, ...rest } = airline.toJSON();
+      return {
+        ...rest,
+        routeCount: routes.length,
+        fleetSize: routes.reduce((sum, r) => sum + r.aircraftCount, 0),
+        weeklyDepartures: routes.reduce((sum, r) => sum + r.weeklyDepartures, 0)
+      };
+    }));
+  } catch (error) {
+    if (process.env.NODE_ENV === 'development') {
+      console.error('Error fetching NPC airlines:', error);
+    }
+    res.status(500).json({ error: 'Failed to fetch NPC airlines' });
+  }
+});
+
 /**
  * Delete world
  */
-router.delete('/worlds/:worldId', async (req, res) => {
+router.delete('/worlds/:worldId', requirePermission('worlds:delete'), async (req, res) => {
   try {
     if (!req.user) {
       return res.status(401).json({ error: 'Not authenticated' });
@@ -501,9 +675,24 @@ router.delete('/worlds/:worldId', async (req, res) => {
       where: { worldId: world.id }
     });
 
+    // And its NPC airlines
+    const npcAirlines = await NpcAirline.findAll({ where: { worldId: world.id }, attributes: ['id'] });
+    await NpcRoute.destroy({ where: { npcAirlineId: npcAirlines.map(a => a.id) } });
+    await NpcAirline.destroy({ where: { worldId: world.id } });
+
     // Then delete the world
+    const before = world.toJSON();
     await world.destroy();
 
+    // No worldId: the world row is gone (its earlier audit entries keep a null world)
+    await auditService.record(req, {
+      action: 'world.delete',
+      targetType: 'world',
+      targetId: before.id,
+      targetLabel: before.name,
+      before
+    });
+
     res.json({ message: 'World deleted successfully' });
   } catch (error) {
     if (process.env.NODE_ENV === 'development') {
@@ -516,7 +705,7 @@ router.delete('/worlds/:worldId', async (req, res) => {
 /**
  * Get all airports
  */
-router.get('/airports', async (req, res) => {
+router.get('/airports', requirePermission('airports:read'), async (req, res) => {
   try {
     if (!req.user) {
       return res.status(401).json({ error: 'Not authenticated' });
@@ -538,7 +727,7 @@ router.get('/airports', async (req, res) => {
 /**
  * Create new airport
  */
-router.post('/airports', async (req, res) => {
+router.post('/airports', requirePermission('airports:write'), async (req, res) => {
   try {
     if (!req.user) {
       return res.status(401).json({ error: 'Not authenticated' });
@@ -603,6 +792,14 @@ router.post('/airports', async (req, res) => {
     // Clear airport cache since data changed
     airportCacheService.clearAll();
 
+    await auditService.record(req, {
+      action: 'airport.create',
+      targetType: 'airport',
+      targetId: airport.id,
+      targetLabel: `${airport.icaoCode} ${airport.name}`,
+      after: airport.toJSON()
+    });
+
     res.json({
       message: 'Airport created successfully',
       airport
@@ -618,7 +815,7 @@ router.post('/airports', async (req, res) => {
 /**
  * Update airport
  */
-router.put('/airports/:airportId', async (req, res) => {
+router.put('/airports/:airportId', requirePermission('airports:write'), async (req, res) => {
   try {
     if (!req.user) {
       return res.status(401).json({ error: 'Not authenticated' });
@@ -657,12 +854,23 @@ router.put('/airports/:airportId', async (req, res) => {
       req.body.iataCode = req.body.iataCode.toUpperCase();
     }
 
+    const before = airport.toJSON();
+
     // Update fields
     await airport.update(req.body);
 
     // Clear airport cache since data changed
     airportCacheService.clearAll();
 
+    await auditService.record(req, {
+      action: 'airport.update',
+      targetType: 'airport',
+      targetId: airport.id,
+      targetLabel: `${airport.icaoCode} ${airport.name}`,
+      before,
+      after: airport.toJSON()
+    });
+
     res.json({
       message: 'Airport updated successfully',
       airport
@@ -678,7 +886,7 @@ router.put('/airports/:airportId', async (req, res) => {
 /**
  * Delete airport
  */
-router.delete('/airports/:airportId', async (req, res) => {
+router.delete('/airports/:airportId', requirePermission('airports:write'), async (req, res) => {
   try {
     if (!req.user) {
       return res.status(401).json({ error: 'Not authenticated' });
@@ -702,11 +910,20 @@ router.delete('/airports/:airportId', async (req, res) => {
       });
     }
 
+    const before = airport.toJSON();
     await airport.destroy();
 
     // Clear airport cache since data changed
     airportCacheService.clearAll();
 
+    await auditService.record(req, {
+      action: 'airport.delete',
+      targetType: 'airport',
+      targetId: before.id,
+      targetLabel: `${before.icaoCode} ${before.name}`,
+      before
+    });
+
     res.json({ message: 'Airport deleted successfully' });
   } catch (error) {
     if (process.env.NODE_ENV === 'development') {
@@ -719,7 +936,7 @@ router.delete('/airports/:airportId', async (req, res) => {
 /**
  * Clear airport cache (force refresh)
  */
-router.post('/airports/clear-cache', async (req, res) => {
+router.post('/airports/clear-cache', requirePermission('airports:write'), async (req, res) => {
   try {
     if (!req.user) {
       return res.status(401).json({ error: 'Not authenticated' });
@@ -727,6 +944,13 @@ router.post('/airports/clear-cache', async (req, res) => {
 
     const cleared = airportCacheService.clearAll();
 
+    await auditService.record(req, {
+      action: 'airport.clear_cache',
+      targetType: 'airport',
+      targetLabel: 'Airport cache',
+      after: { entriesCleared: cleared }
+    });
+
     res.json({
       message: 'Airport cache cleared successfully',
       entriesCleared: cleared
@@ -742,7 +966,7 @@ router.post('/airports/clear-cache', async (req, res) => {
 /**
  * Get airport cache statistics
  */
-router.get('/airports/cache-stats', async (req, res) => {
+router.get('/airports/cache-stats', requirePermission('airports:read'), async (req, res) => {
   try {
     if (!req.user) {
       return res.status(401).json({ error: 'Not authenticated' });
@@ -761,7 +985,7 @@ router.get('/airports/cache-stats', async (req, res) => {
 /**
  * Get all system settings
  */
-router.get('/settings', async (req, res) => {
+router.get('/settings', requirePermission('settings:read'), async (req, res) => {
   try {
     if (!req.user) {
       return res.status(401).json({ error: 'Not authenticated' });
@@ -789,7 +1013,7 @@ router.get('/settings', async (req, res) => {
 /**
  * Get a specific setting
  */
-router.get('/settings/:key', async (req, res) => {
+router.get('/settings/:key', requirePermission('settings:read'), async (req, res) => {
   try {
     if (!req.user) {
       return res.status(401).json({ error: 'Not authenticated' });
@@ -810,7 +1034,7 @@ router.get('/settings/:key', async (req, res) => {
 /**
  * Update a setting
  */
-router.post('/settings/:key', async (req, res) => {
+router.post('/settings/:key', requirePermission('settings:write'), async (req, res) => {
   try {
     if (!req.user) {
       return res.status(401).json({ error: 'Not authenticated' });
@@ -819,8 +1043,18 @@ router.post('/settings/:key', async (req, res) => {
     const { key } = req.params;
     const { value, description } = req.body;
 
+    const previousValue = await SystemSettings.get(key);
     await SystemSettings.set(key, value, description);
 
+    await auditService.record(req, {
+      action: 'setting.update',
+      targetType: 'setting',
+      targetId: key,
+      targetLabel: key,
+      before: { value: previousValue },
+      after: { value }
+    });
+
     res.json({ message: 'Setting updated successfully', key, value });
   } catch (error) {
     if (process.env.NODE_ENV === 'development') {
@@ -835,7 +1069,7 @@ router.post('/settings/:key', async (req, res) => {
 /**
  * Get all airlines in a world
  */
-router.get('/airlines', async (req, res) => {
+router.get('/airlines', requirePermission('airlines:read', worldFromQuery), async (req, res) => {
   try {
     if (!req.user) {
       return res.status(401).json({ error: 'Not authenticated' });
@@ -888,7 +1122,7 @@ router.get('/airlines', async (req, res) => {
 /**
  * Update airline balance
  */
-router.post('/airlines/:airlineId/balance', async (req, res) => {
+router.post('/airlines/:airlineId/balance', requirePermission('airlines:balance', worldFromAirline), async (req, res) => {
   try {
     if (!req.user) {
       return res.status(401).json({ error: 'Not authenticated' });
@@ -907,9 +1141,30 @@ router.post('/airlines/:airlineId/balance', async (req, res) => {
       return res.status(404).json({ error: 'Airline not found' });
     }
 
+    const before = auditService.snapshot(airline, ['balance']);
+    const adjustment = balance - (parseFloat(airline.balance) || 0);
     airline.balance = balance;
     await airline.save();
 
+    await auditService.record(req, {
+      action: 'airline.balance',
+      targetType: 'airline',
+      targetId: airline.id,
+      targetLabel: airline.airlineName,
+      worldId: airline.worldId,
+      before,
+      after: { balance }
+    });
+
+    const gameTime = worldTimeService.getCurrentTime(airline.worldId) || new Date();
+    await ledgerService.record({
+      worldMembershipId: airline.id,
+      category: 'adjustment',
+      amount: adjustment,
+      gameTime,
+      description: 'Balance set by administrator'
+    });
+
     res.json({
       message: 'Balance updated successfully',
       airline: {
@@ -929,7 +1184,7 @@ router.post('/airlines/:airlineId/balance', async (req, res) => {
 /**
  * Get airline fleet
  */
-router.get('/airlines/:airlineId/fleet', async (req, res) => {
+router.get('/airlines/:airlineId/fleet', requirePermission('airlines:read', worldFromAirline), async (req, res) => {
   try {
     if (!req.user) {
       return res.status(401).json({ error: 'Not authenticated' });
@@ -961,7 +1216,7 @@ router.get('/airlines/:airlineId/fleet', async (req, res) => {
 /**
  * Add aircraft to airline fleet
  */
-router.post('/airlines/:airlineId/fleet', async (req, res) => {
+router.post('/airlines/:airlineId/fleet', requirePermission('airlines:fleet', worldFromAirline), async (req, res) => {
   try {
     if (!req.user) {
       return res.status(401).json({ error: 'Not authenticated' });
@@ -1009,6 +1264,15 @@ router.post('/airlines/:airlineId/fleet', async (req, res) => {
       status: 'active'
     });
 
+    await auditService.record(req, {
+      action: 'airline.fleet_add',
+      targetType: 'user_aircraft',
+      targetId: newAircraft.id,
+      targetLabel: `${newAircraft.registration} (${airline.airlineName})`,
+      worldId: airline.worldId,
+      after: auditService.snapshot(newAircraft, ['worldMembershipId', 'aircraftId', 'registration', 'ageYears', 'totalFlightHours', 'status'])
+    });
+
     res.json({
       message: 'Aircraft added successfully',
       aircraft: newAircraft
@@ -1025,7 +1289,7 @@ router.post('/airlines/:airlineId/fleet', async (req, res) => {
  * Remove aircraft from fleet
  * Optionally add to used aircraft market
  */
-router.delete('/airlines/fleet/:aircraftId', async (req, res) => {
+router.delete('/airlines/fleet/:aircraftId', requirePermission('airlines:fleet', worldFromFleetAircraft), async (req, res) => {
   try {
     if (!req.user) {
       return res.status(401).json({ error: 'Not authenticated' });
@@ -1045,69 +1309,27 @@ router.delete('/airlines/fleet/:aircraftId', async (req, res) => {
       return res.status(404).json({ error: 'Aircraft not found' });
     }
 
-    // If adding to market, create a UsedAircraftForSale listing
+    // If adding to market, list it on its world's used market
     if (addToMarket === 'true' && userAircraft.aircraft && userAircraft.membership) {
-      // Generate random seller from the combined list
-      const allSellers = [
-        ...sellingAirlines.map(s => ({ ...s, type: 'airline' })),
-        ...leasingCompanies.map(s => ({ ...s, type: 'lessor', reason: 'Off-Lease' })),
-        ...aircraftBrokers.map(s => ({ ...s, type: 'broker', reason: 'Remarketing' }))
-      ];
-      const randomSeller = allSellers[Math.floor(Math.random() * allSellers.length)];
-
-      // Calculate used price based on age and condition
-      const basePrice = parseFloat(userAircraft.aircraft.purchasePrice) || 50000000;
-      const age = userAircraft.ageYears || 0;
-      const conditionPct = userAircraft.conditionPercentage || 70;
-
-      // Depreciation factor based on age
-      let depreciationFactor;
-      if (age <= 5) depreciationFactor = 0.70 - (age * 0.05);
-      else if (age <= 10) depreciationFactor = 0.45 - ((age - 5) * 0.04);
-      else if (age <= 15) depreciationFactor = 0.25 - ((age - 10) * 0.03);
-      else depreciationFactor = Math.max(0.10 - ((age - 15) * 0.01), 0.05);
-
-      depreciationFactor *= (conditionPct / 100);
-      depreciationFactor = Math.max(depreciationFactor, 0.03);
-
-      const usedPrice = basePrice * depreciationFactor;
-      const leasePrice = usedPrice * (0.003 + Math.random() * 0.002);
-
-      // Calculate check validity (randomized)
-      const cCheckRemainingDays = 180 + Math.floor(Math.random() * 365);
-      const dCheckRemainingDays = 365 + Math.floor(Math.random() * 1460);
-
-      // Determine condition string
-      let conditionStr;
-      if (conditionPct >= 85) conditionStr = 'Excellent';
-      else if (conditionPct >= 70) conditionStr = 'Very Good';
-      else if (conditionPct >= 55) conditionStr = 'Good';
-      else if (conditionPct >= 40) conditionStr = 'Fair';
-      else conditionStr = 'Poor';
-
-      await UsedAircraftForSale.create({
-        worldId: userAircraft.membership.worldId,
-        aircraftId: userAircraft.aircraftId,
-        sellerName: randomSeller.name,
-        sellerType: randomSeller.type,
-        sellerCountry: randomSeller.country,
-        sellerReason: randomSeller.reason || 'Fleet Restructuring',
-        condition: conditionStr,
-        conditionPercentage: conditionPct,
-        ageYears: age,
-        totalFlightHours: parseFloat(userAircraft.totalFlightHours) || 0,
-        purchasePrice: usedPrice.toFixed(2),
-        leasePrice: leasePrice.toFixed(2),
-        cCheckRemainingDays,
-        dCheckRemainingDays,
-        status: 'available'
-      });
+      const world = await World.findByPk(userAircraft.membership.worldId);
+      const gameTime = worldTimeService.getCurrentTime(userAircraft.membership.worldId) || new Date(world.currentTime);
+      const listing = await usedAircraftMarketService.listRetiredAircraft(userAircraft, gameTime);
 
-      console.log(`[ADMIN] Aircraft ${userAircraft.registration} added to used market. Seller: ${randomSeller.name}`);
+      console.log(`[ADMIN] Aircraft ${userAircraft.registration} added to used market. Seller: ${listing.sellerName}`);
     }
 
+    const before = auditService.snapshot(userAircraft, ['worldMembershipId', 'aircraftId', 'registration', 'ageYears', 'totalFlightHours', 'status']);
     await userAircraft.destroy();
 
+    await auditService.record(req, {
+      action: 'airline.fleet_remove',
+      targetType: 'user_aircraft',
+      targetId: userAircraft.id,
+      targetLabel: `${userAircraft.registration} (${userAircraft.membership?.airlineName || 'unknown airline'})`,
+      worldId: userAircraft.membership?.worldId || null,
+      before: { ...before, addedToMarket: addToMarket === 'true' }
+    });
+
     res.json({
       message: addToMarket === 'true'
         ? 'Aircraft removed and added to used market'
@@ -1121,4 +1343,33 @@ router.delete('/airlines/fleet/:aircraftId', async (req, res) => {
   }
 });
 
+// ==================== AUDIT LOG ====================
+
+/**
+ * Browse the admin audit log
+ * Query: action, actorUserId, targetType, targetId, worldId, search, from, to, page, limit
+ * World moderators only see entries for the world they moderate
+ */
+router.get('/audit', requirePermission('audit:read'), async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const filters = { ...req.query };
+    const scopeWorldId = req.adminAccess.worldScope('audit:read');
+    if (scopeWorldId) {
+      filters.worldId = scopeWorldId;
+    }
+
+    const result = await auditService.list(filters);
+    res.json(result);
+  } catch (error) {
+    if (process.env.NODE_ENV === 'development') {
+      console.error('Error fetching audit log:', error);
+    }
+    res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
+});
+
 module.exports = router;
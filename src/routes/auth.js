@@ -103,7 +103,7 @@ router.get('/status', async (req, res) => {
       // Fetch full user data from database to get current credits and roles
       const dbUser = await User.findOne({
         where: { vatsimId: req.user.vatsimId },
-        attributes: ['credits', 'isAdmin', 'isContributor', 'unlimitedCredits']
+        attributes: ['credits', 'isAdmin', 'isContributor', 'moderatorWorldId', 'unlimitedCredits']
       });
 
       res.json({
@@ -115,6 +115,9 @@ router.get('/status', async (req, res) => {
           credits: dbUser ? dbUser.credits : 0,
           isAdmin: dbUser ? dbUser.isAdmin : false,
           isContributor: dbUser ? dbUser.isContributor : false,
+          moderatorWorldId: dbUser ? dbUser.moderatorWorldId : null,
+          // Any role that opens the admin panel
+          hasAdminAccess: dbUser ? !!(dbUser.isAdmin || dbUser.isContributor || dbUser.moderatorWorldId) : false,
           unlimitedCredits: dbUser ? dbUser.unlimitedCredits : false
         }
       });
@@ -128,7 +131,9 @@ router.get('/status', async (req, res) => {
           rating: req.user.rating,
           credits: 0,
           isAdmin: false,
-          isContributor: false
+          isContributor: false,
+          moderatorWorldId: null,
+          hasAdminAccess: false
         }
       });
     }
@@ -0,0 +1,311 @@
+const express = require('express');
+const router = express.Router();
+const { WorldMembership, User, World, CrewPool } = require('../models');
+const worldTimeService = require('../services/worldTimeService');
+const crewService = require('../services/crewService');
+const { blockIfRestricted } = require('../middleware/airlineStatus');
+
+/**
+ * GET /api/crew
+ * Crew pools by base, what the schedule needs of them, payroll and flights short of crew
+ */
+router.get('/', async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const activeWorldId = req.session?.activeWorldId;
+    if (!activeWorldId) {
+      return res.status(400).json({ error: 'No active world selected' });
+    }
+
+    const user = await User.findOne({ where: { vatsimId: req.user.vatsimId } });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const membership = await WorldMembership.findOne({
+      where: { userId: user.id, worldId: activeWorldId }
+    });
+
+    if (!membership) {
+      return res.status(404).json({ error: 'Not a member of this world' });
+    }
+
+    const world = await World.findByPk(activeWorldId);
+    const gameTime = worldTimeService.getCurrentTime(activeWorldId) || new Date(world.currentTime);
+
+    const staffing = await crewService.getStaffing(membership, gameTime);
+    res.json(staffing);
+  } catch (error) {
+    console.error('Error fetching crew:', error);
+    res.status(500).json({ error: 'Failed to fetch crew' });
+  }
+});
+
+/**
+ * POST /api/crew/hire
+ * Recruit pilots or cabin crew at a base, qualified on a family the airline already flies
+ * Body: { baseAirportId, role ('pilot' | 'cabin_crew'), aircraftId (type they're qualified on), count }
+ */
+router.post('/hire', blockIfRestricted, async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const activeWorldId = req.session?.activeWorldId;
+    if (!activeWorldId) {
+      return res.status(400).json({ error: 'No active world selected' });
+    }
+
+    const user = await User.findOne({ where: { vatsimId: req.user.vatsimId } });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const membership = await WorldMembership.findOne({
+      where: { userId: user.id, worldId: activeWorldId }
+    });
+
+    if (!membership) {
+      return res.status(404).json({ error: 'Not a member of this world' });
+    }
+
+    const world = await World.findByPk(activeWorldId);
+    const gameTime = worldTimeService.getCurrentTime(activeWorldId) || new Date(world.currentTime);
+
+    const { baseAirportId, role, aircraftId, count } = req.body;
+    const result = await crewService.hireCrew(membership, { baseAirportId, role, aircraftId, count }, gameTime);
+    if (result.error) {
+      return res.status(400).json(result);
+    }
+
+    await membership.reload();
+
+    res.json({
+      message: 'Crew hired',
+      pool: result.pool,
+      cost: result.cost,
+      newBalance: membership.balance
+    });
+  } catch (error) {
+    console.error('Error hiring crew:', error);
+    res.status(500).json({ error: 'Failed to hire crew' });
+  }
+});
+
+/**
+ * GET /api/crew/training
+ * Type-rating courses booked, simulator seats in use and current training rates
+ */
+router.get('/training', async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const activeWorldId = req.session?.activeWorldId;
+    if (!activeWorldId) {
+      return res.status(400).json({ error: 'No active world selected' });
+    }
+
+    const user = await User.findOne({ where: { vatsimId: req.user.vatsimId } });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const membership = await WorldMembership.findOne({
+      where: { userId: user.id, worldId: activeWorldId }
+    });
+
+    if (!membership) {
+      return res.status(404).json({ error: 'Not a member of this world' });
+    }
+
+    const world = await World.findByPk(activeWorldId);
+    const gameTime = worldTimeService.getCurrentTime(activeWorldId) || new Date(world.currentTime);
+
+    const training = await crewService.getTraining(membership, gameTime);
+    res.json(training);
+  } catch (error) {
+    console.error('Error fetching crew training:', error);
+    res.status(500).json({ error: 'Failed to fetch crew training' });
+  }
+});
+
+/**
+ * POST /api/crew/training
+ * Book a course qualifying crew on an aircraft family
+ * Body: { aircraftId, count, fromPoolId } to convert existing crew, or
+ *       { aircraftId, count, baseAirportId, role } to train new hires
+ */
+router.post('/training', blockIfRestricted, async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const activeWorldId = req.session?.activeWorldId;
+    if (!activeWorldId) {
+      return res.status(400).json({ error: 'No active world selected' });
+    }
+
+    const user = await User.findOne({ where: { vatsimId: req.user.vatsimId } });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const membership = await WorldMembership.findOne({
+      where: { userId: user.id, worldId: activeWorldId }
+    });
+
+    if (!membership) {
+      return res.status(404).json({ error: 'Not a member of this world' });
+    }
+
+    const { aircraftId, count, fromPoolId, baseAirportId, role } = req.body;
+
+    let fromPool = null;
+    if (fromPoolId) {
+      fromPool = await CrewPool.findOne({
+        where: { id: fromPoolId, worldMembershipId: membership.id }
+      });
+
+      if (!fromPool) {
+        return res.status(404).json({ error: 'Crew pool not found' });
+      }
+    }
+
+    const world = await World.findByPk(activeWorldId);
+    const gameTime = worldTimeService.getCurrentTime(activeWorldId) || new Date(world.currentTime);
+
+    const result = await crewService.startTraining(membership, { aircraftId, count, fromPool, baseAirportId, role }, gameTime);
+    if (result.error) {
+      return res.status(400).json(result);
+    }
+
+    await membership.reload();
+
+    res.json({
+      message: result.course.status === 'queued' ? 'Training booked - waiting for simulator seats' : 'Training started',
+      course: result.course,
+      cost: result.cost,
+      newBalance: membership.balance
+    });
+  } catch (error) {
+    console.error('Error booking crew training:', error);
+    res.status(500).json({ error: 'Failed to book crew training' });
+  }
+});
+
+/**
+ * POST /api/crew/:poolId/release
+ * Let crew go from a pool, paying severance
+ * Body: { count }
+ */
+router.post('/:poolId/release', async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const activeWorldId = req.session?.activeWorldId;
+    if (!activeWorldId) {
+      return res.status(400).json({ error: 'No active world selected' });
+    }
+
+    const user = await User.findOne({ where: { vatsimId: req.user.vatsimId } });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const membership = await WorldMembership.findOne({
+      where: { userId: user.id, worldId: activeWorldId }
+    });
+
+    if (!membership) {
+      return res.status(404).json({ error: 'Not a member of this world' });
+    }
+
+    const pool = await CrewPool.findOne({
+      where: { id: req.params.poolId, worldMembershipId: membership.id }
+    });
+
+    if (!pool) {
+      return res.status(404).json({ error: 'Crew pool not found' });
+    }
+
+    const world = await World.findByPk(activeWorldId);
+    const gameTime = worldTimeService.getCurrentTime(activeWorldId) || new Date(world.currentTime);
+
+    const result = await crewService.releaseCrew(membership, pool, req.body.count, gameTime);
+    if (result.error) {
+      return res.status(400).json(result);
+    }
+
+    await membership.reload();
+
+    res.json({
+      message: 'Crew released',
+      pool: result.pool,
+      severance: result.severance,
+      newBalance: membership.balance
+    });
+  } catch (error) {
+    console.error('Error releasing crew:', error);
+    res.status(500).json({ error: 'Failed to release crew' });
+  }
+});
+
+/**
+ * POST /api/crew/:poolId/transfer
+ * Move crew to another base
+ * Body: { baseAirportId, count }
+ */
+router.post('/:poolId/transfer', blockIfRestricted, async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const activeWorldId = req.session?.activeWorldId;
+    if (!activeWorldId) {
+      return res.status(400).json({ error: 'No active world selected' });
+    }
+
+    const user = await User.findOne({ where: { vatsimId: req.user.vatsimId } });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const membership = await WorldMembership.findOne({
+      where: { userId: user.id, worldId: activeWorldId }
+    });
+
+    if (!membership) {
+      return res.status(404).json({ error: 'Not a member of this world' });
+    }
+
+    const pool = await CrewPool.findOne({
+      where: { id: req.params.poolId, worldMembershipId: membership.id }
+    });
+
+    if (!pool) {
+      return res.status(404).json({ error: 'Crew pool not found' });
+    }
+
+    const result = await crewService.transferCrew(membership, pool, req.body.baseAirportId, req.body.count);
+    if (result.error) {
+      return res.status(400).json(result);
+    }
+
+    res.json({ message: 'Crew transferred', from: result.from, to: result.to });
+  } catch (error) {
+    console.error('Error transferring crew:', error);
+    res.status(500).json({ error: 'Failed to transfer crew' });
+  }
+});
+
+module.exports = router;
@@ -2,9 +2,18 @@ const express = require('express');
 const router = express.Router();
 const path = require('path');
 const { Op } = require('sequelize');
-const { WorldMembership, UserAircraft, Aircraft, User, Airport, RecurringMaintenance, ScheduledFlight, Route, World, Notification } = require('../models');
+const sequelize = require('../config/database');
+const { WorldMembership, UserAircraft, Aircraft, User, Airport, RecurringMaintenance, ScheduledFlight, FerryFlight, Route, World, Notification, UsedAircraftForSale, AircraftOrder } = require('../models');
 const worldTimeService = require('../services/worldTimeService');
+const ledgerService = require('../services/ledgerService');
+const loanService = require('../services/loanService');
+const crewService = require('../services/crewService');
+const usedAircraftMarketService = require('../services/usedAircraftMarketService');
+const aircraftWearService = require('../services/aircraftWearService');
+const aircraftStorageService = require('../services/aircraftStorageService');
+const aircraftOrderService = require('../services/aircraftOrderService');
 const { REGISTRATION_RULES, validateRegistrationSuffix, getRegistrationPrefix, hasSpecificRule } = require(path.join(__dirname, '../../public/js/registrationPrefixes.js'));
+const { blockIfInAdministration, blockIfRestricted } = require('../middleware/airlineStatus');
 
 // Check durations in minutes
 const CHECK_DURATIONS = {
@@ -1699,10 +1708,16 @@ router.get('/', async (req, res) => {
       maintenanceByAircraft[m.aircraftId].push(m);
     }
 
-    // Attach maintenance to each aircraft
+    // Attach maintenance and today's market value to each aircraft
+    const gameTime = worldTimeService.getCurrentTime(activeWorldId) || new Date();
     const fleetWithMaintenance = fleet.map(aircraft => {
       const aircraftJson = aircraft.toJSON();
       aircraftJson.recurringMaintenance = maintenanceByAircraft[aircraft.id] || [];
+      aircraftJson.marketValue = aircraft.aircraft ? aircraftWearService.getMarketValue(aircraft, gameTime) : null;
+      aircraftJson.weeklyCosts = aircraft.aircraft ? aircraftStorageService.getWeeklyCosts(aircraft, gameTime) : null;
+      if (aircraft.status === 'storage' && aircraft.aircraft) {
+        aircraftJson.reactivationQuote = aircraftStorageService.getReactivationQuote(aircraft, gameTime);
+      }
       return aircraftJson;
     });
 
@@ -1837,8 +1852,10 @@ router.get('/:aircraftId/details', async (req, res) => {
 
 /**
  * Purchase aircraft
+ * Used aircraft join the fleet at once; new aircraft are ordered from the manufacturer
+ * (or optioned) and delivered when their production slot comes up
  */
-router.post('/purchase', async (req, res) => {
+router.post('/purchase', blockIfRestricted, async (req, res) => {
   try {
     if (!req.user) {
       return res.status(401).json({ error: 'Not authenticated' });
@@ -1849,19 +1866,13 @@ router.post('/purchase', async (req, res) => {
       return res.status(400).json({ error: 'No active world selected' });
     }
 
+    // Price, condition and check validity come from the aircraft type or listing, never the client
     const {
       aircraftId,
       category, // 'new' or 'used'
-      condition,
-      conditionPercentage,
-      ageYears,
-      purchasePrice,
-      maintenanceCostPerHour,
-      fuelBurnPerHour,
       registration,
-      // Check validity (days remaining) - for used aircraft
-      cCheckRemainingDays,
-      dCheckRemainingDays,
+      // Used-market listing
+      usedListingId,
       // Auto-schedule preferences
       autoScheduleDaily,
       autoScheduleWeekly,
@@ -1869,10 +1880,16 @@ router.post('/purchase', async (req, res) => {
       autoScheduleC,
       autoScheduleD,
       // Player-to-player listing
-      playerListingId
+      playerListingId,
+      // New aircraft: 'firm' order (default) or 'option' on a delivery slot
+      orderType,
+      // Optional mortgage: { deposit, termWeeks } - the rest of the price is borrowed
+      // (for new aircraft, the balance due on delivery is borrowed then)
+      financing
     } = req.body;
 
-    if (!aircraftId || !category || !purchasePrice || !registration) {
+    const isOption = category !== 'used' && orderType === 'option';
+    if (!aircraftId || !category || (!registration && !isOption) || (category === 'used' && !usedListingId && !playerListingId)) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
 
@@ -1890,20 +1907,123 @@ router.post('/purchase', async (req, res) => {
       return res.status(404).json({ error: 'Not a member of this world' });
     }
 
-    // Check if user has enough balance
-    const price = Number(purchasePrice);
-    if (membership.balance < price) {
+    // What's being bought and on what terms
+    let aircraft;
+    let terms;
+    let usedListing = null;
+    let sellerAircraft = null;
+    let orderQuote = null;
+    if (playerListingId) {
+      sellerAircraft = await UserAircraft.findByPk(playerListingId, {
+        include: [
+          { model: WorldMembership, as: 'membership' },
+          { model: Aircraft, as: 'aircraft' }
+        ]
+      });
+      if (!sellerAircraft || sellerAircraft.status !== 'listed_sale' || sellerAircraft.membership?.worldId !== activeWorldId) {
+        return res.status(404).json({ error: 'This aircraft is no longer for sale' });
+      }
+      aircraft = sellerAircraft.aircraft;
+      terms = {
+        price: parseFloat(sellerAircraft.listingPrice),
+        condition: sellerAircraft.condition,
+        conditionPercentage: sellerAircraft.conditionPercentage,
+        ageYears: sellerAircraft.ageYears,
+        totalFlightHours: parseFloat(sellerAircraft.totalFlightHours) || 0,
+        totalCycles: sellerAircraft.totalCycles || 0,
+        maintenanceCostPerHour: sellerAircraft.maintenanceCostPerHour,
+        fuelBurnPerHour: sellerAircraft.fuelBurnPerHour,
+        // The checks go with the airframe
+        checks: {
+          lastCCheckDate: sellerAircraft.lastCCheckDate,
+          lastDCheckDate: sellerAircraft.lastDCheckDate,
+          cInterval: sellerAircraft.cCheckIntervalDays,
+          dInterval: sellerAircraft.dCheckIntervalDays
+        }
+      };
+    } else if (category === 'used') {
+      usedListing = await UsedAircraftForSale.findOne({
+        where: { id: usedListingId, worldId: activeWorldId, status: 'available' },
+        include: [{ model: Aircraft, as: 'aircraft' }]
+      });
+      if (!usedListing || !usedListing.aircraft) {
+        return res.status(404).json({ error: 'This aircraft is no longer for sale' });
+      }
+      aircraft = usedListing.aircraft;
+      terms = {
+        price: parseFloat(usedListing.purchasePrice),
+        condition: usedListing.condition,
+        conditionPercentage: usedListing.conditionPercentage,
+        ageYears: usedListing.ageYears,
+        totalFlightHours: parseFloat(usedListing.totalFlightHours) || 0,
+        ...usedAircraftMarketService.getOperatingCosts(usedListing.aircraft, usedListing),
+        cCheckRemainingDays: usedListing.cCheckRemainingDays,
+        dCheckRemainingDays: usedListing.dCheckRemainingDays
+      };
+    } else {
+      aircraft = await Aircraft.findByPk(aircraftId);
+      if (!aircraft) {
+        return res.status(404).json({ error: 'Aircraft not found' });
+      }
+      // Next delivery slot on the type's production line, at any launch customer discount
+      orderQuote = await aircraftOrderService.getQuote(activeWorldId, aircraft, worldTimeService.getCurrentTime(activeWorldId) || new Date());
+      if (orderQuote.error) {
+        return res.status(400).json({ error: orderQuote.error });
+      }
+      terms = { price: orderQuote.price };
+    }
+
+    const price = terms.price;
+    if (!(price > 0)) {
+      return res.status(400).json({ error: 'This aircraft has no purchase price' });
+    }
+
+    // Price a mortgage for the part of the price not paid as a deposit
+    let mortgageQuote = null;
+    if (financing && !isOption) {
+      // An order's pre-delivery payments are its deposit
+      const deposit = orderQuote
+        ? orderQuote.price - orderQuote.paymentSchedule[orderQuote.paymentSchedule.length - 1].amount
+        : Number(financing.deposit) || 0;
+      if (deposit < 0 || deposit >= price) {
+        return res.status(400).json({ error: 'Deposit must be less than the purchase price' });
+      }
+      const world = await World.findByPk(activeWorldId);
+      mortgageQuote = await loanService.quoteLoan(membership, {
+        loanType: 'mortgage',
+        amount: price - deposit,
+        termWeeks: financing.termWeeks,
+        securityValue: price
+      }, worldTimeService.getCurrentTime(activeWorldId) || new Date(world.currentTime));
+      if (!mortgageQuote.approved) {
+        return res.status(400).json({ ...mortgageQuote, error: `Financing declined: ${mortgageQuote.error}` });
+      }
+    }
+
+    // Check if user has enough balance (just the deposit when financed, what's due on signing when ordered)
+    let cashRequired = mortgageQuote ? price - mortgageQuote.amount : price;
+    if (orderQuote) {
+      cashRequired = isOption ? orderQuote.optionFee : orderQuote.dueAtSigning;
+    }
+    if (membership.balance < cashRequired) {
       return res.status(400).json({
         error: 'Insufficient funds',
-        required: price,
+        required: cashRequired,
         available: membership.balance
       });
     }
 
-    // Verify aircraft exists
-    const aircraft = await Aircraft.findByPk(aircraftId);
-    if (!aircraft) {
-      return res.status(404).json({ error: 'Aircraft not found' });
+    // Options hold a delivery slot without an airframe - the registration is chosen on conversion
+    if (isOption) {
+      const gameTime = worldTimeService.getCurrentTime(activeWorldId) || new Date();
+      const { order, paid } = await aircraftOrderService.placeOrder(membership, aircraft, orderQuote, { orderType: 'option' }, gameTime);
+      await membership.reload();
+      return res.json({
+        message: 'Delivery slot optioned',
+        order,
+        paid,
+        newBalance: membership.balance
+      });
     }
 
     // Get base airport to determine country for registration validation
@@ -1944,12 +2064,42 @@ router.post('/purchase', async (req, res) => {
       }
     }
 
-    // Check if registration is already in use
-    const existingAircraft = await UserAircraft.findOne({ where: { registration: registrationUpper } });
-    if (existingAircraft) {
+    // Check if registration is already in use (or reserved for an aircraft on order)
+    if (await aircraftOrderService.isRegistrationTaken(registrationUpper)) {
       return res.status(400).json({ error: 'Registration already in use' });
     }
 
+    // Auto-schedule preferences for all check types
+    const autoCheckTypes = [];
+    if (autoScheduleDaily === true) autoCheckTypes.push('daily');
+    if (autoScheduleWeekly === true) autoCheckTypes.push('weekly');
+    if (autoScheduleA === true) autoCheckTypes.push('A');
+    if (autoScheduleC === true) autoCheckTypes.push('C');
+    if (autoScheduleD === true) autoCheckTypes.push('D');
+
+    // New aircraft: sign the order and take the pre-delivery payments already due
+    if (orderQuote) {
+      const gameTime = worldTimeService.getCurrentTime(activeWorldId) || new Date();
+      const { order, paid } = await aircraftOrderService.placeOrder(membership, aircraft, orderQuote, {
+        orderType: 'firm',
+        registration: registrationUpper,
+        financeTermWeeks: mortgageQuote ? mortgageQuote.termWeeks : null,
+        autoSchedule: autoCheckTypes
+      }, gameTime);
+      await membership.reload();
+
+      // Crew can be trained on the type while it's being built
+      const crewStatus = await crewService.getTypeRatingStatus(membership.id, aircraft);
+
+      return res.json({
+        message: 'Aircraft ordered',
+        order,
+        paid,
+        crewStatus,
+        newBalance: membership.balance
+      });
+    }
+
     // Get the world's current time (game world time, not real world time)
     const world = await World.findByPk(activeWorldId);
     if (!world) {
@@ -1965,48 +2115,47 @@ router.post('/purchase', async (req, res) => {
     let cInterval = defaultCInterval;
     let dInterval = defaultDInterval;
 
-    if (category === 'new') {
-      // New aircraft: all checks just done, full validity
-      lastCCheckDate = now;
-      lastDCheckDate = now;
-      // Randomize intervals slightly for variety
-      cInterval = 600 + Math.floor(Math.random() * 120); // 600-720 days
-      dInterval = 2190 + Math.floor(Math.random() * 1460); // 2190-3650 days
+    if (terms.checks) {
+      // Bought from another airline: the airframe's own check history
+      ({ lastCCheckDate, lastDCheckDate } = terms.checks);
+      cInterval = terms.checks.cInterval || defaultCInterval;
+      dInterval = terms.checks.dInterval || defaultDInterval;
     } else {
-      // Used aircraft: calculate last check date based on remaining days
-      if (cCheckRemainingDays) {
-        const cDaysAgo = cInterval - cCheckRemainingDays;
-        lastCCheckDate = new Date(now.getTime() - (cDaysAgo * 24 * 60 * 60 * 1000));
-      } else {
-        // Default: 6 months validity remaining
-        const cDaysAgo = cInterval - 180;
-        lastCCheckDate = new Date(now.getTime() - (cDaysAgo * 24 * 60 * 60 * 1000));
-      }
+      // Used aircraft: calculate last check date based on the listing's remaining days
+      const cDaysAgo = cInterval - (terms.cCheckRemainingDays ?? 180);
+      lastCCheckDate = new Date(now.getTime() - (cDaysAgo * 24 * 60 * 60 * 1000));
 
-      if (dCheckRemainingDays) {
-        const dDaysAgo = dInterval - dCheckRemainingDays;
-        lastDCheckDate = new Date(now.getTime() - (dDaysAgo * 24 * 60 * 60 * 1000));
-      } else {
-        // Default: 2 years validity remaining
-        const dDaysAgo = dInterval - 730;
-        lastDCheckDate = new Date(now.getTime() - (dDaysAgo * 24 * 60 * 60 * 1000));
+      const dDaysAgo = dInterval - (terms.dCheckRemainingDays ?? 730);
+      lastDCheckDate = new Date(now.getTime() - (dDaysAgo * 24 * 60 * 60 * 1000));
+    }
+
+    // Nobody else can buy the listing from here on
+    if (usedListing) {
+      const claim = await usedAircraftMarketService.claimListing(activeWorldId, usedListing.id, now);
+      if (claim.error) {
+        return res.status(409).json({ error: claim.error });
       }
     }
 
-    // Create user aircraft
+    // Create user aircraft (the listing goes back on the market if that fails)
     const userAircraft = await UserAircraft.create({
       worldMembershipId: membership.id,
-      aircraftId,
+      aircraftId: aircraft.id,
       acquisitionType: 'purchase',
-      condition: condition || 'New',
-      conditionPercentage: conditionPercentage || 100,
-      ageYears: ageYears || 0,
+      condition: terms.condition,
+      conditionPercentage: terms.conditionPercentage,
+      ageYears: terms.ageYears,
+      totalFlightHours: terms.totalFlightHours,
+      totalCycles: terms.totalCycles || 0,
       purchasePrice: price,
-      maintenanceCostPerHour,
-      fuelBurnPerHour,
+      maintenanceCostPerHour: terms.maintenanceCostPerHour,
+      fuelBurnPerHour: terms.fuelBurnPerHour,
       registration: registrationUpper,
       currentAirport: baseAirportCode,
       status: 'active',
+      // Ages and wears from delivery in game time
+      acquiredAt: now,
+      agedAt: now,
       // Check dates and intervals
       lastCCheckDate,
       lastDCheckDate,
@@ -2017,9 +2166,9 @@ router.post('/purchase', async (req, res) => {
       lastDailyCheckDate: new Date(now.getTime() - ((3 + Math.floor(Math.random() * 3)) * 24 * 60 * 60 * 1000)),
       // Weekly check: Valid, done 2-5 days ago (interval is 7-8 days)
       lastWeeklyCheckDate: new Date(now.getTime() - ((2 + Math.floor(Math.random() * 4)) * 24 * 60 * 60 * 1000)),
-      // A check: Done at 0 hours (new aircraft or reset on delivery)
+      // A check: done on delivery, at the airframe's current hours
       lastACheckDate: new Date(now.getTime() - ((1 + Math.floor(Math.random() * 7)) * 24 * 60 * 60 * 1000)),
-      lastACheckHours: 0,
+      lastACheckHours: terms.totalFlightHours,
       aCheckIntervalHours: 800 + Math.floor(Math.random() * 200), // 800-1000 hrs
       // Auto-schedule preferences (default to false - user enables per aircraft)
       autoScheduleDaily: autoScheduleDaily === true,
@@ -2027,35 +2176,51 @@ router.post('/purchase', async (req, res) => {
       autoScheduleA: autoScheduleA === true,
       autoScheduleC: autoScheduleC === true,
       autoScheduleD: autoScheduleD === true
+    }).catch(async (createError) => {
+      if (usedListing) await usedAircraftMarketService.releaseListing(usedListing);
+      throw createError;
     });
 
     // Create auto-scheduled maintenance for explicitly enabled check types
-    const autoCheckTypes = [];
-    if (autoScheduleDaily === true) autoCheckTypes.push('daily');
-    if (autoScheduleWeekly === true) autoCheckTypes.push('weekly');
-    if (autoScheduleA === true) autoCheckTypes.push('A');
-    if (autoScheduleC === true) autoCheckTypes.push('C');
-    if (autoScheduleD === true) autoCheckTypes.push('D');
-
     if (autoCheckTypes.length > 0) {
       await createAutoScheduledMaintenance(userAircraft.id, autoCheckTypes, activeWorldId);
     }
 
     // Deduct from balance
-    membership.balance -= price;
-    await membership.save();
+    await ledgerService.post({
+      worldMembershipId: membership.id,
+      category: 'aircraftPurchase',
+      amount: -price,
+      gameTime: now,
+      description: `Purchased ${registrationUpper}`,
+      referenceType: 'user_aircraft',
+      referenceId: userAircraft.id
+    });
+
+    // Draw down the mortgage against the new aircraft
+    let loan = null;
+    if (mortgageQuote) {
+      loan = await loanService.createLoan(membership, mortgageQuote, now, userAircraft);
+    }
+    await membership.reload();
 
     // Handle player-to-player sale: credit seller and notify
-    if (playerListingId) {
+    if (sellerAircraft) {
       try {
-        const sellerAircraft = await UserAircraft.findByPk(playerListingId, {
-          include: [{ model: WorldMembership, as: 'membership' }]
-        });
-        if (sellerAircraft && sellerAircraft.status === 'listed_sale') {
+        await sellerAircraft.reload();
+        if (sellerAircraft.status === 'listed_sale') {
           const sellerMembership = sellerAircraft.membership;
           // Credit seller
-          sellerMembership.balance = parseFloat(sellerMembership.balance) + price;
-          await sellerMembership.save();
+          await ledgerService.post({
+            worldMembershipId: sellerMembership.id,
+            category: 'aircraftSale',
+            amount: price,
+            bookValue: parseFloat(sellerAircraft.purchasePrice) || price,
+            gameTime: now,
+            description: `Sold ${sellerAircraft.registration} to ${membership.airlineName || 'another airline'}`,
+            referenceType: 'user_aircraft',
+            referenceId: sellerAircraft.id
+          });
           // Notify seller
           await Notification.create({
             worldMembershipId: sellerMembership.id,
@@ -2066,7 +2231,8 @@ router.post('/purchase', async (req, res) => {
             priority: 2,
             gameTime: now
           });
-          // Remove seller's aircraft
+          // Pay off any mortgage from the proceeds, then remove seller's aircraft
+          await loanService.settleAircraftLoans(sellerAircraft, now);
           await sellerAircraft.destroy();
         }
       } catch (sellerErr) {
@@ -2082,9 +2248,14 @@ router.post('/purchase', async (req, res) => {
       }]
     });
 
+    // The aircraft can't be scheduled until enough crew are qualified on its type
+    const crewStatus = await crewService.getTypeRatingStatus(membership.id, result.aircraft);
+
     res.json({
       message: 'Aircraft purchased successfully',
       aircraft: result,
+      loan,
+      crewStatus,
       newBalance: membership.balance
     });
   } catch (error) {
@@ -2099,7 +2270,7 @@ router.post('/purchase', async (req, res) => {
 /**
  * Lease aircraft
  */
-router.post('/lease', async (req, res) => {
+router.post('/lease', blockIfRestricted, async (req, res) => {
   try {
     if (!req.user) {
       return res.status(401).json({ error: 'Not authenticated' });
@@ -2113,18 +2284,10 @@ router.post('/lease', async (req, res) => {
     const {
       aircraftId,
       category,
-      condition,
-      conditionPercentage,
-      ageYears,
-      leaseMonthlyPayment,
       leaseDurationMonths,
-      maintenanceCostPerHour,
-      fuelBurnPerHour,
-      purchasePrice, // For reference
       registration,
-      // Check validity (days remaining) - for used aircraft
-      cCheckRemainingDays,
-      dCheckRemainingDays,
+      // Used-market listing: leased at its own rate and condition
+      usedListingId,
       // Auto-schedule preferences
       autoScheduleDaily,
       autoScheduleWeekly,
@@ -2135,7 +2298,7 @@ router.post('/lease', async (req, res) => {
       playerListingId
     } = req.body;
 
-    if (!aircraftId || !leaseMonthlyPayment || !leaseDurationMonths || !registration) {
+    if (!aircraftId || !leaseDurationMonths || !registration) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
 
@@ -2153,8 +2316,79 @@ router.post('/lease', async (req, res) => {
       return res.status(404).json({ error: 'Not a member of this world' });
     }
 
+    // Lease terms come from the server: the listing's for used-market and player listings,
+    // the type's for a new airframe
+    let usedListing = null;
+    let listingTerms;
+    if (category === 'used' && !playerListingId) {
+      usedListing = await UsedAircraftForSale.findOne({
+        where: { id: usedListingId || null, worldId: activeWorldId, status: 'available' },
+        include: [{ model: Aircraft, as: 'aircraft' }]
+      });
+      if (!usedListing || !usedListing.aircraft || !usedListing.leasePrice) {
+        return res.status(404).json({ error: 'This aircraft is no longer available' });
+      }
+      listingTerms = {
+        aircraftId: usedListing.aircraftId,
+        monthlyPayment: parseFloat(usedListing.leasePrice),
+        purchasePrice: parseFloat(usedListing.purchasePrice),
+        condition: usedListing.condition,
+        conditionPercentage: usedListing.conditionPercentage,
+        ageYears: usedListing.ageYears,
+        totalFlightHours: parseFloat(usedListing.totalFlightHours) || 0,
+        ...usedAircraftMarketService.getOperatingCosts(usedListing.aircraft, usedListing),
+        cCheckRemainingDays: usedListing.cCheckRemainingDays,
+        dCheckRemainingDays: usedListing.dCheckRemainingDays
+      };
+    } else if (playerListingId) {
+      const listedAircraft = await UserAircraft.findByPk(playerListingId, {
+        include: [{ model: WorldMembership, as: 'membership' }]
+      });
+      if (!listedAircraft || listedAircraft.status !== 'listed_lease' || listedAircraft.membership?.worldId !== activeWorldId) {
+        return res.status(404).json({ error: 'This aircraft is no longer available' });
+      }
+      listingTerms = {
+        aircraftId: listedAircraft.aircraftId,
+        monthlyPayment: parseFloat(listedAircraft.listingPrice),
+        purchasePrice: parseFloat(listedAircraft.purchasePrice) || null,
+        condition: listedAircraft.condition,
+        conditionPercentage: listedAircraft.conditionPercentage,
+        ageYears: listedAircraft.ageYears,
+        totalFlightHours: parseFloat(listedAircraft.totalFlightHours) || 0,
+        maintenanceCostPerHour: listedAircraft.maintenanceCostPerHour,
+        fuelBurnPerHour: listedAircraft.fuelBurnPerHour,
+        // The checks go with the airframe
+        checks: {
+          lastCCheckDate: listedAircraft.lastCCheckDate,
+          lastDCheckDate: listedAircraft.lastDCheckDate,
+          cInterval: listedAircraft.cCheckIntervalDays,
+          dInterval: listedAircraft.dCheckIntervalDays
+        }
+      };
+    } else {
+      const newType = await Aircraft.findByPk(aircraftId);
+      if (!newType) {
+        return res.status(404).json({ error: 'Aircraft not found' });
+      }
+      const listPrice = parseFloat(newType.purchasePrice) || 0;
+      listingTerms = {
+        aircraftId: newType.id,
+        monthlyPayment: usedAircraftMarketService.getMonthlyLeasePayment(listPrice),
+        purchasePrice: listPrice,
+        condition: 'New',
+        conditionPercentage: 100,
+        ageYears: 0,
+        totalFlightHours: 0,
+        maintenanceCostPerHour: newType.maintenanceCostPerHour,
+        fuelBurnPerHour: newType.fuelBurnPerHour
+      };
+    }
+
     // Check if user can afford first month's payment
-    const monthlyPayment = Number(leaseMonthlyPayment);
+    const monthlyPayment = listingTerms.monthlyPayment;
+    if (!(monthlyPayment > 0)) {
+      return res.status(400).json({ error: 'This aircraft has no lease rate' });
+    }
     if (membership.balance < monthlyPayment) {
       return res.status(400).json({
         error: 'Insufficient funds for first lease payment',
@@ -2164,11 +2398,17 @@ router.post('/lease', async (req, res) => {
     }
 
     // Verify aircraft exists
-    const aircraft = await Aircraft.findByPk(aircraftId);
+    const aircraft = await Aircraft.findByPk(listingTerms.aircraftId);
     if (!aircraft) {
       return res.status(404).json({ error: 'Aircraft not found' });
     }
 
+    // Types still being developed can only be ordered from the manufacturer
+    const leaseYear = (worldTimeService.getCurrentTime(activeWorldId) || new Date()).getFullYear();
+    if (aircraft.availableFrom && aircraft.availableFrom > leaseYear) {
+      return res.status(400).json({ error: `The ${aircraft.manufacturer} ${aircraft.model} enters service in ${aircraft.availableFrom} - order it from the manufacturer instead` });
+    }
+
     // Get base airport to determine country for registration validation
     let baseAirportCode = null;
     let baseCountry = null;
@@ -2207,9 +2447,8 @@ router.post('/lease', async (req, res) => {
       }
     }
 
-    // Check if registration is already in use
-    const existingAircraft = await UserAircraft.findOne({ where: { registration: registrationUpper } });
-    if (existingAircraft) {
+    // Check if registration is already in use (or reserved for an aircraft on order)
+    if (await aircraftOrderService.isRegistrationTaken(registrationUpper)) {
       return res.status(400).json({ error: 'Registration already in use' });
     }
 
@@ -2230,49 +2469,56 @@ router.post('/lease', async (req, res) => {
     let cInterval = defaultCInterval;
     let dInterval = defaultDInterval;
 
-    if (category === 'new') {
+    if (listingTerms.checks) {
+      // Leased from another airline: the airframe's own check history
+      ({ lastCCheckDate, lastDCheckDate } = listingTerms.checks);
+      cInterval = listingTerms.checks.cInterval || defaultCInterval;
+      dInterval = listingTerms.checks.dInterval || defaultDInterval;
+    } else if (category === 'new') {
       // New aircraft: all checks just done, full validity
       lastCCheckDate = now;
       lastDCheckDate = now;
       cInterval = 600 + Math.floor(Math.random() * 120);
       dInterval = 2190 + Math.floor(Math.random() * 1460);
     } else {
-      // Used aircraft: calculate last check date based on remaining days
-      if (cCheckRemainingDays) {
-        const cDaysAgo = cInterval - cCheckRemainingDays;
-        lastCCheckDate = new Date(now.getTime() - (cDaysAgo * 24 * 60 * 60 * 1000));
-      } else {
-        const cDaysAgo = cInterval - 180;
-        lastCCheckDate = new Date(now.getTime() - (cDaysAgo * 24 * 60 * 60 * 1000));
-      }
+      // Used aircraft: calculate last check date based on the listing's remaining days
+      const cDaysAgo = cInterval - (listingTerms.cCheckRemainingDays ?? 180);
+      lastCCheckDate = new Date(now.getTime() - (cDaysAgo * 24 * 60 * 60 * 1000));
 
-      if (dCheckRemainingDays) {
-        const dDaysAgo = dInterval - dCheckRemainingDays;
-        lastDCheckDate = new Date(now.getTime() - (dDaysAgo * 24 * 60 * 60 * 1000));
-      } else {
-        const dDaysAgo = dInterval - 730;
-        lastDCheckDate = new Date(now.getTime() - (dDaysAgo * 24 * 60 * 60 * 1000));
+      const dDaysAgo = dInterval - (listingTerms.dCheckRemainingDays ?? 730);
+      lastDCheckDate = new Date(now.getTime() - (dDaysAgo * 24 * 60 * 60 * 1000));
+    }
+
+    // Nobody else can take the listing from here on
+    if (usedListing) {
+      const claim = await usedAircraftMarketService.claimListing(activeWorldId, usedListing.id, now);
+      if (claim.error) {
+        return res.status(409).json({ error: claim.error });
       }
     }
 
-    // Create leased aircraft
+    // Create leased aircraft (the listing goes back on the market if that fails)
     const userAircraft = await UserAircraft.create({
       worldMembershipId: membership.id,
-      aircraftId,
+      aircraftId: aircraft.id,
       acquisitionType: 'lease',
-      condition: condition || 'New',
-      conditionPercentage: conditionPercentage || 100,
-      ageYears: ageYears || 0,
-      purchasePrice: purchasePrice || null,
+      condition: listingTerms.condition,
+      conditionPercentage: listingTerms.conditionPercentage,
+      ageYears: listingTerms.ageYears,
+      totalFlightHours: listingTerms.totalFlightHours,
+      purchasePrice: listingTerms.purchasePrice,
       leaseMonthlyPayment: monthlyPayment,
       leaseDurationMonths: parseInt(leaseDurationMonths),
       leaseStartDate: now,
       leaseEndDate: leaseEnd,
-      maintenanceCostPerHour,
-      fuelBurnPerHour,
+      maintenanceCostPerHour: listingTerms.maintenanceCostPerHour,
+      fuelBurnPerHour: listingTerms.fuelBurnPerHour,
       registration: registrationUpper,
       currentAirport: baseAirportCode,
       status: 'active',
+      // Ages and wears from delivery in game time
+      acquiredAt: now,
+      agedAt: now,
       // Check dates and intervals
       lastCCheckDate,
       lastDCheckDate,
@@ -2283,9 +2529,9 @@ router.post('/lease', async (req, res) => {
       lastDailyCheckDate: new Date(now.getTime() - ((3 + Math.floor(Math.random() * 3)) * 24 * 60 * 60 * 1000)),
       // Weekly check: Valid, done 2-5 days ago (interval is 7-8 days)
       lastWeeklyCheckDate: new Date(now.getTime() - ((2 + Math.floor(Math.random() * 4)) * 24 * 60 * 60 * 1000)),
-      // A check: Done at 0 hours (new aircraft or reset on delivery)
+      // A check: done on delivery, at the airframe's current hours
       lastACheckDate: new Date(now.getTime() - ((1 + Math.floor(Math.random() * 7)) * 24 * 60 * 60 * 1000)),
-      lastACheckHours: 0,
+      lastACheckHours: listingTerms.totalFlightHours,
       aCheckIntervalHours: 800 + Math.floor(Math.random() * 200), // 800-1000 hrs
       // Auto-schedule preferences (default to false - user enables per aircraft)
       autoScheduleDaily: autoScheduleDaily === true,
@@ -2293,6 +2539,9 @@ router.post('/lease', async (req, res) => {
       autoScheduleA: autoScheduleA === true,
       autoScheduleC: autoScheduleC === true,
       autoScheduleD: autoScheduleD === true
+    }).catch(async (createError) => {
+      if (usedListing) await usedAircraftMarketService.releaseListing(usedListing);
+      throw createError;
     });
 
     // Create auto-scheduled maintenance for explicitly enabled check types
@@ -2308,8 +2557,16 @@ router.post('/lease', async (req, res) => {
     }
 
     // Deduct first month's payment
-    membership.balance -= monthlyPayment;
-    await membership.save();
+    await ledgerService.post({
+      worldMembershipId: membership.id,
+      category: 'leases',
+      amount: -monthlyPayment,
+      gameTime: now,
+      description: `First lease payment: ${registrationUpper}`,
+      referenceType: 'user_aircraft',
+      referenceId: userAircraft.id
+    });
+    await membership.reload();
 
     // Handle player-to-player lease: update owner's aircraft and notify
     if (playerListingId) {
@@ -2327,13 +2584,22 @@ router.post('/lease', async (req, res) => {
           ownerAircraft.leaseOutEndDate = leaseEnd;
           ownerAircraft.leaseOutTenantName = buyerAirlineName;
           ownerAircraft.playerLesseeAircraftId = userAircraft.id;
+          ownerAircraft.storedAt = null;
+          ownerAircraft.storageProgramme = null;
           await ownerAircraft.save();
           // Link lessee back to lessor
           userAircraft.playerLessorAircraftId = ownerAircraft.id;
           await userAircraft.save();
           // Credit first month to owner
-          ownerMembership.balance = parseFloat(ownerMembership.balance) + monthlyPayment;
-          await ownerMembership.save();
+          await ledgerService.post({
+            worldMembershipId: ownerMembership.id,
+            category: 'leaseIncome',
+            amount: monthlyPayment,
+            gameTime: now,
+            description: `Lease income: ${ownerAircraft.registration}`,
+            referenceType: 'user_aircraft',
+            referenceId: ownerAircraft.id
+          });
           // Notify owner
           await Notification.create({
             worldMembershipId: ownerMembership.id,
@@ -2358,9 +2624,13 @@ router.post('/lease', async (req, res) => {
       }]
     });
 
+    // The aircraft can't be scheduled until enough crew are qualified on its type
+    const crewStatus = await crewService.getTypeRatingStatus(membership.id, result.aircraft);
+
     res.json({
       message: 'Aircraft leased successfully',
       aircraft: result,
+      crewStatus,
       newBalance: membership.balance
     });
   } catch (error) {
@@ -2456,7 +2726,8 @@ router.post('/maintenance/:aircraftId/check', async (req, res) => {
 
     // Find the aircraft and verify ownership
     const aircraft = await UserAircraft.findOne({
-      where: { id: aircraftId, worldMembershipId: membership.id }
+      where: { id: aircraftId, worldMembershipId: membership.id },
+      include: [{ model: Aircraft, as: 'aircraft' }]
     });
 
     if (!aircraft) {
@@ -2491,6 +2762,9 @@ router.post('/maintenance/:aircraftId/check', async (req, res) => {
       updateData.lastDailyCheckDate = now;
     }
 
+    // Heavy checks put back condition lost to wear
+    Object.assign(updateData, aircraftWearService.getCheckRestoration(aircraft, checkType));
+
     await aircraft.update(updateData);
 
     res.json({
@@ -2541,7 +2815,8 @@ router.post('/:aircraftId/perform-check', async (req, res) => {
 
     // Find the aircraft and verify ownership
     const aircraft = await UserAircraft.findOne({
-      where: { id: aircraftId, worldMembershipId: membership.id }
+      where: { id: aircraftId, worldMembershipId: membership.id },
+      include: [{ model: Aircraft, as: 'aircraft' }]
     });
 
     if (!aircraft) {
@@ -2589,6 +2864,9 @@ router.post('/:aircraftId/perform-check', async (req, res) => {
         break;
     }
 
+    // Heavy checks put back condition lost to wear
+    Object.assign(updateData, aircraftWearService.getCheckRestoration(aircraft, checkType));
+
     await aircraft.update(updateData);
 
     res.json({
@@ -3751,11 +4029,12 @@ async function getOwnedAircraft(req, aircraftId) {
 /**
  * Helper: remove all flights and maintenance for an aircraft
  */
-async function clearAircraftSchedule(aircraftId) {
-  const flightsDeleted = await ScheduledFlight.destroy({ where: { aircraftId } });
-  const maintDeleted = await RecurringMaintenance.destroy({ where: { aircraftId } });
+async function clearAircraftSchedule(aircraftId, { transaction } = {}) {
+  const flightsDeleted = await ScheduledFlight.destroy({ where: { aircraftId }, transaction });
+  await FerryFlight.destroy({ where: { aircraftId, status: 'scheduled' }, transaction });
+  const maintDeleted = await RecurringMaintenance.destroy({ where: { aircraftId }, transaction });
   // Also unassign from any routes
-  await Route.update({ assignedAircraftId: null }, { where: { assignedAircraftId: aircraftId } });
+  await Route.update({ assignedAircraftId: null }, { where: { assignedAircraftId: aircraftId }, transaction });
   return { flightsDeleted, maintDeleted };
 }
 
@@ -3807,8 +4086,15 @@ router.post('/:aircraftId/cancel-lease', async (req, res) => {
       const gameTime = worldTimeService.getCurrentTime(activeWorldId) || new Date();
 
       // Deduct penalty from lessee
-      membership.balance = parseFloat(membership.balance) - penalty;
-      await membership.save();
+      await ledgerService.post({
+        worldMembershipId: membership.id,
+        category: 'leaseFees',
+        amount: -penalty,
+        gameTime,
+        description: `Early lease termination: ${reg}`,
+        referenceType: 'user_aircraft',
+        referenceId: aircraft.id
+      });
       if (ownerAircraft) {
         const ownerMembership = ownerAircraft.membership;
         ownerAircraft.status = 'active';
@@ -3822,8 +4108,15 @@ router.post('/:aircraftId/cancel-lease', async (req, res) => {
         await ownerAircraft.save();
 
         // Credit penalty to lessor
-        ownerMembership.balance = parseFloat(ownerMembership.balance) + penalty;
-        await ownerMembership.save();
+        await ledgerService.post({
+          worldMembershipId: ownerMembership.id,
+          category: 'leaseIncome',
+          amount: penalty,
+          gameTime,
+          description: `Early termination penalty: ${ownerAircraft.registration}`,
+          referenceType: 'user_aircraft',
+          referenceId: ownerAircraft.id
+        });
 
         // Notify lessor
         const lesseeName = membership.airlineName || 'A tenant airline';
@@ -3861,7 +4154,7 @@ router.post('/:aircraftId/cancel-lease', async (req, res) => {
  * POST /api/fleet/:aircraftId/sell
  * List an owned aircraft for sale on the used market
  */
-router.post('/:aircraftId/sell', async (req, res) => {
+router.post('/:aircraftId/sell', blockIfInAdministration, async (req, res) => {
   try {
     const { aircraft, activeWorldId } = await getOwnedAircraft(req, req.params.aircraftId);
 
@@ -3899,7 +4192,7 @@ router.post('/:aircraftId/sell', async (req, res) => {
  * POST /api/fleet/:aircraftId/lease-out
  * List an owned aircraft for lease to other airlines
  */
-router.post('/:aircraftId/lease-out', async (req, res) => {
+router.post('/:aircraftId/lease-out', blockIfInAdministration, async (req, res) => {
   try {
     const { aircraft, activeWorldId } = await getOwnedAircraft(req, req.params.aircraftId);
 
@@ -3936,7 +4229,7 @@ router.post('/:aircraftId/lease-out', async (req, res) => {
  * POST /api/fleet/:aircraftId/withdraw-listing
  * Withdraw a sale or lease listing, returning aircraft to active status
  */
-router.post('/:aircraftId/withdraw-listing', async (req, res) => {
+router.post('/:aircraftId/withdraw-listing', blockIfInAdministration, async (req, res) => {
   try {
     const { aircraft } = await getOwnedAircraft(req, req.params.aircraftId);
 
@@ -3944,20 +4237,191 @@ router.post('/:aircraftId/withdraw-listing', async (req, res) => {
       return res.status(400).json({ error: 'Aircraft is not currently listed' });
     }
 
+    // Aircraft listed from storage go back into storage
+    const newStatus = aircraft.storedAt ? 'storage' : 'active';
     await aircraft.update({
-      status: 'active',
+      status: newStatus,
       listingPrice: null,
       listedAt: null
     });
 
-    console.log(`Listing withdrawn: ${aircraft.registration} returned to active`);
-    res.json({ message: 'Listing withdrawn', aircraft, newStatus: 'active' });
+    console.log(`Listing withdrawn: ${aircraft.registration} returned to ${newStatus}`);
+    res.json({ message: 'Listing withdrawn', aircraft, newStatus });
   } catch (error) {
     console.error('Error withdrawing listing:', error);
     res.status(error.status || 500).json({ error: error.message });
   }
 });
 
+/**
+ * GET /api/fleet/storage-programmes
+ * Preservation programmes an aircraft can be stored under
+ */
+router.get('/storage-programmes', (req, res) => {
+  res.json(aircraftStorageService.getProgrammes());
+});
+
+/**
+ * POST /api/fleet/:aircraftId/store
+ * Put an aircraft into storage under a preservation programme
+ * Clears its schedule, cuts its insurance and upkeep and pauses its calendar check clocks
+ */
+router.post('/:aircraftId/store', blockIfInAdministration, async (req, res) => {
+  try {
+    const { aircraft, activeWorldId } = await getOwnedAircraft(req, req.params.aircraftId);
+
+    if (aircraft.status !== 'active') {
+      return res.status(400).json({ error: 'Only active aircraft can be put into storage' });
+    }
+    if (!aircraft.currentAirport) {
+      return res.status(400).json({ error: 'Aircraft must be on the ground to go into storage' });
+    }
+
+    // Reject an unknown programme before the schedule is touched
+    const programmeError = aircraftStorageService.validateProgramme(req.body.programme);
+    if (programmeError) {
+      return res.status(400).json({ error: programmeError });
+    }
+
+    const gameTime = worldTimeService.getCurrentTime(activeWorldId) || new Date();
+
+    await sequelize.transaction(async (transaction) => {
+      await clearAircraftSchedule(aircraft.id, { transaction });
+      await aircraftStorageService.store(aircraft, req.body.programme, gameTime, { transaction });
+    });
+
+    console.log(`Aircraft stored: ${aircraft.registration} (${req.body.programme})`);
+    res.json({ message: 'Aircraft put into storage', aircraft, newStatus: 'storage' });
+  } catch (error) {
+    console.error('Error storing aircraft:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/fleet/:aircraftId/reactivate
+ * Start returning a stored aircraft to service
+ * The cost is charged now; the aircraft is back after a lead time that grows with time stored
+ */
+router.post('/:aircraftId/reactivate', blockIfRestricted, async (req, res) => {
+  try {
+    const { membership, aircraft, activeWorldId } = await getOwnedAircraft(req, req.params.aircraftId);
+
+    const gameTime = worldTimeService.getCurrentTime(activeWorldId) || new Date();
+    const result = await aircraftStorageService.startReactivation(aircraft, membership, gameTime);
+    if (result.error) {
+      return res.status(400).json(result);
+    }
+
+    console.log(`Reactivation started: ${aircraft.registration} ($${result.quote.cost}, ${result.quote.days} days)`);
+    res.json({
+      message: 'Reactivation started',
+      aircraft,
+      cost: result.quote.cost,
+      days: result.quote.days,
+      readyAt: aircraft.reactivationReadyAt
+    });
+  } catch (error) {
+    console.error('Error reactivating aircraft:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Helper: check a registration for a new airframe is well formed, fits the base country and is free
+ * @returns {Promise<Object>} - { registration } or { error }
+ */
+async function checkNewRegistration(registration, membership) {
+  const registrationUpper = String(registration || '').trim().toUpperCase();
+  if (registrationUpper.length < 3 || registrationUpper.length > 10) {
+    return { error: 'Registration must be between 3 and 10 characters' };
+  }
+  if (!/^[A-Z0-9][A-Z0-9-]*$/.test(registrationUpper)) {
+    return { error: 'Registration can only contain letters, numbers, and hyphens' };
+  }
+
+  const baseAirport = membership.baseAirportId ? await Airport.findByPk(membership.baseAirportId) : null;
+  if (baseAirport?.country) {
+    const prefix = getRegistrationPrefix(baseAirport.country);
+    if (registrationUpper.startsWith(prefix.replace('-', ''))) {
+      const validation = validateRegistrationSuffix(registrationUpper.substring(prefix.length), prefix);
+      if (!validation.valid) return { error: validation.message };
+    }
+  }
+
+  if (await aircraftOrderService.isRegistrationTaken(registrationUpper)) {
+    return { error: 'Registration already in use' };
+  }
+  return { registration: registrationUpper };
+}
+
+/**
+ * GET /api/fleet/orders
+ * New aircraft on order and options held, with delivery slots and payment schedules
+ */
+router.get('/orders', async (req, res) => {
+  try {
+    const activeWorldId = req.session?.activeWorldId;
+    if (!activeWorldId) return res.status(404).json({ error: 'No active world selected' });
+    if (!req.user) return res.status(401).json({ error: 'Not authenticated' });
+
+    const user = await User.findOne({ where: { vatsimId: req.user.vatsimId } });
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const membership = await WorldMembership.findOne({ where: { userId: user.id, worldId: activeWorldId } });
+    if (!membership) return res.status(404).json({ error: 'Not a member of this world' });
+
+    const gameTime = worldTimeService.getCurrentTime(activeWorldId) || new Date();
+    res.json(await aircraftOrderService.getOrders(membership.id, gameTime));
+  } catch (error) {
+    console.error('Error fetching aircraft orders:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/fleet/orders/:orderId/convert
+ * Convert a purchase option into a firm order for a registration
+ * Pre-delivery payments already due are taken, less the option fee
+ */
+router.post('/orders/:orderId/convert', blockIfRestricted, async (req, res) => {
+  try {
+    const activeWorldId = req.session?.activeWorldId;
+    if (!activeWorldId) return res.status(404).json({ error: 'No active world selected' });
+    if (!req.user) return res.status(401).json({ error: 'Not authenticated' });
+
+    const user = await User.findOne({ where: { vatsimId: req.user.vatsimId } });
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const membership = await WorldMembership.findOne({ where: { userId: user.id, worldId: activeWorldId } });
+    if (!membership) return res.status(404).json({ error: 'Not a member of this world' });
+
+    const order = await AircraftOrder.findOne({
+      where: { id: req.params.orderId, worldMembershipId: membership.id },
+      include: [{ model: Aircraft, as: 'aircraft' }]
+    });
+    if (!order) return res.status(404).json({ error: 'Order not found' });
+
+    const check = await checkNewRegistration(req.body.registration, membership);
+    if (check.error) {
+      return res.status(400).json({ error: check.error });
+    }
+
+    const gameTime = worldTimeService.getCurrentTime(activeWorldId) || new Date();
+    const result = await aircraftOrderService.convertOption(order, membership, check.registration, gameTime);
+    if (result.error) {
+      return res.status(400).json(result);
+    }
+    await membership.reload();
+
+    console.log(`Option converted: ${check.registration} (${order.aircraft?.model}) for delivery ${new Date(order.deliveryDate).toISOString().split('T')[0]}`);
+    res.json({ message: 'Option converted to a firm order', order, paid: result.paid, newBalance: membership.balance });
+  } catch (error) {
+    console.error('Error converting aircraft option:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * POST /api/fleet/:aircraftId/recall-aircraft
  * Lessor recalls a leased-out aircraft early
@@ -4014,15 +4478,29 @@ router.post('/:aircraftId/recall-aircraft', async (req, res) => {
     const gameTime = worldTimeService.getCurrentTime(activeWorldId) || new Date();
 
     // Deduct compensation from lessor
-    membership.balance = parseFloat(membership.balance) - compensation;
-    await membership.save();
+    await ledgerService.post({
+      worldMembershipId: membership.id,
+      category: 'leaseFees',
+      amount: -compensation,
+      gameTime,
+      description: `Recall compensation: ${aircraft.registration}`,
+      referenceType: 'user_aircraft',
+      referenceId: aircraft.id
+    });
 
     if (lesseeAircraft) {
       const lesseeMembership = lesseeAircraft.membership;
 
       // Credit compensation to lessee
-      lesseeMembership.balance = parseFloat(lesseeMembership.balance) + compensation;
-      await lesseeMembership.save();
+      await ledgerService.post({
+        worldMembershipId: lesseeMembership.id,
+        category: 'leaseIncome',
+        amount: compensation,
+        gameTime,
+        description: `Recall compensation: ${aircraft.registration}`,
+        referenceType: 'user_aircraft',
+        referenceId: lesseeAircraft.id
+      });
 
       // Notify lessee
       const lessorName = membership.airlineName || 'The aircraft owner';
@@ -4071,3 +4549,4 @@ module.exports.validateMaintenanceSlot = validateMaintenanceSlot;
 module.exports.createAutoScheduledMaintenance = createAutoScheduledMaintenance;
 module.exports.refreshAutoScheduledMaintenance = refreshAutoScheduledMaintenance;
 module.exports.optimizeMaintenanceForDates = optimizeMaintenanceForDates;
+module.exports.clearAircraftSchedule = clearAircraftSchedule;
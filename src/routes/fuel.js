@@ -0,0 +1,113 @@
+const express = require('express');
+const router = express.Router();
+const { WorldMembership, User, World } = require('../models');
+const worldTimeService = require('../services/worldTimeService');
+const fuelService = require('../services/fuelService');
+const { blockIfRestricted } = require('../middleware/airlineStatus');
+
+// Longest price history the chart can ask for (game days)
+const MAX_HISTORY_DAYS = 3650;
+
+/**
+ * GET /api/fuel
+ * Spot price and its history, the airline's hedges and bulk contracts, and today's quotes
+ * Query: days (price history to return, default 365)
+ */
+router.get('/', async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const activeWorldId = req.session?.activeWorldId;
+    if (!activeWorldId) {
+      return res.status(400).json({ error: 'No active world selected' });
+    }
+
+    const user = await User.findOne({ where: { vatsimId: req.user.vatsimId } });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const membership = await WorldMembership.findOne({
+      where: { userId: user.id, worldId: activeWorldId }
+    });
+
+    if (!membership) {
+      return res.status(404).json({ error: 'Not a member of this world' });
+    }
+
+    const world = await World.findByPk(activeWorldId);
+    const gameTime = worldTimeService.getCurrentTime(activeWorldId) || new Date(world.currentTime);
+    const days = Math.min(MAX_HISTORY_DAYS, Math.max(7, parseInt(req.query.days) || 365));
+
+    const [spotPrice, history, contracts] = await Promise.all([
+      fuelService.getSpotPrice(activeWorldId, gameTime),
+      fuelService.getHistory(activeWorldId, gameTime, days),
+      fuelService.getContracts(membership.id)
+    ]);
+
+    res.json({
+      spotPrice,
+      history,
+      contracts,
+      quotes: fuelService.getQuotes(spotPrice)
+    });
+  } catch (error) {
+    console.error('Error fetching fuel market:', error);
+    res.status(500).json({ error: 'Failed to fetch fuel market' });
+  }
+});
+
+/**
+ * POST /api/fuel/contracts
+ * Hedge fuel or sign a bulk supply contract at today's quote
+ * Body: { contractType ('hedge' | 'bulk'), volumeLiters, months }
+ */
+router.post('/contracts', blockIfRestricted, async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const activeWorldId = req.session?.activeWorldId;
+    if (!activeWorldId) {
+      return res.status(400).json({ error: 'No active world selected' });
+    }
+
+    const user = await User.findOne({ where: { vatsimId: req.user.vatsimId } });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const membership = await WorldMembership.findOne({
+      where: { userId: user.id, worldId: activeWorldId }
+    });
+
+    if (!membership) {
+      return res.status(404).json({ error: 'Not a member of this world' });
+    }
+
+    const world = await World.findByPk(activeWorldId);
+    const gameTime = worldTimeService.getCurrentTime(activeWorldId) || new Date(world.currentTime);
+
+    const { contractType, volumeLiters, months } = req.body;
+    const result = await fuelService.buyContract(membership, { contractType, volumeLiters, months }, gameTime);
+    if (result.error) {
+      return res.status(400).json(result);
+    }
+
+    await membership.reload();
+
+    res.json({
+      message: contractType === 'hedge' ? 'Fuel hedged' : 'Bulk fuel contract signed',
+      contract: result.contract,
+      newBalance: membership.balance
+    });
+  } catch (error) {
+    console.error('Error buying fuel contract:', error);
+    res.status(500).json({ error: 'Failed to buy fuel contract' });
+  }
+});
+
+module.exports = router;
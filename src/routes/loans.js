@@ -0,0 +1,221 @@
+const express = require('express');
+const router = express.Router();
+const { WorldMembership, User, World, Loan } = require('../models');
+const worldTimeService = require('../services/worldTimeService');
+const loanService = require('../services/loanService');
+const { blockIfRestricted } = require('../middleware/airlineStatus');
+
+/**
+ * GET /api/loans
+ * Credit rating, current loans and what the bank will offer
+ */
+router.get('/', async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const activeWorldId = req.session?.activeWorldId;
+    if (!activeWorldId) {
+      return res.status(400).json({ error: 'No active world selected' });
+    }
+
+    const user = await User.findOne({ where: { vatsimId: req.user.vatsimId } });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const membership = await WorldMembership.findOne({
+      where: { userId: user.id, worldId: activeWorldId }
+    });
+
+    if (!membership) {
+      return res.status(404).json({ error: 'Not a member of this world' });
+    }
+
+    const world = await World.findByPk(activeWorldId);
+    const gameTime = worldTimeService.getCurrentTime(activeWorldId) || new Date(world.currentTime);
+
+    const [creditRating, loans] = await Promise.all([
+      loanService.getCreditRating(membership, gameTime),
+      Loan.findAll({
+        where: { worldMembershipId: membership.id },
+        order: [['status', 'ASC'], ['startedAt', 'DESC']]
+      })
+    ]);
+
+    // Largest unsecured loan on offer and its rate
+    const termOffer = await loanService.quoteLoan(membership, { loanType: 'term', amount: 1, termWeeks: 52 }, gameTime);
+
+    res.json({
+      creditRating,
+      loans,
+      outstandingDebt: creditRating.factors.outstandingDebt,
+      weeklyRepayments: loans
+        .filter(loan => loan.status === 'active')
+        .reduce((sum, loan) => sum + parseFloat(loan.weeklyPayment), 0),
+      offers: {
+        term: termOffer.approved ? { maxAmount: termOffer.maxAmount, annualRate: termOffer.annualRate } : null,
+        mortgage: creditRating.margin !== null ? { maxLtv: creditRating.maxLtv } : null
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching loans:', error);
+    res.status(500).json({ error: 'Failed to fetch loans' });
+  }
+});
+
+/**
+ * GET /api/loans/quote
+ * Price a loan without taking it
+ * Query: loanType ('term' | 'mortgage'), amount, termWeeks, securityValue (aircraft price, mortgages only)
+ */
+router.get('/quote', async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const activeWorldId = req.session?.activeWorldId;
+    if (!activeWorldId) {
+      return res.status(400).json({ error: 'No active world selected' });
+    }
+
+    const user = await User.findOne({ where: { vatsimId: req.user.vatsimId } });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const membership = await WorldMembership.findOne({
+      where: { userId: user.id, worldId: activeWorldId }
+    });
+
+    if (!membership) {
+      return res.status(404).json({ error: 'Not a member of this world' });
+    }
+
+    const world = await World.findByPk(activeWorldId);
+    const gameTime = worldTimeService.getCurrentTime(activeWorldId) || new Date(world.currentTime);
+
+    const { loanType, amount, termWeeks, securityValue } = req.query;
+    const quote = await loanService.quoteLoan(membership, { loanType, amount, termWeeks, securityValue }, gameTime);
+
+    res.json(quote);
+  } catch (error) {
+    console.error('Error quoting loan:', error);
+    res.status(500).json({ error: 'Failed to quote loan' });
+  }
+});
+
+/**
+ * POST /api/loans
+ * Take out an unsecured term loan (mortgages are taken when purchasing an aircraft)
+ * Body: { amount, termWeeks }
+ */
+router.post('/', blockIfRestricted, async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const activeWorldId = req.session?.activeWorldId;
+    if (!activeWorldId) {
+      return res.status(400).json({ error: 'No active world selected' });
+    }
+
+    const user = await User.findOne({ where: { vatsimId: req.user.vatsimId } });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const membership = await WorldMembership.findOne({
+      where: { userId: user.id, worldId: activeWorldId }
+    });
+
+    if (!membership) {
+      return res.status(404).json({ error: 'Not a member of this world' });
+    }
+
+    const world = await World.findByPk(activeWorldId);
+    const gameTime = worldTimeService.getCurrentTime(activeWorldId) || new Date(world.currentTime);
+
+    const { amount, termWeeks } = req.body;
+    const quote = await loanService.quoteLoan(membership, { loanType: 'term', amount, termWeeks }, gameTime);
+    if (!quote.approved) {
+      return res.status(400).json(quote);
+    }
+
+    const loan = await loanService.createLoan(membership, quote, gameTime);
+    await membership.reload();
+
+    res.json({
+      message: 'Loan approved',
+      loan,
+      newBalance: membership.balance
+    });
+  } catch (error) {
+    console.error('Error taking loan:', error);
+    res.status(500).json({ error: 'Failed to take loan' });
+  }
+});
+
+/**
+ * POST /api/loans/:loanId/repay
+ * Repay a loan early, in full or in part
+ * Body: { amount } - principal to repay; omit to settle in full
+ */
+router.post('/:loanId/repay', async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const activeWorldId = req.session?.activeWorldId;
+    if (!activeWorldId) {
+      return res.status(400).json({ error: 'No active world selected' });
+    }
+
+    const user = await User.findOne({ where: { vatsimId: req.user.vatsimId } });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const membership = await WorldMembership.findOne({
+      where: { userId: user.id, worldId: activeWorldId }
+    });
+
+    if (!membership) {
+      return res.status(404).json({ error: 'Not a member of this world' });
+    }
+
+    const loan = await Loan.findOne({
+      where: { id: req.params.loanId, worldMembershipId: membership.id }
+    });
+
+    if (!loan) {
+      return res.status(404).json({ error: 'Loan not found' });
+    }
+
+    const world = await World.findByPk(activeWorldId);
+    const gameTime = worldTimeService.getCurrentTime(activeWorldId) || new Date(world.currentTime);
+
+    const amount = req.body.amount != null && req.body.amount !== '' ? Number(req.body.amount) : null;
+    const result = await loanService.repayEarly(membership, loan, amount, gameTime);
+    if (result.error) {
+      return res.status(400).json(result);
+    }
+
+    await membership.reload();
+
+    res.json({
+      message: result.status === 'repaid' ? 'Loan repaid in full' : 'Repayment made',
+      ...result,
+      newBalance: membership.balance
+    });
+  } catch (error) {
+    console.error('Error repaying loan:', error);
+    res.status(500).json({ error: 'Failed to repay loan' });
+  }
+});
+
+module.exports = router;
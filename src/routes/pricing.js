@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
-const { PricingDefault, WorldMembership, User } = require('../models');
+const { PricingDefault, WorldMembership, User, Route } = require('../models');
+const revenueManagementService = require('../services/revenueManagementService');
 
 /**
  * Get global pricing defaults for the current world membership
@@ -225,4 +226,147 @@ router.post('/aircraft-types', async (req, res) => {
   }
 });
 
+/**
+ * Get a route's pricing strategy and fare buckets
+ */
+router.get('/routes/:routeId', async (req, res) => {
+  try {
+    const activeWorldId = req.session?.activeWorldId;
+    if (!activeWorldId) {
+      return res.status(404).json({ error: 'No active world selected' });
+    }
+
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const user = await User.findOne({ where: { vatsimId: req.user.vatsimId } });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const membership = await WorldMembership.findOne({
+      where: { userId: user.id, worldId: activeWorldId }
+    });
+
+    if (!membership) {
+      return res.status(404).json({ error: 'Not a member of this world' });
+    }
+
+    const route = await Route.findOne({
+      where: { id: req.params.routeId, worldMembershipId: membership.id }
+    });
+
+    if (!route) {
+      return res.status(404).json({ error: 'Route not found' });
+    }
+
+    res.json(await revenueManagementService.getRouteRevenueManagement(route));
+  } catch (error) {
+    console.error('Error fetching route revenue management:', error);
+    res.status(500).json({ error: 'Failed to fetch route pricing' });
+  }
+});
+
+/**
+ * Set a route's pricing strategy (repriced automatically every game week unless manual)
+ * Body: { pricingStrategy, targetLoadFactor }
+ */
+router.put('/routes/:routeId/strategy', async (req, res) => {
+  try {
+    const activeWorldId = req.session?.activeWorldId;
+    if (!activeWorldId) {
+      return res.status(404).json({ error: 'No active world selected' });
+    }
+
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const user = await User.findOne({ where: { vatsimId: req.user.vatsimId } });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const membership = await WorldMembership.findOne({
+      where: { userId: user.id, worldId: activeWorldId }
+    });
+
+    if (!membership) {
+      return res.status(404).json({ error: 'Not a member of this world' });
+    }
+
+    const route = await Route.findOne({
+      where: { id: req.params.routeId, worldMembershipId: membership.id }
+    });
+
+    if (!route) {
+      return res.status(404).json({ error: 'Route not found' });
+    }
+
+    const { pricingStrategy, targetLoadFactor } = req.body;
+    const result = await revenueManagementService.setStrategy(route, { pricingStrategy, targetLoadFactor });
+    if (result.error) {
+      return res.status(400).json(result);
+    }
+
+    res.json({
+      routeId: route.id,
+      pricingStrategy: route.pricingStrategy,
+      targetLoadFactor: route.targetLoadFactor
+    });
+  } catch (error) {
+    console.error('Error saving route pricing strategy:', error);
+    res.status(500).json({ error: 'Failed to save pricing strategy' });
+  }
+});
+
+/**
+ * Replace the fare buckets of a route's cabins
+ * Body: { fareBuckets: { cabin: [{ bucketCode, fareMultiplier, seatShare }] } } (an empty list sells a single fare)
+ */
+router.put('/routes/:routeId/fare-buckets', async (req, res) => {
+  try {
+    const activeWorldId = req.session?.activeWorldId;
+    if (!activeWorldId) {
+      return res.status(404).json({ error: 'No active world selected' });
+    }
+
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const user = await User.findOne({ where: { vatsimId: req.user.vatsimId } });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const membership = await WorldMembership.findOne({
+      where: { userId: user.id, worldId: activeWorldId }
+    });
+
+    if (!membership) {
+      return res.status(404).json({ error: 'Not a member of this world' });
+    }
+
+    const route = await Route.findOne({
+      where: { id: req.params.routeId, worldMembershipId: membership.id }
+    });
+
+    if (!route) {
+      return res.status(404).json({ error: 'Route not found' });
+    }
+
+    const result = await revenueManagementService.setFareBuckets(route, req.body.fareBuckets);
+    if (result.error) {
+      return res.status(400).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error saving fare buckets:', error);
+    res.status(500).json({ error: 'Failed to save fare buckets' });
+  }
+});
+
 module.exports = router;
@@ -1,8 +1,13 @@
 const express = require('express');
 const router = express.Router();
-const { Route, WorldMembership, Airport, UserAircraft, Aircraft, User } = require('../models');
+const { Route, WorldMembership, Airport, UserAircraft, Aircraft, User, World } = require('../models');
 const { Op } = require('sequelize');
 const airportSlotService = require('../services/airportSlotService');
+const slotMarketService = require('../services/slotMarketService');
+const worldTimeService = require('../services/worldTimeService');
+const flightRevenueService = require('../services/flightRevenueService');
+const connectionService = require('../services/connectionService');
+const { blockIfRestricted } = require('../middleware/airlineStatus');
 
 /**
  * Get all routes for the current user's airline
@@ -67,6 +72,11 @@ router.get('/', async (req, res) => {
       order: [['createdAt', 'DESC']]
     });
 
+    // Passengers each leg has carried on to or from other routes at the hub
+    const world = await World.findByPk(activeWorldId);
+    const gameTime = worldTimeService.getCurrentTime(activeWorldId) || new Date(world.currentTime);
+    const connections = await connectionService.getRouteConnections(routes.map(route => route.id), gameTime);
+
     // Calculate performance metrics for each route
     const routesWithMetrics = routes.map(route => {
       const profit = parseFloat(route.totalRevenue) - parseFloat(route.totalCosts);
@@ -105,6 +115,7 @@ router.get('/', async (req, res) => {
         profitMargin: parseFloat(profitMargin),
         totalPassengers: route.totalPassengers,
         averageLoadFactor: parseFloat(route.averageLoadFactor),
+        connections: connections.get(route.id) || null,
         createdAt: route.createdAt
       };
     });
@@ -231,7 +242,7 @@ router.get('/summary', async (req, res) => {
 /**
  * Create a new route
  */
-router.post('/', async (req, res) => {
+router.post('/', blockIfRestricted, async (req, res) => {
   try {
     const {
       routeNumber,
@@ -285,7 +296,8 @@ router.post('/', async (req, res) => {
     const slotCheck = await airportSlotService.canCreateRoute(
       departureAirportId,
       arrivalAirportId,
-      activeWorldId
+      activeWorldId,
+      membership.id
     );
 
     if (!slotCheck.allowed) {
@@ -416,10 +428,98 @@ router.post('/', async (req, res) => {
   }
 });
 
+// Route fields the load preview reads; anything sent in the request overrides the saved route
+const PREVIEW_FIELDS = [
+  'departureAirportId', 'arrivalAirportId', 'assignedAircraftId', 'distance', 'scheduledDepartureTime',
+  'turnaroundTime', 'daysOfWeek', 'transportType', 'ticketPrice', 'economyPrice', 'economyPlusPrice',
+  'businessPrice', 'firstPrice'
+];
+
+/**
+ * Preview the expected load factor of a new route, or of a fare or timing change to an existing one
+ * Body: { routeId (optional), departureAirportId, arrivalAirportId, assignedAircraftId, distance,
+ *   scheduledDepartureTime, turnaroundTime, daysOfWeek, transportType, economyPrice, economyPlusPrice, businessPrice, firstPrice }
+ */
+router.post('/load-preview', async (req, res) => {
+  try {
+    const activeWorldId = req.session?.activeWorldId;
+    if (!activeWorldId) {
+      return res.status(404).json({ error: 'No active world selected' });
+    }
+
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const user = await User.findOne({ where: { vatsimId: req.user.vatsimId } });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const membership = await WorldMembership.findOne({
+      where: { userId: user.id, worldId: activeWorldId }
+    });
+
+    if (!membership) {
+      return res.status(404).json({ error: 'Not a member of this world' });
+    }
+
+    const proposed = { id: null };
+    if (req.body.routeId) {
+      const route = await Route.findOne({
+        where: { id: req.body.routeId, worldMembershipId: membership.id }
+      });
+      if (!route) {
+        return res.status(404).json({ error: 'Route not found' });
+      }
+      proposed.id = route.id;
+      for (const field of PREVIEW_FIELDS) {
+        proposed[field] = route[field];
+      }
+    }
+    for (const field of PREVIEW_FIELDS) {
+      if (req.body[field] !== undefined && req.body[field] !== null && req.body[field] !== '') {
+        proposed[field] = req.body[field];
+      }
+    }
+
+    if (!proposed.departureAirportId || !proposed.arrivalAirportId || !proposed.scheduledDepartureTime) {
+      return res.status(400).json({ error: 'Departure airport, arrival airport and departure time are required' });
+    }
+
+    const aircraft = proposed.assignedAircraftId
+      ? await UserAircraft.findOne({
+        where: { id: proposed.assignedAircraftId, worldMembershipId: membership.id },
+        include: [{ model: Aircraft, as: 'aircraft' }]
+      })
+      : null;
+
+    if (!aircraft) {
+      return res.status(400).json({ error: 'Choose an aircraft to preview loads' });
+    }
+
+    const world = await World.findByPk(activeWorldId);
+    const gameTime = worldTimeService.getCurrentTime(activeWorldId) || new Date(world.currentTime);
+
+    const preview = await flightRevenueService.previewLoad({
+      worldId: activeWorldId,
+      membership,
+      route: proposed,
+      aircraft,
+      gameTime
+    });
+
+    res.json(preview);
+  } catch (error) {
+    console.error('Error previewing route loads:', error);
+    res.status(500).json({ error: 'Failed to preview route loads' });
+  }
+});
+
 /**
  * Update a route
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', blockIfRestricted, async (req, res) => {
   try {
     const { id } = req.params;
     const updateData = req.body;
@@ -547,7 +647,12 @@ router.delete('/bulk', async (req, res) => {
       }
     });
 
-    res.json({ message: `${deletedCount} route(s) deleted successfully`, deletedCount });
+    // Slots at airports the airline no longer serves go back to the market
+    const world = await World.findByPk(activeWorldId);
+    const gameTime = worldTimeService.getCurrentTime(activeWorldId) || new Date(world.currentTime);
+    const slotsReleased = await slotMarketService.releaseUnusedSlots(membership, gameTime);
+
+    res.json({ message: `${deletedCount} route(s) deleted successfully`, deletedCount, slotsReleased });
   } catch (error) {
     console.error('Error bulk deleting routes:', error);
     res.status(500).json({ error: 'Failed to delete routes' });
@@ -596,7 +701,12 @@ router.delete('/:id', async (req, res) => {
     // Delete the route
     await route.destroy();
 
-    res.json({ message: 'Route deleted successfully' });
+    // Slots at airports the airline no longer serves go back to the market
+    const world = await World.findByPk(activeWorldId);
+    const gameTime = worldTimeService.getCurrentTime(activeWorldId) || new Date(world.currentTime);
+    const slotsReleased = await slotMarketService.releaseUnusedSlots(membership, gameTime);
+
+    res.json({ message: 'Route deleted successfully', slotsReleased });
   } catch (error) {
     console.error('Error deleting route:', error);
     res.status(500).json({ error: 'Failed to delete route' });
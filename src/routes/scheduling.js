@@ -1,8 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const { Op } = require('sequelize');
-const { ScheduledFlight, RecurringMaintenance, Route, UserAircraft, Airport, Aircraft, WorldMembership, User, World } = require('../models');
+const { ScheduledFlight, FerryFlight, RecurringMaintenance, Route, UserAircraft, Airport, Aircraft, WorldMembership, User, World } = require('../models');
 const { checkMaintenanceConflict, attemptMaintenanceReschedule, optimizeMaintenanceForDates, createAutoScheduledMaintenance, refreshAutoScheduledMaintenance } = require('./fleet');
+const { blockIfRestricted } = require('../middleware/airlineStatus');
+const airportSlotService = require('../services/airportSlotService');
+const airportStandService = require('../services/airportStandService');
+const crewService = require('../services/crewService');
+const aircraftPositionService = require('../services/aircraftPositionService');
+const { calculateDistanceNm } = require('../utils/flightCalculations');
 
 // Wind and route variation constants (must match frontend scheduling-v3.js)
 const WIND_ADJUSTMENT_FACTOR = 0.13; // 13% variation for jet stream effect
@@ -108,8 +114,15 @@ function calculateArrivalDateTime(departureDate, departureTime, route, cruiseSpe
   }
 
   // Calculate arrival datetime (when the round-trip completes)
-  const arrDateTime = new Date(depDateTime.getTime() + totalMinutes * 60 * 1000);
+  return formatArrivalDateTime(new Date(depDateTime.getTime() + totalMinutes * 60 * 1000));
+}
 
+/**
+ * Round an arrival to the nearest 5 minutes and split it into stored date and time
+ * @param {Date} arrDateTime - Arrival in server local time
+ * @returns {{ arrivalDate: string, arrivalTime: string }}
+ */
+function formatArrivalDateTime(arrDateTime) {
   // Round minutes to nearest 5
   const rawMinutes = arrDateTime.getMinutes();
   const roundedMinutes = Math.round(rawMinutes / 5) * 5;
@@ -133,6 +146,152 @@ function calculateArrivalDateTime(departureDate, departureTime, route, cruiseSpe
   return { arrivalDate, arrivalTime };
 }
 
+/**
+ * Calculate arrival date and time of a one-way ferry flight, with wind and route variation
+ * @param {string} departureDate - YYYY-MM-DD format
+ * @param {string} departureTime - HH:MM:SS format
+ * @param {object} from - Departure airport with coordinates
+ * @param {object} to - Arrival airport with coordinates
+ * @param {number} distance - Great circle distance in nautical miles
+ * @param {number} cruiseSpeed - Aircraft cruise speed in knots (defaults to 450)
+ * @returns {{ arrivalDate: string, arrivalTime: string }}
+ */
+function calculateFerryArrivalDateTime(departureDate, departureTime, from, to, distance, cruiseSpeed = 450) {
+  const depDateTime = new Date(`${departureDate}T${departureTime}`);
+  const minutes = calculateFlightMinutes(
+    distance,
+    cruiseSpeed || 450,
+    parseFloat(from.longitude) || 0,
+    parseFloat(to.longitude) || 0,
+    parseFloat(from.latitude) || 0,
+    parseFloat(to.latitude) || 0
+  );
+  return formatArrivalDateTime(new Date(depDateTime.getTime() + minutes * 60 * 1000));
+}
+
+/**
+ * Build the conflict payload for a flight that found no airport slot
+ * @param {object} slotCheck - Result from airportSlotService.checkFlightSlots
+ * @returns {object}
+ */
+function formatSlotConflict(slotCheck) {
+  const { conflict, suggestions } = slotCheck;
+  const [year, month, day] = conflict.date.split('-');
+  const hour = String(conflict.hour).padStart(2, '0');
+  const alternatives = suggestions.length > 0
+    ? ` Try departing at ${suggestions.join(', ')}.`
+    : ' No free slots within 3 hours of this departure.';
+  const heldNote = conflict.held > 0
+    ? ` ${conflict.held} of them are held by airlines; slots can be bought or leased on the slot market.`
+    : '';
+
+  return {
+    type: 'slot',
+    airport: conflict.icaoCode,
+    airportName: conflict.airportName,
+    movement: conflict.movement,
+    date: `${day}/${month}/${year}`,
+    hour: `${hour}:00`,
+    capacity: conflict.capacity,
+    used: conflict.used,
+    held: conflict.held,
+    suggestions,
+    message: `${conflict.icaoCode} has no ${conflict.movement} slot free between ${hour}:00 and ${hour}:59 on ${day}/${month}/${year} (${conflict.capacity} movements per hour).${heldNote}${alternatives}`
+  };
+}
+
+/**
+ * Describe a stand shortage (or near-shortage) at an outstation
+ * @param {object} stand - Conflict or warning from airportStandService.checkFlightStands
+ * @returns {object}
+ */
+function formatStandIssue(stand) {
+  const [year, month, day] = stand.date.split('-');
+  const hour = String(stand.hour).padStart(2, '0');
+  return {
+    type: 'stand',
+    airport: stand.icaoCode,
+    airportName: stand.airportName,
+    date: `${day}/${month}/${year}`,
+    hour: `${hour}:00`,
+    stands: stand.stands,
+    occupied: stand.occupied,
+    message: stand.occupied > stand.stands
+      ? `${stand.icaoCode} has no free stand between ${hour}:00 and ${hour}:59 on ${day}/${month}/${year} (all ${stand.stands} taken).`
+      : `${stand.icaoCode} stands will be ${Math.round((stand.occupied / stand.stands) * 100)}% full around ${hour}:00 on ${day}/${month}/${year} - expect congestion parking charges.`
+  };
+}
+
+/**
+ * Describe a rotation the airline doesn't have the crew to fly
+ * @param {object} shortage - Shortage from crewService.checkFlightCrew
+ * @returns {object}
+ */
+function formatCrewShortage(shortage) {
+  const [year, month, day] = shortage.date.split('-');
+  const crew = `${shortage.typeRating} ${shortage.role === 'pilot' ? 'pilots' : 'cabin crew'}`;
+
+  let message;
+  if (shortage.reason === 'unrated') {
+    const qualifies = shortage.qualifiesAt ? new Date(shortage.qualifiesAt) : null;
+    const training = shortage.inTraining > 0
+      ? `${shortage.inTraining} in training${qualifies ? `, first qualifying ${String(qualifies.getDate()).padStart(2, '0')}/${String(qualifies.getMonth() + 1).padStart(2, '0')}/${qualifies.getFullYear()}` : ', waiting for simulator seats'}`
+      : 'book type-rating training before scheduling this aircraft';
+    message = `Your airline has ${shortage.headcount} of the ${shortage.crewNeeded} ${crew} needed to crew this aircraft: ${training}.`;
+  } else {
+    const reasons = {
+      crew: `needs ${shortage.crewNeeded} ${crew} but ${shortage.headcount} are based there`,
+      daily: `would take ${crew} past their daily duty limit`,
+      weekly: `would take ${crew} past their 7-day duty limit`
+    };
+    message = `Not enough crew at ${shortage.baseIcao}: the rotation on ${day}/${month}/${year} ${reasons[shortage.reason]}. Hire or move crew to ${shortage.baseIcao}.`;
+  }
+
+  return {
+    type: 'crew',
+    base: shortage.baseIcao,
+    role: shortage.role,
+    typeRating: shortage.typeRating,
+    reason: shortage.reason,
+    date: `${day}/${month}/${year}`,
+    crewNeeded: shortage.crewNeeded,
+    headcount: shortage.headcount,
+    inTraining: shortage.inTraining,
+    message
+  };
+}
+
+/**
+ * Describe why an aircraft won't be where a flight or ferry needs it
+ * @param {object} conflict - Conflict from aircraftPositionService.checkMovement
+ * @returns {object}
+ */
+function formatPositionConflict(conflict) {
+  const when = (date) => `${String(date.getDate()).padStart(2, '0')}/${String(date.getMonth() + 1).padStart(2, '0')}/${date.getFullYear()} ${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+  const movement = conflict.movement;
+
+  let message;
+  if (conflict.reason === 'overlap') {
+    message = `The aircraft is busy with ${movement.label} from ${when(movement.departs)} to ${when(movement.arrives)}.`;
+  } else if (conflict.reason === 'position') {
+    message = movement
+      ? `The aircraft will be at ${conflict.expected} after ${movement.label} lands at ${when(movement.arrives)}, not ${conflict.required}. Schedule a ferry flight to ${conflict.required} first.`
+      : `The aircraft is at ${conflict.expected}, not ${conflict.required}. Schedule a ferry flight to ${conflict.required} first.`;
+  } else {
+    message = `This would leave the aircraft at ${conflict.expected}, but ${movement.label} departs ${conflict.required} at ${when(movement.departs)}.`;
+  }
+
+  return {
+    type: 'position',
+    reason: conflict.reason,
+    expected: conflict.expected || null,
+    required: conflict.required || null,
+    movementType: movement?.type || null,
+    movementId: movement?.id || null,
+    message
+  };
+}
+
 /**
  * GET /api/schedule/data
  * Combined endpoint - returns fleet, routes, flights, and maintenance in a single request
@@ -168,7 +327,7 @@ router.get('/data', async (req, res) => {
     const worldMembershipId = membership.id;
 
     // Run all queries in parallel for maximum speed
-    const [fleet, routes, flights, maintenancePatterns] = await Promise.all([
+    const [fleet, routes, flights, maintenancePatterns, ferryFlights] = await Promise.all([
       // Fleet query
       UserAircraft.findAll({
         where: { worldMembershipId },
@@ -249,7 +408,24 @@ router.get('/data', async (req, res) => {
         });
         console.log('[MAINT-QUERY] Found', maint.length, 'maintenance records');
         return maint;
-      })()
+      })(),
+
+      // Ferry (positioning) flights query (with date filter)
+      FerryFlight.findAll({
+        where: {
+          worldMembershipId,
+          status: { [Op.ne]: 'cancelled' },
+          ...(startDate && endDate ? {
+            scheduledDate: { [Op.lte]: endDate },
+            arrivalDate: { [Op.gte]: startDate }
+          } : {})
+        },
+        include: [
+          { model: Airport, as: 'departureAirport' },
+          { model: Airport, as: 'arrivalAirport' }
+        ],
+        order: [['scheduledDate', 'ASC'], ['departureTime', 'ASC']]
+      })
     ]);
 
     // Efficiently attach maintenance to fleet (O(n) instead of O(n*m))
@@ -394,6 +570,7 @@ router.get('/data', async (req, res) => {
       fleet: fleetWithMaintenance,
       routes,
       flights,
+      ferryFlights,
       maintenance: deduplicatedBlocks
     });
   } catch (error) {
@@ -515,7 +692,7 @@ router.get('/flights', async (req, res) => {
  * POST /api/schedule/flight
  * Create a new scheduled flight
  */
-router.post('/flight', async (req, res) => {
+router.post('/flight', blockIfRestricted, async (req, res) => {
   try {
     const { routeId, aircraftId, scheduledDate, departureTime } = req.body;
 
@@ -570,6 +747,10 @@ router.post('/flight', async (req, res) => {
       return res.status(404).json({ error: 'Aircraft not found' });
     }
 
+    if (aircraft.status === 'storage') {
+      return res.status(400).json({ error: 'Aircraft is in storage - reactivate it before scheduling flights' });
+    }
+
     // Calculate pre-flight and post-flight durations based on aircraft type
     const acType = aircraft.aircraft?.type || 'Narrowbody';
     const paxCapacity = aircraft.aircraft?.passengerCapacity || 150;
@@ -763,6 +944,50 @@ router.post('/flight', async (req, res) => {
       }
     }
 
+    // Every departure and arrival needs a free slot in its hour at the airport
+    const [slotCheck] = await airportSlotService.checkFlightSlots(activeWorldId, route, [
+      { scheduledDate, departureTime, arrivalDate, arrivalTime }
+    ]);
+    if (!slotCheck.allowed) {
+      return res.status(409).json({
+        error: 'Airport slot unavailable',
+        conflict: formatSlotConflict(slotCheck)
+      });
+    }
+
+    // The aircraft needs a stand wherever it turns round or makes a tech stop
+    const [standCheck] = await airportStandService.checkFlightStands(activeWorldId, route, [
+      { scheduledDate, departureTime, arrivalDate, arrivalTime }
+    ]);
+    if (!standCheck.allowed) {
+      return res.status(409).json({
+        error: 'No stand available',
+        conflict: formatStandIssue(standCheck.conflict)
+      });
+    }
+
+    // The base needs enough rested crew rated on the aircraft
+    const [crewCheck] = await crewService.checkFlightCrew(worldMembershipId, route, aircraft.aircraft, [
+      { scheduledDate, departureTime, arrivalDate, arrivalTime }
+    ]);
+    if (!crewCheck.allowed) {
+      return res.status(409).json({
+        error: 'Not enough crew',
+        conflict: formatCrewShortage(crewCheck.shortage)
+      });
+    }
+
+    // The aircraft has to be standing at the route's departure airport when it leaves
+    const [positionCheck] = await aircraftPositionService.checkFlightPositions(aircraft, route, [
+      { scheduledDate, departureTime, arrivalDate, arrivalTime }
+    ]);
+    if (!positionCheck.allowed) {
+      return res.status(409).json({
+        error: 'Aircraft not at departure airport',
+        conflict: formatPositionConflict(positionCheck.conflict)
+      });
+    }
+
     // Check for overlapping maintenance and attempt to reschedule
     // Query maintenance for departure date, arrival date, AND transit days (multi-day flights)
     const datesToCheck = [scheduledDate];
@@ -915,6 +1140,9 @@ router.post('/flight', async (req, res) => {
     if (optimizedMaintenance.length > 0) {
       response.optimizedMaintenance = optimizedMaintenance;
     }
+    if (standCheck.warnings.length > 0) {
+      response.standWarnings = standCheck.warnings.map(formatStandIssue);
+    }
 
     res.status(201).json(response);
   } catch (error) {
@@ -928,7 +1156,7 @@ router.post('/flight', async (req, res) => {
  * Create multiple scheduled flights at once (for weekly scheduling)
  * Much faster than making individual requests
  */
-router.post('/flights/batch', async (req, res) => {
+router.post('/flights/batch', blockIfRestricted, async (req, res) => {
   try {
     const { routeId, aircraftId, flights } = req.body;
     // flights is an array of { scheduledDate, departureTime }
@@ -992,6 +1220,10 @@ router.post('/flights/batch', async (req, res) => {
       return res.status(404).json({ error: 'Aircraft not found' });
     }
 
+    if (aircraft.status === 'storage') {
+      return res.status(400).json({ error: 'Aircraft is in storage - reactivate it before scheduling flights' });
+    }
+
     const cruiseSpeed = aircraft.aircraft?.cruiseSpeed;
 
     // Calculate pre-flight and post-flight durations for this aircraft/route
@@ -1197,10 +1429,82 @@ router.post('/flights/batch', async (req, res) => {
       }
     }
 
+    // Drop flights that can't get a slot for every movement
+    const slotConflicts = [];
+    if (flightsToCreate.length > 0) {
+      const slotChecks = await airportSlotService.checkFlightSlots(activeWorldId, route, flightsToCreate);
+      for (let i = slotChecks.length - 1; i >= 0; i--) {
+        if (!slotChecks[i].allowed) {
+          const [rejected] = flightsToCreate.splice(i, 1);
+          slotConflicts.unshift({
+            scheduledDate: rejected.scheduledDate,
+            departureTime: rejected.departureTime,
+            ...formatSlotConflict(slotChecks[i])
+          });
+        }
+      }
+    }
+
+    // Drop flights that would find no stand at an outstation, and collect near-full warnings
+    const standConflicts = [];
+    const standWarnings = [];
+    if (flightsToCreate.length > 0) {
+      const standChecks = await airportStandService.checkFlightStands(activeWorldId, route, flightsToCreate);
+      for (let i = standChecks.length - 1; i >= 0; i--) {
+        if (!standChecks[i].allowed) {
+          const [rejected] = flightsToCreate.splice(i, 1);
+          standConflicts.unshift({
+            scheduledDate: rejected.scheduledDate,
+            departureTime: rejected.departureTime,
+            ...formatStandIssue(standChecks[i].conflict)
+          });
+        } else {
+          standWarnings.unshift(...standChecks[i].warnings.map(formatStandIssue));
+        }
+      }
+    }
+
+    // Drop flights the base doesn't have the crew for
+    const crewConflicts = [];
+    if (flightsToCreate.length > 0) {
+      const crewChecks = await crewService.checkFlightCrew(worldMembershipId, route, aircraft.aircraft, flightsToCreate);
+      for (let i = crewChecks.length - 1; i >= 0; i--) {
+        if (!crewChecks[i].allowed) {
+          const [rejected] = flightsToCreate.splice(i, 1);
+          crewConflicts.unshift({
+            scheduledDate: rejected.scheduledDate,
+            departureTime: rejected.departureTime,
+            ...formatCrewShortage(crewChecks[i].shortage)
+          });
+        }
+      }
+    }
+
+    // Drop flights the aircraft won't be in position for
+    const positionConflicts = [];
+    if (flightsToCreate.length > 0) {
+      const positionChecks = await aircraftPositionService.checkFlightPositions(aircraft, route, flightsToCreate);
+      for (let i = positionChecks.length - 1; i >= 0; i--) {
+        if (!positionChecks[i].allowed) {
+          const [rejected] = flightsToCreate.splice(i, 1);
+          positionConflicts.unshift({
+            scheduledDate: rejected.scheduledDate,
+            departureTime: rejected.departureTime,
+            ...formatPositionConflict(positionChecks[i].conflict)
+          });
+        }
+      }
+    }
+
     if (flightsToCreate.length === 0) {
+      const blocked = slotConflicts.length > 0 || standConflicts.length > 0 || crewConflicts.length > 0 || positionConflicts.length > 0;
       return res.status(409).json({
-        error: 'All flights conflict with existing schedule',
-        conflicts
+        error: blocked ? 'No flights could be scheduled' : 'All flights conflict with existing schedule',
+        conflicts,
+        slotConflicts: slotConflicts.length > 0 ? slotConflicts : undefined,
+        standConflicts: standConflicts.length > 0 ? standConflicts : undefined,
+        crewConflicts: crewConflicts.length > 0 ? crewConflicts : undefined,
+        positionConflicts: positionConflicts.length > 0 ? positionConflicts : undefined
       });
     }
 
@@ -1343,6 +1647,11 @@ router.post('/flights/batch', async (req, res) => {
     res.status(201).json({
       created: completeFlightData,
       conflicts: conflicts.length > 0 ? conflicts : undefined,
+      slotConflicts: slotConflicts.length > 0 ? slotConflicts : undefined,
+      standConflicts: standConflicts.length > 0 ? standConflicts : undefined,
+      standWarnings: standWarnings.length > 0 ? standWarnings : undefined,
+      crewConflicts: crewConflicts.length > 0 ? crewConflicts : undefined,
+      positionConflicts: positionConflicts.length > 0 ? positionConflicts : undefined,
       rescheduledMaintenance: rescheduledMaintenance.length > 0 ? rescheduledMaintenance : undefined
     });
   } catch (error) {
@@ -1421,7 +1730,7 @@ router.delete('/flight/:id', async (req, res) => {
  * PUT /api/schedule/flight/:id
  * Update a scheduled flight (status, time, etc.)
  */
-router.put('/flight/:id', async (req, res) => {
+router.put('/flight/:id', blockIfRestricted, async (req, res) => {
   try {
     const { id } = req.params;
     const { scheduledDate, departureTime, status } = req.body;
@@ -1469,9 +1778,61 @@ router.put('/flight/:id', async (req, res) => {
       return res.status(404).json({ error: 'Scheduled flight not found' });
     }
 
-    // Update fields
-    if (scheduledDate !== undefined) scheduledFlight.scheduledDate = scheduledDate;
-    if (departureTime !== undefined) scheduledFlight.departureTime = departureTime;
+    // A moved rotation is checked like a new one, leaving out its old times
+    let moved = null;
+    if (scheduledDate !== undefined || departureTime !== undefined) {
+      moved = {
+        scheduledDate: scheduledDate || scheduledFlight.scheduledDate,
+        departureTime: departureTime || scheduledFlight.departureTime
+      };
+      const { departs, arrives } = aircraftPositionService.getTimes(scheduledFlight);
+      const newDeparts = new Date(`${moved.scheduledDate}T${moved.departureTime}`);
+      Object.assign(moved, formatArrivalDateTime(new Date(newDeparts.getTime() + (arrives - departs))));
+      const checkOptions = { excludeScheduledFlightIds: [scheduledFlight.id] };
+
+      const [slotCheck] = await airportSlotService.checkFlightSlots(activeWorldId, scheduledFlight.route, [moved], checkOptions);
+      if (!slotCheck.allowed) {
+        return res.status(409).json({
+          error: 'Airport slot unavailable',
+          conflict: formatSlotConflict(slotCheck)
+        });
+      }
+
+      const [standCheck] = await airportStandService.checkFlightStands(activeWorldId, scheduledFlight.route, [moved], checkOptions);
+      if (!standCheck.allowed) {
+        return res.status(409).json({
+          error: 'No stand available',
+          conflict: formatStandIssue(standCheck.conflict)
+        });
+      }
+
+      const aircraft = await UserAircraft.findByPk(scheduledFlight.aircraftId, {
+        include: [{ model: Aircraft, as: 'aircraft' }]
+      });
+      const [crewCheck] = await crewService.checkFlightCrew(worldMembershipId, scheduledFlight.route, aircraft.aircraft, [moved], checkOptions);
+      if (!crewCheck.allowed) {
+        return res.status(409).json({
+          error: 'Not enough crew',
+          conflict: formatCrewShortage(crewCheck.shortage)
+        });
+      }
+
+      const [positionCheck] = await aircraftPositionService.checkFlightPositions(aircraft, scheduledFlight.route, [moved], scheduledFlight.id);
+      if (!positionCheck.allowed) {
+        return res.status(409).json({
+          error: 'Aircraft not at departure airport',
+          conflict: formatPositionConflict(positionCheck.conflict)
+        });
+      }
+    }
+
+    // Update fields (a moved rotation lands correspondingly later or earlier)
+    if (moved) {
+      scheduledFlight.scheduledDate = moved.scheduledDate;
+      scheduledFlight.departureTime = moved.departureTime;
+      scheduledFlight.arrivalDate = moved.arrivalDate;
+      scheduledFlight.arrivalTime = moved.arrivalTime;
+    }
     if (status !== undefined) scheduledFlight.status = status;
 
     await scheduledFlight.save();
@@ -1510,6 +1871,276 @@ router.put('/flight/:id', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/schedule/ferry
+ * Schedule a ferry (positioning) flight: the aircraft flies empty from wherever it
+ * will be at the departure time to another airport. Costs fuel, maintenance and
+ * airport charges but earns nothing
+ */
+router.post('/ferry', blockIfRestricted, async (req, res) => {
+  try {
+    const { aircraftId, arrivalAirportId, arrivalIcao, scheduledDate, departureTime } = req.body;
+
+    if (!aircraftId || !(arrivalAirportId || arrivalIcao) || !scheduledDate || !departureTime) {
+      return res.status(400).json({ error: 'aircraftId, arrivalAirportId (or arrivalIcao), scheduledDate and departureTime are required' });
+    }
+
+    // Get active world from session
+    const activeWorldId = req.session?.activeWorldId;
+    if (!activeWorldId) {
+      return res.status(404).json({ error: 'No active world selected' });
+    }
+
+    // Get user's membership
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const user = await User.findOne({ where: { vatsimId: req.user.vatsimId } });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const membership = await WorldMembership.findOne({
+      where: { userId: user.id, worldId: activeWorldId }
+    });
+
+    if (!membership) {
+      return res.status(404).json({ error: 'Not a member of this world' });
+    }
+
+    const worldMembershipId = membership.id;
+
+    const aircraft = await UserAircraft.findOne({
+      where: { id: aircraftId, worldMembershipId },
+      include: [{ model: Aircraft, as: 'aircraft' }]
+    });
+
+    if (!aircraft) {
+      return res.status(404).json({ error: 'Aircraft not found' });
+    }
+
+    if (!['active', 'maintenance'].includes(aircraft.status)) {
+      return res.status(400).json({ error: 'Only aircraft in service can be ferried' });
+    }
+
+    const normalizedTime = departureTime.length === 5 ? `${departureTime}:00` : departureTime;
+    const departs = new Date(`${scheduledDate}T${normalizedTime}`);
+    if (isNaN(departs.getTime())) {
+      return res.status(400).json({ error: 'Invalid departure date or time' });
+    }
+
+    // Can't ferry into the past
+    const worldTimeService = require('../services/worldTimeService');
+    const world = await World.findByPk(activeWorldId);
+    const gameTime = worldTimeService.getCurrentTime(activeWorldId) || new Date(world.currentTime);
+    if (departs <= gameTime) {
+      return res.status(400).json({ error: 'Ferry flights must depart in the future' });
+    }
+
+    // The ferry leaves from wherever the aircraft will be standing by then
+    const movements = await aircraftPositionService.getMovements(aircraft.id);
+    const { icao: originIcao } = aircraftPositionService.getLocationAt(aircraft, movements, departs);
+    if (!originIcao) {
+      return res.status(409).json({ error: 'The aircraft will still be in the air at that time' });
+    }
+
+    const [departureAirport, arrivalAirport] = await Promise.all([
+      Airport.findOne({ where: { icaoCode: originIcao } }),
+      arrivalAirportId
+        ? Airport.findByPk(arrivalAirportId)
+        : Airport.findOne({ where: { icaoCode: String(arrivalIcao).toUpperCase() } })
+    ]);
+
+    if (!departureAirport || !arrivalAirport) {
+      return res.status(404).json({ error: 'Airport not found' });
+    }
+
+    if (departureAirport.id === arrivalAirport.id) {
+      return res.status(400).json({ error: `The aircraft will already be at ${arrivalAirport.icaoCode}` });
+    }
+
+    const distance = Math.round(calculateDistanceNm(departureAirport, arrivalAirport) * 100) / 100;
+    const rangeNm = aircraft.aircraft?.rangeNm;
+    if (rangeNm && distance > rangeNm) {
+      return res.status(400).json({
+        error: `${departureAirport.icaoCode} to ${arrivalAirport.icaoCode} is ${Math.round(distance)}nm, beyond the aircraft's ${rangeNm}nm range`
+      });
+    }
+
+    const { arrivalDate, arrivalTime } = calculateFerryArrivalDateTime(
+      scheduledDate,
+      normalizedTime,
+      departureAirport,
+      arrivalAirport,
+      distance,
+      aircraft.aircraft?.cruiseSpeed
+    );
+
+    // Must not overlap another flight or ferry, and must leave the aircraft where it flies next
+    const positionCheck = aircraftPositionService.checkMovement(aircraft, movements, {
+      from: departureAirport.icaoCode,
+      to: arrivalAirport.icaoCode,
+      ...aircraftPositionService.getTimes({ scheduledDate, departureTime: normalizedTime, arrivalDate, arrivalTime })
+    });
+    if (!positionCheck.allowed) {
+      return res.status(409).json({
+        error: 'Ferry flight conflicts with the aircraft schedule',
+        conflict: formatPositionConflict(positionCheck.conflict)
+      });
+    }
+
+    // Must not overlap a maintenance check
+    const arrives = new Date(`${arrivalDate}T${arrivalTime}`);
+    const checks = await RecurringMaintenance.findAll({
+      where: { aircraftId: aircraft.id, status: 'active', scheduledDate: { [Op.lte]: arrivalDate } }
+    });
+    const clash = checks.find(check => {
+      const start = new Date(`${String(check.scheduledDate).split('T')[0]}T${check.startTime}`);
+      const end = new Date(start.getTime() + (check.duration || 0) * 60 * 1000);
+      return departs < end && arrives > start;
+    });
+    if (clash) {
+      return res.status(409).json({
+        error: `Ferry flight overlaps the ${clash.checkType} check on ${String(clash.scheduledDate).split('T')[0]}`
+      });
+    }
+
+    // A ferry takes a departure and an arrival slot like any other flight
+    const ferryTimes = { scheduledDate, departureTime: normalizedTime, arrivalDate, arrivalTime };
+    const [slotCheck] = await airportSlotService.checkFlightSlots(activeWorldId, {
+      oneWay: true,
+      departureAirportId: departureAirport.id,
+      arrivalAirportId: arrivalAirport.id,
+      worldMembershipId
+    }, [ferryTimes]);
+    if (!slotCheck.allowed) {
+      return res.status(409).json({
+        error: 'Airport slot unavailable',
+        conflict: formatSlotConflict(slotCheck)
+      });
+    }
+
+    // And pilots rated on the aircraft, from one end of the ferry or the other
+    const crewRoute = crewService.getFerryCrewRoute(
+      { departureAirportId: departureAirport.id, arrivalAirportId: arrivalAirport.id },
+      aircraft.aircraft,
+      await crewService.getHeadcounts(worldMembershipId)
+    );
+    const [crewCheck] = await crewService.checkFlightCrew(worldMembershipId, crewRoute, aircraft.aircraft, [ferryTimes]);
+    if (!crewCheck.allowed) {
+      return res.status(409).json({
+        error: 'Not enough crew',
+        conflict: formatCrewShortage(crewCheck.shortage)
+      });
+    }
+
+    const ferry = await FerryFlight.create({
+      worldMembershipId,
+      aircraftId: aircraft.id,
+      departureAirportId: departureAirport.id,
+      arrivalAirportId: arrivalAirport.id,
+      distance,
+      scheduledDate,
+      departureTime: normalizedTime,
+      arrivalDate,
+      arrivalTime,
+      status: 'scheduled'
+    });
+
+    const flightCostService = require('../services/flightCostService');
+    const estimate = flightCostService.calculateFerryCosts(
+      { aircraft, departureAirport, arrivalAirport, distance },
+      gameTime.getFullYear()
+    );
+
+    res.status(201).json({
+      ferry: {
+        ...ferry.toJSON(),
+        departureAirport,
+        arrivalAirport
+      },
+      estimatedCost: estimate.total
+    });
+  } catch (error) {
+    console.error('Error scheduling ferry flight:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/schedule/ferry/:id
+ * Cancel a ferry flight that hasn't left yet, as long as nothing after it relies on it
+ */
+router.delete('/ferry/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Get active world from session
+    const activeWorldId = req.session?.activeWorldId;
+    if (!activeWorldId) {
+      return res.status(404).json({ error: 'No active world selected' });
+    }
+
+    // Get user's membership
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const user = await User.findOne({ where: { vatsimId: req.user.vatsimId } });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const membership = await WorldMembership.findOne({
+      where: { userId: user.id, worldId: activeWorldId }
+    });
+
+    if (!membership) {
+      return res.status(404).json({ error: 'Not a member of this world' });
+    }
+
+    const ferry = await FerryFlight.findOne({
+      where: { id, worldMembershipId: membership.id },
+      include: [
+        { model: Airport, as: 'departureAirport', attributes: ['icaoCode'] },
+        { model: Airport, as: 'arrivalAirport', attributes: ['icaoCode'] }
+      ]
+    });
+
+    if (!ferry) {
+      return res.status(404).json({ error: 'Ferry flight not found' });
+    }
+
+    if (ferry.status !== 'scheduled') {
+      return res.status(400).json({ error: 'Only ferry flights that have not departed can be cancelled' });
+    }
+
+    // Whatever flies next from the ferry's destination would be stranded without it
+    const times = aircraftPositionService.getTimes(ferry);
+    const movements = await aircraftPositionService.getMovements(ferry.aircraftId, { ferryId: ferry.id });
+    const next = movements.find(m => m.departs >= times.arrives);
+    if (next && next.from !== ferry.departureAirport?.icaoCode) {
+      return res.status(409).json({
+        error: 'Ferry flight is needed by a later flight',
+        conflict: formatPositionConflict({
+          reason: 'continuity',
+          expected: ferry.departureAirport?.icaoCode,
+          required: next.from,
+          movement: next
+        })
+      });
+    }
+
+    await ferry.destroy();
+
+    res.json({ message: 'Ferry flight cancelled' });
+  } catch (error) {
+    console.error('Error cancelling ferry flight:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * GET /api/schedule/maintenance
  * Fetch all scheduled maintenance checks for the current user's active world
@@ -2493,7 +3124,7 @@ router.get('/active', async (req, res) => {
 
 /**
  * GET /api/schedule/active-all
- * Fetch all currently active (in_progress) flights for ALL airlines in the world
+ * Fetch all currently active (in_progress) flights for ALL airlines in the world, including NPC airlines
  */
 router.get('/active-all', async (req, res) => {
   try {
@@ -2630,6 +3261,12 @@ router.get('/active-all', async (req, res) => {
       };
     });
 
+    // NPC airlines fly their published schedules without scheduled flight records
+    if (worldTime) {
+      const npcAirlineService = require('../services/npcAirlineService');
+      flights.push(...await npcAirlineService.getAirborneFlights(activeWorldId, worldTime));
+    }
+
     res.json({ flights });
   } catch (error) {
     console.error('Error fetching all active flights:', error);
@@ -2702,6 +3339,9 @@ router.post('/clear-all', async (req, res) => {
       result.flightsDeleted = await ScheduledFlight.destroy({
         where: { aircraftId: { [Op.in]: ownedAircraftIds } }
       });
+      await FerryFlight.destroy({
+        where: { aircraftId: { [Op.in]: ownedAircraftIds }, status: 'scheduled' }
+      });
     }
 
     // Delete maintenance if mode is 'maintenance' or 'all'
@@ -0,0 +1,320 @@
+const express = require('express');
+const router = express.Router();
+const { WorldMembership, User, World, AirportSlot, SlotListing } = require('../models');
+const worldTimeService = require('../services/worldTimeService');
+const airportSlotService = require('../services/airportSlotService');
+const slotMarketService = require('../services/slotMarketService');
+const { blockIfRestricted } = require('../middleware/airlineStatus');
+
+/**
+ * GET /api/slots
+ * Slots the airline holds and leases, its listings and bids, and the open market
+ * Query: airportId, type ('sale' | 'lease' | 'release' | 'auction') to filter the market
+ */
+router.get('/', async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const activeWorldId = req.session?.activeWorldId;
+    if (!activeWorldId) {
+      return res.status(400).json({ error: 'No active world selected' });
+    }
+
+    const user = await User.findOne({ where: { vatsimId: req.user.vatsimId } });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const membership = await WorldMembership.findOne({
+      where: { userId: user.id, worldId: activeWorldId }
+    });
+
+    if (!membership) {
+      return res.status(404).json({ error: 'Not a member of this world' });
+    }
+
+    const [airline, market] = await Promise.all([
+      slotMarketService.getAirlineSlots(membership),
+      slotMarketService.getOpenListings(activeWorldId, {
+        airportId: req.query.airportId || null,
+        listingType: req.query.type || null
+      })
+    ]);
+
+    res.json({ ...airline, market });
+  } catch (error) {
+    console.error('Error fetching slots:', error);
+    res.status(500).json({ error: 'Failed to fetch slots' });
+  }
+});
+
+/**
+ * GET /api/slots/airport/:airportId
+ * Hourly congestion and held slots at an airport, with the slots on offer there
+ * Query: date (YYYY-MM-DD, defaults to the current game date)
+ */
+router.get('/airport/:airportId', async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const activeWorldId = req.session?.activeWorldId;
+    if (!activeWorldId) {
+      return res.status(400).json({ error: 'No active world selected' });
+    }
+
+    const user = await User.findOne({ where: { vatsimId: req.user.vatsimId } });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const membership = await WorldMembership.findOne({
+      where: { userId: user.id, worldId: activeWorldId }
+    });
+
+    if (!membership) {
+      return res.status(404).json({ error: 'Not a member of this world' });
+    }
+
+    const { airportId } = req.params;
+    const [profile, listings, holdings] = await Promise.all([
+      airportSlotService.getHourlyProfile(airportId, activeWorldId, { date: req.query.date || null }),
+      slotMarketService.getOpenListings(activeWorldId, { airportId }),
+      AirportSlot.findAll({
+        where: { worldMembershipId: membership.id, airportId },
+        order: [['hour', 'ASC']]
+      })
+    ]);
+
+    res.json({ profile, listings, holdings });
+  } catch (error) {
+    if (error.message === 'Airport not found') {
+      return res.status(404).json({ error: 'Airport not found' });
+    }
+    console.error('Error fetching airport slots:', error);
+    res.status(500).json({ error: 'Failed to fetch airport slots' });
+  }
+});
+
+/**
+ * POST /api/slots/:slotId/list
+ * Offer a held slot for sale or lease
+ * Body: { listingType ('sale' | 'lease'), price (sale price or weekly rate), leaseWeeks }
+ */
+router.post('/:slotId/list', blockIfRestricted, async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const activeWorldId = req.session?.activeWorldId;
+    if (!activeWorldId) {
+      return res.status(400).json({ error: 'No active world selected' });
+    }
+
+    const user = await User.findOne({ where: { vatsimId: req.user.vatsimId } });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const membership = await WorldMembership.findOne({
+      where: { userId: user.id, worldId: activeWorldId }
+    });
+
+    if (!membership) {
+      return res.status(404).json({ error: 'Not a member of this world' });
+    }
+
+    const slot = await AirportSlot.findOne({
+      where: { id: req.params.slotId, worldMembershipId: membership.id }
+    });
+
+    if (!slot) {
+      return res.status(404).json({ error: 'Slot not found' });
+    }
+
+    const world = await World.findByPk(activeWorldId);
+    const gameTime = worldTimeService.getCurrentTime(activeWorldId) || new Date(world.currentTime);
+
+    const { listingType, price, leaseWeeks } = req.body;
+    const result = await slotMarketService.listSlot(membership, slot, { listingType, price, leaseWeeks }, gameTime);
+    if (result.error) {
+      return res.status(400).json(result);
+    }
+
+    res.json({
+      message: listingType === 'sale' ? 'Slot listed for sale' : 'Slot listed for lease',
+      listing: result.listing
+    });
+  } catch (error) {
+    console.error('Error listing slot:', error);
+    res.status(500).json({ error: 'Failed to list slot' });
+  }
+});
+
+/**
+ * DELETE /api/slots/listings/:listingId
+ * Withdraw a sale or lease listing
+ */
+router.delete('/listings/:listingId', async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const activeWorldId = req.session?.activeWorldId;
+    if (!activeWorldId) {
+      return res.status(400).json({ error: 'No active world selected' });
+    }
+
+    const user = await User.findOne({ where: { vatsimId: req.user.vatsimId } });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const membership = await WorldMembership.findOne({
+      where: { userId: user.id, worldId: activeWorldId }
+    });
+
+    if (!membership) {
+      return res.status(404).json({ error: 'Not a member of this world' });
+    }
+
+    const listing = await SlotListing.findOne({
+      where: { id: req.params.listingId, worldId: activeWorldId }
+    });
+
+    if (!listing) {
+      return res.status(404).json({ error: 'Listing not found' });
+    }
+
+    const result = await slotMarketService.cancelListing(membership, listing);
+    if (result.error) {
+      return res.status(400).json(result);
+    }
+
+    res.json({ message: 'Listing withdrawn', listing: result.listing });
+  } catch (error) {
+    console.error('Error withdrawing slot listing:', error);
+    res.status(500).json({ error: 'Failed to withdraw listing' });
+  }
+});
+
+/**
+ * POST /api/slots/listings/:listingId/buy
+ * Buy or lease a slot another airline has listed
+ */
+router.post('/listings/:listingId/buy', blockIfRestricted, async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const activeWorldId = req.session?.activeWorldId;
+    if (!activeWorldId) {
+      return res.status(400).json({ error: 'No active world selected' });
+    }
+
+    const user = await User.findOne({ where: { vatsimId: req.user.vatsimId } });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const membership = await WorldMembership.findOne({
+      where: { userId: user.id, worldId: activeWorldId }
+    });
+
+    if (!membership) {
+      return res.status(404).json({ error: 'Not a member of this world' });
+    }
+
+    const listing = await SlotListing.findOne({
+      where: { id: req.params.listingId, worldId: activeWorldId }
+    });
+
+    if (!listing) {
+      return res.status(404).json({ error: 'Listing not found' });
+    }
+
+    const world = await World.findByPk(activeWorldId);
+    const gameTime = worldTimeService.getCurrentTime(activeWorldId) || new Date(world.currentTime);
+
+    const result = await slotMarketService.buyListing(membership, listing, gameTime);
+    if (result.error) {
+      return res.status(400).json(result);
+    }
+
+    await membership.reload();
+
+    res.json({
+      message: listing.listingType === 'sale' ? 'Slot purchased' : 'Slot leased',
+      slot: result.slot,
+      newBalance: membership.balance
+    });
+  } catch (error) {
+    console.error('Error buying slot:', error);
+    res.status(500).json({ error: 'Failed to buy slot' });
+  }
+});
+
+/**
+ * POST /api/slots/listings/:listingId/bids
+ * Bid on a released or auctioned slot (raises an earlier bid)
+ * Body: { amount }
+ */
+router.post('/listings/:listingId/bids', blockIfRestricted, async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const activeWorldId = req.session?.activeWorldId;
+    if (!activeWorldId) {
+      return res.status(400).json({ error: 'No active world selected' });
+    }
+
+    const user = await User.findOne({ where: { vatsimId: req.user.vatsimId } });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const membership = await WorldMembership.findOne({
+      where: { userId: user.id, worldId: activeWorldId }
+    });
+
+    if (!membership) {
+      return res.status(404).json({ error: 'Not a member of this world' });
+    }
+
+    const listing = await SlotListing.findOne({
+      where: { id: req.params.listingId, worldId: activeWorldId }
+    });
+
+    if (!listing) {
+      return res.status(404).json({ error: 'Listing not found' });
+    }
+
+    const world = await World.findByPk(activeWorldId);
+    const gameTime = worldTimeService.getCurrentTime(activeWorldId) || new Date(world.currentTime);
+
+    const result = await slotMarketService.placeBid(membership, listing, Number(req.body.amount), gameTime);
+    if (result.error) {
+      return res.status(400).json(result);
+    }
+
+    res.json({
+      message: 'Bid placed',
+      bid: result.bid,
+      closesAt: listing.closesAt,
+      nextMinimumBid: result.minimumBid
+    });
+  } catch (error) {
+    console.error('Error placing slot bid:', error);
+    res.status(500).json({ error: 'Failed to place bid' });
+  }
+});
+
+module.exports = router;
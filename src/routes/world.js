@@ -5,8 +5,13 @@ const airportGrowthService = require('../services/airportGrowthService');
 const historicalCountryService = require('../services/historicalCountryService');
 const airportCacheService = require('../services/airportCacheService');
 const airportSlotService = require('../services/airportSlotService');
+const airportStandService = require('../services/airportStandService');
 const routeDemandService = require('../services/routeDemandService');
-const { World, WorldMembership, User, Airport, UserAircraft, Route, ScheduledFlight, RecurringMaintenance, PricingDefault } = require('../models');
+const administrationService = require('../services/administrationService');
+const overdraftService = require('../services/overdraftService');
+const marketShareService = require('../services/marketShareService');
+const reputationService = require('../services/reputationService');
+const { World, WorldMembership, User, Airport, UserAircraft, Route } = require('../models');
 
 /**
  * Get current world information (from session)
@@ -94,6 +99,8 @@ router.get('/info', async (req, res) => {
     const decade = Math.floor(currentYear / 10) * 10;
     const decadeString = `${decade.toString().slice(-2)}'s`;
 
+    const overdraft = membership ? await overdraftService.getOverdraft(membership, currentYear) : null;
+
     // Return world info
     const worldInfo = {
       id: world.id,
@@ -119,6 +126,9 @@ router.get('/info', async (req, res) => {
       freeWeeks: world.freeWeeks || 0,
       weeklyCost: world.weeklyCost !== undefined ? world.weeklyCost : 1,
       lastCreditDeduction: membership?.lastCreditDeduction || null,
+      administrationDeadline: membership?.administrationDeadline || null,
+      overdraft: overdraft,
+      insolventSince: membership?.insolventSince || null,
       // Include base airport info for registration prefix and route planning
       baseAirport: baseAirport ? {
         id: baseAirport.id,
@@ -141,6 +151,63 @@ router.get('/info', async (req, res) => {
   }
 });
 
+/**
+ * Get the airline's reputation with its weekly review history
+ */
+router.get('/reputation', async (req, res) => {
+  try {
+    const activeWorldId = req.session?.activeWorldId;
+    if (!activeWorldId) {
+      return res.status(404).json({ error: 'No active world selected' });
+    }
+
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const user = await User.findOne({ where: { vatsimId: req.user.vatsimId } });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const membership = await WorldMembership.findOne({
+      where: { userId: user.id, worldId: activeWorldId }
+    });
+    if (!membership) {
+      return res.status(404).json({ error: 'Not a member of this world' });
+    }
+
+    const weeks = Math.min(104, Math.max(1, parseInt(req.query.weeks) || 26));
+    const history = await reputationService.getHistory(membership.id, weeks);
+    const latest = history[history.length - 1] || null;
+
+    res.json({
+      reputation: membership.reputation,
+      trend: history.length > 0 ? membership.reputation - history[0].previousReputation : 0,
+      components: latest ? {
+        completion: latest.completionScore,
+        cancellation: latest.cancellationScore,
+        fleet: latest.fleetScore,
+        maintenance: latest.maintenanceScore,
+        pricing: latest.pricingScore,
+        vatsim: latest.vatsimScore
+      } : null,
+      history: history.map(entry => ({
+        gameTime: entry.gameTime,
+        reputation: entry.reputation,
+        target: entry.targetReputation,
+        flightsCompleted: entry.flightsCompleted,
+        flightsMissed: entry.flightsMissed,
+        flightsCancelled: entry.flightsCancelled,
+        vatsimFlights: entry.vatsimFlights
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching reputation:', error);
+    res.status(500).json({ error: 'Failed to fetch reputation' });
+  }
+});
+
 /**
  * Get current game time
  */
@@ -337,6 +404,7 @@ router.get('/airports', async (req, res) => {
 
 /**
  * Get airport by ICAO code
+ * With an active world, includes stand utilisation by hour (query: date, defaults to today in game)
  */
 router.get('/airports/:icaoCode', async (req, res) => {
   try {
@@ -350,7 +418,22 @@ router.get('/airports/:icaoCode', async (req, res) => {
       return res.status(404).json({ error: 'Airport not found' });
     }
 
-    res.json(airport);
+    const worldId = req.session?.activeWorldId;
+    if (!worldId) {
+      return res.json(airport);
+    }
+
+    const gameTime = worldTimeService.getCurrentTime(worldId) || (await World.findByPk(worldId))?.currentTime;
+    if (!gameTime) {
+      return res.json(airport);
+    }
+
+    const today = new Date(gameTime);
+    const date = req.query.date ||
+      `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+    const stands = await airportStandService.getHourlyProfile(airport.id, worldId, date);
+
+    res.json({ ...airport.toJSON(), stands });
   } catch (error) {
     if (process.env.NODE_ENV === 'development') {
       console.error('Error fetching airport:', error);
@@ -390,9 +473,60 @@ router.get('/airports/:id/demand', async (req, res) => {
       parseInt(limit)
     );
 
+    // Who flies each destination from here, and the share of the market they take
+    let ownMembershipId = null;
+    if (req.user) {
+      const user = await User.findOne({ where: { vatsimId: req.user.vatsimId } });
+      if (user) {
+        const membership = await WorldMembership.findOne({
+          where: { userId: user.id, worldId },
+          attributes: ['id']
+        });
+        ownMembershipId = membership?.id || null;
+      }
+    }
+
+    const gameTime = worldTimeService.getCurrentTime(worldId) || world.currentTime;
+    const markets = await marketShareService.getAirportCompetition(worldId, id, gameTime);
+
+    const summariseMarket = (market) => ({
+      totalWeeklyDepartures: market.totalWeeklyDepartures,
+      airlines: market.airlines,
+      carriers: market.carriers.map(carrier => ({
+        airlineName: carrier.airlineName,
+        airlineCode: carrier.airlineCode,
+        routeNumber: carrier.routeNumber,
+        departureTime: carrier.departureTime,
+        weeklyDepartures: carrier.weeklyDepartures,
+        economyPrice: carrier.prices.economy,
+        marketShare: carrier.shares.economy,
+        cargoShare: carrier.shares.cargo,
+        isOwn: carrier.worldMembershipId === ownMembershipId,
+        isNpc: carrier.isNpc
+      })).sort((a, b) => b.marketShare - a.marketShare)
+    });
+
+    for (const destination of destinations) {
+      const market = markets.get(destination.airport?.id);
+      destination.competition = market ? summariseMarket(market) : null;
+      markets.delete(destination.airport?.id);
+    }
+
+    // Contested routes outside the top destinations
+    const otherAirports = markets.size > 0
+      ? await Airport.findAll({
+        where: { id: [...markets.keys()] },
+        attributes: ['id', 'icaoCode', 'iataCode', 'name', 'city', 'country', 'type']
+      })
+      : [];
+    const otherServedDestinations = otherAirports
+      .map(other => ({ airport: other, competition: summariseMarket(markets.get(other.id)) }))
+      .filter(destination => destination.competition.carriers.length > 0);
+
     res.json({
       airport,
       destinations,
+      otherServedDestinations,
       worldYear: currentYear
     });
 
@@ -404,10 +538,12 @@ router.get('/airports/:id/demand', async (req, res) => {
 
 /**
  * Get detailed slot information for an airport
+ * Query: date (YYYY-MM-DD, defaults to today in game) and days (hourly profile length, default 7)
  */
 router.get('/airports/:id/slots', async (req, res) => {
   try {
     const { id } = req.params;
+    const { date, days } = req.query;
     const worldId = req.session?.activeWorldId;
 
     if (!worldId) {
@@ -426,7 +562,8 @@ router.get('/airports/:id/slots', async (req, res) => {
     }
 
     const metrics = airportGrowthService.getAirportMetricsExtended(airport, currentYear);
-    const slots = await airportSlotService.getSlotAvailability(id, worldId);
+    const slots = await airportSlotService.getSlotAvailability(id, worldId, date || null);
+    const hourly = await airportSlotService.getHourlyProfile(id, worldId, { date: date || null, days: days || 7 });
 
     res.json({
       airport: {
@@ -435,10 +572,12 @@ router.get('/airports/:id/slots', async (req, res) => {
         name: airport.name
       },
       slots,
+      hourly,
       metrics: {
         movementsIndex: metrics.movementsIndex,
         infrastructureLevel: metrics.infrastructureLevel,
-        runways: metrics.runways
+        runways: metrics.runways,
+        hourlySlots: metrics.hourlySlots
       }
     });
 
@@ -489,72 +628,11 @@ router.post('/bankruptcy', async (req, res) => {
       return res.status(404).json({ error: 'No airline found in this world' });
     }
 
-    // Calculate liquidation value (50% of aircraft purchase prices)
-    let liquidationValue = 0;
-    const aircraftSold = [];
-
-    if (membership.fleet && membership.fleet.length > 0) {
-      for (const aircraft of membership.fleet) {
-        const saleValue = Math.round(parseFloat(aircraft.purchasePrice || 0) * 0.5);
-        liquidationValue += saleValue;
-        aircraftSold.push({
-          registration: aircraft.registration,
-          purchasePrice: parseFloat(aircraft.purchasePrice || 0),
-          saleValue: saleValue
-        });
-      }
-    }
-
-    // Get aircraft IDs for deleting related records
-    const aircraftIds = membership.fleet ? membership.fleet.map(a => a.id) : [];
-    const routeIds = membership.routes ? membership.routes.map(r => r.id) : [];
-
-    // Delete all related records in order (respect foreign keys)
-
-    // 1. Delete scheduled flights for all routes
-    if (routeIds.length > 0) {
-      await ScheduledFlight.destroy({
-        where: { routeId: routeIds },
-        transaction
-      });
-    }
-
-    // 2. Delete scheduled flights for all aircraft (maintenance blocks)
-    if (aircraftIds.length > 0) {
-      await ScheduledFlight.destroy({
-        where: { aircraftId: aircraftIds },
-        transaction
-      });
-    }
-
-    // 3. Delete recurring maintenance
-    if (aircraftIds.length > 0) {
-      await RecurringMaintenance.destroy({
-        where: { aircraftId: aircraftIds },
-        transaction
-      });
-    }
-
-    // 4. Delete routes
-    await Route.destroy({
-      where: { worldMembershipId: membership.id },
-      transaction
-    });
-
-    // 5. Delete fleet
-    await UserAircraft.destroy({
-      where: { worldMembershipId: membership.id },
-      transaction
-    });
-
-    // 6. Delete pricing defaults
-    await PricingDefault.destroy({
-      where: { worldMembershipId: membership.id },
-      transaction
-    });
+    const world = await World.findByPk(activeWorldId, { transaction });
+    const gameTime = worldTimeService.getCurrentTime(activeWorldId) || new Date(world.currentTime);
 
-    // 7. Delete the membership itself
-    await membership.destroy({ transaction });
+    // Liquidate assets and remove the airline (same cleanup as administration liquidation)
+    const { aircraftSold, routesCancelled, liquidationValue } = await administrationService.liquidateAirline(membership, transaction, gameTime);
 
     // Clear the active world from session
     req.session.activeWorldId = null;
@@ -569,7 +647,7 @@ router.post('/bankruptcy', async (req, res) => {
       summary: {
         airlineName: membership.airlineName,
         aircraftSold: aircraftSold.length,
-        routesCancelled: routeIds.length,
+        routesCancelled,
         liquidationValue: liquidationValue,
         details: aircraftSold
       }
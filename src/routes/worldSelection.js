@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const { World, WorldMembership, User, Airport } = require('../models');
 const eraEconomicService = require('../services/eraEconomicService');
+const worldTimeService = require('../services/worldTimeService');
+const ledgerService = require('../services/ledgerService');
 
 /**
  * Get all available worlds for user to join
@@ -191,6 +193,14 @@ router.post('/join', async (req, res) => {
       lastCreditDeduction: creditDeductionStart // Offset by free weeks so deductions start later
     });
 
+    await ledgerService.record({
+      worldMembershipId: membership.id,
+      category: 'startingCapital',
+      amount: startingBalance,
+      gameTime: worldTimeService.getCurrentTime(worldId) || new Date(world.currentTime),
+      description: 'Starting capital'
+    });
+
     // Deduct credits for joining
     user.credits -= JOIN_COST_CREDITS;
     await user.save();
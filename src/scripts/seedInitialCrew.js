@@ -0,0 +1,49 @@
+require('dotenv').config();
+const sequelize = require('../config/database');
+const { World, WorldMembership, CrewPool } = require('../models');
+const crewService = require('../services/crewService');
+
+/**
+ * Staff airlines that existed before crew were tracked, so their schedules keep flying.
+ * Each crew pool is topped up to what the coming week's schedule needs, free of charge.
+ */
+async function seedInitialCrew() {
+  try {
+    console.log('Connecting...');
+    await sequelize.authenticate();
+
+    const worlds = await World.findAll();
+    for (const world of worlds) {
+      const gameTime = new Date(world.currentTime);
+      const memberships = await WorldMembership.findAll({ where: { worldId: world.id, isActive: true } });
+
+      let hired = 0;
+      for (const membership of memberships) {
+        const { requirements } = await crewService.getStaffing(membership, gameTime);
+        for (const requirement of requirements.filter(r => r.shortfall > 0)) {
+          const [pool] = await CrewPool.findOrCreate({
+            where: {
+              worldMembershipId: membership.id,
+              baseAirportId: requirement.baseAirportId,
+              role: requirement.role,
+              typeRating: requirement.typeRating
+            },
+            defaults: { headcount: 0 }
+          });
+          await pool.increment('headcount', { by: requirement.shortfall });
+          hired += requirement.shortfall;
+        }
+      }
+
+      console.log(`${world.name}: ${hired} crew added across ${memberships.length} airlines`);
+    }
+
+    console.log('Crew seeding complete!');
+    process.exit(0);
+  } catch (error) {
+    console.error('Error:', error);
+    process.exit(1);
+  }
+}
+
+seedInitialCrew();
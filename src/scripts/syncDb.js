@@ -20,6 +20,23 @@ async function syncDatabase() {
     console.log('  - airports');
     console.log('  - routes');
     console.log('  - used_aircraft_for_sale');
+    console.log('  - ledger_entries');
+    console.log('  - loans');
+    console.log('  - npc_airlines');
+    console.log('  - npc_routes');
+    console.log('  - reputation_history');
+    console.log('  - admin_audit_logs');
+    console.log('  - airport_slots');
+    console.log('  - slot_listings');
+    console.log('  - slot_bids');
+    console.log('  - crew_pools');
+    console.log('  - crew_trainings');
+    console.log('  - fuel_prices');
+    console.log('  - fuel_contracts');
+    console.log('  - route_fare_buckets');
+    console.log('  - connecting_traffic');
+    console.log('  - ferry_flights');
+    console.log('  - aircraft_orders');
 
     // Close connection
     await sequelize.close();
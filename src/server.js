@@ -111,6 +111,10 @@ const adminRoutes = require('./routes/admin');
 const aircraftRoutes = require('./routes/aircraft');
 const fleetRoutes = require('./routes/fleet');
 const financesRoutes = require('./routes/finances');
+const loansRoutes = require('./routes/loans');
+const slotsRoutes = require('./routes/slots');
+const crewRoutes = require('./routes/crew');
+const fuelRoutes = require('./routes/fuel');
 const routesRoutes = require('./routes/routes');
 const schedulingRoutes = require('./routes/scheduling');
 const pricingRoutes = require('./routes/pricing');
@@ -119,6 +123,7 @@ const dashboardRoutes = require('./routes/dashboard');
 
 // Import services
 const worldTimeService = require('./services/worldTimeService');
+const vatsimMatchingService = require('./services/vatsimMatchingService');
 
 // Helper function to render pages with base layout
 async function renderPage(pagePath, requestPath) {
@@ -260,6 +265,10 @@ app.use('/api/worlds', worldSelectionRoutes);
 app.use('/api/aircraft', aircraftRoutes);
 app.use('/api/fleet', requireWorld, fleetRoutes);
 app.use('/api/finances', requireWorld, financesRoutes);
+app.use('/api/loans', requireWorld, loansRoutes);
+app.use('/api/slots', requireWorld, slotsRoutes);
+app.use('/api/crew', requireWorld, crewRoutes);
+app.use('/api/fuel', requireWorld, fuelRoutes);
 app.use('/api/routes', requireWorld, routesRoutes);
 app.use('/api/schedule', requireWorld, schedulingRoutes);
 app.use('/api/pricing', requireWorld, pricingRoutes);
@@ -468,11 +477,17 @@ server.listen(PORT, async () => {
   if (!worldStarted && process.env.NODE_ENV === 'development') {
     console.log('\n💡 Tip: Create a world with "npm run world:create"\n');
   }
+
+  // Credit VATSIM pilots flying airline callsigns against scheduled flights
+  if (process.env.VATSIM_MATCHING_ENABLED !== 'false') {
+    vatsimMatchingService.start();
+  }
 });
 
 // Graceful shutdown
 process.on('SIGINT', async () => {
   console.log('\n\nShutting down gracefully...');
+  vatsimMatchingService.stop();
   await worldTimeService.stopAll();
   server.close(() => {
     console.log('Server closed');
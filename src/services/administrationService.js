@@ -0,0 +1,325 @@
+const { Op } = require('sequelize');
+const sequelize = require('../config/database');
+const {
+  WorldMembership,
+  User,
+  UserAircraft,
+  Route,
+  ScheduledFlight,
+  FerryFlight,
+  AircraftOrder,
+  RecurringMaintenance,
+  PricingDefault,
+  Loan,
+  ReputationHistory,
+  CrewPool,
+  CrewTraining,
+  FuelContract,
+  Notification
+} = require('../models');
+const slotMarketService = require('./slotMarketService');
+
+// Credits below this put an airline into administration
+const ADMINISTRATION_CREDIT_THRESHOLD = -4;
+
+// Game days the administrator has to sell assets before liquidation
+const ADMINISTRATION_GRACE_DAYS = 28;
+
+// Administrator asking price as a share of what the airline paid
+const ADMINISTRATION_SALE_RATIO = 0.7;
+
+/**
+ * Administration Service
+ * Airlines whose owners run out of credits are placed in administration:
+ * operations are frozen, owned aircraft are put up for sale, and the airline
+ * is liquidated if credits aren't restored before the deadline
+ */
+class AdministrationService {
+
+  /**
+   * Whether an airline is currently in administration
+   * @param {Object} membership - WorldMembership instance
+   * @returns {boolean}
+   */
+  isInAdministration(membership) {
+    return !!membership?.administrationStartedAt;
+  }
+
+  /**
+   * Whether a user's credit balance warrants administration
+   * @param {Object} user - User instance (credits, unlimitedCredits)
+   * @returns {boolean}
+   */
+  shouldEnterAdministration(user) {
+    return !!user && !user.unlimitedCredits && user.credits < ADMINISTRATION_CREDIT_THRESHOLD;
+  }
+
+  /**
+   * Place an airline into administration
+   * Lists every owned aircraft for sale and notifies the owner
+   *
+   * @param {Object} membership - WorldMembership instance
+   * @param {Date} gameTime - Current game time
+   * @returns {Promise<number>} - Number of aircraft listed for sale
+   */
+  async enterAdministration(membership, gameTime) {
+    if (this.isInAdministration(membership)) return 0;
+
+    const { clearAircraftSchedule } = require('../routes/fleet');
+    const deadline = new Date(gameTime.getTime() + ADMINISTRATION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+    await membership.update({
+      administrationStartedAt: gameTime,
+      administrationDeadline: deadline
+    });
+
+    const ownedAircraft = await UserAircraft.findAll({
+      where: {
+        worldMembershipId: membership.id,
+        acquisitionType: 'purchase',
+        status: { [Op.in]: ['active', 'maintenance', 'storage'] }
+      }
+    });
+
+    for (const aircraft of ownedAircraft) {
+      await clearAircraftSchedule(aircraft.id);
+      await aircraft.update({
+        status: 'listed_sale',
+        listingPrice: Math.round(parseFloat(aircraft.purchasePrice || 0) * ADMINISTRATION_SALE_RATIO),
+        listedAt: gameTime
+      });
+    }
+
+    await Notification.create({
+      worldMembershipId: membership.id,
+      type: 'administration_entered',
+      icon: 'alert',
+      title: 'Airline in Administration',
+      message: `Your credits have fallen below ${ADMINISTRATION_CREDIT_THRESHOLD}. Administrators have frozen purchases, routes and schedules and listed ${ownedAircraft.length} aircraft for sale. Restore your credits before ${deadline.toISOString().split('T')[0]} or the airline will be liquidated.`,
+      link: '/fleet',
+      priority: 1,
+      gameTime
+    });
+
+    return ownedAircraft.length;
+  }
+
+  /**
+   * Bring an airline out of administration once credits are restored
+   * Aircraft the administrators listed and haven't sold are returned to service
+   *
+   * @param {Object} membership - WorldMembership instance
+   * @param {Date} gameTime - Current game time
+   */
+  async exitAdministration(membership, gameTime) {
+    if (!this.isInAdministration(membership)) return;
+
+    // Owners can't list aircraft while frozen, so these were all listed by the administrators.
+    // Aircraft listed from storage go back into storage
+    for (const stored of [false, true]) {
+      await UserAircraft.update({
+        status: stored ? 'storage' : 'active',
+        listingPrice: null,
+        listedAt: null
+      }, {
+        where: {
+          worldMembershipId: membership.id,
+          status: 'listed_sale',
+          listedAt: { [Op.gte]: membership.administrationStartedAt },
+          storedAt: stored ? { [Op.ne]: null } : null
+        }
+      });
+    }
+
+    await membership.update({
+      administrationStartedAt: null,
+      administrationDeadline: null
+    });
+
+    await Notification.create({
+      worldMembershipId: membership.id,
+      type: 'administration_exited',
+      icon: 'dollar',
+      title: 'Administration Ended',
+      message: 'Your credits have been restored and the airline has left administration. Unsold aircraft have been returned to your fleet.',
+      link: '/fleet',
+      priority: 2,
+      gameTime
+    });
+  }
+
+  /**
+   * Liquidate an airline: remove its schedule and ferries, routes, fleet, aircraft orders and pricing, then the membership itself
+   * Same order as a voluntary bankruptcy so foreign keys are respected. Its airport slots
+   * are released for other airlines to bid on.
+   *
+   * @param {Object} membership - WorldMembership with fleet and routes included
+   * @param {Object} transaction - Sequelize transaction
+   * @param {Date} gameTime - Current game time
+   * @returns {Promise<Object>} - { aircraftSold, routesCancelled, liquidationValue }
+   */
+  async liquidateAirline(membership, transaction, gameTime) {
+    // Calculate liquidation value (50% of aircraft purchase prices)
+    let liquidationValue = 0;
+    const aircraftSold = [];
+
+    if (membership.fleet && membership.fleet.length > 0) {
+      for (const aircraft of membership.fleet) {
+        const saleValue = Math.round(parseFloat(aircraft.purchasePrice || 0) * 0.5);
+        liquidationValue += saleValue;
+        aircraftSold.push({
+          registration: aircraft.registration,
+          purchasePrice: parseFloat(aircraft.purchasePrice || 0),
+          saleValue: saleValue
+        });
+      }
+    }
+
+    // Get aircraft IDs for deleting related records
+    const aircraftIds = membership.fleet ? membership.fleet.map(a => a.id) : [];
+    const routeIds = membership.routes ? membership.routes.map(r => r.id) : [];
+
+    // Delete all related records in order (respect foreign keys)
+
+    // 1. Delete scheduled flights for all routes
+    if (routeIds.length > 0) {
+      await ScheduledFlight.destroy({
+        where: { routeId: routeIds },
+        transaction
+      });
+    }
+
+    // 2. Delete scheduled flights for all aircraft (maintenance blocks)
+    if (aircraftIds.length > 0) {
+      await ScheduledFlight.destroy({
+        where: { aircraftId: aircraftIds },
+        transaction
+      });
+    }
+
+    // 3. Delete ferry flights, scheduled or flown
+    await FerryFlight.destroy({
+      where: { worldMembershipId: membership.id },
+      transaction
+    });
+
+    // 4. Delete recurring maintenance
+    if (aircraftIds.length > 0) {
+      await RecurringMaintenance.destroy({
+        where: { aircraftId: aircraftIds },
+        transaction
+      });
+    }
+
+    // 5. Delete routes
+    await Route.destroy({
+      where: { worldMembershipId: membership.id },
+      transaction
+    });
+
+    // 6. Delete fleet
+    await UserAircraft.destroy({
+      where: { worldMembershipId: membership.id },
+      transaction
+    });
+
+    // 7. Delete pricing defaults
+    await PricingDefault.destroy({
+      where: { worldMembershipId: membership.id },
+      transaction
+    });
+
+    // 8. Delete loans
+    await Loan.destroy({
+      where: { worldMembershipId: membership.id },
+      transaction
+    });
+
+    // 9. Delete reputation history
+    await ReputationHistory.destroy({
+      where: { worldMembershipId: membership.id },
+      transaction
+    });
+
+    // 10. Release airport slots and withdraw from the slot market
+    await slotMarketService.releaseAirlineSlots(membership.id, gameTime, { transaction });
+
+    // 11. Let the crew go, including any still in training
+    await CrewPool.destroy({
+      where: { worldMembershipId: membership.id },
+      transaction
+    });
+    await CrewTraining.destroy({
+      where: { worldMembershipId: membership.id },
+      transaction
+    });
+
+    // 12. Tear up fuel hedges and supply contracts
+    await FuelContract.destroy({
+      where: { worldMembershipId: membership.id },
+      transaction
+    });
+
+    // 13. Cancel aircraft orders and options (deposits are forfeit), freeing their
+    // delivery slots on the production lines
+    await AircraftOrder.destroy({
+      where: { worldMembershipId: membership.id },
+      transaction
+    });
+
+    // 14. Delete the membership itself
+    await membership.destroy({ transaction });
+
+    return {
+      aircraftSold,
+      routesCancelled: routeIds.length,
+      liquidationValue
+    };
+  }
+
+  /**
+   * Check airlines in administration for a world: release those whose credits
+   * were restored, liquidate those past their deadline
+   *
+   * @param {string} worldId - World UUID
+   * @param {Date} gameTime - Current game time
+   */
+  async processAdministration(worldId, gameTime) {
+    const memberships = await WorldMembership.findAll({
+      where: {
+        worldId,
+        administrationStartedAt: { [Op.ne]: null }
+      },
+      include: [{
+        model: User,
+        as: 'user',
+        attributes: ['id', 'credits', 'unlimitedCredits']
+      }]
+    });
+
+    for (const membership of memberships) {
+      if (!this.shouldEnterAdministration(membership.user)) {
+        await this.exitAdministration(membership, gameTime);
+        continue;
+      }
+
+      if (gameTime < new Date(membership.administrationDeadline)) continue;
+
+      const airline = await WorldMembership.findByPk(membership.id, {
+        include: [
+          { model: UserAircraft, as: 'fleet' },
+          { model: Route, as: 'routes' }
+        ]
+      });
+
+      const summary = await sequelize.transaction(transaction => this.liquidateAirline(airline, transaction, gameTime));
+
+      console.log(`[ADMINISTRATION] ${airline.airlineName} liquidated in world ${worldId}. Aircraft: ${summary.aircraftSold.length}, routes: ${summary.routesCancelled}, liquidation value: $${summary.liquidationValue}`);
+    }
+  }
+}
+
+// Singleton instance
+const administrationService = new AdministrationService();
+
+module.exports = administrationService;
@@ -0,0 +1,563 @@
+const { Op } = require('sequelize');
+const sequelize = require('../config/database');
+const { WorldMembership, UserAircraft, Aircraft, Airport, AircraftOrder, Notification } = require('../models');
+const ledgerService = require('./ledgerService');
+const loanService = require('./loanService');
+
+// Airframes each type's production line turns out per month for the airlines in a world
+const PRODUCTION_RATE_PER_MONTH = {
+  Narrowbody: 4,
+  Regional: 3,
+  Widebody: 2,
+  Cargo: 1
+};
+
+// Shortest time from signing to delivery, even with nothing else on order
+const MIN_LEAD_MONTHS = 6;
+
+// How many years before entry into service a type can be ordered
+const ORDER_HORIZON_YEARS = 3;
+
+// Launch customer discount per year an order is signed before entry into service
+const LAUNCH_DISCOUNT_PER_YEAR = 0.05;
+const MAX_LAUNCH_DISCOUNT = 0.15;
+
+// Pre-delivery payments as shares of the price, due this many months before delivery
+// (null = on signing). Payments already due when the order is signed are taken with it;
+// the rest of the price is paid on delivery
+const PRE_DELIVERY_PAYMENTS = [
+  { share: 0.10, monthsBeforeDelivery: null },
+  { share: 0.10, monthsBeforeDelivery: 12 },
+  { share: 0.10, monthsBeforeDelivery: 6 }
+];
+
+// Non-refundable fee to hold a delivery slot on option, counted towards the price if converted
+const OPTION_FEE_RATE = 0.01;
+
+// Options must be converted this long before their delivery slot, but stay open at least OPTION_MIN_DAYS
+const OPTION_EXERCISE_MONTHS = 9;
+const OPTION_MIN_DAYS = 30;
+
+// Orders still holding a delivery slot
+const OPEN_STATUSES = ['option', 'firm'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MONTH_MS = 30 * DAY_MS;
+const YEAR_MS = 365 * DAY_MS;
+
+/**
+ * Display name of an aircraft type
+ */
+function getTypeName(aircraft) {
+  if (!aircraft) return 'aircraft';
+  const variant = aircraft.variant ? (aircraft.variant.startsWith('-') ? aircraft.variant : `-${aircraft.variant}`) : '';
+  return `${aircraft.manufacturer} ${aircraft.model}${variant}`;
+}
+
+/**
+ * Aircraft Order Service
+ * Runs the manufacturers' order books: new aircraft are ordered (or optioned) into a
+ * per-type production queue in each world, paid for in stages before delivery and
+ * delivered into the fleet when their slot comes up
+ */
+class AircraftOrderService {
+
+  /**
+   * Airframes a type's production line delivers per month
+   *
+   * @param {Object} aircraft - Aircraft type
+   * @returns {number}
+   */
+  getProductionRate(aircraft) {
+    return PRODUCTION_RATE_PER_MONTH[aircraft.type] || 2;
+  }
+
+  /**
+   * Latest entry into service year of a type that can be ordered today
+   *
+   * @param {Date} gameTime
+   * @returns {number}
+   */
+  getOrderHorizonYear(gameTime) {
+    return gameTime.getFullYear() + ORDER_HORIZON_YEARS;
+  }
+
+  /**
+   * Open orders and options on each type's production line in a world
+   *
+   * @param {string} worldId
+   * @param {Array<string>} aircraftIds - Aircraft type UUIDs
+   * @returns {Promise<Map>} - aircraftId -> { count, lastDelivery }
+   */
+  async getBacklog(worldId, aircraftIds) {
+    const orders = await AircraftOrder.findAll({
+      where: { worldId, aircraftId: { [Op.in]: aircraftIds }, status: { [Op.in]: OPEN_STATUSES } },
+      attributes: ['aircraftId', 'deliveryDate']
+    });
+
+    const backlog = new Map();
+    for (const order of orders) {
+      const entry = backlog.get(order.aircraftId) || { count: 0, lastDelivery: null };
+      const delivery = new Date(order.deliveryDate);
+      entry.count += 1;
+      if (!entry.lastDelivery || delivery > entry.lastDelivery) entry.lastDelivery = delivery;
+      backlog.set(order.aircraftId, entry);
+    }
+    return backlog;
+  }
+
+  /**
+   * Pre-delivery payments and the balance on delivery for an order
+   *
+   * @param {number} price - Agreed price
+   * @param {Date} deliveryDate
+   * @returns {Array<Object>} - { label, share, amount, dueAt } in order, dueAt null for on signing
+   */
+  getPaymentSchedule(price, deliveryDate) {
+    const delivery = new Date(deliveryDate);
+    const schedule = PRE_DELIVERY_PAYMENTS.map(({ share, monthsBeforeDelivery }) => ({
+      label: monthsBeforeDelivery === null ? 'On signing' : `${monthsBeforeDelivery} months before delivery`,
+      share,
+      amount: Math.round(price * share * 100) / 100,
+      dueAt: monthsBeforeDelivery === null ? null : new Date(delivery.getTime() - monthsBeforeDelivery * MONTH_MS)
+    }));
+
+    const preDeliveryShare = PRE_DELIVERY_PAYMENTS.reduce((sum, p) => sum + p.share, 0);
+    schedule.push({
+      label: 'On delivery',
+      share: Math.round((1 - preDeliveryShare) * 10000) / 10000,
+      amount: Math.round((price - schedule.reduce((sum, p) => sum + p.amount, 0)) * 100) / 100,
+      dueAt: delivery
+    });
+    return schedule;
+  }
+
+  /**
+   * Pre-delivery payments due on a firm order by a time that haven't been paid yet
+   * The option fee of a converted option counts towards them
+   *
+   * @param {Object} order - AircraftOrder (or { price, deliveryDate, depositsPaid })
+   * @param {Date} gameTime
+   * @returns {number}
+   */
+  getAmountDue(order, gameTime) {
+    const price = parseFloat(order.price);
+    const delivery = new Date(order.deliveryDate).getTime();
+    const due = PRE_DELIVERY_PAYMENTS
+      .filter(p => p.monthsBeforeDelivery === null || delivery - p.monthsBeforeDelivery * MONTH_MS <= gameTime.getTime())
+      .reduce((sum, p) => sum + Math.round(price * p.share * 100) / 100, 0);
+    return Math.max(0, Math.round((due - (parseFloat(order.depositsPaid) || 0)) * 100) / 100);
+  }
+
+  /**
+   * Terms the manufacturer offers for a type given what's already on its production line
+   *
+   * @param {Object} aircraft - Aircraft type
+   * @param {Object} [backlog] - { count, lastDelivery } from getBacklog
+   * @param {Date} gameTime
+   * @returns {Object} - { listPrice, launchDiscount, price, deliveryDate, backlog, productionRate,
+   *   dueAtSigning, optionFee, optionExpiresAt, paymentSchedule } or { error }
+   */
+  quoteFromBacklog(aircraft, backlog, gameTime) {
+    const year = gameTime.getFullYear();
+    if (aircraft.availableUntil && aircraft.availableUntil < year) {
+      return { error: 'This type is no longer in production' };
+    }
+    if (aircraft.availableFrom && aircraft.availableFrom > this.getOrderHorizonYear(gameTime)) {
+      return { error: `Orders for this type open in ${aircraft.availableFrom - ORDER_HORIZON_YEARS}` };
+    }
+
+    const listPrice = parseFloat(aircraft.purchasePrice);
+    if (!(listPrice > 0)) {
+      return { error: 'This aircraft has no purchase price' };
+    }
+
+    // Types not yet in service deliver from entry into service, at a discount for launch customers
+    const entryIntoService = aircraft.availableFrom && aircraft.availableFrom > year
+      ? new Date(Date.UTC(aircraft.availableFrom, 0, 1))
+      : null;
+    const launchDiscount = entryIntoService
+      ? Math.round(Math.min(MAX_LAUNCH_DISCOUNT, LAUNCH_DISCOUNT_PER_YEAR * (entryIntoService - gameTime) / YEAR_MS) * 100) / 100
+      : 0;
+
+    // The next free slot after the backlog, at the line's production rate
+    const productionRate = this.getProductionRate(aircraft);
+    let slot = Math.max(gameTime.getTime() + MIN_LEAD_MONTHS * MONTH_MS, entryIntoService ? entryIntoService.getTime() : 0);
+    if (backlog?.lastDelivery) {
+      slot = Math.max(slot, backlog.lastDelivery.getTime() + MONTH_MS / productionRate);
+    }
+    const deliveryDate = new Date(Math.ceil(slot / DAY_MS) * DAY_MS);
+
+    const price = Math.round(listPrice * (1 - launchDiscount));
+    const dueAtSigning = this.getAmountDue({ price, deliveryDate, depositsPaid: 0 }, gameTime);
+
+    return {
+      listPrice,
+      launchDiscount,
+      price,
+      deliveryDate,
+      backlog: backlog?.count || 0,
+      productionRate,
+      dueAtSigning,
+      optionFee: Math.round(price * OPTION_FEE_RATE * 100) / 100,
+      optionExpiresAt: new Date(Math.max(
+        gameTime.getTime() + OPTION_MIN_DAYS * DAY_MS,
+        deliveryDate.getTime() - OPTION_EXERCISE_MONTHS * MONTH_MS
+      )),
+      paymentSchedule: this.getPaymentSchedule(price, deliveryDate)
+    };
+  }
+
+  /**
+   * Terms for ordering one type today
+   *
+   * @param {string} worldId
+   * @param {Object} aircraft - Aircraft type
+   * @param {Date} gameTime
+   * @returns {Promise<Object>} - See quoteFromBacklog
+   */
+  async getQuote(worldId, aircraft, gameTime) {
+    const backlog = await this.getBacklog(worldId, [aircraft.id]);
+    return this.quoteFromBacklog(aircraft, backlog.get(aircraft.id), gameTime);
+  }
+
+  /**
+   * Terms for ordering each of several types today
+   *
+   * @param {string} worldId
+   * @param {Array<Object>} aircraftList - Aircraft types
+   * @param {Date} gameTime
+   * @returns {Promise<Map>} - aircraftId -> quote
+   */
+  async getQuotes(worldId, aircraftList, gameTime) {
+    const backlog = await this.getBacklog(worldId, aircraftList.map(a => a.id));
+    return new Map(aircraftList.map(a => [a.id, this.quoteFromBacklog(a, backlog.get(a.id), gameTime)]));
+  }
+
+  /**
+   * Whether a registration is on an aircraft or reserved for one on order
+   *
+   * @param {string} registration
+   * @returns {Promise<boolean>}
+   */
+  async isRegistrationTaken(registration) {
+    const [aircraft, order] = await Promise.all([
+      UserAircraft.findOne({ where: { registration }, attributes: ['id'] }),
+      AircraftOrder.findOne({ where: { registration, status: { [Op.in]: OPEN_STATUSES } }, attributes: ['id'] })
+    ]);
+    return !!(aircraft || order);
+  }
+
+  /**
+   * Sign a firm order or take an option on the next delivery slot
+   * A firm order pays the pre-delivery payments already due; an option pays the option fee
+   *
+   * @param {Object} membership - WorldMembership
+   * @param {Object} aircraft - Aircraft type
+   * @param {Object} quote - From getQuote
+   * @param {Object} terms - { orderType: 'firm'|'option', registration, financeTermWeeks, autoSchedule }
+   * @param {Date} gameTime
+   * @returns {Promise<Object>} - { order, paid }
+   */
+  async placeOrder(membership, aircraft, quote, { orderType, registration, financeTermWeeks, autoSchedule }, gameTime) {
+    const isOption = orderType === 'option';
+
+    // The order and its first payment stand or fall together
+    return sequelize.transaction(async (transaction) => {
+      const order = await AircraftOrder.create({
+        worldId: membership.worldId,
+        worldMembershipId: membership.id,
+        aircraftId: aircraft.id,
+        status: isOption ? 'option' : 'firm',
+        registration: registration || null,
+        price: quote.price,
+        launchDiscount: quote.launchDiscount,
+        orderedAt: gameTime,
+        deliveryDate: quote.deliveryDate,
+        optionExpiresAt: isOption ? quote.optionExpiresAt : null,
+        financeTermWeeks: financeTermWeeks || null,
+        autoSchedule: autoSchedule || []
+      }, { transaction });
+
+      if (isOption) {
+        await ledgerService.post({
+          worldMembershipId: membership.id,
+          category: 'aircraftPurchase',
+          amount: -quote.optionFee,
+          gameTime,
+          description: `Option fee: ${getTypeName(aircraft)} for delivery ${quote.deliveryDate.toISOString().split('T')[0]}`,
+          referenceType: 'aircraft_order',
+          referenceId: order.id
+        }, { transaction });
+        await order.update({ depositsPaid: quote.optionFee }, { transaction });
+        return { order, paid: quote.optionFee };
+      }
+
+      const paid = await this.takeDuePayments(order, aircraft, gameTime, { transaction });
+      return { order, paid };
+    });
+  }
+
+  /**
+   * Take the pre-delivery payments a firm order has fallen due for
+   *
+   * @param {Object} order - Firm AircraftOrder
+   * @param {Object} aircraft - Aircraft type
+   * @param {Date} gameTime
+   * @param {Object} [options] - { transaction } to join an outer transaction
+   * @returns {Promise<number>} - Amount paid
+   */
+  async takeDuePayments(order, aircraft, gameTime, options = {}) {
+    const due = this.getAmountDue(order, gameTime);
+    if (due <= 0) return 0;
+
+    const apply = async (transaction) => {
+      await ledgerService.post({
+        worldMembershipId: order.worldMembershipId,
+        category: 'aircraftPurchase',
+        amount: -due,
+        gameTime,
+        description: `Pre-delivery payment: ${order.registration || getTypeName(aircraft)}`,
+        referenceType: 'aircraft_order',
+        referenceId: order.id
+      }, { transaction });
+      await order.update({ depositsPaid: Math.round(((parseFloat(order.depositsPaid) || 0) + due) * 100) / 100 }, { transaction });
+      return due;
+    };
+
+    if (options.transaction) {
+      return apply(options.transaction);
+    }
+    return sequelize.transaction(apply);
+  }
+
+  /**
+   * Turn an option into a firm order, taking any pre-delivery payments now due
+   *
+   * @param {Object} order - AircraftOrder with aircraft type loaded
+   * @param {Object} membership - Owning WorldMembership
+   * @param {string} registration - Validated, unused registration for the airframe
+   * @param {Date} gameTime
+   * @returns {Promise<Object>} - { order, paid } or { error }
+   */
+  async convertOption(order, membership, registration, gameTime) {
+    if (order.status !== 'option') {
+      return { error: 'This order is not an option' };
+    }
+    if (new Date(order.optionExpiresAt) < gameTime) {
+      return { error: 'This option has lapsed' };
+    }
+
+    const due = this.getAmountDue(order, gameTime);
+    if (parseFloat(membership.balance) < due) {
+      return { error: 'Insufficient funds for the pre-delivery payments now due', required: due, available: parseFloat(membership.balance) };
+    }
+
+    await order.update({ status: 'firm', registration, optionExpiresAt: null });
+    const paid = await this.takeDuePayments(order, order.aircraft, gameTime);
+    return { order, paid };
+  }
+
+  /**
+   * Deliver a firm order: the balance is paid (or mortgaged) and the new aircraft joins
+   * the fleet at the airline's base with every check fresh. The airframe, payment, loan
+   * and order status are written together, so a failed delivery is retried whole
+   *
+   * @param {Object} order - Firm AircraftOrder with aircraft type and membership loaded
+   * @param {Date} gameTime
+   * @returns {Promise<Object>} - Delivered UserAircraft
+   */
+  async deliver(order, gameTime) {
+    const { aircraft, membership } = order;
+    const baseAirport = membership.baseAirportId
+      ? await Airport.findByPk(membership.baseAirportId, { attributes: ['icaoCode'] })
+      : null;
+    const autoCheckTypes = Array.isArray(order.autoSchedule) ? order.autoSchedule : [];
+    const price = parseFloat(order.price);
+
+    // Balance due on delivery, borrowed against the aircraft when the order was financed
+    const balanceDue = Math.round((price - (parseFloat(order.depositsPaid) || 0)) * 100) / 100;
+    let mortgageQuote = null;
+    if (order.financeTermWeeks && balanceDue > 0) {
+      mortgageQuote = await loanService.quoteLoan(membership, {
+        loanType: 'mortgage',
+        amount: balanceDue,
+        termWeeks: order.financeTermWeeks,
+        securityValue: price
+      }, gameTime);
+    }
+
+    const userAircraft = await sequelize.transaction(async (transaction) => {
+      const delivered = await UserAircraft.create({
+        worldMembershipId: membership.id,
+        aircraftId: aircraft.id,
+        acquisitionType: 'purchase',
+        condition: 'New',
+        conditionPercentage: 100,
+        ageYears: 0,
+        totalFlightHours: 0,
+        totalCycles: 0,
+        purchasePrice: price,
+        maintenanceCostPerHour: aircraft.maintenanceCostPerHour,
+        fuelBurnPerHour: aircraft.fuelBurnPerHour,
+        registration: order.registration,
+        currentAirport: baseAirport?.icaoCode || null,
+        status: 'active',
+        acquiredAt: gameTime,
+        agedAt: gameTime,
+        // All heavy checks just done, with slightly varied intervals
+        lastCCheckDate: gameTime,
+        lastDCheckDate: gameTime,
+        cCheckIntervalDays: 600 + Math.floor(Math.random() * 120), // 600-720 days
+        dCheckIntervalDays: 2190 + Math.floor(Math.random() * 1460), // 2190-3650 days
+        // Daily check lapsed on the ferry from the factory - needed before the first flight
+        lastDailyCheckDate: new Date(gameTime.getTime() - (3 + Math.floor(Math.random() * 3)) * DAY_MS),
+        lastWeeklyCheckDate: new Date(gameTime.getTime() - (2 + Math.floor(Math.random() * 4)) * DAY_MS),
+        lastACheckDate: new Date(gameTime.getTime() - (1 + Math.floor(Math.random() * 7)) * DAY_MS),
+        lastACheckHours: 0,
+        aCheckIntervalHours: 800 + Math.floor(Math.random() * 200), // 800-1000 hrs
+        autoScheduleDaily: autoCheckTypes.includes('daily'),
+        autoScheduleWeekly: autoCheckTypes.includes('weekly'),
+        autoScheduleA: autoCheckTypes.includes('A'),
+        autoScheduleC: autoCheckTypes.includes('C'),
+        autoScheduleD: autoCheckTypes.includes('D')
+      }, { transaction });
+
+      await ledgerService.post({
+        worldMembershipId: membership.id,
+        category: 'aircraftPurchase',
+        amount: -balanceDue,
+        gameTime,
+        description: `Delivery of ${order.registration}`,
+        referenceType: 'user_aircraft',
+        referenceId: delivered.id
+      }, { transaction });
+      if (mortgageQuote?.approved) {
+        await loanService.createLoan(membership, mortgageQuote, gameTime, delivered, { transaction });
+      }
+
+      await order.update({ status: 'delivered', userAircraftId: delivered.id }, { transaction });
+      return delivered;
+    });
+
+    if (autoCheckTypes.length > 0) {
+      const { createAutoScheduledMaintenance } = require('../routes/fleet');
+      await createAutoScheduledMaintenance(userAircraft.id, autoCheckTypes, order.worldId, gameTime);
+    }
+
+    const financingNote = !mortgageQuote ? ''
+      : mortgageQuote.approved ? ` The balance of $${Math.round(balanceDue).toLocaleString('en-US')} was mortgaged.`
+      : ` Financing was declined (${mortgageQuote.error}), so the balance of $${Math.round(balanceDue).toLocaleString('en-US')} was paid in cash.`;
+    await Notification.create({
+      worldMembershipId: membership.id,
+      type: 'aircraft_delivered',
+      icon: 'plane',
+      title: 'Aircraft Delivered',
+      message: `${order.registration}, a new ${getTypeName(aircraft)}, has been delivered${baseAirport ? ` to ${baseAirport.icaoCode}` : ''}.${financingNote}`,
+      link: '/fleet',
+      priority: 2,
+      gameTime
+    });
+
+    return userAircraft;
+  }
+
+  /**
+   * An airline's open orders and options with their payment schedules
+   *
+   * @param {string} worldMembershipId
+   * @param {Date} gameTime
+   * @returns {Promise<Array<Object>>}
+   */
+  async getOrders(worldMembershipId, gameTime) {
+    const orders = await AircraftOrder.findAll({
+      where: { worldMembershipId, status: { [Op.in]: OPEN_STATUSES } },
+      include: [{ model: Aircraft, as: 'aircraft' }],
+      order: [['deliveryDate', 'ASC']]
+    });
+
+    return orders.map(order => {
+      const price = parseFloat(order.price);
+      const depositsPaid = parseFloat(order.depositsPaid) || 0;
+      const schedule = this.getPaymentSchedule(price, order.deliveryDate);
+      const next = order.status === 'firm'
+        ? schedule.find(p => p.dueAt && p.dueAt > gameTime)
+        : null;
+      // The balance on delivery is whatever the earlier payments haven't covered
+      const nextAmount = next === schedule[schedule.length - 1]
+        ? Math.round((price - depositsPaid) * 100) / 100
+        : next?.amount;
+      return {
+        ...order.toJSON(),
+        typeName: getTypeName(order.aircraft),
+        paymentSchedule: schedule,
+        nextPayment: next ? { label: next.label, dueAt: next.dueAt, amount: nextAmount } : null,
+        dueOnConversion: order.status === 'option' ? this.getAmountDue(order, gameTime) : null
+      };
+    });
+  }
+
+  /**
+   * Daily order book run: lapse options past their deadline, take pre-delivery payments
+   * as they fall due and deliver aircraft whose slot has come up
+   *
+   * @param {string} worldId
+   * @param {Date} gameTime
+   */
+  async processOrders(worldId, gameTime) {
+    const memberships = await WorldMembership.findAll({
+      where: { worldId, isActive: true },
+      attributes: ['id']
+    });
+    if (memberships.length === 0) return;
+
+    const orders = await AircraftOrder.findAll({
+      where: {
+        worldMembershipId: { [Op.in]: memberships.map(m => m.id) },
+        status: { [Op.in]: OPEN_STATUSES }
+      },
+      include: [
+        { model: Aircraft, as: 'aircraft' },
+        { model: WorldMembership, as: 'membership' }
+      ],
+      order: [['deliveryDate', 'ASC']]
+    });
+
+    // An order that fails is logged and tried again on the next run; the rest still go through
+    for (const order of orders) {
+      try {
+        if (order.status === 'option') {
+          if (new Date(order.optionExpiresAt) < gameTime) {
+            await order.update({ status: 'lapsed' });
+            await Notification.create({
+              worldMembershipId: order.worldMembershipId,
+              type: 'aircraft_option_lapsed',
+              icon: 'plane',
+              title: 'Aircraft Option Lapsed',
+              message: `Your option on a ${getTypeName(order.aircraft)} for delivery ${new Date(order.deliveryDate).toISOString().split('T')[0]} lapsed without being converted. The option fee is forfeit.`,
+              link: '/fleet',
+              priority: 3,
+              gameTime
+            });
+          }
+          continue;
+        }
+
+        await this.takeDuePayments(order, order.aircraft, gameTime);
+        if (new Date(order.deliveryDate) <= gameTime) {
+          await this.deliver(order, gameTime);
+          if (process.env.NODE_ENV === 'development') {
+            console.log(`✈ ${order.registration} delivered from the ${getTypeName(order.aircraft)} production line`);
+          }
+        }
+      } catch (error) {
+        console.error(`Error processing aircraft order ${order.id}:`, error.message);
+      }
+    }
+  }
+}
+
+// Singleton instance
+const aircraftOrderService = new AircraftOrderService();
+
+module.exports = aircraftOrderService;
@@ -0,0 +1,381 @@
+const { Op } = require('sequelize');
+const { ScheduledFlight, FerryFlight, RecurringMaintenance, Route, Airport } = require('../models');
+const { calculateDistanceNm, calculateFlightDurationMs } = require('../utils/flightCalculations');
+
+// Flights and ferries that will still move the aircraft
+const PENDING_STATUSES = ['scheduled', 'in_progress'];
+
+// Share of winter hours an airport is shut by snow, fog or storms, by latitude band;
+// outside its winter an airport only loses WEATHER_CLOSURE_BASE of its hours
+const WEATHER_CLOSURE_BANDS = [
+  { minLatitude: 55, share: 0.03 },
+  { minLatitude: 45, share: 0.015 },
+  { minLatitude: 35, share: 0.005 }
+];
+const WEATHER_CLOSURE_BASE = 0.001;
+
+// Months (0-based) of winter in each hemisphere
+const NORTHERN_WINTER = [11, 0, 1];
+const SOUTHERN_WINTER = [5, 6, 7];
+
+// How long a return ferry may wait at the alternate for the origin's weather to clear
+const MAX_FERRY_WAIT_HOURS = 24;
+
+// Furthest an alternate can be from the airport the aircraft couldn't land at
+const MAX_DIVERSION_NM = 250;
+
+// Airports big enough to take a diverting airliner
+const ALTERNATE_TYPES = ['International Hub', 'Major', 'Regional'];
+
+/**
+ * Round a time up to the next 5 minutes and split it into stored date and time (server local)
+ */
+function splitDateTime(time) {
+  const rounded = new Date(Math.ceil(time.getTime() / 300000) * 300000);
+  const pad = (n) => String(n).padStart(2, '0');
+  return {
+    date: `${rounded.getFullYear()}-${pad(rounded.getMonth() + 1)}-${pad(rounded.getDate())}`,
+    time: `${pad(rounded.getHours())}:${pad(rounded.getMinutes())}:00`
+  };
+}
+
+/**
+ * Deterministic number in [0, 1) from a string (FNV-1a)
+ */
+function hashUnit(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0) / 0x100000000;
+}
+
+/**
+ * Aircraft Position Service
+ * Works out where an airframe will be at any time from where it is now and the
+ * rotations and ferry flights ahead of it, so the schedule only ever asks an
+ * aircraft to depart from the airport it is actually standing at
+ */
+class AircraftPositionService {
+
+  /**
+   * Departure and arrival of a flight or ferry from its stored dates and times
+   *
+   * @param {Object} movement - { scheduledDate, departureTime, arrivalDate, arrivalTime }
+   * @returns {{ departs: Date, arrives: Date }}
+   */
+  getTimes(movement) {
+    return {
+      departs: new Date(`${movement.scheduledDate}T${movement.departureTime}`),
+      arrives: new Date(`${movement.arrivalDate || movement.scheduledDate}T${movement.arrivalTime}`)
+    };
+  }
+
+  /**
+   * Every rotation and ferry flight still ahead of an aircraft, in departure order
+   * A rotation flies out and back, so it ends where it started; a ferry moves the aircraft
+   *
+   * @param {string} aircraftId - UserAircraft UUID
+   * @param {Object} [exclude] - { flightId, ferryId } to leave out (the one being changed)
+   * @returns {Promise<Array<Object>>} - { type, id, label, from, to, departs, arrives } with ICAO codes
+   */
+  async getMovements(aircraftId, { flightId = null, ferryId = null } = {}) {
+    const [flights, ferries] = await Promise.all([
+      ScheduledFlight.findAll({
+        where: {
+          aircraftId,
+          status: { [Op.in]: PENDING_STATUSES },
+          ...(flightId ? { id: { [Op.ne]: flightId } } : {})
+        },
+        include: [{
+          model: Route,
+          as: 'route',
+          attributes: ['id', 'routeNumber', 'returnRouteNumber'],
+          include: [{ model: Airport, as: 'departureAirport', attributes: ['icaoCode'] }]
+        }]
+      }),
+      FerryFlight.findAll({
+        where: {
+          aircraftId,
+          status: { [Op.in]: PENDING_STATUSES },
+          ...(ferryId ? { id: { [Op.ne]: ferryId } } : {})
+        },
+        include: [
+          { model: Airport, as: 'departureAirport', attributes: ['icaoCode'] },
+          { model: Airport, as: 'arrivalAirport', attributes: ['icaoCode'] }
+        ]
+      })
+    ]);
+
+    const movements = [
+      ...flights.map(flight => ({
+        type: 'flight',
+        id: flight.id,
+        label: `${flight.route?.routeNumber}/${flight.route?.returnRouteNumber}`,
+        from: flight.route?.departureAirport?.icaoCode,
+        to: flight.route?.departureAirport?.icaoCode,
+        ...this.getTimes(flight)
+      })),
+      ...ferries.map(ferry => ({
+        type: 'ferry',
+        id: ferry.id,
+        label: `Ferry ${ferry.departureAirport?.icaoCode}→${ferry.arrivalAirport?.icaoCode}`,
+        from: ferry.departureAirport?.icaoCode,
+        to: ferry.arrivalAirport?.icaoCode,
+        ...this.getTimes(ferry)
+      }))
+    ];
+
+    return movements.sort((a, b) => a.departs - b.departs);
+  }
+
+  /**
+   * Where an aircraft will be standing at a time, after the movements that land before it
+   *
+   * @param {Object} aircraft - UserAircraft (currentAirport is where it is now)
+   * @param {Array<Object>} movements - From getMovements
+   * @param {Date} time
+   * @returns {{ icao: string|null, previous: Object|null }} - previous is the movement that put it there
+   */
+  getLocationAt(aircraft, movements, time) {
+    const previous = movements.filter(m => m.arrives <= time).pop() || null;
+    return { icao: previous ? previous.to : aircraft.currentAirport, previous };
+  }
+
+  /**
+   * Where an aircraft will be standing when a movement departs, and whether the
+   * movement leaves it where the next one needs it
+   *
+   * @param {Object} aircraft - UserAircraft (currentAirport is where it is now)
+   * @param {Array<Object>} movements - From getMovements
+   * @param {Object} candidate - { from, to, departs, arrives }
+   * @returns {Object} - { allowed, conflict }, conflict { reason: 'overlap'|'position'|'continuity', expected, required, movement }
+   */
+  checkMovement(aircraft, movements, candidate) {
+    const overlapping = movements.find(m => candidate.departs < m.arrives && candidate.arrives > m.departs);
+    if (overlapping) {
+      return { allowed: false, conflict: { reason: 'overlap', movement: overlapping } };
+    }
+
+    // Where the last movement before this one leaves the aircraft (or where it is now)
+    const { icao: expected, previous } = this.getLocationAt(aircraft, movements, candidate.departs);
+    if (expected && candidate.from && expected !== candidate.from) {
+      return { allowed: false, conflict: { reason: 'position', expected, required: candidate.from, movement: previous } };
+    }
+
+    // A movement that relocates the aircraft must leave it where the next one departs
+    const next = movements.find(m => m.departs >= candidate.arrives);
+    if (next && candidate.from !== candidate.to && next.from && next.from !== candidate.to) {
+      return { allowed: false, conflict: { reason: 'continuity', expected: candidate.to, required: next.from, movement: next } };
+    }
+
+    return { allowed: true, conflict: null };
+  }
+
+  /**
+   * Check that an aircraft will be at a route's departure airport for each rotation
+   * Rotations are checked in order, each one counting the ones before it
+   *
+   * @param {Object} aircraft - UserAircraft
+   * @param {Object} route - Route
+   * @param {Array<Object>} flights - { scheduledDate, departureTime, arrivalDate, arrivalTime }
+   * @param {string} [excludeFlightId] - Flight being moved, left out of the aircraft's schedule
+   * @returns {Promise<Array<Object>>} - Per flight, in the order given: { allowed, conflict }
+   */
+  async checkFlightPositions(aircraft, route, flights, excludeFlightId = null) {
+    const departure = route.departureAirport || await Airport.findByPk(route.departureAirportId, { attributes: ['icaoCode'] });
+    const icao = departure?.icaoCode;
+    const movements = await this.getMovements(aircraft.id, { flightId: excludeFlightId });
+
+    const order = flights.map((flight, index) => ({ index, ...this.getTimes(flight) }))
+      .sort((a, b) => a.departs - b.departs);
+
+    const results = new Array(flights.length);
+    for (const { index, departs, arrives } of order) {
+      const candidate = { type: 'flight', from: icao, to: icao, departs, arrives, label: `${route.routeNumber}/${route.returnRouteNumber}` };
+      results[index] = this.checkMovement(aircraft, movements, candidate);
+      if (results[index].allowed) {
+        movements.push(candidate);
+        movements.sort((a, b) => a.departs - b.departs);
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Whether an airport is open for traffic in a year
+   *
+   * @param {Object} airport - Airport
+   * @param {number} year
+   * @returns {boolean}
+   */
+  isOperational(airport, year) {
+    return airport.isActive !== false &&
+      (!airport.operationalFrom || airport.operationalFrom <= year) &&
+      (!airport.operationalUntil || airport.operationalUntil >= year);
+  }
+
+  /**
+   * Nearest open airport big enough to take a diversion from an airport
+   *
+   * @param {Object} airport - Airport the aircraft can't land at
+   * @param {number} year
+   * @returns {Promise<Object|null>} - { airport, distanceNm }, or null if none is in range
+   */
+  async findAlternate(airport, year) {
+    const lat = parseFloat(airport.latitude) || 0;
+    const lng = parseFloat(airport.longitude) || 0;
+    const latRange = MAX_DIVERSION_NM / 60;
+    const lngRange = latRange / Math.max(0.1, Math.cos(lat * Math.PI / 180));
+
+    const candidates = await Airport.findAll({
+      where: {
+        id: { [Op.ne]: airport.id },
+        type: { [Op.in]: ALTERNATE_TYPES },
+        isActive: true,
+        latitude: { [Op.between]: [lat - latRange, lat + latRange] },
+        longitude: { [Op.between]: [lng - lngRange, lng + lngRange] }
+      },
+      attributes: ['id', 'icaoCode', 'name', 'latitude', 'longitude', 'isActive', 'operationalFrom', 'operationalUntil']
+    });
+
+    return candidates
+      .filter(candidate => this.isOperational(candidate, year))
+      .map(candidate => ({ airport: candidate, distanceNm: Math.round(calculateDistanceNm(airport, candidate)) }))
+      .filter(alternate => alternate.distanceNm <= MAX_DIVERSION_NM)
+      .sort((a, b) => a.distanceNm - b.distanceNm)[0] || null;
+  }
+
+  /**
+   * Whether weather shuts an airport for an hour
+   * Decided from the airport, date and hour alone, so every check of the same hour agrees;
+   * high-latitude airports close most often, and mostly in their winter
+   *
+   * @param {Object} airport - Airport with icaoCode and latitude
+   * @param {Date} time
+   * @returns {boolean}
+   */
+  isWeatheredOut(airport, time) {
+    const latitude = parseFloat(airport.latitude) || 0;
+    const winter = (latitude >= 0 ? NORTHERN_WINTER : SOUTHERN_WINTER).includes(time.getMonth());
+    const band = WEATHER_CLOSURE_BANDS.find(b => Math.abs(latitude) >= b.minLatitude);
+    const share = WEATHER_CLOSURE_BASE + (winter && band ? band.share : 0);
+
+    const hour = `${time.getFullYear()}-${time.getMonth() + 1}-${time.getDate()}T${time.getHours()}`;
+    return hashUnit(`${airport.icaoCode}|${hour}`) < share;
+  }
+
+  /**
+   * Decide whether a rotation's final landing diverts: only when its origin has closed
+   * or is weathered out in the hour it lands
+   *
+   * @param {Object} origin - Airport the rotation is returning to
+   * @param {Date} landingTime
+   * @returns {Promise<Object|null>} - { airport, distanceNm, reason: 'closed'|'weather' }, or null if it lands as planned
+   */
+  async getDiversion(origin, landingTime) {
+    if (!origin) return null;
+    const year = landingTime.getFullYear();
+    const closed = !this.isOperational(origin, year);
+    if (!closed && !this.isWeatheredOut(origin, landingTime)) return null;
+
+    const alternate = await this.findAlternate(origin, year);
+    return alternate ? { ...alternate, reason: closed ? 'closed' : 'weather' } : null;
+  }
+
+  /**
+   * Ferry a diverted aircraft home from its alternate
+   * Leaves once the aircraft is turned round, waiting (up to MAX_FERRY_WAIT_HOURS) for an
+   * hour the origin isn't weathered out. Nothing is scheduled if the origin has closed or
+   * the ferry would clash with the aircraft's schedule or a maintenance check.
+   *
+   * @param {Object} aircraft - UserAircraft (with its Aircraft type), now standing at the alternate
+   * @param {Object} diversion - From getDiversion
+   * @param {Object} origin - Airport the rotation should have landed at
+   * @param {Date} landingTime - When the aircraft landed at the alternate
+   * @param {number} turnaroundMinutes
+   * @returns {Promise<Object|null>} - The FerryFlight, or null if none was scheduled
+   */
+  async scheduleReturnFerry(aircraft, diversion, origin, landingTime, turnaroundMinutes) {
+    if (diversion.reason === 'closed') return null;
+
+    const alternate = diversion.airport;
+    const durationMs = calculateFlightDurationMs(
+      diversion.distanceNm,
+      parseFloat(alternate.longitude) || 0,
+      parseFloat(origin.longitude) || 0,
+      parseFloat(alternate.latitude) || 0,
+      parseFloat(origin.latitude) || 0,
+      aircraft.aircraft?.cruiseSpeed || 450
+    );
+
+    const earliest = landingTime.getTime() + turnaroundMinutes * 60000;
+    let departs = null;
+    let arrives = null;
+    for (let wait = 0; wait <= MAX_FERRY_WAIT_HOURS; wait++) {
+      const candidate = new Date(earliest + wait * 3600000);
+      if (!this.isWeatheredOut(origin, new Date(candidate.getTime() + durationMs))) {
+        departs = candidate;
+        arrives = new Date(candidate.getTime() + durationMs);
+        break;
+      }
+    }
+    if (!departs) return null;
+
+    const departure = splitDateTime(departs);
+    const arrival = splitDateTime(arrives);
+    const times = this.getTimes({ scheduledDate: departure.date, departureTime: departure.time, arrivalDate: arrival.date, arrivalTime: arrival.time });
+
+    const movements = await this.getMovements(aircraft.id);
+    const candidate = { type: 'ferry', from: alternate.icaoCode, to: origin.icaoCode, ...times };
+    if (!this.checkMovement(aircraft, movements, candidate).allowed) return null;
+
+    const checks = await RecurringMaintenance.findAll({
+      where: { aircraftId: aircraft.id, status: 'active', scheduledDate: { [Op.lte]: arrival.date } }
+    });
+    const clash = checks.some(check => {
+      const start = new Date(`${String(check.scheduledDate).split('T')[0]}T${check.startTime}`);
+      const end = new Date(start.getTime() + (check.duration || 0) * 60000);
+      return times.departs < end && times.arrives > start;
+    });
+    if (clash) return null;
+
+    return FerryFlight.create({
+      worldMembershipId: aircraft.worldMembershipId,
+      aircraftId: aircraft.id,
+      departureAirportId: alternate.id,
+      arrivalAirportId: origin.id,
+      distance: diversion.distanceNm,
+      scheduledDate: departure.date,
+      departureTime: departure.time,
+      arrivalDate: arrival.date,
+      arrivalTime: arrival.time,
+      status: 'scheduled'
+    });
+  }
+
+  /**
+   * Where an aircraft is along a rotation at a point in time
+   *
+   * @param {Array<Object>} phases - In order: { ms, at } where at is the ICAO the aircraft
+   *   stands at during the phase, or null while airborne
+   * @param {string} homeIcao - Where the rotation started and ends
+   * @param {number} elapsedMs - Time since departure
+   * @returns {string|null} - ICAO code, or null while airborne
+   */
+  getPositionAlong(phases, homeIcao, elapsedMs) {
+    if (elapsedMs < 0) return homeIcao;
+    let phaseEnd = 0;
+    for (const phase of phases) {
+      phaseEnd += phase.ms;
+      if (elapsedMs < phaseEnd) return phase.at;
+    }
+    return homeIcao;
+  }
+}
+
+// Singleton instance
+const aircraftPositionService = new AircraftPositionService();
+
+module.exports = aircraftPositionService;
@@ -0,0 +1,326 @@
+const { Op } = require('sequelize');
+const { WorldMembership, UserAircraft, Aircraft, LedgerEntry } = require('../models');
+const eraEconomicService = require('./eraEconomicService');
+const ledgerService = require('./ledgerService');
+const aircraftWearService = require('./aircraftWearService');
+
+// Preservation programmes an aircraft can be stored under. Deeper preservation costs less
+// to keep up and insure and pauses more check clocks, but takes longer and costs more to undo.
+// Weekly upkeep and reactivation work are in hours of the aircraft's maintenance rate
+const PRESERVATION_PROGRAMMES = {
+  short_term: {
+    name: 'Short-term parking',
+    description: 'Engines covered and run up weekly. Quick to bring back.',
+    maintenanceHoursPerWeek: 2,
+    insuranceRate: 0.5,
+    pausedChecks: ['C'],
+    reactivationDays: 2,
+    reactivationDaysPerMonth: 1,
+    reactivationHours: 20,
+    reactivationHoursPerMonth: 10
+  },
+  long_term: {
+    name: 'Long-term preservation',
+    description: 'Engines inhibited and systems preserved. Cheapest to keep, slowest to bring back.',
+    maintenanceHoursPerWeek: 0.75,
+    insuranceRate: 0.25,
+    pausedChecks: ['C', 'D'],
+    reactivationDays: 7,
+    reactivationDaysPerMonth: 2,
+    reactivationHours: 60,
+    reactivationHoursPerMonth: 15
+  }
+};
+
+// Hull insurance per year as a share of the aircraft's market value
+const ANNUAL_HULL_INSURANCE_RATE = 0.01;
+
+// Hours of the maintenance rate an aircraft in service costs each week on the ground,
+// on top of the reserves each flight pays
+const IN_SERVICE_MAINTENANCE_HOURS_PER_WEEK = 4;
+
+// Aircraft the airline insures and keeps up (leased-out aircraft are the tenant's)
+const HELD_STATUSES = ['active', 'maintenance', 'storage', 'listed_sale', 'listed_lease'];
+
+// Longest a reactivation can take, however long the aircraft sat
+const MAX_REACTIVATION_DAYS = 60;
+
+// Check date fields by check type
+const CHECK_FIELDS = { C: 'lastCCheckDate', D: 'lastDCheckDate' };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+const MONTH_MS = 30 * DAY_MS;
+
+/**
+ * Aircraft Storage Service
+ * Puts aircraft the airline doesn't need into storage under a preservation programme,
+ * charges the fleet's weekly insurance and upkeep (much less for stored aircraft), and
+ * brings stored aircraft back into service after a lead time
+ */
+class AircraftStorageService {
+
+  /**
+   * Preservation programmes on offer
+   * @returns {Array<Object>} - { key, name, description, pausedChecks, insuranceRate, maintenanceHoursPerWeek }
+   */
+  getProgrammes() {
+    return Object.entries(PRESERVATION_PROGRAMMES).map(([key, p]) => ({
+      key,
+      name: p.name,
+      description: p.description,
+      pausedChecks: p.pausedChecks,
+      insuranceRate: p.insuranceRate,
+      maintenanceHoursPerWeek: p.maintenanceHoursPerWeek
+    }));
+  }
+
+  /**
+   * Weekly insurance and upkeep for an aircraft, less for one in storage
+   *
+   * @param {Object} userAircraft - UserAircraft with aircraft type loaded
+   * @param {Date} gameTime
+   * @returns {{ insurance: number, maintenance: number }}
+   */
+  getWeeklyCosts(userAircraft, gameTime) {
+    const programme = userAircraft.status === 'storage' ? PRESERVATION_PROGRAMMES[userAircraft.storageProgramme] : null;
+    const maintenanceRate = (parseFloat(userAircraft.maintenanceCostPerHour) || parseFloat(userAircraft.aircraft?.maintenanceCostPerHour) || 0) *
+      eraEconomicService.getEraMultiplier(gameTime.getFullYear());
+
+    const insurance = aircraftWearService.getMarketValue(userAircraft, gameTime) * ANNUAL_HULL_INSURANCE_RATE / 52 *
+      (programme ? programme.insuranceRate : 1);
+    const maintenance = maintenanceRate * (programme ? programme.maintenanceHoursPerWeek : IN_SERVICE_MAINTENANCE_HOURS_PER_WEEK);
+
+    return {
+      insurance: Math.round(insurance * 100) / 100,
+      maintenance: Math.round(maintenance * 100) / 100
+    };
+  }
+
+  /**
+   * What bringing a stored aircraft back into service would take today
+   *
+   * @param {Object} userAircraft - Stored UserAircraft with aircraft type loaded
+   * @param {Date} gameTime
+   * @returns {{ monthsStored: number, days: number, cost: number }}
+   */
+  getReactivationQuote(userAircraft, gameTime) {
+    const programme = PRESERVATION_PROGRAMMES[userAircraft.storageProgramme] || PRESERVATION_PROGRAMMES.short_term;
+    const monthsStored = Math.max(0, (gameTime - new Date(userAircraft.storedAt || gameTime)) / MONTH_MS);
+    const maintenanceRate = (parseFloat(userAircraft.maintenanceCostPerHour) || parseFloat(userAircraft.aircraft?.maintenanceCostPerHour) || 0) *
+      eraEconomicService.getEraMultiplier(gameTime.getFullYear());
+
+    return {
+      monthsStored: Math.round(monthsStored * 10) / 10,
+      days: Math.min(MAX_REACTIVATION_DAYS, Math.ceil(programme.reactivationDays + programme.reactivationDaysPerMonth * monthsStored)),
+      cost: Math.round(maintenanceRate * (programme.reactivationHours + programme.reactivationHoursPerMonth * monthsStored))
+    };
+  }
+
+  /**
+   * Check a preservation programme key before anything is changed for it
+   *
+   * @param {string} programmeKey
+   * @returns {string|null} - Error message, or null if the programme exists
+   */
+  validateProgramme(programmeKey) {
+    if (!PRESERVATION_PROGRAMMES[programmeKey]) {
+      return `Unknown preservation programme. Choose one of: ${Object.keys(PRESERVATION_PROGRAMMES).join(', ')}`;
+    }
+    return null;
+  }
+
+  /**
+   * Put an aircraft into storage (its schedule must already be cleared)
+   *
+   * @param {Object} userAircraft - UserAircraft
+   * @param {string} programmeKey - Key of PRESERVATION_PROGRAMMES
+   * @param {Date} gameTime
+   * @param {Object} [options] - { transaction }
+   * @returns {Promise<Object>} - { aircraft } or { error }
+   */
+  async store(userAircraft, programmeKey, gameTime, { transaction } = {}) {
+    const error = this.validateProgramme(programmeKey);
+    if (error) {
+      return { error };
+    }
+
+    await userAircraft.update({
+      status: 'storage',
+      storedAt: gameTime,
+      storageProgramme: programmeKey,
+      reactivationReadyAt: null
+    }, { transaction });
+
+    return { aircraft: userAircraft };
+  }
+
+  /**
+   * Start bringing a stored aircraft back: pay for the work now, and it returns to
+   * service once the lead time has passed
+   *
+   * @param {Object} userAircraft - Stored UserAircraft with aircraft type loaded
+   * @param {Object} membership - Owning WorldMembership
+   * @param {Date} gameTime
+   * @returns {Promise<Object>} - { aircraft, quote } or { error }
+   */
+  async startReactivation(userAircraft, membership, gameTime) {
+    if (userAircraft.status !== 'storage') {
+      return { error: 'Aircraft is not in storage' };
+    }
+    if (userAircraft.reactivationReadyAt) {
+      return { error: 'Aircraft is already being reactivated' };
+    }
+
+    const quote = this.getReactivationQuote(userAircraft, gameTime);
+    if (parseFloat(membership.balance) < quote.cost) {
+      return { error: 'Insufficient funds for reactivation', required: quote.cost, available: parseFloat(membership.balance) };
+    }
+
+    await ledgerService.post({
+      worldMembershipId: membership.id,
+      category: 'maintenance',
+      amount: -quote.cost,
+      gameTime,
+      description: `Reactivation of ${userAircraft.registration} after ${quote.monthsStored} months in storage`,
+      referenceType: 'user_aircraft',
+      referenceId: userAircraft.id
+    });
+
+    await userAircraft.update({ reactivationReadyAt: new Date(gameTime.getTime() + quote.days * DAY_MS) });
+
+    return { aircraft: userAircraft, quote };
+  }
+
+  /**
+   * Return a reactivated aircraft to service. The preservation programme's check clocks
+   * pick up where they stopped, and the reactivation work counts as its daily and weekly checks
+   *
+   * @param {Object} userAircraft - UserAircraft being reactivated
+   * @param {Date} readyAt - When reactivation finished
+   */
+  async completeReactivation(userAircraft, readyAt) {
+    const programme = PRESERVATION_PROGRAMMES[userAircraft.storageProgramme];
+    const storedMs = Math.max(0, readyAt - new Date(userAircraft.storedAt || readyAt));
+
+    const updates = {
+      status: 'active',
+      storedAt: null,
+      storageProgramme: null,
+      reactivationReadyAt: null,
+      lastDailyCheckDate: readyAt,
+      lastWeeklyCheckDate: readyAt
+    };
+
+    // A check never done counts from delivery
+    for (const checkType of programme?.pausedChecks || []) {
+      const field = CHECK_FIELDS[checkType];
+      const since = new Date(userAircraft[field] || userAircraft.acquiredAt || readyAt);
+      updates[field] = new Date(Math.min(since.getTime() + storedMs, readyAt.getTime()));
+    }
+
+    await userAircraft.update(updates);
+  }
+
+  /**
+   * Return aircraft whose reactivation has finished to service
+   *
+   * @param {string} worldId
+   * @param {Date} gameTime
+   */
+  async processReactivations(worldId, gameTime) {
+    const memberships = await WorldMembership.findAll({
+      where: { worldId, isActive: true },
+      attributes: ['id']
+    });
+    if (memberships.length === 0) return;
+
+    const ready = await UserAircraft.findAll({
+      where: {
+        worldMembershipId: { [Op.in]: memberships.map(m => m.id) },
+        status: 'storage',
+        reactivationReadyAt: { [Op.lte]: gameTime }
+      }
+    });
+
+    for (const aircraft of ready) {
+      await this.completeReactivation(aircraft, new Date(aircraft.reactivationReadyAt));
+      if (process.env.NODE_ENV === 'development') {
+        console.log(`✈ ${aircraft.registration} reactivated from storage`);
+      }
+    }
+  }
+
+  /**
+   * Weekly fleet run: charge each airline hull insurance and upkeep for the aircraft it holds
+   *
+   * @param {string} worldId
+   * @param {Date} gameTime
+   */
+  async processWeekly(worldId, gameTime) {
+    const memberships = await WorldMembership.findAll({
+      where: { worldId, isActive: true },
+      attributes: ['id']
+    });
+    if (memberships.length === 0) return;
+
+    // A fleet_week entry since the start of this game week means insurance and upkeep are paid
+    const charged = new Set((await LedgerEntry.findAll({
+      where: {
+        worldMembershipId: memberships.map(m => m.id),
+        referenceType: 'fleet_week',
+        gameTime: { [Op.gte]: new Date(Math.floor(gameTime.getTime() / WEEK_MS) * WEEK_MS) }
+      },
+      attributes: ['worldMembershipId']
+    })).map(e => e.worldMembershipId));
+
+    const membershipIds = memberships.map(m => m.id).filter(id => !charged.has(id));
+    if (membershipIds.length === 0) return;
+
+    const fleet = await UserAircraft.findAll({
+      where: { worldMembershipId: { [Op.in]: membershipIds }, status: { [Op.in]: HELD_STATUSES } },
+      include: [{ model: Aircraft, as: 'aircraft' }]
+    });
+
+    const totals = new Map();
+    for (const aircraft of fleet) {
+      if (!aircraft.aircraft) continue;
+      const costs = this.getWeeklyCosts(aircraft, gameTime);
+      const entry = totals.get(aircraft.worldMembershipId) || { insurance: 0, maintenance: 0, count: 0, stored: 0 };
+      entry.insurance += costs.insurance;
+      entry.maintenance += costs.maintenance;
+      entry.count += 1;
+      if (aircraft.status === 'storage') entry.stored += 1;
+      totals.set(aircraft.worldMembershipId, entry);
+    }
+
+    for (const [worldMembershipId, { insurance, maintenance, count, stored }] of totals) {
+      const fleetNote = `${count} aircraft${stored > 0 ? `, ${stored} in storage` : ''}`;
+      if (insurance > 0) {
+        await ledgerService.post({
+          worldMembershipId,
+          category: 'insurance',
+          amount: -Math.round(insurance * 100) / 100,
+          gameTime,
+          description: `Hull insurance (${fleetNote})`,
+          referenceType: 'fleet_week'
+        });
+      }
+      if (maintenance > 0) {
+        await ledgerService.post({
+          worldMembershipId,
+          category: 'maintenance',
+          amount: -Math.round(maintenance * 100) / 100,
+          gameTime,
+          description: `Fleet upkeep (${fleetNote})`,
+          referenceType: 'fleet_week'
+        });
+      }
+    }
+  }
+}
+
+// Singleton instance
+const aircraftStorageService = new AircraftStorageService();
+
+module.exports = aircraftStorageService;
@@ -0,0 +1,204 @@
+const { Op } = require('sequelize');
+const { WorldMembership, UserAircraft, Aircraft } = require('../models');
+const reputationService = require('./reputationService');
+const usedAircraftMarketService = require('./usedAircraftMarketService');
+
+// Condition lost per block hour and per cycle (one take-off and landing) flown
+const CONDITION_LOSS_PER_BLOCK_HOUR = 0.002;
+const CONDITION_LOSS_PER_CYCLE = 0.003;
+
+// Condition lost per year just from standing in the weather, flown or not
+const CONDITION_LOSS_PER_YEAR = 1;
+
+// Extra condition lost per day an aircraft keeps going with a check overdue
+const OVERDUE_CONDITION_LOSS_PER_DAY = 0.05;
+
+// Aircraft flying for the airline, which wear faster when it lets checks lapse
+const IN_SERVICE_STATUSES = ['active', 'maintenance'];
+
+// Condition never drops below this
+const MIN_CONDITION = 5;
+
+// Condition a C check puts back, up to what the airframe's age allows
+const C_CHECK_CONDITION_RESTORED = 15;
+
+// Best condition a check can return an airframe to: a D check brings it back to 100 less
+// this per year of age, never below the floor
+const CONDITION_CEILING_LOSS_PER_YEAR = 0.75;
+const MIN_CONDITION_CEILING = 70;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Anniversaries of a date (its day and month) passed after one time, up to and including another
+ */
+function countAnniversaries(date, after, until) {
+  let count = 0;
+  for (let year = after.getFullYear(); year <= until.getFullYear(); year++) {
+    const anniversary = new Date(year, date.getMonth(), date.getDate(), date.getHours(), date.getMinutes());
+    if (anniversary > after && anniversary <= until) count++;
+  }
+  return count;
+}
+
+/**
+ * Aircraft Wear Service
+ * Ages the fleet: flights add block hours and cycles to each airframe, game time adds
+ * calendar age, and both wear condition down until heavy checks restore it. Running
+ * costs and market value follow condition
+ */
+class AircraftWearService {
+
+  /**
+   * Best condition a check can return an airframe of this age to
+   *
+   * @param {number} ageYears
+   * @returns {number}
+   */
+  getConditionCeiling(ageYears) {
+    return Math.max(MIN_CONDITION_CEILING, 100 - (ageYears || 0) * CONDITION_CEILING_LOSS_PER_YEAR);
+  }
+
+  /**
+   * Attributes that change with an aircraft's condition: the condition itself, its label
+   * and the running costs, when the aircraft type is loaded
+   *
+   * @param {Object} userAircraft - UserAircraft, with aircraft type loaded for running costs
+   * @param {number} conditionPercentage - New condition
+   * @param {number} [ageYears] - Age to cost the aircraft at (defaults to its current age)
+   * @returns {Object} - UserAircraft attributes
+   */
+  getConditionState(userAircraft, conditionPercentage, ageYears = userAircraft.ageYears) {
+    const condition = Math.round(Math.min(100, Math.max(MIN_CONDITION, conditionPercentage)) * 100) / 100;
+    const state = {
+      conditionPercentage: condition,
+      condition: usedAircraftMarketService.getConditionLabel(condition)
+    };
+
+    if (userAircraft.aircraft) {
+      const costs = usedAircraftMarketService.getOperatingCosts(userAircraft.aircraft, { ageYears, conditionPercentage: condition });
+      state.maintenanceCostPerHour = Math.round(costs.maintenanceCostPerHour * 100) / 100;
+      state.fuelBurnPerHour = Math.round(costs.fuelBurnPerHour * 100) / 100;
+    }
+
+    return state;
+  }
+
+  /**
+   * Condition restored by a completed check
+   * Line checks and A checks don't touch condition; a C check puts some back and a D
+   * check returns the airframe to the best its age allows
+   *
+   * @param {Object} userAircraft - UserAircraft, with aircraft type loaded for running costs
+   * @param {string} checkType - daily, weekly, A, C or D
+   * @returns {Object} - UserAircraft attributes to apply (empty if nothing changes)
+   */
+  getCheckRestoration(userAircraft, checkType) {
+    const current = parseFloat(userAircraft.conditionPercentage) || 0;
+    const ceiling = this.getConditionCeiling(userAircraft.ageYears);
+
+    let restored;
+    if (checkType === 'D') restored = ceiling;
+    else if (checkType === 'C') restored = Math.min(ceiling, current + C_CHECK_CONDITION_RESTORED);
+    else return {};
+
+    // A check never makes an aircraft worse than it went in
+    return this.getConditionState(userAircraft, Math.max(current, restored));
+  }
+
+  /**
+   * Add a completed flight to the airframe: its block hours and cycles, and the wear they cause
+   *
+   * @param {Object} userAircraft - UserAircraft, with aircraft type loaded for running costs
+   * @param {number} blockHours - Block hours flown
+   * @param {number} cycles - Take-offs and landings flown
+   * @param {Object} [options] - { transaction }
+   */
+  async recordFlight(userAircraft, blockHours, cycles, { transaction } = {}) {
+    const condition = (parseFloat(userAircraft.conditionPercentage) || 0) -
+      blockHours * CONDITION_LOSS_PER_BLOCK_HOUR - cycles * CONDITION_LOSS_PER_CYCLE;
+
+    await userAircraft.update({
+      totalFlightHours: Math.round(((parseFloat(userAircraft.totalFlightHours) || 0) + blockHours) * 100) / 100,
+      totalCycles: (userAircraft.totalCycles || 0) + cycles,
+      ...this.getConditionState(userAircraft, condition)
+    }, { transaction });
+  }
+
+  /**
+   * What an aircraft would fetch on the used market today
+   *
+   * @param {Object} userAircraft - UserAircraft with aircraft type loaded
+   * @param {Date} gameTime
+   * @returns {number} - Value in dollars
+   */
+  getMarketValue(userAircraft, gameTime) {
+    // Check validity left, counted from delivery for a check never done
+    const remainingDays = (date, intervalDays) => {
+      const since = new Date(date || userAircraft.acquiredAt || gameTime);
+      return Math.max(0, Math.round((since.getTime() + intervalDays * DAY_MS - gameTime.getTime()) / DAY_MS));
+    };
+    const dCheckDays = userAircraft.dCheckIntervalDays ||
+      Math.round((UserAircraft.CHECK_VALIDITY.D.min + UserAircraft.CHECK_VALIDITY.D.max) / 2);
+
+    return Math.round(usedAircraftMarketService.getValue(userAircraft.aircraft, {
+      ageYears: userAircraft.ageYears,
+      conditionPercentage: parseFloat(userAircraft.conditionPercentage) || 0,
+      cCheckRemainingDays: remainingDays(userAircraft.lastCCheckDate, userAircraft.cCheckIntervalDays || UserAircraft.CHECK_VALIDITY.C.days),
+      dCheckRemainingDays: remainingDays(userAircraft.lastDCheckDate, dCheckDays)
+    }));
+  }
+
+  /**
+   * Daily wear run: age every aircraft in the world by the days since it was last aged.
+   * Airframes have birthdays on the anniversary of joining the fleet, weather wears
+   * them a little every day and flying with a check overdue wears them faster
+   *
+   * @param {string} worldId
+   * @param {Date} gameTime
+   */
+  async processDaily(worldId, gameTime) {
+    const memberships = await WorldMembership.findAll({
+      where: { worldId, isActive: true },
+      attributes: ['id']
+    });
+    if (memberships.length === 0) return;
+
+    const fleet = await UserAircraft.findAll({
+      where: { worldMembershipId: { [Op.in]: memberships.map(m => m.id) } },
+      include: [{ model: Aircraft, as: 'aircraft' }]
+    });
+
+    for (const aircraft of fleet) {
+      // Aircraft that haven't been aged yet start from today
+      if (!aircraft.agedAt) {
+        await aircraft.update({ agedAt: gameTime });
+        continue;
+      }
+
+      const agedAt = new Date(aircraft.agedAt);
+      const days = Math.floor((gameTime - agedAt) / DAY_MS);
+      if (days < 1) continue;
+
+      const nextAgedAt = new Date(agedAt.getTime() + days * DAY_MS);
+      const ageYears = (aircraft.ageYears || 0) + countAnniversaries(new Date(aircraft.acquiredAt || agedAt), agedAt, nextAgedAt);
+
+      // Leased-out aircraft are kept up by their tenant
+      let wear = days * CONDITION_LOSS_PER_YEAR / 365;
+      if (IN_SERVICE_STATUSES.includes(aircraft.status) && reputationService.hasOverdueCheck(aircraft, gameTime)) {
+        wear += days * OVERDUE_CONDITION_LOSS_PER_DAY;
+      }
+
+      await aircraft.update({
+        ageYears,
+        ...this.getConditionState(aircraft, (parseFloat(aircraft.conditionPercentage) || 0) - wear, ageYears),
+        agedAt: nextAgedAt
+      });
+    }
+  }
+}
+
+// Singleton instance
+const aircraftWearService = new AircraftWearService();
+
+module.exports = aircraftWearService;
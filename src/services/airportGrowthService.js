@@ -1494,6 +1494,19 @@ class AirportGrowthService {
     return movementsPerHour * runways * operatingHours;
   }
 
+  /**
+   * Calculate slots available in each hour of the world clock
+   * The world clock is shared by every time zone, so the daily slots are spread evenly
+   * over the 24 hours rather than closing the airport overnight
+   *
+   * @param {number} runways - Number of runways
+   * @param {number} infrastructureLevel - Infrastructure level (1-20)
+   * @returns {number} - Slots per hour
+   */
+  calculateHourlySlots(runways, infrastructureLevel) {
+    return Math.floor(this.calculateTotalSlots(null, runways, infrastructureLevel) / 24);
+  }
+
   /**
    * Get extended airport metrics including movements and slots
    *
@@ -1506,6 +1519,7 @@ class AirportGrowthService {
     const infrastructureLevel = this.getInfrastructureLevel(airport.icaoCode, year, airport.type);
     const runways = this.getRunways(airport.type, infrastructureLevel);
     const totalSlots = this.calculateTotalSlots(movementsIndex, runways, infrastructureLevel);
+    const hourlySlots = this.calculateHourlySlots(runways, infrastructureLevel);
     const annualPassengers = this.getAnnualPassengers(airport.icaoCode, year, movementsIndex);
     const stands = this.getStands(airport.type, infrastructureLevel, movementsIndex);
 
@@ -1518,6 +1532,7 @@ class AirportGrowthService {
       infrastructureLevel,
       runways,
       totalSlots,
+      hourlySlots,
       annualPassengers,
       stands
     };
@@ -1,110 +1,566 @@
-const { QueryTypes } = require('sequelize');
-const sequelize = require('../config/database');
-const { Airport, World } = require('../models');
+const { Op } = require('sequelize');
+const { Airport, World, WorldMembership, Route, ScheduledFlight, FerryFlight, NpcAirline, NpcRoute, Aircraft, AirportSlot } = require('../models');
 const airportGrowthService = require('./airportGrowthService');
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Scheduled flights in these states no longer use their slots
+const RELEASED_STATUSES = ['cancelled', 'missed'];
+
+// Ground time at a tech stop (matches calculateArrivalDateTime in routes/scheduling.js)
+const TECH_STOP_MINUTES = 30;
+
+// Share of the routing distance flown before a tech stop when the route doesn't say
+const DEFAULT_LEG_ONE_SHARE = 0.4;
+
+// Alternative departure times are searched this far either side of the requested one
+const SUGGESTION_WINDOW_MINUTES = 180;
+const SUGGESTION_STEP_MINUTES = 15;
+const MAX_SUGGESTIONS = 3;
+
+/**
+ * Format a Date as YYYY-MM-DD in server local time (how scheduled dates are stored)
+ */
+function formatLocalDate(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Format a Date as HH:MM:SS in server local time
+ */
+function formatLocalTime(date) {
+  return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}:00`;
+}
+
+/**
+ * Add days to a YYYY-MM-DD date
+ */
+function addDays(dateStr, days) {
+  const date = new Date(`${dateStr}T00:00:00`);
+  date.setDate(date.getDate() + days);
+  return formatLocalDate(date);
+}
+
+/**
+ * Slots of an hour that are spoken for
+ * Slots held by airlines are reserved for them whether flown or not; everyone else
+ * (NPC airlines included) shares what is left, and a holder flying more than it holds
+ * dips into that pool too
+ *
+ * @param {number} npc - NPC movements in the hour
+ * @param {Map<string, number>} members - Player movements in the hour by membership
+ * @param {Map<string, number>} held - Slots held in the hour by membership
+ * @returns {number}
+ */
+function committedSlots(npc, members, held) {
+  let committed = npc;
+  for (const count of held.values()) committed += count;
+  for (const [id, used] of members) committed += Math.max(0, used - (held.get(id) || 0));
+  return committed;
+}
+
+/**
+ * Whether an airline can add movements to an hour
+ *
+ * @param {Object} usage - { total, npc, members: Map<membershipId, number> }
+ * @param {Map<string, number>} held - Slots held in the hour by membership
+ * @param {string|null} membershipId - Airline adding the movements
+ * @param {number} extra - Movements to add
+ * @param {number} capacity - Slots in the hour
+ * @returns {boolean}
+ */
+function fitsHour(usage, held, membershipId, extra, capacity) {
+  const members = new Map(usage.members);
+  members.set(membershipId, (members.get(membershipId) || 0) + extra);
+  return committedSlots(usage.npc, members, held) <= capacity;
+}
+
+/**
+ * Slot bookings for a set of airports, loaded a day at a time
+ * Flights accepted during a batch are added so later flights in the batch see them
+ */
+class SlotLedger {
+  constructor(service, worldId, airports, year, membershipId = null, excludeScheduledFlightIds = []) {
+    this.service = service;
+    this.worldId = worldId;
+    this.airports = new Map(airports.map(a => [a.id, a]));
+    this.capacity = new Map(airports.map(a => [a.id, service.getHourlyCapacity(a, year)]));
+    this.membershipId = membershipId;
+    this.excludeScheduledFlightIds = excludeScheduledFlightIds;
+    this.days = new Map();
+  }
+
+  /**
+   * Hourly usage and held slots on a date, keyed by airport
+   * @returns {Promise<Map<string, {usage: Array<Object>, held: Array<Map>}>>}
+   */
+  async load(date) {
+    if (!this.days.has(date)) {
+      const airportIds = [...this.airports.keys()];
+      const usage = await this.service.getHourlyUsage(airportIds, this.worldId, date, {
+        excludeScheduledFlightIds: this.excludeScheduledFlightIds,
+        byMembership: true
+      });
+      const held = await this.service.getHeldSlots(airportIds, this.worldId, date);
+
+      const airports = new Map();
+      for (const [airportId, hours] of usage) {
+        airports.set(airportId, {
+          usage: hours.map(h => ({ total: h.player + h.npc, npc: h.npc, members: h.members })),
+          held: held.get(airportId)
+        });
+      }
+      this.days.set(date, airports);
+    }
+    return this.days.get(date);
+  }
+
+  /**
+   * First movement that would overfill its hour, or null if they all fit
+   */
+  async findConflict(movements) {
+    // Movements of one flight can share an hour, so count them together
+    const pending = new Map();
+
+    for (const movement of movements) {
+      const date = formatLocalDate(movement.at);
+      const hour = movement.at.getHours();
+      const key = `${movement.airportId}|${date}|${hour}`;
+      pending.set(key, (pending.get(key) || 0) + 1);
+
+      const day = (await this.load(date)).get(movement.airportId);
+      const usage = day.usage[hour];
+      const capacity = this.capacity.get(movement.airportId);
+
+      if (!fitsHour(usage, day.held[hour], this.membershipId, pending.get(key), capacity)) {
+        const airport = this.airports.get(movement.airportId);
+        return {
+          airportId: movement.airportId,
+          icaoCode: airport.icaoCode,
+          airportName: airport.name,
+          movement: movement.type,
+          date,
+          hour,
+          capacity,
+          used: Math.round(usage.total * 10) / 10,
+          held: [...day.held[hour].values()].reduce((sum, count) => sum + count, 0)
+        };
+      }
+    }
+
+    return null;
+  }
+
+  async add(movements) {
+    for (const movement of movements) {
+      const usage = (await this.load(formatLocalDate(movement.at))).get(movement.airportId).usage[movement.at.getHours()];
+      usage.total += 1;
+      usage.members.set(this.membershipId, (usage.members.get(this.membershipId) || 0) + 1);
+    }
+  }
+}
+
 /**
  * Airport Slot Management Service
- * Enforces hard slot limits on route creation
+ * Slots are allocated per hour of the day: every departure and arrival of a scheduled
+ * flight (player or NPC) takes one slot at its airport in the hour it happens
  */
 class AirportSlotService {
 
   /**
-   * Get slot availability for an airport
-   * Returns total, used, available, and percentage
+   * Slots an airport offers in each hour, from its runways and infrastructure
    *
-   * @param {string} airportId - Airport UUID
-   * @param {string} worldId - World UUID
-   * @returns {Promise<Object>} - Slot availability data
+   * @param {Object} airport - Airport instance
+   * @param {number} year - Game year
+   * @returns {number}
    */
-  async getSlotAvailability(airportId, worldId) {
-    // Get airport with metrics
-    const airport = await Airport.findByPk(airportId);
-    if (!airport) {
-      throw new Error('Airport not found');
-    }
+  getHourlyCapacity(airport, year) {
+    return airportGrowthService.getAirportMetricsExtended(airport, year).hourlySlots;
+  }
 
-    const world = await World.findByPk(worldId);
+  /**
+   * Game date of a world as YYYY-MM-DD
+   * @private
+   */
+  async getGameDate(worldId) {
+    // Required here: worldTimeService loads npcAirlineService, which loads this service
+    const worldTimeService = require('./worldTimeService');
+    const gameTime = worldTimeService.getCurrentTime(worldId);
+    if (gameTime) return formatLocalDate(gameTime);
+
+    const world = await World.findByPk(worldId, { attributes: ['currentTime'] });
     if (!world) {
       throw new Error('World not found');
     }
+    return formatLocalDate(new Date(world.currentTime));
+  }
+
+  /**
+   * Runway movements of a player's round trip, or of a ferry (route.oneWay)
+   * The stored departure and final arrival are exact; the outbound and return legs are
+   * taken to be equally long either side of the turnaround
+   *
+   * @param {Object} flight - { scheduledDate, departureTime, arrivalDate, arrivalTime }
+   * @param {Object} route - Route with airport ids, turnaroundTime and distances, or
+   *   { oneWay: true, departureAirportId, arrivalAirportId } for a ferry
+   * @returns {Array<{airportId: string, type: string, at: Date}>}
+   */
+  getFlightMovements(flight, route) {
+    const departure = new Date(`${flight.scheduledDate}T${flight.departureTime}`);
+    const arrival = flight.arrivalDate && flight.arrivalTime
+      ? new Date(`${flight.arrivalDate}T${flight.arrivalTime}`)
+      : departure;
+
+    if (route.oneWay) {
+      return [
+        { airportId: route.departureAirportId, type: 'departure', at: departure },
+        { airportId: route.arrivalAirportId, type: 'arrival', at: arrival }
+      ];
+    }
+    const turnaroundMs = (route.turnaroundTime || 45) * 60000;
+    const legMs = Math.max(0, (arrival - departure - turnaroundMs) / 2);
+    const returnDeparture = departure.getTime() + legMs + turnaroundMs;
 
-    const currentYear = world.currentTime.getFullYear();
+    const movements = [
+      { airportId: route.departureAirportId, type: 'departure', at: departure },
+      { airportId: route.arrivalAirportId, type: 'arrival', at: new Date(departure.getTime() + legMs) },
+      { airportId: route.arrivalAirportId, type: 'departure', at: new Date(returnDeparture) },
+      { airportId: route.departureAirportId, type: 'arrival', at: arrival }
+    ];
 
-    // Calculate total slots from movements/infrastructure
-    const metrics = airportGrowthService.getAirportMetricsExtended(airport, currentYear);
-    const totalSlots = metrics.totalSlots;
+    if (route.techStopAirportId) {
+      const stopMs = TECH_STOP_MINUTES * 60000;
+      const flyingMs = Math.max(0, legMs - stopMs);
+      const distance = parseFloat(route.distance) || 0;
+      const legOne = parseFloat(route.legOneDistance) || distance * DEFAULT_LEG_ONE_SHARE;
+      const share = distance > 0 ? Math.min(1, legOne / distance) : DEFAULT_LEG_ONE_SHARE;
 
-    // Calculate used slots from active routes
-    const usedSlots = await this.calculateSlotsUsed(airportId, worldId);
+      // Outbound stops after leg one, the return after flying leg two back
+      const outboundStop = departure.getTime() + flyingMs * share;
+      const returnStop = returnDeparture + flyingMs * (1 - share);
+      movements.push(
+        { airportId: route.techStopAirportId, type: 'arrival', at: new Date(outboundStop) },
+        { airportId: route.techStopAirportId, type: 'departure', at: new Date(outboundStop + stopMs) },
+        { airportId: route.techStopAirportId, type: 'arrival', at: new Date(returnStop) },
+        { airportId: route.techStopAirportId, type: 'departure', at: new Date(returnStop + stopMs) }
+      );
+    }
+
+    return movements;
+  }
 
-    // Calculate availability
-    const availableSlots = Math.max(0, totalSlots - usedSlots);
+  /**
+   * Movements in each hour of a date at a set of airports
+   *
+   * @param {Array<string>} airportIds - Airport UUIDs
+   * @param {string} worldId - World UUID
+   * @param {string} date - YYYY-MM-DD
+   * @param {Object} [options]
+   * @param {Array<string>} [options.excludeScheduledFlightIds] - Flights to leave out (e.g. one being moved)
+   * @param {boolean} [options.byAirline=false] - Also count movements per airline
+   * @param {boolean} [options.byMembership=false] - Give each hour a `members` map of player movements by membership
+   * @returns {Promise<Map<string, Array<{hour, player, npc}>>>} - With byAirline, each map value also has an `airlines` property
+   */
+  async getHourlyUsage(airportIds, worldId, date, { excludeScheduledFlightIds = [], byAirline = false, byMembership = false } = {}) {
+    const usage = new Map(airportIds.map(id => [id, Array.from({ length: 24 }, (_, hour) => (
+      byMembership ? { hour, player: 0, npc: 0, members: new Map() } : { hour, player: 0, npc: 0 }
+    ))]));
+    const airlines = new Map(airportIds.map(id => [id, new Map()]));
+    const dayStart = new Date(`${date}T00:00:00`).getTime();
+    const dayEnd = new Date(`${addDays(date, 1)}T00:00:00`).getTime();
+
+    const count = (movement, kind, airline) => {
+      const at = movement.at.getTime();
+      if (!usage.has(movement.airportId) || at < dayStart || at >= dayEnd) return;
+      const slot = usage.get(movement.airportId)[movement.at.getHours()];
+      slot[kind] += 1;
+      if (byMembership && airline.membershipId) {
+        slot.members.set(airline.membershipId, (slot.members.get(airline.membershipId) || 0) + 1);
+      }
+
+      if (byAirline) {
+        const entry = airlines.get(movement.airportId).get(airline.key) ||
+          { membershipId: airline.membershipId, airlineName: airline.name, isNpc: kind === 'npc', movements: 0 };
+        entry.movements += 1;
+        airlines.get(movement.airportId).set(airline.key, entry);
+      }
+    };
+
+    // Player round trips can take up to two days to come home
+    const routeAtAirports = {
+      [Op.or]: [
+        { departureAirportId: airportIds },
+        { arrivalAirportId: airportIds },
+        { techStopAirportId: airportIds }
+      ]
+    };
+    const flights = await ScheduledFlight.findAll({
+      where: {
+        scheduledDate: { [Op.between]: [addDays(date, -2), date] },
+        status: { [Op.notIn]: RELEASED_STATUSES },
+        ...(excludeScheduledFlightIds.length > 0 ? { id: { [Op.notIn]: excludeScheduledFlightIds } } : {})
+      },
+      attributes: ['id', 'scheduledDate', 'departureTime', 'arrivalDate', 'arrivalTime'],
+      include: [{
+        model: Route,
+        as: 'route',
+        required: true,
+        where: routeAtAirports,
+        attributes: ['id', 'departureAirportId', 'arrivalAirportId', 'techStopAirportId', 'turnaroundTime', 'distance'],
+        include: [{
+          model: WorldMembership,
+          as: 'membership',
+          required: true,
+          where: { worldId },
+          attributes: ['id', 'airlineName']
+        }]
+      }]
+    });
+
+    for (const flight of flights) {
+      const airline = { key: flight.route.membership.id, membershipId: flight.route.membership.id, name: flight.route.membership.airlineName };
+      for (const movement of this.getFlightMovements(flight, flight.route)) {
+        count(movement, 'player', airline);
+      }
+    }
+
+    // Ferries land within a day of leaving
+    const ferries = await FerryFlight.findAll({
+      where: {
+        scheduledDate: { [Op.between]: [addDays(date, -1), date] },
+        status: { [Op.notIn]: RELEASED_STATUSES },
+        [Op.or]: [
+          { departureAirportId: airportIds },
+          { arrivalAirportId: airportIds }
+        ]
+      },
+      attributes: ['id', 'departureAirportId', 'arrivalAirportId', 'scheduledDate', 'departureTime', 'arrivalDate', 'arrivalTime'],
+      include: [{
+        model: WorldMembership,
+        as: 'membership',
+        required: true,
+        where: { worldId },
+        attributes: ['id', 'airlineName']
+      }]
+    });
+
+    for (const ferry of ferries) {
+      const airline = { key: ferry.membership.id, membershipId: ferry.membership.id, name: ferry.membership.airlineName };
+      for (const movement of this.getFlightMovements(ferry, { oneWay: true, departureAirportId: ferry.departureAirportId, arrivalAirportId: ferry.arrivalAirportId })) {
+        count(movement, 'player', airline);
+      }
+    }
+
+    const npcRoutes = await NpcRoute.findAll({
+      where: {
+        [Op.or]: [
+          { departureAirportId: airportIds },
+          { arrivalAirportId: airportIds }
+        ]
+      },
+      include: [
+        { model: NpcAirline, as: 'airline', where: { worldId, isActive: true }, attributes: ['id', 'name'] },
+        { model: Airport, as: 'departureAirport', attributes: ['id', 'latitude', 'longitude'] },
+        { model: Airport, as: 'arrivalAirport', attributes: ['id', 'latitude', 'longitude'] },
+        { model: Aircraft, as: 'aircraft', attributes: ['id', 'cruiseSpeed'] }
+      ]
+    });
+
+    // Required here: npcAirlineService itself checks slots when opening routes
+    const npcAirlineService = require('./npcAirlineService');
+    for (const route of npcRoutes) {
+      const airline = { key: route.airline.id, membershipId: null, name: route.airline.name };
+      for (const movement of npcAirlineService.getSlotMovements(route, dayStart, dayEnd)) {
+        count(movement, 'npc', airline);
+      }
+    }
+
+    if (byAirline) {
+      for (const [airportId, hours] of usage) {
+        hours.airlines = [...airlines.get(airportId).values()].sort((a, b) => b.movements - a.movements);
+      }
+    }
+
+    return usage;
+  }
+
+  /**
+   * Slots held by airlines in each hour of a date
+   * A leased slot counts for the lessee until the lease ends and for its owner after that;
+   * slots from a future milestone count once they take effect
+   *
+   * @param {Array<string>} airportIds - Airport UUIDs
+   * @param {string} worldId - World UUID
+   * @param {string} date - YYYY-MM-DD
+   * @returns {Promise<Map<string, Array<Map<string, number>>>>} - Per airport, 24 maps of membershipId -> slots held
+   */
+  async getHeldSlots(airportIds, worldId, date) {
+    const held = new Map(airportIds.map(id => [id, Array.from({ length: 24 }, () => new Map())]));
+    const dayEnd = new Date(`${addDays(date, 1)}T00:00:00`);
+
+    const slots = await AirportSlot.findAll({
+      where: {
+        worldId,
+        airportId: airportIds,
+        worldMembershipId: { [Op.ne]: null },
+        [Op.or]: [{ validFrom: null }, { validFrom: { [Op.lt]: dayEnd } }]
+      },
+      attributes: ['airportId', 'hour', 'worldMembershipId', 'lesseeMembershipId', 'leaseEndsAt']
+    });
+
+    for (const slot of slots) {
+      const hourStart = new Date(`${date}T${String(slot.hour).padStart(2, '0')}:00:00`);
+      const leased = slot.lesseeMembershipId && (!slot.leaseEndsAt || new Date(slot.leaseEndsAt) > hourStart);
+      const holderId = leased ? slot.lesseeMembershipId : slot.worldMembershipId;
+      const hour = held.get(slot.airportId)[slot.hour];
+      hour.set(holderId, (hour.get(holderId) || 0) + 1);
+    }
+
+    return held;
+  }
+
+  /**
+   * Get slot availability for an airport on one day
+   * Returns total, used, available, and percentage (available share)
+   *
+   * @param {string} airportId - Airport UUID
+   * @param {string} worldId - World UUID
+   * @param {string} [date] - YYYY-MM-DD, defaults to the world's current game date
+   * @returns {Promise<Object>} - Slot availability data
+   */
+  async getSlotAvailability(airportId, worldId, date = null) {
+    const profile = await this.getHourlyProfile(airportId, worldId, { date });
+
+    const totalSlots = profile.hourlyCapacity * 24;
+    const usedSlots = profile.hours.reduce((sum, h) => sum + h.used, 0);
+    const availableSlots = profile.hours.reduce((sum, h) => sum + h.available, 0);
     const percentage = totalSlots > 0 ? (availableSlots / totalSlots) * 100 : 0;
+    const busiest = profile.hours.reduce((best, h) => (h.used > best.used ? h : best), profile.hours[0]);
 
     return {
+      date: profile.startDate,
       totalSlots,
       usedSlots,
       availableSlots,
-      percentage: Math.round(percentage * 10) / 10
+      percentage: Math.round(percentage * 10) / 10,
+      hourlyCapacity: profile.hourlyCapacity,
+      busiestHour: { hour: busiest.hour, used: busiest.used },
+      fullHours: profile.hours.filter(h => h.available === 0).map(h => h.hour)
     };
   }
 
   /**
-   * Calculate slots used by active routes
-   * Each route consumes 2 slots (departure + arrival)
+   * Movements at an airport on one day, including those flown by NPC airlines
    *
    * @param {string} airportId - Airport UUID
    * @param {string} worldId - World UUID
+   * @param {string} [date] - YYYY-MM-DD, defaults to the world's current game date
    * @returns {Promise<number>} - Number of slots used
    */
-  async calculateSlotsUsed(airportId, worldId) {
-    const result = await sequelize.query(`
-      SELECT COUNT(*) * 2 as slots_used
-      FROM routes r
-      JOIN world_memberships wm ON r.world_membership_id = wm.id
-      WHERE wm.world_id = :worldId
-        AND (r.departure_airport_id = :airportId OR r.arrival_airport_id = :airportId)
-        AND r.is_active = true
-    `, {
-      replacements: { airportId, worldId },
-      type: QueryTypes.SELECT
-    });
+  async calculateSlotsUsed(airportId, worldId, date = null) {
+    const usage = await this.getHourlyUsage([airportId], worldId, date || await this.getGameDate(worldId));
+    return usage.get(airportId).reduce((sum, h) => sum + h.player + h.npc, 0);
+  }
 
-    return parseInt(result[0]?.slots_used || 0);
+  /**
+   * Per-hour congestion at an airport over one or more days
+   * `used` is the busiest of the days in that hour, `average` the mean
+   *
+   * @param {string} airportId - Airport UUID
+   * @param {string} worldId - World UUID
+   * @param {Object} [options]
+   * @param {string} [options.date] - First day (YYYY-MM-DD), defaults to the current game date
+   * @param {number} [options.days=1] - Days to cover (1-14)
+   * @returns {Promise<Object>} - { airportId, icaoCode, hourlyCapacity, startDate, days, hours: [...] }
+   */
+  async getHourlyProfile(airportId, worldId, { date = null, days = 1 } = {}) {
+    const airport = await Airport.findByPk(airportId);
+    if (!airport) {
+      throw new Error('Airport not found');
+    }
+
+    const startDate = date || await this.getGameDate(worldId);
+    const year = parseInt(startDate.substring(0, 4));
+    const capacity = this.getHourlyCapacity(airport, year);
+    const dayCount = Math.min(14, Math.max(1, parseInt(days) || 1));
+
+    const held = (await this.getHeldSlots([airportId], worldId, startDate)).get(airportId);
+    const hours = Array.from({ length: 24 }, (_, hour) => ({ hour, peak: 0, committed: 0, total: 0, player: 0, npc: 0 }));
+    for (let d = 0; d < dayCount; d++) {
+      const usage = (await this.getHourlyUsage([airportId], worldId, addDays(startDate, d), { byMembership: true })).get(airportId);
+      for (const h of usage) {
+        const used = h.player + h.npc;
+        const slot = hours[h.hour];
+        slot.committed = Math.max(slot.committed, committedSlots(h.npc, h.members, held[h.hour]));
+        if (used >= slot.peak) {
+          slot.peak = used;
+          slot.player = h.player;
+          slot.npc = h.npc;
+        }
+        slot.total += used;
+      }
+    }
+
+    return {
+      airportId: airport.id,
+      icaoCode: airport.icaoCode,
+      hourlyCapacity: capacity,
+      startDate,
+      days: dayCount,
+      hours: hours.map(h => ({
+        hour: h.hour,
+        capacity,
+        used: h.peak,
+        player: h.player,
+        npc: h.npc,
+        average: Math.round((h.total / dayCount) * 10) / 10,
+        held: [...held[h.hour].values()].reduce((sum, count) => sum + count, 0),
+        available: Math.max(0, capacity - Math.max(h.peak, h.committed)),
+        utilisation: capacity > 0 ? Math.min(100, Math.round((h.peak / capacity) * 100)) : 100
+      }))
+    };
   }
 
   /**
    * Check if airport has available slots (HARD ENFORCEMENT)
-   * Returns {allowed, slotsAvailable, message}
+   * Routes don't hold slots themselves; this only refuses airports that are full all day,
+   * unless the airline holds slots there. Individual flights are checked against their
+   * hour when scheduled (checkFlightSlots).
    *
    * @param {string} departureAirportId - Departure airport UUID
    * @param {string} arrivalAirportId - Arrival airport UUID
    * @param {string} worldId - World UUID
+   * @param {string} [membershipId] - Airline opening the route
    * @returns {Promise<Object>} - Validation result
    */
-  async canCreateRoute(departureAirportId, arrivalAirportId, worldId) {
+  async canCreateRoute(departureAirportId, arrivalAirportId, worldId, membershipId = null) {
     const depSlots = await this.getSlotAvailability(departureAirportId, worldId);
     const arrSlots = await this.getSlotAvailability(arrivalAirportId, worldId);
 
+    const holdsSlots = async (airportId) => {
+      if (!membershipId) return false;
+      const held = (await this.getHeldSlots([airportId], worldId, depSlots.date)).get(airportId);
+      return held.some(hour => hour.has(membershipId));
+    };
+
     // Need 1 slot at each airport (departure + arrival)
-    if (depSlots.availableSlots < 1) {
+    if (depSlots.availableSlots < 1 && !await holdsSlots(departureAirportId)) {
       return {
         allowed: false,
         reason: 'departure',
         slotsAvailable: depSlots.availableSlots,
-        message: `Departure airport has no available slots (${depSlots.percentage}% full)`,
+        message: `Departure airport has no available slots (${depSlots.percentage}% free). Slots may be bought or leased on the slot market.`,
         departureSlots: depSlots,
         arrivalSlots: arrSlots
       };
     }
 
-    if (arrSlots.availableSlots < 1) {
+    if (arrSlots.availableSlots < 1 && !await holdsSlots(arrivalAirportId)) {
       return {
         allowed: false,
         reason: 'arrival',
         slotsAvailable: arrSlots.availableSlots,
-        message: `Arrival airport has no available slots (${arrSlots.percentage}% full)`,
+        message: `Arrival airport has no available slots (${arrSlots.percentage}% free). Slots may be bought or leased on the slot market.`,
         departureSlots: depSlots,
         arrivalSlots: arrSlots
       };
@@ -117,6 +573,79 @@ class AirportSlotService {
     };
   }
 
+  /**
+   * Check that each flight of a route finds a free slot for every departure and arrival
+   * Flights are checked in order and count against the ones before them. Flights that
+   * don't fit get up to MAX_SUGGESTIONS nearby departure times on the same day that do.
+   * Slots the route's airline holds are available to it even when the hour is full.
+   *
+   * @param {string} worldId - World UUID
+   * @param {Object} route - Route with airport ids, worldMembershipId, turnaroundTime and distance
+   * @param {Array<Object>} flights - [{ scheduledDate, departureTime, arrivalDate, arrivalTime }]
+   * @param {Object} [options]
+   * @param {Array<string>} [options.excludeScheduledFlightIds] - Existing flights to ignore
+   * @returns {Promise<Array<{allowed: boolean, conflict?: Object, suggestions?: Array<string>}>>}
+   */
+  async checkFlightSlots(worldId, route, flights, { excludeScheduledFlightIds = [] } = {}) {
+    const airportIds = [route.departureAirportId, route.arrivalAirportId, route.techStopAirportId].filter(Boolean);
+    const airports = await Airport.findAll({ where: { id: airportIds } });
+    const year = parseInt(flights[0].scheduledDate.substring(0, 4));
+    const ledger = new SlotLedger(this, worldId, airports, year, route.worldMembershipId || null, excludeScheduledFlightIds);
+    const results = [];
+
+    for (const flight of flights) {
+      const movements = this.getFlightMovements(flight, route);
+      const conflict = await ledger.findConflict(movements);
+
+      if (!conflict) {
+        await ledger.add(movements);
+        results.push({ allowed: true });
+        continue;
+      }
+
+      results.push({
+        allowed: false,
+        conflict,
+        suggestions: await this.findAlternativeTimes(ledger, flight, route)
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Nearby departure times on the same day whose movements all fit, closest first
+   * @private
+   */
+  async findAlternativeTimes(ledger, flight, route) {
+    const departure = new Date(`${flight.scheduledDate}T${flight.departureTime}`);
+    const arrival = new Date(`${flight.arrivalDate}T${flight.arrivalTime}`);
+    const suggestions = [];
+
+    for (let offset = SUGGESTION_STEP_MINUTES; offset <= SUGGESTION_WINDOW_MINUTES; offset += SUGGESTION_STEP_MINUTES) {
+      for (const direction of [-1, 1]) {
+        const shiftMs = direction * offset * 60000;
+        const newDeparture = new Date(departure.getTime() + shiftMs);
+        if (formatLocalDate(newDeparture) !== flight.scheduledDate) continue;
+
+        const newArrival = new Date(arrival.getTime() + shiftMs);
+        const shifted = {
+          scheduledDate: flight.scheduledDate,
+          departureTime: formatLocalTime(newDeparture),
+          arrivalDate: formatLocalDate(newArrival),
+          arrivalTime: formatLocalTime(newArrival)
+        };
+
+        if (!await ledger.findConflict(this.getFlightMovements(shifted, route))) {
+          suggestions.push(shifted.departureTime.substring(0, 5));
+          if (suggestions.length >= MAX_SUGGESTIONS) return suggestions;
+        }
+      }
+    }
+
+    return suggestions;
+  }
+
   /**
    * Get slot availability for multiple airports at once (batch)
    *
@@ -146,38 +675,27 @@ class AirportSlotService {
   }
 
   /**
-   * Get detailed slot usage breakdown for an airport
+   * Get detailed slot usage breakdown for an airport on one day
    * Shows which airlines are using slots
    *
    * @param {string} airportId - Airport UUID
    * @param {string} worldId - World UUID
+   * @param {string} [date] - YYYY-MM-DD, defaults to the world's current game date
    * @returns {Promise<Object>} - Detailed slot usage data
    */
-  async getDetailedSlotUsage(airportId, worldId) {
-    const slotInfo = await this.getSlotAvailability(airportId, worldId);
-
-    // Get routes by airline at this airport
-    const routesByAirline = await sequelize.query(`
-      SELECT
-        wm.id as membership_id,
-        wm.airline_name,
-        COUNT(*) as route_count,
-        COUNT(*) * 2 as slots_used
-      FROM routes r
-      JOIN world_memberships wm ON r.world_membership_id = wm.id
-      WHERE wm.world_id = :worldId
-        AND (r.departure_airport_id = :airportId OR r.arrival_airport_id = :airportId)
-        AND r.is_active = true
-      GROUP BY wm.id, wm.airline_name
-      ORDER BY slots_used DESC
-    `, {
-      replacements: { airportId, worldId },
-      type: QueryTypes.SELECT
-    });
+  async getDetailedSlotUsage(airportId, worldId, date = null) {
+    const day = date || await this.getGameDate(worldId);
+    const slotInfo = await this.getSlotAvailability(airportId, worldId, day);
+    const usage = await this.getHourlyUsage([airportId], worldId, day, { byAirline: true });
 
     return {
       ...slotInfo,
-      airlineUsage: routesByAirline
+      airlineUsage: usage.get(airportId).airlines.map(a => ({
+        membership_id: a.membershipId,
+        airline_name: a.airlineName,
+        is_npc: a.isNpc,
+        slots_used: a.movements
+      }))
     };
   }
 }
@@ -0,0 +1,525 @@
+const { Op } = require('sequelize');
+const { Airport, WorldMembership, UserAircraft, Aircraft, Route, ScheduledFlight, NpcAirline, NpcRoute, LedgerEntry } = require('../models');
+const airportGrowthService = require('./airportGrowthService');
+const airportSlotService = require('./airportSlotService');
+const eraEconomicService = require('./eraEconomicService');
+const ledgerService = require('./ledgerService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const WEEK_HOURS = 7 * 24;
+const WEEK_MS = WEEK_HOURS * HOUR_MS;
+
+// Aircraft in these states are parked on a stand somewhere (sold and leased-out aircraft are not)
+const PARKED_STATUSES = ['active', 'maintenance', 'storage', 'listed_sale', 'listed_lease'];
+
+// Scheduled flights in these states never leave their stand
+const RELEASED_STATUSES = ['cancelled', 'missed'];
+
+// Flights whose time away from base is taken off the weekly parking bill
+const FLOWN_STATUSES = ['in_progress', 'completed'];
+
+// Stand utilisation (%) above which scheduling still succeeds but warns
+const STAND_WARNING_UTILISATION = 85;
+
+// Parking is charged at the normal rate up to this utilisation (%), then climbs
+const CONGESTION_FREE_UTILISATION = 60;
+
+// Parking rate multiplier when every stand is taken
+const MAX_CONGESTION_MULTIPLIER = 3;
+
+// How long a computed stand profile is reused when pricing parking (real ms)
+const PROFILE_CACHE_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * Add days to a YYYY-MM-DD date
+ */
+function addDays(dateStr, days) {
+  const date = new Date(`${dateStr}T00:00:00`);
+  date.setDate(date.getDate() + days);
+  return formatLocalDate(date);
+}
+
+/**
+ * Format a Date as YYYY-MM-DD in server local time
+ */
+function formatLocalDate(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Start of each hour of a date, plus the following midnight (25 entries)
+ */
+function getHourBounds(date) {
+  const bounds = [];
+  for (let hour = 0; hour < 24; hour++) {
+    bounds.push(new Date(`${date}T${String(hour).padStart(2, '0')}:00:00`).getTime());
+  }
+  bounds.push(new Date(`${addDays(date, 1)}T00:00:00`).getTime());
+  return bounds;
+}
+
+/**
+ * Airport Stand Service
+ * Tracks which aircraft stand at each airport hour by hour - parked at base, turning round
+ * at an outstation, or in storage - for every airline in a world, and prices parking by congestion
+ */
+class AirportStandService {
+
+  constructor() {
+    this.profileCache = new Map();
+  }
+
+  /**
+   * Stands at an airport in a given year
+   *
+   * @param {Object} airport - Airport instance
+   * @param {number} year - Game year
+   * @returns {number}
+   */
+  getCapacity(airport, year) {
+    return airportGrowthService.getAirportMetricsExtended(airport, year).stands;
+  }
+
+  /**
+   * Parking rate multiplier for a stand utilisation
+   *
+   * @param {number} utilisation - Percentage of stands taken
+   * @returns {number} - 1 when uncongested, up to MAX_CONGESTION_MULTIPLIER when full
+   */
+  getCongestionMultiplier(utilisation) {
+    if (utilisation <= CONGESTION_FREE_UTILISATION) return 1;
+    const pressure = Math.min(1, (utilisation - CONGESTION_FREE_UTILISATION) / (100 - CONGESTION_FREE_UTILISATION));
+    return Math.round((1 + pressure * (MAX_CONGESTION_MULTIPLIER - 1)) * 100) / 100;
+  }
+
+  /**
+   * Where an aircraft stands between its movements
+   * Before its first departure it is at that airport; after its last arrival it stays there
+   *
+   * @param {Array<{airportId: string, type: string, at: Date}>} movements - Runway movements of its flights
+   * @param {string|null} homeAirportId - Where it stands when it has no movements
+   * @returns {Array<{airportId: string, from: number, to: number}>}
+   */
+  getGroundIntervals(movements, homeAirportId) {
+    const sorted = [...movements].sort((a, b) => a.at - b.at);
+    if (sorted.length === 0) {
+      return homeAirportId ? [{ airportId: homeAirportId, from: -Infinity, to: Infinity }] : [];
+    }
+
+    const intervals = [];
+    let position = { airportId: sorted[0].type === 'departure' ? sorted[0].airportId : homeAirportId, from: -Infinity };
+
+    for (const movement of sorted) {
+      if (movement.type === 'departure') {
+        if (position && position.airportId) {
+          intervals.push({ airportId: position.airportId, from: position.from, to: movement.at.getTime() });
+        }
+        position = null;
+      } else {
+        position = { airportId: movement.airportId, from: movement.at.getTime() };
+      }
+    }
+    if (position && position.airportId) {
+      intervals.push({ airportId: position.airportId, from: position.from, to: Infinity });
+    }
+
+    return intervals;
+  }
+
+  /**
+   * Aircraft on stand in each hour of a date at a set of airports
+   * An aircraft counts against an hour if it occupies a stand at any point during it
+   *
+   * @param {Array<string>} airportIds - Airport UUIDs
+   * @param {string} worldId - World UUID
+   * @param {string} date - YYYY-MM-DD
+   * @param {Object} [options]
+   * @param {Array<string>} [options.excludeScheduledFlightIds] - Flights to leave out (e.g. one being moved)
+   * @returns {Promise<Map<string, Array<{hour, player, npc}>>>}
+   */
+  async getHourlyOccupancy(airportIds, worldId, date, { excludeScheduledFlightIds = [] } = {}) {
+    const occupancy = new Map(airportIds.map(id => [id, Array.from({ length: 24 }, (_, hour) => ({ hour, player: 0, npc: 0 }))]));
+    const bounds = getHourBounds(date);
+
+    const mark = (airportId, from, to, kind) => {
+      const hours = occupancy.get(airportId);
+      if (!hours) return;
+      for (let hour = 0; hour < 24; hour++) {
+        if (from < bounds[hour + 1] && to > bounds[hour]) hours[hour][kind] += 1;
+      }
+    };
+
+    // Player aircraft, placed from their flights or their home airport
+    const memberships = await WorldMembership.findAll({
+      where: { worldId, isActive: true },
+      attributes: ['id', 'baseAirportId']
+    });
+    const baseByMembership = new Map(memberships.map(m => [m.id, m.baseAirportId]));
+
+    const aircraft = memberships.length > 0 ? await UserAircraft.findAll({
+      where: { worldMembershipId: [...baseByMembership.keys()], status: PARKED_STATUSES },
+      attributes: ['id', 'worldMembershipId', 'currentAirport']
+    }) : [];
+
+    if (aircraft.length > 0) {
+      const homes = await this.resolveHomeAirports(aircraft, baseByMembership);
+
+      const flights = await ScheduledFlight.findAll({
+        where: {
+          aircraftId: aircraft.map(a => a.id),
+          scheduledDate: { [Op.between]: [addDays(date, -2), date] },
+          status: { [Op.notIn]: RELEASED_STATUSES },
+          ...(excludeScheduledFlightIds.length > 0 ? { id: { [Op.notIn]: excludeScheduledFlightIds } } : {})
+        },
+        attributes: ['id', 'aircraftId', 'scheduledDate', 'departureTime', 'arrivalDate', 'arrivalTime'],
+        include: [{
+          model: Route,
+          as: 'route',
+          attributes: ['id', 'departureAirportId', 'arrivalAirportId', 'techStopAirportId', 'turnaroundTime', 'distance']
+        }]
+      });
+
+      const movementsByAircraft = new Map();
+      for (const flight of flights) {
+        if (!flight.route) continue;
+        if (!movementsByAircraft.has(flight.aircraftId)) movementsByAircraft.set(flight.aircraftId, []);
+        movementsByAircraft.get(flight.aircraftId).push(...airportSlotService.getFlightMovements(flight, flight.route));
+      }
+
+      for (const a of aircraft) {
+        for (const interval of this.getGroundIntervals(movementsByAircraft.get(a.id) || [], homes.get(a.id))) {
+          mark(interval.airportId, interval.from, interval.to, 'player');
+        }
+      }
+    }
+
+    // NPC fleets: parked at base unless flying a rotation, on stand at the destination while turning round
+    const npcRoutes = await NpcRoute.findAll({
+      where: {
+        [Op.or]: [
+          { departureAirportId: airportIds },
+          { arrivalAirportId: airportIds }
+        ]
+      },
+      include: [
+        { model: NpcAirline, as: 'airline', where: { worldId, isActive: true }, attributes: ['id'] },
+        { model: Airport, as: 'departureAirport', attributes: ['id', 'latitude', 'longitude'] },
+        { model: Airport, as: 'arrivalAirport', attributes: ['id', 'latitude', 'longitude'] },
+        { model: Aircraft, as: 'aircraft', attributes: ['id', 'cruiseSpeed'] }
+      ]
+    });
+
+    // Required here: npcAirlineService loads flightCostService, which loads this service
+    const npcAirlineService = require('./npcAirlineService');
+    for (const route of npcRoutes) {
+      const rotations = npcAirlineService.getRotations(route, bounds[0], bounds[24]);
+
+      for (const rotation of rotations) {
+        mark(route.arrivalAirportId, rotation.destinationArrival, rotation.destinationDeparture, 'npc');
+      }
+
+      const base = occupancy.get(route.departureAirportId);
+      if (base) {
+        for (let hour = 0; hour < 24; hour++) {
+          const awayAllHour = rotations.filter(r => r.start <= bounds[hour] && r.end >= bounds[hour + 1]).length;
+          base[hour].npc += Math.max(0, (route.aircraftCount || 1) - awayAllHour);
+        }
+      }
+    }
+
+    return occupancy;
+  }
+
+  /**
+   * Home airport of each aircraft: where it was last recorded, otherwise its airline's base
+   * @private
+   */
+  async resolveHomeAirports(aircraft, baseByMembership) {
+    const codes = [...new Set(aircraft.map(a => a.currentAirport).filter(Boolean))];
+    const airports = codes.length > 0
+      ? await Airport.findAll({ where: { icaoCode: codes }, attributes: ['id', 'icaoCode'] })
+      : [];
+    const idByCode = new Map(airports.map(a => [a.icaoCode, a.id]));
+
+    return new Map(aircraft.map(a => [
+      a.id,
+      idByCode.get(a.currentAirport) || baseByMembership.get(a.worldMembershipId) || null
+    ]));
+  }
+
+  /**
+   * Stand utilisation at an airport for each hour of a date
+   *
+   * @param {string} airportId - Airport UUID
+   * @param {string} worldId - World UUID
+   * @param {string} date - YYYY-MM-DD
+   * @returns {Promise<Object>} - { airportId, icaoCode, stands, date, peakUtilisation, averageUtilisation, hours: [...] }
+   */
+  async getHourlyProfile(airportId, worldId, date) {
+    const airport = await Airport.findByPk(airportId);
+    if (!airport) {
+      throw new Error('Airport not found');
+    }
+
+    const stands = this.getCapacity(airport, parseInt(date.substring(0, 4)));
+    const occupancy = (await this.getHourlyOccupancy([airportId], worldId, date)).get(airportId);
+
+    const hours = occupancy.map(h => {
+      const occupied = h.player + h.npc;
+      return {
+        hour: h.hour,
+        stands,
+        occupied,
+        player: h.player,
+        npc: h.npc,
+        available: Math.max(0, stands - occupied),
+        utilisation: stands > 0 ? Math.min(100, Math.round((occupied / stands) * 100)) : 100
+      };
+    });
+
+    return {
+      airportId: airport.id,
+      icaoCode: airport.icaoCode,
+      stands,
+      date,
+      peakUtilisation: Math.max(...hours.map(h => h.utilisation)),
+      averageUtilisation: Math.round(hours.reduce((sum, h) => sum + h.utilisation, 0) / 24),
+      hours
+    };
+  }
+
+  /**
+   * Cached hourly profile, for pricing many flights in one pass
+   * @private
+   */
+  async getCachedProfile(airportId, worldId, date) {
+    const key = `${worldId}|${airportId}|${date}`;
+    const cached = this.profileCache.get(key);
+    if (cached && cached.expires > Date.now()) return cached.profile;
+
+    const profile = await this.getHourlyProfile(airportId, worldId, date);
+    this.profileCache.set(key, { profile, expires: Date.now() + PROFILE_CACHE_TTL_MS });
+
+    // Drop stale entries so the cache doesn't grow without bound
+    if (this.profileCache.size > 500) {
+      for (const [k, v] of this.profileCache) {
+        if (v.expires <= Date.now()) this.profileCache.delete(k);
+      }
+    }
+
+    return profile;
+  }
+
+  /**
+   * Parking congestion multipliers for the outstations a flight stands at
+   *
+   * @param {Object} flight - ScheduledFlight with route loaded
+   * @param {string} worldId - World UUID
+   * @returns {Promise<Object>} - Map of airportId -> multiplier
+   */
+  async getFlightParkingMultipliers(flight, worldId) {
+    const route = flight.route;
+    const multipliers = {};
+    const movements = airportSlotService.getFlightMovements(flight, route);
+
+    for (const movement of movements) {
+      if (movement.type !== 'arrival' || movement.airportId === route.departureAirportId) continue;
+      const profile = await this.getCachedProfile(movement.airportId, worldId, formatLocalDate(movement.at));
+      const utilisation = profile.hours[movement.at.getHours()].utilisation;
+      multipliers[movement.airportId] = Math.max(multipliers[movement.airportId] || 1, this.getCongestionMultiplier(utilisation));
+    }
+
+    return multipliers;
+  }
+
+  /**
+   * Check that each flight finds a stand wherever it stops away from base
+   * Flights are checked in order and count against the ones before them. Flights that fit
+   * but leave an airport nearly full carry warnings.
+   *
+   * @param {string} worldId - World UUID
+   * @param {Object} route - Route with airport ids, turnaroundTime and distance
+   * @param {Array<Object>} flights - [{ scheduledDate, departureTime, arrivalDate, arrivalTime }]
+   * @param {Object} [options]
+   * @param {Array<string>} [options.excludeScheduledFlightIds] - Existing flights to ignore
+   * @returns {Promise<Array<{allowed: boolean, conflict?: Object, warnings: Array<Object>}>>}
+   */
+  async checkFlightStands(worldId, route, flights, { excludeScheduledFlightIds = [] } = {}) {
+    const outstationIds = [route.arrivalAirportId, route.techStopAirportId].filter(Boolean);
+    const airports = new Map((await Airport.findAll({ where: { id: outstationIds } })).map(a => [a.id, a]));
+    const days = new Map();
+
+    const load = async (date) => {
+      if (!days.has(date)) {
+        const occupancy = await this.getHourlyOccupancy(outstationIds, worldId, date, { excludeScheduledFlightIds });
+        const totals = new Map();
+        for (const [airportId, hours] of occupancy) {
+          totals.set(airportId, hours.map(h => h.player + h.npc));
+        }
+        days.set(date, { totals, bounds: getHourBounds(date) });
+      }
+      return days.get(date);
+    };
+
+    const results = [];
+    for (const flight of flights) {
+      const movements = airportSlotService.getFlightMovements(flight, route);
+      const intervals = this.getGroundIntervals(movements, null)
+        .filter(i => i.airportId !== route.departureAirportId && Number.isFinite(i.from) && Number.isFinite(i.to));
+
+      // Every hour of every date the flight stands at an outstation
+      const needed = [];
+      for (const interval of intervals) {
+        const firstDate = formatLocalDate(new Date(interval.from));
+        const lastDate = formatLocalDate(new Date(interval.to - 1));
+        for (let date = firstDate; date <= lastDate; date = addDays(date, 1)) {
+          const day = await load(date);
+          for (let hour = 0; hour < 24; hour++) {
+            if (interval.from < day.bounds[hour + 1] && interval.to > day.bounds[hour]) {
+              needed.push({ airportId: interval.airportId, date, hour, usage: day.totals.get(interval.airportId) });
+            }
+          }
+        }
+      }
+
+      let conflict = null;
+      const warnings = [];
+      for (const slot of needed) {
+        const airport = airports.get(slot.airportId);
+        const stands = this.getCapacity(airport, parseInt(slot.date.substring(0, 4)));
+        const occupied = slot.usage[slot.hour] + 1;
+        const details = {
+          airportId: airport.id,
+          icaoCode: airport.icaoCode,
+          airportName: airport.name,
+          date: slot.date,
+          hour: slot.hour,
+          stands,
+          occupied
+        };
+
+        if (occupied > stands) {
+          conflict = details;
+          break;
+        }
+        if ((occupied / stands) * 100 >= STAND_WARNING_UTILISATION &&
+            !warnings.some(w => w.airportId === details.airportId && w.date === details.date)) {
+          warnings.push(details);
+        }
+      }
+
+      if (conflict) {
+        results.push({ allowed: false, conflict, warnings: [] });
+        continue;
+      }
+
+      for (const slot of needed) slot.usage[slot.hour] += 1;
+      results.push({ allowed: true, warnings });
+    }
+
+    return results;
+  }
+
+  /**
+   * Charge every airline for the time its aircraft spent parked at home over the past week
+   * Time away on flights is excluded - outstation parking is charged with each flight
+   *
+   * @param {string} worldId - World UUID
+   * @param {Date} gameTime - Current game time
+   */
+  async processWeeklyParking(worldId, gameTime) {
+    const today = formatLocalDate(gameTime);
+    const weekStart = addDays(today, -7);
+    const year = gameTime.getFullYear();
+    const eraMultiplier = eraEconomicService.getEraMultiplier(year);
+
+    // Required here: flightCostService loads this service
+    const flightCostService = require('./flightCostService');
+
+    const memberships = await WorldMembership.findAll({
+      where: { worldId, isActive: true },
+      attributes: ['id', 'baseAirportId']
+    });
+    if (memberships.length === 0) return;
+
+    // Airlines with a parking_week entry this game week have paid for their stands;
+    // weeks are counted the way worldTimeService schedules the job
+    const charged = new Set((await LedgerEntry.findAll({
+      where: {
+        worldMembershipId: memberships.map(m => m.id),
+        referenceType: 'parking_week',
+        gameTime: { [Op.gte]: new Date(Math.floor(gameTime.getTime() / WEEK_MS) * WEEK_MS) }
+      },
+      attributes: ['worldMembershipId']
+    })).map(e => e.worldMembershipId));
+
+    const baseByMembership = new Map(memberships.filter(m => !charged.has(m.id)).map(m => [m.id, m.baseAirportId]));
+    if (baseByMembership.size === 0) return;
+
+    const aircraft = await UserAircraft.findAll({
+      where: { worldMembershipId: [...baseByMembership.keys()], status: PARKED_STATUSES },
+      attributes: ['id', 'worldMembershipId', 'currentAirport', 'registration'],
+      include: [{ model: Aircraft, as: 'aircraft' }]
+    });
+    if (aircraft.length === 0) return;
+
+    const homes = await this.resolveHomeAirports(aircraft, baseByMembership);
+    const airports = new Map((await Airport.findAll({
+      where: { id: [...new Set([...homes.values()].filter(Boolean))] }
+    })).map(a => [a.id, a]));
+
+    const flights = await ScheduledFlight.findAll({
+      where: {
+        aircraftId: aircraft.map(a => a.id),
+        scheduledDate: { [Op.gte]: weekStart, [Op.lt]: today },
+        status: FLOWN_STATUSES
+      },
+      attributes: ['aircraftId', 'scheduledDate', 'departureTime', 'arrivalDate', 'arrivalTime']
+    });
+
+    const awayHours = new Map();
+    for (const flight of flights) {
+      const departure = new Date(`${flight.scheduledDate}T${flight.departureTime}`);
+      const arrival = new Date(`${flight.arrivalDate || flight.scheduledDate}T${flight.arrivalTime}`);
+      awayHours.set(flight.aircraftId, (awayHours.get(flight.aircraftId) || 0) + Math.max(0, (arrival - departure) / HOUR_MS));
+    }
+
+    const multipliers = new Map();
+    const charges = new Map();
+    for (const a of aircraft) {
+      const airport = airports.get(homes.get(a.id));
+      if (!airport || !a.aircraft) continue;
+
+      if (!multipliers.has(airport.id)) {
+        const profile = await this.getCachedProfile(airport.id, worldId, today);
+        multipliers.set(airport.id, this.getCongestionMultiplier(profile.averageUtilisation));
+      }
+
+      const parkedHours = Math.max(0, WEEK_HOURS - (awayHours.get(a.id) || 0));
+      const charge = parkedHours * flightCostService.getAirportFees(airport).parkingPerHour *
+        flightCostService.getSizeFactor(a.aircraft) * eraMultiplier * multipliers.get(airport.id);
+
+      const entry = charges.get(a.worldMembershipId) || { total: 0, count: 0 };
+      entry.total += charge;
+      entry.count += 1;
+      charges.set(a.worldMembershipId, entry);
+    }
+
+    for (const [worldMembershipId, { total, count }] of charges) {
+      if (total <= 0) continue;
+      await ledgerService.post({
+        worldMembershipId,
+        category: 'parking',
+        amount: -Math.round(total * 100) / 100,
+        gameTime,
+        description: `Home base parking for ${count} aircraft, week to ${today}`,
+        referenceType: 'parking_week'
+      });
+    }
+  }
+}
+
+// Singleton instance
+const airportStandService = new AirportStandService();
+
+module.exports = airportStandService;
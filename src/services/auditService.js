@@ -0,0 +1,162 @@
+const { Op } = require('sequelize');
+const { AdminAuditLog, User, World } = require('../models');
+
+// Most entries returned by one page of the audit log
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Audit Service
+ * Persistent trail of every change made through the admin API
+ */
+class AuditService {
+
+  /**
+   * Plain values of the given fields of an instance (or object)
+   *
+   * @param {Object|null} source - Sequelize instance or plain object
+   * @param {string[]} fields
+   * @returns {Object|null}
+   */
+  snapshot(source, fields) {
+    if (!source) return null;
+    const values = typeof source.get === 'function' ? source.get({ plain: true }) : source;
+    const result = {};
+    for (const field of fields) {
+      if (values[field] !== undefined) result[field] = values[field];
+    }
+    return result;
+  }
+
+  /**
+   * Keep only the fields whose value changed
+   * @private
+   */
+  diff(before, after) {
+    if (!before || !after) return { before, after };
+
+    const changedBefore = {};
+    const changedAfter = {};
+    for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+      if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+        changedBefore[key] = before[key];
+        changedAfter[key] = after[key];
+      }
+    }
+    return { before: changedBefore, after: changedAfter };
+  }
+
+  /**
+   * Record an admin action
+   * Failures are logged rather than thrown so the action itself still succeeds
+   *
+   * @param {Object} req - Express request with req.adminAccess
+   * @param {Object} entry
+   * @param {string} entry.action - e.g. 'airline.balance'
+   * @param {string} entry.targetType
+   * @param {string} [entry.targetId]
+   * @param {string} [entry.targetLabel]
+   * @param {string} [entry.worldId]
+   * @param {Object} [entry.before] - Values before (null for creations)
+   * @param {Object} [entry.after] - Values after (null for deletions)
+   */
+  async record(req, { action, targetType, targetId = null, targetLabel = null, worldId = null, before = null, after = null }) {
+    try {
+      const actor = req.adminAccess?.user;
+      const changes = this.diff(before, after);
+
+      await AdminAuditLog.create({
+        actorUserId: actor?.id || null,
+        actorName: actor ? `${actor.firstName} ${actor.lastName} (${actor.vatsimId})` : 'Unknown',
+        actorRoles: (req.adminAccess?.roles || []).join(','),
+        action,
+        targetType,
+        targetId: targetId !== null ? String(targetId) : null,
+        targetLabel,
+        worldId,
+        beforeValues: changes.before ? JSON.stringify(changes.before) : null,
+        afterValues: changes.after ? JSON.stringify(changes.after) : null,
+        ipAddress: req.ip || null
+      });
+    } catch (error) {
+      console.error(`Failed to write audit entry for ${action}:`, error.message);
+    }
+  }
+
+  /**
+   * Page through the audit log, newest first
+   *
+   * @param {Object} filters
+   * @param {string} [filters.action] - Exact action, or a prefix ending in '.' (e.g. 'world.')
+   * @param {string} [filters.actorUserId]
+   * @param {string} [filters.targetType]
+   * @param {string} [filters.targetId]
+   * @param {string} [filters.worldId]
+   * @param {string} [filters.search] - Matches actor name or target label
+   * @param {string} [filters.from] - ISO date
+   * @param {string} [filters.to] - ISO date
+   * @param {number} [filters.page=1]
+   * @param {number} [filters.limit=50]
+   * @returns {Promise<{entries: Array, total: number, page: number, pages: number}>}
+   */
+  async list(filters = {}) {
+    const where = {};
+
+    if (filters.action) {
+      where.action = filters.action.endsWith('.') ? { [Op.startsWith]: filters.action } : filters.action;
+    }
+    if (filters.actorUserId) where.actorUserId = filters.actorUserId;
+    if (filters.targetType) where.targetType = filters.targetType;
+    if (filters.targetId) where.targetId = filters.targetId;
+    if (filters.worldId) where.worldId = filters.worldId;
+    if (filters.search) {
+      where[Op.or] = [
+        { actorName: { [Op.iLike]: `%${filters.search}%` } },
+        { targetLabel: { [Op.iLike]: `%${filters.search}%` } }
+      ];
+    }
+    if (filters.from || filters.to) {
+      where.createdAt = {};
+      if (filters.from) where.createdAt[Op.gte] = new Date(filters.from);
+      if (filters.to) where.createdAt[Op.lte] = new Date(`${filters.to}T23:59:59.999Z`);
+    }
+
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(filters.limit) || 50));
+    const page = Math.max(1, parseInt(filters.page) || 1);
+
+    const { rows, count } = await AdminAuditLog.findAndCountAll({
+      where,
+      include: [
+        { model: User, as: 'actor', attributes: ['id', 'vatsimId', 'firstName', 'lastName'], required: false },
+        { model: World, as: 'world', attributes: ['id', 'name'], required: false }
+      ],
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    const parse = (value) => {
+      if (!value) return null;
+      try {
+        return JSON.parse(value);
+      } catch {
+        return value;
+      }
+    };
+
+    return {
+      entries: rows.map(row => ({
+        ...row.toJSON(),
+        beforeValues: parse(row.beforeValues),
+        afterValues: parse(row.afterValues)
+      })),
+      total: count,
+      page,
+      pages: Math.max(1, Math.ceil(count / limit))
+    };
+  }
+}
+
+// Singleton instance
+const auditService = new AuditService();
+
+module.exports = auditService;
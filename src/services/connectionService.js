@@ -0,0 +1,274 @@
+const { Op } = require('sequelize');
+const { Route, ScheduledFlight, UserAircraft, Aircraft, Airport, ConnectingTraffic } = require('../models');
+const marketShareService = require('./marketShareService');
+const { DEFAULT_CRUISE_SPEED, calculateDistanceNm } = require('../utils/flightCalculations');
+
+// Shortest time a passenger needs to change planes at the hub (minimum connection time)
+const MIN_CONNECTION_MINUTES = 45;
+
+// Longest wait at the hub anyone will book
+const MAX_CONNECTION_MINUTES = 360;
+
+// How far out of the way an itinerary may go: flown distance over the direct distance
+const MAX_ROUTING_RATIO = 1.5;
+
+// Time lost at a tech stop on each leg
+const TECH_STOP_MINUTES = 30;
+
+// Game days of connecting traffic summarised on the routes screen
+const CONNECTION_HISTORY_DAYS = 30;
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Format a Date as YYYY-MM-DD in server local time (how scheduled dates are stored)
+ */
+function formatLocalDate(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Add days to a YYYY-MM-DD date
+ */
+function addDays(dateStr, days) {
+  const date = new Date(`${dateStr}T00:00:00`);
+  date.setDate(date.getDate() + days);
+  return formatLocalDate(date);
+}
+
+/**
+ * Connection Service
+ * Finds the itineraries an airline's schedule offers through its hub: a leg into the
+ * hub followed by a leg out of it within the connection window, between two airports
+ * no airline serves direct
+ */
+class ConnectionService {
+
+  /**
+   * Timings of both legs of a scheduled round trip
+   *
+   * @param {Object} flight - ScheduledFlight with route and aircraft (with aircraft type) loaded
+   * @returns {Array<Object>} - [outbound, return]: { direction, flightId, routeId, fromAirportId, toAirportId, distance, departs, arrives, route }
+   */
+  getLegTimes(flight) {
+    const route = flight.route;
+    const distance = parseFloat(route.distance) || 0;
+    const cruiseSpeed = flight.aircraft?.aircraft?.cruiseSpeed || DEFAULT_CRUISE_SPEED;
+    const blockMs = (distance / cruiseSpeed * 60 + (route.techStopAirportId ? TECH_STOP_MINUTES : 0)) * MINUTE_MS;
+
+    const outboundDeparts = new Date(`${flight.scheduledDate}T${flight.departureTime}`);
+    const outboundArrives = new Date(outboundDeparts.getTime() + blockMs);
+    const returnDeparts = new Date(outboundArrives.getTime() + (route.turnaroundTime || 45) * MINUTE_MS);
+    const returnArrives = new Date(returnDeparts.getTime() + blockMs);
+
+    const leg = (direction, fromAirportId, toAirportId, departs, arrives) => ({
+      direction,
+      flightId: flight.id,
+      routeId: route.id,
+      fromAirportId,
+      toAirportId,
+      distance,
+      departs,
+      arrives,
+      route
+    });
+
+    return [
+      leg('outbound', route.departureAirportId, route.arrivalAirportId, outboundDeparts, outboundArrives),
+      leg('return', route.arrivalAirportId, route.departureAirportId, returnDeparts, returnArrives)
+    ];
+  }
+
+  /**
+   * Itineraries through the hub that each leg of a flight can sell
+   * A leg into the hub feeds the airline's departures leaving it within the connection
+   * window, and a leg out of the hub carries passengers off its arrivals. Each market
+   * takes the shortest connection on offer; markets flown direct by anyone are left to
+   * the direct flights, and ones that go too far out of the way are dropped
+   *
+   * @param {Object} flight - ScheduledFlight with route and aircraft (with aircraft type) loaded
+   * @param {string} hubAirportId - The airline's hub (its base airport)
+   * @param {string} worldId
+   * @returns {Promise<Array<Array<Object>>>} - Per leg [outbound, return], itineraries:
+   *   { originAirportId, destinationAirportId, firstLeg, secondLeg, connectingLeg, connectionMinutes, directDistance, routingRatio }
+   */
+  async findItineraries(flight, hubAirportId, worldId) {
+    const legs = this.getLegTimes(flight);
+    if (!hubAirportId || !legs.some(leg => leg.fromAirportId === hubAirportId || leg.toAirportId === hubAirportId)) {
+      return [[], []];
+    }
+
+    // The airline's other flights through the hub around the same days
+    const others = await ScheduledFlight.findAll({
+      where: {
+        id: { [Op.ne]: flight.id },
+        scheduledDate: { [Op.between]: [addDays(flight.scheduledDate, -2), addDays(flight.scheduledDate, 2)] },
+        status: { [Op.notIn]: ['cancelled', 'missed'] }
+      },
+      include: [
+        {
+          model: Route,
+          as: 'route',
+          where: {
+            worldMembershipId: flight.route.worldMembershipId,
+            [Op.or]: [{ departureAirportId: hubAirportId }, { arrivalAirportId: hubAirportId }]
+          }
+        },
+        {
+          model: UserAircraft,
+          as: 'aircraft',
+          attributes: ['id'],
+          include: [{ model: Aircraft, as: 'aircraft', attributes: ['cruiseSpeed'] }]
+        }
+      ]
+    });
+    const otherLegs = others.flatMap(other => this.getLegTimes(other));
+
+    const waitMinutes = (arrives, departs) => (departs - arrives) / MINUTE_MS;
+    const inWindow = (minutes) => minutes >= MIN_CONNECTION_MINUTES && minutes <= MAX_CONNECTION_MINUTES;
+
+    const candidates = legs.map(leg => {
+      const best = new Map();
+      const consider = (firstLeg, secondLeg, connectingLeg) => {
+        const connectionMinutes = waitMinutes(firstLeg.arrives, secondLeg.departs);
+        if (!inWindow(connectionMinutes) || firstLeg.fromAirportId === secondLeg.toAirportId) return;
+
+        const market = `${firstLeg.fromAirportId}:${secondLeg.toAirportId}`;
+        if (!best.has(market) || connectionMinutes < best.get(market).connectionMinutes) {
+          best.set(market, {
+            originAirportId: firstLeg.fromAirportId,
+            destinationAirportId: secondLeg.toAirportId,
+            firstLeg,
+            secondLeg,
+            connectingLeg,
+            connectionMinutes: Math.round(connectionMinutes)
+          });
+        }
+      };
+
+      for (const other of otherLegs) {
+        if (leg.toAirportId === hubAirportId && other.fromAirportId === hubAirportId) {
+          consider(leg, other, other);
+        }
+        if (leg.fromAirportId === hubAirportId && other.toAirportId === hubAirportId) {
+          consider(other, leg, other);
+        }
+      }
+      return [...best.values()];
+    });
+
+    const all = candidates.flat();
+    if (all.length === 0) return [[], []];
+
+    // Travellers with a nonstop take it
+    const markets = [...new Set(all.map(i => `${i.originAirportId}:${i.destinationAirportId}`))];
+    const served = new Set();
+    for (const market of markets) {
+      const [originAirportId, destinationAirportId] = market.split(':');
+      const direct = await marketShareService.findServingRoutes(worldId, originAirportId, destinationAirportId);
+      if (direct.length > 0) served.add(market);
+    }
+
+    const airportIds = [...new Set(all.flatMap(i => [i.originAirportId, i.destinationAirportId]))];
+    const airports = await Airport.findAll({
+      where: { id: airportIds },
+      attributes: ['id', 'latitude', 'longitude']
+    });
+    const airportById = new Map(airports.map(a => [a.id, a]));
+
+    return candidates.map(itineraries => itineraries
+      .map(itinerary => {
+        const origin = airportById.get(itinerary.originAirportId);
+        const destination = airportById.get(itinerary.destinationAirportId);
+        if (!origin || !destination || served.has(`${itinerary.originAirportId}:${itinerary.destinationAirportId}`)) return null;
+
+        const directDistance = calculateDistanceNm(origin, destination);
+        const routingRatio = directDistance > 0
+          ? (itinerary.firstLeg.distance + itinerary.secondLeg.distance) / directDistance
+          : Infinity;
+        if (routingRatio > MAX_ROUTING_RATIO) return null;
+
+        return { ...itinerary, directDistance: Math.round(directDistance), routingRatio: Math.round(routingRatio * 100) / 100 };
+      })
+      .filter(Boolean));
+  }
+
+  /**
+   * How appealing an itinerary is next to the ideal connection: a short wait and
+   * hardly any detour
+   *
+   * @param {Object} itinerary - From findItineraries
+   * @returns {number} - 0-1
+   */
+  getItineraryQuality(itinerary) {
+    const detour = 1 - (itinerary.routingRatio - 1) / (MAX_ROUTING_RATIO - 1);
+    const wait = 1 - 0.5 * (itinerary.connectionMinutes - MIN_CONNECTION_MINUTES) / (MAX_CONNECTION_MINUTES - MIN_CONNECTION_MINUTES);
+    return Math.max(0, Math.min(1, detour)) * Math.max(0.5, Math.min(1, wait));
+  }
+
+  /**
+   * Connecting passengers carried on each leg of a set of routes over recent game days,
+   * by market
+   *
+   * @param {string[]} routeIds
+   * @param {Date} gameTime
+   * @returns {Promise<Map<string, Object>>} - routeId -> { days, outbound, return }, each leg
+   *   { passengers, revenue, markets: [{ origin, destination, passengers, revenue }] }
+   */
+  async getRouteConnections(routeIds, gameTime) {
+    const summary = new Map();
+    if (routeIds.length === 0) return summary;
+
+    const since = new Date(gameTime);
+    since.setDate(since.getDate() - CONNECTION_HISTORY_DAYS);
+
+    const rows = await ConnectingTraffic.findAll({
+      where: {
+        routeId: routeIds,
+        gameDate: { [Op.gte]: formatLocalDate(since) }
+      },
+      include: [
+        { model: Airport, as: 'originAirport', attributes: ['id', 'icaoCode', 'iataCode', 'city'] },
+        { model: Airport, as: 'destinationAirport', attributes: ['id', 'icaoCode', 'iataCode', 'city'] }
+      ]
+    });
+
+    for (const row of rows) {
+      if (!summary.has(row.routeId)) {
+        summary.set(row.routeId, {
+          days: CONNECTION_HISTORY_DAYS,
+          outbound: { passengers: 0, revenue: 0, markets: [] },
+          return: { passengers: 0, revenue: 0, markets: [] }
+        });
+      }
+
+      const leg = summary.get(row.routeId)[row.legDirection];
+      const revenue = parseFloat(row.revenue) || 0;
+      leg.passengers += row.passengers;
+      leg.revenue += revenue;
+
+      let market = leg.markets.find(m => m.origin.id === row.originAirportId && m.destination.id === row.destinationAirportId);
+      if (!market) {
+        market = { origin: row.originAirport, destination: row.destinationAirport, passengers: 0, revenue: 0 };
+        leg.markets.push(market);
+      }
+      market.passengers += row.passengers;
+      market.revenue += revenue;
+    }
+
+    for (const route of summary.values()) {
+      for (const leg of [route.outbound, route.return]) {
+        leg.revenue = Math.round(leg.revenue * 100) / 100;
+        leg.markets.sort((a, b) => b.passengers - a.passengers);
+        leg.markets.forEach(m => { m.revenue = Math.round(m.revenue * 100) / 100; });
+      }
+    }
+
+    return summary;
+  }
+}
+
+// Singleton instance
+const connectionService = new ConnectionService();
+
+module.exports = connectionService;
@@ -0,0 +1,1051 @@
+const { Op } = require('sequelize');
+const sequelize = require('../config/database');
+const { CrewPool, CrewTraining, Airport, Aircraft, UserAircraft, Route, ScheduledFlight, FerryFlight, WorldMembership, LedgerEntry, Notification } = require('../models');
+const eraEconomicService = require('./eraEconomicService');
+const ledgerService = require('./ledgerService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const WEEK_MS = 7 * DAY_MS;
+
+const ROLES = ['pilot', 'cabin_crew'];
+
+// Scheduled flights in these states need no crew
+const RELEASED_STATUSES = ['cancelled', 'missed'];
+
+// Crew report this long before departure and are released this long after the final arrival
+const REPORT_HOURS = 1;
+const RELEASE_HOURS = 0.5;
+
+// Longest duty a crew member may work in a day; longer rotations carry a relief crew
+const MAX_DUTY_PERIOD_HOURS = 13;
+
+// Most duty hours a crew member may work in any 7 consecutive days
+const WEEKLY_DUTY_LIMIT_HOURS = 60;
+
+// Weeks of salary paid to each crew member let go
+const SEVERANCE_WEEKS = 4;
+
+// Weeks of salary spent recruiting and inducting each new hire (booked as training)
+const RECRUITMENT_WEEKS = 2;
+
+// Most crew hired, let go or moved in one request
+const MAX_CREW_PER_REQUEST = 100;
+
+// How far ahead the staffing overview looks for flights without enough crew (days)
+const STAFFING_LOOKAHEAD_DAYS = 7;
+
+// Game days a course takes to qualify crew on a new aircraft family
+const TRAINING_DAYS = { pilot: 28, cabin_crew: 7 };
+
+// Extra game days new hires spend in induction before their type course
+const NEW_HIRE_INDUCTION_DAYS = 14;
+
+// Pilots an airline can have in the simulators for one aircraft family at a time; later courses queue
+const SIMULATOR_SEATS_PER_TYPE = 8;
+
+// Courses in these states still hold their trainees (and pay them)
+const ACTIVE_TRAINING_STATUSES = ['queued', 'training'];
+
+/**
+ * Format a Date as YYYY-MM-DD in server local time (how scheduled dates are stored)
+ */
+function formatLocalDate(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Add days to a YYYY-MM-DD date
+ */
+function addDays(dateStr, days) {
+  const date = new Date(`${dateStr}T00:00:00`);
+  date.setDate(date.getDate() + days);
+  return formatLocalDate(date);
+}
+
+/**
+ * Format a YYYY-MM-DD date as DD/MM/YYYY for messages
+ */
+function formatDisplayDate(dateStr) {
+  const [year, month, day] = dateStr.split('-');
+  return `${day}/${month}/${year}`;
+}
+
+/**
+ * Describe a number of crew, e.g. "3 Boeing 737 pilots" or "1 Boeing 737 cabin crew member"
+ */
+function describeCrew(headcount, role, typeRating) {
+  const noun = role === 'pilot' ? 'pilot' : 'cabin crew member';
+  return `${headcount} ${typeRating ? `${typeRating} ` : ''}${noun}${headcount === 1 ? '' : 's'}`;
+}
+
+/**
+ * Key of the crew pool a requirement draws on
+ */
+function poolKey(baseAirportId, role, typeRating) {
+  return `${baseAirportId}|${role}|${typeRating || ''}`;
+}
+
+/**
+ * Duty hours booked against each crew pool, by day
+ * Flights accepted during a batch are added so later flights in the batch see them
+ */
+class CrewRoster {
+  constructor(service, membershipId, headcounts, excludeScheduledFlightIds = []) {
+    this.service = service;
+    this.membershipId = membershipId;
+    this.headcounts = headcounts;
+    this.excludeScheduledFlightIds = excludeScheduledFlightIds;
+    this.hours = new Map(); // key -> Map(date -> duty hours)
+    this.loaded = new Set();
+  }
+
+  /**
+   * Load the airline's flights and ferries departing within a week either side of the given dates
+   */
+  async load(dates) {
+    const needed = new Set();
+    for (const date of dates) {
+      for (let offset = -6; offset <= 6; offset++) needed.add(addDays(date, offset));
+    }
+    const missing = [...needed].filter(date => !this.loaded.has(date));
+    if (missing.length === 0) return;
+
+    const flights = await this.service.getAirlineFlights(this.membershipId, missing, this.excludeScheduledFlightIds);
+    for (const flight of flights) {
+      this.add(this.service.getCrewRequirements(flight, flight.route, flight.aircraft.aircraft));
+    }
+    const ferries = await this.service.getAirlineFerries(this.membershipId, missing);
+    for (const ferry of ferries) {
+      const route = this.service.getFerryCrewRoute(ferry, ferry.aircraft.aircraft, this.headcounts);
+      this.add(this.service.getCrewRequirements(ferry, route, ferry.aircraft.aircraft));
+    }
+    missing.forEach(date => this.loaded.add(date));
+  }
+
+  getHours(key, date) {
+    return this.hours.get(key)?.get(date) || 0;
+  }
+
+  /**
+   * Duty hours in the busiest 7-day window that includes a date
+   */
+  getPeakWeekHours(key, date, extra = 0) {
+    let peak = 0;
+    for (let start = -6; start <= 0; start++) {
+      let total = extra;
+      for (let offset = start; offset < start + 7; offset++) {
+        total += this.getHours(key, addDays(date, offset));
+      }
+      peak = Math.max(peak, total);
+    }
+    return peak;
+  }
+
+  /**
+   * First requirement the airline lacks crew for, or null if they can all be crewed
+   */
+  findShortage(requirements) {
+    for (const req of requirements) {
+      const headcount = this.headcounts.get(req.key) || 0;
+      let reason = null;
+
+      if (req.crew > headcount) {
+        reason = 'crew';
+      } else if (this.getHours(req.key, req.date) + req.hours > headcount * MAX_DUTY_PERIOD_HOURS) {
+        reason = 'daily';
+      } else if (this.getPeakWeekHours(req.key, req.date, req.hours) > headcount * WEEKLY_DUTY_LIMIT_HOURS) {
+        reason = 'weekly';
+      }
+
+      if (reason) {
+        return {
+          reason,
+          role: req.role,
+          typeRating: req.typeRating,
+          baseAirportId: req.baseAirportId,
+          date: req.date,
+          crewNeeded: req.crew,
+          headcount
+        };
+      }
+    }
+    return null;
+  }
+
+  add(requirements) {
+    for (const req of requirements) {
+      if (!this.hours.has(req.key)) this.hours.set(req.key, new Map());
+      const days = this.hours.get(req.key);
+      days.set(req.date, (days.get(req.date) || 0) + req.hours);
+    }
+  }
+}
+
+/**
+ * Crew Service
+ * Airlines employ pilots and cabin crew at their bases, each qualified on one aircraft family.
+ * Every rotation departing a base needs a full crew from that base, within duty limits,
+ * and the crew are paid era-scaled salaries every week. Crew move onto a new family
+ * through training courses; pilots' courses are limited by simulator capacity.
+ */
+class CrewService {
+
+  /**
+   * Aircraft family a crew qualification covers (e.g. "Boeing 737")
+   *
+   * @param {Object} aircraftType - Aircraft instance
+   * @returns {string}
+   */
+  getTypeRating(aircraftType) {
+    return `${aircraftType.manufacturer} ${aircraftType.model}`;
+  }
+
+  /**
+   * Annual salary of one crew member
+   *
+   * @param {string} role - 'pilot' | 'cabin_crew'
+   * @param {number} year - Game year
+   * @returns {number}
+   */
+  getAnnualSalary(role, year) {
+    return role === 'pilot' ? eraEconomicService.getPilotSalary(year) : eraEconomicService.getCrewSalary(year);
+  }
+
+  /**
+   * Duty of one rotation: from report before departure to release after the final arrival
+   *
+   * @param {Object} flight - { scheduledDate, departureTime, arrivalDate, arrivalTime }
+   * @returns {{dutyHours: number, crewSets: number}} - crewSets > 1 when relief crews are needed
+   */
+  getRotationDuty(flight) {
+    const departure = new Date(`${flight.scheduledDate}T${flight.departureTime}`);
+    const arrival = flight.arrivalDate && flight.arrivalTime
+      ? new Date(`${flight.arrivalDate}T${flight.arrivalTime}`)
+      : departure;
+    const dutyHours = Math.max(0, (arrival - departure) / HOUR_MS) + REPORT_HOURS + RELEASE_HOURS;
+
+    return {
+      dutyHours: Math.round(dutyHours * 100) / 100,
+      crewSets: Math.max(1, Math.ceil(dutyHours / MAX_DUTY_PERIOD_HOURS))
+    };
+  }
+
+  /**
+   * Crew a rotation needs from its base, with the duty hours it books against them
+   * The whole rotation counts against its departure date. A ferry (route.oneWay) carries
+   * no passengers, so it needs pilots only.
+   *
+   * @param {Object} flight - { scheduledDate, departureTime, arrivalDate, arrivalTime }
+   * @param {Object} route - Route with departureAirportId, or a ferry's from getFerryCrewRoute
+   * @param {Object} aircraftType - Aircraft instance
+   * @returns {Array<Object>} - [{ key, baseAirportId, role, typeRating, date, crew, hours }]
+   */
+  getCrewRequirements(flight, route, aircraftType) {
+    const { dutyHours, crewSets } = this.getRotationDuty(flight);
+    const requirements = [];
+
+    const add = (role, typeRating, perSet) => {
+      if (!perSet) return;
+      requirements.push({
+        key: poolKey(route.departureAirportId, role, typeRating),
+        baseAirportId: route.departureAirportId,
+        role,
+        typeRating,
+        date: flight.scheduledDate,
+        crew: perSet * crewSets,
+        // Relief crews share the duty, so the hours worked don't grow with them
+        hours: perSet * dutyHours
+      });
+    };
+
+    add('pilot', this.getTypeRating(aircraftType), aircraftType.requiredPilots ?? 2);
+    if (!route.oneWay) {
+      add('cabin_crew', this.getTypeRating(aircraftType), aircraftType.requiredCabinCrew || 0);
+    }
+
+    return requirements;
+  }
+
+  /**
+   * Base a ferry is crewed from: the airport it leaves if the airline has pilots rated on
+   * the type there, otherwise the one it flies to (an aircraft being brought home)
+   *
+   * @param {Object} ferry - { departureAirportId, arrivalAirportId }
+   * @param {Object} aircraftType - Aircraft instance
+   * @param {Map<string, number>} headcounts - From getHeadcounts
+   * @returns {Object} - { oneWay: true, departureAirportId } to pass as the route to checkFlightCrew
+   */
+  getFerryCrewRoute(ferry, aircraftType, headcounts) {
+    const pilotsAtDeparture = headcounts.get(poolKey(ferry.departureAirportId, 'pilot', this.getTypeRating(aircraftType))) || 0;
+    return { oneWay: true, departureAirportId: pilotsAtDeparture > 0 ? ferry.departureAirportId : ferry.arrivalAirportId };
+  }
+
+  /**
+   * Headcount of each of an airline's crew pools
+   * @returns {Promise<Map<string, number>>}
+   */
+  async getHeadcounts(membershipId) {
+    const pools = await CrewPool.findAll({ where: { worldMembershipId: membershipId } });
+    return new Map(pools.map(pool => [poolKey(pool.baseAirportId, pool.role, pool.typeRating), pool.headcount]));
+  }
+
+  /**
+   * An airline's scheduled rotations departing on the given dates
+   * @private
+   */
+  async getAirlineFlights(membershipId, dates, excludeScheduledFlightIds = []) {
+    return ScheduledFlight.findAll({
+      where: {
+        scheduledDate: dates,
+        status: { [Op.notIn]: RELEASED_STATUSES },
+        ...(excludeScheduledFlightIds.length > 0 ? { id: { [Op.notIn]: excludeScheduledFlightIds } } : {})
+      },
+      attributes: ['id', 'scheduledDate', 'departureTime', 'arrivalDate', 'arrivalTime', 'status'],
+      include: [
+        {
+          model: Route,
+          as: 'route',
+          required: true,
+          where: { worldMembershipId: membershipId },
+          attributes: ['id', 'routeNumber', 'returnRouteNumber', 'departureAirportId']
+        },
+        {
+          model: UserAircraft,
+          as: 'aircraft',
+          required: true,
+          attributes: ['id', 'registration'],
+          include: [{
+            model: Aircraft,
+            as: 'aircraft',
+            attributes: ['id', 'manufacturer', 'model', 'requiredPilots', 'requiredCabinCrew']
+          }]
+        }
+      ],
+      order: [['scheduledDate', 'ASC'], ['departureTime', 'ASC']]
+    });
+  }
+
+  /**
+   * An airline's ferry flights departing on the given dates
+   * @private
+   */
+  async getAirlineFerries(membershipId, dates) {
+    return FerryFlight.findAll({
+      where: {
+        worldMembershipId: membershipId,
+        scheduledDate: dates,
+        status: { [Op.notIn]: RELEASED_STATUSES }
+      },
+      attributes: ['id', 'departureAirportId', 'arrivalAirportId', 'scheduledDate', 'departureTime', 'arrivalDate', 'arrivalTime'],
+      include: [{
+        model: UserAircraft,
+        as: 'aircraft',
+        required: true,
+        attributes: ['id'],
+        include: [{
+          model: Aircraft,
+          as: 'aircraft',
+          attributes: ['id', 'manufacturer', 'model', 'requiredPilots', 'requiredCabinCrew']
+        }]
+      }]
+    });
+  }
+
+  /**
+   * How many of an airline's crew are qualified on an aircraft's family, and whether
+   * that makes at least one full crew (the aircraft can't be scheduled until it does)
+   *
+   * @param {string} membershipId - WorldMembership UUID
+   * @param {Object} aircraftType - Aircraft instance
+   * @returns {Promise<Object>} - { typeRating, ready, pilots, cabinCrew } with
+   *   { required, qualified, inTraining, nextQualifiedAt } for each role
+   */
+  async getTypeRatingStatus(membershipId, aircraftType) {
+    const typeRating = this.getTypeRating(aircraftType);
+    const [pools, courses] = await Promise.all([
+      CrewPool.findAll({
+        where: { worldMembershipId: membershipId, typeRating },
+        attributes: ['role', 'headcount']
+      }),
+      CrewTraining.findAll({
+        where: { worldMembershipId: membershipId, typeRating, status: ACTIVE_TRAINING_STATUSES },
+        attributes: ['role', 'headcount', 'completesAt']
+      })
+    ]);
+
+    const roleStatus = (role, required) => {
+      const roleCourses = courses.filter(c => c.role === role);
+      const completions = roleCourses.map(c => c.completesAt).filter(Boolean).sort((a, b) => a - b);
+      return {
+        required,
+        qualified: pools.filter(p => p.role === role).reduce((sum, p) => sum + p.headcount, 0),
+        inTraining: roleCourses.reduce((sum, c) => sum + c.headcount, 0),
+        nextQualifiedAt: completions[0] || null
+      };
+    };
+
+    const pilots = roleStatus('pilot', aircraftType.requiredPilots ?? 2);
+    const cabinCrew = roleStatus('cabin_crew', aircraftType.requiredCabinCrew || 0);
+    return {
+      typeRating,
+      ready: pilots.qualified >= pilots.required && cabinCrew.qualified >= cabinCrew.required,
+      pilots,
+      cabinCrew
+    };
+  }
+
+  /**
+   * Check that each flight of a route can be crewed from its base within duty limits
+   * Flights are checked in order and count against the ones before them
+   *
+   * @param {string} membershipId - Airline operating the flights
+   * @param {Object} route - Route with departureAirportId
+   * @param {Object} aircraftType - Aircraft instance flying the route
+   * @param {Array<Object>} flights - [{ scheduledDate, departureTime, arrivalDate, arrivalTime }]
+   * @param {Object} [options]
+   * @param {Array<string>} [options.excludeScheduledFlightIds] - Existing flights to ignore
+   * @returns {Promise<Array<{allowed: boolean, shortage?: Object}>>} - Shortages include the base's baseIcao
+   */
+  async checkFlightCrew(membershipId, route, aircraftType, flights, { excludeScheduledFlightIds = [] } = {}) {
+    // Nothing flies until the airline has a full crew qualified on the type
+    const rating = await this.getTypeRatingStatus(membershipId, aircraftType);
+    if (!rating.ready) {
+      const role = rating.pilots.qualified < rating.pilots.required ? 'pilot' : 'cabin_crew';
+      const status = role === 'pilot' ? rating.pilots : rating.cabinCrew;
+      const base = await Airport.findByPk(route.departureAirportId, { attributes: ['icaoCode'] });
+      return flights.map(flight => ({
+        allowed: false,
+        shortage: {
+          reason: 'unrated',
+          role,
+          typeRating: rating.typeRating,
+          baseAirportId: route.departureAirportId,
+          date: flight.scheduledDate,
+          crewNeeded: status.required,
+          headcount: status.qualified,
+          inTraining: status.inTraining,
+          qualifiesAt: status.nextQualifiedAt,
+          baseIcao: base?.icaoCode || null
+        }
+      }));
+    }
+
+    const roster = new CrewRoster(this, membershipId, await this.getHeadcounts(membershipId), excludeScheduledFlightIds);
+    await roster.load(flights.map(f => f.scheduledDate));
+
+    let base = null;
+    const results = [];
+    for (const flight of flights) {
+      const requirements = this.getCrewRequirements(flight, route, aircraftType);
+      const shortage = roster.findShortage(requirements);
+      if (shortage) {
+        base = base || await Airport.findByPk(route.departureAirportId, { attributes: ['icaoCode'] });
+        results.push({ allowed: false, shortage: { ...shortage, baseIcao: base?.icaoCode || null } });
+      } else {
+        roster.add(requirements);
+        results.push({ allowed: true });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Crew pools of an airline with the headcount its schedule needs, and the coming
+   * flights it can't crew (checked in departure order)
+   *
+   * @param {Object} membership - WorldMembership instance
+   * @param {Date} gameTime - Current game time
+   * @returns {Promise<Object>} - { pools, requirements, understaffedFlights, weeklyPayroll }
+   */
+  async getStaffing(membership, gameTime) {
+    const year = gameTime.getFullYear();
+    const today = formatLocalDate(gameTime);
+    const dates = Array.from({ length: STAFFING_LOOKAHEAD_DAYS }, (_, i) => addDays(today, i));
+
+    const pools = await CrewPool.findAll({
+      where: { worldMembershipId: membership.id },
+      include: [{ model: Airport, as: 'baseAirport', attributes: ['id', 'icaoCode', 'name'] }],
+      order: [['role', 'ASC'], ['typeRating', 'ASC']]
+    });
+    const headcounts = new Map(pools.map(pool => [poolKey(pool.baseAirportId, pool.role, pool.typeRating), pool.headcount]));
+
+    // Headcount each pool needs for the coming week, from the busiest day and 7-day window
+    const full = new CrewRoster(this, membership.id, new Map());
+    await full.load(dates);
+    const needs = new Map();
+    const flights = await this.getAirlineFlights(membership.id, dates);
+    for (const flight of flights) {
+      for (const req of this.getCrewRequirements(flight, flight.route, flight.aircraft.aircraft)) {
+        const need = needs.get(req.key) || { baseAirportId: req.baseAirportId, role: req.role, typeRating: req.typeRating, needed: 0 };
+        need.needed = Math.max(
+          need.needed,
+          req.crew,
+          Math.ceil(full.getHours(req.key, req.date) / MAX_DUTY_PERIOD_HOURS),
+          Math.ceil(full.getPeakWeekHours(req.key, req.date) / WEEKLY_DUTY_LIMIT_HOURS)
+        );
+        needs.set(req.key, need);
+      }
+    }
+
+    // Replay the week against the crew actually employed
+    const roster = new CrewRoster(this, membership.id, headcounts, flights.map(f => f.id));
+    await roster.load(dates);
+    const understaffedFlights = [];
+    for (const flight of flights) {
+      const requirements = this.getCrewRequirements(flight, flight.route, flight.aircraft.aircraft);
+      const shortage = roster.findShortage(requirements);
+      if (shortage) {
+        understaffedFlights.push({
+          id: flight.id,
+          routeNumber: flight.route.routeNumber,
+          returnRouteNumber: flight.route.returnRouteNumber,
+          registration: flight.aircraft.registration,
+          scheduledDate: flight.scheduledDate,
+          departureTime: flight.departureTime,
+          shortage
+        });
+      } else {
+        roster.add(requirements);
+      }
+    }
+
+    const airportIds = [...new Set([...needs.values()].map(n => n.baseAirportId))];
+    const airports = new Map((await Airport.findAll({ where: { id: airportIds }, attributes: ['id', 'icaoCode', 'name'] })).map(a => [a.id, a]));
+
+    return {
+      pools: pools.map(pool => ({
+        ...pool.toJSON(),
+        needed: needs.get(poolKey(pool.baseAirportId, pool.role, pool.typeRating))?.needed || 0,
+        annualSalary: this.getAnnualSalary(pool.role, year)
+      })),
+      requirements: [...needs.entries()].map(([key, need]) => ({
+        ...need,
+        baseAirport: airports.get(need.baseAirportId) || null,
+        headcount: headcounts.get(key) || 0,
+        shortfall: Math.max(0, need.needed - (headcounts.get(key) || 0))
+      })),
+      understaffedFlights,
+      weeklyPayroll: Math.round(pools.reduce((sum, pool) => sum + pool.headcount * this.getAnnualSalary(pool.role, year) / 52, 0) * 100) / 100,
+      limits: {
+        maxDutyPeriodHours: MAX_DUTY_PERIOD_HOURS,
+        weeklyDutyLimitHours: WEEKLY_DUTY_LIMIT_HOURS
+      }
+    };
+  }
+
+  /**
+   * Airports an airline can base crew at: its main base and wherever its routes start
+   *
+   * @param {Object} membership - WorldMembership instance
+   * @returns {Promise<Set<string>>} - Airport UUIDs
+   */
+  async getCrewBases(membership) {
+    const routes = await Route.findAll({
+      where: { worldMembershipId: membership.id },
+      attributes: ['departureAirportId']
+    });
+    return new Set([membership.baseAirportId, ...routes.map(r => r.departureAirportId)].filter(Boolean));
+  }
+
+  /**
+   * Validate a crew count from a request
+   * @private
+   */
+  parseCount(count) {
+    const value = parseInt(count);
+    if (!(value >= 1 && value <= MAX_CREW_PER_REQUEST)) return null;
+    return value;
+  }
+
+  /**
+   * Hire crew at a base, paying their recruitment and induction up front
+   *
+   * @param {Object} membership - WorldMembership instance
+   * @param {Object} request
+   * @param {string} request.baseAirportId
+   * @param {string} request.role - 'pilot' | 'cabin_crew'
+   * @param {string} request.aircraftId - Aircraft type the crew are qualified on
+   * @param {number} request.count
+   * @param {Date} gameTime - Current game time
+   * @returns {Promise<Object>} - { pool, cost } or { error }
+   */
+  async hireCrew(membership, { baseAirportId, role, aircraftId, count }, gameTime) {
+    if (!ROLES.includes(role)) {
+      return { error: 'Role must be pilot or cabin_crew' };
+    }
+
+    const headcount = this.parseCount(count);
+    if (!headcount) {
+      return { error: `Hire between 1 and ${MAX_CREW_PER_REQUEST} crew at a time` };
+    }
+
+    const bases = await this.getCrewBases(membership);
+    if (!bases.has(baseAirportId)) {
+      return { error: 'Crew can only be based at your main base or an airport your routes depart from' };
+    }
+
+    const aircraftType = aircraftId ? await Aircraft.findByPk(aircraftId) : null;
+    if (!aircraftType) {
+      return { error: 'Choose the aircraft type the crew are qualified on' };
+    }
+    const typeRating = this.getTypeRating(aircraftType);
+
+    // Crew for a family the airline doesn't fly yet have to come through training
+    const qualified = await CrewPool.sum('headcount', {
+      where: { worldMembershipId: membership.id, role, typeRating }
+    });
+    if (!qualified) {
+      return { error: `Your airline has no ${role === 'pilot' ? 'pilots' : 'cabin crew'} on the ${typeRating} yet - train crew onto it first` };
+    }
+
+    const year = gameTime.getFullYear();
+    const cost = Math.round(headcount * this.getAnnualSalary(role, year) / 52 * RECRUITMENT_WEEKS * 100) / 100;
+    const balance = parseFloat(membership.balance) || 0;
+    if (balance < cost) {
+      return { error: 'Insufficient funds', required: cost, available: balance };
+    }
+
+    const pool = await sequelize.transaction(async (transaction) => {
+      const [crewPool] = await CrewPool.findOrCreate({
+        where: { worldMembershipId: membership.id, baseAirportId, role, typeRating },
+        defaults: { headcount: 0 },
+        transaction
+      });
+      await crewPool.increment('headcount', { by: headcount, transaction });
+      await crewPool.reload({ transaction });
+
+      await ledgerService.post({
+        worldMembershipId: membership.id,
+        category: 'staffTraining',
+        amount: -cost,
+        gameTime,
+        description: `Recruitment of ${describeCrew(headcount, role, typeRating)}`,
+        referenceType: 'crew_pool',
+        referenceId: crewPool.id
+      }, { transaction });
+
+      return crewPool;
+    });
+
+    return { pool, cost };
+  }
+
+  /**
+   * Let crew go from a pool, paying severance
+   *
+   * @param {Object} membership - WorldMembership instance
+   * @param {Object} pool - CrewPool instance belonging to the membership
+   * @param {number} count
+   * @param {Date} gameTime - Current game time
+   * @returns {Promise<Object>} - { pool, severance } or { error }
+   */
+  async releaseCrew(membership, pool, count, gameTime) {
+    const headcount = this.parseCount(count);
+    if (!headcount) {
+      return { error: `Release between 1 and ${MAX_CREW_PER_REQUEST} crew at a time` };
+    }
+    if (headcount > pool.headcount) {
+      return { error: `Only ${pool.headcount} crew in this pool` };
+    }
+
+    const severance = Math.round(headcount * this.getAnnualSalary(pool.role, gameTime.getFullYear()) / 52 * SEVERANCE_WEEKS * 100) / 100;
+
+    const released = await sequelize.transaction(async (transaction) => {
+      if (!await this.takeFromPool(pool, headcount, transaction)) return false;
+
+      await ledgerService.post({
+        worldMembershipId: membership.id,
+        category: 'staffSalaries',
+        amount: -severance,
+        gameTime,
+        description: `Severance for ${describeCrew(headcount, pool.role, pool.typeRating)}`,
+        referenceType: 'crew_pool',
+        referenceId: pool.id
+      }, { transaction });
+      return true;
+    });
+    if (!released) {
+      return { error: `Only ${pool.headcount} crew in this pool` };
+    }
+
+    return { pool, severance };
+  }
+
+  /**
+   * Take crew out of a pool, re-checking the headcount on the locked row so two
+   * requests can't both spend the same crew
+   * @private
+   * @returns {Promise<boolean>} - false (and nothing taken) if the pool no longer has that many
+   */
+  async takeFromPool(pool, headcount, transaction) {
+    const locked = await CrewPool.findByPk(pool.id, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!locked || locked.headcount < headcount) {
+      if (locked) pool.headcount = locked.headcount;
+      return false;
+    }
+    await locked.decrement('headcount', { by: headcount, transaction });
+    await pool.reload({ transaction });
+    return true;
+  }
+
+  /**
+   * Move crew to another base
+   *
+   * @param {Object} membership - WorldMembership instance
+   * @param {Object} pool - CrewPool instance belonging to the membership
+   * @param {string} baseAirportId - New base
+   * @param {number} count
+   * @returns {Promise<Object>} - { from, to } or { error }
+   */
+  async transferCrew(membership, pool, baseAirportId, count) {
+    const headcount = this.parseCount(count);
+    if (!headcount) {
+      return { error: `Move between 1 and ${MAX_CREW_PER_REQUEST} crew at a time` };
+    }
+    if (headcount > pool.headcount) {
+      return { error: `Only ${pool.headcount} crew in this pool` };
+    }
+    if (baseAirportId === pool.baseAirportId) {
+      return { error: 'Crew are already based there' };
+    }
+
+    const bases = await this.getCrewBases(membership);
+    if (!bases.has(baseAirportId)) {
+      return { error: 'Crew can only be based at your main base or an airport your routes depart from' };
+    }
+
+    const to = await sequelize.transaction(async (transaction) => {
+      if (!await this.takeFromPool(pool, headcount, transaction)) return null;
+
+      const [target] = await CrewPool.findOrCreate({
+        where: { worldMembershipId: membership.id, baseAirportId, role: pool.role, typeRating: pool.typeRating },
+        defaults: { headcount: 0 },
+        transaction
+      });
+      await target.increment('headcount', { by: headcount, transaction });
+      await target.reload({ transaction });
+      return target;
+    });
+    if (!to) {
+      return { error: `Only ${pool.headcount} crew in this pool` };
+    }
+
+    return { from: pool, to };
+  }
+
+  /**
+   * Game days a course takes, including induction for new hires
+   *
+   * @param {Object} course - { role, fromTypeRating }
+   * @returns {number}
+   */
+  getTrainingDays(course) {
+    return TRAINING_DAYS[course.role] + (course.fromTypeRating ? 0 : NEW_HIRE_INDUCTION_DAYS);
+  }
+
+  /**
+   * Pilots an airline has in the simulators for an aircraft family
+   * @private
+   */
+  async getSimulatorSeatsInUse(membershipId, typeRating, transaction = null) {
+    const inUse = await CrewTraining.sum('headcount', {
+      where: { worldMembershipId: membershipId, typeRating, role: 'pilot', status: 'training' },
+      transaction
+    });
+    return inUse || 0;
+  }
+
+  /**
+   * Courses an airline has booked, with what training costs and how long it takes
+   *
+   * @param {Object} membership - WorldMembership instance
+   * @param {Date} gameTime - Current game time
+   * @returns {Promise<Object>} - { courses, simulators, rates }
+   */
+  async getTraining(membership, gameTime) {
+    const year = gameTime.getFullYear();
+    const courses = await CrewTraining.findAll({
+      where: { worldMembershipId: membership.id, status: ACTIVE_TRAINING_STATUSES },
+      include: [{ model: Airport, as: 'baseAirport', attributes: ['id', 'icaoCode', 'name'] }],
+      order: [['enrolledAt', 'ASC']]
+    });
+
+    // Simulator seats taken per family
+    const simulators = {};
+    for (const course of courses.filter(c => c.role === 'pilot' && c.status === 'training')) {
+      simulators[course.typeRating] = (simulators[course.typeRating] || 0) + course.headcount;
+    }
+
+    return {
+      courses,
+      simulators: Object.entries(simulators).map(([typeRating, inUse]) => ({
+        typeRating,
+        inUse,
+        seats: SIMULATOR_SEATS_PER_TYPE
+      })),
+      rates: Object.fromEntries(ROLES.map(role => [role, {
+        costPerHead: eraEconomicService.getTypeRatingCost(role, year),
+        newHireRecruitmentCost: Math.round(this.getAnnualSalary(role, year) / 52 * RECRUITMENT_WEEKS * 100) / 100,
+        conversionDays: TRAINING_DAYS[role],
+        newHireDays: TRAINING_DAYS[role] + NEW_HIRE_INDUCTION_DAYS
+      }])),
+      simulatorSeatsPerType: SIMULATOR_SEATS_PER_TYPE
+    };
+  }
+
+  /**
+   * Book a course qualifying crew on an aircraft family
+   * Trainees are either taken off an existing pool (conversion) or recruited for the course.
+   * Pilot courses wait in a queue while the family's simulators are fully booked.
+   *
+   * @param {Object} membership - WorldMembership instance
+   * @param {Object} request
+   * @param {string} request.aircraftId - Aircraft type to qualify the crew on
+   * @param {number} request.count
+   * @param {Object} [request.fromPool] - CrewPool to convert crew from
+   * @param {string} [request.baseAirportId] - Base for new hires
+   * @param {string} [request.role] - Role of new hires ('pilot' | 'cabin_crew')
+   * @param {Date} gameTime - Current game time
+   * @returns {Promise<Object>} - { course, cost } or { error }
+   */
+  async startTraining(membership, { aircraftId, count, fromPool = null, baseAirportId = null, role = null }, gameTime) {
+    const aircraftType = aircraftId ? await Aircraft.findByPk(aircraftId) : null;
+    if (!aircraftType) {
+      return { error: 'Choose the aircraft type to train crew on' };
+    }
+    const typeRating = this.getTypeRating(aircraftType);
+
+    if (fromPool) {
+      role = fromPool.role;
+      baseAirportId = fromPool.baseAirportId;
+    }
+    if (!ROLES.includes(role)) {
+      return { error: 'Role must be pilot or cabin_crew' };
+    }
+
+    const headcount = this.parseCount(count);
+    if (!headcount) {
+      return { error: `Train between 1 and ${MAX_CREW_PER_REQUEST} crew at a time` };
+    }
+    if (role === 'pilot' && headcount > SIMULATOR_SEATS_PER_TYPE) {
+      return { error: `A pilot course takes at most ${SIMULATOR_SEATS_PER_TYPE} trainees` };
+    }
+
+    if (fromPool) {
+      if (fromPool.typeRating === typeRating) {
+        return { error: `These crew are already qualified on the ${typeRating}` };
+      }
+      if (headcount > fromPool.headcount) {
+        return { error: `Only ${fromPool.headcount} crew in this pool` };
+      }
+    } else {
+      const bases = await this.getCrewBases(membership);
+      if (!bases.has(baseAirportId)) {
+        return { error: 'Crew can only be based at your main base or an airport your routes depart from' };
+      }
+    }
+
+    const year = gameTime.getFullYear();
+    const trainingCost = headcount * eraEconomicService.getTypeRatingCost(role, year);
+    const recruitmentCost = fromPool ? 0 : headcount * this.getAnnualSalary(role, year) / 52 * RECRUITMENT_WEEKS;
+    const cost = Math.round((trainingCost + recruitmentCost) * 100) / 100;
+    const balance = parseFloat(membership.balance) || 0;
+    if (balance < cost) {
+      return { error: 'Insufficient funds', required: cost, available: balance };
+    }
+
+    const course = await sequelize.transaction(async (transaction) => {
+      if (fromPool && !await this.takeFromPool(fromPool, headcount, transaction)) return null;
+
+      // Courses queue behind earlier ones rather than jumping into freed simulator seats
+      let startNow = true;
+      if (role === 'pilot') {
+        const [inUse, queuedAhead] = await Promise.all([
+          this.getSimulatorSeatsInUse(membership.id, typeRating, transaction),
+          CrewTraining.count({
+            where: { worldMembershipId: membership.id, typeRating, role, status: 'queued' },
+            transaction
+          })
+        ]);
+        startNow = queuedAhead === 0 && inUse + headcount <= SIMULATOR_SEATS_PER_TYPE;
+      }
+
+      const fromTypeRating = fromPool ? fromPool.typeRating : null;
+      const created = await CrewTraining.create({
+        worldMembershipId: membership.id,
+        baseAirportId,
+        role,
+        fromTypeRating,
+        typeRating,
+        headcount,
+        cost,
+        status: startNow ? 'training' : 'queued',
+        enrolledAt: gameTime,
+        startedAt: startNow ? gameTime : null,
+        completesAt: startNow
+          ? new Date(gameTime.getTime() + this.getTrainingDays({ role, fromTypeRating }) * DAY_MS)
+          : null
+      }, { transaction });
+
+      await ledgerService.post({
+        worldMembershipId: membership.id,
+        category: 'staffTraining',
+        amount: -cost,
+        gameTime,
+        description: `Type rating: ${describeCrew(headcount, role, typeRating)} ${fromTypeRating ? `converting from the ${fromTypeRating}` : '(new hires)'}`,
+        referenceType: 'crew_training',
+        referenceId: created.id
+      }, { transaction });
+
+      return created;
+    });
+    if (!course) {
+      return { error: `Only ${fromPool.headcount} crew in this pool` };
+    }
+
+    return { course, cost };
+  }
+
+  /**
+   * Move crew who have finished training onto their base's roster, then start queued
+   * pilot courses as simulator seats free up (in the order they were booked)
+   *
+   * @param {string} worldId - World UUID
+   * @param {Date} gameTime - Current game time
+   */
+  async processTraining(worldId, gameTime) {
+    const membershipInclude = { model: WorldMembership, as: 'membership', where: { worldId, isActive: true }, attributes: ['id'] };
+
+    const due = await CrewTraining.findAll({
+      where: { status: 'training', completesAt: { [Op.lte]: gameTime } },
+      include: [membershipInclude, { model: Airport, as: 'baseAirport', attributes: ['icaoCode'] }]
+    });
+
+    for (const course of due) {
+      await sequelize.transaction(async (transaction) => {
+        const [pool] = await CrewPool.findOrCreate({
+          where: {
+            worldMembershipId: course.worldMembershipId,
+            baseAirportId: course.baseAirportId,
+            role: course.role,
+            typeRating: course.typeRating
+          },
+          defaults: { headcount: 0 },
+          transaction
+        });
+        await pool.increment('headcount', { by: course.headcount, transaction });
+        await course.update({ status: 'completed' }, { transaction });
+      });
+
+      await Notification.create({
+        worldMembershipId: course.worldMembershipId,
+        type: 'crew_training_complete',
+        icon: 'plane',
+        title: 'Crew Qualified',
+        message: `${describeCrew(course.headcount, course.role, course.typeRating)} finished training and joined the roster at ${course.baseAirport?.icaoCode || 'base'}.`,
+        link: '/scheduling',
+        priority: 3,
+        gameTime
+      });
+    }
+
+    const queued = await CrewTraining.findAll({
+      where: { status: 'queued' },
+      include: [membershipInclude],
+      order: [['enrolledAt', 'ASC'], ['createdAt', 'ASC']]
+    });
+
+    const seatsInUse = new Map();
+    for (const course of queued) {
+      const key = `${course.worldMembershipId}|${course.typeRating}`;
+      if (!seatsInUse.has(key)) {
+        seatsInUse.set(key, await this.getSimulatorSeatsInUse(course.worldMembershipId, course.typeRating));
+      }
+
+      // A course that doesn't fit holds up the ones booked after it
+      if (seatsInUse.get(key) + course.headcount > SIMULATOR_SEATS_PER_TYPE) {
+        seatsInUse.set(key, Infinity);
+        continue;
+      }
+
+      await course.update({
+        status: 'training',
+        startedAt: gameTime,
+        completesAt: new Date(gameTime.getTime() + this.getTrainingDays(course) * DAY_MS)
+      });
+      seatsInUse.set(key, seatsInUse.get(key) + course.headcount);
+    }
+  }
+
+  /**
+   * Shortage preventing a scheduled rotation from departing, if any
+   * Used at departure time, when crew may have been let go since it was scheduled
+   *
+   * @param {Object} flight - ScheduledFlight with route and aircraft (with aircraft type) loaded
+   * @returns {Promise<Object|null>}
+   */
+  async getDepartureShortage(flight) {
+    const aircraftType = flight.aircraft?.aircraft;
+    if (!aircraftType) return null;
+
+    const [check] = await this.checkFlightCrew(flight.route.worldMembershipId, flight.route, aircraftType, [flight], {
+      excludeScheduledFlightIds: [flight.id]
+    });
+    return check.allowed ? null : check.shortage;
+  }
+
+  /**
+   * Pay a week's salaries to every crew pool in a world, and to crew away on training
+   * Pools and courses with a salary entry from this game week are not paid twice
+   *
+   * @param {string} worldId - World UUID
+   * @param {Date} gameTime - Current game time
+   */
+  async processWeeklyPayroll(worldId, gameTime) {
+    const membershipInclude = { model: WorldMembership, as: 'membership', where: { worldId, isActive: true }, attributes: ['id'] };
+    const baseInclude = { model: Airport, as: 'baseAirport', attributes: ['icaoCode'] };
+    const [pools, courses] = await Promise.all([
+      CrewPool.findAll({ where: { headcount: { [Op.gt]: 0 } }, include: [membershipInclude, baseInclude] }),
+      CrewTraining.findAll({ where: { status: ACTIVE_TRAINING_STATUSES }, include: [membershipInclude, baseInclude] })
+    ]);
+
+    const payees = [
+      ...pools.map(pool => ({ referenceType: 'crew_pool', record: pool, where: 'at' })),
+      ...courses.map(course => ({ referenceType: 'crew_training', record: course, where: 'in training from' }))
+    ];
+    if (payees.length === 0) return;
+
+    const weekStart = new Date(Math.floor(gameTime.getTime() / WEEK_MS) * WEEK_MS);
+    const paid = await LedgerEntry.findAll({
+      where: {
+        referenceType: ['crew_pool', 'crew_training'],
+        referenceId: payees.map(p => p.record.id),
+        category: 'staffSalaries',
+        description: { [Op.startsWith]: 'Salaries' },
+        gameTime: { [Op.gte]: weekStart }
+      },
+      attributes: ['referenceId']
+    });
+    const paidIds = new Set(paid.map(e => e.referenceId));
+    const year = gameTime.getFullYear();
+
+    for (const { referenceType, record, where } of payees.filter(p => !paidIds.has(p.record.id))) {
+      const wages = record.headcount * this.getAnnualSalary(record.role, year) / 52;
+      await ledgerService.post({
+        worldMembershipId: record.worldMembershipId,
+        category: 'staffSalaries',
+        amount: -wages,
+        gameTime,
+        description: `Salaries: ${describeCrew(record.headcount, record.role, record.typeRating)} ${where} ${record.baseAirport?.icaoCode || 'base'}`,
+        referenceType,
+        referenceId: record.id
+      });
+    }
+  }
+}
+
+// Singleton instance
+const crewService = new CrewService();
+
+module.exports = crewService;
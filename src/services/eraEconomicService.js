@@ -5,6 +5,21 @@
  * Converts 2024 USD prices to era-appropriate values for display and gameplay balance
  */
 
+// Jet fuel price in 2024 USD per liter (~$2.80/gal); the fuel index scales it to the era
+const BASE_FUEL_PRICE_PER_LITER = 0.75;
+
+// Fuel price index (2024 = 1.0) through the real shocks: the 1973 embargo, the 1979
+// revolution in Iran, the Gulf War, the 2008 spike and crash, the 2014 glut, the 2020
+// pandemic and 2022. [fractional year, index], interpolated linearly between points
+const HISTORICAL_FUEL_CURVE = [
+  [1950.0, 0.08], [1958.0, 0.09], [1965.0, 0.11], [1973.8, 0.12], [1974.3, 0.33],
+  [1978.9, 0.35], [1980.0, 0.55], [1981.5, 0.50], [1986.2, 0.28], [1990.5, 0.30],
+  [1990.8, 0.58], [1991.3, 0.40], [1996.0, 0.70], [1999.0, 0.60], [2000.7, 0.82],
+  [2004.0, 0.85], [2008.5, 1.45], [2009.0, 0.80], [2011.3, 1.10], [2014.5, 1.05],
+  [2015.1, 0.65], [2016.1, 0.55], [2018.8, 0.95], [2020.0, 0.90], [2020.3, 0.45],
+  [2021.9, 0.95], [2022.4, 1.45], [2023.0, 1.10], [2024.0, 1.00]
+];
+
 class EraEconomicService {
   /**
    * Get the economic multiplier for a given year
@@ -101,20 +116,46 @@ class EraEconomicService {
   }
 
   /**
-   * Get fuel cost multiplier for a given year
-   * Fuel prices have varied dramatically over time
+   * Get the historical fuel price index on a date
+   * Fuel prices have varied dramatically over time, with sharp shocks
+   *
+   * @param {Date} date
+   * @returns {number} - Index relative to 2024 prices
+   */
+  getFuelIndex(date) {
+    const start = new Date(date.getFullYear(), 0, 1);
+    const yearLength = new Date(date.getFullYear() + 1, 0, 1) - start;
+    const t = date.getFullYear() + (date - start) / yearLength;
+
+    const first = HISTORICAL_FUEL_CURVE[0];
+    const last = HISTORICAL_FUEL_CURVE[HISTORICAL_FUEL_CURVE.length - 1];
+    if (t <= first[0]) return first[1];
+    if (t >= last[0]) return last[1];
+
+    const i = HISTORICAL_FUEL_CURVE.findIndex(([year]) => year > t);
+    const [y0, v0] = HISTORICAL_FUEL_CURVE[i - 1];
+    const [y1, v1] = HISTORICAL_FUEL_CURVE[i];
+    return v0 + (v1 - v0) * (t - y0) / (y1 - y0);
+  }
+
+  /**
+   * Get fuel cost multiplier for a given year (the historical index at mid-year)
    *
    * @param {number} year
    * @returns {number} - Multiplier for fuel costs
    */
   getFuelCostMultiplier(year) {
-    if (year < 1958) return 0.08;  // Very cheap fuel ($0.15/gal)
-    if (year < 1970) return 0.12;  // Cheap fuel
-    if (year < 1980) return 0.35;  // Oil crisis ($0.85/gal)
-    if (year < 1990) return 0.30;  // Moderate prices
-    if (year < 2000) return 0.75;  // Rising prices
-    if (year < 2010) return 0.95;  // High prices
-    return 1.00;                   // Current prices ($2.80/gal)
+    return Math.round(this.getFuelIndex(new Date(year, 6, 1)) * 1000) / 1000;
+  }
+
+  /**
+   * Historical jet fuel price on a date, before market noise
+   *
+   * @param {Date} date
+   * @returns {number} - Era USD per liter
+   */
+  getHistoricalFuelPrice(date) {
+    return BASE_FUEL_PRICE_PER_LITER * this.getFuelIndex(date);
   }
 
   /**
@@ -125,10 +166,9 @@ class EraEconomicService {
    * @returns {number} - Fuel cost per hour
    */
   calculateFuelCost(fuelBurnPerHour, year) {
-    const baseFuelCostPerLiter = 0.75; // 2024 USD per liter (~$2.80/gal)
     const eraMultiplier = this.getFuelCostMultiplier(year);
 
-    return Math.round(fuelBurnPerHour * baseFuelCostPerLiter * eraMultiplier);
+    return Math.round(fuelBurnPerHour * BASE_FUEL_PRICE_PER_LITER * eraMultiplier);
   }
 
   /**
@@ -163,6 +203,34 @@ class EraEconomicService {
     return Math.round(baseSalary2024 * this.getLaborCostMultiplier(year));
   }
 
+  /**
+   * Calculate the cost of qualifying one crew member on an aircraft type
+   * @param {string} role - 'pilot' (simulator type rating) | 'cabin_crew' (type familiarisation)
+   * @param {number} year
+   * @returns {number}
+   */
+  getTypeRatingCost(role, year) {
+    const baseCost2024 = role === 'pilot' ? 35000 : 4000; // $35k per pilot, $4k per cabin crew member in 2024
+    return Math.round(baseCost2024 * this.getLaborCostMultiplier(year));
+  }
+
+  /**
+   * Get base annual interest rate for borrowing
+   * Follows the broad shape of historical central bank rates
+   *
+   * @param {number} year
+   * @returns {number} - Annual rate (e.g. 0.05 = 5%)
+   */
+  getBaseInterestRate(year) {
+    if (year < 1958) return 0.03;  // Post-war cheap money
+    if (year < 1970) return 0.05;
+    if (year < 1980) return 0.08;  // Inflationary 70s
+    if (year < 1990) return 0.12;  // Volcker-era highs
+    if (year < 2000) return 0.07;
+    if (year < 2010) return 0.05;
+    return 0.03;                   // Low-rate era
+  }
+
   /**
    * Get ticket price per nautical mile
    *
@@ -202,6 +270,30 @@ class EraEconomicService {
     return Math.round(pricePerMile * routeDistance);
   }
 
+  /**
+   * Calculate market cargo rate per ton for a route
+   *
+   * @param {number} routeDistance - Distance in nautical miles
+   * @param {number} year - Year
+   * @param {string} cargoType - 'light', 'standard', 'heavy'
+   * @returns {number} - Rate per ton
+   */
+  calculateCargoRate(routeDistance, year, cargoType = 'standard') {
+    // Base 2024 rates per ton per nautical mile
+    const baseRates = {
+      light: 0.80,    // Express parcels, mail
+      standard: 0.60, // General freight
+      heavy: 0.45     // Bulk and oversize
+    };
+
+    const baseRate = baseRates[cargoType] || baseRates.standard;
+
+    // Same distance taper as passenger fares
+    const distanceDiscount = Math.min(0.5, routeDistance / 20000);
+
+    return Math.round(baseRate * (1 - distanceDiscount) * routeDistance * this.getEraMultiplier(year));
+  }
+
   /**
    * Get passenger demand multiplier
    * More people fly in later eras
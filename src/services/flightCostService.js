@@ -0,0 +1,336 @@
+const sequelize = require('../config/database');
+const { WorldMembership } = require('../models');
+const eraEconomicService = require('./eraEconomicService');
+const ledgerService = require('./ledgerService');
+const airportStandService = require('./airportStandService');
+const fuelService = require('./fuelService');
+const { calculateFlightDurationMs } = require('../utils/flightCalculations');
+
+// Taxi-out plus taxi-in added to airborne time to get block time
+const TAXI_HOURS_PER_LEG = 0.25;
+
+// Block hours a pilot or cabin crew member is paid to fly per year (prices crew for NPC airlines,
+// which don't employ crew; player airlines pay theirs through weekly payroll)
+const ANNUAL_CREW_BLOCK_HOURS = 800;
+
+// Airport charges by airport type (2024 USD, scaled by era and aircraft size)
+const AIRPORT_FEES = {
+  'International Hub': { landing: 1500, terminalNavigation: 400, handlingPerTurn: 900, handlingPerPassenger: 12, handlingPerCargoTon: 60, parkingPerHour: 45 },
+  'Major': { landing: 900, terminalNavigation: 250, handlingPerTurn: 600, handlingPerPassenger: 9, handlingPerCargoTon: 45, parkingPerHour: 30 },
+  'Regional': { landing: 400, terminalNavigation: 120, handlingPerTurn: 300, handlingPerPassenger: 6, handlingPerCargoTon: 30, parkingPerHour: 15 },
+  'Small Regional': { landing: 150, terminalNavigation: 50, handlingPerTurn: 150, handlingPerPassenger: 4, handlingPerCargoTon: 20, parkingPerHour: 8 }
+};
+
+// Time on stand at a tech stop (matches calculateArrivalDateTime in routes/scheduling.js)
+const TECH_STOP_HOURS = 0.5;
+
+// En-route navigation charge per nautical mile for a reference-size aircraft (2024 USD)
+const EN_ROUTE_CHARGE_PER_NM = 0.9;
+
+/**
+ * Flight Cost Service
+ * Prices every leg of a completed round trip (or ferry flight) and debits the operating airline
+ */
+class FlightCostService {
+
+  /**
+   * Get airport charges for an airport
+   * @param {Object} airport - Airport instance
+   * @returns {Object}
+   */
+  getAirportFees(airport) {
+    return AIRPORT_FEES[airport?.type] || AIRPORT_FEES.Regional;
+  }
+
+  /**
+   * Relative size of an aircraft for weight-based charges
+   * A 150-seat narrowbody (or 20t freighter) is 1.0
+   *
+   * @param {Object} aircraftType - Aircraft model instance
+   * @returns {number}
+   */
+  getSizeFactor(aircraftType) {
+    const paxFactor = (aircraftType.passengerCapacity || 0) / 150;
+    const cargoFactor = (aircraftType.cargoCapacityKg || 0) / 20000;
+    return Math.max(0.3, paxFactor, cargoFactor);
+  }
+
+  /**
+   * Break a round trip into its flown legs
+   * Tech stop routes fly DEP → TECH → ARR and back, direct routes DEP → ARR and back
+   *
+   * @param {Object} route - Route with departureAirport, arrivalAirport and techStopAirport loaded
+   * @returns {Array<{from: Object, to: Object, distance: number, loadIndex: number}>}
+   *   loadIndex is 0 for outbound legs and 1 for return legs
+   */
+  getLegs(route) {
+    const distance = parseFloat(route.distance) || 0;
+    const dep = route.departureAirport;
+    const arr = route.arrivalAirport;
+    const tech = route.techStopAirport;
+
+    if (tech) {
+      const leg1Distance = route.legOneDistance || Math.round(distance * 0.4);
+      const leg2Distance = route.legTwoDistance || Math.round(distance * 0.6);
+      return [
+        { from: dep, to: tech, distance: leg1Distance, loadIndex: 0 },
+        { from: tech, to: arr, distance: leg2Distance, loadIndex: 0 },
+        { from: arr, to: tech, distance: leg2Distance, loadIndex: 1 },
+        { from: tech, to: dep, distance: leg1Distance, loadIndex: 1 }
+      ];
+    }
+
+    return [
+      { from: dep, to: arr, distance, loadIndex: 0 },
+      { from: arr, to: dep, distance, loadIndex: 1 }
+    ];
+  }
+
+  /**
+   * Block hours for a single leg, including wind and taxi time
+   * @param {Object} leg - Leg from getLegs
+   * @param {number} cruiseSpeed - Knots
+   * @returns {number}
+   */
+  getLegBlockHours(leg, cruiseSpeed) {
+    const airborneMs = calculateFlightDurationMs(
+      leg.distance,
+      parseFloat(leg.from?.longitude) || 0,
+      parseFloat(leg.to?.longitude) || 0,
+      parseFloat(leg.from?.latitude) || 0,
+      parseFloat(leg.to?.latitude) || 0,
+      cruiseSpeed
+    );
+    return airborneMs / 3600000 + TAXI_HOURS_PER_LEG;
+  }
+
+  /**
+   * Calculate the operating cost of a completed round trip
+   *
+   * @param {Object} flight - ScheduledFlight with route (and airports) and aircraft (with aircraft type) loaded
+   * @param {number} year - Current game year
+   * @param {Array<{passengers: number, cargoKg: number}>} loads - Outbound and return loads from revenue settlement
+   * @param {Object} [parkingMultipliers] - Map of airportId -> stand congestion multiplier (default 1)
+   * @param {Object} [options]
+   * @param {boolean} [options.includeCrew=true] - Price crew by block hour (false when they are on payroll)
+   * @param {number} [options.fuelPricePerLiter] - Spot fuel price (defaults to the historical price for the year)
+   * @param {Array<Object>} [options.legs] - Legs to price instead of the route's (positioning legs pay no parking)
+   * @returns {Object} - Cost breakdown { fuel, crew, maintenance, landingFees, navigationFees, groundHandling, groundHandlingCargo, parking, total, blockHours, fuelLiters }
+   */
+  calculateFlightCosts(flight, year, loads = [], parkingMultipliers = {}, { includeCrew = true, fuelPricePerLiter = null, legs = null } = {}) {
+    const route = flight.route || {};
+    const userAircraft = flight.aircraft;
+    const aircraftType = userAircraft.aircraft;
+
+    const eraMultiplier = eraEconomicService.getEraMultiplier(year);
+    const sizeFactor = this.getSizeFactor(aircraftType);
+    const cruiseSpeed = aircraftType.cruiseSpeed || 450;
+
+    const fuelBurnPerHour = parseFloat(userAircraft.fuelBurnPerHour) || parseFloat(aircraftType.fuelBurnPerHour) || 0;
+    const maintenancePerHour = parseFloat(userAircraft.maintenanceCostPerHour) || parseFloat(aircraftType.maintenanceCostPerHour) || 0;
+    const crewCostPerHour = !includeCrew ? 0 :
+      ((aircraftType.requiredPilots || 2) * eraEconomicService.getPilotSalary(year) +
+       (aircraftType.requiredCabinCrew || 0) * eraEconomicService.getCrewSalary(year)) / ANNUAL_CREW_BLOCK_HOURS;
+
+    const costs = {
+      fuel: 0,
+      crew: 0,
+      maintenance: 0,
+      landingFees: 0,
+      navigationFees: 0,
+      groundHandling: 0,
+      groundHandlingCargo: 0,
+      parking: 0,
+      total: 0,
+      blockHours: 0,
+      fuelLiters: 0
+    };
+
+    for (const leg of legs || this.getLegs(route)) {
+      const blockHours = this.getLegBlockHours(leg, cruiseSpeed);
+      const load = loads[leg.loadIndex] || { passengers: 0, cargoKg: 0 };
+      const originFees = this.getAirportFees(leg.from);
+      const destinationFees = this.getAirportFees(leg.to);
+
+      costs.blockHours += blockHours;
+      costs.fuelLiters += fuelBurnPerHour * blockHours;
+      costs.fuel += fuelPricePerLiter !== null
+        ? fuelBurnPerHour * fuelPricePerLiter * blockHours
+        : eraEconomicService.calculateFuelCost(fuelBurnPerHour, year) * blockHours;
+      costs.crew += crewCostPerHour * blockHours;
+      costs.maintenance += maintenancePerHour * eraMultiplier * blockHours;
+
+      costs.landingFees += destinationFees.landing * sizeFactor * eraMultiplier;
+      costs.navigationFees += (originFees.terminalNavigation + leg.distance * EN_ROUTE_CHARGE_PER_NM) * Math.sqrt(sizeFactor) * eraMultiplier;
+
+      // Handling is paid at the origin of every departure (tech stops only pay the turn)
+      const isTechStop = leg.from === route.techStopAirport;
+      costs.groundHandling += (originFees.handlingPerTurn * sizeFactor +
+        (isTechStop ? 0 : load.passengers * originFees.handlingPerPassenger)) * eraMultiplier;
+      if (!isTechStop) {
+        costs.groundHandlingCargo += (load.cargoKg / 1000) * originFees.handlingPerCargoTon * eraMultiplier;
+      }
+
+      // Stand time away from base: the turnaround at the destination and each tech stop
+      // (parking at base is billed weekly by airportStandService)
+      if (!leg.positioning && leg.to !== route.departureAirport) {
+        const standHours = leg.to === route.techStopAirport ? TECH_STOP_HOURS : (route.turnaroundTime || 45) / 60;
+        costs.parking += standHours * destinationFees.parkingPerHour * sizeFactor * eraMultiplier *
+          (parkingMultipliers[leg.to?.id] || 1);
+      }
+    }
+
+    for (const key of Object.keys(costs)) {
+      if (key !== 'total' && key !== 'blockHours' && key !== 'fuelLiters') {
+        costs[key] = Math.round(costs[key] * 100) / 100;
+        costs.total += costs[key];
+      }
+    }
+    costs.total = Math.round(costs.total * 100) / 100;
+    costs.blockHours = Math.round(costs.blockHours * 100) / 100;
+    costs.fuelLiters = Math.round(costs.fuelLiters);
+
+    return costs;
+  }
+
+  /**
+   * Charge a completed round trip to the airline and the route
+   *
+   * @param {Object} flight - ScheduledFlight with route (and airports) and aircraft (with aircraft type) loaded
+   * @param {Date} gameTime - Current game time
+   * @param {Array<{passengers: number, cargoKg: number}>} loads - Outbound and return loads
+   * @param {string} [worldId] - World UUID, to price parking by stand congestion
+   * @param {Object} [options] - { transaction } to join an outer transaction
+   * @returns {Promise<Object|null>} - Cost breakdown, or null if the flight can't be costed
+   */
+  async settleFlightCosts(flight, gameTime, loads = [], worldId = null, options = {}) {
+    const route = flight.route;
+    if (!route || !flight.aircraft?.aircraft) return null;
+
+    const parkingMultipliers = worldId ? await airportStandService.getFlightParkingMultipliers(flight, worldId) : {};
+    const spotPrice = worldId ? await fuelService.getSpotPrice(worldId, gameTime) : null;
+    // Crew are paid salaries weekly by crewService, so the flight itself carries no crew cost
+    const costs = this.calculateFlightCosts(flight, gameTime.getFullYear(), loads, parkingMultipliers, {
+      includeCrew: false,
+      fuelPricePerLiter: spotPrice
+    });
+
+    const apply = async (transaction) => {
+      // Fuel the airline has hedged or contracted for replaces spot fuel
+      if (spotPrice !== null) {
+        const fuel = await fuelService.drawFuel(route.worldMembershipId, costs.fuelLiters, spotPrice, gameTime, { transaction });
+        costs.total = Math.round((costs.total - costs.fuel + fuel.cost) * 100) / 100;
+        costs.fuel = fuel.cost;
+        costs.contractedFuelLiters = fuel.contractedLiters;
+      }
+
+      await WorldMembership.decrement('balance', {
+        by: costs.total,
+        where: { id: route.worldMembershipId },
+        transaction
+      });
+
+      // Each cost has its own statement line
+      await ledgerService.recordBreakdown({
+        worldMembershipId: route.worldMembershipId,
+        gameTime,
+        description: `Flight ${route.routeNumber}/${route.returnRouteNumber} on ${flight.scheduledDate}`,
+        referenceType: 'scheduled_flight',
+        referenceId: flight.id
+      }, {
+        fuel: -costs.fuel,
+        maintenance: -costs.maintenance,
+        landingFees: -costs.landingFees,
+        navigationFees: -costs.navigationFees,
+        groundHandling: -costs.groundHandling,
+        groundHandlingCargo: -costs.groundHandlingCargo,
+        parking: -costs.parking
+      }, { transaction });
+
+      await route.increment('totalCosts', { by: costs.total, transaction });
+
+      await flight.update({ operatingCost: costs.total }, { transaction });
+    };
+
+    if (options.transaction) {
+      await apply(options.transaction);
+    } else {
+      await sequelize.transaction(apply);
+    }
+
+    return costs;
+  }
+
+  /**
+   * Calculate the operating cost of a ferry flight: one empty leg with no crew on the bill
+   *
+   * @param {Object} ferry - FerryFlight with departureAirport, arrivalAirport and aircraft (with aircraft type) loaded
+   * @param {number} year - Current game year
+   * @param {number} [fuelPricePerLiter] - Spot fuel price (defaults to the historical price for the year)
+   * @returns {Object} - Cost breakdown, as calculateFlightCosts
+   */
+  calculateFerryCosts(ferry, year, fuelPricePerLiter = null) {
+    return this.calculateFlightCosts({ aircraft: ferry.aircraft }, year, [], {}, {
+      includeCrew: false,
+      fuelPricePerLiter,
+      legs: [{
+        from: ferry.departureAirport,
+        to: ferry.arrivalAirport,
+        distance: parseFloat(ferry.distance) || 0,
+        loadIndex: 0,
+        positioning: true
+      }]
+    });
+  }
+
+  /**
+   * Charge a completed ferry flight to the airline
+   *
+   * @param {Object} ferry - FerryFlight with departureAirport, arrivalAirport and aircraft (with aircraft type) loaded
+   * @param {Date} gameTime - Current game time
+   * @param {string} worldId - World UUID, for the spot fuel price
+   * @returns {Promise<Object|null>} - Cost breakdown, or null if the ferry can't be costed
+   */
+  async settleFerryCosts(ferry, gameTime, worldId) {
+    if (!ferry.aircraft?.aircraft) return null;
+
+    const spotPrice = await fuelService.getSpotPrice(worldId, gameTime);
+    const costs = this.calculateFerryCosts(ferry, gameTime.getFullYear(), spotPrice);
+
+    await sequelize.transaction(async (transaction) => {
+      const fuel = await fuelService.drawFuel(ferry.worldMembershipId, costs.fuelLiters, spotPrice, gameTime, { transaction });
+      costs.total = Math.round((costs.total - costs.fuel + fuel.cost) * 100) / 100;
+      costs.fuel = fuel.cost;
+      costs.contractedFuelLiters = fuel.contractedLiters;
+
+      await WorldMembership.decrement('balance', {
+        by: costs.total,
+        where: { id: ferry.worldMembershipId },
+        transaction
+      });
+
+      await ledgerService.recordBreakdown({
+        worldMembershipId: ferry.worldMembershipId,
+        gameTime,
+        description: `Ferry ${ferry.departureAirport?.icaoCode}-${ferry.arrivalAirport?.icaoCode} (${ferry.aircraft.registration}) on ${ferry.scheduledDate}`,
+        referenceType: 'ferry_flight',
+        referenceId: ferry.id
+      }, {
+        fuel: -costs.fuel,
+        maintenance: -costs.maintenance,
+        landingFees: -costs.landingFees,
+        navigationFees: -costs.navigationFees,
+        groundHandling: -costs.groundHandling
+      }, { transaction });
+
+      await ferry.update({ operatingCost: costs.total }, { transaction });
+    });
+
+    return costs;
+  }
+}
+
+// Singleton instance
+const flightCostService = new FlightCostService();
+
+module.exports = flightCostService;
@@ -0,0 +1,678 @@
+const sequelize = require('../config/database');
+const { WorldMembership, Route, RouteFareBucket, ConnectingTraffic } = require('../models');
+const routeDemandService = require('./routeDemandService');
+const eraEconomicService = require('./eraEconomicService');
+const ledgerService = require('./ledgerService');
+const marketShareService = require('./marketShareService');
+const connectionService = require('./connectionService');
+const reputationService = require('./reputationService');
+
+// Passengers wanting to travel per departure, per point of route demand (0-100)
+const PASSENGERS_PER_DEMAND_POINT = 4;
+
+// Share of a city pair's travellers willing to change planes when nobody flies it direct
+const CONNECTING_DEMAND_SHARE = 0.3;
+
+// Share of each departure's passengers wanting a premium cabin, by route type
+const PREMIUM_DEMAND_SHARES = {
+  business: { first: 0.05, business: 0.15, economyPlus: 0.10 },
+  leisure: { first: 0.01, business: 0.05, economyPlus: 0.08 },
+  mixed: { first: 0.03, business: 0.10, economyPlus: 0.08 },
+  regional: { first: 0, business: 0.04, economyPlus: 0.05 },
+  cargo: { first: 0, business: 0.02, economyPlus: 0.03 }
+};
+
+// How sharply sales fall as the fare rises above the market fare (and rise below it), by route type:
+// business travellers hardly notice the fare, leisure travellers shop around
+const PRICE_ELASTICITY = { business: 0.8, leisure: 1.8, mixed: 1.3, regional: 1.1, cargo: 1.0 };
+
+// Most extra travellers a fare below the market can win, by route type
+const MAX_PRICE_STIMULATION = { business: 1.1, leisure: 1.6, mixed: 1.3, regional: 1.2, cargo: 1.25 };
+
+// Share of a cabin's travellers who book early and shop on price (the rest book close to
+// departure and pay what's left), by route type
+const EARLY_BOOKER_SHARES = { business: 0.35, leisure: 0.7, mixed: 0.55, regional: 0.5, cargo: 0.5 };
+
+// Share of the cabin given to each premium class when the aircraft offers it
+const PREMIUM_SEAT_SHARES = { first: 0.04, business: 0.12, economyPlus: 0.12 };
+
+// Share of the hold given to each cargo class when the aircraft offers it
+const CARGO_HOLD_SHARES = { light: 0.25, standard: 0.5, heavy: 0.25 };
+
+/**
+ * Flight Revenue Service
+ * Settles passenger and cargo revenue when a scheduled round trip completes
+ */
+class FlightRevenueService {
+
+  /**
+   * Sales multiplier for a fare relative to the era market fare
+   * How far it moves depends on who flies the route: leisure demand is elastic,
+   * business demand barely moves
+   *
+   * @param {number} price - Price charged by the airline
+   * @param {number} marketPrice - Era-appropriate market price
+   * @param {string} [routeType='mixed'] - Demand route type
+   * @returns {number} - Multiplier (0 to the route type's stimulation cap)
+   */
+  getPriceFactor(price, marketPrice, routeType = 'mixed') {
+    if (!price || price <= 0) return 0;
+    if (!marketPrice || marketPrice <= 0) return 1;
+
+    const elasticity = PRICE_ELASTICITY[routeType] || PRICE_ELASTICITY.mixed;
+    const maxStimulation = MAX_PRICE_STIMULATION[routeType] || MAX_PRICE_STIMULATION.mixed;
+    return Math.min(maxStimulation, Math.pow(marketPrice / price, elasticity));
+  }
+
+  /**
+   * Era market fares per cabin for a leg
+   *
+   * @param {number} distance - Leg distance in nautical miles
+   * @param {number} year - Game year
+   * @returns {Object} - { economy, economyPlus, business, first }
+   */
+  getMarketPrices(distance, year) {
+    const economyMarket = eraEconomicService.calculateTicketPrice(distance, year, 'economy');
+    return {
+      economy: economyMarket,
+      economyPlus: Math.round(economyMarket * 1.5),
+      business: eraEconomicService.calculateTicketPrice(distance, year, 'business'),
+      first: eraEconomicService.calculateTicketPrice(distance, year, 'first')
+    };
+  }
+
+  /**
+   * Get the fares charged per cabin on a route
+   * Routes created before class-based pricing only have ticketPrice
+   *
+   * @param {Object} route - Route instance
+   * @returns {Object} - { economy, economyPlus, business, first }
+   */
+  getCabinPrices(route) {
+    return {
+      economy: parseFloat(route.economyPrice) || parseFloat(route.ticketPrice) || 0,
+      economyPlus: parseFloat(route.economyPlusPrice) || 0,
+      business: parseFloat(route.businessPrice) || 0,
+      first: parseFloat(route.firstPrice) || 0
+    };
+  }
+
+  /**
+   * Split an aircraft's passenger capacity into cabins
+   *
+   * @param {Object} aircraftType - Aircraft model instance
+   * @returns {Object} - Seats per cabin { economy, economyPlus, business, first }
+   */
+  getCabinSeats(aircraftType) {
+    const capacity = aircraftType.passengerCapacity || 0;
+    const seats = { economy: 0, economyPlus: 0, business: 0, first: 0 };
+
+    if (aircraftType.hasFirst) seats.first = Math.floor(capacity * PREMIUM_SEAT_SHARES.first);
+    if (aircraftType.hasBusiness) seats.business = Math.floor(capacity * PREMIUM_SEAT_SHARES.business);
+    if (aircraftType.hasEconomyPlus) seats.economyPlus = Math.floor(capacity * PREMIUM_SEAT_SHARES.economyPlus);
+    seats.economy = capacity - seats.first - seats.business - seats.economyPlus;
+
+    return seats;
+  }
+
+  /**
+   * Calculate passengers and revenue for a single leg
+   *
+   * @param {Object} params
+   * @param {number} params.demand - Route demand (0-100)
+   * @param {string} params.routeType - Demand route type
+   * @param {Object} params.seats - Seats per cabin
+   * @param {Object} params.prices - Fares per cabin
+   * @param {number} params.distance - Leg distance in nautical miles
+   * @param {number} params.year - Game year
+   * @param {Object} [params.allocation] - This route's slice of a contested market (marketShareService.getRouteAllocation)
+   * @param {Object} [params.fareBuckets] - Fare buckets per cabin (getFareBuckets); cabins without buckets sell one fare
+   * @returns {Object} - { passengers: {cabin: n}, revenue: {cabin: $}, bucketSales: {cabin: [...]} }
+   */
+  calculatePassengerLeg({ demand, routeType, seats, prices, distance, year, allocation = null, fareBuckets = null }) {
+    const potential = demand * PASSENGERS_PER_DEMAND_POINT;
+    const shares = PREMIUM_DEMAND_SHARES[routeType] || PREMIUM_DEMAND_SHARES.mixed;
+    const marketPrices = this.getMarketPrices(distance, year);
+
+    // Share of each cabin's market this departure wins against other airlines on the pair
+    const marketShare = (cabin) => (allocation ? allocation.demandMultiplier * (allocation.shares[cabin] || 0) : 1);
+
+    // Premium travellers with no cabin to sit in fly economy instead
+    const cabinDemand = { economy: potential * (1 - shares.first - shares.business - shares.economyPlus) * marketShare('economy') };
+    for (const cabin of ['first', 'business', 'economyPlus']) {
+      if (seats[cabin] > 0) {
+        cabinDemand[cabin] = potential * shares[cabin] * marketShare(cabin);
+      } else {
+        cabinDemand.economy += potential * shares[cabin] * marketShare('economy');
+      }
+    }
+
+    const passengers = {};
+    const revenue = {};
+    const bucketSales = {};
+    for (const cabin of ['economy', 'economyPlus', 'business', 'first']) {
+      const buckets = fareBuckets?.[cabin];
+      if (buckets?.length > 0 && prices[cabin] > 0) {
+        const sold = this.sellFareBuckets({
+          demand: cabinDemand[cabin] || 0,
+          seats: seats[cabin],
+          fare: prices[cabin],
+          marketPrice: marketPrices[cabin],
+          routeType,
+          buckets
+        });
+        passengers[cabin] = sold.passengers;
+        revenue[cabin] = sold.revenue;
+        bucketSales[cabin] = sold.buckets;
+        continue;
+      }
+
+      const priceFactor = this.getPriceFactor(prices[cabin], marketPrices[cabin], routeType);
+      passengers[cabin] = Math.min(seats[cabin], Math.round((cabinDemand[cabin] || 0) * priceFactor));
+      revenue[cabin] = passengers[cabin] * prices[cabin];
+    }
+
+    return { passengers, revenue, bucketSales };
+  }
+
+  /**
+   * Sell a cabin through its fare buckets along the booking curve
+   * Early bookers arrive first, shop like leisure travellers and fill the cheapest buckets;
+   * late bookers find those closed and pay the cheapest fare still open, if they will.
+   * Within each wave everyone willing to pay a bucket's fare who hasn't already booked
+   * a cheaper seat takes one, until its allocation runs out
+   *
+   * @param {Object} params
+   * @param {number} params.demand - Travellers wanting the cabin at the market fare
+   * @param {number} params.seats - Seats in the cabin
+   * @param {number} params.fare - Route cabin fare the buckets are priced from
+   * @param {number} params.marketPrice - Era market fare for the cabin
+   * @param {string} params.routeType - Demand route type
+   * @param {Array<{bucketCode, fareMultiplier, seatShare}>} params.buckets
+   * @returns {Object} - { passengers, revenue, buckets: [{ bucketCode, price, seats, sold }] }
+   */
+  sellFareBuckets({ demand, seats, fare, marketPrice, routeType, buckets }) {
+    const ordered = [...buckets].sort((a, b) => a.fareMultiplier - b.fareMultiplier);
+
+    // The dearest bucket takes any seats lost to rounding
+    let allocated = 0;
+    const sales = ordered.map((bucket, i) => {
+      const bucketSeats = i === ordered.length - 1
+        ? Math.max(0, seats - allocated)
+        : Math.min(seats - allocated, Math.floor(seats * bucket.seatShare));
+      allocated += bucketSeats;
+      return { bucketCode: bucket.bucketCode, price: Math.round(fare * bucket.fareMultiplier), seats: bucketSeats, sold: 0 };
+    });
+
+    const earlyShare = EARLY_BOOKER_SHARES[routeType] ?? EARLY_BOOKER_SHARES.mixed;
+    const waves = [
+      { travellers: demand * earlyShare, behaviour: 'leisure' },
+      { travellers: demand * (1 - earlyShare), behaviour: 'business' }
+    ];
+    for (const wave of waves) {
+      let booked = 0;
+      for (const bucket of sales) {
+        const willing = Math.round(wave.travellers * this.getPriceFactor(bucket.price, marketPrice, wave.behaviour));
+        const sold = Math.max(0, Math.min(bucket.seats - bucket.sold, willing - booked));
+        bucket.sold += sold;
+        booked += sold;
+      }
+    }
+
+    return {
+      passengers: sales.reduce((sum, b) => sum + b.sold, 0),
+      revenue: sales.reduce((sum, b) => sum + b.sold * b.price, 0),
+      buckets: sales
+    };
+  }
+
+  /**
+   * Fare buckets set up on a route, by cabin
+   *
+   * @param {string} routeId - Route UUID
+   * @returns {Promise<Object|null>} - { cabin: [{ bucketCode, fareMultiplier, seatShare }] }, or null if the route sells single fares
+   */
+  async getFareBuckets(routeId) {
+    const rows = await RouteFareBucket.findAll({
+      where: { routeId },
+      order: [['cabin', 'ASC'], ['fareMultiplier', 'ASC']]
+    });
+    if (rows.length === 0) return null;
+
+    const buckets = {};
+    for (const row of rows) {
+      if (!buckets[row.cabin]) buckets[row.cabin] = [];
+      buckets[row.cabin].push({
+        bucketCode: row.bucketCode,
+        fareMultiplier: parseFloat(row.fareMultiplier),
+        seatShare: parseFloat(row.seatShare)
+      });
+    }
+    return buckets;
+  }
+
+  /**
+   * Sell the economy seats a leg's local passengers left empty to travellers connecting at the hub
+   * Each itinerary sells at a through fare: the market fare for the whole journey, scaled by how
+   * the airline prices its two legs against their own markets. The leg keeps its share of the
+   * fare by distance. If there isn't room for everyone, every market loses the same share
+   *
+   * @param {Object} params
+   * @param {Object} params.leg - The leg being sold (connectionService.getLegTimes)
+   * @param {Array} params.itineraries - Itineraries the leg is part of (connectionService.findItineraries)
+   * @param {number} params.freeSeats - Economy seats left after local passengers
+   * @param {number} params.year - Game year
+   * @param {number} params.reputationFactor - reputationService.getDemandFactor
+   * @returns {Promise<Object>} - { passengers, revenue, markets: [{ itinerary, throughFare, passengers, revenue }] }
+   */
+  async sellConnections({ leg, itineraries, freeSeats, year, reputationFactor }) {
+    const markets = [];
+    for (const itinerary of itineraries) {
+      const { firstLeg, secondLeg } = itinerary;
+      const departs = firstLeg.departs;
+      const demand = await routeDemandService.getRouteDemand(itinerary.originAirportId, itinerary.destinationAirportId, year, {
+        date: departs,
+        departureTime: `${String(departs.getHours()).padStart(2, '0')}:${String(departs.getMinutes()).padStart(2, '0')}`
+      });
+      if (!demand.demand) continue;
+
+      const legMarketFares = this.getMarketPrices(firstLeg.distance, year).economy + this.getMarketPrices(secondLeg.distance, year).economy;
+      const legFares = this.getCabinPrices(firstLeg.route).economy + this.getCabinPrices(secondLeg.route).economy;
+      if (legMarketFares <= 0 || legFares <= 0) continue;
+
+      const marketFare = this.getMarketPrices(itinerary.directDistance, year).economy;
+      const throughFare = Math.round(marketFare * (legFares / legMarketFares) * 100) / 100;
+      const passengers = demand.demand * reputationFactor * PASSENGERS_PER_DEMAND_POINT * CONNECTING_DEMAND_SHARE *
+        connectionService.getItineraryQuality(itinerary) *
+        this.getPriceFactor(throughFare, marketFare, demand.routeType);
+
+      markets.push({ itinerary, throughFare, passengers });
+    }
+
+    const wanted = markets.reduce((sum, m) => sum + m.passengers, 0);
+    const scale = wanted > freeSeats ? Math.max(0, freeSeats) / wanted : 1;
+    for (const market of markets) {
+      const { firstLeg, secondLeg } = market.itinerary;
+      market.passengers = Math.floor(market.passengers * scale);
+      market.revenue = Math.round(market.passengers * market.throughFare * leg.distance / (firstLeg.distance + secondLeg.distance) * 100) / 100;
+    }
+
+    const sold = markets.filter(m => m.passengers > 0);
+    return {
+      passengers: sold.reduce((sum, m) => sum + m.passengers, 0),
+      revenue: sold.reduce((sum, m) => sum + m.revenue, 0),
+      markets: sold
+    };
+  }
+
+  /**
+   * Calculate cargo carried and revenue for a single leg
+   *
+   * @param {Object} params
+   * @param {number} params.demand - Route demand (0-100)
+   * @param {Object} params.aircraftType - Aircraft model instance
+   * @param {Object} params.route - Route instance (cargo rates)
+   * @param {number} params.distance - Leg distance in nautical miles
+   * @param {number} params.year - Game year
+   * @param {Object} [params.allocation] - This route's slice of a contested market
+   * @returns {Object} - { tons: {type: t}, revenue: {type: $} }
+   */
+  calculateCargoLeg({ demand, aircraftType, route, distance, year, allocation = null }) {
+    const capacityTons = (aircraftType.cargoCapacityKg || 0) / 1000;
+    const rates = {
+      light: aircraftType.hasCargoLight ? parseFloat(route.cargoLightRate) || 0 : 0,
+      standard: aircraftType.hasCargoStandard ? parseFloat(route.cargoStandardRate) || 0 : 0,
+      heavy: aircraftType.hasCargoHeavy ? parseFloat(route.cargoHeavyRate) || 0 : 0
+    };
+
+    // Hold space is shared between the cargo classes actually being sold
+    const offered = Object.keys(rates).filter(type => rates[type] > 0);
+    const totalShare = offered.reduce((sum, type) => sum + CARGO_HOLD_SHARES[type], 0);
+
+    // Freight demand tracks route demand but never fully disappears
+    let fillRatio = Math.min(1.2, 0.15 + demand / 70);
+    if (allocation) {
+      fillRatio *= allocation.demandMultiplier * (allocation.shares.cargo || 0);
+    }
+
+    const tons = { light: 0, standard: 0, heavy: 0 };
+    const revenue = { light: 0, standard: 0, heavy: 0 };
+    for (const type of offered) {
+      const holdTons = capacityTons * (CARGO_HOLD_SHARES[type] / totalShare);
+      const marketRate = eraEconomicService.calculateCargoRate(distance, year, type);
+      const priceFactor = this.getPriceFactor(rates[type], marketRate, 'cargo');
+
+      tons[type] = Math.min(holdTons, holdTons * fillRatio * priceFactor);
+      revenue[type] = tons[type] * rates[type];
+    }
+
+    return { tons, revenue };
+  }
+
+  /**
+   * Settle a completed round trip: outbound and return legs are sold separately,
+   * the airline is credited and the route statistics are updated
+   *
+   * @param {Object} flight - ScheduledFlight with route and aircraft (with aircraft type) loaded
+   * @param {Date} gameTime - Current game time
+   * @param {string} worldId - World the flight belongs to (demand is shared with its other airlines)
+   * @param {Object} [options] - { transaction } to join an outer transaction
+   * @returns {Promise<Object|null>} - Settlement breakdown (with outbound/return loads, connecting passengers included, in legs), or null if the flight can't be settled
+   */
+  async settleFlight(flight, gameTime, worldId, options = {}) {
+    const route = flight.route;
+    const aircraftType = flight.aircraft?.aircraft;
+    if (!route || !aircraftType) return null;
+
+    const year = gameTime.getFullYear();
+
+    const distance = parseFloat(route.distance) || 0;
+    const carriesPassengers = route.transportType !== 'cargo_only';
+    const carriesCargo = route.transportType !== 'passengers_only';
+
+    // Travellers care about the season, the day and the hour each leg leaves
+    const returnDepartureTime = marketShareService.getDirectionalDepartureTime({
+      departureAirportId: route.departureAirportId,
+      scheduledDepartureTime: flight.departureTime,
+      distance: route.distance,
+      turnaroundTime: route.turnaroundTime,
+      assignedAircraft: flight.aircraft
+    }, route.arrivalAirportId);
+    const demand = await routeDemandService.getRoundTripDemand(
+      route.departureAirportId,
+      route.arrivalAirportId,
+      year,
+      { date: flight.scheduledDate, departureTime: flight.departureTime },
+      { date: flight.arrivalDate || flight.scheduledDate, departureTime: returnDepartureTime }
+    );
+    const outboundDemand = demand.outbound;
+    const returnDemand = demand.return;
+
+    // Every airline flying the pair competes for the same travellers
+    const outboundMarket = await marketShareService.getMarket(worldId, route.departureAirportId, route.arrivalAirportId, gameTime);
+    const returnMarket = await marketShareService.getMarket(worldId, route.arrivalAirportId, route.departureAirportId, gameTime);
+    const legDemands = [
+      { ...outboundDemand, allocation: marketShareService.getRouteAllocation(outboundMarket, route.id) },
+      { ...returnDemand, allocation: marketShareService.getRouteAllocation(returnMarket, route.id) }
+    ];
+
+    // Well-regarded airlines draw more travellers to the pair
+    const membership = await WorldMembership.findByPk(route.worldMembershipId, { attributes: ['id', 'reputation', 'baseAirportId'] });
+    const reputationFactor = reputationService.getDemandFactor(membership?.reputation);
+
+    const seats = carriesPassengers ? this.getCabinSeats(aircraftType) : { economy: 0, economyPlus: 0, business: 0, first: 0 };
+    const prices = this.getCabinPrices(route);
+    const fareBuckets = carriesPassengers ? await this.getFareBuckets(route.id) : null;
+
+    // Travellers between airports nobody links direct can change planes at the hub
+    const legTimes = connectionService.getLegTimes(flight);
+    const itineraries = carriesPassengers
+      ? await connectionService.findItineraries(flight, membership?.baseAirportId, worldId)
+      : [[], []];
+    const connections = [];
+
+    const revenue = {
+      economy: 0, economyPlus: 0, business: 0, first: 0,
+      cargoLight: 0, cargoStandard: 0, cargoHeavy: 0,
+      total: 0
+    };
+    let passengers = 0;
+    let cargoTons = 0;
+    const legs = [];
+
+    for (const [index, legDemand] of legDemands.entries()) {
+      const legLoad = { passengers: 0, connectingPassengers: 0, cargoKg: 0 };
+
+      if (carriesPassengers) {
+        const leg = this.calculatePassengerLeg({
+          demand: legDemand.demand * reputationFactor,
+          routeType: legDemand.routeType,
+          seats,
+          prices,
+          distance,
+          year,
+          allocation: legDemand.allocation,
+          fareBuckets
+        });
+        for (const cabin of Object.keys(leg.passengers)) {
+          legLoad.passengers += leg.passengers[cabin];
+          revenue[cabin] += leg.revenue[cabin];
+        }
+
+        // Connecting travellers fly economy
+        if (itineraries[index].length > 0) {
+          const connecting = await this.sellConnections({
+            leg: legTimes[index],
+            itineraries: itineraries[index],
+            freeSeats: seats.economy - leg.passengers.economy,
+            year,
+            reputationFactor
+          });
+          legLoad.passengers += connecting.passengers;
+          legLoad.connectingPassengers = connecting.passengers;
+          revenue.economy += connecting.revenue;
+          connections.push(...connecting.markets.map(market => ({
+            scheduledFlightId: flight.id,
+            routeId: route.id,
+            legDirection: legTimes[index].direction,
+            connectingRouteId: market.itinerary.connectingLeg.routeId,
+            originAirportId: market.itinerary.originAirportId,
+            destinationAirportId: market.itinerary.destinationAirportId,
+            passengers: market.passengers,
+            revenue: market.revenue,
+            gameDate: flight.scheduledDate
+          })));
+        }
+      }
+
+      if (carriesCargo) {
+        // Freight moves whenever there's space, so it follows the pair's demand, not the timetable
+        const leg = this.calculateCargoLeg({ demand: legDemand.eraDemand, aircraftType, route, distance, year, allocation: legDemand.allocation });
+        legLoad.cargoKg = Math.round((leg.tons.light + leg.tons.standard + leg.tons.heavy) * 1000);
+        revenue.cargoLight += leg.revenue.light;
+        revenue.cargoStandard += leg.revenue.standard;
+        revenue.cargoHeavy += leg.revenue.heavy;
+      }
+
+      passengers += legLoad.passengers;
+      cargoTons += legLoad.cargoKg / 1000;
+      legs.push(legLoad);
+    }
+
+    for (const key of Object.keys(revenue)) {
+      if (key !== 'total') {
+        revenue[key] = Math.round(revenue[key] * 100) / 100;
+        revenue.total += revenue[key];
+      }
+    }
+    revenue.total = Math.round(revenue.total * 100) / 100;
+
+    // Load factor over both legs; cargo-only flights are measured on hold space
+    const totalSeats = Object.values(seats).reduce((sum, n) => sum + n, 0) * 2;
+    const capacityTons = (aircraftType.cargoCapacityKg || 0) / 1000 * 2;
+    let loadFactor = 0;
+    if (totalSeats > 0) {
+      loadFactor = (passengers / totalSeats) * 100;
+    } else if (capacityTons > 0) {
+      loadFactor = (cargoTons / capacityTons) * 100;
+    }
+    loadFactor = Math.round(loadFactor * 100) / 100;
+
+    const cargoKg = Math.round(cargoTons * 1000);
+
+    const apply = async (transaction) => {
+      await WorldMembership.increment('balance', {
+        by: revenue.total,
+        where: { id: route.worldMembershipId },
+        transaction
+      });
+
+      const { total, ...categories } = revenue;
+      await ledgerService.recordBreakdown({
+        worldMembershipId: route.worldMembershipId,
+        gameTime,
+        description: `Flight ${route.routeNumber}/${route.returnRouteNumber} on ${flight.scheduledDate}`,
+        referenceType: 'scheduled_flight',
+        referenceId: flight.id
+      }, categories, { transaction });
+
+      // Lock the route's totals: other rotations of the route may settle in the same tick
+      const totals = await Route.findByPk(route.id, {
+        attributes: ['id', 'totalFlights', 'averageLoadFactor'],
+        transaction,
+        lock: true
+      });
+
+      // Running average weighted by the number of flights already operated
+      const previousFlights = totals.totalFlights || 0;
+      const previousAverage = parseFloat(totals.averageLoadFactor) || 0;
+      const averageLoadFactor = (previousAverage * previousFlights + loadFactor) / (previousFlights + 1);
+
+      await totals.increment({
+        totalFlights: 1,
+        totalRevenue: revenue.total,
+        totalPassengers: passengers
+      }, { transaction });
+      await totals.update({
+        averageLoadFactor: Math.round(averageLoadFactor * 100) / 100
+      }, { transaction });
+
+      if (connections.length > 0) {
+        await ConnectingTraffic.bulkCreate(connections, { transaction });
+      }
+
+      await flight.update({
+        revenue: revenue.total,
+        passengersCarried: passengers,
+        cargoCarriedKg: cargoKg,
+        loadFactor
+      }, { transaction });
+    };
+
+    if (options.transaction) {
+      await apply(options.transaction);
+    } else {
+      await sequelize.transaction(apply);
+    }
+
+    return { revenue, passengers, cargoKg, loadFactor, legs };
+  }
+
+  /**
+   * Expected passenger loads for a proposed route or fare change, before it flies
+   * Uses the settlement demand, fare and competition models averaged over the days of
+   * the week flown, with a month-by-month view of the coming year
+   *
+   * @param {Object} params
+   * @param {string} params.worldId
+   * @param {Object} params.membership - WorldMembership (id, airlineName, airlineCode, reputation)
+   * @param {Object} params.route - Plain route fields: id (null for a new route), departureAirportId, arrivalAirportId,
+   *   distance, scheduledDepartureTime, turnaroundTime, daysOfWeek, transportType and fares; fareBuckets overrides the saved buckets
+   * @param {Object} params.aircraft - UserAircraft with aircraft type loaded
+   * @param {Date} params.gameTime - Current game time
+   * @returns {Promise<Object>} - { loadFactor, seatsPerRotation, passengersPerRotation, revenuePerRotation, marketPrices, legs, byMonth }
+   */
+  async previewLoad({ worldId, membership, route, aircraft, gameTime }) {
+    const aircraftType = aircraft.aircraft;
+    const year = gameTime.getFullYear();
+    const distance = parseFloat(route.distance) || 0;
+    const daysOfWeek = Array.isArray(route.daysOfWeek) && route.daysOfWeek.length > 0 ? route.daysOfWeek : [0, 1, 2, 3, 4, 5, 6];
+
+    // The proposed route competes in the market as it would once it flies
+    const candidate = {
+      ...route,
+      id: route.id || 'preview',
+      weeklyDepartures: daysOfWeek.length,
+      membership: {
+        id: membership.id,
+        airlineName: membership.airlineName,
+        airlineCode: membership.airlineCode,
+        reputation: membership.reputation
+      },
+      assignedAircraft: aircraft
+    };
+
+    const legTimes = [
+      { date: gameTime, departureTime: route.scheduledDepartureTime, daysOfWeek },
+      { date: gameTime, departureTime: marketShareService.getDirectionalDepartureTime(candidate, route.arrivalAirportId), daysOfWeek }
+    ];
+    const demand = await routeDemandService.getRoundTripDemand(route.departureAirportId, route.arrivalAirportId, year, legTimes[0], legTimes[1]);
+    const markets = await Promise.all([
+      marketShareService.getMarketWithCandidate(worldId, route.departureAirportId, route.arrivalAirportId, gameTime, candidate),
+      marketShareService.getMarketWithCandidate(worldId, route.arrivalAirportId, route.departureAirportId, gameTime, candidate)
+    ]);
+
+    const reputationFactor = reputationService.getDemandFactor(membership.reputation);
+    const seats = route.transportType === 'cargo_only'
+      ? { economy: 0, economyPlus: 0, business: 0, first: 0 }
+      : this.getCabinSeats(aircraftType);
+    const seatsPerLeg = Object.values(seats).reduce((sum, n) => sum + n, 0);
+    const prices = this.getCabinPrices(route);
+    const fareBuckets = route.fareBuckets !== undefined ? route.fareBuckets : (route.id ? await this.getFareBuckets(route.id) : null);
+    const toLoadFactor = (passengers, legs) => (seatsPerLeg > 0 ? Math.round(passengers / (seatsPerLeg * legs) * 1000) / 10 : null);
+
+    // Sell both legs at a given demand level
+    const sellLegs = (legDemands) => legDemands.map(({ legDemand, market }) => {
+      const leg = this.calculatePassengerLeg({
+        demand: legDemand.demand * reputationFactor,
+        routeType: legDemand.routeType,
+        seats,
+        prices,
+        distance,
+        year,
+        allocation: marketShareService.getRouteAllocation(market, candidate.id),
+        fareBuckets
+      });
+      const passengers = Object.values(leg.passengers).reduce((sum, n) => sum + n, 0);
+      const revenue = Object.values(leg.revenue).reduce((sum, n) => sum + n, 0);
+      return { ...leg, totalPassengers: passengers, totalRevenue: revenue };
+    });
+
+    const legDemands = [
+      { legDemand: demand.outbound, market: markets[0] },
+      { legDemand: demand.return, market: markets[1] }
+    ];
+    const sold = sellLegs(legDemands);
+    const passengersPerRotation = sold.reduce((sum, leg) => sum + leg.totalPassengers, 0);
+
+    // Same fares and competition through the coming year's seasons
+    const byMonth = [];
+    for (let i = 0; i < 12; i++) {
+      const date = new Date(gameTime.getFullYear(), gameTime.getMonth() + i, 15, 12);
+      const seasonal = sellLegs(legDemands.map(({ legDemand, market }, index) => {
+        const factors = routeDemandService.getTimeFactors(legDemand.routeType, { ...legTimes[index], date });
+        return { legDemand: { ...legDemand, demand: legDemand.eraDemand * factors.combined }, market };
+      }));
+      byMonth.push({
+        month: `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`,
+        loadFactor: toLoadFactor(seasonal.reduce((sum, leg) => sum + leg.totalPassengers, 0), 2)
+      });
+    }
+
+    return {
+      loadFactor: toLoadFactor(passengersPerRotation, 2),
+      seatsPerRotation: seatsPerLeg * 2,
+      passengersPerRotation,
+      revenuePerRotation: Math.round(sold.reduce((sum, leg) => sum + leg.totalRevenue, 0) * 100) / 100,
+      marketPrices: this.getMarketPrices(distance, year),
+      legs: legDemands.map(({ legDemand, market }, index) => ({
+        fromAirportId: index === 0 ? route.departureAirportId : route.arrivalAirportId,
+        toAirportId: index === 0 ? route.arrivalAirportId : route.departureAirportId,
+        departureTime: legTimes[index].departureTime,
+        routeType: legDemand.routeType,
+        demand: legDemand.demand,
+        factors: legDemand.factors || null,
+        competitors: Math.max(0, market.airlines - 1),
+        passengers: sold[index].passengers,
+        bucketSales: sold[index].bucketSales,
+        loadFactor: toLoadFactor(sold[index].totalPassengers, 1)
+      })),
+      byMonth
+    };
+  }
+}
+
+// Singleton instance
+const flightRevenueService = new FlightRevenueService();
+
+module.exports = flightRevenueService;
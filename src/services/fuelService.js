@@ -0,0 +1,431 @@
+const { Op } = require('sequelize');
+const sequelize = require('../config/database');
+const { FuelPrice, FuelContract, WorldMembership, Notification } = require('../models');
+const eraEconomicService = require('./eraEconomicService');
+const ledgerService = require('./ledgerService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Game days in a contract month
+const CONTRACT_MONTH_DAYS = 30;
+
+// Day-to-day volatility of the spot price (standard deviation of the daily log move)
+const DAILY_VOLATILITY = 0.012;
+
+// Share of yesterday's deviation from the historical curve that carries into today
+const MEAN_REVERSION = 0.98;
+
+// Chance per day of a market shock, and the size range of its move
+const SHOCK_PROBABILITY = 0.004;
+const SHOCK_MIN = 0.08;
+const SHOCK_MAX = 0.25;
+
+// Shocks that push the price up or down
+const UPWARD_SHOCKS = ['Refinery outage', 'Supply disruption', 'Production cut', 'Pipeline outage'];
+const DOWNWARD_SHOCKS = ['Production increase', 'Demand slump', 'Inventory glut'];
+
+// Real-world events marked on the day they happened
+const HISTORICAL_EVENTS = {
+  '1973-10-17': 'Oil embargo',
+  '1979-01-16': 'Revolution in Iran',
+  '1980-09-22': 'Iran-Iraq War',
+  '1986-01-15': 'Oil glut',
+  '1990-08-02': 'Gulf War',
+  '2001-09-11': 'September 11 attacks',
+  '2005-08-29': 'Hurricane Katrina',
+  '2008-07-11': 'Oil price peaks',
+  '2014-11-27': 'OPEC price war',
+  '2020-03-09': 'Pandemic demand collapse',
+  '2022-02-24': 'War in Ukraine'
+};
+
+// Days of history generated when a world's series starts, so the chart isn't empty
+const HISTORY_SEED_DAYS = 90;
+
+// Most days generated in one run (a long-stopped world catches up over several runs)
+const MAX_DAYS_PER_RUN = 400;
+
+// Forward price premium per month of hedge term, and the arrangement fee on the notional
+const FORWARD_PREMIUM_PER_MONTH = 0.01;
+const HEDGE_FEE_RATE = 0.01;
+
+// Bulk contracts are priced below spot; undrawn volume at expiry is charged at this share of its value
+const BULK_DISCOUNT = 0.06;
+const TAKE_OR_PAY_RATE = 0.25;
+
+// Contract terms (months) and volumes (liters)
+const CONTRACT_MONTHS = { hedge: { min: 1, max: 12 }, bulk: { min: 1, max: 6 } };
+const MIN_CONTRACT_LITERS = 10000;
+const MAX_CONTRACT_LITERS = 100000000;
+
+/**
+ * Format a Date as YYYY-MM-DD in server local time
+ */
+function formatLocalDate(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Standard normal random number (Box-Muller)
+ */
+function randomNormal() {
+  const u = 1 - Math.random();
+  const v = Math.random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Fuel Service
+ * Runs each world's jet fuel market: a daily spot price that follows the historical
+ * curve with random variation and shocks, and the hedges and bulk contracts airlines
+ * buy to fix their fuel price for a period
+ */
+class FuelService {
+  constructor() {
+    this.spotCache = new Map(); // Map of worldId -> { date, price }
+  }
+
+  /**
+   * Move yesterday's deviation one day on and price the day
+   * @private
+   */
+  nextDay(date, previousDeviation) {
+    const dateStr = formatLocalDate(date);
+    let deviation = previousDeviation * MEAN_REVERSION + randomNormal() * DAILY_VOLATILITY;
+    let event = HISTORICAL_EVENTS[dateStr] || null;
+
+    if (!event && Math.random() < SHOCK_PROBABILITY) {
+      const upward = Math.random() < 0.55;
+      const size = SHOCK_MIN + Math.random() * (SHOCK_MAX - SHOCK_MIN);
+      const names = upward ? UPWARD_SHOCKS : DOWNWARD_SHOCKS;
+      deviation += upward ? Math.log(1 + size) : Math.log(1 - size);
+      event = names[Math.floor(Math.random() * names.length)];
+    }
+
+    const price = eraEconomicService.getHistoricalFuelPrice(date) * Math.exp(deviation);
+    return {
+      priceDate: dateStr,
+      pricePerLiter: Math.round(price * 10000) / 10000,
+      deviation,
+      event
+    };
+  }
+
+  /**
+   * Extend a world's price series up to the current game date
+   *
+   * @param {string} worldId - World UUID
+   * @param {Date} gameTime - Current game time
+   */
+  async updatePrices(worldId, gameTime) {
+    const today = formatLocalDate(gameTime);
+    const last = await FuelPrice.findOne({
+      where: { worldId },
+      order: [['priceDate', 'DESC']]
+    });
+    if (last && last.priceDate >= today) return;
+
+    const date = last
+      ? new Date(`${last.priceDate}T12:00:00`)
+      : new Date(gameTime.getFullYear(), gameTime.getMonth(), gameTime.getDate() - HISTORY_SEED_DAYS - 1, 12);
+    let deviation = last ? last.deviation : 0;
+
+    const rows = [];
+    for (let i = 0; i < MAX_DAYS_PER_RUN; i++) {
+      date.setDate(date.getDate() + 1);
+      const day = this.nextDay(date, deviation);
+      rows.push({ worldId, ...day });
+      deviation = day.deviation;
+      if (day.priceDate >= today) break;
+    }
+
+    await FuelPrice.bulkCreate(rows, { ignoreDuplicates: true });
+    this.spotCache.delete(worldId);
+  }
+
+  /**
+   * Spot price of jet fuel in a world on the current game date
+   * Falls back to the historical curve before the series has started
+   *
+   * @param {string} worldId - World UUID
+   * @param {Date} gameTime - Current game time
+   * @returns {Promise<number>} - Era USD per liter
+   */
+  async getSpotPrice(worldId, gameTime) {
+    const today = formatLocalDate(gameTime);
+    const cached = this.spotCache.get(worldId);
+    if (cached && cached.date === today) return cached.price;
+
+    const latest = await FuelPrice.findOne({
+      where: { worldId, priceDate: { [Op.lte]: today } },
+      order: [['priceDate', 'DESC']]
+    });
+    const price = latest
+      ? parseFloat(latest.pricePerLiter)
+      : Math.round(eraEconomicService.getHistoricalFuelPrice(gameTime) * 10000) / 10000;
+
+    if (latest?.priceDate === today) {
+      this.spotCache.set(worldId, { date: today, price });
+    }
+    return price;
+  }
+
+  /**
+   * Daily spot prices for the chart, with the events that moved them
+   *
+   * @param {string} worldId - World UUID
+   * @param {Date} gameTime - Current game time
+   * @param {number} [days=365]
+   * @returns {Promise<Array<{date: string, price: number, historical: number, event: string|null}>>}
+   */
+  async getHistory(worldId, gameTime, days = 365) {
+    const from = new Date(gameTime.getTime() - days * DAY_MS);
+    const rows = await FuelPrice.findAll({
+      where: {
+        worldId,
+        priceDate: { [Op.between]: [formatLocalDate(from), formatLocalDate(gameTime)] }
+      },
+      order: [['priceDate', 'ASC']]
+    });
+
+    return rows.map(row => ({
+      date: row.priceDate,
+      price: parseFloat(row.pricePerLiter),
+      historical: Math.round(eraEconomicService.getHistoricalFuelPrice(new Date(`${row.priceDate}T12:00:00`)) * 10000) / 10000,
+      event: row.event
+    }));
+  }
+
+  /**
+   * Price a hedge or bulk contract bought today
+   *
+   * @param {string} contractType - 'hedge' | 'bulk'
+   * @param {number} months - Contract term
+   * @param {number} spotPrice - Current spot price per liter
+   * @returns {{pricePerLiter: number, feeRate: number}}
+   */
+  quoteContract(contractType, months, spotPrice) {
+    if (contractType === 'hedge') {
+      return {
+        pricePerLiter: Math.round(spotPrice * (1 + FORWARD_PREMIUM_PER_MONTH * months) * 10000) / 10000,
+        feeRate: HEDGE_FEE_RATE
+      };
+    }
+    return {
+      pricePerLiter: Math.round(spotPrice * (1 - BULK_DISCOUNT) * 10000) / 10000,
+      feeRate: 0
+    };
+  }
+
+  /**
+   * Quotes for every contract term at today's spot price
+   *
+   * @param {number} spotPrice
+   * @returns {Object} - { hedge: [{ months, pricePerLiter, feeRate }], bulk: [...], takeOrPayRate }
+   */
+  getQuotes(spotPrice) {
+    const quotes = { takeOrPayRate: TAKE_OR_PAY_RATE, minLiters: MIN_CONTRACT_LITERS, maxLiters: MAX_CONTRACT_LITERS };
+    for (const [contractType, { min, max }] of Object.entries(CONTRACT_MONTHS)) {
+      quotes[contractType] = [];
+      for (let months = min; months <= max; months++) {
+        quotes[contractType].push({ months, ...this.quoteContract(contractType, months, spotPrice) });
+      }
+    }
+    return quotes;
+  }
+
+  /**
+   * An airline's fuel contracts, active first
+   *
+   * @param {string} membershipId - WorldMembership UUID
+   * @returns {Promise<Array>}
+   */
+  async getContracts(membershipId) {
+    return FuelContract.findAll({
+      where: { worldMembershipId: membershipId },
+      order: [['status', 'ASC'], ['expiresAt', 'DESC']],
+      limit: 50
+    });
+  }
+
+  /**
+   * Buy a hedge or bulk contract at today's quote
+   *
+   * @param {Object} membership - WorldMembership instance
+   * @param {Object} request - { contractType, volumeLiters, months }
+   * @param {Date} gameTime - Current game time
+   * @returns {Promise<Object>} - { contract } or { error }
+   */
+  async buyContract(membership, { contractType, volumeLiters, months }, gameTime) {
+    const terms = CONTRACT_MONTHS[contractType];
+    if (!terms) {
+      return { error: 'Contract type must be hedge or bulk' };
+    }
+
+    const term = parseInt(months, 10);
+    if (!Number.isInteger(term) || term < terms.min || term > terms.max) {
+      return { error: `A ${contractType} contract runs for ${terms.min} to ${terms.max} months` };
+    }
+
+    const volume = Math.round(Number(volumeLiters));
+    if (!Number.isFinite(volume) || volume < MIN_CONTRACT_LITERS || volume > MAX_CONTRACT_LITERS) {
+      return { error: `Contract between ${MIN_CONTRACT_LITERS.toLocaleString('en-US')} and ${MAX_CONTRACT_LITERS.toLocaleString('en-US')} liters` };
+    }
+
+    const spotPrice = await this.getSpotPrice(membership.worldId, gameTime);
+    const quote = this.quoteContract(contractType, term, spotPrice);
+    const fee = Math.round(volume * quote.pricePerLiter * quote.feeRate * 100) / 100;
+
+    // The airline has to be able to pay the fee, or back the take-or-pay charge on a bulk contract
+    const exposure = contractType === 'hedge' ? fee : volume * quote.pricePerLiter * TAKE_OR_PAY_RATE;
+    const balance = parseFloat(membership.balance) || 0;
+    if (balance < exposure) {
+      return { error: 'Insufficient funds', required: Math.round(exposure * 100) / 100, available: balance };
+    }
+
+    const contract = await sequelize.transaction(async (transaction) => {
+      const created = await FuelContract.create({
+        worldMembershipId: membership.id,
+        contractType,
+        pricePerLiter: quote.pricePerLiter,
+        volumeLiters: volume,
+        remainingLiters: volume,
+        fee,
+        startsAt: gameTime,
+        expiresAt: new Date(gameTime.getTime() + term * CONTRACT_MONTH_DAYS * DAY_MS)
+      }, { transaction });
+
+      if (fee > 0) {
+        await ledgerService.post({
+          worldMembershipId: membership.id,
+          category: 'fuelFees',
+          amount: -fee,
+          gameTime,
+          description: `Fuel hedge arrangement: ${volume.toLocaleString('en-US')} L at $${quote.pricePerLiter}/L for ${term} months`,
+          referenceType: 'fuel_contract',
+          referenceId: created.id
+        }, { transaction });
+      }
+
+      return created;
+    });
+
+    return { contract };
+  }
+
+  /**
+   * Price the fuel for a flight, drawing on the airline's contracts before buying at spot
+   * Bulk contracts are used first (their undrawn volume is charged), then hedges
+   * in order of expiry
+   *
+   * @param {string} membershipId - WorldMembership UUID
+   * @param {number} liters - Fuel burned
+   * @param {number} spotPrice - Spot price per liter
+   * @param {Date} gameTime - Current game time
+   * @param {Object} [options] - { transaction }
+   * @returns {Promise<{cost: number, contractedLiters: number}>}
+   */
+  async drawFuel(membershipId, liters, spotPrice, gameTime, { transaction } = {}) {
+    const contracts = await FuelContract.findAll({
+      where: {
+        worldMembershipId: membershipId,
+        status: 'active',
+        startsAt: { [Op.lte]: gameTime },
+        expiresAt: { [Op.gt]: gameTime },
+        remainingLiters: { [Op.gt]: 0 }
+      },
+      order: [['contractType', 'ASC'], ['expiresAt', 'ASC']],
+      transaction
+    });
+
+    let remaining = liters;
+    let cost = 0;
+    for (const contract of contracts) {
+      if (remaining <= 0) break;
+      const drawn = Math.min(remaining, parseFloat(contract.remainingLiters));
+      cost += drawn * parseFloat(contract.pricePerLiter);
+      remaining -= drawn;
+      await contract.update({
+        remainingLiters: Math.round((parseFloat(contract.remainingLiters) - drawn) * 100) / 100
+      }, { transaction });
+    }
+
+    cost += remaining * spotPrice;
+    return {
+      cost: Math.round(cost * 100) / 100,
+      contractedLiters: Math.round((liters - remaining) * 100) / 100
+    };
+  }
+
+  /**
+   * Close contracts that have run their term, settling the volume left undrawn:
+   * hedges pay out (or charge) the difference to spot, bulk contracts charge take-or-pay
+   *
+   * @param {string} worldId - World UUID
+   * @param {Date} gameTime - Current game time
+   */
+  async settleExpiredContracts(worldId, gameTime) {
+    const expired = await FuelContract.findAll({
+      where: { status: 'active', expiresAt: { [Op.lte]: gameTime } },
+      include: [{ model: WorldMembership, as: 'membership', where: { worldId }, attributes: ['id'] }]
+    });
+    if (expired.length === 0) return;
+
+    const spotPrice = await this.getSpotPrice(worldId, gameTime);
+    for (const contract of expired) {
+      const undrawn = parseFloat(contract.remainingLiters);
+      const price = parseFloat(contract.pricePerLiter);
+      const settlement = Math.round((contract.contractType === 'hedge'
+        ? undrawn * (spotPrice - price)
+        : -undrawn * price * TAKE_OR_PAY_RATE) * 100) / 100;
+
+      await sequelize.transaction(async (transaction) => {
+        await contract.update({ status: 'expired', settlementAmount: settlement }, { transaction });
+        if (settlement === 0) return;
+        await ledgerService.post({
+          worldMembershipId: contract.worldMembershipId,
+          category: 'fuelFees',
+          amount: settlement,
+          gameTime,
+          description: contract.contractType === 'hedge'
+            ? `Fuel hedge settlement: ${Math.round(undrawn).toLocaleString('en-US')} L unused`
+            : `Bulk fuel take-or-pay: ${Math.round(undrawn).toLocaleString('en-US')} L undrawn`,
+          referenceType: 'fuel_contract',
+          referenceId: contract.id
+        }, { transaction });
+      });
+
+      if (settlement !== 0) {
+        const amount = `$${Math.abs(settlement).toLocaleString('en-US')}`;
+        await Notification.create({
+          worldMembershipId: contract.worldMembershipId,
+          type: 'fuel_contract_expired',
+          icon: 'dollar',
+          title: contract.contractType === 'hedge' ? 'Fuel Hedge Settled' : 'Bulk Fuel Contract Ended',
+          message: contract.contractType === 'hedge'
+            ? `Your fuel hedge expired with ${Math.round(undrawn).toLocaleString('en-US')} L unused: ${settlement > 0 ? `${amount} received` : `${amount} paid`} against the spot price.`
+            : `Your bulk fuel contract ended with ${Math.round(undrawn).toLocaleString('en-US')} L undrawn: ${amount} charged.`,
+          link: '/finances',
+          priority: 3,
+          gameTime
+        });
+      }
+    }
+  }
+
+  /**
+   * Daily fuel market run: price the new day and settle expired contracts
+   *
+   * @param {string} worldId - World UUID
+   * @param {Date} gameTime - Current game time
+   */
+  async processDaily(worldId, gameTime) {
+    await this.updatePrices(worldId, gameTime);
+    await this.settleExpiredContracts(worldId, gameTime);
+  }
+}
+
+// Singleton instance
+const fuelService = new FuelService();
+
+module.exports = fuelService;
@@ -0,0 +1,305 @@
+const { Op, QueryTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const { LedgerEntry, WorldMembership } = require('../models');
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Statement lines, in the order the finances page shows them
+const STATEMENT_CATEGORIES = {
+  revenues: ['economy', 'economyPlus', 'business', 'first', 'cargoLight', 'cargoStandard', 'cargoHeavy'],
+  expenses: [
+    'staffSalaries', 'staffTraining', 'fuel', 'fuelFees', 'maintenance', 'leases', 'insurance',
+    'parking', 'passengerFees', 'navigationFees', 'landingFees', 'groundHandling', 'groundHandlingCargo',
+    'depreciation', 'marketing', 'officeRent', 'fines', 'allianceFees'
+  ],
+  other: ['leaseFees', 'leaseIncome', 'slotFees', 'slotIncome', 'bankFees', 'interest']
+};
+
+// Balance movements that are not profit or loss (sales feed profitOnSales/lossOnSales via bookValue)
+const CAPITAL_CATEGORIES = [
+  'startingCapital', 'aircraftPurchase', 'aircraftSale', 'adjustment', 'loanDrawdown', 'loanRepayment'
+];
+
+const TAX_CATEGORY = 'taxes';
+
+// Corporation tax on a week's profit before taxes; loss-making weeks pay none
+const TAX_RATE = 0.25;
+
+const ALL_CATEGORIES = new Set([
+  ...STATEMENT_CATEGORIES.revenues,
+  ...STATEMENT_CATEGORIES.expenses,
+  ...STATEMENT_CATEGORIES.other,
+  ...CAPITAL_CATEGORIES,
+  TAX_CATEGORY
+]);
+
+/**
+ * Ledger Service
+ * Records every balance change and builds weekly financial statements from them
+ */
+class LedgerService {
+
+  /**
+   * Check whether a category is a known ledger category
+   * @param {string} category
+   * @returns {boolean}
+   */
+  isValidCategory(category) {
+    return ALL_CATEGORIES.has(category);
+  }
+
+  /**
+   * Categories that move cash without being profit or loss
+   * @returns {string[]}
+   */
+  getCapitalCategories() {
+    return [...CAPITAL_CATEGORIES];
+  }
+
+  /**
+   * Record a balance change that has already been applied to the membership
+   *
+   * @param {Object} entry
+   * @param {string} entry.worldMembershipId - Airline the entry belongs to
+   * @param {string} entry.category - Ledger category
+   * @param {number} entry.amount - Signed amount (negative = money out)
+   * @param {Date} entry.gameTime - Game time of the change
+   * @param {string} [entry.description]
+   * @param {string} [entry.referenceType]
+   * @param {string} [entry.referenceId]
+   * @param {number} [entry.bookValue] - Book value of a sold asset
+   * @param {Object} [options] - { transaction }
+   * @returns {Promise<Object|null>} - Created entry, or null for zero amounts
+   */
+  async record(entry, options = {}) {
+    if (!this.isValidCategory(entry.category)) {
+      throw new Error(`Unknown ledger category: ${entry.category}`);
+    }
+
+    const amount = Math.round((Number(entry.amount) || 0) * 100) / 100;
+    if (amount === 0) return null;
+
+    return LedgerEntry.create({
+      worldMembershipId: entry.worldMembershipId,
+      category: entry.category,
+      amount,
+      description: entry.description || null,
+      referenceType: entry.referenceType || null,
+      referenceId: entry.referenceId || null,
+      bookValue: entry.bookValue ?? null,
+      gameTime: entry.gameTime
+    }, { transaction: options.transaction });
+  }
+
+  /**
+   * Record one entry per non-zero category of a breakdown (e.g. a flight's revenue or costs)
+   *
+   * @param {Object} shared - Fields common to every entry (worldMembershipId, gameTime, description, reference)
+   * @param {Object} amounts - Map of category -> signed amount
+   * @param {Object} [options] - { transaction }
+   * @returns {Promise<Array>} - Created entries
+   */
+  async recordBreakdown(shared, amounts, options = {}) {
+    const entries = [];
+    for (const [category, amount] of Object.entries(amounts)) {
+      const entry = await this.record({ ...shared, category, amount }, options);
+      if (entry) entries.push(entry);
+    }
+    return entries;
+  }
+
+  /**
+   * Apply a balance change atomically and record it
+   *
+   * @param {Object} entry - Same shape as record()
+   * @param {Object} [options] - { transaction } to join an outer transaction
+   * @returns {Promise<Object|null>} - Created entry
+   */
+  async post(entry, options = {}) {
+    const apply = async (transaction) => {
+      await WorldMembership.increment('balance', {
+        by: entry.amount,
+        where: { id: entry.worldMembershipId },
+        transaction
+      });
+      return this.record(entry, { transaction });
+    };
+
+    if (options.transaction) {
+      return apply(options.transaction);
+    }
+    return sequelize.transaction(apply);
+  }
+
+  /**
+   * Start of the game week (Monday 00:00 UTC) containing a game time
+   * @param {Date} gameTime
+   * @returns {Date}
+   */
+  getWeekStart(gameTime) {
+    const start = new Date(gameTime);
+    start.setUTCHours(0, 0, 0, 0);
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+    return start;
+  }
+
+  /**
+   * Build an empty statement week in the shape the finances page expects
+   * @private
+   */
+  createEmptyWeek(weekNumber, weekStart) {
+    const section = (categories) => {
+      const values = {};
+      for (const category of categories) values[category] = 0;
+      values.total = 0;
+      return values;
+    };
+
+    return {
+      weekNumber,
+      weekStart: weekStart.toISOString(),
+      revenues: section(STATEMENT_CATEGORIES.revenues),
+      expenses: section(STATEMENT_CATEGORIES.expenses),
+      other: section([...STATEMENT_CATEGORIES.other, 'profitOnSales', 'lossOnSales']),
+      operatingProfit: 0,
+      operatingMargin: 0,
+      profitBeforeTaxes: 0,
+      taxes: 0,
+      netProfit: 0,
+      netMargin: 0
+    };
+  }
+
+  /**
+   * Aggregate the ledger into weekly income statements
+   * Week 0 is the game week containing gameTime, shifted back by weekOffset
+   *
+   * @param {string} worldMembershipId - Airline UUID
+   * @param {Date} gameTime - Current game time
+   * @param {number} weekOffset - How many weeks back the first column starts
+   * @param {number} count - Number of weeks to return
+   * @returns {Promise<Array>} - Statement weeks, most recent first
+   */
+  async getWeeklyStatements(worldMembershipId, gameTime, weekOffset = 0, count = 4) {
+    const currentWeekStart = this.getWeekStart(gameTime);
+    const periodEnd = new Date(currentWeekStart.getTime() - (weekOffset - 1) * WEEK_MS);
+    const periodStart = new Date(periodEnd.getTime() - count * WEEK_MS);
+
+    const rows = await sequelize.query(`
+      SELECT
+        FLOOR(EXTRACT(EPOCH FROM (CAST(:periodEnd AS timestamptz) - game_time)) / :weekSeconds) AS week_index,
+        category,
+        SUM(amount) AS total,
+        SUM(GREATEST(amount - COALESCE(book_value, amount), 0)) AS gain,
+        SUM(LEAST(amount - COALESCE(book_value, amount), 0)) AS loss
+      FROM ledger_entries
+      WHERE world_membership_id = :worldMembershipId
+        AND game_time >= :periodStart
+        AND game_time < :periodEnd
+      GROUP BY week_index, category
+    `, {
+      replacements: {
+        worldMembershipId,
+        periodStart: periodStart.toISOString(),
+        periodEnd: periodEnd.toISOString(),
+        weekSeconds: WEEK_MS / 1000
+      },
+      type: QueryTypes.SELECT
+    });
+
+    const weeks = [];
+    for (let i = 0; i < count; i++) {
+      const weekStart = new Date(periodEnd.getTime() - (i + 1) * WEEK_MS);
+      weeks.push(this.createEmptyWeek(-(weekOffset + i), weekStart));
+    }
+
+    for (const row of rows) {
+      const week = weeks[parseInt(row.week_index)];
+      if (!week) continue;
+
+      const total = parseFloat(row.total) || 0;
+      if (STATEMENT_CATEGORIES.revenues.includes(row.category)) {
+        week.revenues[row.category] += total;
+      } else if (STATEMENT_CATEGORIES.expenses.includes(row.category)) {
+        week.expenses[row.category] += total;
+      } else if (STATEMENT_CATEGORIES.other.includes(row.category)) {
+        week.other[row.category] += total;
+      } else if (row.category === 'aircraftSale') {
+        week.other.profitOnSales += parseFloat(row.gain) || 0;
+        week.other.lossOnSales += parseFloat(row.loss) || 0;
+      } else if (row.category === TAX_CATEGORY) {
+        // Stored as a debit, shown as a positive tax charge
+        week.taxes += -total;
+      }
+    }
+
+    const sumSection = (section) => Object.entries(section)
+      .filter(([key]) => key !== 'total')
+      .reduce((sum, [, value]) => sum + value, 0);
+    const percentage = (value, base) => base > 0 ? Math.round((value / base) * 1000) / 10 : 0;
+
+    for (const week of weeks) {
+      week.revenues.total = sumSection(week.revenues);
+      week.expenses.total = sumSection(week.expenses);
+      week.other.total = sumSection(week.other);
+
+      week.operatingProfit = week.revenues.total + week.expenses.total;
+      week.operatingMargin = percentage(week.operatingProfit, week.revenues.total);
+      week.profitBeforeTaxes = week.operatingProfit + week.other.total;
+      week.netProfit = week.profitBeforeTaxes - week.taxes;
+      week.netMargin = percentage(week.netProfit, week.revenues.total);
+    }
+
+    return weeks;
+  }
+
+  /**
+   * Charge corporation tax on each airline's profit for the last complete game week
+   * The charge is dated the last moment of that week so it sits on the statement it taxes;
+   * a week that already carries a tax entry is not taxed again
+   *
+   * @param {string} worldId - World UUID
+   * @param {Date} gameTime - Current game time
+   */
+  async processWeeklyTaxes(worldId, gameTime) {
+    const weekEnd = this.getWeekStart(gameTime);
+    const weekStart = new Date(weekEnd.getTime() - WEEK_MS);
+    const taxedAt = new Date(weekEnd.getTime() - 1);
+
+    const memberships = await WorldMembership.findAll({
+      where: { worldId, isActive: true },
+      attributes: ['id']
+    });
+    if (memberships.length === 0) return;
+
+    const taxed = new Set((await LedgerEntry.findAll({
+      where: {
+        worldMembershipId: memberships.map(m => m.id),
+        category: TAX_CATEGORY,
+        gameTime: { [Op.gte]: weekStart, [Op.lt]: weekEnd }
+      },
+      attributes: ['worldMembershipId']
+    })).map(e => e.worldMembershipId));
+
+    for (const membership of memberships) {
+      if (taxed.has(membership.id)) continue;
+
+      const [week] = await this.getWeeklyStatements(membership.id, gameTime, 1, 1);
+      if (week.profitBeforeTaxes <= 0) continue;
+
+      await this.post({
+        worldMembershipId: membership.id,
+        category: TAX_CATEGORY,
+        amount: -Math.round(week.profitBeforeTaxes * TAX_RATE * 100) / 100,
+        gameTime: taxedAt,
+        description: `Corporation tax (${TAX_RATE * 100}% of $${Math.round(week.profitBeforeTaxes).toLocaleString()} profit)`,
+        referenceType: 'tax_week'
+      });
+    }
+  }
+}
+
+// Singleton instance
+const ledgerService = new LedgerService();
+
+module.exports = ledgerService;
@@ -0,0 +1,519 @@
+const { Op, QueryTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const { Loan, WorldMembership, Notification } = require('../models');
+const eraEconomicService = require('./eraEconomicService');
+const ledgerService = require('./ledgerService');
+const overdraftService = require('./overdraftService');
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Rating bands, best first. margin is added to the era base rate; termLimitMultiple is the
+// unsecured borrowing limit as a multiple of era starting capital; maxLtv caps mortgages
+const CREDIT_RATINGS = [
+  { grade: 'AAA', minScore: 85, margin: 0.015, termLimitMultiple: 2.0, maxLtv: 0.85 },
+  { grade: 'AA', minScore: 75, margin: 0.020, termLimitMultiple: 1.5, maxLtv: 0.80 },
+  { grade: 'A', minScore: 65, margin: 0.030, termLimitMultiple: 1.0, maxLtv: 0.75 },
+  { grade: 'BBB', minScore: 55, margin: 0.045, termLimitMultiple: 0.75, maxLtv: 0.70 },
+  { grade: 'BB', minScore: 45, margin: 0.065, termLimitMultiple: 0.5, maxLtv: 0.60 },
+  { grade: 'B', minScore: 35, margin: 0.090, termLimitMultiple: 0.25, maxLtv: 0.50 },
+  { grade: 'CCC', minScore: 0, margin: null, termLimitMultiple: 0, maxLtv: 0 } // Banks won't lend
+];
+
+// Mortgages are secured, so they're priced below the unsecured margin
+const MORTGAGE_MARGIN_DISCOUNT = 0.01;
+
+const LOAN_TERMS = {
+  term: { minWeeks: 26, maxWeeks: 260 },
+  mortgage: { minWeeks: 52, maxWeeks: 780 }
+};
+
+// Fee on principal repaid ahead of schedule (not charged when a mortgaged aircraft is sold)
+const EARLY_REPAYMENT_FEE_SHARE = 0.01;
+
+// Weeks of ledger history the rating looks back over
+const RATING_HISTORY_WEEKS = 12;
+
+// Cap on instalments taken for one loan in a single run, in case the world was offline for a long time
+const MAX_CATCH_UP_PAYMENTS = 52;
+
+/**
+ * Loan Service
+ * Term loans and aircraft mortgages: credit ratings, quotes, drawdown,
+ * weekly repayment by the world tick and early repayment
+ */
+class LoanService {
+
+  /**
+   * Fixed weekly instalment that repays a loan over its term
+   *
+   * @param {number} principal
+   * @param {number} annualRate
+   * @param {number} termWeeks
+   * @returns {number}
+   */
+  calculateWeeklyPayment(principal, annualRate, termWeeks) {
+    const weeklyRate = annualRate / 52;
+    const payment = weeklyRate > 0
+      ? principal * weeklyRate / (1 - Math.pow(1 + weeklyRate, -termWeeks))
+      : principal / termWeeks;
+    return Math.round(payment * 100) / 100;
+  }
+
+  /**
+   * Week-by-week balance history from the ledger
+   * Closing balances are rebuilt backwards from the current balance
+   *
+   * @param {Object} membership - WorldMembership instance
+   * @param {Date} gameTime - Current game time
+   * @returns {Promise<Object>} - { closingBalances, operatingResult }
+   */
+  async getBalanceHistory(membership, gameTime) {
+    const rows = await sequelize.query(`
+      SELECT
+        FLOOR(EXTRACT(EPOCH FROM (CAST(:gameTime AS TIMESTAMPTZ) - game_time)) / 604800)::int AS weeks_ago,
+        SUM(amount) AS net,
+        SUM(CASE WHEN category IN (:capitalCategories) THEN 0 ELSE amount END) AS operating
+      FROM ledger_entries
+      WHERE world_membership_id = :membershipId
+        AND game_time > :since
+        AND game_time <= :gameTime
+      GROUP BY weeks_ago
+    `, {
+      replacements: {
+        membershipId: membership.id,
+        gameTime,
+        since: new Date(gameTime.getTime() - RATING_HISTORY_WEEKS * WEEK_MS),
+        capitalCategories: ledgerService.getCapitalCategories()
+      },
+      type: QueryTypes.SELECT
+    });
+
+    const netByWeek = new Array(RATING_HISTORY_WEEKS).fill(0);
+    let operatingResult = 0;
+    for (const row of rows) {
+      if (row.weeks_ago >= 0 && row.weeks_ago < RATING_HISTORY_WEEKS) {
+        netByWeek[row.weeks_ago] = parseFloat(row.net) || 0;
+      }
+      operatingResult += parseFloat(row.operating) || 0;
+    }
+
+    // closingBalances[0] is now, [1] is a week ago, and so on
+    const closingBalances = [];
+    let balance = parseFloat(membership.balance) || 0;
+    for (let week = 0; week < RATING_HISTORY_WEEKS; week++) {
+      closingBalances.push(balance);
+      balance -= netByWeek[week];
+    }
+
+    // Weeks before the airline joined don't count against it
+    const joinedAt = membership.joinedAt ? new Date(membership.joinedAt) : null;
+    const weeksTrading = joinedAt
+      ? Math.max(1, Math.min(RATING_HISTORY_WEEKS, Math.ceil((gameTime - joinedAt) / WEEK_MS)))
+      : RATING_HISTORY_WEEKS;
+
+    return {
+      closingBalances: closingBalances.slice(0, weeksTrading),
+      operatingResult
+    };
+  }
+
+  /**
+   * Total principal outstanding across an airline's active loans
+   * @param {string} worldMembershipId
+   * @param {string} [loanType] - Only count one type of loan
+   * @returns {Promise<number>}
+   */
+  async getOutstandingDebt(worldMembershipId, loanType = null) {
+    const where = { worldMembershipId, status: 'active' };
+    if (loanType) where.loanType = loanType;
+    const total = await Loan.sum('outstandingBalance', { where });
+    return parseFloat(total) || 0;
+  }
+
+  /**
+   * Credit rating derived from reputation, balance history and leverage
+   *
+   * Score out of 100:
+   * - reputation: up to 40
+   * - weeks closed in credit: up to 25
+   * - operating result over the history window: up to 15
+   * - debt against fleet value and cash: up to 20
+   * Insolvent airlines are rated CCC; weeks over the overdraft limit cost 5 points each
+   *
+   * @param {Object} membership - WorldMembership instance
+   * @param {Date} gameTime - Current game time
+   * @returns {Promise<Object>} - Rating band plus { score, factors }
+   */
+  async getCreditRating(membership, gameTime) {
+    const year = gameTime.getFullYear();
+    const [history, fleetValue, debt] = await Promise.all([
+      this.getBalanceHistory(membership, gameTime),
+      overdraftService.getFleetValue(membership.id),
+      this.getOutstandingDebt(membership.id)
+    ]);
+
+    const reputationScore = Math.max(0, Math.min(100, membership.reputation || 0)) * 0.4;
+
+    const weeksInCredit = history.closingBalances.filter(balance => balance >= 0).length;
+    const balanceScore = 25 * weeksInCredit / history.closingBalances.length;
+
+    // A quarter of starting capital over the window counts as a strong result either way
+    const resultScale = eraEconomicService.getStartingCapital(year) / 4;
+    const resultScore = Math.max(0, Math.min(15, 7.5 + 7.5 * history.operatingResult / resultScale));
+
+    const assets = fleetValue + Math.max(0, parseFloat(membership.balance) || 0);
+    const leverage = assets > 0 ? debt / assets : (debt > 0 ? 1 : 0);
+    const leverageScore = 20 * (1 - Math.min(1, leverage));
+
+    let score = reputationScore + balanceScore + resultScore + leverageScore;
+    score -= 5 * (membership.overdraftBreachWeeks || 0);
+    if (overdraftService.isInsolvent(membership)) score = 0;
+    score = Math.max(0, Math.round(score));
+
+    const band = CREDIT_RATINGS.find(rating => score >= rating.minScore);
+
+    return {
+      ...band,
+      score,
+      factors: {
+        reputation: Math.round(reputationScore),
+        balanceHistory: Math.round(balanceScore),
+        operatingResult: Math.round(resultScore),
+        leverage: Math.round(leverageScore),
+        weeksInCredit,
+        weeksRated: history.closingBalances.length,
+        outstandingDebt: debt,
+        fleetValue
+      }
+    };
+  }
+
+  /**
+   * Price a loan for an airline without drawing it down
+   *
+   * @param {Object} membership - WorldMembership instance
+   * @param {Object} request
+   * @param {string} request.loanType - 'term' or 'mortgage'
+   * @param {number} request.amount - Amount to borrow
+   * @param {number} request.termWeeks - Repayment term
+   * @param {number} [request.securityValue] - Price of the aircraft securing a mortgage
+   * @param {Date} gameTime - Current game time
+   * @returns {Promise<Object>} - { approved, error?, loanType, amount, termWeeks, annualRate, weeklyPayment, totalInterest, creditRating, maxAmount }
+   */
+  async quoteLoan(membership, { loanType, amount, termWeeks, securityValue }, gameTime) {
+    const terms = LOAN_TERMS[loanType];
+    if (!terms) {
+      return { approved: false, error: 'Loan type must be term or mortgage' };
+    }
+
+    amount = Math.round(Number(amount) * 100) / 100;
+    termWeeks = parseInt(termWeeks);
+    if (!(amount > 0)) {
+      return { approved: false, error: 'Loan amount must be positive' };
+    }
+    if (!(termWeeks >= terms.minWeeks && termWeeks <= terms.maxWeeks)) {
+      return { approved: false, error: `Term must be between ${terms.minWeeks} and ${terms.maxWeeks} weeks` };
+    }
+
+    const rating = await this.getCreditRating(membership, gameTime);
+    if (rating.margin === null) {
+      return { approved: false, error: `No bank will lend to an airline rated ${rating.grade}`, creditRating: rating.grade };
+    }
+
+    const year = gameTime.getFullYear();
+    const baseRate = eraEconomicService.getBaseInterestRate(year);
+    let annualRate;
+    let maxAmount;
+
+    if (loanType === 'mortgage') {
+      annualRate = baseRate + rating.margin - MORTGAGE_MARGIN_DISCOUNT;
+      maxAmount = Math.floor((Number(securityValue) || 0) * rating.maxLtv);
+    } else {
+      const existingTermDebt = await this.getOutstandingDebt(membership.id, 'term');
+      annualRate = baseRate + rating.margin;
+      maxAmount = Math.max(0, Math.floor(eraEconomicService.getStartingCapital(year) * rating.termLimitMultiple - existingTermDebt));
+    }
+    annualRate = Math.round(annualRate * 10000) / 10000;
+
+    if (amount > maxAmount) {
+      return {
+        approved: false,
+        error: loanType === 'mortgage'
+          ? `Rated ${rating.grade}, the bank will lend up to ${Math.round(rating.maxLtv * 100)}% of the aircraft price`
+          : `Rated ${rating.grade}, the bank will lend up to $${maxAmount.toLocaleString()} unsecured`,
+        creditRating: rating.grade,
+        maxAmount
+      };
+    }
+
+    const weeklyPayment = this.calculateWeeklyPayment(amount, annualRate, termWeeks);
+
+    return {
+      approved: true,
+      loanType,
+      amount,
+      termWeeks,
+      annualRate,
+      weeklyPayment,
+      totalInterest: Math.round((weeklyPayment * termWeeks - amount) * 100) / 100,
+      creditRating: rating.grade,
+      maxAmount
+    };
+  }
+
+  /**
+   * Draw down an approved loan and credit the airline
+   *
+   * @param {Object} membership - WorldMembership instance
+   * @param {Object} quote - Approved quote from quoteLoan
+   * @param {Date} gameTime - Current game time
+   * @param {Object} [aircraft] - UserAircraft securing a mortgage
+   * @param {Object} [options] - { transaction } to join an outer transaction
+   * @returns {Promise<Object>} - Created Loan
+   */
+  async createLoan(membership, quote, gameTime, aircraft = null, options = {}) {
+    const apply = async (transaction) => {
+      const loan = await Loan.create({
+        worldMembershipId: membership.id,
+        loanType: quote.loanType,
+        aircraftId: aircraft ? aircraft.id : null,
+        aircraftRegistration: aircraft ? aircraft.registration : null,
+        principal: quote.amount,
+        outstandingBalance: quote.amount,
+        annualRate: quote.annualRate,
+        creditRating: quote.creditRating,
+        termWeeks: quote.termWeeks,
+        weeklyPayment: quote.weeklyPayment,
+        nextPaymentDue: new Date(gameTime.getTime() + WEEK_MS),
+        startedAt: gameTime
+      }, { transaction });
+
+      await ledgerService.post({
+        worldMembershipId: membership.id,
+        category: 'loanDrawdown',
+        amount: quote.amount,
+        gameTime,
+        description: aircraft ? `Mortgage on ${aircraft.registration}` : 'Term loan',
+        referenceType: 'loan',
+        referenceId: loan.id
+      }, { transaction });
+
+      return loan;
+    };
+
+    if (options.transaction) {
+      return apply(options.transaction);
+    }
+    return sequelize.transaction(apply);
+  }
+
+  /**
+   * Pay principal off a loan, closing it when nothing is left
+   * @private
+   */
+  async applyRepayment(loan, principalPaid, gameTime, transaction) {
+    const outstanding = Math.max(0, Math.round((parseFloat(loan.outstandingBalance) - principalPaid) * 100) / 100);
+    const updates = { outstandingBalance: outstanding };
+
+    if (outstanding <= 0) {
+      updates.status = 'repaid';
+      updates.repaidAt = gameTime;
+      updates.nextPaymentDue = null;
+    }
+
+    await loan.update(updates, { transaction });
+  }
+
+  /**
+   * Take one weekly instalment: interest for the week, the rest off the principal
+   * Payments come out of the balance even when it goes into overdraft
+   *
+   * @param {Object} loan - Loan instance
+   * @param {Date} gameTime - Current game time
+   */
+  async takeInstalment(loan, gameTime) {
+    const outstanding = parseFloat(loan.outstandingBalance);
+    const interest = Math.round(outstanding * parseFloat(loan.annualRate) / 52 * 100) / 100;
+    const principalPaid = Math.min(outstanding, Math.max(0, parseFloat(loan.weeklyPayment) - interest));
+    const dueAt = new Date(loan.nextPaymentDue);
+    const label = loan.loanType === 'mortgage' ? `Mortgage on ${loan.aircraftRegistration}` : 'Term loan';
+
+    await sequelize.transaction(async (transaction) => {
+      await ledgerService.post({
+        worldMembershipId: loan.worldMembershipId,
+        category: 'interest',
+        amount: -interest,
+        gameTime,
+        description: `${label} interest`,
+        referenceType: 'loan',
+        referenceId: loan.id
+      }, { transaction });
+
+      await ledgerService.post({
+        worldMembershipId: loan.worldMembershipId,
+        category: 'loanRepayment',
+        amount: -principalPaid,
+        gameTime,
+        description: `${label} repayment`,
+        referenceType: 'loan',
+        referenceId: loan.id
+      }, { transaction });
+
+      await loan.update({
+        paymentsMade: loan.paymentsMade + 1,
+        nextPaymentDue: new Date(dueAt.getTime() + WEEK_MS)
+      }, { transaction });
+
+      await this.applyRepayment(loan, principalPaid, gameTime, transaction);
+    });
+
+    if (loan.status === 'repaid') {
+      await Notification.create({
+        worldMembershipId: loan.worldMembershipId,
+        type: 'loan_repaid',
+        icon: 'dollar',
+        title: 'Loan Repaid',
+        message: `${label} of $${Math.round(parseFloat(loan.principal)).toLocaleString()} has been repaid in full.`,
+        link: '/finances',
+        priority: 3,
+        gameTime
+      });
+    }
+  }
+
+  /**
+   * Repay some or all of a loan ahead of schedule
+   * The instalment is recalculated so the loan still ends on its original date
+   *
+   * @param {Object} membership - WorldMembership instance
+   * @param {Object} loan - Loan instance belonging to the membership
+   * @param {number|null} amount - Principal to repay (null = settle in full)
+   * @param {Date} gameTime - Current game time
+   * @returns {Promise<Object>} - { error?, principalRepaid, fee, outstandingBalance, weeklyPayment, status }
+   */
+  async repayEarly(membership, loan, amount, gameTime) {
+    if (loan.status !== 'active') {
+      return { error: 'Loan is already repaid' };
+    }
+
+    const outstanding = parseFloat(loan.outstandingBalance);
+    const principalRepaid = amount == null ? outstanding : Math.min(outstanding, Math.round(Number(amount) * 100) / 100);
+    if (!(principalRepaid > 0)) {
+      return { error: 'Repayment amount must be positive' };
+    }
+
+    const fee = Math.round(principalRepaid * EARLY_REPAYMENT_FEE_SHARE * 100) / 100;
+    const balance = parseFloat(membership.balance) || 0;
+    if (balance < principalRepaid + fee) {
+      return { error: 'Insufficient funds', required: principalRepaid + fee, available: balance };
+    }
+
+    const label = loan.loanType === 'mortgage' ? `Mortgage on ${loan.aircraftRegistration}` : 'Term loan';
+
+    await sequelize.transaction(async (transaction) => {
+      await ledgerService.post({
+        worldMembershipId: membership.id,
+        category: 'loanRepayment',
+        amount: -principalRepaid,
+        gameTime,
+        description: `${label} early repayment`,
+        referenceType: 'loan',
+        referenceId: loan.id
+      }, { transaction });
+
+      await ledgerService.post({
+        worldMembershipId: membership.id,
+        category: 'bankFees',
+        amount: -fee,
+        gameTime,
+        description: `${label} early repayment fee`,
+        referenceType: 'loan',
+        referenceId: loan.id
+      }, { transaction });
+
+      await this.applyRepayment(loan, principalRepaid, gameTime, transaction);
+
+      if (loan.status === 'active') {
+        const remainingWeeks = Math.max(1, loan.termWeeks - loan.paymentsMade);
+        await loan.update({
+          weeklyPayment: this.calculateWeeklyPayment(parseFloat(loan.outstandingBalance), parseFloat(loan.annualRate), remainingWeeks)
+        }, { transaction });
+      }
+    });
+
+    return {
+      principalRepaid,
+      fee,
+      outstandingBalance: parseFloat(loan.outstandingBalance),
+      weeklyPayment: parseFloat(loan.weeklyPayment),
+      status: loan.status
+    };
+  }
+
+  /**
+   * Settle any mortgage on an aircraft that is leaving the fleet
+   * The outstanding principal comes out of the sale proceeds with no early repayment fee
+   *
+   * @param {Object} aircraft - UserAircraft instance
+   * @param {Date} gameTime - Current game time
+   * @param {Object} [options] - { transaction }
+   * @returns {Promise<number>} - Principal repaid
+   */
+  async settleAircraftLoans(aircraft, gameTime, options = {}) {
+    const loans = await Loan.findAll({
+      where: { aircraftId: aircraft.id, status: 'active' },
+      transaction: options.transaction
+    });
+
+    let total = 0;
+    for (const loan of loans) {
+      const outstanding = parseFloat(loan.outstandingBalance);
+      await ledgerService.post({
+        worldMembershipId: loan.worldMembershipId,
+        category: 'loanRepayment',
+        amount: -outstanding,
+        gameTime,
+        description: `Mortgage on ${loan.aircraftRegistration} settled from sale`,
+        referenceType: 'loan',
+        referenceId: loan.id
+      }, options);
+      await this.applyRepayment(loan, outstanding, gameTime, options.transaction);
+      total += outstanding;
+    }
+    return total;
+  }
+
+  /**
+   * Take every instalment that has fallen due in a world
+   *
+   * @param {string} worldId - World UUID
+   * @param {Date} gameTime - Current game time
+   */
+  async processRepayments(worldId, gameTime) {
+    const loans = await Loan.findAll({
+      where: {
+        status: 'active',
+        nextPaymentDue: { [Op.lte]: gameTime }
+      },
+      include: [{
+        model: WorldMembership,
+        as: 'membership',
+        where: { worldId },
+        attributes: ['id']
+      }]
+    });
+
+    for (const loan of loans) {
+      let payments = 0;
+      while (loan.status === 'active' && new Date(loan.nextPaymentDue) <= gameTime && payments < MAX_CATCH_UP_PAYMENTS) {
+        await this.takeInstalment(loan, gameTime);
+        payments++;
+      }
+    }
+  }
+}
+
+// Singleton instance
+const loanService = new LoanService();
+
+module.exports = loanService;
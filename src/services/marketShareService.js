@@ -0,0 +1,416 @@
+const { Op } = require('sequelize');
+const { Route, WorldMembership, UserAircraft, Aircraft, ScheduledFlight, NpcAirline, NpcRoute } = require('../models');
+const { DEFAULT_CRUISE_SPEED } = require('../utils/flightCalculations');
+
+const CABINS = ['economy', 'economyPlus', 'business', 'first'];
+
+// How strongly a cheaper fare than the market average wins passengers
+const PRICE_SENSITIVITY = 1.5;
+
+// Frequency share outweighs capacity share (the classic S-curve): >1 favours the frequent carrier
+const FREQUENCY_EXPONENT = 1.2;
+
+// How much the whole market grows with more daily departures, and with each extra carrier
+const FREQUENCY_STIMULATION_EXPONENT = 0.25;
+const COMPETITOR_STIMULATION = 0.1;
+const MAX_MARKET_STIMULATION = 1.5;
+
+// Attractiveness of departing at each local hour (0-23)
+const DEPARTURE_HOUR_FACTORS = [
+  0.45, 0.4, 0.4, 0.4, 0.45, 0.6, 0.85, 1.0, 1.0, 0.95, 0.9, 0.85,
+  0.85, 0.85, 0.85, 0.9, 0.95, 1.0, 1.0, 0.95, 0.85, 0.75, 0.6, 0.5
+];
+
+// Cabin comfort by aircraft category
+const AIRCRAFT_TYPE_FACTORS = { Widebody: 1.05, Narrowbody: 1.0, Regional: 0.92, Cargo: 1.0 };
+
+// Passenger appeal lost per year of aircraft age, and the floor it bottoms out at
+const AGE_PENALTY_PER_YEAR = 0.012;
+const MIN_AGE_FACTOR = 0.7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// NPC airlines turn their aircraft around in a standard time
+const NPC_TURNAROUND_MINUTES = 45;
+
+/**
+ * Market Share Service
+ * Splits a city pair's demand between every airline in a world serving it,
+ * weighted by fare, frequency, departure time, aircraft and reputation
+ */
+class MarketShareService {
+
+  /**
+   * Weekly departures flown per route, counted over the week around the game date
+   *
+   * @param {string[]} routeIds
+   * @param {Date} gameTime
+   * @returns {Promise<Map<string, number>>} - routeId -> departures
+   */
+  async getWeeklyDepartures(routeIds, gameTime) {
+    const departures = new Map();
+    if (routeIds.length === 0) return departures;
+
+    const from = new Date(gameTime.getTime() - 3 * DAY_MS).toISOString().split('T')[0];
+    const to = new Date(gameTime.getTime() + 3 * DAY_MS).toISOString().split('T')[0];
+
+    const counts = await ScheduledFlight.count({
+      where: {
+        routeId: { [Op.in]: routeIds },
+        scheduledDate: { [Op.between]: [from, to] },
+        status: { [Op.notIn]: ['cancelled', 'missed'] }
+      },
+      group: ['routeId']
+    });
+
+    for (const row of counts) {
+      departures.set(row.routeId, parseInt(row.count) || 0);
+    }
+    return departures;
+  }
+
+  /**
+   * Weekly departures of every route in a market
+   * Player routes are counted from their schedule, NPC routes fly their planned frequency
+   *
+   * @param {Array} routes - From findServingRoutes
+   * @param {Date} gameTime
+   * @returns {Promise<Map<string, number>>} - routeId -> departures
+   */
+  async getMarketDepartures(routes, gameTime) {
+    const departures = await this.getWeeklyDepartures(routes.filter(r => !r.isNpc).map(r => r.id), gameTime);
+    for (const route of routes) {
+      if (route.isNpc) departures.set(route.id, route.weeklyDepartures);
+    }
+    return departures;
+  }
+
+  /**
+   * Active routes in a world serving an airport, optionally only to one other airport
+   * Includes routes flown by NPC airlines, shaped like player routes
+   *
+   * @param {string} worldId
+   * @param {string} airportId
+   * @param {string} [otherAirportId]
+   * @returns {Promise<Array>} - Routes with membership and assigned aircraft loaded
+   */
+  async findServingRoutes(worldId, airportId, otherAirportId = null) {
+    const outbound = { departureAirportId: airportId };
+    const inbound = { arrivalAirportId: airportId };
+    if (otherAirportId) {
+      outbound.arrivalAirportId = otherAirportId;
+      inbound.departureAirportId = otherAirportId;
+    }
+
+    const [routes, npcRoutes] = await Promise.all([
+      this.findPlayerRoutes(worldId, [outbound, inbound]),
+      NpcRoute.findAll({
+        where: { [Op.or]: [outbound, inbound] },
+        include: [
+          {
+            model: NpcAirline,
+            as: 'airline',
+            where: { worldId, isActive: true },
+            attributes: ['id', 'name', 'airlineCode', 'reputation']
+          },
+          { model: Aircraft, as: 'aircraft', attributes: ['type', 'cruiseSpeed'] }
+        ]
+      })
+    ]);
+
+    return [...routes, ...npcRoutes.map(npcRoute => this.toMarketRoute(npcRoute))];
+  }
+
+  /**
+   * Present an NPC route the way a player route is seen by the market
+   *
+   * @param {Object} npcRoute - NpcRoute with airline and aircraft loaded
+   * @returns {Object}
+   */
+  toMarketRoute(npcRoute) {
+    return {
+      id: npcRoute.id,
+      isNpc: true,
+      departureAirportId: npcRoute.departureAirportId,
+      arrivalAirportId: npcRoute.arrivalAirportId,
+      routeNumber: npcRoute.routeNumber,
+      returnRouteNumber: npcRoute.returnRouteNumber,
+      scheduledDepartureTime: npcRoute.departureTime,
+      distance: npcRoute.distance,
+      turnaroundTime: NPC_TURNAROUND_MINUTES,
+      transportType: 'passengers_only',
+      economyPrice: npcRoute.economyPrice,
+      businessPrice: npcRoute.businessPrice,
+      weeklyDepartures: npcRoute.weeklyDepartures,
+      membership: {
+        id: npcRoute.airline.id,
+        airlineName: npcRoute.airline.name,
+        airlineCode: npcRoute.airline.airlineCode,
+        reputation: npcRoute.airline.reputation
+      },
+      assignedAircraft: {
+        ageYears: npcRoute.aircraftAgeYears,
+        aircraft: npcRoute.aircraft
+      }
+    };
+  }
+
+  /**
+   * Active player routes in a world matching any of the given airport pairs
+   * @private
+   */
+  async findPlayerRoutes(worldId, pairs) {
+    return Route.findAll({
+      where: {
+        isActive: true,
+        [Op.or]: pairs
+      },
+      include: [
+        {
+          model: WorldMembership,
+          as: 'membership',
+          where: { worldId, isActive: true },
+          attributes: ['id', 'airlineName', 'airlineCode', 'reputation']
+        },
+        {
+          model: UserAircraft,
+          as: 'assignedAircraft',
+          required: false,
+          attributes: ['id', 'ageYears'],
+          include: [{ model: Aircraft, as: 'aircraft', attributes: ['type', 'cruiseSpeed'] }]
+        }
+      ]
+    });
+  }
+
+  /**
+   * Appeal of a departure time
+   * @param {string} time - 'HH:MM' or 'HH:MM:SS'
+   * @returns {number}
+   */
+  getDepartureTimeFactor(time) {
+    const hour = parseInt(String(time || '').split(':')[0]);
+    return Number.isInteger(hour) ? DEPARTURE_HOUR_FACTORS[((hour % 24) + 24) % 24] : 0.85;
+  }
+
+  /**
+   * Appeal of the aircraft flying a route: newer and roomier is better
+   * @param {Object} userAircraft - UserAircraft with aircraft type, or null
+   * @returns {number}
+   */
+  getAircraftFactor(userAircraft) {
+    if (!userAircraft) return 1;
+    const ageFactor = Math.max(MIN_AGE_FACTOR, 1 - (parseFloat(userAircraft.ageYears) || 0) * AGE_PENALTY_PER_YEAR);
+    const typeFactor = AIRCRAFT_TYPE_FACTORS[userAircraft.aircraft?.type] || 1;
+    return ageFactor * typeFactor;
+  }
+
+  /**
+   * Appeal of the airline's brand: 50 reputation is neutral
+   * @param {number} reputation - 0-100
+   * @returns {number}
+   */
+  getReputationFactor(reputation) {
+    const value = Math.max(0, Math.min(100, reputation ?? 50));
+    return 0.5 + value / 100;
+  }
+
+  /**
+   * Departure time of a route in the given direction
+   * Routes flown the other way serve this direction on their return leg after the turnaround
+   *
+   * @param {Object} route - Route (assigned aircraft type used for the block time when loaded)
+   * @param {string} fromAirportId - Direction of travel
+   * @returns {string} - 'HH:MM'
+   */
+  getDirectionalDepartureTime(route, fromAirportId) {
+    if (route.departureAirportId === fromAirportId) {
+      return route.scheduledDepartureTime;
+    }
+
+    const [hours, minutes] = String(route.scheduledDepartureTime || '00:00').split(':').map(Number);
+    const cruiseSpeed = route.assignedAircraft?.aircraft?.cruiseSpeed || DEFAULT_CRUISE_SPEED;
+    const blockMinutes = (parseFloat(route.distance) || 0) / cruiseSpeed * 60;
+    const totalMinutes = Math.round((hours || 0) * 60 + (minutes || 0) + blockMinutes + (route.turnaroundTime || 45));
+    return `${String(Math.floor(totalMinutes / 60) % 24).padStart(2, '0')}:${String(totalMinutes % 60).padStart(2, '0')}`;
+  }
+
+  /**
+   * Build the competitive picture for one direction of a city pair
+   *
+   * @param {Array} routes - Routes serving the pair (from findServingRoutes)
+   * @param {Map<string, number>} weeklyDepartures - From getMarketDepartures
+   * @param {string} fromAirportId - Direction of travel
+   * @returns {Object} - { carriers, totalWeeklyDepartures, marketStimulation }
+   */
+  buildMarket(routes, weeklyDepartures, fromAirportId) {
+    const carriers = routes
+      .map(route => {
+        const passengers = route.transportType !== 'cargo_only';
+        const cargo = route.transportType !== 'passengers_only';
+        const economy = parseFloat(route.economyPrice) || parseFloat(route.ticketPrice) || 0;
+        const departureTime = this.getDirectionalDepartureTime(route, fromAirportId);
+
+        return {
+          routeId: route.id,
+          worldMembershipId: route.membership.id,
+          isNpc: !!route.isNpc,
+          airlineName: route.membership.airlineName,
+          airlineCode: route.membership.airlineCode,
+          routeNumber: route.departureAirportId === fromAirportId ? route.routeNumber : route.returnRouteNumber,
+          departureTime,
+          weeklyDepartures: weeklyDepartures.get(route.id) || 0,
+          prices: {
+            economy: passengers ? economy : 0,
+            economyPlus: passengers ? parseFloat(route.economyPlusPrice) || 0 : 0,
+            business: passengers ? parseFloat(route.businessPrice) || 0 : 0,
+            first: passengers ? parseFloat(route.firstPrice) || 0 : 0
+          },
+          carriesCargo: cargo,
+          factors: {
+            time: this.getDepartureTimeFactor(departureTime),
+            aircraft: this.getAircraftFactor(route.assignedAircraft),
+            reputation: this.getReputationFactor(route.membership.reputation)
+          }
+        };
+      })
+      .filter(carrier => carrier.weeklyDepartures > 0);
+
+    const totalWeeklyDepartures = carriers.reduce((sum, c) => sum + c.weeklyDepartures, 0);
+    const airlines = new Set(carriers.map(c => c.worldMembershipId)).size;
+
+    for (const carrier of carriers) {
+      carrier.factors.frequency = Math.pow(carrier.weeklyDepartures, FREQUENCY_EXPONENT);
+    }
+
+    // Fares are compared with the average fare of the carriers offering that cabin
+    const shares = {};
+    for (const cabin of CABINS) {
+      const offering = carriers.filter(c => c.prices[cabin] > 0);
+      const averagePrice = offering.reduce((sum, c) => sum + c.prices[cabin], 0) / (offering.length || 1);
+      const weights = carriers.map(c => {
+        if (!(c.prices[cabin] > 0)) return 0;
+        const priceFactor = Math.pow(averagePrice / c.prices[cabin], PRICE_SENSITIVITY);
+        return priceFactor * c.factors.frequency * c.factors.time * c.factors.aircraft * c.factors.reputation;
+      });
+      shares[cabin] = this.normalise(weights);
+    }
+
+    // Shippers care about frequency and reliability, not departure time or cabins
+    shares.cargo = this.normalise(carriers.map(c =>
+      c.carriesCargo ? c.factors.frequency * c.factors.reputation : 0
+    ));
+
+    carriers.forEach((carrier, i) => {
+      carrier.shares = {};
+      for (const key of Object.keys(shares)) {
+        carrier.shares[key] = Math.round(shares[key][i] * 10000) / 10000;
+      }
+    });
+
+    const stimulation = Math.pow(totalWeeklyDepartures / 7, FREQUENCY_STIMULATION_EXPONENT) *
+      (1 + COMPETITOR_STIMULATION * Math.max(0, airlines - 1));
+
+    return {
+      carriers,
+      totalWeeklyDepartures,
+      airlines,
+      marketStimulation: Math.round(Math.min(MAX_MARKET_STIMULATION, stimulation) * 1000) / 1000
+    };
+  }
+
+  /**
+   * Scale weights so they sum to 1
+   * @private
+   */
+  normalise(weights) {
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    return weights.map(w => (total > 0 ? w / total : 0));
+  }
+
+  /**
+   * Competitive picture for one direction of a city pair in a world
+   *
+   * @param {string} worldId
+   * @param {string} fromAirportId
+   * @param {string} toAirportId
+   * @param {Date} gameTime
+   * @returns {Promise<Object>} - From buildMarket
+   */
+  async getMarket(worldId, fromAirportId, toAirportId, gameTime) {
+    const routes = await this.findServingRoutes(worldId, fromAirportId, toAirportId);
+    const weeklyDepartures = await this.getMarketDepartures(routes, gameTime);
+    return this.buildMarket(routes, weeklyDepartures, fromAirportId);
+  }
+
+  /**
+   * Competitive picture for one direction of a city pair as it would be with a proposed route
+   * The candidate replaces the live route with the same id (a fare or timing change) or joins as a new carrier
+   *
+   * @param {string} worldId
+   * @param {string} fromAirportId
+   * @param {string} toAirportId
+   * @param {Date} gameTime
+   * @param {Object} candidate - Route-shaped object (see toMarketRoute) with weeklyDepartures
+   * @returns {Promise<Object>} - From buildMarket
+   */
+  async getMarketWithCandidate(worldId, fromAirportId, toAirportId, gameTime, candidate) {
+    const routes = (await this.findServingRoutes(worldId, fromAirportId, toAirportId))
+      .filter(route => route.id !== candidate.id);
+    const weeklyDepartures = await this.getMarketDepartures(routes, gameTime);
+    weeklyDepartures.set(candidate.id, candidate.weeklyDepartures);
+    return this.buildMarket([...routes, candidate], weeklyDepartures, fromAirportId);
+  }
+
+  /**
+   * Demand available to one route's departures in one direction
+   * A monopoly flying once a day gets the whole market on every departure
+   *
+   * @param {Object} market - From getMarket
+   * @param {string} routeId - Route being settled
+   * @returns {Object|null} - { shares, departuresPerDay, demandMultiplier } or null if the route isn't in the market
+   */
+  getRouteAllocation(market, routeId) {
+    const carrier = market.carriers.find(c => c.routeId === routeId);
+    if (!carrier) return null;
+
+    const departuresPerDay = carrier.weeklyDepartures / 7;
+    return {
+      shares: carrier.shares,
+      departuresPerDay,
+      // Daily market (grown by frequency and competition) spread over this carrier's departures
+      demandMultiplier: market.marketStimulation / departuresPerDay
+    };
+  }
+
+  /**
+   * Competition on every route out of an airport, grouped by destination
+   *
+   * @param {string} worldId
+   * @param {string} airportId
+   * @param {Date} gameTime
+   * @returns {Promise<Map<string, Object>>} - destination airport id -> market (from buildMarket)
+   */
+  async getAirportCompetition(worldId, airportId, gameTime) {
+    const routes = await this.findServingRoutes(worldId, airportId);
+    const weeklyDepartures = await this.getMarketDepartures(routes, gameTime);
+
+    const byDestination = new Map();
+    for (const route of routes) {
+      const destinationId = route.departureAirportId === airportId ? route.arrivalAirportId : route.departureAirportId;
+      if (!byDestination.has(destinationId)) byDestination.set(destinationId, []);
+      byDestination.get(destinationId).push(route);
+    }
+
+    const markets = new Map();
+    for (const [destinationId, pairRoutes] of byDestination) {
+      markets.set(destinationId, this.buildMarket(pairRoutes, weeklyDepartures, airportId));
+    }
+    return markets;
+  }
+}
+
+// Singleton instance
+const marketShareService = new MarketShareService();
+
+module.exports = marketShareService;
@@ -0,0 +1,802 @@
+const { Op } = require('sequelize');
+const { World, Airport, Aircraft, AirportRouteDemand, WorldMembership, NpcAirline, NpcRoute } = require('../models');
+const airportSlotService = require('./airportSlotService');
+const marketShareService = require('./marketShareService');
+const flightRevenueService = require('./flightRevenueService');
+const flightCostService = require('./flightCostService');
+const fuelService = require('./fuelService');
+const routeDemandService = require('./routeDemandService');
+const eraEconomicService = require('./eraEconomicService');
+const { generateNpcAirlineName, generateAirlineCodes } = require('../data/npcAirlines');
+const { calculateFlightDurationMs, calculateDistanceNm, DEFAULT_CRUISE_SPEED } = require('../utils/flightCalculations');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+// How NPC airlines behave at each world aggressiveness setting
+const AGGRESSIVENESS = {
+  passive: {
+    newRoutesPerWeek: 1, // Routes opened per weekly review while profitable
+    maxRoutes: 8,
+    expandChance: 0.3, // Chance of expanding in a profitable week
+    minDemand: 50, // Weakest city pair (0-100) worth opening
+    contestedWeight: 0, // Appetite for pairs other airlines already fly (0 = avoid)
+    fareMultiplier: 1.1, // Fares relative to the era market fare
+    maxWeeklyDepartures: 14,
+    weeksBeforeCut: 3 // Loss-making weeks tolerated before cutting frequency or dropping a route
+  },
+  balanced: {
+    newRoutesPerWeek: 2,
+    maxRoutes: 15,
+    expandChance: 0.5,
+    minDemand: 35,
+    contestedWeight: 1,
+    fareMultiplier: 1.0,
+    maxWeeklyDepartures: 21,
+    weeksBeforeCut: 4
+  },
+  aggressive: {
+    newRoutesPerWeek: 3,
+    maxRoutes: 25,
+    expandChance: 0.75,
+    minDemand: 25,
+    contestedWeight: 2,
+    fareMultiplier: 0.9,
+    maxWeeklyDepartures: 28,
+    weeksBeforeCut: 6
+  }
+};
+
+// Routes a new NPC airline opens from its base straight away
+const STARTING_ROUTES = 3;
+
+// Shortest route worth flying, in nautical miles
+const MIN_ROUTE_DISTANCE = 100;
+
+// Fares stay within this band of the era market fare as they chase load factor
+const MIN_FARE_RATIO = 0.7;
+const MAX_FARE_RATIO = 1.3;
+const FARE_STEP = 0.05;
+
+// Load factors (%) that trigger a fare cut, or a fare rise and extra frequency
+const LOW_LOAD_FACTOR = 55;
+const HIGH_LOAD_FACTOR = 85;
+
+// Hours a day an NPC aircraft is scheduled to fly
+const DAILY_UTILISATION_HOURS = 16;
+
+// Standard turnaround at each end of a rotation
+const TURNAROUND_MINUTES = 45;
+
+// Weekly cost of owning (or leasing) an aircraft as a share of its list price
+const WEEKLY_OWNERSHIP_RATE = 0.0018;
+
+// Hours NPC airlines like to schedule first departures at
+const DEPARTURE_HOURS = [6, 7, 8, 9, 11, 13, 15, 17, 18];
+
+// Reputation NPC airlines drift within as they make or lose money
+const MIN_REPUTATION = 20;
+const MAX_REPUTATION = 85;
+
+/**
+ * NPC Airline Service
+ * Runs the computer-controlled airlines in each world: founding them at a base,
+ * opening routes from seeded demand and growing or cutting them on profitability
+ */
+class NpcAirlineService {
+
+  /**
+   * Behaviour settings for a world
+   * @param {Object} world - World instance
+   * @returns {Object}
+   */
+  getBehaviour(world) {
+    return AGGRESSIVENESS[world.npcAggressiveness] || AGGRESSIVENESS.balanced;
+  }
+
+  /**
+   * Airports operating in a given year
+   * @private
+   */
+  operationalWhere(year) {
+    return {
+      isActive: true,
+      [Op.and]: [
+        { [Op.or]: [{ operationalFrom: null }, { operationalFrom: { [Op.lte]: year } }] },
+        { [Op.or]: [{ operationalUntil: null }, { operationalUntil: { [Op.gte]: year } }] }
+      ]
+    };
+  }
+
+  /**
+   * Passenger aircraft types on sale in a given year
+   * @param {number} year
+   * @returns {Promise<Array>}
+   */
+  async getAvailableAircraftTypes(year) {
+    return Aircraft.findAll({
+      where: {
+        isActive: true,
+        type: { [Op.ne]: 'Cargo' },
+        passengerCapacity: { [Op.gt]: 0 },
+        [Op.and]: [
+          { [Op.or]: [{ availableFrom: null }, { availableFrom: { [Op.lte]: year } }] },
+          { [Op.or]: [{ availableUntil: null }, { availableUntil: { [Op.gte]: year } }] }
+        ]
+      }
+    });
+  }
+
+  /**
+   * Pick an aircraft type sized for a route's demand that can fly the distance
+   *
+   * @param {Array} aircraftTypes - From getAvailableAircraftTypes
+   * @param {number} distance - Nautical miles
+   * @param {number} demand - Route demand (0-100)
+   * @returns {Object|null} - Aircraft type, or null if nothing has the range
+   */
+  chooseAircraftType(aircraftTypes, distance, demand) {
+    const targetSeats = Math.max(50, demand * 3);
+    const candidates = aircraftTypes
+      .filter(type => (type.rangeNm || 0) >= distance * 1.1)
+      .map(type => ({ type, fit: Math.abs(Math.log(type.passengerCapacity / targetSeats)) }))
+      .sort((a, b) => a.fit - b.fit)
+      .slice(0, 3);
+
+    if (candidates.length === 0) return null;
+    return candidates[Math.floor(Math.random() * candidates.length)].type;
+  }
+
+  /**
+   * Block time of one round trip including both turnarounds, in milliseconds
+   * @param {Object} departureAirport
+   * @param {Object} arrivalAirport
+   * @param {number} distance
+   * @param {number} cruiseSpeed
+   * @returns {number}
+   */
+  getRotationMs(departureAirport, arrivalAirport, distance, cruiseSpeed) {
+    const depLat = parseFloat(departureAirport.latitude) || 0;
+    const depLng = parseFloat(departureAirport.longitude) || 0;
+    const arrLat = parseFloat(arrivalAirport.latitude) || 0;
+    const arrLng = parseFloat(arrivalAirport.longitude) || 0;
+    const speed = cruiseSpeed || DEFAULT_CRUISE_SPEED;
+
+    return calculateFlightDurationMs(distance, depLng, arrLng, depLat, arrLat, speed) +
+      calculateFlightDurationMs(distance, arrLng, depLng, arrLat, depLat, speed) +
+      2 * TURNAROUND_MINUTES * 60 * 1000;
+  }
+
+  /**
+   * Aircraft needed to fly a weekly frequency
+   * @private
+   */
+  getAircraftCount(rotationMs, weeklyDepartures) {
+    const dailyHours = (weeklyDepartures / 7) * (rotationMs / 3600000);
+    return Math.max(1, Math.ceil(dailyHours / DAILY_UTILISATION_HOURS));
+  }
+
+  /**
+   * Departure times of an NPC route between two instants
+   * Departures are spread over the operating day; fewer than seven a week fly on spread-out days
+   *
+   * @param {Object} route - NpcRoute
+   * @param {number} fromMs - Start (inclusive, epoch ms)
+   * @param {number} toMs - End (exclusive, epoch ms)
+   * @returns {Array<{day: number, index: number, start: number}>}
+   */
+  getDepartureStarts(route, fromMs, toMs) {
+    const weekly = route.weeklyDepartures;
+    const perDay = weekly >= 7 ? Math.round(weekly / 7) : 1;
+    const spacingMs = (DAILY_UTILISATION_HOURS / perDay) * 3600000;
+    const [hours, minutes] = String(route.departureTime).split(':').map(Number);
+    const starts = [];
+
+    // A day's last departure can fall after midnight, so start a day early
+    for (let day = Math.floor(fromMs / DAY_MS) - 1; day <= Math.floor(toMs / DAY_MS); day++) {
+      if (weekly < 7 && ((day % 7) * weekly) % 7 >= weekly) continue;
+
+      for (let i = 0; i < perDay; i++) {
+        const start = day * DAY_MS + (hours * 60 + minutes) * 60000 + i * spacingMs;
+        if (start >= fromMs && start < toMs) {
+          starts.push({ day, index: i, start });
+        }
+      }
+    }
+
+    return starts;
+  }
+
+  /**
+   * Rotations of an NPC route that are under way at some point between two instants
+   * Each rotation departs base, lands and turns round at the destination, then lands back at base
+   *
+   * @param {Object} route - NpcRoute with departureAirport, arrivalAirport and aircraft loaded
+   * @param {number} fromMs - Start (inclusive, epoch ms)
+   * @param {number} toMs - End (exclusive, epoch ms)
+   * @returns {Array<{start: number, destinationArrival: number, destinationDeparture: number, end: number}>}
+   */
+  getRotations(route, fromMs, toMs) {
+    const dep = route.departureAirport;
+    const arr = route.arrivalAirport;
+    const distance = parseFloat(route.distance);
+    const outboundMs = calculateFlightDurationMs(distance, parseFloat(dep.longitude) || 0, parseFloat(arr.longitude) || 0,
+      parseFloat(dep.latitude) || 0, parseFloat(arr.latitude) || 0, route.aircraft?.cruiseSpeed || DEFAULT_CRUISE_SPEED);
+    const turnaroundMs = TURNAROUND_MINUTES * 60 * 1000;
+    const rotationMs = this.getRotationMs(dep, arr, distance, route.aircraft?.cruiseSpeed) - turnaroundMs;
+
+    // Rotations that departed up to two days earlier can still be flying in the window
+    return this.getDepartureStarts(route, fromMs - 2 * DAY_MS, toMs)
+      .map(({ start }) => ({
+        start,
+        destinationArrival: start + outboundMs,
+        destinationDeparture: start + outboundMs + turnaroundMs,
+        end: start + rotationMs
+      }))
+      .filter(rotation => rotation.end > fromMs);
+  }
+
+  /**
+   * Runway movements of an NPC route between two instants, for airport slot counting
+   *
+   * @param {Object} route - NpcRoute with departureAirport, arrivalAirport and aircraft loaded
+   * @param {number} fromMs - Start (inclusive, epoch ms)
+   * @param {number} toMs - End (exclusive, epoch ms)
+   * @returns {Array<{airportId: string, type: string, at: Date}>}
+   */
+  getSlotMovements(route, fromMs, toMs) {
+    const movements = [];
+    for (const rotation of this.getRotations(route, fromMs, toMs)) {
+      const legs = [
+        { airportId: route.departureAirportId, type: 'departure', at: rotation.start },
+        { airportId: route.arrivalAirportId, type: 'arrival', at: rotation.destinationArrival },
+        { airportId: route.arrivalAirportId, type: 'departure', at: rotation.destinationDeparture },
+        { airportId: route.departureAirportId, type: 'arrival', at: rotation.end }
+      ];
+      for (const leg of legs) {
+        if (leg.at >= fromMs && leg.at < toMs) {
+          movements.push({ ...leg, at: new Date(leg.at) });
+        }
+      }
+    }
+
+    return movements;
+  }
+
+  /**
+   * Estimate a week's trading on an NPC route against the current competition
+   * Uses the same passenger and cost models as player flights
+   *
+   * @param {Object} npcRoute - NpcRoute with airline, airports and aircraft loaded
+   * @param {Date} gameTime
+   * @returns {Promise<Object>} - { revenuePerRotation, costPerRotation, loadFactor, weeklyProfit }
+   */
+  async estimateWeek(npcRoute, gameTime) {
+    const year = gameTime.getFullYear();
+    const worldId = npcRoute.airline.worldId;
+    const aircraftType = npcRoute.aircraft;
+    const distance = parseFloat(npcRoute.distance) || 0;
+
+    // NPC airlines fly every day of the week at their planned departure time
+    const everyDay = [0, 1, 2, 3, 4, 5, 6];
+    const demand = await routeDemandService.getRoundTripDemand(
+      npcRoute.departureAirportId,
+      npcRoute.arrivalAirportId,
+      year,
+      { date: gameTime, departureTime: npcRoute.departureTime, daysOfWeek: everyDay },
+      {
+        date: gameTime,
+        departureTime: marketShareService.getDirectionalDepartureTime(marketShareService.toMarketRoute(npcRoute), npcRoute.arrivalAirportId),
+        daysOfWeek: everyDay
+      }
+    );
+    const outboundDemand = demand.outbound;
+    const returnDemand = demand.return;
+
+    const outboundMarket = await marketShareService.getMarket(worldId, npcRoute.departureAirportId, npcRoute.arrivalAirportId, gameTime);
+    const returnMarket = await marketShareService.getMarket(worldId, npcRoute.arrivalAirportId, npcRoute.departureAirportId, gameTime);
+
+    // NPC airlines sell economy and (where fitted) business only
+    const seats = flightRevenueService.getCabinSeats(aircraftType);
+    seats.economy += seats.economyPlus + seats.first + (npcRoute.businessPrice ? 0 : seats.business);
+    seats.economyPlus = 0;
+    seats.first = 0;
+    if (!npcRoute.businessPrice) seats.business = 0;
+
+    const prices = {
+      economy: parseFloat(npcRoute.economyPrice) || 0,
+      economyPlus: 0,
+      business: parseFloat(npcRoute.businessPrice) || 0,
+      first: 0
+    };
+
+    let revenuePerRotation = 0;
+    let passengers = 0;
+    const loads = [];
+    const legs = [
+      { demand: outboundDemand, market: outboundMarket },
+      { demand: returnDemand, market: returnMarket }
+    ];
+    for (const leg of legs) {
+      const result = flightRevenueService.calculatePassengerLeg({
+        demand: leg.demand.demand,
+        routeType: leg.demand.routeType,
+        seats,
+        prices,
+        distance,
+        year,
+        allocation: marketShareService.getRouteAllocation(leg.market, npcRoute.id)
+      });
+      const legPassengers = Object.values(result.passengers).reduce((sum, n) => sum + n, 0);
+      revenuePerRotation += Object.values(result.revenue).reduce((sum, n) => sum + n, 0);
+      passengers += legPassengers;
+      loads.push({ passengers: legPassengers, cargoKg: 0 });
+    }
+
+    // NPC airlines don't hedge, so they buy all their fuel at the world's spot price
+    const fuelPricePerLiter = await fuelService.getSpotPrice(worldId, gameTime);
+    const costs = flightCostService.calculateFlightCosts({
+      route: {
+        distance,
+        departureAirport: npcRoute.departureAirport,
+        arrivalAirport: npcRoute.arrivalAirport,
+        techStopAirport: null
+      },
+      aircraft: { aircraft: aircraftType }
+    }, year, loads, {}, { fuelPricePerLiter });
+
+    const totalSeats = Object.values(seats).reduce((sum, n) => sum + n, 0) * 2;
+    // Older aircraft are cheaper to own
+    const ageFactor = Math.max(0.3, 1 - (npcRoute.aircraftAgeYears || 0) * 0.04);
+    const ownershipCost = npcRoute.aircraftCount * parseFloat(aircraftType.purchasePrice || 0) * WEEKLY_OWNERSHIP_RATE * ageFactor;
+
+    return {
+      revenuePerRotation: Math.round(revenuePerRotation * 100) / 100,
+      costPerRotation: costs.total,
+      loadFactor: totalSeats > 0 ? Math.round((passengers / totalSeats) * 10000) / 100 : 0,
+      weeklyProfit: Math.round((npcRoute.weeklyDepartures * (revenuePerRotation - costs.total) - ownershipCost) * 100) / 100
+    };
+  }
+
+  /**
+   * City pairs out of a base an NPC airline could open, best first
+   *
+   * @param {Object} airline - NpcAirline with baseAirport loaded
+   * @param {Object} world - World instance
+   * @param {Date} gameTime
+   * @param {Set<string>} servedAirportIds - Destinations the airline already flies to
+   * @returns {Promise<Array<{airport, demand, routeType, distance, weight}>>}
+   */
+  async findRouteCandidates(airline, world, gameTime, servedAirportIds = new Set()) {
+    const year = gameTime.getFullYear();
+    const behaviour = this.getBehaviour(world);
+    const eraMultiplier = routeDemandService.getEraDemandMultiplier(year);
+
+    const demands = await AirportRouteDemand.findAll({
+      where: {
+        fromAirportId: airline.baseAirportId,
+        baseDemand: { [Op.gte]: Math.floor(behaviour.minDemand / eraMultiplier) }
+      },
+      include: [{
+        model: Airport,
+        as: 'toAirport',
+        where: this.operationalWhere(year),
+        attributes: ['id', 'icaoCode', 'iataCode', 'name', 'type', 'latitude', 'longitude']
+      }],
+      order: [['baseDemand', 'DESC']],
+      limit: 40
+    });
+
+    const markets = await marketShareService.getAirportCompetition(world.id, airline.baseAirportId, gameTime);
+
+    const candidates = [];
+    for (const row of demands) {
+      if (servedAirportIds.has(row.toAirportId)) continue;
+
+      const distance = calculateDistanceNm(airline.baseAirport, row.toAirport);
+      if (distance < MIN_ROUTE_DISTANCE) continue;
+
+      const demand = Math.min(100, Math.round(row.baseDemand * eraMultiplier));
+      const contested = (markets.get(row.toAirportId)?.carriers.length || 0) > 0;
+      if (contested && behaviour.contestedWeight === 0) continue;
+
+      candidates.push({
+        airport: row.toAirport,
+        demand,
+        routeType: row.routeType,
+        distance: Math.round(distance * 100) / 100,
+        weight: demand * (contested ? behaviour.contestedWeight : 1)
+      });
+    }
+
+    return candidates.sort((a, b) => b.weight - a.weight);
+  }
+
+  /**
+   * Open a new route for an NPC airline from its base
+   * Picks among the strongest candidates with free slots at both ends
+   *
+   * @param {Object} airline - NpcAirline with baseAirport loaded
+   * @param {Object} world - World instance
+   * @param {Date} gameTime
+   * @param {Array} candidates - From findRouteCandidates (opened candidates are removed)
+   * @param {Array} aircraftTypes - From getAvailableAircraftTypes
+   * @returns {Promise<Object|null>} - The new NpcRoute, or null if nothing could be opened
+   */
+  async openRoute(airline, world, gameTime, candidates, aircraftTypes) {
+    const behaviour = this.getBehaviour(world);
+    const year = gameTime.getFullYear();
+
+    while (candidates.length > 0) {
+      // Weighted pick from the top of the list so airlines don't all open the same routes
+      const pool = candidates.slice(0, 5);
+      const totalWeight = pool.reduce((sum, c) => sum + c.weight, 0);
+      let roll = Math.random() * totalWeight;
+      const candidate = pool.find(c => (roll -= c.weight) <= 0) || pool[0];
+      candidates.splice(candidates.indexOf(candidate), 1);
+
+      const aircraftType = this.chooseAircraftType(aircraftTypes, candidate.distance, candidate.demand);
+      if (!aircraftType) continue;
+
+      const slots = await airportSlotService.canCreateRoute(airline.baseAirportId, candidate.airport.id, world.id);
+      if (!slots.allowed) continue;
+
+      const weeklyDepartures = Math.min(behaviour.maxWeeklyDepartures, candidate.demand >= 70 ? 14 : 7);
+      const rotationMs = this.getRotationMs(airline.baseAirport, candidate.airport, candidate.distance, aircraftType.cruiseSpeed);
+      const hour = DEPARTURE_HOURS[Math.floor(Math.random() * DEPARTURE_HOURS.length)];
+      const minutes = [0, 15, 30, 45][Math.floor(Math.random() * 4)];
+      const routeNumbers = await this.nextRouteNumbers(airline);
+
+      const economyPrice = eraEconomicService.calculateTicketPrice(candidate.distance, year, 'economy') * behaviour.fareMultiplier;
+      const businessPrice = aircraftType.hasBusiness
+        ? eraEconomicService.calculateTicketPrice(candidate.distance, year, 'business') * behaviour.fareMultiplier
+        : null;
+
+      return NpcRoute.create({
+        npcAirlineId: airline.id,
+        ...routeNumbers,
+        departureAirportId: airline.baseAirportId,
+        arrivalAirportId: candidate.airport.id,
+        aircraftId: aircraftType.id,
+        aircraftCount: this.getAircraftCount(rotationMs, weeklyDepartures),
+        aircraftAgeYears: Math.floor(Math.random() * 12),
+        distance: candidate.distance,
+        departureTime: `${String(hour).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:00`,
+        weeklyDepartures,
+        economyPrice: Math.round(economyPrice),
+        businessPrice: businessPrice ? Math.round(businessPrice) : null,
+        startedAt: gameTime
+      });
+    }
+
+    return null;
+  }
+
+  /**
+   * Next free outbound/return flight number pair for an airline
+   * @private
+   */
+  async nextRouteNumbers(airline) {
+    const existing = await NpcRoute.findAll({
+      where: { npcAirlineId: airline.id },
+      attributes: ['routeNumber']
+    });
+    const used = new Set(existing.map(r => r.routeNumber));
+
+    let number = 101;
+    while (used.has(`${airline.iataCode}${number}`)) {
+      number += 2;
+    }
+    return {
+      routeNumber: `${airline.iataCode}${number}`,
+      returnRouteNumber: `${airline.iataCode}${number + 1}`
+    };
+  }
+
+  /**
+   * Found a new NPC airline at a hub with no NPC airline yet and open its first routes
+   *
+   * @param {Object} world - World instance
+   * @param {Date} gameTime
+   * @returns {Promise<Object|null>} - The new NpcAirline, or null if no base had routes to open
+   */
+  async foundAirline(world, gameTime) {
+    const year = gameTime.getFullYear();
+
+    const [npcAirlines, memberships] = await Promise.all([
+      NpcAirline.findAll({ where: { worldId: world.id }, attributes: ['baseAirportId', 'airlineCode', 'iataCode', 'isActive'] }),
+      WorldMembership.findAll({ where: { worldId: world.id }, attributes: ['airlineCode', 'iataCode'] })
+    ]);
+    const takenBases = new Set(npcAirlines.filter(a => a.isActive).map(a => a.baseAirportId));
+    const takenCodes = new Set([...npcAirlines, ...memberships].flatMap(a => [a.airlineCode, a.iataCode]).filter(Boolean));
+
+    const hubs = await Airport.findAll({
+      where: {
+        ...this.operationalWhere(year),
+        type: { [Op.in]: ['International Hub', 'Major'] }
+      },
+      attributes: ['id', 'icaoCode', 'name', 'type', 'latitude', 'longitude']
+    });
+    const bases = hubs.filter(airport => !takenBases.has(airport.id)).sort(() => Math.random() - 0.5).slice(0, 5);
+    const aircraftTypes = await this.getAvailableAircraftTypes(year);
+
+    for (const base of bases) {
+      const name = generateNpcAirlineName();
+      const probe = { baseAirportId: base.id, baseAirport: base };
+      const candidates = await this.findRouteCandidates(probe, world, gameTime);
+      if (candidates.length === 0) continue;
+
+      const airline = await NpcAirline.create({
+        worldId: world.id,
+        name,
+        ...generateAirlineCodes(name, takenCodes),
+        baseAirportId: base.id,
+        reputation: 40 + Math.floor(Math.random() * 21),
+        foundedAt: gameTime,
+        lastReviewedAt: gameTime
+      });
+      airline.baseAirport = base;
+
+      for (let i = 0; i < STARTING_ROUTES; i++) {
+        if (!await this.openRoute(airline, world, gameTime, candidates, aircraftTypes)) break;
+      }
+
+      console.log(`NPC airline founded: ${airline.name} (${airline.airlineCode}) at ${base.icaoCode}`);
+      return airline;
+    }
+
+    return null;
+  }
+
+  /**
+   * Stop an NPC airline flying and give up its slots
+   *
+   * @param {Object} airline - NpcAirline instance
+   * @param {Date} gameTime
+   */
+  async ceaseAirline(airline, gameTime) {
+    await NpcRoute.destroy({ where: { npcAirlineId: airline.id } });
+    await airline.update({ isActive: false, ceasedAt: gameTime });
+    console.log(`NPC airline ceased operations: ${airline.name} (${airline.airlineCode})`);
+  }
+
+  /**
+   * Bring a world's active NPC airlines in line with its configured count
+   * Founds missing airlines, and retires the least profitable when there are too many
+   *
+   * @param {Object} world - World instance
+   * @param {Date} gameTime
+   * @returns {Promise<{founded: number, retired: number}>}
+   */
+  async syncAirlines(world, gameTime) {
+    const target = Math.max(0, world.npcAirlineCount || 0);
+    const active = await NpcAirline.findAll({
+      where: { worldId: world.id, isActive: true },
+      order: [['cumulativeProfit', 'ASC']]
+    });
+
+    let founded = 0;
+    let retired = 0;
+
+    for (const airline of active.slice(0, Math.max(0, active.length - target))) {
+      await this.ceaseAirline(airline, gameTime);
+      retired++;
+    }
+
+    for (let i = active.length; i < target; i++) {
+      if (!await this.foundAirline(world, gameTime)) break;
+      founded++;
+    }
+
+    return { founded, retired };
+  }
+
+  /**
+   * Weekly review of one NPC airline: reprice, grow or cut each route on its estimated
+   * profit, then open new routes if the network is making money
+   *
+   * @param {Object} airline - NpcAirline instance
+   * @param {Object} world - World instance
+   * @param {Date} gameTime
+   */
+  async reviewAirline(airline, world, gameTime) {
+    const behaviour = this.getBehaviour(world);
+    const year = gameTime.getFullYear();
+
+    const routes = await NpcRoute.findAll({
+      where: { npcAirlineId: airline.id },
+      include: [
+        { model: NpcAirline, as: 'airline' },
+        { model: Airport, as: 'departureAirport' },
+        { model: Airport, as: 'arrivalAirport' },
+        { model: Aircraft, as: 'aircraft' }
+      ]
+    });
+
+    let weeklyProfit = 0;
+    const remaining = [];
+
+    for (const route of routes) {
+      const estimate = await this.estimateWeek(route, gameTime);
+      weeklyProfit += estimate.weeklyProfit;
+
+      const marketFare = eraEconomicService.calculateTicketPrice(parseFloat(route.distance), year, 'economy');
+      const updates = {
+        lastWeekProfit: estimate.weeklyProfit,
+        lastLoadFactor: estimate.loadFactor,
+        weeksUnprofitable: estimate.weeklyProfit < 0 ? route.weeksUnprofitable + 1 : 0
+      };
+
+      // Chase load factor with fares, within a band around the market fare
+      let fareRatio = parseFloat(route.economyPrice) / marketFare;
+      if (estimate.loadFactor < LOW_LOAD_FACTOR) fareRatio -= FARE_STEP;
+      if (estimate.loadFactor > HIGH_LOAD_FACTOR) fareRatio += FARE_STEP;
+      fareRatio = Math.max(MIN_FARE_RATIO, Math.min(MAX_FARE_RATIO, fareRatio));
+      updates.economyPrice = Math.round(marketFare * fareRatio);
+
+      let weeklyDepartures = route.weeklyDepartures;
+      if (updates.weeksUnprofitable >= behaviour.weeksBeforeCut) {
+        if (weeklyDepartures <= 7) {
+          await route.destroy();
+          console.log(`NPC route dropped: ${airline.name} ${route.routeNumber}`);
+          continue;
+        }
+        weeklyDepartures -= 7;
+        updates.weeksUnprofitable = 0;
+      } else if (estimate.weeklyProfit > 0 && estimate.loadFactor > HIGH_LOAD_FACTOR) {
+        weeklyDepartures = Math.min(behaviour.maxWeeklyDepartures, weeklyDepartures + 7);
+      }
+
+      if (weeklyDepartures !== route.weeklyDepartures) {
+        const rotationMs = this.getRotationMs(route.departureAirport, route.arrivalAirport, parseFloat(route.distance), route.aircraft.cruiseSpeed);
+        updates.weeklyDepartures = weeklyDepartures;
+        updates.aircraftCount = this.getAircraftCount(rotationMs, weeklyDepartures);
+      }
+
+      await route.update(updates);
+      remaining.push(route);
+    }
+
+    const cumulativeProfit = parseFloat(airline.cumulativeProfit || 0) + weeklyProfit;
+    await airline.update({
+      weeklyProfit: Math.round(weeklyProfit * 100) / 100,
+      cumulativeProfit: Math.round(cumulativeProfit * 100) / 100,
+      reputation: Math.max(MIN_REPUTATION, Math.min(MAX_REPUTATION, airline.reputation + (weeklyProfit >= 0 ? 1 : -1))),
+      lastReviewedAt: gameTime
+    });
+
+    // A network that has shrunk to nothing while losing money has failed
+    if (remaining.length === 0 && cumulativeProfit < 0) {
+      await this.ceaseAirline(airline, gameTime);
+      return;
+    }
+
+    const wantsToGrow = remaining.length < STARTING_ROUTES ||
+      (weeklyProfit > 0 && remaining.length < behaviour.maxRoutes && Math.random() < behaviour.expandChance);
+    if (!wantsToGrow) return;
+
+    airline.baseAirport = await Airport.findByPk(airline.baseAirportId);
+    const served = new Set(remaining.map(route => route.arrivalAirportId));
+    const candidates = await this.findRouteCandidates(airline, world, gameTime, served);
+    const aircraftTypes = await this.getAvailableAircraftTypes(year);
+
+    const toOpen = Math.min(behaviour.newRoutesPerWeek, behaviour.maxRoutes - remaining.length);
+    for (let i = 0; i < toOpen; i++) {
+      const route = await this.openRoute(airline, world, gameTime, candidates, aircraftTypes);
+      if (!route) break;
+      console.log(`NPC route opened: ${airline.name} ${route.routeNumber}`);
+    }
+  }
+
+  /**
+   * Weekly NPC airline run for a world
+   *
+   * @param {string} worldId
+   * @param {Date} gameTime
+   */
+  async processWeeklyReview(worldId, gameTime) {
+    const world = await World.findByPk(worldId);
+    if (!world) return;
+
+    await this.syncAirlines(world, gameTime);
+
+    const airlines = await NpcAirline.findAll({ where: { worldId, isActive: true } });
+    const gameWeek = Math.floor(gameTime.getTime() / WEEK_MS);
+
+    for (const airline of airlines) {
+      // Airlines founded or reviewed this game week wait for the next one
+      if (airline.lastReviewedAt && Math.floor(new Date(airline.lastReviewedAt).getTime() / WEEK_MS) >= gameWeek) {
+        continue;
+      }
+      await this.reviewAirline(airline, world, gameTime);
+    }
+  }
+
+  /**
+   * Name of an operating NPC airline in a world, for aircraft sale and lease counterparties
+   *
+   * @param {string} worldId
+   * @returns {Promise<string>}
+   */
+  async getCounterpartyName(worldId) {
+    const airlines = await NpcAirline.findAll({
+      where: { worldId, isActive: true },
+      attributes: ['name']
+    });
+    if (airlines.length === 0) return generateNpcAirlineName();
+    return airlines[Math.floor(Math.random() * airlines.length)].name;
+  }
+
+  /**
+   * NPC round trips in the air at a game time, shaped like /api/schedule/active-all flights
+   *
+   * @param {string} worldId
+   * @param {Date} gameTime
+   * @returns {Promise<Array>}
+   */
+  async getAirborneFlights(worldId, gameTime) {
+    const airportAttributes = ['id', 'icaoCode', 'iataCode', 'name', 'city', 'country', 'latitude', 'longitude'];
+    const routes = await NpcRoute.findAll({
+      include: [
+        { model: NpcAirline, as: 'airline', where: { worldId, isActive: true }, attributes: ['id', 'name', 'airlineCode'] },
+        { model: Airport, as: 'departureAirport', attributes: airportAttributes },
+        { model: Airport, as: 'arrivalAirport', attributes: airportAttributes },
+        { model: Aircraft, as: 'aircraft' }
+      ]
+    });
+
+    const now = gameTime.getTime();
+    const flights = [];
+
+    for (const route of routes) {
+      // Shown until the aircraft lands back at base, before its second turnaround
+      const rotationMs = this.getRotationMs(route.departureAirport, route.arrivalAirport, parseFloat(route.distance), route.aircraft?.cruiseSpeed) -
+        TURNAROUND_MINUTES * 60 * 1000;
+
+      // Long-haul rotations can still be airborne a day or two after departing
+      for (const { day, index: i, start } of this.getDepartureStarts(route, now - 2 * DAY_MS, now + 1)) {
+        if (start + rotationMs <= now) continue;
+
+        const departure = new Date(start);
+        const arrival = new Date(start + rotationMs);
+        flights.push({
+          id: `npc-${route.id}-${day}-${i}`,
+          scheduledDate: departure.toISOString().split('T')[0],
+          departureTime: departure.toISOString().split('T')[1].substring(0, 8),
+          arrivalTime: arrival.toISOString().split('T')[1].substring(0, 8),
+          arrivalDate: arrival.toISOString().split('T')[0],
+          status: 'in_progress',
+          isOwnFlight: false,
+          isNpc: true,
+          airlineName: route.airline.name,
+          airlineCode: route.airline.airlineCode,
+          route: {
+            id: route.id,
+            routeNumber: route.routeNumber,
+            returnRouteNumber: route.returnRouteNumber,
+            distance: route.distance,
+            turnaroundTime: TURNAROUND_MINUTES,
+            techStopAirport: null,
+            demand: 0,
+            averageLoadFactor: parseFloat(route.lastLoadFactor) || 0
+          },
+          departureAirport: route.departureAirport,
+          arrivalAirport: route.arrivalAirport,
+          aircraft: {
+            id: null,
+            registration: null,
+            aircraftType: route.aircraft,
+            passengerCapacity: route.aircraft?.passengerCapacity || 0
+          }
+        });
+      }
+    }
+
+    return flights;
+  }
+}
+
+// Singleton instance
+const npcAirlineService = new NpcAirlineService();
+
+module.exports = npcAirlineService;
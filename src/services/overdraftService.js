@@ -0,0 +1,231 @@
+const { Op } = require('sequelize');
+const { WorldMembership, UserAircraft, Loan, Notification } = require('../models');
+const eraEconomicService = require('./eraEconomicService');
+const ledgerService = require('./ledgerService');
+
+// Overdraft limit as a share of the book value of owned aircraft, less what is mortgaged
+const OVERDRAFT_FLEET_VALUE_SHARE = 0.25;
+
+// Margin over the era base rate for the arranged overdraft, and the extra charged beyond the limit
+const OVERDRAFT_RATE_MARGIN = 0.08;
+const UNARRANGED_RATE_MARGIN = 0.10;
+
+// Share of the limit in use before the "near limit" warning goes out
+const NEAR_LIMIT_SHARE = 0.8;
+
+// Consecutive weeks over the limit before the airline is declared insolvent
+const INSOLVENCY_BREACH_WEEKS = 4;
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+const WARNING_NONE = 0;
+const WARNING_OVERDRAWN = 1;
+const WARNING_NEAR_LIMIT = 2;
+const WARNING_OVER_LIMIT = 3;
+
+/**
+ * Overdraft Service
+ * Lets airline balances go negative up to a fleet-backed limit, charges weekly
+ * interest on the overdrawn amount, and restricts airlines that stay over the limit
+ */
+class OverdraftService {
+
+  /**
+   * Whether an airline is in the insolvency restricted state
+   * @param {Object} membership - WorldMembership instance
+   * @returns {boolean}
+   */
+  isInsolvent(membership) {
+    return !!membership?.insolventSince;
+  }
+
+  /**
+   * Book value of the aircraft an airline owns outright
+   * @param {string} worldMembershipId
+   * @returns {Promise<number>}
+   */
+  async getFleetValue(worldMembershipId) {
+    const value = await UserAircraft.sum('purchasePrice', {
+      where: {
+        worldMembershipId,
+        acquisitionType: 'purchase',
+        status: { [Op.ne]: 'sold' }
+      }
+    });
+    return parseFloat(value) || 0;
+  }
+
+  /**
+   * Overdraft facility for an airline
+   *
+   * @param {Object} membership - WorldMembership instance
+   * @param {number} year - Current game year
+   * @returns {Promise<Object>} - { limit, used, available, annualRate, unarrangedRate }
+   */
+  async getOverdraft(membership, year) {
+    const fleetValue = await this.getFleetValue(membership.id);
+    const mortgaged = parseFloat(await Loan.sum('outstandingBalance', {
+      where: { worldMembershipId: membership.id, loanType: 'mortgage', status: 'active' }
+    })) || 0;
+    const limit = Math.round(Math.max(0, fleetValue - mortgaged) * OVERDRAFT_FLEET_VALUE_SHARE);
+    const balance = parseFloat(membership.balance) || 0;
+    const used = Math.max(0, -balance);
+    const baseRate = eraEconomicService.getBaseInterestRate(year);
+
+    return {
+      limit,
+      used,
+      available: Math.max(0, limit - used),
+      annualRate: baseRate + OVERDRAFT_RATE_MARGIN,
+      unarrangedRate: baseRate + OVERDRAFT_RATE_MARGIN + UNARRANGED_RATE_MARGIN
+    };
+  }
+
+  /**
+   * Weekly interest on an overdrawn balance
+   * The part within the limit is charged the arranged rate, anything beyond it the unarranged rate
+   *
+   * @param {Object} overdraft - From getOverdraft
+   * @returns {number}
+   */
+  calculateWeeklyInterest(overdraft) {
+    const withinLimit = Math.min(overdraft.used, overdraft.limit);
+    const overLimit = Math.max(0, overdraft.used - overdraft.limit);
+    const interest = (withinLimit * overdraft.annualRate + overLimit * overdraft.unarrangedRate) / 52;
+    return Math.round(interest * 100) / 100;
+  }
+
+  /**
+   * Send an overdraft warning
+   * @private
+   */
+  async notify(membership, gameTime, title, message, priority) {
+    await Notification.create({
+      worldMembershipId: membership.id,
+      type: 'overdraft',
+      icon: 'dollar',
+      title,
+      message,
+      link: '/finances',
+      priority,
+      gameTime
+    });
+  }
+
+  /**
+   * Weekly overdraft run for one airline: charge interest, escalate warnings,
+   * and enter or leave the insolvency restricted state
+   *
+   * @param {Object} membership - WorldMembership instance
+   * @param {Date} gameTime - Current game time
+   */
+  async processMembership(membership, gameTime) {
+    const overdraft = await this.getOverdraft(membership, gameTime.getFullYear());
+
+    if (overdraft.used > 0) {
+      const interest = this.calculateWeeklyInterest(overdraft);
+      await ledgerService.post({
+        worldMembershipId: membership.id,
+        category: 'interest',
+        amount: -interest,
+        gameTime,
+        description: `Overdraft interest on $${Math.round(overdraft.used).toLocaleString()}`
+      });
+      overdraft.used += interest;
+    }
+
+    const overLimit = overdraft.used > overdraft.limit;
+    const breachWeeks = overLimit ? (membership.overdraftBreachWeeks || 0) + 1 : 0;
+
+    let level = WARNING_NONE;
+    if (overLimit) level = WARNING_OVER_LIMIT;
+    else if (overdraft.used > 0 && overdraft.used >= overdraft.limit * NEAR_LIMIT_SHARE) level = WARNING_NEAR_LIMIT;
+    else if (overdraft.used > 0) level = WARNING_OVERDRAWN;
+
+    const usedText = `$${Math.round(overdraft.used).toLocaleString()}`;
+    const limitText = `$${overdraft.limit.toLocaleString()}`;
+
+    // Over-limit warnings repeat weekly as the insolvency countdown runs; the others only on escalation
+    if (level === WARNING_OVER_LIMIT && !this.isInsolvent(membership) && breachWeeks < INSOLVENCY_BREACH_WEEKS) {
+      const weeksLeft = INSOLVENCY_BREACH_WEEKS - breachWeeks;
+      await this.notify(membership, gameTime, 'Overdraft Limit Exceeded',
+        `You are overdrawn by ${usedText}, beyond your ${limitText} limit. Unarranged interest is being charged. Return within the limit in ${weeksLeft} week${weeksLeft === 1 ? '' : 's'} to avoid insolvency.`, 1);
+    } else if (level === WARNING_NEAR_LIMIT && (membership.overdraftWarningLevel || 0) < WARNING_NEAR_LIMIT) {
+      await this.notify(membership, gameTime, 'Overdraft Nearly Used',
+        `You have used ${usedText} of your ${limitText} overdraft. Interest is charged weekly.`, 2);
+    } else if (level === WARNING_OVERDRAWN && (membership.overdraftWarningLevel || 0) < WARNING_OVERDRAWN) {
+      await this.notify(membership, gameTime, 'Account Overdrawn',
+        `Your balance is overdrawn by ${usedText}. Your overdraft limit is ${limitText} and interest is charged weekly.`, 3);
+    }
+
+    const updates = {
+      overdraftBreachWeeks: breachWeeks,
+      overdraftWarningLevel: level,
+      lastOverdraftCheck: gameTime
+    };
+
+    if (!this.isInsolvent(membership) && breachWeeks >= INSOLVENCY_BREACH_WEEKS) {
+      updates.insolventSince = gameTime;
+      await Notification.create({
+        worldMembershipId: membership.id,
+        type: 'insolvency',
+        icon: 'alert',
+        title: 'Airline Insolvent',
+        message: `Your overdraft has been over its limit for ${INSOLVENCY_BREACH_WEEKS} weeks. Purchases, new routes and schedule changes are restricted until your balance is back within the ${limitText} limit.`,
+        link: '/finances',
+        priority: 1,
+        gameTime
+      });
+    } else if (this.isInsolvent(membership) && !overLimit) {
+      updates.insolventSince = null;
+      await Notification.create({
+        worldMembershipId: membership.id,
+        type: 'insolvency_cleared',
+        icon: 'dollar',
+        title: 'Insolvency Lifted',
+        message: 'Your balance is back within the overdraft limit and restrictions have been lifted.',
+        link: '/finances',
+        priority: 2,
+        gameTime
+      });
+    }
+
+    await membership.update(updates);
+  }
+
+  /**
+   * Weekly overdraft run for every active airline in a world
+   *
+   * @param {string} worldId - World UUID
+   * @param {Date} gameTime - Current game time
+   */
+  async processWeeklyOverdrafts(worldId, gameTime) {
+    const memberships = await WorldMembership.findAll({
+      where: {
+        worldId,
+        isActive: true,
+        [Op.or]: [
+          { balance: { [Op.lt]: 0 } },
+          { overdraftWarningLevel: { [Op.gt]: WARNING_NONE } },
+          { insolventSince: { [Op.ne]: null } }
+        ]
+      }
+    });
+
+    const gameWeek = Math.floor(gameTime.getTime() / WEEK_MS);
+
+    for (const membership of memberships) {
+      // Interest for this game week is already on the account
+      if (membership.lastOverdraftCheck &&
+          Math.floor(new Date(membership.lastOverdraftCheck).getTime() / WEEK_MS) >= gameWeek) {
+        continue;
+      }
+      await this.processMembership(membership, gameTime);
+    }
+  }
+}
+
+// Singleton instance
+const overdraftService = new OverdraftService();
+
+module.exports = overdraftService;
@@ -0,0 +1,347 @@
+const { Op } = require('sequelize');
+const { WorldMembership, ScheduledFlight, Route, UserAircraft, Flight, ReputationHistory, Notification } = require('../models');
+const eraEconomicService = require('./eraEconomicService');
+
+// Game days of operations each weekly review looks back over
+const REVIEW_WINDOW_DAYS = 28;
+
+// Share of the gap to the measured score closed at each review, so reputation builds and erodes gradually
+const REPUTATION_SMOOTHING = 0.25;
+
+// Weight of each component in the measured score; components with nothing to measure are left out
+const COMPONENT_WEIGHTS = {
+  completion: 0.3,
+  cancellation: 0.15,
+  fleet: 0.15,
+  maintenance: 0.15,
+  pricing: 0.15,
+  vatsim: 0.1
+};
+
+// Fleet score lost per year of average aircraft age
+const FLEET_AGE_PENALTY_PER_YEAR = 3;
+
+// Economy fare / market fare at which passengers start to feel overcharged, and the score lost per 1% above it
+const FAIR_FARE_RATIO = 0.9;
+const PRICING_PENALTY_PER_PERCENT = 1;
+
+// Demand gained or lost at the extremes of reputation (50 is neutral)
+const MAX_DEMAND_EFFECT = 0.15;
+
+// Change in reputation that is worth telling the airline about
+const NOTABLE_CHANGE = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+// Default check validity, matching the maintenance scheduler
+const CHECK_INTERVAL_DAYS = { daily: 2, weekly: 8 };
+
+const clamp = (value) => Math.max(0, Math.min(100, Math.round(value)));
+
+/**
+ * Reputation Service
+ * Moves each airline's reputation with how it actually operates: flights flown vs missed,
+ * cancellations, fleet age and condition, overdue maintenance, fares against the market
+ * and legs flown on VATSIM. Every weekly review is kept in reputation_history.
+ */
+class ReputationService {
+
+  /**
+   * Completed, missed and cancelled departures in the review window
+   * @private
+   */
+  async getFlightCounts(worldMembershipId, from, to) {
+    const rows = await ScheduledFlight.count({
+      where: {
+        scheduledDate: { [Op.between]: [from, to] },
+        status: { [Op.in]: ['completed', 'missed', 'cancelled'] }
+      },
+      include: [{ model: Route, as: 'route', where: { worldMembershipId }, attributes: [] }],
+      group: ['status']
+    });
+
+    const counts = { completed: 0, missed: 0, cancelled: 0 };
+    for (const row of rows) {
+      counts[row.status] = parseInt(row.count) || 0;
+    }
+    return counts;
+  }
+
+  /**
+   * Whether any of an aircraft's checks has run out
+   *
+   * @param {Object} aircraft - UserAircraft instance
+   * @param {Date} gameTime
+   * @returns {boolean}
+   */
+  hasOverdueCheck(aircraft, gameTime) {
+    // Aircraft arrive freshly checked, so a check never done counts from delivery
+    const since = (date) => new Date(date || aircraft.acquiredAt || gameTime);
+    const expired = (date, days) => since(date).getTime() + days * DAY_MS <= gameTime.getTime();
+
+    const aCheckHours = aircraft.aCheckIntervalHours || UserAircraft.CHECK_VALIDITY.A.min;
+    const hoursSinceA = (parseFloat(aircraft.totalFlightHours) || 0) - (parseFloat(aircraft.lastACheckHours) || 0);
+    const dCheckDays = aircraft.dCheckIntervalDays ||
+      Math.round((UserAircraft.CHECK_VALIDITY.D.min + UserAircraft.CHECK_VALIDITY.D.max) / 2);
+
+    return expired(aircraft.lastDailyCheckDate, CHECK_INTERVAL_DAYS.daily) ||
+      expired(aircraft.lastWeeklyCheckDate, CHECK_INTERVAL_DAYS.weekly) ||
+      hoursSinceA >= aCheckHours ||
+      expired(aircraft.lastCCheckDate, aircraft.cCheckIntervalDays || UserAircraft.CHECK_VALIDITY.C.days) ||
+      expired(aircraft.lastDCheckDate, dCheckDays);
+  }
+
+  /**
+   * Fleet age/condition and maintenance scores of the aircraft in service
+   * @private
+   */
+  async getFleetScores(worldMembershipId, gameTime) {
+    const fleet = await UserAircraft.findAll({
+      where: { worldMembershipId, status: { [Op.in]: ['active', 'maintenance'] } }
+    });
+    if (fleet.length === 0) return { fleet: null, maintenance: null };
+
+    let totalAge = 0;
+    let totalCondition = 0;
+    let overdue = 0;
+    for (const aircraft of fleet) {
+      totalAge += aircraft.ageYears || 0;
+      totalCondition += aircraft.conditionPercentage ?? 100;
+      if (this.hasOverdueCheck(aircraft, gameTime)) overdue++;
+    }
+
+    const ageScore = 100 - (totalAge / fleet.length) * FLEET_AGE_PENALTY_PER_YEAR;
+    const conditionScore = totalCondition / fleet.length;
+
+    return {
+      fleet: clamp((ageScore + conditionScore) / 2),
+      maintenance: clamp(100 * (1 - overdue / fleet.length))
+    };
+  }
+
+  /**
+   * Score for economy fares against the era market fare, averaged over passenger routes
+   * @private
+   */
+  async getPricingScore(worldMembershipId, gameTime) {
+    const routes = await Route.findAll({
+      where: {
+        worldMembershipId,
+        isActive: true,
+        transportType: { [Op.ne]: 'cargo_only' }
+      },
+      attributes: ['distance', 'economyPrice', 'ticketPrice']
+    });
+
+    const year = gameTime.getFullYear();
+    const scores = routes
+      .map(route => {
+        const price = parseFloat(route.economyPrice) || parseFloat(route.ticketPrice) || 0;
+        const market = eraEconomicService.calculateTicketPrice(parseFloat(route.distance) || 0, year, 'economy');
+        if (!(price > 0) || !(market > 0)) return null;
+        const overchargePercent = Math.max(0, (price / market - FAIR_FARE_RATIO) * 100);
+        return 100 - overchargePercent * PRICING_PENALTY_PER_PERCENT;
+      })
+      .filter(score => score !== null);
+
+    if (scores.length === 0) return null;
+    return clamp(scores.reduce((sum, s) => sum + s, 0) / scores.length);
+  }
+
+  /**
+   * Average punctuality of legs flown on VATSIM in the window
+   * @private
+   */
+  async getVatsimScore(worldMembershipId, since) {
+    const flights = await Flight.findAll({
+      where: {
+        airlineId: worldMembershipId,
+        executionType: 'human',
+        state: 'resolved',
+        actualArrivalTime: { [Op.gte]: since }
+      },
+      attributes: ['score']
+    });
+    if (flights.length === 0) return { score: null, count: 0 };
+
+    const total = flights.reduce((sum, f) => sum + (f.score || 0), 0);
+    return { score: clamp(total / flights.length), count: flights.length };
+  }
+
+  /**
+   * Measure an airline's operations over the review window
+   *
+   * @param {string} worldMembershipId
+   * @param {Date} gameTime
+   * @returns {Promise<Object>} - { components: {name: score|null}, target, counts }
+   */
+  async measure(worldMembershipId, gameTime) {
+    const since = new Date(gameTime.getTime() - REVIEW_WINDOW_DAYS * DAY_MS);
+    const from = since.toISOString().split('T')[0];
+    const to = gameTime.toISOString().split('T')[0];
+
+    const counts = await this.getFlightCounts(worldMembershipId, from, to);
+    const fleetScores = await this.getFleetScores(worldMembershipId, gameTime);
+    const pricing = await this.getPricingScore(worldMembershipId, gameTime);
+    const vatsim = await this.getVatsimScore(worldMembershipId, since);
+
+    const operated = counts.completed + counts.missed;
+    const planned = operated + counts.cancelled;
+
+    // Cancelling half the planned departures wipes out the cancellation score
+    const components = {
+      completion: operated > 0 ? clamp(100 * counts.completed / operated) : null,
+      cancellation: planned > 0 ? clamp(100 - 200 * counts.cancelled / planned) : null,
+      fleet: fleetScores.fleet,
+      maintenance: fleetScores.maintenance,
+      pricing,
+      vatsim: vatsim.score
+    };
+
+    let weighted = 0;
+    let totalWeight = 0;
+    for (const [name, score] of Object.entries(components)) {
+      if (score === null) continue;
+      weighted += score * COMPONENT_WEIGHTS[name];
+      totalWeight += COMPONENT_WEIGHTS[name];
+    }
+
+    return {
+      components,
+      target: totalWeight > 0 ? clamp(weighted / totalWeight) : null,
+      counts: { ...counts, vatsim: vatsim.count }
+    };
+  }
+
+  /**
+   * Review one airline: move its reputation towards the measured score and keep the record
+   *
+   * @param {Object} membership - WorldMembership instance
+   * @param {Date} gameTime
+   * @returns {Promise<Object|null>} - The ReputationHistory row, or null if there was nothing to measure
+   */
+  async reviewMembership(membership, gameTime) {
+    const { components, target, counts } = await this.measure(membership.id, gameTime);
+    if (target === null) return null;
+
+    const previous = membership.reputation ?? 50;
+    const reputation = clamp(previous + (target - previous) * REPUTATION_SMOOTHING);
+
+    await membership.update({ reputation });
+
+    const entry = await ReputationHistory.create({
+      worldMembershipId: membership.id,
+      reputation,
+      previousReputation: previous,
+      targetReputation: target,
+      completionScore: components.completion,
+      cancellationScore: components.cancellation,
+      fleetScore: components.fleet,
+      maintenanceScore: components.maintenance,
+      pricingScore: components.pricing,
+      vatsimScore: components.vatsim,
+      flightsCompleted: counts.completed,
+      flightsMissed: counts.missed,
+      flightsCancelled: counts.cancelled,
+      vatsimFlights: counts.vatsim,
+      gameTime
+    });
+
+    if (Math.abs(reputation - previous) >= NOTABLE_CHANGE) {
+      const rising = reputation > previous;
+      await Notification.create({
+        worldMembershipId: membership.id,
+        type: 'reputation',
+        icon: 'chart',
+        title: rising ? 'Reputation Improving' : 'Reputation Falling',
+        message: `Your reputation ${rising ? 'rose' : 'fell'} from ${previous} to ${reputation}. ${this.describeWeakest(components)}`,
+        link: '/dashboard',
+        priority: rising ? 5 : 3,
+        gameTime
+      });
+    }
+
+    return entry;
+  }
+
+  /**
+   * Sentence naming the component holding reputation back the most
+   * @private
+   */
+  describeWeakest(components) {
+    const labels = {
+      completion: 'missed flights',
+      cancellation: 'cancelled flights',
+      fleet: 'fleet age and condition',
+      maintenance: 'overdue maintenance',
+      pricing: 'fares above the market',
+      vatsim: 'late VATSIM flights'
+    };
+
+    const weakest = Object.entries(components)
+      .filter(([, score]) => score !== null && score < 70)
+      .sort((a, b) => a[1] - b[1])[0];
+
+    return weakest ? `Biggest concern: ${labels[weakest[0]]}.` : 'Passengers rate your operation well.';
+  }
+
+  /**
+   * Review every active airline in a world once per game week
+   *
+   * @param {string} worldId
+   * @param {Date} gameTime
+   */
+  async processWeeklyReviews(worldId, gameTime) {
+    const memberships = await WorldMembership.findAll({
+      where: { worldId, isActive: true }
+    });
+
+    const gameWeek = Math.floor(gameTime.getTime() / WEEK_MS);
+
+    for (const membership of memberships) {
+      // A history entry from this game week means the score has already moved with this week's record
+      const last = await ReputationHistory.findOne({
+        where: { worldMembershipId: membership.id },
+        order: [['gameTime', 'DESC']],
+        attributes: ['gameTime']
+      });
+      if (last && Math.floor(new Date(last.gameTime).getTime() / WEEK_MS) >= gameWeek) {
+        continue;
+      }
+
+      await this.reviewMembership(membership, gameTime);
+    }
+  }
+
+  /**
+   * Passenger demand multiplier for an airline's reputation
+   * @param {number} reputation - 0-100
+   * @returns {number} - 0.85 at 0, 1 at 50, 1.15 at 100
+   */
+  getDemandFactor(reputation) {
+    const value = Math.max(0, Math.min(100, reputation ?? 50));
+    return 1 + (value - 50) / 50 * MAX_DEMAND_EFFECT;
+  }
+
+  /**
+   * Reputation history for charts and models, oldest first
+   *
+   * @param {string} worldMembershipId
+   * @param {number} [weeks=26] - How many reviews to return
+   * @returns {Promise<Array>}
+   */
+  async getHistory(worldMembershipId, weeks = 26) {
+    const rows = await ReputationHistory.findAll({
+      where: { worldMembershipId },
+      order: [['gameTime', 'DESC']],
+      limit: weeks
+    });
+    return rows.reverse();
+  }
+}
+
+// Singleton instance
+const reputationService = new ReputationService();
+
+module.exports = reputationService;
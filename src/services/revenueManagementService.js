@@ -0,0 +1,379 @@
+const { Op } = require('sequelize');
+const sequelize = require('../config/database');
+const { Route, RouteFareBucket, ScheduledFlight, WorldMembership, UserAircraft, Aircraft } = require('../models');
+const flightRevenueService = require('./flightRevenueService');
+const marketShareService = require('./marketShareService');
+
+const CABINS = ['economy', 'economyPlus', 'business', 'first'];
+
+// Route fare fields per cabin
+const CABIN_PRICE_FIELDS = {
+  economy: 'economyPrice',
+  economyPlus: 'economyPlusPrice',
+  business: 'businessPrice',
+  first: 'firstPrice'
+};
+
+// Ways a route's fares can be set; everything but manual is repriced every game week
+const PRICING_STRATEGIES = {
+  manual: 'Manual',
+  target_load_factor: 'Target load factor',
+  maximise_revenue: 'Maximise revenue',
+  maximise_load_factor: 'Maximise load factor',
+  match_competitor: 'Match competitors'
+};
+
+// Bucket layout suggested when a cabin is first split into fare buckets
+const DEFAULT_FARE_BUCKETS = {
+  economy: [
+    { bucketCode: 'Q', fareMultiplier: 0.7, seatShare: 0.3 },
+    { bucketCode: 'M', fareMultiplier: 0.9, seatShare: 0.3 },
+    { bucketCode: 'B', fareMultiplier: 1.1, seatShare: 0.25 },
+    { bucketCode: 'Y', fareMultiplier: 1.5, seatShare: 0.15 }
+  ],
+  economyPlus: [
+    { bucketCode: 'W', fareMultiplier: 0.85, seatShare: 0.4 },
+    { bucketCode: 'E', fareMultiplier: 1.0, seatShare: 0.4 },
+    { bucketCode: 'P', fareMultiplier: 1.3, seatShare: 0.2 }
+  ],
+  business: [
+    { bucketCode: 'I', fareMultiplier: 0.8, seatShare: 0.3 },
+    { bucketCode: 'D', fareMultiplier: 1.0, seatShare: 0.4 },
+    { bucketCode: 'J', fareMultiplier: 1.4, seatShare: 0.3 }
+  ],
+  first: [
+    { bucketCode: 'A', fareMultiplier: 0.9, seatShare: 0.5 },
+    { bucketCode: 'F', fareMultiplier: 1.2, seatShare: 0.5 }
+  ]
+};
+
+// Most buckets a cabin can be split into, and the fare multipliers a bucket may use
+const MAX_BUCKETS_PER_CABIN = 6;
+const MIN_BUCKET_MULTIPLIER = 0.3;
+const MAX_BUCKET_MULTIPLIER = 5;
+
+// Target used when none is given, and the targets allowed (load factor %)
+const DEFAULT_TARGET_LOAD_FACTOR = 80;
+const MIN_TARGET_LOAD_FACTOR = 40;
+const MAX_TARGET_LOAD_FACTOR = 100;
+
+// Load factor either side of the target that leaves fares alone (percentage points)
+const TARGET_TOLERANCE = 3;
+
+// Largest fare move in one weekly repricing
+const MAX_WEEKLY_FARE_CHANGE = 0.1;
+
+// Fare moves the maximising strategies try each week
+const CANDIDATE_FARE_CHANGES = [-0.1, -0.05, 0, 0.05, 0.1];
+
+// Repricing keeps fares within this band of the era market fare
+const MIN_MARKET_RATIO = 0.3;
+const MAX_MARKET_RATIO = 4;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Revenue Management Service
+ * Fare buckets on a route's cabins and the pricing strategies that reprice
+ * routes automatically every game week
+ */
+class RevenueManagementService {
+
+  /**
+   * A route's pricing strategy and fare buckets for the pricing page
+   *
+   * @param {Object} route - Route instance
+   * @returns {Promise<Object>}
+   */
+  async getRouteRevenueManagement(route) {
+    const fareBuckets = await flightRevenueService.getFareBuckets(route.id) || {};
+    return {
+      routeId: route.id,
+      pricingStrategy: route.pricingStrategy,
+      targetLoadFactor: route.targetLoadFactor,
+      fares: flightRevenueService.getCabinPrices(route),
+      fareBuckets: Object.fromEntries(CABINS.map(cabin => [cabin, fareBuckets[cabin] || []])),
+      defaultFareBuckets: DEFAULT_FARE_BUCKETS,
+      strategies: PRICING_STRATEGIES
+    };
+  }
+
+  /**
+   * Choose how a route's fares are set
+   *
+   * @param {Object} route - Route instance
+   * @param {Object} settings - { pricingStrategy, targetLoadFactor }
+   * @returns {Promise<Object>} - { route } or { error }
+   */
+  async setStrategy(route, { pricingStrategy, targetLoadFactor }) {
+    if (!PRICING_STRATEGIES[pricingStrategy]) {
+      return { error: `Pricing strategy must be one of: ${Object.keys(PRICING_STRATEGIES).join(', ')}` };
+    }
+
+    let target = route.targetLoadFactor;
+    if (pricingStrategy === 'target_load_factor') {
+      target = targetLoadFactor === undefined || targetLoadFactor === null || targetLoadFactor === ''
+        ? (route.targetLoadFactor || DEFAULT_TARGET_LOAD_FACTOR)
+        : parseInt(targetLoadFactor, 10);
+      if (!Number.isInteger(target) || target < MIN_TARGET_LOAD_FACTOR || target > MAX_TARGET_LOAD_FACTOR) {
+        return { error: `Target load factor must be between ${MIN_TARGET_LOAD_FACTOR}% and ${MAX_TARGET_LOAD_FACTOR}%` };
+      }
+    }
+
+    await route.update({ pricingStrategy, targetLoadFactor: target });
+    return { route };
+  }
+
+  /**
+   * Replace the fare buckets of one or more cabins on a route
+   * An empty list returns the cabin to a single fare
+   *
+   * @param {Object} route - Route instance
+   * @param {Object} buckets - { cabin: [{ bucketCode, fareMultiplier, seatShare }] }
+   * @returns {Promise<Object>} - { fareBuckets } or { error }
+   */
+  async setFareBuckets(route, buckets) {
+    if (!buckets || typeof buckets !== 'object') {
+      return { error: 'Fare buckets are required' };
+    }
+
+    const rows = [];
+    const cabins = Object.keys(buckets);
+    for (const cabin of cabins) {
+      if (!CABINS.includes(cabin)) {
+        return { error: `Unknown cabin: ${cabin}` };
+      }
+
+      const list = buckets[cabin];
+      if (!Array.isArray(list)) {
+        return { error: `Fare buckets for ${cabin} must be a list` };
+      }
+      if (list.length === 0) continue;
+      if (list.length < 2 || list.length > MAX_BUCKETS_PER_CABIN) {
+        return { error: `A cabin needs between 2 and ${MAX_BUCKETS_PER_CABIN} fare buckets (or none for a single fare)` };
+      }
+
+      const codes = new Set();
+      let totalShare = 0;
+      for (const bucket of list) {
+        const bucketCode = String(bucket.bucketCode || '').trim().toUpperCase();
+        const fareMultiplier = Number(bucket.fareMultiplier);
+        const seatShare = Number(bucket.seatShare);
+
+        if (!/^[A-Z][0-9]?$/.test(bucketCode) || codes.has(bucketCode)) {
+          return { error: `Each ${cabin} bucket needs its own booking class letter` };
+        }
+        if (!(fareMultiplier >= MIN_BUCKET_MULTIPLIER && fareMultiplier <= MAX_BUCKET_MULTIPLIER)) {
+          return { error: `Bucket fares must be between ${MIN_BUCKET_MULTIPLIER}x and ${MAX_BUCKET_MULTIPLIER}x the cabin fare` };
+        }
+        if (!(seatShare > 0 && seatShare <= 1)) {
+          return { error: 'Each bucket must be allocated part of the cabin' };
+        }
+
+        codes.add(bucketCode);
+        totalShare += seatShare;
+        rows.push({
+          routeId: route.id,
+          cabin,
+          bucketCode,
+          fareMultiplier: Math.round(fareMultiplier * 100) / 100,
+          seatShare: Math.round(seatShare * 1000) / 1000
+        });
+      }
+
+      if (Math.abs(totalShare - 1) > 0.005) {
+        return { error: `Seat allocations in ${cabin} must add up to 100%` };
+      }
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await RouteFareBucket.destroy({
+        where: { routeId: route.id, cabin: cabins },
+        transaction
+      });
+      if (rows.length > 0) {
+        await RouteFareBucket.bulkCreate(rows, { transaction });
+      }
+    });
+
+    return { fareBuckets: await flightRevenueService.getFareBuckets(route.id) || {} };
+  }
+
+  /**
+   * Average load factor of a route's round trips completed in the last game week
+   *
+   * @param {string} routeId - Route UUID
+   * @param {Date} gameTime - Current game time
+   * @returns {Promise<number|null>} - Load factor %, or null if nothing flew
+   */
+  async getRecentLoadFactor(routeId, gameTime) {
+    const from = new Date(gameTime.getTime() - 7 * DAY_MS).toISOString().split('T')[0];
+    const flights = await ScheduledFlight.findAll({
+      where: {
+        routeId,
+        status: 'completed',
+        scheduledDate: { [Op.gte]: from }
+      },
+      attributes: ['loadFactor']
+    });
+    if (flights.length === 0) return null;
+
+    return flights.reduce((sum, f) => sum + (parseFloat(f.loadFactor) || 0), 0) / flights.length;
+  }
+
+  /**
+   * Route fields previewLoad needs, with every fare scaled by a multiplier
+   * @private
+   */
+  toPreviewRoute(route, multiplier) {
+    const prices = flightRevenueService.getCabinPrices(route);
+    const preview = {
+      id: route.id,
+      departureAirportId: route.departureAirportId,
+      arrivalAirportId: route.arrivalAirportId,
+      distance: route.distance,
+      scheduledDepartureTime: route.scheduledDepartureTime,
+      turnaroundTime: route.turnaroundTime,
+      daysOfWeek: route.daysOfWeek,
+      transportType: route.transportType
+    };
+    for (const cabin of CABINS) {
+      preview[CABIN_PRICE_FIELDS[cabin]] = Math.round(prices[cabin] * multiplier);
+    }
+    return preview;
+  }
+
+  /**
+   * Fare multiplier a route's strategy asks for this week
+   *
+   * @param {Object} route - Route with membership and assigned aircraft (with type) loaded
+   * @param {string} worldId - World UUID
+   * @param {Date} gameTime - Current game time
+   * @returns {Promise<number>} - 1 leaves fares alone
+   */
+  async chooseFareMultiplier(route, worldId, gameTime) {
+    const economyFare = flightRevenueService.getCabinPrices(route).economy;
+
+    if (route.pricingStrategy === 'target_load_factor') {
+      const loadFactor = await this.getRecentLoadFactor(route.id, gameTime);
+      const target = route.targetLoadFactor || DEFAULT_TARGET_LOAD_FACTOR;
+      if (loadFactor === null || Math.abs(loadFactor - target) <= TARGET_TOLERANCE) return 1;
+
+      // Move half the relative gap each week: fuller than target raises fares, emptier cuts them
+      const change = (loadFactor - target) / target / 2;
+      return 1 + Math.max(-MAX_WEEKLY_FARE_CHANGE, Math.min(MAX_WEEKLY_FARE_CHANGE, change));
+    }
+
+    if (route.pricingStrategy === 'match_competitor') {
+      const market = await marketShareService.getMarket(worldId, route.departureAirportId, route.arrivalAirportId, gameTime);
+      const rivals = market.carriers.filter(c => c.worldMembershipId !== route.worldMembershipId && c.prices.economy > 0);
+      if (rivals.length === 0 || !(economyFare > 0)) return 1;
+
+      const rivalFare = rivals.reduce((sum, c) => sum + c.prices.economy, 0) / rivals.length;
+      const change = rivalFare / economyFare - 1;
+      return 1 + Math.max(-MAX_WEEKLY_FARE_CHANGE, Math.min(MAX_WEEKLY_FARE_CHANGE, change));
+    }
+
+    // The maximising strategies try a few fares against the demand model
+    if (!route.assignedAircraft?.aircraft) return 1;
+
+    const results = [];
+    for (const change of CANDIDATE_FARE_CHANGES) {
+      const preview = await flightRevenueService.previewLoad({
+        worldId,
+        membership: route.membership,
+        route: this.toPreviewRoute(route, 1 + change),
+        aircraft: route.assignedAircraft,
+        gameTime
+      });
+      results.push({ multiplier: 1 + change, revenue: preview.revenuePerRotation, loadFactor: preview.loadFactor || 0 });
+    }
+
+    if (route.pricingStrategy === 'maximise_revenue') {
+      const best = results.reduce((a, b) => (b.revenue > a.revenue ? b : a));
+      return best.revenue > results.find(r => r.multiplier === 1).revenue ? best.multiplier : 1;
+    }
+
+    // Fill the aircraft at the highest fare that still fills it
+    const bestLoad = Math.max(...results.map(r => r.loadFactor));
+    const filling = results.filter(r => r.loadFactor >= bestLoad - 0.5);
+    return Math.max(...filling.map(r => r.multiplier));
+  }
+
+  /**
+   * Scale a route's fares, keeping each cabin within the market band
+   *
+   * @param {Object} route - Route instance
+   * @param {number} multiplier - Fare multiplier
+   * @param {number} year - Game year
+   * @returns {Promise<Object|null>} - New fares per cabin, or null if nothing changed
+   */
+  async applyFareMultiplier(route, multiplier, year) {
+    const prices = flightRevenueService.getCabinPrices(route);
+    const marketPrices = flightRevenueService.getMarketPrices(parseFloat(route.distance) || 0, year);
+
+    const updates = {};
+    for (const cabin of CABINS) {
+      if (!(prices[cabin] > 0)) continue;
+      const floor = marketPrices[cabin] * MIN_MARKET_RATIO;
+      const ceiling = marketPrices[cabin] * MAX_MARKET_RATIO;
+      const fare = Math.round(Math.max(floor, Math.min(ceiling, prices[cabin] * multiplier)));
+      if (fare !== Math.round(prices[cabin])) {
+        updates[CABIN_PRICE_FIELDS[cabin]] = fare;
+      }
+    }
+    if (Object.keys(updates).length === 0) return null;
+
+    if (updates.economyPrice) {
+      updates.ticketPrice = updates.economyPrice;
+    }
+    await route.update(updates);
+    return updates;
+  }
+
+  /**
+   * Weekly repricing: apply every automatic strategy in a world
+   *
+   * @param {string} worldId - World UUID
+   * @param {Date} gameTime - Current game time
+   */
+  async processWeekly(worldId, gameTime) {
+    const routes = await Route.findAll({
+      where: {
+        isActive: true,
+        pricingStrategy: { [Op.ne]: 'manual' },
+        transportType: { [Op.ne]: 'cargo_only' }
+      },
+      include: [
+        {
+          model: WorldMembership,
+          as: 'membership',
+          where: { worldId, isActive: true },
+          attributes: ['id', 'airlineName', 'airlineCode', 'reputation']
+        },
+        {
+          model: UserAircraft,
+          as: 'assignedAircraft',
+          required: false,
+          include: [{ model: Aircraft, as: 'aircraft' }]
+        }
+      ]
+    });
+
+    for (const route of routes) {
+      try {
+        const multiplier = await this.chooseFareMultiplier(route, worldId, gameTime);
+        if (multiplier !== 1) {
+          await this.applyFareMultiplier(route, multiplier, gameTime.getFullYear());
+        }
+      } catch (error) {
+        console.error(`Error repricing route ${route.routeNumber}:`, error.message);
+      }
+    }
+  }
+}
+
+// Singleton instance
+const revenueManagementService = new RevenueManagementService();
+
+module.exports = revenueManagementService;
@@ -1,5 +1,41 @@
 const { AirportRouteDemand, Airport } = require('../models');
 
+// Demand by month (January-December): business travel dips in the summer and at Christmas,
+// leisure peaks in the summer holidays and over Christmas and New Year
+const MONTHLY_SEASONALITY = {
+  business: [0.95, 1.0, 1.05, 1.05, 1.05, 1.0, 0.85, 0.8, 1.05, 1.1, 1.05, 0.9],
+  leisure: [0.8, 0.8, 0.9, 1.0, 1.0, 1.2, 1.35, 1.35, 1.05, 0.9, 0.8, 1.1],
+  mixed: [0.9, 0.9, 0.98, 1.02, 1.02, 1.1, 1.1, 1.08, 1.05, 1.0, 0.9, 1.0],
+  regional: [0.95, 0.95, 1.0, 1.0, 1.0, 1.05, 1.05, 1.0, 1.0, 1.0, 0.95, 1.05]
+};
+
+// Demand by day of the week (Sunday-Saturday): business travellers fly Monday to Friday,
+// leisure travellers at the weekend
+const WEEKDAY_FACTORS = {
+  business: [0.75, 1.15, 1.1, 1.05, 1.1, 1.1, 0.6],
+  leisure: [1.15, 0.85, 0.8, 0.85, 0.95, 1.25, 1.15],
+  mixed: [0.95, 1.0, 0.95, 0.95, 1.05, 1.15, 0.9],
+  regional: [0.8, 1.1, 1.05, 1.05, 1.05, 1.1, 0.7]
+};
+
+// Demand by local departure hour (0-23): business travellers want the early morning and
+// evening banks, leisure travellers a civilised hour in the middle of the day
+const DEPARTURE_HOUR_DEMAND = {
+  business: [
+    0.2, 0.15, 0.15, 0.15, 0.2, 0.5, 0.95, 1.15, 1.15, 1.05, 0.95, 0.85,
+    0.8, 0.8, 0.85, 0.95, 1.05, 1.15, 1.15, 1.0, 0.8, 0.6, 0.4, 0.3
+  ],
+  leisure: [
+    0.35, 0.3, 0.3, 0.3, 0.4, 0.6, 0.85, 1.0, 1.05, 1.1, 1.1, 1.1,
+    1.1, 1.05, 1.05, 1.0, 1.0, 0.95, 0.9, 0.85, 0.75, 0.65, 0.5, 0.4
+  ],
+  mixed: [
+    0.3, 0.25, 0.25, 0.25, 0.3, 0.55, 0.9, 1.1, 1.1, 1.05, 1.0, 0.95,
+    0.95, 0.95, 0.95, 1.0, 1.05, 1.1, 1.05, 0.95, 0.8, 0.65, 0.45, 0.35
+  ]
+};
+DEPARTURE_HOUR_DEMAND.regional = DEPARTURE_HOUR_DEMAND.business;
+
 /**
  * Route Demand Service
  * Manages comprehensive seeded demand database
@@ -13,9 +49,10 @@ class RouteDemandService {
    * @param {string} fromAirportId - Origin airport UUID
    * @param {string} toAirportId - Destination airport UUID
    * @param {number} year - Current year for era multiplier
-   * @returns {Promise<Object>} - Demand data
+   * @param {Object} [when] - Departure to price demand for: { date, departureTime, daysOfWeek } (see getTimeFactors)
+   * @returns {Promise<Object>} - Demand data (eraDemand before the time factors, factors when a departure is given)
    */
-  async getRouteDemand(fromAirportId, toAirportId, year) {
+  async getRouteDemand(fromAirportId, toAirportId, year, when = null) {
     // Look up seeded demand
     const demand = await AirportRouteDemand.findOne({
       where: {
@@ -30,20 +67,92 @@ class RouteDemandService {
         demandCategory: 'very_low',
         routeType: 'unknown',
         confidence: 'no_data',
-        baseDemand: 0
+        baseDemand: 0,
+        eraDemand: 0
       };
     }
 
     // Apply era multiplier to base demand
     const eraMultiplier = this.getEraDemandMultiplier(year);
-    const adjustedDemand = Math.round(demand.baseDemand * eraMultiplier);
+    const eraDemand = Math.min(100, Math.round(demand.baseDemand * eraMultiplier));
 
-    return {
-      demand: Math.min(100, adjustedDemand),
+    return this.applyTimeFactors({
+      demand: eraDemand,
       demandCategory: demand.demandCategory,
       routeType: demand.routeType,
       confidence: 'seeded',
-      baseDemand: demand.baseDemand
+      baseDemand: demand.baseDemand,
+      eraDemand
+    }, when);
+  }
+
+  /**
+   * Get demand on both legs of a round trip
+   * A pair with no seeded demand on the way back is assumed to mirror the outbound
+   *
+   * @param {string} fromAirportId - Origin airport UUID
+   * @param {string} toAirportId - Destination airport UUID
+   * @param {number} year - Current year for era multiplier
+   * @param {Object} [outboundWhen] - Outbound departure (see getTimeFactors)
+   * @param {Object} [returnWhen] - Return departure
+   * @returns {Promise<{outbound: Object, return: Object}>}
+   */
+  async getRoundTripDemand(fromAirportId, toAirportId, year, outboundWhen = null, returnWhen = null) {
+    const outbound = await this.getRouteDemand(fromAirportId, toAirportId, year, outboundWhen);
+    let inbound = await this.getRouteDemand(toAirportId, fromAirportId, year, returnWhen);
+    if (inbound.confidence === 'no_data') {
+      const { factors, ...mirrored } = outbound;
+      inbound = this.applyTimeFactors({ ...mirrored, demand: mirrored.eraDemand }, returnWhen);
+    }
+    return { outbound, return: inbound };
+  }
+
+  /**
+   * Scale an era-adjusted demand result to a departure time
+   * @private
+   */
+  applyTimeFactors(result, when) {
+    if (!when || result.confidence === 'no_data') return result;
+
+    const factors = this.getTimeFactors(result.routeType, when);
+    return {
+      ...result,
+      factors,
+      demand: Math.round(result.eraDemand * factors.combined * 10) / 10
+    };
+  }
+
+  /**
+   * How strongly travellers on a route want to fly at a given time
+   * Cargo pairs are flat: freight isn't fussy about when it moves
+   *
+   * @param {string} routeType - Demand route type
+   * @param {Object} when
+   * @param {Date|string} when.date - Departure date (month and day of week)
+   * @param {string} [when.departureTime] - Local departure time 'HH:MM'
+   * @param {number[]} [when.daysOfWeek] - Days flown (0=Sunday); averages the weekday factor instead of using the date's
+   * @returns {Object} - { season, weekday, departureTime, combined }
+   */
+  getTimeFactors(routeType, { date, departureTime = null, daysOfWeek = null }) {
+    const type = MONTHLY_SEASONALITY[routeType] ? routeType : (routeType === 'cargo' ? null : 'mixed');
+    if (!type) {
+      return { season: 1, weekday: 1, departureTime: 1, combined: 1 };
+    }
+
+    const day = typeof date === 'string' ? new Date(`${date}T12:00:00`) : date;
+    const season = MONTHLY_SEASONALITY[type][day.getMonth()];
+
+    const days = Array.isArray(daysOfWeek) && daysOfWeek.length > 0 ? daysOfWeek : [day.getDay()];
+    const weekday = days.reduce((sum, d) => sum + WEEKDAY_FACTORS[type][((d % 7) + 7) % 7], 0) / days.length;
+
+    const hour = parseInt(String(departureTime || '').split(':')[0]);
+    const timeFactor = Number.isInteger(hour) ? DEPARTURE_HOUR_DEMAND[type][((hour % 24) + 24) % 24] : 1;
+
+    return {
+      season,
+      weekday: Math.round(weekday * 1000) / 1000,
+      departureTime: timeFactor,
+      combined: Math.round(season * weekday * timeFactor * 1000) / 1000
     };
   }
 
@@ -0,0 +1,855 @@
+const { Op } = require('sequelize');
+const sequelize = require('../config/database');
+const { Airport, AirportSlot, SlotListing, SlotBid, WorldMembership, Route, Notification, LedgerEntry } = require('../models');
+const airportGrowthService = require('./airportGrowthService');
+const airportSlotService = require('./airportSlotService');
+const eraEconomicService = require('./eraEconomicService');
+const ledgerService = require('./ledgerService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+// Reserve price of one slot series by airport type (2024 USD, scaled by era)
+const RESERVE_PRICE_PER_SLOT = {
+  'International Hub': 2000000,
+  'Major': 750000,
+  'Regional': 150000,
+  'Small Regional': 40000
+};
+
+// Released slots start bidding at this share of the full reserve price
+const RELEASE_RESERVE_SHARE = 0.5;
+
+// How long bidding stays open (game days)
+const RELEASE_BIDDING_DAYS = 3;
+const AUCTION_BIDDING_DAYS = 14;
+
+// A new bid must beat the highest by at least this share
+const MIN_BID_INCREMENT = 0.05;
+
+// Capacity from a milestone goes to auction when the milestone is this close (game years)
+const AUCTION_LEAD_YEARS = 1;
+
+// Most slots one milestone puts up for auction (spread over the busiest hours)
+const MAX_LOTS_PER_AUCTION = 12;
+
+// Hour utilisation (%) at which an airline's existing use becomes slots it holds
+const HISTORIC_RIGHTS_UTILISATION = 90;
+
+// Lease lengths a holder can offer (game weeks)
+const LEASE_TERMS = { minWeeks: 4, maxWeeks: 104 };
+
+/**
+ * Format a Date as YYYY-MM-DD in server local time
+ */
+function formatLocalDate(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Round a price to the cent
+ */
+function roundMoney(amount) {
+  return Math.round(Number(amount) * 100) / 100;
+}
+
+/**
+ * Slot Market Service
+ * Slots held at congested airports are assets of their airline: they can be sold or
+ * leased to other airlines, are released for bidding when an airline stops serving the
+ * airport or goes bankrupt, and new capacity from infrastructure milestones is auctioned
+ */
+class SlotMarketService {
+
+  /**
+   * Reserve price of one slot series at an airport
+   *
+   * @param {Object} airport - Airport instance
+   * @param {number} year - Game year
+   * @returns {number}
+   */
+  getReservePrice(airport, year) {
+    const price2024 = RESERVE_PRICE_PER_SLOT[airport?.type] || RESERVE_PRICE_PER_SLOT.Regional;
+    return eraEconomicService.convertToEraPrice(price2024, year);
+  }
+
+  /**
+   * Lowest acceptable bid on a listing
+   *
+   * @param {Object} listing - SlotListing instance
+   * @param {number|null} highestBid
+   * @returns {number}
+   */
+  getMinimumBid(listing, highestBid) {
+    const reserve = parseFloat(listing.price);
+    if (highestBid == null) return reserve;
+    return roundMoney(Math.max(reserve, highestBid * (1 + MIN_BID_INCREMENT)));
+  }
+
+  /**
+   * Slots an airline holds or leases, its open listings and its bids
+   *
+   * @param {Object} membership - WorldMembership instance
+   * @returns {Promise<Object>} - { holdings, leasedIn, listings, bids }
+   */
+  async getAirlineSlots(membership) {
+    const airportAttributes = ['id', 'icaoCode', 'iataCode', 'name', 'city', 'country', 'type'];
+
+    const [holdings, leasedIn, listings, bids] = await Promise.all([
+      AirportSlot.findAll({
+        where: { worldMembershipId: membership.id },
+        include: [
+          { model: Airport, as: 'airport', attributes: airportAttributes },
+          { model: WorldMembership, as: 'lessee', attributes: ['id', 'airlineName', 'airlineCode'] }
+        ],
+        order: [['airportId', 'ASC'], ['hour', 'ASC']]
+      }),
+      AirportSlot.findAll({
+        where: { lesseeMembershipId: membership.id },
+        include: [
+          { model: Airport, as: 'airport', attributes: airportAttributes },
+          { model: WorldMembership, as: 'holder', attributes: ['id', 'airlineName', 'airlineCode'] }
+        ],
+        order: [['leaseEndsAt', 'ASC']]
+      }),
+      SlotListing.findAll({
+        where: { sellerMembershipId: membership.id, status: 'open' },
+        include: [{ model: Airport, as: 'airport', attributes: airportAttributes }],
+        order: [['listedAt', 'DESC']]
+      }),
+      SlotBid.findAll({
+        where: { worldMembershipId: membership.id },
+        include: [{
+          model: SlotListing,
+          as: 'listing',
+          where: { status: 'open' },
+          include: [{ model: Airport, as: 'airport', attributes: airportAttributes }]
+        }],
+        order: [['placedAt', 'DESC']]
+      })
+    ]);
+
+    return { holdings, leasedIn, listings, bids };
+  }
+
+  /**
+   * Open listings in a world, with the highest bid on each
+   *
+   * @param {string} worldId - World UUID
+   * @param {Object} [filters]
+   * @param {string} [filters.airportId]
+   * @param {string} [filters.listingType]
+   * @returns {Promise<Array<Object>>}
+   */
+  async getOpenListings(worldId, { airportId = null, listingType = null } = {}) {
+    const where = { worldId, status: 'open' };
+    if (airportId) where.airportId = airportId;
+    if (listingType) where.listingType = listingType;
+
+    const listings = await SlotListing.findAll({
+      where,
+      include: [
+        { model: Airport, as: 'airport', attributes: ['id', 'icaoCode', 'iataCode', 'name', 'city', 'country', 'type'] },
+        { model: WorldMembership, as: 'seller', attributes: ['id', 'airlineName', 'airlineCode'] },
+        { model: AirportSlot, as: 'slot', attributes: ['id', 'validFrom'] },
+        { model: SlotBid, as: 'bids', attributes: ['amount', 'worldMembershipId'] }
+      ],
+      order: [['closesAt', 'ASC'], ['listedAt', 'DESC']]
+    });
+
+    return listings.map(listing => {
+      const { bids, ...values } = listing.toJSON();
+      const highestBid = bids.length > 0 ? Math.max(...bids.map(b => parseFloat(b.amount))) : null;
+      return {
+        ...values,
+        bidCount: bids.length,
+        highestBid,
+        minimumBid: ['release', 'auction'].includes(listing.listingType) ? this.getMinimumBid(listing, highestBid) : null
+      };
+    });
+  }
+
+  /**
+   * Offer a held slot for sale or lease
+   *
+   * @param {Object} membership - WorldMembership instance
+   * @param {Object} slot - AirportSlot instance
+   * @param {Object} terms
+   * @param {string} terms.listingType - 'sale' | 'lease'
+   * @param {number} terms.price - Sale price, or weekly rate for a lease
+   * @param {number} [terms.leaseWeeks] - Lease length (leases only)
+   * @param {Date} gameTime - Current game time
+   * @returns {Promise<Object>} - { listing } or { error }
+   */
+  async listSlot(membership, slot, { listingType, price, leaseWeeks }, gameTime) {
+    if (slot.worldMembershipId !== membership.id) {
+      return { error: 'You do not hold this slot' };
+    }
+    if (!['sale', 'lease'].includes(listingType)) {
+      return { error: 'Listing type must be sale or lease' };
+    }
+    if (slot.lesseeMembershipId) {
+      return { error: 'Slot is leased to another airline' };
+    }
+
+    const amount = roundMoney(price);
+    if (!(amount > 0)) {
+      return { error: 'Price must be positive' };
+    }
+
+    const weeks = parseInt(leaseWeeks);
+    if (listingType === 'lease' && !(weeks >= LEASE_TERMS.minWeeks && weeks <= LEASE_TERMS.maxWeeks)) {
+      return { error: `Lease must run for ${LEASE_TERMS.minWeeks} to ${LEASE_TERMS.maxWeeks} weeks` };
+    }
+
+    const existing = await SlotListing.count({ where: { airportSlotId: slot.id, status: 'open' } });
+    if (existing > 0) {
+      return { error: 'Slot is already listed' };
+    }
+
+    const listing = await SlotListing.create({
+      worldId: slot.worldId,
+      airportSlotId: slot.id,
+      airportId: slot.airportId,
+      hour: slot.hour,
+      listingType,
+      sellerMembershipId: membership.id,
+      price: amount,
+      leaseWeeks: listingType === 'lease' ? weeks : null,
+      listedAt: gameTime
+    });
+
+    return { listing };
+  }
+
+  /**
+   * Withdraw a sale or lease listing
+   *
+   * @param {Object} membership - WorldMembership instance
+   * @param {Object} listing - SlotListing instance
+   * @returns {Promise<Object>} - { listing } or { error }
+   */
+  async cancelListing(membership, listing) {
+    if (listing.sellerMembershipId !== membership.id) {
+      return { error: 'Listing not found' };
+    }
+    if (listing.status !== 'open') {
+      return { error: 'Listing is no longer open' };
+    }
+
+    await listing.update({ status: 'cancelled' });
+    return { listing };
+  }
+
+  /**
+   * Buy or lease a slot listed by another airline
+   * A sale transfers the slot; a lease lets the buyer use it until the lease ends,
+   * with rent taken weekly by the world tick
+   *
+   * @param {Object} membership - WorldMembership instance of the buyer
+   * @param {Object} listing - SlotListing instance
+   * @param {Date} gameTime - Current game time
+   * @returns {Promise<Object>} - { listing, slot } or { error }
+   */
+  async buyListing(membership, listing, gameTime) {
+    if (listing.status !== 'open' || !['sale', 'lease'].includes(listing.listingType)) {
+      return { error: 'Listing is not for sale or lease' };
+    }
+    if (listing.sellerMembershipId === membership.id) {
+      return { error: 'You cannot buy your own slot' };
+    }
+
+    const slot = await AirportSlot.findByPk(listing.airportSlotId, {
+      include: [{ model: Airport, as: 'airport', attributes: ['id', 'icaoCode', 'name'] }]
+    });
+    if (!slot || slot.worldMembershipId !== listing.sellerMembershipId || slot.lesseeMembershipId) {
+      return { error: 'Slot is no longer available' };
+    }
+
+    const price = parseFloat(listing.price);
+    const balance = parseFloat(membership.balance) || 0;
+    if (balance < price) {
+      return {
+        error: 'Insufficient funds',
+        required: price,
+        available: balance
+      };
+    }
+
+    const label = `${slot.airport.icaoCode} ${String(slot.hour).padStart(2, '0')}:00 slot`;
+
+    // The checks above are repeated here against locked rows, so two buyers can't both win
+    // the listing and the seller can't part with the slot some other way in between
+    const result = await sequelize.transaction(async (transaction) => {
+      const lockedSlot = await AirportSlot.findByPk(slot.id, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!lockedSlot || lockedSlot.worldMembershipId !== listing.sellerMembershipId || lockedSlot.lesseeMembershipId) {
+        return { error: 'Slot is no longer available' };
+      }
+
+      const buyer = await WorldMembership.findByPk(membership.id, { attributes: ['id', 'balance'], transaction, lock: transaction.LOCK.UPDATE });
+      const available = parseFloat(buyer.balance) || 0;
+      if (available < price) {
+        return { error: 'Insufficient funds', required: price, available };
+      }
+
+      const [claimed] = await SlotListing.update({
+        status: 'completed',
+        buyerMembershipId: membership.id,
+        finalPrice: price,
+        completedAt: gameTime
+      }, { where: { id: listing.id, status: 'open' }, transaction });
+      if (claimed === 0) {
+        return { error: 'Listing is no longer open' };
+      }
+
+      if (listing.listingType === 'sale') {
+        await ledgerService.post({
+          worldMembershipId: membership.id,
+          category: 'slotFees',
+          amount: -price,
+          gameTime,
+          description: `Purchase of ${label}`,
+          referenceType: 'slot_listing',
+          referenceId: listing.id
+        }, { transaction });
+
+        await ledgerService.post({
+          worldMembershipId: listing.sellerMembershipId,
+          category: 'slotIncome',
+          amount: price,
+          gameTime,
+          description: `Sale of ${label}`,
+          referenceType: 'slot_listing',
+          referenceId: listing.id
+        }, { transaction });
+
+        await lockedSlot.update({
+          worldMembershipId: membership.id,
+          acquisitionPrice: price,
+          acquiredAt: gameTime
+        }, { transaction });
+      } else {
+        await lockedSlot.update({
+          lesseeMembershipId: membership.id,
+          leaseWeeklyRate: price,
+          leaseEndsAt: new Date(gameTime.getTime() + listing.leaseWeeks * WEEK_MS)
+        }, { transaction });
+      }
+
+      return {};
+    });
+    if (result.error) {
+      return result;
+    }
+
+    await Promise.all([listing.reload(), slot.reload()]);
+
+    await Notification.create({
+      worldMembershipId: listing.sellerMembershipId,
+      type: listing.listingType === 'sale' ? 'slot_sold' : 'slot_leased',
+      icon: 'dollar',
+      title: listing.listingType === 'sale' ? 'Slot Sold' : 'Slot Leased',
+      message: listing.listingType === 'sale'
+        ? `${membership.airlineName} bought your ${label} for $${Math.round(price).toLocaleString()}.`
+        : `${membership.airlineName} leased your ${label} for ${listing.leaseWeeks} weeks at $${Math.round(price).toLocaleString()} a week.`,
+      link: '/routes',
+      priority: 3,
+      gameTime
+    });
+
+    return { listing, slot };
+  }
+
+  /**
+   * Bid on a released or auctioned slot, or raise an earlier bid
+   * Bids aren't paid until the listing closes, but the airline must be able to cover them
+   *
+   * @param {Object} membership - WorldMembership instance
+   * @param {Object} listing - SlotListing instance
+   * @param {number} amount - Bid
+   * @param {Date} gameTime - Current game time
+   * @returns {Promise<Object>} - { bid, minimumBid } or { error }
+   */
+  async placeBid(membership, listing, amount, gameTime) {
+    if (listing.status !== 'open' || !['release', 'auction'].includes(listing.listingType)) {
+      return { error: 'Listing is not open for bidding' };
+    }
+    if (listing.closesAt && new Date(listing.closesAt) <= gameTime) {
+      return { error: 'Bidding has closed' };
+    }
+
+    const bids = await SlotBid.findAll({
+      where: { slotListingId: listing.id },
+      order: [['amount', 'DESC']]
+    });
+    const topBid = bids[0] || null;
+    const highestBid = topBid ? parseFloat(topBid.amount) : null;
+
+    if (topBid && topBid.worldMembershipId === membership.id) {
+      return { error: 'You already hold the highest bid' };
+    }
+
+    const bidAmount = roundMoney(amount);
+    const minimumBid = this.getMinimumBid(listing, highestBid);
+    if (!(bidAmount >= minimumBid)) {
+      return { error: `Bid must be at least $${Math.ceil(minimumBid).toLocaleString()}`, minimumBid };
+    }
+
+    const balance = parseFloat(membership.balance) || 0;
+    if (balance < bidAmount) {
+      return { error: 'Insufficient funds', required: bidAmount, available: balance };
+    }
+
+    let bid = bids.find(b => b.worldMembershipId === membership.id);
+    if (bid) {
+      await bid.update({ amount: bidAmount, placedAt: gameTime });
+    } else {
+      bid = await SlotBid.create({
+        slotListingId: listing.id,
+        worldMembershipId: membership.id,
+        amount: bidAmount,
+        placedAt: gameTime
+      });
+    }
+
+    if (topBid) {
+      const airport = await Airport.findByPk(listing.airportId, { attributes: ['icaoCode'] });
+      await Notification.create({
+        worldMembershipId: topBid.worldMembershipId,
+        type: 'slot_outbid',
+        icon: 'alert',
+        title: 'Outbid on Slot',
+        message: `Your bid for the ${airport.icaoCode} ${String(listing.hour).padStart(2, '0')}:00 slot has been beaten ($${Math.round(bidAmount).toLocaleString()}).`,
+        link: '/routes',
+        priority: 3,
+        gameTime
+      });
+    }
+
+    return { bid, minimumBid: this.getMinimumBid(listing, bidAmount) };
+  }
+
+  /**
+   * Take a slot from its holder and open bidding on it
+   * @private
+   */
+  async releaseSlot(slot, gameTime, transaction) {
+    const airport = await Airport.findByPk(slot.airportId, { transaction });
+
+    await SlotListing.update(
+      { status: 'cancelled' },
+      { where: { airportSlotId: slot.id, status: 'open' }, transaction }
+    );
+
+    await slot.update({
+      worldMembershipId: null,
+      lesseeMembershipId: null,
+      leaseWeeklyRate: null,
+      leaseEndsAt: null
+    }, { transaction });
+
+    return SlotListing.create({
+      worldId: slot.worldId,
+      airportSlotId: slot.id,
+      airportId: slot.airportId,
+      hour: slot.hour,
+      listingType: 'release',
+      price: roundMoney(this.getReservePrice(airport, gameTime.getFullYear()) * RELEASE_RESERVE_SHARE),
+      listedAt: gameTime,
+      closesAt: new Date(gameTime.getTime() + RELEASE_BIDDING_DAYS * DAY_MS)
+    }, { transaction });
+  }
+
+  /**
+   * Release slots an airline holds at airports it no longer serves
+   * Called after routes are deleted; slots leased out to other airlines are kept
+   *
+   * @param {Object} membership - WorldMembership instance
+   * @param {Date} gameTime - Current game time
+   * @returns {Promise<number>} - Slots released
+   */
+  async releaseUnusedSlots(membership, gameTime) {
+    const routes = await Route.findAll({
+      where: { worldMembershipId: membership.id },
+      attributes: ['departureAirportId', 'arrivalAirportId', 'techStopAirportId']
+    });
+    const served = new Set(routes.flatMap(r => [r.departureAirportId, r.arrivalAirportId, r.techStopAirportId]).filter(Boolean));
+
+    const slots = await AirportSlot.findAll({
+      where: {
+        worldMembershipId: membership.id,
+        lesseeMembershipId: null,
+        ...(served.size > 0 ? { airportId: { [Op.notIn]: [...served] } } : {})
+      }
+    });
+
+    for (const slot of slots) {
+      await sequelize.transaction(transaction => this.releaseSlot(slot, gameTime, transaction));
+    }
+
+    return slots.length;
+  }
+
+  /**
+   * Release every slot of an airline leaving the world and withdraw it from the market
+   *
+   * @param {string} worldMembershipId
+   * @param {Date} gameTime - Current game time
+   * @param {Object} [options] - { transaction }
+   */
+  async releaseAirlineSlots(worldMembershipId, gameTime, options = {}) {
+    const { transaction } = options;
+
+    await SlotBid.destroy({ where: { worldMembershipId }, transaction });
+    await SlotListing.update(
+      { status: 'cancelled' },
+      { where: { sellerMembershipId: worldMembershipId, status: 'open' }, transaction }
+    );
+    await SlotListing.update({ sellerMembershipId: null }, { where: { sellerMembershipId: worldMembershipId }, transaction });
+    await SlotListing.update({ buyerMembershipId: null }, { where: { buyerMembershipId: worldMembershipId }, transaction });
+
+    // Slots it was leasing go straight back to their holders
+    await AirportSlot.update(
+      { lesseeMembershipId: null, leaseWeeklyRate: null, leaseEndsAt: null },
+      { where: { lesseeMembershipId: worldMembershipId }, transaction }
+    );
+
+    const slots = await AirportSlot.findAll({ where: { worldMembershipId }, transaction });
+    for (const slot of slots) {
+      await this.releaseSlot(slot, gameTime, transaction);
+    }
+  }
+
+  /**
+   * Award a closed listing to its highest bidder who can still pay
+   * Slots nobody wins are withdrawn, returning their capacity to the airport
+   * @private
+   */
+  async settleListing(listing, gameTime) {
+    const bids = await SlotBid.findAll({
+      where: { slotListingId: listing.id },
+      include: [{ model: WorldMembership, as: 'bidder', attributes: ['id', 'balance', 'isActive'] }],
+      order: [['amount', 'DESC'], ['placedAt', 'ASC']]
+    });
+    const airport = await Airport.findByPk(listing.airportId, { attributes: ['icaoCode'] });
+    const label = `${airport.icaoCode} ${String(listing.hour).padStart(2, '0')}:00 slot`;
+
+    const winner = bids.find(bid => bid.bidder?.isActive !== false && parseFloat(bid.bidder?.balance) >= parseFloat(bid.amount));
+
+    await sequelize.transaction(async (transaction) => {
+      if (winner) {
+        const amount = parseFloat(winner.amount);
+        await ledgerService.post({
+          worldMembershipId: winner.worldMembershipId,
+          category: 'slotFees',
+          amount: -amount,
+          gameTime,
+          description: `${listing.listingType === 'auction' ? 'Auction' : 'Bid'} for ${label}`,
+          referenceType: 'slot_listing',
+          referenceId: listing.id
+        }, { transaction });
+
+        await AirportSlot.update({
+          worldMembershipId: winner.worldMembershipId,
+          acquisitionPrice: amount,
+          acquiredAt: gameTime
+        }, { where: { id: listing.airportSlotId }, transaction });
+
+        await listing.update({
+          status: 'completed',
+          buyerMembershipId: winner.worldMembershipId,
+          finalPrice: amount,
+          completedAt: gameTime
+        }, { transaction });
+      } else {
+        const slotId = listing.airportSlotId;
+        await listing.update({ status: 'expired', airportSlotId: null, completedAt: gameTime }, { transaction });
+        await AirportSlot.destroy({ where: { id: slotId, worldMembershipId: null }, transaction });
+      }
+
+      for (const bid of bids) {
+        await bid.update({ status: bid === winner ? 'won' : 'lost' }, { transaction });
+      }
+    });
+
+    for (const bid of bids) {
+      const won = bid === winner;
+      await Notification.create({
+        worldMembershipId: bid.worldMembershipId,
+        type: won ? 'slot_won' : 'slot_lost',
+        icon: won ? 'route' : 'alert',
+        title: won ? 'Slot Won' : 'Slot Bid Unsuccessful',
+        message: won
+          ? `You won the ${label} for $${Math.round(parseFloat(bid.amount)).toLocaleString()}.`
+          : `Your bid for the ${label} was not successful.`,
+        link: '/routes',
+        priority: won ? 2 : 4,
+        gameTime
+      });
+    }
+  }
+
+  /**
+   * Close bidding that has run its course and end leases that have run out
+   *
+   * @param {string} worldId - World UUID
+   * @param {Date} gameTime - Current game time
+   */
+  async processMarket(worldId, gameTime) {
+    const closed = await SlotListing.findAll({
+      where: {
+        worldId,
+        status: 'open',
+        listingType: ['release', 'auction'],
+        closesAt: { [Op.lte]: gameTime }
+      }
+    });
+
+    for (const listing of closed) {
+      try {
+        await this.settleListing(listing, gameTime);
+      } catch (error) {
+        console.error(`Error settling slot listing ${listing.id}:`, error.message);
+      }
+    }
+
+    const expiredLeases = await AirportSlot.findAll({
+      where: {
+        worldId,
+        lesseeMembershipId: { [Op.ne]: null },
+        leaseEndsAt: { [Op.lte]: gameTime }
+      },
+      include: [{ model: Airport, as: 'airport', attributes: ['icaoCode'] }]
+    });
+
+    for (const slot of expiredLeases) {
+      const lesseeId = slot.lesseeMembershipId;
+      await slot.update({ lesseeMembershipId: null, leaseWeeklyRate: null, leaseEndsAt: null });
+
+      await Notification.create({
+        worldMembershipId: lesseeId,
+        type: 'slot_lease_ended',
+        icon: 'alert',
+        title: 'Slot Lease Ended',
+        message: `Your lease of the ${slot.airport.icaoCode} ${String(slot.hour).padStart(2, '0')}:00 slot has ended.`,
+        link: '/routes',
+        priority: 3,
+        gameTime
+      });
+    }
+  }
+
+  /**
+   * Weekly slot market run: lease rent, historic rights and milestone auctions
+   *
+   * @param {string} worldId - World UUID
+   * @param {Date} gameTime - Current game time
+   */
+  async processWeekly(worldId, gameTime) {
+    await this.chargeLeases(worldId, gameTime);
+    await this.grantHistoricRights(worldId, gameTime);
+    await this.openMilestoneAuctions(worldId, gameTime);
+  }
+
+  /**
+   * Take a week's rent from every lessee and pay it to the slot's holder
+   * A lease whose rent is already in the ledger for this game week isn't charged again
+   * @private
+   */
+  async chargeLeases(worldId, gameTime) {
+    const slots = await AirportSlot.findAll({
+      where: { worldId, lesseeMembershipId: { [Op.ne]: null }, worldMembershipId: { [Op.ne]: null } },
+      include: [{ model: Airport, as: 'airport', attributes: ['icaoCode'] }]
+    });
+    if (slots.length === 0) return;
+
+    const weekStart = new Date(Math.floor(gameTime.getTime() / WEEK_MS) * WEEK_MS);
+    const charged = await LedgerEntry.findAll({
+      where: {
+        referenceType: 'airport_slot',
+        referenceId: slots.map(s => s.id),
+        category: 'slotFees',
+        gameTime: { [Op.gte]: weekStart }
+      },
+      attributes: ['referenceId']
+    });
+    const chargedIds = new Set(charged.map(e => e.referenceId));
+
+    for (const slot of slots.filter(s => !chargedIds.has(s.id))) {
+      const rent = parseFloat(slot.leaseWeeklyRate) || 0;
+      const label = `${slot.airport.icaoCode} ${String(slot.hour).padStart(2, '0')}:00 slot`;
+
+      await sequelize.transaction(async (transaction) => {
+        await ledgerService.post({
+          worldMembershipId: slot.lesseeMembershipId,
+          category: 'slotFees',
+          amount: -rent,
+          gameTime,
+          description: `Lease of ${label}`,
+          referenceType: 'airport_slot',
+          referenceId: slot.id
+        }, { transaction });
+
+        await ledgerService.post({
+          worldMembershipId: slot.worldMembershipId,
+          category: 'slotIncome',
+          amount: rent,
+          gameTime,
+          description: `Lease income from ${label}`,
+          referenceType: 'airport_slot',
+          referenceId: slot.id
+        }, { transaction });
+      });
+    }
+  }
+
+  /**
+   * Airports served by player routes in a world
+   * @private
+   */
+  async getServedAirports(worldId) {
+    const routes = await Route.findAll({
+      attributes: ['departureAirportId', 'arrivalAirportId', 'techStopAirportId'],
+      include: [{ model: WorldMembership, as: 'membership', where: { worldId, isActive: true }, attributes: [] }]
+    });
+    const airportIds = [...new Set(routes.flatMap(r => [r.departureAirportId, r.arrivalAirportId, r.techStopAirportId]).filter(Boolean))];
+    if (airportIds.length === 0) return [];
+
+    return Airport.findAll({ where: { id: airportIds } });
+  }
+
+  /**
+   * Turn airlines' use of congested hours into slots they hold
+   * Where an hour is nearly full, each airline keeps the slots it is flying today
+   * (as far as unheld capacity allows), so they can later be traded or released
+   * @private
+   */
+  async grantHistoricRights(worldId, gameTime) {
+    const airports = await this.getServedAirports(worldId);
+    if (airports.length === 0) return;
+
+    const date = formatLocalDate(gameTime);
+    const year = gameTime.getFullYear();
+    const airportIds = airports.map(a => a.id);
+    const usage = await airportSlotService.getHourlyUsage(airportIds, worldId, date, { byMembership: true });
+    const held = await airportSlotService.getHeldSlots(airportIds, worldId, date);
+
+    for (const airport of airports) {
+      const capacity = airportSlotService.getHourlyCapacity(airport, year);
+      const newSlots = [];
+
+      for (const h of usage.get(airport.id)) {
+        if (capacity <= 0 || ((h.player + h.npc) / capacity) * 100 < HISTORIC_RIGHTS_UTILISATION) continue;
+
+        const hourHeld = held.get(airport.id)[h.hour];
+        let unheld = capacity - [...hourHeld.values()].reduce((sum, count) => sum + count, 0);
+
+        for (const [membershipId, used] of h.members) {
+          const grant = Math.min(unheld, used - (hourHeld.get(membershipId) || 0));
+          for (let i = 0; i < grant; i++) {
+            newSlots.push({
+              worldId,
+              airportId: airport.id,
+              hour: h.hour,
+              worldMembershipId: membershipId,
+              acquisitionPrice: 0,
+              acquiredAt: gameTime
+            });
+          }
+          unheld -= Math.max(0, grant);
+        }
+      }
+
+      if (newSlots.length > 0) {
+        await AirportSlot.bulkCreate(newSlots);
+      }
+    }
+  }
+
+  /**
+   * Auction capacity an infrastructure milestone will add to airports players serve
+   * Lots go to the busiest hours and can be used from the start of the milestone year
+   * @private
+   */
+  async openMilestoneAuctions(worldId, gameTime) {
+    const airports = await this.getServedAirports(worldId);
+    const year = gameTime.getFullYear();
+    const date = formatLocalDate(gameTime);
+
+    for (const airport of airports) {
+      const milestone = airportGrowthService.getUpcomingMilestones(airport.icaoCode, year)
+        .find(m => m.yearsUntil <= AUCTION_LEAD_YEARS);
+      if (!milestone) continue;
+
+      const existing = await SlotListing.count({
+        where: { worldId, airportId: airport.id, listingType: 'auction', milestoneYear: milestone.year }
+      });
+      if (existing > 0) continue;
+
+      const currentCapacity = airportSlotService.getHourlyCapacity(airport, year);
+      const runways = airportGrowthService.getRunways(airport.type, milestone.level);
+      const addedPerHour = airportGrowthService.calculateHourlySlots(runways, milestone.level) - currentCapacity;
+      if (addedPerHour <= 0) continue;
+
+      // Busiest hours first; each can take up to the capacity the milestone adds
+      const hours = (await airportSlotService.getHourlyUsage([airport.id], worldId, date)).get(airport.id)
+        .map(h => ({ hour: h.hour, used: h.player + h.npc }))
+        .sort((a, b) => b.used - a.used || a.hour - b.hour);
+      const lots = [];
+      for (const { hour } of hours) {
+        for (let i = 0; i < addedPerHour && lots.length < MAX_LOTS_PER_AUCTION; i++) lots.push(hour);
+      }
+
+      const validFrom = new Date(milestone.year, 0, 1);
+      const reserve = this.getReservePrice(airport, year);
+      const closesAt = new Date(gameTime.getTime() + AUCTION_BIDDING_DAYS * DAY_MS);
+
+      await sequelize.transaction(async (transaction) => {
+        for (const hour of lots) {
+          const slot = await AirportSlot.create({ worldId, airportId: airport.id, hour, validFrom }, { transaction });
+          await SlotListing.create({
+            worldId,
+            airportSlotId: slot.id,
+            airportId: airport.id,
+            hour,
+            listingType: 'auction',
+            price: reserve,
+            milestoneYear: milestone.year,
+            listedAt: gameTime,
+            closesAt
+          }, { transaction });
+        }
+      });
+
+      const routes = await Route.findAll({
+        where: {
+          [Op.or]: [
+            { departureAirportId: airport.id },
+            { arrivalAirportId: airport.id },
+            { techStopAirportId: airport.id }
+          ]
+        },
+        attributes: ['worldMembershipId'],
+        include: [{ model: WorldMembership, as: 'membership', where: { worldId, isActive: true }, attributes: [] }]
+      });
+
+      for (const membershipId of new Set(routes.map(r => r.worldMembershipId))) {
+        await Notification.create({
+          worldMembershipId: membershipId,
+          type: 'slot_auction',
+          icon: 'route',
+          title: 'Slot Auction Open',
+          message: `${airport.icaoCode} is auctioning ${lots.length} new slot${lots.length === 1 ? '' : 's'} ahead of its ${milestone.year} expansion (${milestone.reason}). Bidding closes in ${AUCTION_BIDDING_DAYS} days.`,
+          link: '/routes',
+          priority: 2,
+          gameTime
+        });
+      }
+    }
+  }
+}
+
+// Singleton instance
+const slotMarketService = new SlotMarketService();
+
+module.exports = slotMarketService;
@@ -0,0 +1,463 @@
+const { Op } = require('sequelize');
+const { Aircraft, UsedAircraftForSale } = require('../models');
+const { getUsedAircraftSeller, getRandomLessor } = require('../data/aircraftSellers');
+
+// Listings kept on the market per aircraft variant: topped back up to a random level in this range
+const MIN_LISTINGS_PER_VARIANT = 3;
+const MAX_LISTINGS_PER_VARIANT = 8;
+
+// Daily chance a variant with room on the market gets another listing
+const NEW_LISTING_CHANCE = 0.05;
+
+// Oldest airframe offered on the used market (years)
+const MAX_USED_AGE = 25;
+
+// Days a listing stays up before it can sell to someone outside the game, and the daily chance it does
+const MIN_DAYS_BEFORE_SOLD_ELSEWHERE = 30;
+const DAILY_SOLD_ELSEWHERE_CHANCE = 0.015;
+
+// Sellers start above the aircraft's value and cut their asking price while it sits unsold
+const MIN_INITIAL_ASKING_PREMIUM = 0.95;
+const MAX_INITIAL_ASKING_PREMIUM = 1.12;
+const ASKING_PRICE_CUT_PER_WEEK = 0.01;
+const MIN_ASKING_PREMIUM = 0.85;
+
+// Monthly lease rate as a share of the asking price
+const MONTHLY_LEASE_RATE = 0.004;
+
+// Longest check validity a used aircraft can come with (days), for pricing the remaining validity
+const C_CHECK_MAX_DAYS = 720;
+const D_CHECK_MAX_DAYS = 3650;
+
+// Running costs added per point of condition lost (share of the type's book figure)
+const MAINTENANCE_COST_PER_CONDITION_POINT = 0.005;
+const FUEL_BURN_PER_CONDITION_POINT = 0.001;
+
+// Fuel burn added per year of airframe age (older engines and airframes are less efficient)
+const FUEL_BURN_PER_YEAR = 0.005;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_MS = 365 * DAY_MS;
+
+/**
+ * Pick a whole number between min and max (inclusive)
+ */
+function randomInt(min, max) {
+  return min + Math.floor(Math.random() * (max - min + 1));
+}
+
+/**
+ * Format days remaining into human-readable string
+ */
+function formatDaysRemaining(days) {
+  if (days >= 365) {
+    const years = Math.floor(days / 365);
+    const months = Math.floor((days % 365) / 30);
+    if (months > 0) {
+      return `${years}y ${months}m`;
+    }
+    return `${years} year${years > 1 ? 's' : ''}`;
+  } else if (days >= 30) {
+    const months = Math.floor(days / 30);
+    return `${months} month${months > 1 ? 's' : ''}`;
+  } else {
+    return `${days} days`;
+  }
+}
+
+/**
+ * Used Aircraft Market Service
+ * Keeps each world's used-aircraft market: listings are generated and aged by the
+ * world tick, every player sees the same ones, and sales settle at the price and
+ * condition held here
+ */
+class UsedAircraftMarketService {
+
+  /**
+   * Market value of a used airframe from its age, condition and remaining check validity
+   *
+   * @param {Object} variant - Aircraft model instance (new purchase price)
+   * @param {Object} state - { ageYears, conditionPercentage, cCheckRemainingDays, dCheckRemainingDays }
+   * @returns {number} - Value in dollars
+   */
+  getValue(variant, { ageYears, conditionPercentage, cCheckRemainingDays, dCheckRemainingDays }) {
+    const age = ageYears || 0;
+    let depreciationFactor;
+    if (age <= 5) depreciationFactor = 0.70 - (age * 0.05); // 70% to 45%
+    else if (age <= 10) depreciationFactor = 0.45 - ((age - 5) * 0.04); // 45% to 25%
+    else if (age <= 15) depreciationFactor = 0.25 - ((age - 10) * 0.03); // 25% to 10%
+    else depreciationFactor = 0.10 - Math.min((age - 15) * 0.01, 0.05); // 10% to 5%
+
+    // Apply condition modifier to depreciation
+    depreciationFactor = Math.max(depreciationFactor * ((conditionPercentage || 70) / 100), 0.05);
+
+    // Up to 15% off for low check validity, weighted to the far dearer D check
+    const dCheckValidityRatio = Math.min(Math.max(dCheckRemainingDays || 0, 0) / D_CHECK_MAX_DAYS, 1);
+    const cCheckValidityRatio = Math.min(Math.max(cCheckRemainingDays || 0, 0) / C_CHECK_MAX_DAYS, 1);
+    depreciationFactor *= 1 - ((1 - dCheckValidityRatio) * 0.10 + (1 - cCheckValidityRatio) * 0.05);
+    depreciationFactor = Math.max(depreciationFactor, 0.03);
+
+    return (parseFloat(variant.purchasePrice) || 50000000) * depreciationFactor;
+  }
+
+  /**
+   * Condition description for a condition percentage
+   *
+   * @param {number} conditionPercentage
+   * @returns {string}
+   */
+  getConditionLabel(conditionPercentage) {
+    if (conditionPercentage >= 85) return 'Excellent';
+    if (conditionPercentage >= 70) return 'Very Good';
+    if (conditionPercentage >= 55) return 'Good';
+    if (conditionPercentage >= 40) return 'Fair';
+    return 'Poor';
+  }
+
+  /**
+   * Running costs of an airframe: worn and older aircraft cost more to maintain and burn more fuel.
+   * A new aircraft in perfect condition runs at its type's book figures
+   *
+   * @param {Object} variant - Aircraft model instance
+   * @param {Object} state - { ageYears, conditionPercentage }
+   * @returns {Object} - { maintenanceCostPerHour, maintenanceCostPerMonth, fuelBurnPerHour }
+   */
+  getOperatingCosts(variant, { ageYears, conditionPercentage }) {
+    const wear = 100 - Math.min(100, Math.max(0, parseFloat(conditionPercentage) || 0));
+    const maintenanceFactor = 1 + wear * MAINTENANCE_COST_PER_CONDITION_POINT;
+    const fuelFactor = 1 + wear * FUEL_BURN_PER_CONDITION_POINT + (ageYears || 0) * FUEL_BURN_PER_YEAR;
+    return {
+      maintenanceCostPerHour: parseFloat(variant.maintenanceCostPerHour) * maintenanceFactor,
+      maintenanceCostPerMonth: variant.maintenanceCostPerMonth ? parseFloat(variant.maintenanceCostPerMonth) * maintenanceFactor : null,
+      fuelBurnPerHour: parseFloat(variant.fuelBurnPerHour) * fuelFactor
+    };
+  }
+
+  /**
+   * Monthly rent a lessor asks for an airframe worth a price
+   *
+   * @param {number} price - Value of the airframe
+   * @returns {number}
+   */
+  getMonthlyLeasePayment(price) {
+    return Math.round((parseFloat(price) || 0) * MONTHLY_LEASE_RATE * 100) / 100;
+  }
+
+  /**
+   * Asking and lease prices for a listing at its current state
+   * @private
+   */
+  priceListing(variant, listing) {
+    const purchasePrice = this.getValue(variant, listing) * (parseFloat(listing.askingPremium) || 1);
+    return {
+      purchasePrice: Math.round(purchasePrice * 100) / 100,
+      leasePrice: this.getMonthlyLeasePayment(purchasePrice)
+    };
+  }
+
+  /**
+   * A fresh listing for a variant: a random airframe no older than the type, no younger
+   * than its last delivery, with condition and check validity that follow its age
+   *
+   * @param {Object} variant - Aircraft model instance
+   * @param {string} worldId
+   * @param {Date} gameTime
+   * @returns {Object} - UsedAircraftForSale attributes
+   */
+  generateListing(variant, worldId, gameTime) {
+    const year = gameTime.getFullYear();
+    const maxAge = Math.min(MAX_USED_AGE, variant.availableFrom ? year - variant.availableFrom : MAX_USED_AGE);
+    const minAge = Math.min(maxAge, variant.availableUntil && variant.availableUntil < year ? year - variant.availableUntil : 0);
+    const age = randomInt(Math.max(0, minAge), Math.max(0, maxAge));
+
+    // Newer aircraft tend to be in better condition
+    let conditionPercentage;
+    if (age <= 5) conditionPercentage = randomInt(85, 99);
+    else if (age <= 10) conditionPercentage = randomInt(60, 94);
+    else if (age <= 15) conditionPercentage = randomInt(40, 69);
+    else conditionPercentage = randomInt(20, 49);
+
+    // D check: newer aircraft have more validity remaining
+    let dCheckRemainingDays;
+    if (age <= 3) dCheckRemainingDays = randomInt(1825, 3649); // 5-10 years
+    else if (age <= 8) dCheckRemainingDays = randomInt(730, 2189); // 2-6 years
+    else if (age <= 15) dCheckRemainingDays = randomInt(365, 1094); // 1-3 years
+    else dCheckRemainingDays = randomInt(180, 729); // 0.5-2 years
+
+    // C check: 3 months to 2 years remaining
+    let cCheckRemainingDays;
+    if (age <= 5) cCheckRemainingDays = randomInt(365, 729);
+    else if (age <= 10) cCheckRemainingDays = randomInt(180, 544);
+    else cCheckRemainingDays = randomInt(90, 359);
+
+    const condition = this.getConditionLabel(conditionPercentage);
+    const seller = getUsedAircraftSeller(age, condition);
+    const listing = {
+      worldId,
+      aircraftId: variant.id,
+      sellerName: seller.name,
+      sellerType: seller.type,
+      sellerCountry: seller.country,
+      sellerReason: seller.reason,
+      ...this.pickLessor(variant),
+      condition,
+      conditionPercentage,
+      ageYears: age,
+      // Roughly eight hours a day in service
+      totalFlightHours: Math.round(age * 365 * randomInt(6, 10)),
+      cCheckRemainingDays,
+      dCheckRemainingDays,
+      askingPremium: Math.round((MIN_INITIAL_ASKING_PREMIUM + Math.random() * (MAX_INITIAL_ASKING_PREMIUM - MIN_INITIAL_ASKING_PREMIUM)) * 1000) / 1000,
+      status: 'available',
+      listedAt: gameTime,
+      agedAt: gameTime
+    };
+
+    return { ...listing, ...this.priceListing(variant, listing) };
+  }
+
+  /**
+   * Leasing company to offer a listing for lease, stored on the listing so it stays the same
+   * @private
+   */
+  pickLessor(variant) {
+    const lessor = getRandomLessor(variant.type);
+    return { lessorName: lessor.name, lessorShortName: lessor.shortName, lessorCountry: lessor.country };
+  }
+
+  /**
+   * Put an aircraft taken out of an airline's fleet up for sale on its world's market
+   *
+   * @param {Object} userAircraft - UserAircraft with aircraft type and membership loaded
+   * @param {Date} gameTime
+   * @returns {Promise<Object>} - The new UsedAircraftForSale
+   */
+  async listRetiredAircraft(userAircraft, gameTime) {
+    const variant = userAircraft.aircraft;
+    const conditionPercentage = Math.round(parseFloat(userAircraft.conditionPercentage) || 70);
+    const listing = {
+      ...this.generateListing(variant, userAircraft.membership.worldId, gameTime),
+      condition: this.getConditionLabel(conditionPercentage),
+      conditionPercentage,
+      ageYears: userAircraft.ageYears || 0,
+      totalFlightHours: parseFloat(userAircraft.totalFlightHours) || 0
+    };
+    return UsedAircraftForSale.create({ ...listing, ...this.priceListing(variant, listing) });
+  }
+
+  /**
+   * Present a listing the way the marketplace shows aircraft
+   *
+   * @param {Object} listing - UsedAircraftForSale with aircraft loaded
+   * @returns {Object}
+   */
+  toMarketplaceEntry(listing) {
+    const variant = listing.aircraft;
+    const costs = this.getOperatingCosts(variant, listing);
+    const cCheckRemainingDays = Math.max(0, listing.cCheckRemainingDays || 0);
+    const dCheckRemainingDays = Math.max(0, listing.dCheckRemainingDays || 0);
+
+    return {
+      id: listing.id,
+      usedListingId: listing.id,
+      variantId: variant.id,
+      manufacturer: variant.manufacturer,
+      model: variant.model,
+      variant: variant.variant,
+      icaoCode: variant.icaoCode,
+      type: variant.type,
+      rangeCategory: variant.rangeCategory,
+      rangeNm: variant.rangeNm,
+      cruiseSpeed: variant.cruiseSpeed,
+      passengerCapacity: variant.passengerCapacity,
+      cargoCapacityKg: variant.cargoCapacityKg,
+      fuelCapacityLiters: variant.fuelCapacityLiters,
+      purchasePrice: parseFloat(listing.purchasePrice),
+      leasePrice: listing.leasePrice ? parseFloat(listing.leasePrice) : null,
+      ...costs,
+      firstIntroduced: variant.firstIntroduced,
+      availableFrom: variant.availableFrom,
+      availableUntil: variant.availableUntil,
+      requiredPilots: variant.requiredPilots,
+      requiredCabinCrew: variant.requiredCabinCrew,
+      isActive: variant.isActive,
+      description: `${variant.manufacturer} ${variant.model} in ${listing.condition} condition`,
+
+      // Used aircraft specific properties
+      age: listing.ageYears,
+      condition: listing.condition,
+      conditionPercentage: listing.conditionPercentage,
+      totalFlightHours: parseFloat(listing.totalFlightHours) || 0,
+      category: 'used',
+      listedAt: listing.listedAt,
+
+      // Check validity
+      cCheckRemainingDays,
+      dCheckRemainingDays,
+      cCheckRemaining: formatDaysRemaining(cCheckRemainingDays),
+      dCheckRemaining: formatDaysRemaining(dCheckRemainingDays),
+
+      seller: {
+        type: listing.sellerType,
+        name: listing.sellerName,
+        shortName: listing.sellerName,
+        country: listing.sellerCountry,
+        reason: listing.sellerReason
+      },
+      lessor: {
+        type: 'lessor',
+        name: listing.lessorName,
+        shortName: listing.lessorShortName,
+        country: listing.lessorCountry
+      }
+    };
+  }
+
+  /**
+   * Aircraft for sale on a world's used market
+   *
+   * @param {string} worldId
+   * @returns {Promise<Array>} - Marketplace entries
+   */
+  async getAvailableListings(worldId) {
+    const listings = await UsedAircraftForSale.findAll({
+      where: { worldId, status: 'available' },
+      include: [{ model: Aircraft, as: 'aircraft' }],
+      order: [['purchasePrice', 'ASC']]
+    });
+
+    // Listings from before lessors were stored get theirs now
+    for (const listing of listings) {
+      if (!listing.lessorName && listing.aircraft) {
+        await listing.update(this.pickLessor(listing.aircraft));
+      }
+    }
+
+    return listings.filter(listing => listing.aircraft).map(listing => this.toMarketplaceEntry(listing));
+  }
+
+  /**
+   * Take a listing off the market for a buyer or lessee
+   * Only one airline can win a listing: the status only moves away from available once
+   *
+   * @param {string} worldId
+   * @param {string} listingId
+   * @param {Date} gameTime
+   * @returns {Promise<Object>} - { listing } with aircraft loaded, or { error }
+   */
+  async claimListing(worldId, listingId, gameTime) {
+    const listing = await UsedAircraftForSale.findOne({
+      where: { id: listingId, worldId },
+      include: [{ model: Aircraft, as: 'aircraft' }]
+    });
+    if (!listing || !listing.aircraft) {
+      return { error: 'Listing not found' };
+    }
+
+    const [claimed] = await UsedAircraftForSale.update(
+      { status: 'sold', soldAt: gameTime },
+      { where: { id: listing.id, status: 'available' } }
+    );
+    if (claimed === 0) {
+      return { error: 'This aircraft is no longer for sale' };
+    }
+
+    return { listing };
+  }
+
+  /**
+   * Put a claimed listing back on the market when the sale falls through
+   *
+   * @param {Object} listing - UsedAircraftForSale
+   */
+  async releaseListing(listing) {
+    await UsedAircraftForSale.update(
+      { status: 'available', soldAt: null },
+      { where: { id: listing.id, status: 'sold' } }
+    );
+  }
+
+  /**
+   * Daily market run: age every listing by the days since it was last aged (check validity
+   * runs down, airframes have birthdays, sellers cut their price), let some sell elsewhere
+   * and restock variants that are running short
+   *
+   * @param {string} worldId
+   * @param {Date} gameTime
+   */
+  async processDaily(worldId, gameTime) {
+    const listings = await UsedAircraftForSale.findAll({
+      where: { worldId, status: 'available' },
+      include: [{ model: Aircraft, as: 'aircraft' }]
+    });
+
+    const onMarket = new Map();
+    for (const listing of listings) {
+      const listedAt = new Date(listing.listedAt);
+      const agedAt = new Date(listing.agedAt || listing.listedAt);
+      const days = Math.floor((gameTime - agedAt) / DAY_MS);
+
+      if (days >= 1 && listing.aircraft) {
+        // Off to a buyer outside the game
+        const daysListed = Math.floor((gameTime - listedAt) / DAY_MS);
+        if (daysListed >= MIN_DAYS_BEFORE_SOLD_ELSEWHERE && Math.random() < 1 - Math.pow(1 - DAILY_SOLD_ELSEWHERE_CHANCE, days)) {
+          await listing.update({ status: 'withdrawn' });
+          continue;
+        }
+
+        const nextAgedAt = new Date(agedAt.getTime() + days * DAY_MS);
+        const birthdays = Math.floor((nextAgedAt - listedAt) / YEAR_MS) - Math.floor((agedAt - listedAt) / YEAR_MS);
+        const aged = {
+          ageYears: (listing.ageYears || 0) + birthdays,
+          conditionPercentage: listing.conditionPercentage,
+          cCheckRemainingDays: Math.max(0, (listing.cCheckRemainingDays || 0) - days),
+          dCheckRemainingDays: Math.max(0, (listing.dCheckRemainingDays || 0) - days),
+          askingPremium: Math.max(MIN_ASKING_PREMIUM, (parseFloat(listing.askingPremium) || 1) - ASKING_PRICE_CUT_PER_WEEK * days / 7)
+        };
+        await listing.update({
+          ...aged,
+          askingPremium: Math.round(aged.askingPremium * 1000) / 1000,
+          ...this.priceListing(listing.aircraft, aged),
+          agedAt: nextAgedAt
+        });
+      }
+
+      onMarket.set(listing.aircraftId, (onMarket.get(listing.aircraftId) || 0) + 1);
+    }
+
+    // Types in production now, or out of production recently enough to still be flying
+    const year = gameTime.getFullYear();
+    const variants = await Aircraft.findAll({
+      where: {
+        isActive: true,
+        [Op.and]: [
+          { [Op.or]: [{ availableFrom: null }, { availableFrom: { [Op.lte]: year } }] },
+          { [Op.or]: [{ availableUntil: null }, { availableUntil: { [Op.gte]: year - MAX_USED_AGE } }] }
+        ]
+      }
+    });
+
+    const fresh = [];
+    for (const variant of variants) {
+      const count = onMarket.get(variant.id) || 0;
+      let toList = 0;
+      if (count < MIN_LISTINGS_PER_VARIANT) {
+        toList = randomInt(MIN_LISTINGS_PER_VARIANT, MAX_LISTINGS_PER_VARIANT) - count;
+      } else if (count < MAX_LISTINGS_PER_VARIANT && Math.random() < NEW_LISTING_CHANCE) {
+        toList = 1;
+      }
+      for (let i = 0; i < toList; i++) {
+        fresh.push(this.generateListing(variant, worldId, gameTime));
+      }
+    }
+
+    if (fresh.length > 0) {
+      await UsedAircraftForSale.bulkCreate(fresh);
+    }
+  }
+}
+
+// Singleton instance
+const usedAircraftMarketService = new UsedAircraftMarketService();
+
+module.exports = usedAircraftMarketService;
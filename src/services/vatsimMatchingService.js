@@ -0,0 +1,390 @@
+const { Op } = require('sequelize');
+const { Flight, ScheduledFlight, Route, Airport, UserAircraft, Aircraft, WorldMembership, World, User, Notification } = require('../models');
+const vatsimService = require('./vatsimService');
+const worldTimeService = require('./worldTimeService');
+const { calculateFlightDurationMs } = require('../utils/flightCalculations');
+
+// Ground speed (knots) above which a pilot is taking off or airborne
+const TAXI_SPEED_KNOTS = 40;
+
+// How close (nautical miles) a pilot must be to count as at an airport
+const AIRPORT_RADIUS_NM = 8;
+
+// A pilot can claim a departure scheduled this many real minutes either side of now
+const MATCH_WINDOW_MINUTES = 90;
+
+// Real minutes a pilot can be missing from the feed before the flight is abandoned
+const DISCONNECT_TIMEOUT_MINUTES = 30;
+
+// Minutes late that still count as on time
+const PUNCTUALITY_GRACE_MINUTES = 15;
+
+/**
+ * Great-circle distance in nautical miles
+ */
+function distanceNm(lat1, lon1, lat2, lon2) {
+  const R = 3440.065;
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * Math.sin(dLon / 2) ** 2;
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * VATSIM Matching Service
+ * Ties pilots on the VATSIM network flying under an airline's ICAO callsign to the
+ * scheduled flight they are operating, and records the leg as a human-flown Flight
+ *
+ * Callsigns are the airline's ICAO code plus the digits of a route number, so BAW123
+ * operates route BA123 (outbound) or the return leg of a route whose return number is BA123.
+ * Delays are measured in real minutes (game minutes divided by the world's time acceleration),
+ * so a flight flown on time scores the same in any world.
+ */
+class VatsimMatchingService {
+
+  /**
+   * Start matching pilots every time the VATSIM feed is polled
+   */
+  start() {
+    vatsimService.startPolling(data => {
+      this.processFeed(data).catch(err => console.error('Error matching VATSIM flights:', err.message));
+    });
+  }
+
+  /**
+   * Stop matching
+   */
+  stop() {
+    vatsimService.stopPolling();
+  }
+
+  /**
+   * Identifier for one pilot connection
+   * @param {Object} pilot - Pilot from the VATSIM feed
+   * @returns {string}
+   */
+  getSessionId(pilot) {
+    return `${pilot.cid}-${pilot.logon_time}`;
+  }
+
+  /**
+   * Active airlines in running worlds, keyed by ICAO airline code
+   * @returns {Promise<Map<string, Array>>}
+   */
+  async getAirlinesByCode() {
+    const memberships = await WorldMembership.findAll({
+      where: { isActive: true, airlineCode: { [Op.ne]: null } },
+      include: [
+        { model: World, as: 'world', where: { status: 'active' }, attributes: ['id'] },
+        { model: User, as: 'user', attributes: ['id', 'vatsimId'] }
+      ],
+      attributes: ['id', 'worldId', 'airlineCode', 'iataCode', 'airlineName']
+    });
+
+    const byCode = new Map();
+    for (const membership of memberships) {
+      const code = membership.airlineCode.toUpperCase();
+      if (!byCode.has(code)) byCode.set(code, []);
+      byCode.get(code).push(membership);
+    }
+    return byCode;
+  }
+
+  /**
+   * Game clock of a running world
+   * @private
+   */
+  async getWorldClock(worldId) {
+    const gameTime = worldTimeService.getCurrentTime(worldId);
+    if (!gameTime) return null;
+    const info = await worldTimeService.getWorldInfo(worldId);
+    return { gameTime, acceleration: parseFloat(info?.timeAcceleration) || 1 };
+  }
+
+  /**
+   * Scheduled game times of each leg of a round trip
+   *
+   * @param {Object} scheduledFlight - ScheduledFlight with route (and airports) and aircraft type loaded
+   * @returns {{outbound: {departure: Date, arrival: Date}, return: {departure: Date, arrival: Date}}}
+   */
+  getLegTimes(scheduledFlight) {
+    const route = scheduledFlight.route;
+    const dep = route.departureAirport;
+    const arr = route.arrivalAirport;
+    const cruiseSpeed = scheduledFlight.aircraft?.aircraft?.cruiseSpeed || 450;
+    const distance = parseFloat(route.distance) || 500;
+    const depLat = parseFloat(dep.latitude) || 0;
+    const depLng = parseFloat(dep.longitude) || 0;
+    const arrLat = parseFloat(arr.latitude) || 0;
+    const arrLng = parseFloat(arr.longitude) || 0;
+
+    let outboundMs;
+    if (route.techStopAirport) {
+      // Same split as the round trip in worldTimeService, with a 30 minute stop
+      const techLat = parseFloat(route.techStopAirport.latitude) || 0;
+      const techLng = parseFloat(route.techStopAirport.longitude) || 0;
+      const leg1Distance = route.legOneDistance || Math.round(distance * 0.4);
+      const leg2Distance = route.legTwoDistance || Math.round(distance * 0.6);
+      outboundMs = calculateFlightDurationMs(leg1Distance, depLng, techLng, depLat, techLat, cruiseSpeed) +
+        30 * 60 * 1000 +
+        calculateFlightDurationMs(leg2Distance, techLng, arrLng, techLat, arrLat, cruiseSpeed);
+    } else {
+      outboundMs = calculateFlightDurationMs(distance, depLng, arrLng, depLat, arrLat, cruiseSpeed);
+    }
+
+    const outboundDeparture = new Date(`${scheduledFlight.scheduledDate}T${scheduledFlight.departureTime}`);
+    const outboundArrival = new Date(outboundDeparture.getTime() + outboundMs);
+    const returnDeparture = new Date(outboundArrival.getTime() + (route.turnaroundTime || 45) * 60 * 1000);
+    const returnArrival = scheduledFlight.arrivalDate && scheduledFlight.arrivalTime
+      ? new Date(`${scheduledFlight.arrivalDate}T${scheduledFlight.arrivalTime}`)
+      : new Date(returnDeparture.getTime() + outboundMs);
+
+    return {
+      outbound: { departure: outboundDeparture, arrival: outboundArrival },
+      return: { departure: returnDeparture, arrival: returnArrival }
+    };
+  }
+
+  /**
+   * Find the scheduled flight a newly seen pilot is operating and open a Flight for it
+   * The pilot must be on the ground at the departure airport with a matching flight plan
+   *
+   * @param {Object} pilot - Pilot from the VATSIM feed
+   * @param {Array} memberships - Airlines whose ICAO code the callsign uses
+   * @param {Date} now - Real time of the feed
+   * @returns {Promise<Object|null>} - The new Flight, or null if nothing matched
+   */
+  async matchPilot(pilot, memberships, now) {
+    const plan = pilot.flight_plan;
+    if (!plan?.departure || !plan?.arrival || pilot.groundspeed >= TAXI_SPEED_KNOTS) return null;
+
+    const callsign = pilot.callsign.toUpperCase();
+    let best = null;
+
+    for (const membership of memberships) {
+      const flightDigits = callsign.slice(membership.airlineCode.length);
+      if (!/^\d+$/.test(flightDigits) || !membership.iataCode) continue;
+      const flightNumber = `${membership.iataCode.toUpperCase()}${flightDigits}`;
+
+      const clock = await this.getWorldClock(membership.worldId);
+      if (!clock) continue;
+
+      const routes = await Route.findAll({
+        where: {
+          worldMembershipId: membership.id,
+          isActive: true,
+          [Op.or]: [{ routeNumber: flightNumber }, { returnRouteNumber: flightNumber }]
+        },
+        include: [
+          { model: Airport, as: 'departureAirport' },
+          { model: Airport, as: 'arrivalAirport' },
+          { model: Airport, as: 'techStopAirport', required: false }
+        ]
+      });
+
+      for (const route of routes) {
+        const leg = route.routeNumber === flightNumber ? 'outbound' : 'return';
+        const from = leg === 'outbound' ? route.departureAirport : route.arrivalAirport;
+        const to = leg === 'outbound' ? route.arrivalAirport : route.departureAirport;
+        if (plan.departure.toUpperCase() !== from.icaoCode || plan.arrival.toUpperCase() !== to.icaoCode) continue;
+
+        const fromDistance = distanceNm(pilot.latitude, pilot.longitude, parseFloat(from.latitude), parseFloat(from.longitude));
+        if (fromDistance > AIRPORT_RADIUS_NM) continue;
+
+        const windowMs = MATCH_WINDOW_MINUTES * 60 * 1000 * clock.acceleration;
+        const day = 24 * 60 * 60 * 1000;
+        const scheduledFlights = await ScheduledFlight.findAll({
+          where: {
+            routeId: route.id,
+            status: { [Op.in]: ['scheduled', 'in_progress'] },
+            scheduledDate: {
+              [Op.between]: [
+                new Date(clock.gameTime.getTime() - windowMs - day).toISOString().split('T')[0],
+                new Date(clock.gameTime.getTime() + windowMs).toISOString().split('T')[0]
+              ]
+            }
+          },
+          include: [
+            { model: UserAircraft, as: 'aircraft', include: [{ model: Aircraft, as: 'aircraft' }] },
+            { model: Flight, as: 'humanFlights', required: false, attributes: ['id', 'leg', 'state'] }
+          ]
+        });
+
+        for (const scheduledFlight of scheduledFlights) {
+          // One human per leg
+          if (scheduledFlight.humanFlights.some(f => f.leg === leg && f.state !== 'pending_reconciliation')) continue;
+
+          scheduledFlight.route = route;
+          const times = this.getLegTimes(scheduledFlight)[leg];
+          const offset = Math.abs(times.departure.getTime() - clock.gameTime.getTime());
+          if (offset > windowMs || (best && offset >= best.offset)) continue;
+
+          best = { offset, membership, route, leg, from, to, scheduledFlight, times, flightNumber };
+        }
+      }
+    }
+
+    if (!best) return null;
+
+    const pilotUser = await User.findOne({ where: { vatsimId: String(pilot.cid) }, attributes: ['id'] });
+
+    const flight = await Flight.create({
+      flightNumber: best.flightNumber,
+      callsign,
+      state: 'executing_human',
+      departureIcao: best.from.icaoCode,
+      arrivalIcao: best.to.icaoCode,
+      scheduledDepartureTime: best.times.departure,
+      scheduledArrivalTime: best.times.arrival,
+      aircraftId: best.scheduledFlight.aircraftId,
+      airlineId: best.membership.id,
+      pilotId: pilotUser?.id || null,
+      executionType: 'human',
+      vatsimFlightId: this.getSessionId(pilot),
+      scheduledFlightId: best.scheduledFlight.id,
+      leg: best.leg,
+      lastSeenAt: now
+    });
+
+    console.log(`VATSIM: ${callsign} (CID ${pilot.cid}) matched to ${best.flightNumber} ${best.from.icaoCode}-${best.to.icaoCode} for ${best.membership.airlineName}`);
+    return flight;
+  }
+
+  /**
+   * Punctuality score (0-100): full marks up to the grace period, then a point per minute
+   * late on arrival and half a point per minute late off the ground
+   *
+   * @param {number} departureDelayMinutes
+   * @param {number} arrivalDelayMinutes
+   * @returns {number}
+   */
+  calculateScore(departureDelayMinutes, arrivalDelayMinutes) {
+    const arrivalPenalty = Math.max(0, arrivalDelayMinutes - PUNCTUALITY_GRACE_MINUTES);
+    const departurePenalty = Math.max(0, departureDelayMinutes - PUNCTUALITY_GRACE_MINUTES) / 2;
+    return Math.max(0, Math.round(100 - arrivalPenalty - departurePenalty));
+  }
+
+  /**
+   * Update an open Flight from the pilot's latest position: record the take-off,
+   * then the landing at the destination, which completes and scores the flight
+   *
+   * @param {Object} flight - Flight in state executing_human
+   * @param {Object} pilot - Pilot from the VATSIM feed
+   * @param {Date} now - Real time of the feed
+   */
+  async trackFlight(flight, pilot, now) {
+    const membership = await WorldMembership.findByPk(flight.airlineId, { attributes: ['id', 'worldId'] });
+    const clock = membership ? await this.getWorldClock(membership.worldId) : null;
+    if (!clock) {
+      await flight.update({ lastSeenAt: now });
+      return;
+    }
+
+    const updates = { lastSeenAt: now };
+    const moving = pilot.groundspeed >= TAXI_SPEED_KNOTS;
+
+    if (!flight.actualDepartureTime && moving) {
+      updates.actualDepartureTime = clock.gameTime;
+      updates.departureDelayMinutes = Math.round(
+        (clock.gameTime - new Date(flight.scheduledDepartureTime)) / clock.acceleration / 60000
+      );
+      console.log(`VATSIM: ${flight.callsign} departed ${flight.departureIcao} (${updates.departureDelayMinutes} min)`);
+    } else if (flight.actualDepartureTime && !moving) {
+      const arrivalAirport = await Airport.findOne({ where: { icaoCode: flight.arrivalIcao }, attributes: ['latitude', 'longitude'] });
+      const atArrival = arrivalAirport &&
+        distanceNm(pilot.latitude, pilot.longitude, parseFloat(arrivalAirport.latitude), parseFloat(arrivalAirport.longitude)) <= AIRPORT_RADIUS_NM;
+
+      if (atArrival) {
+        // Time in the air is flown on the real clock; the schedule's block time is already real-time length
+        const flownMinutes = (clock.gameTime - new Date(flight.actualDepartureTime)) / clock.acceleration / 60000;
+        const scheduledMinutes = (new Date(flight.scheduledArrivalTime) - new Date(flight.scheduledDepartureTime)) / 60000;
+        const arrivalDelayMinutes = Math.round(flight.departureDelayMinutes + flownMinutes - scheduledMinutes);
+
+        updates.actualArrivalTime = clock.gameTime;
+        updates.arrivalDelayMinutes = arrivalDelayMinutes;
+        updates.score = this.calculateScore(flight.departureDelayMinutes, arrivalDelayMinutes);
+        updates.state = 'resolved';
+
+        await flight.update(updates);
+        await this.notifyCompleted(flight, clock.gameTime);
+        return;
+      }
+    }
+
+    await flight.update(updates);
+  }
+
+  /**
+   * Tell the airline a leg was flown on VATSIM
+   * @private
+   */
+  async notifyCompleted(flight, gameTime) {
+    const delay = flight.arrivalDelayMinutes;
+    const punctuality = delay <= PUNCTUALITY_GRACE_MINUTES
+      ? (delay < 0 ? `${-delay} min early` : 'on time')
+      : `${delay} min late`;
+
+    await Notification.create({
+      worldMembershipId: flight.airlineId,
+      type: 'vatsim_flight',
+      icon: 'plane',
+      title: `${flight.callsign} Flown on VATSIM`,
+      message: `${flight.flightNumber} ${flight.departureIcao}-${flight.arrivalIcao} arrived ${punctuality}. Punctuality score: ${flight.score}/100.`,
+      link: '/routes',
+      priority: 3,
+      gameTime
+    });
+
+    console.log(`VATSIM: ${flight.callsign} arrived ${flight.arrivalIcao} ${punctuality}, score ${flight.score}`);
+  }
+
+  /**
+   * Match new pilots and track matched ones from one snapshot of the VATSIM feed
+   *
+   * @param {Object} data - VATSIM v3 data feed
+   */
+  async processFeed(data) {
+    const pilots = data?.pilots || [];
+    const now = new Date();
+
+    const openFlights = await Flight.findAll({
+      where: { executionType: 'human', state: 'executing_human' }
+    });
+    const openBySession = new Map(openFlights.map(f => [f.vatsimFlightId, f]));
+    const airlinesByCode = await this.getAirlinesByCode();
+
+    for (const pilot of pilots) {
+      const callsign = String(pilot.callsign || '').toUpperCase();
+      const sessionId = this.getSessionId(pilot);
+
+      const open = openBySession.get(sessionId);
+      if (open) {
+        openBySession.delete(sessionId);
+        await this.trackFlight(open, pilot, now);
+        continue;
+      }
+
+      const memberships = airlinesByCode.get(callsign.slice(0, 3));
+      if (!memberships) continue;
+
+      const flight = await this.matchPilot(pilot, memberships, now);
+      if (flight) {
+        await this.trackFlight(flight, pilot, now);
+      }
+    }
+
+    // Pilots who have left the network without landing at the destination
+    for (const flight of openBySession.values()) {
+      if (now - new Date(flight.lastSeenAt || flight.updatedAt) > DISCONNECT_TIMEOUT_MINUTES * 60 * 1000) {
+        await flight.update({ state: 'pending_reconciliation' });
+        console.log(`VATSIM: ${flight.callsign} disconnected before arriving at ${flight.arrivalIcao}`);
+      }
+    }
+  }
+}
+
+// Singleton instance
+const vatsimMatchingService = new VatsimMatchingService();
+
+module.exports = vatsimMatchingService;
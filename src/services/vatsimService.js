@@ -1,4 +1,6 @@
 const axios = require('axios');
+const fs = require('fs');
+const { fileURLToPath } = require('url');
 
 /**
  * VATSIM Service
@@ -15,13 +17,21 @@ class VatsimService {
 
   /**
    * Fetch current VATSIM network data
+   * VATSIM_DATA_URL may also be a file:// URL or path to a local stand-in feed for testing
    */
   async fetchData() {
     try {
-      const response = await axios.get(this.dataUrl);
-      this.cachedData = response.data;
+      let data;
+      if (/^https?:\/\//i.test(this.dataUrl)) {
+        const response = await axios.get(this.dataUrl);
+        data = response.data;
+      } else {
+        const path = this.dataUrl.startsWith('file:') ? fileURLToPath(this.dataUrl) : this.dataUrl;
+        data = JSON.parse(await fs.promises.readFile(path, 'utf8'));
+      }
+      this.cachedData = data;
       this.lastUpdate = new Date();
-      return response.data;
+      return data;
     } catch (error) {
       console.error('Error fetching VATSIM data:', error.message);
       throw error;
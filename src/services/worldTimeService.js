@@ -1,7 +1,26 @@
 const World = require('../models/World');
-const { WorldMembership, User, ScheduledFlight, Route, UserAircraft, Aircraft, RecurringMaintenance } = require('../models');
+const { WorldMembership, User, ScheduledFlight, FerryFlight, Route, UserAircraft, Aircraft, Airport, RecurringMaintenance, Notification } = require('../models');
 const { Op } = require('sequelize');
+const sequelize = require('../config/database');
 const { calculateFlightDurationMs } = require('../utils/flightCalculations');
+const flightRevenueService = require('./flightRevenueService');
+const flightCostService = require('./flightCostService');
+const ledgerService = require('./ledgerService');
+const administrationService = require('./administrationService');
+const overdraftService = require('./overdraftService');
+const loanService = require('./loanService');
+const npcAirlineService = require('./npcAirlineService');
+const reputationService = require('./reputationService');
+const airportStandService = require('./airportStandService');
+const slotMarketService = require('./slotMarketService');
+const crewService = require('./crewService');
+const fuelService = require('./fuelService');
+const revenueManagementService = require('./revenueManagementService');
+const usedAircraftMarketService = require('./usedAircraftMarketService');
+const aircraftWearService = require('./aircraftWearService');
+const aircraftPositionService = require('./aircraftPositionService');
+const aircraftStorageService = require('./aircraftStorageService');
+const aircraftOrderService = require('./aircraftOrderService');
 
 /**
  * World Time Service
@@ -27,6 +46,47 @@ class WorldTimeService {
     this.listingCheckInterval = 60000; // Check listings every 60 seconds (real time)
     this.isProcessingListings = false; // Prevent overlapping listing queries
     this.lastLeaseIncomeMonth = {}; // Map of worldId -> last game month processed for lease income
+    this.lastAdministrationCheck = 0; // Timestamp of last administration check
+    this.administrationCheckInterval = 60000; // Check airlines in administration every 60 seconds (real time)
+    this.isProcessingAdministration = false; // Prevent overlapping administration queries
+    this.lastOverdraftWeek = {}; // Map of worldId -> last game week overdraft interest was charged
+    this.isProcessingOverdrafts = false; // Prevent overlapping overdraft runs
+    this.lastLoanCheck = 0; // Timestamp of last loan repayment check
+    this.loanCheckInterval = 30000; // Take due loan instalments every 30 seconds (real time)
+    this.isProcessingLoans = false; // Prevent overlapping loan repayment runs
+    this.lastNpcAirlineWeek = {}; // Map of worldId -> last game week NPC airlines were reviewed
+    this.isProcessingNpcAirlines = false; // Prevent overlapping NPC airline reviews
+    this.lastReputationWeek = {}; // Map of worldId -> last game week reputations were reviewed
+    this.isProcessingReputation = false; // Prevent overlapping reputation reviews
+    this.lastParkingWeek = {}; // Map of worldId -> last game week home base parking was charged
+    this.isProcessingParking = false; // Prevent overlapping parking charges
+    this.lastSlotMarketCheck = 0; // Timestamp of last slot market check
+    this.slotMarketCheckInterval = 30000; // Close slot bidding and end leases every 30 seconds (real time)
+    this.isProcessingSlotMarket = false; // Prevent overlapping slot market runs
+    this.lastSlotMarketWeek = {}; // Map of worldId -> last game week slot leases, rights and auctions were processed
+    this.isProcessingSlotMarketWeek = false; // Prevent overlapping weekly slot market runs
+    this.lastPayrollWeek = {}; // Map of worldId -> last game week crew salaries were paid
+    this.isProcessingPayroll = false; // Prevent overlapping payroll runs
+    this.lastTrainingCheck = 0; // Timestamp of last crew training check
+    this.trainingCheckInterval = 30000; // Qualify trained crew and start queued courses every 30 seconds (real time)
+    this.isProcessingTraining = false; // Prevent overlapping training runs
+    this.lastFuelDay = {}; // Map of worldId -> last game day the fuel market was updated
+    this.isProcessingFuel = false; // Prevent overlapping fuel market runs
+    this.lastRepricingWeek = {}; // Map of worldId -> last game week automatic pricing strategies were applied
+    this.isProcessingRepricing = false; // Prevent overlapping repricing runs
+    this.lastUsedMarketDay = {}; // Map of worldId -> last game day the used aircraft market was aged and restocked
+    this.isProcessingUsedMarket = false; // Prevent overlapping used aircraft market runs
+    this.lastWearDay = {}; // Map of worldId -> last game day the fleet was aged
+    this.isProcessingWear = false; // Prevent overlapping fleet wear runs
+    this.lastFleetCostWeek = {}; // Map of worldId -> last game week fleet insurance and upkeep were charged
+    this.isProcessingFleetCosts = false; // Prevent overlapping fleet cost runs
+    this.lastReactivationCheck = 0; // Timestamp of last storage reactivation check
+    this.reactivationCheckInterval = 30000; // Return reactivated aircraft to service every 30 seconds (real time)
+    this.isProcessingReactivations = false; // Prevent overlapping reactivation runs
+    this.lastOrderDay = {}; // Map of worldId -> last game day aircraft orders were paid and delivered
+    this.isProcessingOrders = false; // Prevent overlapping aircraft order runs
+    this.lastTaxWeek = {}; // Map of worldId -> last game week corporation tax was charged
+    this.isProcessingTaxes = false; // Prevent overlapping tax runs
   }
 
   /**
@@ -275,6 +335,47 @@ class WorldTimeService {
         .finally(() => { this.isProcessingMaintenance = false; });
     }
 
+    // Price the day's fuel and settle expired fuel contracts once per game day
+    const gameDay = Math.floor(gameTime.getTime() / (24 * 60 * 60 * 1000));
+    const lastFuelDay = this.lastFuelDay[worldId] || 0;
+    if (!this.isProcessingFuel && gameDay > lastFuelDay) {
+      this.lastFuelDay[worldId] = gameDay;
+      this.isProcessingFuel = true;
+      fuelService.processDaily(worldId, gameTime)
+        .catch(err => console.error('Error processing fuel market:', err.message))
+        .finally(() => { this.isProcessingFuel = false; });
+    }
+
+    // Age, reprice and restock the used aircraft market once per game day
+    const lastUsedMarketDay = this.lastUsedMarketDay[worldId] || 0;
+    if (!this.isProcessingUsedMarket && gameDay > lastUsedMarketDay) {
+      this.lastUsedMarketDay[worldId] = gameDay;
+      this.isProcessingUsedMarket = true;
+      usedAircraftMarketService.processDaily(worldId, gameTime)
+        .catch(err => console.error('Error processing used aircraft market:', err.message))
+        .finally(() => { this.isProcessingUsedMarket = false; });
+    }
+
+    // Age the fleet and wear it down with time and overdue checks once per game day
+    const lastWearDay = this.lastWearDay[worldId] || 0;
+    if (!this.isProcessingWear && gameDay > lastWearDay) {
+      this.lastWearDay[worldId] = gameDay;
+      this.isProcessingWear = true;
+      aircraftWearService.processDaily(worldId, gameTime)
+        .catch(err => console.error('Error processing aircraft wear:', err.message))
+        .finally(() => { this.isProcessingWear = false; });
+    }
+
+    // Take due pre-delivery payments, lapse expired options and deliver new aircraft once per game day
+    const lastOrderDay = this.lastOrderDay[worldId] || 0;
+    if (!this.isProcessingOrders && gameDay > lastOrderDay) {
+      this.lastOrderDay[worldId] = gameDay;
+      this.isProcessingOrders = true;
+      aircraftOrderService.processOrders(worldId, gameTime)
+        .catch(err => console.error('Error processing aircraft orders:', err.message))
+        .finally(() => { this.isProcessingOrders = false; });
+    }
+
     // Refresh auto-scheduled maintenance once per game week
     // This ensures daily/weekly checks are continuously scheduled ahead
     const gameWeek = Math.floor(gameTime.getTime() / (7 * 24 * 60 * 60 * 1000));
@@ -287,6 +388,132 @@ class WorldTimeService {
         .finally(() => { this.isRefreshingMaintenance = false; });
     }
 
+    // Charge overdraft interest and check insolvency once per game week
+    const lastOverdraftWeek = this.lastOverdraftWeek[worldId] || 0;
+    if (!this.isProcessingOverdrafts && gameWeek > lastOverdraftWeek) {
+      this.lastOverdraftWeek[worldId] = gameWeek;
+      this.isProcessingOverdrafts = true;
+      overdraftService.processWeeklyOverdrafts(worldId, gameTime)
+        .catch(err => console.error('Error processing overdrafts:', err.message))
+        .finally(() => { this.isProcessingOverdrafts = false; });
+    }
+
+    // Grow, cut and found NPC airlines once per game week
+    const lastNpcAirlineWeek = this.lastNpcAirlineWeek[worldId] || 0;
+    if (!this.isProcessingNpcAirlines && gameWeek > lastNpcAirlineWeek) {
+      this.lastNpcAirlineWeek[worldId] = gameWeek;
+      this.isProcessingNpcAirlines = true;
+      npcAirlineService.processWeeklyReview(worldId, gameTime)
+        .catch(err => console.error('Error processing NPC airlines:', err.message))
+        .finally(() => { this.isProcessingNpcAirlines = false; });
+    }
+
+    // Move airline reputations with their operational record once per game week
+    const lastReputationWeek = this.lastReputationWeek[worldId] || 0;
+    if (!this.isProcessingReputation && gameWeek > lastReputationWeek) {
+      this.lastReputationWeek[worldId] = gameWeek;
+      this.isProcessingReputation = true;
+      reputationService.processWeeklyReviews(worldId, gameTime)
+        .catch(err => console.error('Error processing reputation:', err.message))
+        .finally(() => { this.isProcessingReputation = false; });
+    }
+
+    // Charge parking for aircraft on stand at their home airports once per game week
+    const lastParkingWeek = this.lastParkingWeek[worldId] || 0;
+    if (!this.isProcessingParking && gameWeek > lastParkingWeek) {
+      this.lastParkingWeek[worldId] = gameWeek;
+      this.isProcessingParking = true;
+      airportStandService.processWeeklyParking(worldId, gameTime)
+        .catch(err => console.error('Error processing parking:', err.message))
+        .finally(() => { this.isProcessingParking = false; });
+    }
+
+    // Charge hull insurance and upkeep for every aircraft held (less for stored ones) once per game week
+    const lastFleetCostWeek = this.lastFleetCostWeek[worldId] || 0;
+    if (!this.isProcessingFleetCosts && gameWeek > lastFleetCostWeek) {
+      this.lastFleetCostWeek[worldId] = gameWeek;
+      this.isProcessingFleetCosts = true;
+      aircraftStorageService.processWeekly(worldId, gameTime)
+        .catch(err => console.error('Error processing fleet costs:', err.message))
+        .finally(() => { this.isProcessingFleetCosts = false; });
+    }
+
+    // Pay crew salaries once per game week
+    const lastPayrollWeek = this.lastPayrollWeek[worldId] || 0;
+    if (!this.isProcessingPayroll && gameWeek > lastPayrollWeek) {
+      this.lastPayrollWeek[worldId] = gameWeek;
+      this.isProcessingPayroll = true;
+      crewService.processWeeklyPayroll(worldId, gameTime)
+        .catch(err => console.error('Error processing crew payroll:', err.message))
+        .finally(() => { this.isProcessingPayroll = false; });
+    }
+
+    // Reprice routes on automatic pricing strategies once per game week
+    const lastRepricingWeek = this.lastRepricingWeek[worldId] || 0;
+    if (!this.isProcessingRepricing && gameWeek > lastRepricingWeek) {
+      this.lastRepricingWeek[worldId] = gameWeek;
+      this.isProcessingRepricing = true;
+      revenueManagementService.processWeekly(worldId, gameTime)
+        .catch(err => console.error('Error repricing routes:', err.message))
+        .finally(() => { this.isProcessingRepricing = false; });
+    }
+
+    // Tax last week's profit once per game week
+    const lastTaxWeek = this.lastTaxWeek[worldId] || 0;
+    if (!this.isProcessingTaxes && gameWeek > lastTaxWeek) {
+      this.lastTaxWeek[worldId] = gameWeek;
+      this.isProcessingTaxes = true;
+      ledgerService.processWeeklyTaxes(worldId, gameTime)
+        .catch(err => console.error('Error processing taxes:', err.message))
+        .finally(() => { this.isProcessingTaxes = false; });
+    }
+
+    // Put crew who have finished training on the roster and fill free simulator seats
+    if (!this.isProcessingTraining && now - this.lastTrainingCheck >= this.trainingCheckInterval) {
+      this.lastTrainingCheck = now;
+      this.isProcessingTraining = true;
+      crewService.processTraining(worldId, gameTime)
+        .catch(err => console.error('Error processing crew training:', err.message))
+        .finally(() => { this.isProcessingTraining = false; });
+    }
+
+    // Charge slot leases, grant historic slot rights and open milestone auctions once per game week
+    const lastSlotMarketWeek = this.lastSlotMarketWeek[worldId] || 0;
+    if (!this.isProcessingSlotMarketWeek && gameWeek > lastSlotMarketWeek) {
+      this.lastSlotMarketWeek[worldId] = gameWeek;
+      this.isProcessingSlotMarketWeek = true;
+      slotMarketService.processWeekly(worldId, gameTime)
+        .catch(err => console.error('Error processing weekly slot market:', err.message))
+        .finally(() => { this.isProcessingSlotMarketWeek = false; });
+    }
+
+    // Settle slot bidding that has closed and end expired slot leases
+    if (!this.isProcessingSlotMarket && now - this.lastSlotMarketCheck >= this.slotMarketCheckInterval) {
+      this.lastSlotMarketCheck = now;
+      this.isProcessingSlotMarket = true;
+      slotMarketService.processMarket(worldId, gameTime)
+        .catch(err => console.error('Error processing slot market:', err.message))
+        .finally(() => { this.isProcessingSlotMarket = false; });
+    }
+
+    // Return aircraft whose reactivation from storage has finished to service
+    if (!this.isProcessingReactivations && now - this.lastReactivationCheck >= this.reactivationCheckInterval) {
+      this.lastReactivationCheck = now;
+      this.isProcessingReactivations = true;
+      aircraftStorageService.processReactivations(worldId, gameTime)
+        .catch(err => console.error('Error processing reactivations:', err.message))
+        .finally(() => { this.isProcessingReactivations = false; });
+    }
+
+    // Take loan instalments that have fallen due
+    if (!this.isProcessingLoans && now - this.lastLoanCheck >= this.loanCheckInterval) {
+      this.lastLoanCheck = now;
+      this.isProcessingLoans = true;
+      loanService.processRepayments(worldId, gameTime)
+        .catch(err => console.error('Error processing loan repayments:', err.message))
+        .finally(() => { this.isProcessingLoans = false; });
+    }
+
     // Process aircraft listings (NPC buyers/lessees) and lease-out income
     if (!this.isProcessingListings && now - this.lastListingCheck >= this.listingCheckInterval) {
       this.lastListingCheck = now;
@@ -295,6 +522,15 @@ class WorldTimeService {
         .catch(err => console.error('Error processing listings:', err.message))
         .finally(() => { this.isProcessingListings = false; });
     }
+
+    // Release or liquidate airlines in administration
+    if (!this.isProcessingAdministration && now - this.lastAdministrationCheck >= this.administrationCheckInterval) {
+      this.lastAdministrationCheck = now;
+      this.isProcessingAdministration = true;
+      administrationService.processAdministration(worldId, gameTime)
+        .catch(err => console.error('Error processing administration:', err.message))
+        .finally(() => { this.isProcessingAdministration = false; });
+    }
   }
 
   /**
@@ -377,11 +613,11 @@ class WorldTimeService {
           }
 
           // Check if user has fallen below -4 (enter administration)
-          if (membership.user.credits < -4) {
+          if (administrationService.shouldEnterAdministration(membership.user) && !administrationService.isInAdministration(membership)) {
+            const listed = await administrationService.enterAdministration(membership, gameTime);
             if (process.env.NODE_ENV === 'development') {
-              console.log(`User ${membership.user.id} has entered administration (credits: ${membership.user.credits})`);
+              console.log(`User ${membership.user.id} has entered administration (credits: ${membership.user.credits}, ${listed} aircraft listed)`);
             }
-            // TODO: Implement administration logic (sell assets, etc.)
           }
         }
       }
@@ -394,6 +630,7 @@ class WorldTimeService {
    * Process flight status updates for a world
    * - Scheduled flights that should have departed -> in_progress
    * - In-progress flights that should have arrived -> completed
+   * - Aircraft positions follow each rotation and ferry flight, including diversions
    */
   async processFlights(worldId, currentGameTime) {
     const worldState = this.worlds.get(worldId);
@@ -423,18 +660,71 @@ class WorldTimeService {
         include: [{
           model: Route,
           as: 'route',
-          where: { worldMembershipId: { [Op.in]: membershipIds } }
+          where: { worldMembershipId: { [Op.in]: membershipIds } },
+          include: [{ model: Airport, as: 'departureAirport', attributes: ['icaoCode'] }]
+        }, {
+          model: UserAircraft,
+          as: 'aircraft',
+          include: [{ model: Aircraft, as: 'aircraft' }]
         }]
       });
 
+      // Rotations whose base no longer has the crew to fly them are cancelled, and so are
+      // ones whose aircraft is standing somewhere else
+      const cancelledByMembership = new Map();
+      const strandedByMembership = new Map();
       for (const flight of flightsToStart) {
+        const departureIcao = flight.route.departureAirport?.icaoCode;
+        if (flight.aircraft?.currentAirport && departureIcao && flight.aircraft.currentAirport !== departureIcao) {
+          await flight.update({ status: 'cancelled' });
+          const membershipId = flight.route.worldMembershipId;
+          if (!strandedByMembership.has(membershipId)) strandedByMembership.set(membershipId, []);
+          strandedByMembership.get(membershipId).push(`${flight.route.routeNumber} (${flight.aircraft.registration} at ${flight.aircraft.currentAirport})`);
+          continue;
+        }
+
+        const shortage = await crewService.getDepartureShortage(flight);
+        if (shortage) {
+          await flight.update({ status: 'cancelled' });
+          const membershipId = flight.route.worldMembershipId;
+          if (!cancelledByMembership.has(membershipId)) cancelledByMembership.set(membershipId, []);
+          cancelledByMembership.get(membershipId).push(flight.route.routeNumber);
+          continue;
+        }
+
         await flight.update({ status: 'in_progress' });
         if (process.env.NODE_ENV === 'development') {
           console.log(`✈ Flight ${flight.route.routeNumber} started (${flight.route.departureAirportId} -> ${flight.route.arrivalAirportId})`);
         }
       }
 
-      // 1b. Find scheduled flights from PAST dates - mark as completed (missed flights)
+      // Cancellations count against reputation at the next weekly review
+      for (const [membershipId, routeNumbers] of cancelledByMembership) {
+        await Notification.create({
+          worldMembershipId: membershipId,
+          type: 'flight_cancelled_crew',
+          icon: 'alert',
+          title: routeNumbers.length === 1 ? 'Flight Cancelled' : `${routeNumbers.length} Flights Cancelled`,
+          message: `${[...new Set(routeNumbers)].join(', ')} cancelled - not enough rested crew at base. Hire or move crew to keep your schedule flying.`,
+          link: '/scheduling',
+          priority: 2,
+          gameTime: currentGameTime
+        });
+      }
+      for (const [membershipId, flights] of strandedByMembership) {
+        await Notification.create({
+          worldMembershipId: membershipId,
+          type: 'flight_cancelled_position',
+          icon: 'alert',
+          title: flights.length === 1 ? 'Flight Cancelled' : `${flights.length} Flights Cancelled`,
+          message: `${flights.join(', ')} cancelled - the aircraft was not at the departure airport. Schedule a ferry flight to reposition it.`,
+          link: '/scheduling',
+          priority: 2,
+          gameTime: currentGameTime
+        });
+      }
+
+      // 1b. Find scheduled flights from PAST dates that never departed - mark as missed
       const missedFlights = await ScheduledFlight.findAll({
         where: {
           status: 'scheduled',
@@ -447,13 +737,31 @@ class WorldTimeService {
         }]
       });
 
+      const missedByMembership = new Map();
       for (const flight of missedFlights) {
-        await flight.update({ status: 'completed' });
+        await flight.update({ status: 'missed' });
+        const membershipId = flight.route.worldMembershipId;
+        if (!missedByMembership.has(membershipId)) missedByMembership.set(membershipId, []);
+        missedByMembership.get(membershipId).push(flight.route.routeNumber);
         if (process.env.NODE_ENV === 'development') {
-          console.log(`⚠ Missed flight ${flight.route.routeNumber} from ${flight.scheduledDate} marked as completed`);
+          console.log(`⚠ Missed flight ${flight.route.routeNumber} from ${flight.scheduledDate} marked as missed`);
         }
       }
 
+      // Missed departures count against reputation at the next weekly review
+      for (const [membershipId, routeNumbers] of missedByMembership) {
+        await Notification.create({
+          worldMembershipId: membershipId,
+          type: 'flight_missed',
+          icon: 'alert',
+          title: routeNumbers.length === 1 ? 'Flight Missed' : `${routeNumbers.length} Flights Missed`,
+          message: `${[...new Set(routeNumbers)].join(', ')} never departed. Missed flights damage your reputation.`,
+          link: '/scheduling',
+          priority: 2,
+          gameTime: currentGameTime
+        });
+      }
+
       // 2. Find in_progress flights that should now be completed
       // Calculate arrival time based on departure + flight duration
       const inProgressFlights = await ScheduledFlight.findAll({
@@ -489,12 +797,16 @@ class WorldTimeService {
         const turnaroundMinutes = flight.route.turnaroundTime || 45;
         const turnaroundMs = turnaroundMinutes * 60 * 1000;
 
-        let totalFlightMs;
+        // The rotation as phases, each with where the aircraft stands (null while airborne)
+        const depIcao = flight.route.departureAirport?.icaoCode || null;
+        const arrIcao = flight.route.arrivalAirport?.icaoCode || null;
+        let phases;
 
         // Check if route has a tech stop
         if (flight.route.techStopAirport) {
           const techLat = parseFloat(flight.route.techStopAirport.latitude) || 0;
           const techLng = parseFloat(flight.route.techStopAirport.longitude) || 0;
+          const techIcao = flight.route.techStopAirport.icaoCode;
 
           // Calculate leg distances (approximate split)
           const leg1Distance = flight.route.legOneDistance || Math.round(distanceNm * 0.4);
@@ -502,28 +814,29 @@ class WorldTimeService {
 
           const techStopMs = 30 * 60 * 1000; // 30 min tech stop
 
-          // Leg 1: DEP → TECH
-          const leg1Ms = calculateFlightDurationMs(leg1Distance, depLng, techLng, depLat, techLat, cruiseSpeed);
-          // Leg 2: TECH → ARR
-          const leg2Ms = calculateFlightDurationMs(leg2Distance, techLng, arrLng, techLat, arrLat, cruiseSpeed);
-          // Leg 3: ARR → TECH (return)
-          const leg3Ms = calculateFlightDurationMs(leg2Distance, arrLng, techLng, arrLat, techLat, cruiseSpeed);
-          // Leg 4: TECH → DEP (return)
-          const leg4Ms = calculateFlightDurationMs(leg1Distance, techLng, depLng, techLat, depLat, cruiseSpeed);
-
-          // Total: leg1 + techStop + leg2 + turnaround + leg3 + techStop + leg4
-          totalFlightMs = leg1Ms + techStopMs + leg2Ms + turnaroundMs + leg3Ms + techStopMs + leg4Ms;
+          // leg1 + techStop + leg2 + turnaround + leg3 + techStop + leg4
+          phases = [
+            // Leg 1: DEP → TECH
+            { ms: calculateFlightDurationMs(leg1Distance, depLng, techLng, depLat, techLat, cruiseSpeed), at: null },
+            { ms: techStopMs, at: techIcao },
+            // Leg 2: TECH → ARR
+            { ms: calculateFlightDurationMs(leg2Distance, techLng, arrLng, techLat, arrLat, cruiseSpeed), at: null },
+            { ms: turnaroundMs, at: arrIcao },
+            // Leg 3: ARR → TECH (return)
+            { ms: calculateFlightDurationMs(leg2Distance, arrLng, techLng, arrLat, techLat, cruiseSpeed), at: null },
+            { ms: techStopMs, at: techIcao },
+            // Leg 4: TECH → DEP (return)
+            { ms: calculateFlightDurationMs(leg1Distance, techLng, depLng, techLat, depLat, cruiseSpeed), at: null }
+          ];
         } else {
-          // Standard direct route
-          // Outbound: departure -> arrival (with wind effect)
-          const outboundFlightMs = calculateFlightDurationMs(distanceNm, depLng, arrLng, depLat, arrLat, cruiseSpeed);
-
-          // Return: arrival -> departure (opposite wind effect)
-          const returnFlightMs = calculateFlightDurationMs(distanceNm, arrLng, depLng, arrLat, depLat, cruiseSpeed);
-
-          // Calculate total round-trip duration: outbound + turnaround + return
-          totalFlightMs = outboundFlightMs + turnaroundMs + returnFlightMs;
+          // Standard direct route: outbound + turnaround + return (opposite wind effect)
+          phases = [
+            { ms: calculateFlightDurationMs(distanceNm, depLng, arrLng, depLat, arrLat, cruiseSpeed), at: null },
+            { ms: turnaroundMs, at: arrIcao },
+            { ms: calculateFlightDurationMs(distanceNm, arrLng, depLng, arrLat, depLat, cruiseSpeed), at: null }
+          ];
         }
+        const totalFlightMs = phases.reduce((sum, phase) => sum + phase.ms, 0);
 
         // Calculate expected completion time (after return leg)
         const departureDateTime = new Date(`${flight.scheduledDate}T${flight.departureTime}`);
@@ -531,28 +844,165 @@ class WorldTimeService {
 
         // Check if flight should have completed the full round-trip
         if (currentGameTime >= expectedCompletion) {
-          await flight.update({ status: 'completed' });
+          // The final landing may divert, leaving the aircraft at the alternate
+          const diversion = await aircraftPositionService.getDiversion(flight.route.departureAirport, expectedCompletion);
+          const landedAt = diversion ? diversion.airport.icaoCode : depIcao;
 
-          // Record transit check completion (automatic between flights)
-          if (flight.aircraft) {
-            await flight.aircraft.update({ lastTransitCheckDate: currentGameTime });
-            if (process.env.NODE_ENV === 'development') {
-              console.log(`🔧 Transit check recorded for ${flight.aircraft.registration}`);
-            }
+          // Completion, the aircraft's move and settlement go together: if any of it fails
+          // the flight stays in progress and is settled on a later tick
+          let settlement, costs;
+          try {
+            await sequelize.transaction(async (transaction) => {
+              await flight.update({ status: 'completed', divertedTo: diversion ? landedAt : null }, { transaction });
+
+              // Record transit check completion (automatic between flights), where the rotation landed
+              if (flight.aircraft) {
+                await flight.aircraft.update({ lastTransitCheckDate: currentGameTime, currentAirport: landedAt || flight.aircraft.currentAirport }, { transaction });
+              }
+
+              // Sell the seats and cargo, credit the airline and update route statistics
+              settlement = await flightRevenueService.settleFlight(flight, currentGameTime, worldId, { transaction });
+
+              // Charge fuel, crew, maintenance reserves, airport/navigation fees and outstation parking
+              costs = await flightCostService.settleFlightCosts(flight, currentGameTime, settlement?.legs, worldId, { transaction });
+
+              // Put the block hours and cycles on the airframe, and the wear that comes with them
+              if (costs && flight.aircraft) {
+                await aircraftWearService.recordFlight(flight.aircraft, costs.blockHours, flightCostService.getLegs(flight.route).length, { transaction });
+              }
+            });
+          } catch (error) {
+            console.error(`Error completing flight ${flight.route.routeNumber} (${flight.id}):`, error.message);
+            continue;
           }
 
           if (process.env.NODE_ENV === 'development') {
             console.log(`✓ Flight ${flight.route.routeNumber} completed (full round-trip)`);
+            if (settlement) {
+              console.log(`💰 Flight ${flight.route.routeNumber} earned $${Math.round(settlement.revenue.total).toLocaleString()} (${settlement.passengers} pax, ${settlement.loadFactor}% LF)`);
+            }
+            if (costs) {
+              console.log(`💸 Flight ${flight.route.routeNumber} cost $${Math.round(costs.total).toLocaleString()} (${costs.blockHours} block hrs)`);
+            }
           }
 
-          // TODO: Process revenue, update route statistics, etc.
+          // Rotations due out of the origin can't leave until the aircraft is ferried back
+          if (diversion) {
+            let ferry = null;
+            if (flight.aircraft) {
+              try {
+                ferry = await aircraftPositionService.scheduleReturnFerry(flight.aircraft, diversion, flight.route.departureAirport, expectedCompletion, turnaroundMinutes);
+              } catch (error) {
+                console.error(`Error scheduling return ferry for ${flight.aircraft.registration}:`, error.message);
+              }
+            }
+            const recovery = ferry
+              ? ` A ferry back to ${depIcao} is scheduled for ${ferry.scheduledDate} ${ferry.departureTime.substring(0, 5)}.`
+              : diversion.reason === 'closed'
+                ? ` The aircraft stays at ${landedAt} until you move it.`
+                : ` Schedule a ferry flight to bring the aircraft back before its next departure.`;
+            await Notification.create({
+              worldMembershipId: flight.route.worldMembershipId,
+              type: 'flight_diverted',
+              icon: 'alert',
+              title: 'Flight Diverted',
+              message: `${flight.route.returnRouteNumber || flight.route.routeNumber}${flight.aircraft ? ` (${flight.aircraft.registration})` : ''} diverted to ${landedAt}, ${diversion.distanceNm}nm from ${depIcao}${diversion.reason === 'closed' ? ', which is closed' : ' because of weather'}.${recovery}`,
+              link: '/scheduling',
+              priority: 1,
+              gameTime: currentGameTime
+            });
+          }
+        } else if (flight.aircraft) {
+          // Still going: in the air, or on the ground at the destination or a tech stop
+          const position = aircraftPositionService.getPositionAlong(phases, depIcao, currentGameTime - departureDateTime);
+          if (flight.aircraft.currentAirport !== position) {
+            await flight.aircraft.update({ currentAirport: position });
+          }
         }
       }
+
+      // 3. Ferry flights
+      await this.processFerryFlights(membershipIds, currentGameTime, worldId);
     } catch (error) {
       console.error('Error processing flights:', error);
     }
   }
 
+  /**
+   * Move ferry flights along: depart the ones due (if the aircraft is there), and land,
+   * cost and log the ones that have arrived
+   */
+  async processFerryFlights(membershipIds, currentGameTime, worldId) {
+    const gameDate = currentGameTime.toISOString().split('T')[0]; // YYYY-MM-DD
+
+    const ferries = await FerryFlight.findAll({
+      where: {
+        worldMembershipId: { [Op.in]: membershipIds },
+        [Op.or]: [
+          { status: 'scheduled', scheduledDate: { [Op.lte]: gameDate } },
+          { status: 'in_progress' }
+        ]
+      },
+      include: [
+        { model: Airport, as: 'departureAirport' },
+        { model: Airport, as: 'arrivalAirport' },
+        {
+          model: UserAircraft,
+          as: 'aircraft',
+          include: [{ model: Aircraft, as: 'aircraft' }]
+        }
+      ],
+      order: [['scheduledDate', 'ASC'], ['departureTime', 'ASC']]
+    });
+
+    for (const ferry of ferries) {
+      const { departs, arrives } = aircraftPositionService.getTimes(ferry);
+      const aircraft = ferry.aircraft;
+      const route = `${ferry.departureAirport?.icaoCode}-${ferry.arrivalAirport?.icaoCode}`;
+
+      if (ferry.status === 'scheduled') {
+        if (currentGameTime < departs) continue;
+
+        // An aircraft that isn't where the ferry starts (or is off flying something else) stays put
+        if (!aircraft || aircraft.currentAirport !== ferry.departureAirport?.icaoCode) {
+          await ferry.update({ status: 'cancelled' });
+          await Notification.create({
+            worldMembershipId: ferry.worldMembershipId,
+            type: 'ferry_cancelled',
+            icon: 'alert',
+            title: 'Ferry Flight Cancelled',
+            message: `Ferry ${route} for ${aircraft?.registration || 'your aircraft'} cancelled - the aircraft was not at ${ferry.departureAirport?.icaoCode}.`,
+            link: '/scheduling',
+            priority: 2,
+            gameTime: currentGameTime
+          });
+          continue;
+        }
+
+        await ferry.update({ status: 'in_progress' });
+        await aircraft.update({ currentAirport: null });
+        if (process.env.NODE_ENV === 'development') {
+          console.log(`✈ Ferry ${route} departed (${aircraft.registration})`);
+        }
+      }
+
+      if (currentGameTime < arrives) continue;
+
+      await ferry.update({ status: 'completed' });
+      if (!aircraft) continue;
+      await aircraft.update({ currentAirport: ferry.arrivalAirport?.icaoCode || null });
+
+      // Fuel, maintenance reserves and airport/navigation charges; no revenue
+      const costs = await flightCostService.settleFerryCosts(ferry, currentGameTime, worldId);
+      if (costs) {
+        await aircraftWearService.recordFlight(aircraft, costs.blockHours, 1);
+        if (process.env.NODE_ENV === 'development') {
+          console.log(`💸 Ferry ${route} (${aircraft.registration}) cost $${Math.round(costs.total).toLocaleString()}`);
+        }
+      }
+    }
+  }
+
   /**
    * Process maintenance check completions for a world
    * When a scheduled maintenance slot completes, record the check date on the aircraft
@@ -595,7 +1045,8 @@ class WorldTimeService {
         include: [{
           model: UserAircraft,
           as: 'aircraft',
-          where: { worldMembershipId: { [Op.in]: membershipIds } }
+          where: { worldMembershipId: { [Op.in]: membershipIds } },
+          include: [{ model: Aircraft, as: 'aircraft' }]
         }]
       });
 
@@ -700,6 +1151,9 @@ class WorldTimeService {
             } else if (checkType === 'weekly') {
               updateData.lastDailyCheckDate = currentGameTime;
             }
+
+            // Heavy checks put back condition lost to wear
+            Object.assign(updateData, aircraftWearService.getCheckRestoration(aircraft, checkType));
             if (['A', 'C', 'D', 'weekly'].includes(checkType) && process.env.NODE_ENV === 'development') {
               console.log(`🔧 ${checkType} Check also validates lower checks for ${aircraft.registration}`);
             }
@@ -850,6 +1304,7 @@ class WorldTimeService {
       const aircraftToRefresh = await UserAircraft.findAll({
         where: {
           worldMembershipId: { [Op.in]: membershipIds },
+          status: { [Op.ne]: 'storage' },
           [Op.or]: [
             { autoScheduleDaily: true },
             { autoScheduleWeekly: true },
@@ -1034,7 +1489,7 @@ class WorldTimeService {
     try {
       const memberships = await WorldMembership.findAll({
         where: { worldId, isActive: true },
-        attributes: ['id', 'balance']
+        attributes: ['id', 'worldId', 'balance']
       });
       if (memberships.length === 0) return;
 
@@ -1059,7 +1514,16 @@ class WorldTimeService {
         if (daysSinceListed < 7) continue;
 
         // Probability increases over time: 5% base after 7 days, +1% per day, capped at 30%
-        const chance = Math.min(0.30, 0.05 + (daysSinceListed - 7) * 0.01);
+        let chance = Math.min(0.30, 0.05 + (daysSinceListed - 7) * 0.01);
+
+        // Buyers shy away from aircraft priced above what they're worth
+        if (ac.status === 'listed_sale' && ac.aircraft) {
+          const askingPrice = parseFloat(ac.listingPrice) || 0;
+          const marketValue = aircraftWearService.getMarketValue(ac, currentGameTime);
+          if (askingPrice > marketValue) {
+            chance *= Math.pow(marketValue / askingPrice, 2);
+          }
+        }
         if (Math.random() > chance) continue;
 
         const membership = membershipMap.get(ac.worldMembershipId);
@@ -1120,8 +1584,15 @@ class WorldTimeService {
 
           // Credit monthly lease income
           const rate = parseFloat(ac.leaseOutMonthlyRate);
-          membership.balance = parseFloat(membership.balance) + rate;
-          await membership.save();
+          await ledgerService.post({
+            worldMembershipId: membership.id,
+            category: 'leaseIncome',
+            amount: rate,
+            gameTime: currentGameTime,
+            description: `Lease income: ${ac.registration}`,
+            referenceType: 'user_aircraft',
+            referenceId: ac.id
+          });
 
           console.log(`Lease income: $${rate} from ${ac.registration} to membership ${membership.id}`);
         }
@@ -1137,11 +1608,22 @@ class WorldTimeService {
   async completeSale(userAircraft, membership, gameTime, Notification) {
     const salePrice = parseFloat(userAircraft.listingPrice);
     const reg = userAircraft.registration;
-    const npcName = generateNpcAirlineName();
+    const npcName = await npcAirlineService.getCounterpartyName(membership.worldId);
 
     // Credit sale price to balance
-    membership.balance = parseFloat(membership.balance) + salePrice;
-    await membership.save();
+    await ledgerService.post({
+      worldMembershipId: membership.id,
+      category: 'aircraftSale',
+      amount: salePrice,
+      bookValue: parseFloat(userAircraft.purchasePrice) || salePrice,
+      gameTime,
+      description: `Sold ${reg} to ${npcName}`,
+      referenceType: 'user_aircraft',
+      referenceId: userAircraft.id
+    });
+
+    // Pay off any mortgage from the proceeds
+    await loanService.settleAircraftLoans(userAircraft, gameTime);
 
     // Clean up schedule remnants and delete the aircraft
     const { ScheduledFlight: SF, RecurringMaintenance: RM, Route: R } = require('../models');
@@ -1170,7 +1652,7 @@ class WorldTimeService {
    */
   async completeLeaseOut(userAircraft, membership, gameTime, Notification) {
     const monthlyRate = parseFloat(userAircraft.listingPrice);
-    const npcName = generateNpcAirlineName();
+    const npcName = await npcAirlineService.getCounterpartyName(membership.worldId);
     const leaseDuration = 12 + Math.floor(Math.random() * 24); // 12-36 months
 
     const leaseStart = new Date(gameTime);
@@ -1184,7 +1666,9 @@ class WorldTimeService {
       leaseOutEndDate: leaseEnd,
       leaseOutTenantName: npcName,
       listingPrice: null,
-      listedAt: null
+      listedAt: null,
+      storedAt: null,
+      storageProgramme: null
     });
 
     await Notification.create({
@@ -1202,15 +1686,6 @@ class WorldTimeService {
   }
 }
 
-/**
- * Generate a random NPC airline name
- */
-function generateNpcAirlineName() {
-  const prefixes = ['Pacific', 'Northern', 'Southern', 'Eastern', 'Western', 'Trans-Continental', 'Global', 'National', 'Royal', 'Air', 'Continental', 'Atlantic', 'Skyline', 'Horizon', 'Meridian', 'Polar', 'Coastal', 'Central', 'Imperial', 'United'];
-  const suffixes = ['Airways', 'Airlines', 'Air', 'Aviation', 'Express', 'Jet', 'Connect', 'Wings', 'Flights', 'Aero'];
-  return prefixes[Math.floor(Math.random() * prefixes.length)] + ' ' + suffixes[Math.floor(Math.random() * suffixes.length)];
-}
-
 // Singleton instance
 const worldTimeService = new WorldTimeService();
 
@@ -136,10 +136,28 @@ function calculateFlightDurationMs(distanceNm, depLng, arrLng, depLat = 0, arrLa
   return hours * 60 * 60 * 1000;
 }
 
+/**
+ * Great-circle distance between two airports in nautical miles
+ *
+ * @param {Object} from - Airport with latitude and longitude
+ * @param {Object} to - Airport with latitude and longitude
+ * @returns {number} - Distance in nautical miles
+ */
+function calculateDistanceNm(from, to) {
+  const R = 3440.065;
+  const lat1 = parseFloat(from.latitude) * Math.PI / 180;
+  const lat2 = parseFloat(to.latitude) * Math.PI / 180;
+  const dLat = lat2 - lat1;
+  const dLon = (parseFloat(to.longitude) - parseFloat(from.longitude)) * Math.PI / 180;
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLon / 2) ** 2;
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
 module.exports = {
   DEFAULT_CRUISE_SPEED,
   WIND_ADJUSTMENT_FACTOR,
   getWindAdjustmentMultiplier,
   calculateFlightDuration,
-  calculateFlightDurationMs
+  calculateFlightDurationMs,
+  calculateDistanceNm
 };